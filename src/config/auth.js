@@ -0,0 +1,50 @@
+const fs = require('fs');
+const logger = require('../utils/logger');
+
+/**
+ * Bearer token (JWT/OIDC) configuration
+ *
+ * The signing keys are a local JWKS document, supplied inline through
+ * JWT_JWKS or as a file path through JWT_JWKS_FILE. Tokens are never
+ * verified against a remote endpoint at request time.
+ */
+function loadJwks() {
+  try {
+    if (process.env.JWT_JWKS) {
+      return JSON.parse(process.env.JWT_JWKS);
+    }
+
+    if (process.env.JWT_JWKS_FILE) {
+      return JSON.parse(fs.readFileSync(process.env.JWT_JWKS_FILE, 'utf8'));
+    }
+  } catch (error) {
+    logger.error('Failed to load JWKS, bearer tokens will be rejected', error);
+  }
+
+  return { keys: [] };
+}
+
+const jwtConfig = {
+  jwks: loadJwks(),
+  issuer: process.env.JWT_ISSUER,
+  audience: process.env.JWT_AUDIENCE,
+  clockToleranceSeconds: parseInt(process.env.JWT_CLOCK_TOLERANCE_SECONDS, 10) || 60,
+  tenantClaim: process.env.JWT_TENANT_CLAIM || 'tenant_id',
+  roleClaim: process.env.JWT_ROLE_CLAIM || 'role',
+  patientClaim: process.env.JWT_PATIENT_CLAIM || 'patient_id',
+};
+
+/**
+ * SMART on FHIR endpoints of the identity provider that issues our tokens
+ * Published by the FHIR discovery documents; the API itself never calls them.
+ */
+const smartConfig = {
+  authorizationEndpoint: process.env.SMART_AUTHORIZATION_ENDPOINT || null,
+  tokenEndpoint: process.env.SMART_TOKEN_ENDPOINT || null,
+  jwksUri: process.env.SMART_JWKS_URI || null,
+};
+
+module.exports = {
+  jwtConfig,
+  smartConfig,
+};
@@ -1,3 +1,4 @@
+const { AsyncLocalStorage } = require('async_hooks');
 const { Pool } = require('pg');
 const logger = require('../utils/logger');
 
@@ -23,7 +24,179 @@ pool.on('connect', () => {
   logger.debug('Database pool connection established');
 });
 
+/**
+ * Row-level security context
+ *
+ * Every transaction sets app.tenant_id (and app.bypass_rls for system jobs)
+ * with SET LOCAL semantics, so the RLS policies from migration 006 filter
+ * each statement to the tenant of the current request. Code running outside
+ * runWithTenant/runAsSystem gets no tenant and therefore sees no rows.
+ */
+const contextStorage = new AsyncLocalStorage();
+
+function runWithTenant(tenantId, fn) {
+  return contextStorage.run({ tenantId, bypassRls: false }, fn);
+}
+
+/**
+ * Run cross-tenant work (authorizer lookups, schedulers) with RLS bypassed
+ */
+function runAsSystem(fn) {
+  return contextStorage.run({ tenantId: null, bypassRls: true }, fn);
+}
+
+function getContext() {
+  return contextStorage.getStore() || { tenantId: null, bypassRls: false };
+}
+
+/**
+ * BEGIN plus the context settings in a single round trip
+ */
+function beginStatement(client) {
+  const { tenantId, bypassRls } = getContext();
+
+  return `BEGIN;
+    SELECT set_config('app.tenant_id', ${client.escapeLiteral(tenantId || '')}, true),
+           set_config('app.bypass_rls', '${bypassRls ? 'on' : 'off'}', true)`;
+}
+
+/**
+ * Check out a client whose transactions carry the caller's tenant context
+ * Callers use it exactly like pool.connect(): BEGIN, queries, COMMIT, release.
+ * Inside withTransaction they get the shared transaction instead.
+ */
+async function connect() {
+  const { transaction } = getContext();
+
+  if (transaction) {
+    return joinTransaction(transaction);
+  }
+
+  const client = await pool.connect();
+  const query = client.query;
+  const release = client.release;
+
+  client.query = function queryWithContext(text, ...args) {
+    if (typeof text === 'string' && text.trim().toUpperCase() === 'BEGIN') {
+      return query.call(client, beginStatement(client), ...args);
+    }
+
+    return query.call(client, text, ...args);
+  };
+
+  client.release = function releaseWithContext(...args) {
+    client.query = query;
+    client.release = release;
+    return release.apply(client, args);
+  };
+
+  return client;
+}
+
+/**
+ * Run a single statement in its own transaction with the tenant context applied
+ */
+async function queryWithContext(text, params) {
+  const client = await connect();
+
+  try {
+    await client.query('BEGIN');
+    const result = await client.query(text, params);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Run fn with every connect() and query() it makes sharing one transaction
+ *
+ * Services keep their own BEGIN/COMMIT/ROLLBACK: in here those become a
+ * savepoint, its release and a rollback to it, so the work commits or rolls
+ * back as a whole when fn returns or throws. Statements run one at a time on
+ * a single connection, so fn must not run queries concurrently.
+ *
+ * Side effects that must only happen once data is committed (queue messages,
+ * cache writes) go through afterCommit(), which holds them until the outer
+ * COMMIT and drops them on rollback.
+ */
+async function withTransaction(fn) {
+  const client = await connect();
+  const transaction = { client, savepoints: 0, afterCommit: [] };
+  let result;
+
+  try {
+    await client.query('BEGIN');
+    result = await contextStorage.run({ ...getContext(), transaction }, fn);
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  for (const task of transaction.afterCommit) {
+    try {
+      await task();
+    } catch (error) {
+      // The data is committed, so a lost message or cache update must not fail the caller
+      logger.error('Post-commit task failed', error);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Run fn once the data written so far is committed
+ * Runs it straight away outside withTransaction, where services have already
+ * committed by the time they call this.
+ */
+async function afterCommit(fn) {
+  const { transaction } = getContext();
+
+  if (transaction) {
+    transaction.afterCommit.push(fn);
+    return;
+  }
+
+  await fn();
+}
+
+/**
+ * Client handle for code running inside withTransaction
+ */
+function joinTransaction(transaction) {
+  transaction.savepoints += 1;
+  const savepoint = `nested_${transaction.savepoints}`;
+  const statements = {
+    BEGIN: `SAVEPOINT ${savepoint}`,
+    COMMIT: `RELEASE SAVEPOINT ${savepoint}`,
+    ROLLBACK: `ROLLBACK TO SAVEPOINT ${savepoint}`,
+  };
+
+  return {
+    query(text, ...args) {
+      const statement = typeof text === 'string' && statements[text.trim().toUpperCase()];
+      return transaction.client.query(statement || text, ...args);
+    },
+    escapeLiteral: (value) => transaction.client.escapeLiteral(value),
+    release() {},
+  };
+}
+
 module.exports = {
   pool,
-  query: (text, params) => pool.query(text, params),
-};
\ No newline at end of file
+  query: queryWithContext,
+  connect,
+  withTransaction,
+  afterCommit,
+  runWithTenant,
+  runAsSystem,
+  getContext,
+};
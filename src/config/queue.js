@@ -9,18 +9,36 @@ const RABBITMQ_URL = `amqp://${process.env.RABBITMQ_USER}:${process.env.RABBITMQ
 const QUEUES = {
   NOTIFICATIONS: 'notifications',
   NOTIFICATIONS_DLQ: 'notifications.dlq',
+  AUDIT_EVENTS: 'audit.events',
+  AUDIT_EVENTS_DLQ: 'audit.events.dlq',
+  FHIR_EXPORTS: 'fhir.exports',
+  FHIR_EXPORTS_DLQ: 'fhir.exports.dlq',
+  HL7_OUTBOUND: 'hl7.outbound',
+  HL7_OUTBOUND_RETRY: 'hl7.outbound.retry',
+  HL7_OUTBOUND_DLQ: 'hl7.outbound.dlq',
 };
 
+// How long a failed HL7 delivery waits in the retry queue before the next attempt
+const HL7_RETRY_DELAY_MS = 60000;
+
+// Queues dead-letter rejected messages here, routed by the name of their DLQ
+const DEAD_LETTER_EXCHANGE = 'dlx';
+
+// Times a consumer retries a message that fails before dead-lettering it
+const MAX_RETRIES = 3;
+
 async function connect() {
   try {
     connection = await amqp.connect(RABBITMQ_URL);
     channel = await connection.createChannel();
 
+    await channel.assertExchange(DEAD_LETTER_EXCHANGE, 'direct', { durable: true });
+
     // Setup queues
     await channel.assertQueue(QUEUES.NOTIFICATIONS, {
       durable: true,
       arguments: {
-        'x-dead-letter-exchange': 'dlx',
+        'x-dead-letter-exchange': DEAD_LETTER_EXCHANGE,
         'x-dead-letter-routing-key': QUEUES.NOTIFICATIONS_DLQ,
         'x-message-ttl': 86400000, // 24 hours
         'x-max-priority': 10,
@@ -34,6 +52,70 @@ async function connect() {
       },
     });
 
+    // Audit events must never expire, in the queue or in the DLQ
+    await channel.assertQueue(QUEUES.AUDIT_EVENTS, {
+      durable: true,
+      arguments: {
+        'x-dead-letter-exchange': DEAD_LETTER_EXCHANGE,
+        'x-dead-letter-routing-key': QUEUES.AUDIT_EVENTS_DLQ,
+      },
+    });
+
+    await channel.assertQueue(QUEUES.AUDIT_EVENTS_DLQ, {
+      durable: true,
+    });
+
+    // A job whose message is lost stays `accepted`; the DLQ keeps it for a replay
+    await channel.assertQueue(QUEUES.FHIR_EXPORTS, {
+      durable: true,
+      arguments: {
+        'x-dead-letter-exchange': DEAD_LETTER_EXCHANGE,
+        'x-dead-letter-routing-key': QUEUES.FHIR_EXPORTS_DLQ,
+      },
+    });
+
+    await channel.assertQueue(QUEUES.FHIR_EXPORTS_DLQ, {
+      durable: true,
+      arguments: {
+        'x-message-ttl': 604800000, // 7 days
+      },
+    });
+
+    // Failed deliveries wait out their TTL in the retry queue, which then
+    // dead-letters them back to hl7.outbound through the default exchange
+    await channel.assertQueue(QUEUES.HL7_OUTBOUND, {
+      durable: true,
+      arguments: {
+        'x-dead-letter-exchange': DEAD_LETTER_EXCHANGE,
+        'x-dead-letter-routing-key': QUEUES.HL7_OUTBOUND_DLQ,
+      },
+    });
+
+    await channel.assertQueue(QUEUES.HL7_OUTBOUND_RETRY, {
+      durable: true,
+      arguments: {
+        'x-dead-letter-exchange': '',
+        'x-dead-letter-routing-key': QUEUES.HL7_OUTBOUND,
+        'x-message-ttl': HL7_RETRY_DELAY_MS,
+      },
+    });
+
+    await channel.assertQueue(QUEUES.HL7_OUTBOUND_DLQ, {
+      durable: true,
+      arguments: {
+        'x-message-ttl': 604800000, // 7 days
+      },
+    });
+
+    for (const dlq of [
+      QUEUES.NOTIFICATIONS_DLQ,
+      QUEUES.AUDIT_EVENTS_DLQ,
+      QUEUES.FHIR_EXPORTS_DLQ,
+      QUEUES.HL7_OUTBOUND_DLQ,
+    ]) {
+      await channel.bindQueue(dlq, DEAD_LETTER_EXCHANGE, dlq);
+    }
+
     logger.info('RabbitMQ connection established');
 
     connection.on('error', (err) => {
@@ -74,7 +156,14 @@ async function publishToQueue(queueName, message, options = {}) {
   }
 }
 
+/**
+ * Consume a queue, acknowledging each message its callback handles
+ * A message whose callback throws is retried up to `options.maxRetries`
+ * times, then rejected without requeue so the queue dead-letters it.
+ */
 async function consumeFromQueue(queueName, callback, options = {}) {
+  const { maxRetries = MAX_RETRIES } = options;
+
   try {
     const ch = await getChannel();
 
@@ -90,12 +179,23 @@ async function consumeFromQueue(queueName, callback, options = {}) {
             ch.ack(msg);
           } catch (error) {
             logger.error('Error processing message', error);
-            // Reject and requeue if retries available
-            const retryCount = (msg.properties.headers?.['x-retry-count'] || 0) + 1;
-            if (retryCount < 3) {
-              ch.nack(msg, false, true); // Requeue
+
+            // A requeued message keeps its headers, so a retry is published
+            // again with the count raised and the original acknowledged
+            const headers = msg.properties.headers || {};
+            const retryCount = (headers['x-retry-count'] || 0) + 1;
+
+            if (retryCount <= maxRetries) {
+              ch.sendToQueue(queueName, msg.content, {
+                ...msg.properties,
+                headers: { ...headers, 'x-retry-count': retryCount },
+              });
+              ch.ack(msg);
             } else {
-              ch.nack(msg, false, false); // Send to DLQ
+              logger.error(`Dead-lettering message from ${queueName} after ${maxRetries} retries`, {
+                messageId: msg.properties.messageId,
+              });
+              ch.nack(msg, false, false);
             }
           }
         }
@@ -114,4 +214,5 @@ module.exports = {
   publishToQueue,
   consumeFromQueue,
   QUEUES,
-};
\ No newline at end of file
+  DEAD_LETTER_EXCHANGE,
+};
@@ -0,0 +1,126 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const AWS = require('aws-sdk');
+const logger = require('../utils/logger');
+
+/**
+ * Documents store
+ *
+ * Objects live in the documents bucket (DOCUMENTS_BUCKET). Without a bucket,
+ * and under serverless-offline, they are files below DOCUMENTS_DIR instead;
+ * that store has no signed URLs, so callers serve its objects themselves.
+ * Bodies may be strings, Buffers, streams or async iterables, so large
+ * objects are written without holding them in memory.
+ */
+const bucket = process.env.IS_OFFLINE ? null : process.env.DOCUMENTS_BUCKET;
+const localDir = path.resolve(
+  process.env.DOCUMENTS_DIR || path.join(os.tmpdir(), 'chronic-care-documents')
+);
+
+const s3 = bucket
+  ? new AWS.S3({ region: process.env.AWS_REGION || 'us-east-1', signatureVersion: 'v4' })
+  : null;
+
+if (!s3) {
+  logger.debug('Documents are stored on the local filesystem', { directory: localDir });
+}
+
+async function putObject(key, body, { contentType } = {}) {
+  const stream = typeof body === 'string' || Buffer.isBuffer(body) ? Readable.from([body]) : body;
+
+  if (s3) {
+    await s3
+      .upload({
+        Bucket: bucket,
+        Key: key,
+        Body: stream instanceof Readable ? stream : Readable.from(stream),
+        ContentType: contentType,
+        ServerSideEncryption: 'AES256',
+      })
+      .promise();
+    return;
+  }
+
+  const file = getLocalPath(key);
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  await pipeline(stream, fs.createWriteStream(file));
+}
+
+/**
+ * @returns {Buffer|null} The object, or null when it does not exist
+ */
+async function getObject(key) {
+  try {
+    if (s3) {
+      const result = await s3.getObject({ Bucket: bucket, Key: key }).promise();
+      return result.Body;
+    }
+
+    return await fs.promises.readFile(getLocalPath(key));
+  } catch (error) {
+    if (error.code === 'NoSuchKey' || error.code === 'ENOENT') {
+      return null;
+    }
+
+    throw error;
+  }
+}
+
+/**
+ * Short-lived download URL, or null for the local store
+ * @param {Number} expiresIn - Seconds the URL stays valid
+ */
+function getSignedUrl(key, { expiresIn = 300 } = {}) {
+  if (!s3) {
+    return null;
+  }
+
+  return s3.getSignedUrl('getObject', { Bucket: bucket, Key: key, Expires: expiresIn });
+}
+
+/**
+ * Delete objects; keys that do not exist are ignored
+ */
+async function deleteObjects(keys) {
+  if (keys.length === 0) {
+    return;
+  }
+
+  if (s3) {
+    // DeleteObjects takes at most 1000 keys per call
+    for (let i = 0; i < keys.length; i += 1000) {
+      await s3
+        .deleteObjects({
+          Bucket: bucket,
+          Delete: { Objects: keys.slice(i, i + 1000).map((key) => ({ Key: key })), Quiet: true },
+        })
+        .promise();
+    }
+    return;
+  }
+
+  await Promise.all(keys.map((key) => fs.promises.rm(getLocalPath(key), { force: true })));
+}
+
+/**
+ * Keys are built by the application, but never let one escape the store
+ */
+function getLocalPath(key) {
+  const file = path.resolve(localDir, key);
+
+  if (!file.startsWith(`${localDir}${path.sep}`)) {
+    throw new Error(`Invalid document key: ${key}`);
+  }
+
+  return file;
+}
+
+module.exports = {
+  putObject,
+  getObject,
+  getSignedUrl,
+  deleteObjects,
+};
@@ -0,0 +1,82 @@
+const ApiKeyService = require('../services/apiKey.service');
+const { createRouter } = require('../utils/router');
+const { createHttpPipeline } = require('../middleware/pipeline');
+const routes = require('../routes/apiKey.routes');
+
+const apiKeyService = new ApiKeyService();
+
+/**
+ * Main handler for API key lifecycle Lambda function
+ * Routes are declared in src/routes/apiKey.routes.js
+ */
+const router = createRouter({
+  name: 'api key',
+  routes,
+  actions: {
+    issue: handleIssue,
+    list: handleList,
+    rotate: handleRotate,
+    revoke: handleRevoke,
+  },
+});
+
+exports.handler = createHttpPipeline(router);
+
+/**
+ * Issue a new API key
+ * POST /api/v1/api-keys
+ * The plaintext key is included in this response only
+ */
+async function handleIssue({ tenantId, body, actor }) {
+  const apiKey = await apiKeyService.issueApiKey(tenantId, body, actor);
+
+  return {
+    ...apiKey,
+    warning: 'Store this key now. It cannot be retrieved again.',
+  };
+}
+
+/**
+ * List API keys with their metadata
+ * GET /api/v1/api-keys
+ */
+async function handleList({ tenantId, query }) {
+  const filters = {
+    environment: query.environment,
+    includeRevoked: query.includeRevoked === 'true',
+  };
+
+  const apiKeys = await apiKeyService.listApiKeys(tenantId, filters);
+
+  return {
+    api_keys: apiKeys,
+    count: apiKeys.length,
+  };
+}
+
+/**
+ * Rotate an API key, keeping the old key valid for an overlap window
+ * POST /api/v1/api-keys/{keyId}/rotate
+ */
+async function handleRotate({ tenantId, params, body, actor }) {
+  const apiKey = await apiKeyService.rotateApiKey(tenantId, params.keyId, body, actor);
+
+  return {
+    ...apiKey,
+    warning: 'Store this key now. It cannot be retrieved again.',
+  };
+}
+
+/**
+ * Revoke an API key immediately
+ * DELETE /api/v1/api-keys/{keyId}
+ */
+async function handleRevoke({ tenantId, params, actor }) {
+  const { keyId } = params;
+  await apiKeyService.revokeApiKey(tenantId, keyId, actor);
+
+  return {
+    message: 'API key revoked successfully',
+    key_id: keyId,
+  };
+}
@@ -0,0 +1,92 @@
+const AuditService = require('../services/audit.service');
+const response = require('../utils/response');
+const { EXPORT_FORMATS, toNdjson, toCsv } = require('../utils/export');
+const { createRouter } = require('../utils/router');
+const { createHttpPipeline } = require('../middleware/pipeline');
+const routes = require('../routes/audit.routes');
+
+const auditService = new AuditService();
+
+const CSV_COLUMNS = [
+  'id',
+  'created_at',
+  'entity_type',
+  'entity_id',
+  'action',
+  'user_id',
+  'user_type',
+  'user_role',
+  'ip_address',
+  'request_id',
+  'changes',
+  'chain_seq',
+  'row_hash',
+];
+
+/**
+ * Main handler for audit trail Lambda function
+ * Routes are declared in src/routes/audit.routes.js
+ */
+const router = createRouter({
+  name: 'audit',
+  routes,
+  actions: {
+    list: handleList,
+    export: handleExport,
+    verifyChain: handleVerifyChain,
+    patientHistory: handlePatientHistory,
+  },
+});
+
+exports.handler = createHttpPipeline(router);
+
+/**
+ * List audit entries, newest first
+ * GET /api/v1/audit-logs
+ */
+async function handleList({ tenantId, query }) {
+  return auditService.listAuditLogs(tenantId, query);
+}
+
+/**
+ * Download audit entries as NDJSON or CSV
+ * GET /api/v1/audit-logs/export
+ * Large exports are paged: X-Next-Cursor is set while entries remain.
+ */
+async function handleExport({ tenantId, query, actor }) {
+  const { format, ...filters } = query;
+  const { rows, nextCursor } = await auditService.exportAuditLogs(tenantId, filters, actor);
+  const { contentType, extension } = EXPORT_FORMATS[format];
+
+  const body =
+    format === 'csv'
+      ? toCsv(
+          rows.map((row) => ({ ...row, request_id: row.metadata?.requestId })),
+          CSV_COLUMNS
+        )
+      : toNdjson(rows);
+
+  return response.download(body, {
+    contentType,
+    filename: `audit-logs-${new Date().toISOString().slice(0, 10)}.${extension}`,
+    headers: nextCursor
+      ? { 'X-Next-Cursor': nextCursor, 'Access-Control-Expose-Headers': 'X-Next-Cursor' }
+      : {},
+  });
+}
+
+/**
+ * Check the tenant's audit hash chain for modified or missing entries
+ * GET /api/v1/audit-logs/verify
+ */
+async function handleVerifyChain({ tenantId, query }) {
+  return auditService.verifyChain(tenantId, query);
+}
+
+/**
+ * Field-level change timeline for a patient
+ * GET /api/v1/patients/{patientId}/history
+ */
+async function handlePatientHistory({ tenantId, params, query, actor }) {
+  return auditService.getPatientHistory(tenantId, params.patientId, query, actor);
+}
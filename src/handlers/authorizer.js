@@ -2,71 +2,156 @@ const crypto = require('crypto');
 const db = require('../config/database');
 const cache = require('../config/cache');
 const logger = require('../utils/logger');
+const { jwtConfig } = require('../config/auth');
+const { verifyJwt } = require('../utils/jwt');
+const { ROLES, getScopesForRole } = require('../utils/authorization');
 
+/**
+ * Lambda REQUEST authorizer
+ * Accepts either a tenant API key (X-API-Key) or a user bearer token
+ * (Authorization: Bearer <jwt>). A bearer token wins when both are sent.
+ */
 exports.handler = async (event) => {
-  const apiKey = event.headers['X-API-Key'] || event.headers['x-api-key'];
+  const headers = event.headers || {};
+  const authorization = headers.Authorization || headers.authorization;
+  const apiKey = headers['X-API-Key'] || headers['x-api-key'];
+  const bearerToken = authorization?.startsWith('Bearer ') ? authorization.slice(7).trim() : null;
 
-  if (!apiKey) {
-    logger.warn('Authorization failed: No API key provided');
+  if (!bearerToken && !apiKey) {
+    logger.warn('Authorization failed: No API key or bearer token provided');
     throw new Error('Unauthorized');
   }
 
   try {
-    // Check cache first
-    const cacheKey = `apikey:${apiKey}`;
-    let tenantData = await cache.get(cacheKey);
-
-    if (tenantData) {
-      tenantData = JSON.parse(tenantData);
-    } else {
-      // Query database
-      const keyHash = crypto.createHash('sha256').update(apiKey).digest('hex');
-
-      const result = await db.query(
-        `
-        SELECT ak.id, ak.tenant_id, ak.scopes, ak.is_active, ak.expires_at,
-               t.name as tenant_name
-        FROM api_keys ak
-        JOIN tenants t ON ak.tenant_id = t.id
-        WHERE ak.key_hash = $1 AND ak.is_active = true
-      `,
-        [keyHash]
-      );
-
-      if (result.rows.length === 0) {
-        throw new Error('Unauthorized');
-      }
-
-      const apiKeyData = result.rows[0];
-
-      // Check expiration
-      if (apiKeyData.expires_at && new Date(apiKeyData.expires_at) < new Date()) {
-        throw new Error('Unauthorized');
-      }
-
-      tenantData = {
-        tenantId: apiKeyData.tenant_id,
-        tenantName: apiKeyData.tenant_name,
-        scopes: apiKeyData.scopes,
-      };
-
-      // Cache for 5 minutes
-      await cache.setex(cacheKey, 300, JSON.stringify(tenantData));
-
-      // Update last_used_at
-      await db.query('UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP WHERE id = $1', [
-        apiKeyData.id,
-      ]);
-    }
+    // Key and tenant lookups happen before any tenant is known
+    const principal = await db.runAsSystem(() =>
+      bearerToken ? authenticateBearerToken(bearerToken) : authenticateApiKey(apiKey)
+    );
 
     // Generate IAM policy
-    return generatePolicy(tenantData.tenantId, 'Allow', event.methodArn, tenantData);
+    return generatePolicy(principal.userId, 'Allow', event.methodArn, principal);
   } catch (error) {
     logger.error('Authorization error', error);
     throw new Error('Unauthorized');
   }
 };
 
+async function authenticateApiKey(apiKey) {
+  // Cache by hash so plaintext keys never reach Redis and revocation can evict the entry
+  const keyHash = crypto.createHash('sha256').update(apiKey).digest('hex');
+  const cacheKey = `apikey:${keyHash}`;
+  let tenantData = await cache.get(cacheKey);
+
+  if (tenantData) {
+    tenantData = JSON.parse(tenantData);
+
+    // A rotated key may expire while its entry is still cached
+    if (tenantData.expiresAt && new Date(tenantData.expiresAt) < new Date()) {
+      await cache.del(cacheKey);
+      throw new Error('Unauthorized');
+    }
+
+    return tenantData;
+  }
+
+  // Query database
+  const result = await db.query(
+    `
+    SELECT ak.id, ak.tenant_id, ak.scopes, ak.is_active, ak.expires_at,
+           t.name as tenant_name
+    FROM api_keys ak
+    JOIN tenants t ON ak.tenant_id = t.id
+    WHERE ak.key_hash = $1 AND ak.is_active = true AND ak.revoked_at IS NULL
+  `,
+    [keyHash]
+  );
+
+  if (result.rows.length === 0) {
+    throw new Error('Unauthorized');
+  }
+
+  const apiKeyData = result.rows[0];
+
+  // Check expiration
+  if (apiKeyData.expires_at && new Date(apiKeyData.expires_at) < new Date()) {
+    throw new Error('Unauthorized');
+  }
+
+  tenantData = {
+    tenantId: apiKeyData.tenant_id,
+    tenantName: apiKeyData.tenant_name,
+    userId: apiKeyData.id,
+    userType: 'api_key',
+    role: null,
+    scopes: apiKeyData.scopes || [],
+    expiresAt: apiKeyData.expires_at,
+  };
+
+  // Cache for 5 minutes
+  await cache.setex(cacheKey, 300, JSON.stringify(tenantData));
+
+  // Update last_used_at
+  await db.query('UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP WHERE id = $1', [
+    apiKeyData.id,
+  ]);
+
+  return tenantData;
+}
+
+async function authenticateBearerToken(token) {
+  const claims = verifyJwt(token, jwtConfig);
+  const tenantId = claims[jwtConfig.tenantClaim];
+  const role = claims[jwtConfig.roleClaim];
+
+  if (!tenantId || !role) {
+    throw new Error(`Token is missing ${jwtConfig.tenantClaim} or ${jwtConfig.roleClaim} claim`);
+  }
+
+  // Patient-portal tokens must name the one patient record they belong to
+  const patientId = role === ROLES.PATIENT ? claims[jwtConfig.patientClaim] : null;
+
+  if (role === ROLES.PATIENT && !patientId) {
+    throw new Error(`Patient token is missing ${jwtConfig.patientClaim} claim`);
+  }
+
+  const tenant = await getTenant(tenantId);
+
+  if (!tenant || !tenant.is_active) {
+    throw new Error('Unauthorized');
+  }
+
+  return {
+    tenantId: tenant.id,
+    tenantName: tenant.name,
+    userId: String(claims.sub),
+    userType: patientId ? 'patient' : 'user',
+    role,
+    patientId,
+    scopes: getScopesForRole(role),
+  };
+}
+
+async function getTenant(tenantId) {
+  const cacheKey = `authorizer:tenant:${tenantId}`;
+  const cached = await cache.get(cacheKey);
+
+  if (cached) {
+    return JSON.parse(cached);
+  }
+
+  const result = await db.query('SELECT id, name, is_active FROM tenants WHERE id = $1', [
+    tenantId,
+  ]);
+  const tenant = result.rows[0] || null;
+
+  if (tenant) {
+    // Cache for 5 minutes
+    await cache.setex(cacheKey, 300, JSON.stringify(tenant));
+  }
+
+  return tenant;
+}
+
 function generatePolicy(principalId, effect, resource, context) {
   return {
     principalId,
@@ -80,10 +165,15 @@ function generatePolicy(principalId, effect, resource, context) {
         },
       ],
     },
+    // Authorizer context values must be strings, numbers or booleans
     context: {
       tenantId: context.tenantId,
       tenantName: context.tenantName,
+      userId: context.userId,
+      userType: context.userType,
+      role: context.role || '',
+      patientId: context.patientId || '',
       scopes: JSON.stringify(context.scopes),
     },
   };
-}
\ No newline at end of file
+}
@@ -0,0 +1,388 @@
+const FhirService = require('../services/fhir.service');
+const FhirBundleService = require('../services/fhirBundle.service');
+const FhirExportService = require('../services/fhirExport.service');
+const fhirResponse = require('../utils/fhirResponse');
+const response = require('../utils/response');
+const { buildCapabilityStatement, buildSmartConfiguration } = require('../utils/fhirCapabilities');
+const {
+  getFhirResource,
+  isFhirResourceEnabled,
+  listFhirResources,
+} = require('../utils/fhirResources');
+const { isUsCoreEnabled } = require('../utils/fhirProfiles');
+const { parseExportQuery } = require('../utils/fhirSearch');
+const { requireScope, getPatientScope } = require('../utils/authorization');
+const {
+  ForbiddenError,
+  MethodNotAllowedError,
+  RouteNotFoundError,
+  ValidationError,
+} = require('../utils/errors');
+const { createRouter } = require('../utils/router');
+const { createHttpPipeline } = require('../middleware/pipeline');
+const { withOperationOutcome, describeError } = require('../middleware/operationOutcome');
+const { assertTenantQuota, recordTenantQuotaUsage } = require('../middleware/tenantContext');
+const routes = require('../routes/fhir.routes');
+
+const fhirService = new FhirService();
+const fhirBundleService = new FhirBundleService();
+const fhirExportService = new FhirExportService();
+
+// How long bulk export clients should wait between status polls
+const EXPORT_RETRY_AFTER_SECONDS = 10;
+
+/**
+ * Main handler for the FHIR R4 Lambda function
+ * Routes are declared in src/routes/fhir.routes.js. Responses are FHIR
+ * resources and Bundles; errors are returned as OperationOutcomes.
+ */
+const router = createRouter({
+  name: 'fhir',
+  routes,
+  actions: {
+    metadata: handleMetadata,
+    smartConfiguration: handleSmartConfiguration,
+    transaction: handleTransaction,
+    export: handleExport,
+    exportStatus: handleExportStatus,
+    cancelExport: handleCancelExport,
+    exportFile: handleExportFile,
+    search: handleSearch,
+    create: handleCreate,
+    read: handleRead,
+    update: handleUpdate,
+    delete: handleDelete,
+  },
+});
+
+exports.handler = createHttpPipeline(router, { middleware: [withOperationOutcome()] });
+
+/**
+ * CapabilityStatement for the caller's tenant
+ * GET /fhir/r4/metadata
+ */
+async function handleMetadata({ event }) {
+  return fhirResponse.resource(
+    buildCapabilityStatement({
+      baseUrl: fhirResponse.getBaseUrl(event),
+      tenant: event.tenantContext,
+    })
+  );
+}
+
+/**
+ * SMART App Launch discovery document (public)
+ * GET /fhir/r4/.well-known/smart-configuration
+ */
+async function handleSmartConfiguration() {
+  return fhirResponse.resource(buildSmartConfiguration(), 200, {
+    'Content-Type': 'application/json',
+  });
+}
+
+/**
+ * Process a transaction or batch Bundle
+ * POST /fhir/r4
+ * Each entry needs the write scope of its resource type and counts against
+ * that type's quota, as the single-resource request would.
+ */
+async function handleTransaction({ tenantId, body, event, actor }) {
+  const authorize = async ({ method, resourceType }, created) => {
+    const definition = getFhirResource(resourceType);
+
+    if (!isFhirResourceEnabled(definition, event.tenantContext?.configuration)) {
+      throw new ValidationError(`Resource type ${resourceType} is not supported`, {
+        errors: [{ field: 'request.url', message: `unknown resource type '${resourceType}'` }],
+      });
+    }
+
+    requireScope(event, definition.scopes.write);
+
+    if (method === 'POST' && definition.quota) {
+      const pending = countCreated(created, definition.quota) + 1;
+      await assertTenantQuota(event.tenantContext, definition.quota, pending);
+    }
+  };
+
+  const { type, results, created } = await fhirBundleService.process(tenantId, body, actor, {
+    authorize,
+    usCore: isUsCoreEnabled(event.tenantContext?.configuration),
+  });
+
+  const quotas = new Set(Object.keys(created).map((item) => getFhirResource(item).quota));
+
+  for (const quota of quotas) {
+    if (quota) {
+      await recordTenantQuotaUsage(event.tenantContext, quota, countCreated(created, quota));
+    }
+  }
+
+  const entries = results.map((result) =>
+    result.error ? describeError(result.error, event) : result
+  );
+
+  return fhirResponse.resource(
+    fhirResponse.transactionResponse({ baseUrl: fhirResponse.getBaseUrl(event), type, entries })
+  );
+}
+
+/**
+ * Start a Bulk Data export of the tenant or of a Group
+ * GET /fhir/r4/$export
+ * GET /fhir/r4/Group/{id}/$export
+ * Exports run in the background (`Prefer: respond-async` is required), so
+ * the response is a 202 pointing at the status URL. A Group is a
+ * practitioner's patient panel; the caller needs the read scope of every
+ * type exported.
+ */
+async function handleExport({ tenantId, params, event, actor }) {
+  const prefer = getHeader(event, 'Prefer') || '';
+
+  if (!/respond-async/i.test(prefer)) {
+    throw new ValidationError('$export requires the Prefer: respond-async header', {
+      errors: [{ field: 'Prefer', message: "must include 'respond-async'" }],
+    });
+  }
+
+  if (getPatientScope(actor)) {
+    throw new ForbiddenError('Patient tokens cannot start a bulk export');
+  }
+
+  const configuration = event.tenantContext?.configuration;
+  const query = getSearchQuery(event);
+  const { types, since } = parseExportQuery(query, {
+    resourceTypes: listFhirResources(configuration).map(([type]) => type),
+    group: Boolean(params.id),
+    strict: /handling\s*=\s*strict/i.test(prefer),
+  });
+
+  types.forEach((type) => requireScope(event, getFhirResource(type).scopes.read));
+
+  const baseUrl = fhirResponse.getBaseUrl(event);
+  const job = await fhirExportService.startExport(
+    tenantId,
+    {
+      types,
+      since,
+      groupId: params.id,
+      requestUrl: getRequestUrl(baseUrl, event, query),
+      usCore: isUsCoreEnabled(configuration),
+    },
+    actor
+  );
+
+  return fhirResponse.resource(null, 202, {
+    'Content-Location': `${baseUrl}/$export-status/${job.id}`,
+    'Access-Control-Expose-Headers': 'Content-Location',
+  });
+}
+
+/**
+ * Poll a Bulk Data export
+ * GET /fhir/r4/$export-status/{jobId}
+ * 202 with X-Progress while it runs, the manifest once it completes and an
+ * OperationOutcome if it failed. File URLs need the same credentials.
+ */
+async function handleExportStatus({ tenantId, params, event, actor }) {
+  const job = await fhirExportService.getExport(tenantId, params.jobId, actor);
+
+  if (job.status === 'accepted' || job.status === 'in-progress') {
+    return fhirResponse.resource(null, 202, {
+      'X-Progress': job.progress || (job.status === 'accepted' ? 'Queued' : 'Started'),
+      'Retry-After': String(EXPORT_RETRY_AFTER_SECONDS),
+      'Access-Control-Expose-Headers': 'X-Progress, Retry-After',
+    });
+  }
+
+  if (job.status === 'failed') {
+    return fhirResponse.resource(
+      fhirResponse.operationOutcome([
+        { code: 'exception', diagnostics: 'The export failed; start a new export' },
+      ]),
+      500
+    );
+  }
+
+  const baseUrl = fhirResponse.getBaseUrl(event);
+
+  return fhirResponse.resource(
+    {
+      transactionTime: job.transaction_time,
+      request: job.request_url,
+      requiresAccessToken: true,
+      output: job.output.map(({ type, file, count }) => ({
+        type,
+        url: `${baseUrl}/$export-file/${job.id}/${file}`,
+        count,
+      })),
+      error: [],
+    },
+    200,
+    { 'Content-Type': 'application/json', Expires: new Date(job.expires_at).toUTCString() }
+  );
+}
+
+/**
+ * Cancel a Bulk Data export, or delete the files of a completed one
+ * DELETE /fhir/r4/$export-status/{jobId}
+ */
+async function handleCancelExport({ tenantId, params, actor }) {
+  await fhirExportService.cancelExport(tenantId, params.jobId, actor);
+  return fhirResponse.resource(null, 202);
+}
+
+/**
+ * Download one NDJSON file of a completed export
+ * GET /fhir/r4/$export-file/{jobId}/{file}
+ * Files in the documents bucket are too large to pass through Lambda, so
+ * the client is redirected to a short-lived signed URL.
+ */
+async function handleExportFile({ tenantId, params, actor }) {
+  const { url, body } = await fhirExportService.getExportFile(
+    tenantId,
+    params.jobId,
+    params.file,
+    actor
+  );
+
+  if (url) {
+    return fhirResponse.resource(null, 302, { Location: url });
+  }
+
+  return response.download(body, {
+    contentType: fhirResponse.FHIR_NDJSON_CONTENT_TYPE,
+    filename: params.file,
+  });
+}
+
+/**
+ * Search a resource type
+ * GET /fhir/r4/{resourceType}
+ * Unknown parameters are ignored unless the client sends
+ * `Prefer: handling=strict`.
+ */
+async function handleSearch({ tenantId, params, event, actor }) {
+  const resourceType = getResourceType(params, 'search-type', event);
+  const strict = /handling\s*=\s*strict/i.test(getHeader(event, 'Prefer') || '');
+
+  const result = await fhirService.search(tenantId, resourceType, getSearchQuery(event), actor, {
+    strict,
+    usCore: isUsCoreEnabled(event.tenantContext?.configuration),
+  });
+
+  return fhirResponse.resource(
+    fhirResponse.searchset({ baseUrl: fhirResponse.getBaseUrl(event), resourceType, ...result })
+  );
+}
+
+/**
+ * Create a resource; the server assigns the id
+ * POST /fhir/r4/{resourceType}
+ */
+async function handleCreate({ tenantId, params, body, event, actor }) {
+  const resourceType = getResourceType(params, 'create', event);
+  const created = await fhirService.create(tenantId, resourceType, body, actor, {
+    usCore: isUsCoreEnabled(event.tenantContext?.configuration),
+  });
+
+  return fhirResponse.resource(created, 201, {
+    Location: `${fhirResponse.getBaseUrl(event)}/${resourceType}/${created.id}`,
+  });
+}
+
+/**
+ * Read a resource
+ * GET /fhir/r4/{resourceType}/{id}
+ */
+async function handleRead({ tenantId, params, event, actor }) {
+  const resourceType = getResourceType(params, 'read', event);
+  return fhirResponse.resource(
+    await fhirService.read(tenantId, resourceType, params.id, actor, {
+      usCore: isUsCoreEnabled(event.tenantContext?.configuration),
+    })
+  );
+}
+
+/**
+ * Replace an existing resource
+ * PUT /fhir/r4/{resourceType}/{id}
+ */
+async function handleUpdate({ tenantId, params, body, event, actor }) {
+  const resourceType = getResourceType(params, 'update', event);
+  return fhirResponse.resource(
+    await fhirService.update(tenantId, resourceType, params.id, body, actor, {
+      usCore: isUsCoreEnabled(event.tenantContext?.configuration),
+    })
+  );
+}
+
+/**
+ * Delete a resource; records are deactivated, cancelled or discontinued
+ * rather than removed
+ * DELETE /fhir/r4/{resourceType}/{id}
+ */
+async function handleDelete({ tenantId, params, event, actor }) {
+  const resourceType = getResourceType(params, 'delete', event);
+  await fhirService.delete(tenantId, resourceType, params.id, actor);
+  return fhirResponse.noContent();
+}
+
+/**
+ * Resolve {resourceType}: 404 when it is not served or the tenant lacks its
+ * feature flag, 405 when it does not support the interaction
+ */
+function getResourceType(params, interaction, event) {
+  const definition = getFhirResource(params.resourceType);
+
+  if (!definition || !isFhirResourceEnabled(definition, event.tenantContext?.configuration)) {
+    throw new RouteNotFoundError(event.httpMethod, event.path);
+  }
+
+  if (!definition.interactions.includes(interaction)) {
+    throw new MethodNotAllowedError(event.httpMethod);
+  }
+
+  return params.resourceType;
+}
+
+/**
+ * Resources created by a Bundle that count against a quota
+ * @param {Object} created - resourceType → number created
+ */
+function countCreated(created, quota) {
+  return Object.entries(created)
+    .filter(([resourceType]) => getFhirResource(resourceType).quota === quota)
+    .reduce((sum, [, count]) => sum + count, 0);
+}
+
+/**
+ * Search parameters as name → array of values, keeping repeated parameters
+ * such as date=ge2024-01-01&date=le2024-01-31
+ */
+function getSearchQuery(event) {
+  if (event.multiValueQueryStringParameters) {
+    return { ...event.multiValueQueryStringParameters };
+  }
+
+  return Object.fromEntries(
+    Object.entries(event.queryStringParameters || {}).map(([name, value]) => [name, [value]])
+  );
+}
+
+/**
+ * The kickoff URL, which the manifest echoes as `request`
+ */
+function getRequestUrl(baseUrl, event, query) {
+  const path = (event.path || '').replace(/^.*?\/fhir\/r4/, '');
+  const search = new URLSearchParams(
+    Object.entries(query).flatMap(([name, values]) => values.map((value) => [name, value]))
+  ).toString();
+
+  return `${baseUrl}${path}${search ? `?${search}` : ''}`;
+}
+
+function getHeader(event, name) {
+  const headers = event.headers || {};
+  const key = Object.keys(headers).find((h) => h.toLowerCase() === name.toLowerCase());
+  return key ? headers[key] : undefined;
+}
@@ -0,0 +1,68 @@
+const Hl7Service = require('../services/hl7.service');
+const response = require('../utils/response');
+const { HL7_CONTENT_TYPE } = require('../utils/hl7');
+const { createRouter } = require('../utils/router');
+const { createHttpPipeline } = require('../middleware/pipeline');
+const routes = require('../routes/hl7.routes');
+
+const hl7Service = new Hl7Service();
+
+/**
+ * Main handler for the HL7 v2 Lambda function
+ * Routes are declared in src/routes/hl7.routes.js
+ */
+const router = createRouter({
+  name: 'hl7',
+  routes,
+  actions: {
+    receive: handleReceive,
+    list: handleList,
+    getById: handleGetById,
+    replay: handleReplay,
+  },
+});
+
+exports.handler = createHttpPipeline(router);
+
+/**
+ * Apply one ER7-encoded message and return its ACK
+ * POST /api/v1/hl7/messages
+ * The ACK carries the outcome, so it is returned with 200 even when it is an
+ * AE or AR, as HL7 over HTTP expects.
+ */
+async function handleReceive({ tenantId, body, actor }) {
+  const { ack, ackCode, messageId } = await hl7Service.processMessage(tenantId, body, actor);
+
+  return response.text(ack, {
+    contentType: HL7_CONTENT_TYPE,
+    headers: {
+      'X-HL7-Message-Id': messageId,
+      'X-HL7-Ack-Code': ackCode,
+      'Access-Control-Expose-Headers': 'X-HL7-Message-Id, X-HL7-Ack-Code',
+    },
+  });
+}
+
+/**
+ * Message log, newest first
+ * GET /api/v1/hl7/messages
+ */
+async function handleList({ tenantId, query, actor }) {
+  return hl7Service.listMessages(tenantId, query, actor);
+}
+
+/**
+ * One logged message with its content and ACK
+ * GET /api/v1/hl7/messages/{messageId}
+ */
+async function handleGetById({ tenantId, params, actor }) {
+  return hl7Service.getMessage(tenantId, params.messageId, actor);
+}
+
+/**
+ * Process a logged message again
+ * POST /api/v1/hl7/messages/{messageId}/replay
+ */
+async function handleReplay({ tenantId, params, actor }) {
+  return hl7Service.replayMessage(tenantId, params.messageId, actor);
+}
@@ -1,157 +1,54 @@
-const { v4: uuidv4 } = require('uuid');
-const response = require('../utils/response');
 const logger = require('../utils/logger');
 const NotificationService = require('../services/notification.service');
 const { NotFoundError, ValidationError } = require('../utils/errors');
+const { createRouter } = require('../utils/router');
+const { createHttpPipeline } = require('../middleware/pipeline');
+const routes = require('../routes/notification.routes');
 
 const notificationService = new NotificationService();
 
 /**
  * Main handler for notification-related Lambda function
- * Routes requests based on HTTP method and path
+ * Routes are declared in src/routes/notification.routes.js
  */
-exports.handler = async (event) => {
-  try {
-    const { httpMethod, pathParameters, body, queryStringParameters, path } = event;
-    const tenantId = event.requestContext.authorizer.tenantId;
-    const requestId = uuidv4();
-
-    logger.info(`${httpMethod} request to notification handler`, {
-      requestId,
-      tenantId,
-      path,
-    });
-
-    let result;
-
-    // Handle patient notification preferences
-    if (path.includes('/patients/') && path.includes('/notification-preferences')) {
-      const patientId = pathParameters.patientId;
-
-      switch (httpMethod) {
-        case 'GET':
-          // GET /api/v1/patients/{patientId}/notification-preferences
-          result = await handleGetPatientPreferences(tenantId, patientId);
-          return response.success(result, 200, { requestId });
-
-        case 'PUT':
-          // PUT /api/v1/patients/{patientId}/notification-preferences
-          result = await handleUpdatePatientPreferences(tenantId, patientId, body, requestId);
-          return response.success(result, 200, { requestId });
-
-        default:
-          return response.error('METHOD_NOT_ALLOWED', 'Method not allowed', 405);
-      }
-    }
-
-    // Handle patient notifications list
-    if (path.includes('/patients/') && path.includes('/notifications')) {
-      const patientId = pathParameters.patientId;
-
-      if (httpMethod === 'GET') {
-        // GET /api/v1/patients/{patientId}/notifications
-        result = await handleListPatientNotifications(
-          tenantId,
-          patientId,
-          queryStringParameters
-        );
-        return response.success(result, 200, { requestId });
-      }
-    }
-
-    // Handle delivery status check
-    if (path.includes('/notifications/delivery-status') && httpMethod === 'GET') {
-      // GET /api/v1/notifications/delivery-status?ids=...
-      result = await handleGetDeliveryStatus(tenantId, queryStringParameters);
-      return response.success(result, 200, { requestId });
-    }
-
-    // Handle notification templates (if needed for customization)
-    if (path.includes('/notifications/templates')) {
-      switch (httpMethod) {
-        case 'GET':
-          // GET /api/v1/notifications/templates
-          result = await handleListTemplates();
-          return response.success(result, 200, { requestId });
-
-        case 'POST':
-          // POST /api/v1/notifications/templates (custom templates)
-          result = await handleCreateCustomTemplate(tenantId, body, requestId);
-          return response.success(result, 201, { requestId });
-
-        default:
-          return response.error('METHOD_NOT_ALLOWED', 'Method not allowed', 405);
-      }
-    }
-
-    // Handle individual notification operations
-    if (pathParameters?.notificationId) {
-      const notificationId = pathParameters.notificationId;
-
-      // Handle mark as read
-      if (path.includes('/read') && httpMethod === 'POST') {
-        // POST /api/v1/notifications/{notificationId}/read
-        result = await handleMarkAsRead(tenantId, notificationId, requestId);
-        return response.success(result, 200, { requestId });
-      }
-
-      switch (httpMethod) {
-        case 'GET':
-          // GET /api/v1/notifications/{notificationId}
-          result = await handleGetById(tenantId, notificationId);
-          break;
-
-        default:
-          return response.error('METHOD_NOT_ALLOWED', 'Method not allowed', 405);
-      }
-
-      return response.success(result, 200, { requestId });
-    }
-
-    // Handle notification creation (typically done internally, but exposed for manual sends)
-    if (httpMethod === 'POST' && path === '/api/v1/notifications') {
-      result = await handleCreate(tenantId, body, requestId);
-      return response.success(result, 201, { requestId });
-    }
-
-    // Handle general notification listing
-    if (httpMethod === 'GET' && path === '/api/v1/notifications') {
-      result = await handleList(tenantId, queryStringParameters);
-      return response.success(result, 200, { requestId });
-    }
-
-    // If we reach here, the route is not recognized
-    return response.error('NOT_FOUND', 'Resource not found', 404);
-  } catch (error) {
-    logger.error('Notification handler error', error);
-
-    if (error.isOperational) {
-      return response.error(error.errorCode, error.message, error.statusCode, error.details);
-    }
-
-    return response.error('INTERNAL_ERROR', 'An internal error occurred', 500);
-  }
-};
+const router = createRouter({
+  name: 'notification',
+  routes,
+  actions: {
+    create: handleCreate,
+    list: handleList,
+    getDeliveryStatus: handleGetDeliveryStatus,
+    listTemplates: handleListTemplates,
+    createCustomTemplate: handleCreateCustomTemplate,
+    getById: handleGetById,
+    markAsRead: handleMarkAsRead,
+    listPatientNotifications: handleListPatientNotifications,
+    getPatientPreferences: handleGetPatientPreferences,
+    updatePatientPreferences: handleUpdatePatientPreferences,
+  },
+});
+
+exports.handler = createHttpPipeline(router);
 
 /**
  * Create a new notification (manual send)
  * POST /api/v1/notifications
  */
-async function handleCreate(tenantId, body, requestId) {
-  const notificationData = JSON.parse(body);
-
-  // Validate required fields
-  validateNotificationData(notificationData);
-
-  return notificationService.createNotification(tenantId, notificationData, requestId);
+async function handleCreate({ tenantId, body, actor }) {
+  return notificationService.createNotification(tenantId, body, actor);
 }
 
 /**
  * Get notification by ID
  * GET /api/v1/notifications/{notificationId}
  */
-async function handleGetById(tenantId, notificationId) {
-  const notification = await notificationService.getNotificationById(tenantId, notificationId);
+async function handleGetById({ tenantId, params, actor }) {
+  const { notificationId } = params;
+  const notification = await notificationService.getNotificationById(
+    tenantId,
+    notificationId,
+    actor
+  );
 
   if (!notification) {
     throw new NotFoundError('Notification', notificationId);
@@ -164,15 +61,15 @@ async function handleGetById(tenantId, notificationId) {
  * List notifications (admin view)
  * GET /api/v1/notifications
  */
-async function handleList(tenantId, queryParams) {
+async function handleList({ query }) {
   const filters = {
-    page: parseInt(queryParams?.page || '1', 10),
-    limit: parseInt(queryParams?.limit || '50', 10),
-    status: queryParams?.status,
-    type: queryParams?.type,
-    patientId: queryParams?.patientId,
-    startDate: queryParams?.startDate,
-    endDate: queryParams?.endDate,
+    page: parseInt(query.page || '1', 10),
+    limit: parseInt(query.limit || '50', 10),
+    status: query.status,
+    type: query.type,
+    patientId: query.patientId,
+    startDate: query.startDate,
+    endDate: query.endDate,
   };
 
   // This would need to be implemented in the service
@@ -187,36 +84,30 @@ async function handleList(tenantId, queryParams) {
  * List notifications for a specific patient
  * GET /api/v1/patients/{patientId}/notifications
  */
-async function handleListPatientNotifications(tenantId, patientId, queryParams) {
+async function handleListPatientNotifications({ tenantId, params, query, actor }) {
+  const { patientId } = params;
   const filters = {
-    page: parseInt(queryParams?.page || '1', 10),
-    limit: parseInt(queryParams?.limit || '50', 10),
-    status: queryParams?.status, // 'pending', 'delivered', 'failed', 'read'
-    type: queryParams?.type,
+    page: parseInt(query.page || '1', 10),
+    limit: parseInt(query.limit || '50', 10),
+    status: query.status, // 'pending', 'delivered', 'failed', 'read'
+    type: query.type,
   };
 
-  return notificationService.listPatientNotifications(tenantId, patientId, filters);
+  return notificationService.listPatientNotifications(tenantId, patientId, filters, actor);
 }
 
 /**
  * Get patient notification preferences
  * GET /api/v1/patients/{patientId}/notification-preferences
  */
-async function handleGetPatientPreferences(tenantId, patientId) {
-  // Get patient data including communication preferences
-  const db = require('../config/database');
-  
-  const result = await db.query(
-    'SELECT communication_preferences FROM patients WHERE tenant_id = $1 AND id = $2',
-    [tenantId, patientId]
+async function handleGetPatientPreferences({ tenantId, params, actor }) {
+  const { patientId } = params;
+  const preferences = await notificationService.getPatientNotificationPreferences(
+    tenantId,
+    patientId,
+    actor
   );
 
-  if (result.rows.length === 0) {
-    throw new NotFoundError('Patient', patientId);
-  }
-
-  const preferences = result.rows[0].communication_preferences || {};
-
   return {
     patient_id: patientId,
     preferences: {
@@ -241,8 +132,9 @@ async function handleGetPatientPreferences(tenantId, patientId) {
  * Update patient notification preferences
  * PUT /api/v1/patients/{patientId}/notification-preferences
  */
-async function handleUpdatePatientPreferences(tenantId, patientId, body, requestId) {
-  const preferencesData = JSON.parse(body);
+async function handleUpdatePatientPreferences({ tenantId, params, body, actor }) {
+  const { patientId } = params;
+  const preferencesData = body || {};
 
   // Validate preferences
   validatePreferencesData(preferencesData);
@@ -251,7 +143,7 @@ async function handleUpdatePatientPreferences(tenantId, patientId, body, request
     tenantId,
     patientId,
     preferencesData,
-    requestId
+    actor
   );
 
   return {
@@ -265,8 +157,12 @@ async function handleUpdatePatientPreferences(tenantId, patientId, body, request
  * Mark notification as read
  * POST /api/v1/notifications/{notificationId}/read
  */
-async function handleMarkAsRead(tenantId, notificationId, requestId) {
-  const notification = await notificationService.markAsRead(tenantId, notificationId, requestId);
+async function handleMarkAsRead({ tenantId, params, actor }) {
+  const notification = await notificationService.markAsRead(
+    tenantId,
+    params.notificationId,
+    actor
+  );
 
   return {
     message: 'Notification marked as read',
@@ -278,8 +174,8 @@ async function handleMarkAsRead(tenantId, notificationId, requestId) {
  * Get delivery status for multiple notifications
  * GET /api/v1/notifications/delivery-status?ids=id1,id2,id3
  */
-async function handleGetDeliveryStatus(tenantId, queryParams) {
-  const idsParam = queryParams?.ids;
+async function handleGetDeliveryStatus({ tenantId, query, actor }) {
+  const idsParam = query.ids;
 
   if (!idsParam) {
     throw new ValidationError('ids query parameter is required');
@@ -295,7 +191,7 @@ async function handleGetDeliveryStatus(tenantId, queryParams) {
     throw new ValidationError('Maximum 100 notification IDs allowed per request');
   }
 
-  const statuses = await notificationService.getDeliveryStatus(tenantId, notificationIds);
+  const statuses = await notificationService.getDeliveryStatus(tenantId, notificationIds, actor);
 
   return {
     count: statuses.length,
@@ -389,8 +285,8 @@ async function handleListTemplates() {
  * Create custom notification template (for tenant customization)
  * POST /api/v1/notifications/templates
  */
-async function handleCreateCustomTemplate(tenantId, body, requestId) {
-  const templateData = JSON.parse(body);
+async function handleCreateCustomTemplate({ tenantId, body, actor }) {
+  const templateData = body || {};
 
   // Validate template data
   if (!templateData.type) {
@@ -404,7 +300,7 @@ async function handleCreateCustomTemplate(tenantId, body, requestId) {
   // This would be stored in a custom templates table
   // For now, return a placeholder
   logger.info(`Custom template creation requested for tenant: ${tenantId}`, {
-    requestId,
+    requestId: actor.requestId,
     templateType: templateData.type,
   });
 
@@ -414,31 +310,6 @@ async function handleCreateCustomTemplate(tenantId, body, requestId) {
   };
 }
 
-/**
- * Validate notification data
- */
-function validateNotificationData(data) {
-  if (!data.notification_type) {
-    throw new ValidationError('notification_type is required');
-  }
-
-  if (!data.channel) {
-    throw new ValidationError('channel is required (sms, email, or push)');
-  }
-
-  if (!['sms', 'email', 'push'].includes(data.channel)) {
-    throw new ValidationError('channel must be one of: sms, email, push');
-  }
-
-  if (!data.patient_id && !data.provider_id) {
-    throw new ValidationError('Either patient_id or provider_id is required');
-  }
-
-  if (data.priority && !['low', 'medium', 'high', 'urgent'].includes(data.priority)) {
-    throw new ValidationError('priority must be one of: low, medium, high, urgent');
-  }
-}
-
 /**
  * Validate notification preferences data
  */
@@ -1,92 +1,76 @@
-const { v4: uuidv4 } = require('uuid');
-const response = require('../utils/response');
-const logger = require('../utils/logger');
-const { validate, schemas } = require('../utils/validator');
 const PatientService = require('../services/patient.service');
+const CcdService = require('../services/ccd.service');
+const response = require('../utils/response');
+const { CCDA_CONTENT_TYPE } = require('../utils/ccda');
 const { NotFoundError } = require('../utils/errors');
+const { createRouter } = require('../utils/router');
+const { createHttpPipeline } = require('../middleware/pipeline');
+const routes = require('../routes/patient.routes');
 
 const patientService = new PatientService();
-
-exports.handler = async (event) => {
-  try {
-    const { httpMethod, pathParameters, body, queryStringParameters } = event;
-    const tenantId = event.requestContext.authorizer.tenantId;
-    const requestId = uuidv4();
-
-    logger.info(`${httpMethod} request to patient handler`, {
-      requestId,
-      tenantId,
-      path: event.path,
-    });
-
-    let result;
-
-    switch (httpMethod) {
-      case 'POST':
-        result = await handleCreate(tenantId, body, requestId);
-        break;
-
-      case 'GET':
-        if (pathParameters?.patientId) {
-          result = await handleGetById(tenantId, pathParameters.patientId);
-        } else {
-          result = await handleList(tenantId, queryStringParameters);
-        }
-        break;
-
-      case 'PUT':
-        result = await handleUpdate(tenantId, pathParameters.patientId, body, requestId);
-        break;
-
-      case 'DELETE':
-        result = await handleDelete(tenantId, pathParameters.patientId, requestId);
-        break;
-
-      default:
-        return response.error('METHOD_NOT_ALLOWED', 'Method not allowed', 405);
-    }
-
-    return response.success(result, httpMethod === 'POST' ? 201 : 200, { requestId });
-  } catch (error) {
-    logger.error('Patient handler error', error);
-
-    if (error.isOperational) {
-      return response.error(error.errorCode, error.message, error.statusCode, error.details);
-    }
-
-    return response.error('INTERNAL_ERROR', 'An internal error occurred', 500);
-  }
-};
-
-async function handleCreate(tenantId, body, requestId) {
-  const patientData = validate(schemas.patient, JSON.parse(body));
-  return patientService.createPatient(tenantId, patientData, requestId);
+const ccdService = new CcdService();
+
+const router = createRouter({
+  name: 'patient',
+  routes,
+  actions: {
+    create: handleCreate,
+    list: handleList,
+    getById: handleGetById,
+    update: handleUpdate,
+    delete: handleDelete,
+    getCcd: handleGetCcd,
+    importCcd: handleImportCcd,
+  },
+});
+
+exports.handler = createHttpPipeline(router);
+
+async function handleCreate({ tenantId, body, actor }) {
+  return patientService.createPatient(tenantId, body, actor);
 }
 
-async function handleGetById(tenantId, patientId) {
-  const patient = await patientService.getPatientById(tenantId, patientId);
+async function handleGetById({ tenantId, params, actor }) {
+  const patient = await patientService.getPatientById(tenantId, params.patientId, actor);
   if (!patient) {
-    throw new NotFoundError('Patient', patientId);
+    throw new NotFoundError('Patient', params.patientId);
   }
   return patient;
 }
 
-async function handleList(tenantId, queryParams) {
+async function handleList({ tenantId, query, actor }) {
   const filters = {
-    page: parseInt(queryParams?.page || '1', 10),
-    limit: parseInt(queryParams?.limit || '50', 10),
-    search: queryParams?.search,
-    status: queryParams?.status,
+    page: parseInt(query.page || '1', 10),
+    limit: parseInt(query.limit || '50', 10),
+    search: query.search,
+    status: query.status,
   };
-  return patientService.listPatients(tenantId, filters);
+  return patientService.listPatients(tenantId, filters, actor);
 }
 
-async function handleUpdate(tenantId, patientId, body, requestId) {
-  const updateData = JSON.parse(body);
-  return patientService.updatePatient(tenantId, patientId, updateData, requestId);
+async function handleUpdate({ tenantId, params, body, actor }) {
+  const updateData = body || {};
+  return patientService.updatePatient(tenantId, params.patientId, updateData, actor);
 }
 
-async function handleDelete(tenantId, patientId, requestId) {
-  await patientService.deletePatient(tenantId, patientId, requestId);
+async function handleDelete({ tenantId, params, actor }) {
+  await patientService.deletePatient(tenantId, params.patientId, actor);
   return { message: 'Patient deleted successfully' };
-}
\ No newline at end of file
+}
+
+/**
+ * The patient's C-CDA Continuity of Care Document
+ * GET /api/v1/patients/{patientId}/ccd
+ */
+async function handleGetCcd({ tenantId, params, actor }) {
+  const xml = await ccdService.generateCcd(tenantId, params.patientId, actor);
+  return response.text(xml, { contentType: CCDA_CONTENT_TYPE });
+}
+
+/**
+ * Add the medications and problems of a received CCD
+ * POST /api/v1/patients/{patientId}/ccd/import?dryRun=&providerId=
+ */
+async function handleImportCcd({ tenantId, params, query, body, actor }) {
+  return ccdService.importCcd(tenantId, params.patientId, body, query, actor);
+}
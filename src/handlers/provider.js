@@ -1,164 +1,64 @@
-const { v4: uuidv4 } = require('uuid');
-const response = require('../utils/response');
-const logger = require('../utils/logger');
 const ProviderService = require('../services/provider.service');
+const AppointmentService = require('../services/appointment.service');
+const AvailabilityService = require('../services/availability.service');
 const { NotFoundError, ValidationError } = require('../utils/errors');
+const { schemas } = require('../utils/validator');
+const { createRouter } = require('../utils/router');
+const { createHttpPipeline } = require('../middleware/pipeline');
+const routes = require('../routes/provider.routes');
 
 const providerService = new ProviderService();
+const availabilityService = new AvailabilityService();
 
 /**
  * Main handler for provider-related Lambda function
- * Routes requests based on HTTP method and path
+ * Routes are declared in src/routes/provider.routes.js
  */
-exports.handler = async (event) => {
-  try {
-    const { httpMethod, pathParameters, body, queryStringParameters, path } = event;
-    const tenantId = event.requestContext.authorizer.tenantId;
-    const requestId = uuidv4();
-
-    logger.info(`${httpMethod} request to provider handler`, {
-      requestId,
-      tenantId,
-      path,
-    });
-
-    let result;
-
-    // Handle provider availability routes
-    if (path.includes('/providers/') && path.includes('/availability')) {
-      const providerId = pathParameters.providerId;
-
-      switch (httpMethod) {
-        case 'GET':
-          // GET /api/v1/providers/{providerId}/availability
-          result = await handleGetAvailability(tenantId, providerId, queryStringParameters);
-          return response.success(result, 200, { requestId });
-
-        case 'PUT':
-          // PUT /api/v1/providers/{providerId}/availability
-          result = await handleUpdateAvailability(tenantId, providerId, body, requestId);
-          return response.success(result, 200, { requestId });
-
-        default:
-          return response.error('METHOD_NOT_ALLOWED', 'Method not allowed', 405);
-      }
-    }
-
-    // Handle provider statistics
-    if (path.includes('/providers/') && path.includes('/statistics')) {
-      const providerId = pathParameters.providerId;
-
-      if (httpMethod === 'GET') {
-        // GET /api/v1/providers/{providerId}/statistics
-        result = await handleGetStatistics(tenantId, providerId, queryStringParameters);
-        return response.success(result, 200, { requestId });
-      }
-    }
-
-    // Handle provider-facility associations
-    if (path.includes('/providers/') && path.includes('/facilities')) {
-      const providerId = pathParameters.providerId;
-
-      switch (httpMethod) {
-        case 'POST':
-          // POST /api/v1/providers/{providerId}/facilities
-          result = await handleAssociateFacility(tenantId, providerId, body, requestId);
-          return response.success(result, 201, { requestId });
-
-        case 'DELETE':
-          // DELETE /api/v1/providers/{providerId}/facilities/{facilityId}
-          const facilityId = pathParameters.facilityId;
-          result = await handleDisassociateFacility(tenantId, providerId, facilityId, requestId);
-          return response.success(result, 200, { requestId });
-
-        default:
-          return response.error('METHOD_NOT_ALLOWED', 'Method not allowed', 405);
-      }
-    }
-
-    // Handle provider appointments
-    if (path.includes('/providers/') && path.includes('/appointments')) {
-      const providerId = pathParameters.providerId;
-
-      if (httpMethod === 'GET') {
-        // GET /api/v1/providers/{providerId}/appointments
-        // This delegates to appointment service
-        result = await handleGetProviderAppointments(tenantId, providerId, queryStringParameters);
-        return response.success(result, 200, { requestId });
-      }
-    }
-
-    // Handle individual provider operations
-    if (pathParameters?.providerId) {
-      const providerId = pathParameters.providerId;
-
-      switch (httpMethod) {
-        case 'GET':
-          // GET /api/v1/providers/{providerId}
-          result = await handleGetById(tenantId, providerId);
-          break;
-
-        case 'PUT':
-          // PUT /api/v1/providers/{providerId}
-          result = await handleUpdate(tenantId, providerId, body, requestId);
-          break;
-
-        case 'DELETE':
-          // DELETE /api/v1/providers/{providerId}
-          result = await handleDeactivate(tenantId, providerId, requestId);
-          break;
-
-        default:
-          return response.error('METHOD_NOT_ALLOWED', 'Method not allowed', 405);
-      }
-
-      return response.success(result, 200, { requestId });
-    }
-
-    // Handle provider creation and listing
-    switch (httpMethod) {
-      case 'POST':
-        // POST /api/v1/providers
-        result = await handleCreate(tenantId, body, requestId);
-        return response.success(result, 201, { requestId });
-
-      case 'GET':
-        // GET /api/v1/providers
-        result = await handleList(tenantId, queryStringParameters);
-        return response.success(result, 200, { requestId });
-
-      default:
-        return response.error('METHOD_NOT_ALLOWED', 'Method not allowed', 405);
-    }
-  } catch (error) {
-    logger.error('Provider handler error', error);
-
-    if (error.isOperational) {
-      return response.error(error.errorCode, error.message, error.statusCode, error.details);
-    }
-
-    return response.error('INTERNAL_ERROR', 'An internal error occurred', 500);
-  }
-};
+const router = createRouter({
+  name: 'provider',
+  routes,
+  actions: {
+    create: handleCreate,
+    list: handleList,
+    getById: handleGetById,
+    update: handleUpdate,
+    deactivate: handleDeactivate,
+    getAvailability: handleGetAvailability,
+    updateAvailability: handleUpdateAvailability,
+    getStatistics: handleGetStatistics,
+    associateFacility: handleAssociateFacility,
+    disassociateFacility: handleDisassociateFacility,
+    listAppointments: handleGetProviderAppointments,
+    listHolidays: handleListHolidays,
+    createHoliday: handleCreateHoliday,
+    deleteHoliday: handleDeleteHoliday,
+    listExceptions: handleListExceptions,
+    createException: handleCreateException,
+    deleteException: handleDeleteException,
+  },
+});
+
+exports.handler = createHttpPipeline(router);
 
 /**
  * Create a new provider
  * POST /api/v1/providers
  */
-async function handleCreate(tenantId, body, requestId) {
-  const providerData = JSON.parse(body);
+async function handleCreate({ tenantId, body, actor }) {
+  const providerData = body || {};
 
   // Validate required fields
   validateProviderData(providerData);
 
-  return providerService.createProvider(tenantId, providerData, requestId);
+  return providerService.createProvider(tenantId, providerData, actor);
 }
 
 /**
  * Get provider by ID
  * GET /api/v1/providers/{providerId}
  */
-async function handleGetById(tenantId, providerId) {
+async function handleGetById({ tenantId, params }) {
+  const { providerId } = params;
   const provider = await providerService.getProviderById(tenantId, providerId);
 
   if (!provider) {
@@ -172,13 +72,13 @@ async function handleGetById(tenantId, providerId) {
  * List providers with filtering
  * GET /api/v1/providers
  */
-async function handleList(tenantId, queryParams) {
+async function handleList({ tenantId, query }) {
   const filters = {
-    page: parseInt(queryParams?.page || '1', 10),
-    limit: parseInt(queryParams?.limit || '50', 10),
-    specialization: queryParams?.specialization,
-    facilityId: queryParams?.facilityId,
-    search: queryParams?.search,
+    page: parseInt(query.page || '1', 10),
+    limit: parseInt(query.limit || '50', 10),
+    specialization: query.specialization,
+    facilityId: query.facilityId,
+    search: query.search,
   };
 
   // Validate pagination
@@ -193,8 +93,8 @@ async function handleList(tenantId, queryParams) {
  * Update provider information
  * PUT /api/v1/providers/{providerId}
  */
-async function handleUpdate(tenantId, providerId, body, requestId) {
-  const updateData = JSON.parse(body);
+async function handleUpdate({ tenantId, params, body, actor }) {
+  const updateData = { ...body };
 
   // Remove fields that shouldn't be updated directly
   delete updateData.id;
@@ -211,15 +111,20 @@ async function handleUpdate(tenantId, providerId, body, requestId) {
     }
   }
 
-  return providerService.updateProvider(tenantId, providerId, updateData, requestId);
+  if (updateData.appointment_buffers !== undefined) {
+    validateAppointmentBuffers(updateData.appointment_buffers);
+  }
+
+  return providerService.updateProvider(tenantId, params.providerId, updateData, actor);
 }
 
 /**
  * Deactivate a provider
  * DELETE /api/v1/providers/{providerId}
  */
-async function handleDeactivate(tenantId, providerId, requestId) {
-  await providerService.deactivateProvider(tenantId, providerId, requestId);
+async function handleDeactivate({ tenantId, params, actor }) {
+  const { providerId } = params;
+  await providerService.deactivateProvider(tenantId, providerId, actor);
 
   return {
     message: 'Provider deactivated successfully',
@@ -231,15 +136,17 @@ async function handleDeactivate(tenantId, providerId, requestId) {
  * Get provider availability
  * GET /api/v1/providers/{providerId}/availability
  */
-async function handleGetAvailability(tenantId, providerId, queryParams) {
+async function handleGetAvailability({ tenantId, params, query }) {
+  const { providerId } = params;
+
   // Default to next 30 days if not specified
   const today = new Date();
   const thirtyDaysFromNow = new Date();
   thirtyDaysFromNow.setDate(today.getDate() + 30);
 
   const dateRange = {
-    startDate: queryParams?.startDate || today.toISOString().split('T')[0],
-    endDate: queryParams?.endDate || thirtyDaysFromNow.toISOString().split('T')[0],
+    startDate: query.startDate || today.toISOString().split('T')[0],
+    endDate: query.endDate || thirtyDaysFromNow.toISOString().split('T')[0],
   };
 
   // Validate date range
@@ -273,8 +180,8 @@ async function handleGetAvailability(tenantId, providerId, queryParams) {
  * Update provider availability
  * PUT /api/v1/providers/{providerId}/availability
  */
-async function handleUpdateAvailability(tenantId, providerId, body, requestId) {
-  const availabilityData = JSON.parse(body);
+async function handleUpdateAvailability({ tenantId, params, body, actor }) {
+  const availabilityData = body || {};
 
   // Validate availability data
   if (!availabilityData.slots || !Array.isArray(availabilityData.slots)) {
@@ -285,22 +192,29 @@ async function handleUpdateAvailability(tenantId, providerId, body, requestId) {
     throw new ValidationError('At least one availability slot is required');
   }
 
-  return providerService.updateProviderAvailability(tenantId, providerId, availabilityData, requestId);
+  return providerService.updateProviderAvailability(
+    tenantId,
+    params.providerId,
+    availabilityData,
+    actor
+  );
 }
 
 /**
  * Get provider statistics
  * GET /api/v1/providers/{providerId}/statistics
  */
-async function handleGetStatistics(tenantId, providerId, queryParams) {
+async function handleGetStatistics({ tenantId, params, query }) {
+  const { providerId } = params;
+
   // Default to last 30 days if not specified
   const today = new Date();
   const thirtyDaysAgo = new Date();
   thirtyDaysAgo.setDate(today.getDate() - 30);
 
   const dateRange = {
-    startDate: queryParams?.startDate || thirtyDaysAgo.toISOString().split('T')[0],
-    endDate: queryParams?.endDate || today.toISOString().split('T')[0],
+    startDate: query.startDate || thirtyDaysAgo.toISOString().split('T')[0],
+    endDate: query.endDate || today.toISOString().split('T')[0],
   };
 
   // Validate date range
@@ -322,8 +236,8 @@ async function handleGetStatistics(tenantId, providerId, queryParams) {
  * Associate provider with a facility
  * POST /api/v1/providers/{providerId}/facilities
  */
-async function handleAssociateFacility(tenantId, providerId, body, requestId) {
-  const data = JSON.parse(body);
+async function handleAssociateFacility({ tenantId, params, body, actor }) {
+  const data = body || {};
 
   if (!data.facility_id) {
     throw new ValidationError('facility_id is required');
@@ -333,10 +247,10 @@ async function handleAssociateFacility(tenantId, providerId, body, requestId) {
 
   const association = await providerService.associateProviderWithFacility(
     tenantId,
-    providerId,
+    params.providerId,
     data.facility_id,
     isPrimary,
-    requestId
+    actor
   );
 
   return {
@@ -349,16 +263,14 @@ async function handleAssociateFacility(tenantId, providerId, body, requestId) {
  * Remove provider-facility association
  * DELETE /api/v1/providers/{providerId}/facilities/{facilityId}
  */
-async function handleDisassociateFacility(tenantId, providerId, facilityId, requestId) {
-  if (!facilityId) {
-    throw new ValidationError('facilityId is required');
-  }
+async function handleDisassociateFacility({ tenantId, params, actor }) {
+  const { providerId, facilityId } = params;
 
   await providerService.removeProviderFacilityAssociation(
     tenantId,
     providerId,
     facilityId,
-    requestId
+    actor
   );
 
   return {
@@ -368,25 +280,86 @@ async function handleDisassociateFacility(tenantId, providerId, facilityId, requ
   };
 }
 
+/**
+ * List the tenant's holidays
+ * GET /api/v1/availability/holidays
+ */
+async function handleListHolidays({ tenantId, query }) {
+  return availabilityService.listHolidays(tenantId, { facilityId: query.facilityId });
+}
+
+/**
+ * Add a holiday to the tenant's calendar
+ * POST /api/v1/availability/holidays
+ * The response lists the booked appointments that fall on it
+ */
+async function handleCreateHoliday({ tenantId, body, actor }) {
+  return availabilityService.createHoliday(tenantId, body, actor);
+}
+
+/**
+ * Remove a holiday
+ * DELETE /api/v1/availability/holidays/{holidayId}
+ */
+async function handleDeleteHoliday({ tenantId, params, actor }) {
+  const { holidayId } = params;
+  await availabilityService.deleteHoliday(tenantId, holidayId, actor);
+
+  return {
+    message: 'Holiday deleted successfully',
+    holiday_id: holidayId,
+  };
+}
+
+/**
+ * List blocks and ad-hoc sessions
+ * GET /api/v1/availability/exceptions
+ */
+async function handleListExceptions({ tenantId, query }) {
+  return availabilityService.listExceptions(tenantId, query);
+}
+
+/**
+ * Block a provider or facility, or add an ad-hoc session
+ * POST /api/v1/availability/exceptions
+ * For a block, the response lists the booked appointments it overlaps
+ */
+async function handleCreateException({ tenantId, body, actor }) {
+  return availabilityService.createException(tenantId, body, actor);
+}
+
+/**
+ * Remove a block or session
+ * DELETE /api/v1/availability/exceptions/{exceptionId}
+ */
+async function handleDeleteException({ tenantId, params, actor }) {
+  const { exceptionId } = params;
+  await availabilityService.deleteException(tenantId, exceptionId, actor);
+
+  return {
+    message: 'Availability exception deleted successfully',
+    exception_id: exceptionId,
+  };
+}
+
 /**
  * Get provider's appointments
  * GET /api/v1/providers/{providerId}/appointments
  * This delegates to the appointment service
  */
-async function handleGetProviderAppointments(tenantId, providerId, queryParams) {
-  const AppointmentService = require('../services/appointment.service');
+async function handleGetProviderAppointments({ tenantId, params, query, actor }) {
   const appointmentService = new AppointmentService();
 
   const filters = {
-    page: parseInt(queryParams?.page || '1', 10),
-    limit: parseInt(queryParams?.limit || '50', 10),
-    providerId,
-    status: queryParams?.status,
-    startDate: queryParams?.startDate,
-    endDate: queryParams?.endDate,
+    page: parseInt(query.page || '1', 10),
+    limit: parseInt(query.limit || '50', 10),
+    providerId: params.providerId,
+    status: query.status,
+    startDate: query.startDate,
+    endDate: query.endDate,
   };
 
-  return appointmentService.listAppointments(tenantId, filters);
+  return appointmentService.listAppointments(tenantId, filters, actor);
 }
 
 /**
@@ -461,4 +434,23 @@ function validateProviderData(data) {
       });
     }
   }
+
+  if (data.appointment_buffers !== undefined) {
+    validateAppointmentBuffers(data.appointment_buffers);
+  }
+}
+
+/**
+ * Validate appointment_buffers: minutes before and after per appointment
+ * type, e.g. { "procedure": { "before": 0, "after": 15 } }
+ */
+function validateAppointmentBuffers(buffers) {
+  const { error } = schemas.provider.extract('appointment_buffers').validate(buffers);
+
+  if (error) {
+    throw new ValidationError('appointment_buffers must map appointment types to minutes', {
+      field: 'appointment_buffers',
+      value: buffers,
+    });
+  }
 }
\ No newline at end of file
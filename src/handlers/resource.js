@@ -0,0 +1,98 @@
+const ResourceService = require('../services/resource.service');
+const { NotFoundError } = require('../utils/errors');
+const { createRouter } = require('../utils/router');
+const { createHttpPipeline } = require('../middleware/pipeline');
+const routes = require('../routes/resource.routes');
+
+const resourceService = new ResourceService();
+
+/**
+ * Main handler for scheduling resource Lambda function
+ * Routes are declared in src/routes/resource.routes.js
+ */
+const router = createRouter({
+  name: 'resource',
+  routes,
+  actions: {
+    create: handleCreate,
+    list: handleList,
+    getById: handleGetById,
+    update: handleUpdate,
+    deactivate: handleDeactivate,
+    updateAvailability: handleUpdateAvailability,
+  },
+});
+
+exports.handler = createHttpPipeline(router);
+
+/**
+ * Add a room, chair or device to a facility
+ * POST /api/v1/resources
+ */
+async function handleCreate({ tenantId, body, actor }) {
+  return resourceService.createResource(tenantId, body, actor);
+}
+
+/**
+ * List resources
+ * GET /api/v1/resources
+ */
+async function handleList({ tenantId, query }) {
+  const filters = {
+    facilityId: query.facilityId,
+    resourceType: query.resourceType,
+    includeInactive: query.includeInactive === 'true',
+  };
+
+  const resources = await resourceService.listResources(tenantId, filters);
+
+  return {
+    resources,
+    count: resources.length,
+  };
+}
+
+/**
+ * Get a resource with its weekly hours
+ * GET /api/v1/resources/{resourceId}
+ */
+async function handleGetById({ tenantId, params }) {
+  const { resourceId } = params;
+  const resource = await resourceService.getResourceById(tenantId, resourceId);
+
+  if (!resource) {
+    throw new NotFoundError('Resource', resourceId);
+  }
+
+  return resource;
+}
+
+/**
+ * Update a resource
+ * PUT /api/v1/resources/{resourceId}
+ */
+async function handleUpdate({ tenantId, params, body, actor }) {
+  return resourceService.updateResource(tenantId, params.resourceId, body, actor);
+}
+
+/**
+ * Deactivate a resource so it is no longer booked
+ * DELETE /api/v1/resources/{resourceId}
+ */
+async function handleDeactivate({ tenantId, params, actor }) {
+  const { resourceId } = params;
+  await resourceService.deactivateResource(tenantId, resourceId, actor);
+
+  return {
+    message: 'Resource deactivated successfully',
+    resource_id: resourceId,
+  };
+}
+
+/**
+ * Set a resource's weekly hours; without any it follows the provider's
+ * PUT /api/v1/resources/{resourceId}/availability
+ */
+async function handleUpdateAvailability({ tenantId, params, body, actor }) {
+  return resourceService.updateResourceAvailability(tenantId, params.resourceId, body, actor);
+}
@@ -1,6 +1,4 @@
 const logger = require('../utils/logger');
-const response = require('../utils/response');
-const { AppError } = require('../utils/errors');
 
 /**
  * Global error handler middleware for Lambda functions
@@ -24,11 +22,15 @@ function errorHandler(handler) {
  * Handle different types of errors and return appropriate responses
  */
 function handleError(error, event, context) {
-  const requestId = context?.requestId || event?.requestContext?.requestId || 'unknown';
+  const correlationId =
+    event?.correlationId ||
+    event?.requestContext?.requestId ||
+    context?.awsRequestId ||
+    'unknown';
 
   // Log the error with context
   logError(error, {
-    requestId,
+    correlationId,
     path: event?.path,
     httpMethod: event?.httpMethod,
     tenantId: event?.requestContext?.authorizer?.tenantId,
@@ -36,58 +38,59 @@ function handleError(error, event, context) {
 
   // Handle operational errors (known errors from business logic)
   if (error.isOperational) {
-    return response.error(
+    return createErrorResponse(
       error.errorCode || 'OPERATIONAL_ERROR',
       error.message,
       error.statusCode || 400,
-      error.details || {}
+      error.details || {},
+      correlationId
     );
   }
 
   // Handle specific error types
   if (error.name === 'ValidationError') {
-    return handleValidationError(error);
+    return handleValidationError(error, correlationId);
   }
 
   if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
-    return handleAuthenticationError(error);
+    return handleAuthenticationError(error, correlationId);
   }
 
   if (error.code === '23505') {
     // PostgreSQL unique violation
-    return handleDatabaseUniqueViolation(error);
+    return handleDatabaseUniqueViolation(error, correlationId);
   }
 
   if (error.code === '23503') {
     // PostgreSQL foreign key violation
-    return handleDatabaseForeignKeyViolation(error);
+    return handleDatabaseForeignKeyViolation(error, correlationId);
   }
 
   if (error.code === '23502') {
     // PostgreSQL not null violation
-    return handleDatabaseNotNullViolation(error);
+    return handleDatabaseNotNullViolation(error, correlationId);
   }
 
   if (error.name === 'SyntaxError' && error.message.includes('JSON')) {
-    return handleJSONParseError(error);
+    return handleJSONParseError(error, correlationId);
   }
 
   if (error.statusCode === 429) {
-    return handleRateLimitError(error);
+    return handleRateLimitError(error, correlationId);
   }
 
   // Handle AWS service errors
   if (error.code && error.code.startsWith('AWS')) {
-    return handleAWSError(error);
+    return handleAWSError(error, correlationId);
   }
 
   // Handle timeout errors
   if (error.code === 'ETIMEDOUT' || error.message.includes('timeout')) {
-    return handleTimeoutError(error);
+    return handleTimeoutError(error, correlationId);
   }
 
   // Default to internal server error for unknown errors
-  return handleUnknownError(error);
+  return handleUnknownError(error, correlationId);
 }
 
 /**
@@ -115,127 +118,141 @@ function logError(error, context) {
 /**
  * Handle validation errors (from Joi or custom validation)
  */
-function handleValidationError(error) {
+function handleValidationError(error, correlationId) {
   const details = error.details?.map((detail) => ({
     field: detail.path?.join('.'),
     message: detail.message,
     type: detail.type,
   })) || [];
 
-  return response.error(
+  return createErrorResponse(
     'VALIDATION_ERROR',
     'Input validation failed',
     400,
     {
       errors: details.length > 0 ? details : [{ message: error.message }],
-    }
+    },
+    correlationId
   );
 }
 
 /**
  * Handle authentication/authorization errors
  */
-function handleAuthenticationError(error) {
+function handleAuthenticationError(error, correlationId) {
   if (error.name === 'TokenExpiredError') {
-    return response.error(
+    return createErrorResponse(
       'TOKEN_EXPIRED',
       'Authentication token has expired',
-      401
+      401,
+      {},
+      correlationId
     );
   }
 
-  return response.error(
+  return createErrorResponse(
     'AUTHENTICATION_ERROR',
     'Authentication failed',
-    401
+    401,
+    {},
+    correlationId
   );
 }
 
 /**
  * Handle database unique constraint violations
  */
-function handleDatabaseUniqueViolation(error) {
+function handleDatabaseUniqueViolation(error, correlationId) {
   // Extract field name from error detail if available
   const match = error.detail?.match(/Key \(([^)]+)\)/);
   const field = match ? match[1] : 'unknown field';
 
-  return response.error(
+  return createErrorResponse(
     'DUPLICATE_ENTRY',
     `A record with this ${field} already exists`,
     409,
     {
       field,
       constraint: error.constraint,
-    }
+    },
+    correlationId
   );
 }
 
 /**
  * Handle database foreign key violations
  */
-function handleDatabaseForeignKeyViolation(error) {
+function handleDatabaseForeignKeyViolation(error, correlationId) {
   const match = error.detail?.match(/Key \(([^)]+)\)/);
   const field = match ? match[1] : 'unknown field';
 
-  return response.error(
+  return createErrorResponse(
     'FOREIGN_KEY_VIOLATION',
     `Referenced ${field} does not exist`,
     400,
     {
       field,
       constraint: error.constraint,
-    }
+    },
+    correlationId
   );
 }
 
 /**
  * Handle database not null violations
  */
-function handleDatabaseNotNullViolation(error) {
+function handleDatabaseNotNullViolation(error, correlationId) {
   const field = error.column || 'unknown field';
 
-  return response.error(
+  return createErrorResponse(
     'REQUIRED_FIELD_MISSING',
     `Required field '${field}' is missing`,
     400,
     {
       field,
-    }
+    },
+    correlationId
   );
 }
 
 /**
  * Handle JSON parsing errors
  */
-function handleJSONParseError(error) {
-  return response.error(
+function handleJSONParseError(error, correlationId) {
+  return createErrorResponse(
     'INVALID_JSON',
     'Request body contains invalid JSON',
     400,
     {
       position: error.message.match(/position (\d+)/)?.[1],
-    }
+    },
+    correlationId
   );
 }
 
 /**
  * Handle rate limiting errors
  */
-function handleRateLimitError(error) {
-  return response.error(
+function handleRateLimitError(error, correlationId) {
+  const retryAfter = error.retryAfter || 60;
+  const errorResponse = createErrorResponse(
     'RATE_LIMIT_EXCEEDED',
     'Too many requests. Please try again later.',
     429,
     {
-      retryAfter: error.retryAfter || 60,
-    }
+      retryAfter,
+    },
+    correlationId
   );
+
+  errorResponse.headers['Retry-After'] = String(retryAfter);
+  return errorResponse;
 }
 
 /**
  * Handle AWS service errors
  */
-function handleAWSError(error) {
+function handleAWSError(error, correlationId) {
   const errorMap = {
     'AWS.SimpleQueueService.NonExistentQueue': {
       code: 'QUEUE_NOT_FOUND',
@@ -262,50 +279,53 @@ function handleAWSError(error) {
   const mapped = errorMap[error.code];
 
   if (mapped) {
-    return response.error(
+    return createErrorResponse(
       mapped.code,
       mapped.message,
       mapped.statusCode,
       {
         awsErrorCode: error.code,
         awsMessage: error.message,
-      }
+      },
+      correlationId
     );
   }
 
   // Generic AWS error
-  return response.error(
+  return createErrorResponse(
     'AWS_SERVICE_ERROR',
     'An error occurred with an AWS service',
     500,
     {
       service: error.code,
-    }
+    },
+    correlationId
   );
 }
 
 /**
  * Handle timeout errors
  */
-function handleTimeoutError(error) {
-  return response.error(
+function handleTimeoutError(error, correlationId) {
+  return createErrorResponse(
     'REQUEST_TIMEOUT',
     'The request took too long to process',
     504,
     {
       timeout: error.timeout,
-    }
+    },
+    correlationId
   );
 }
 
 /**
  * Handle unknown/unexpected errors
  */
-function handleUnknownError(error) {
+function handleUnknownError(error, correlationId) {
   // In production, don't expose internal error details
   const isProduction = process.env.STAGE === 'prod';
 
-  return response.error(
+  return createErrorResponse(
     'INTERNAL_ERROR',
     isProduction 
       ? 'An unexpected error occurred. Please try again later.'
@@ -315,7 +335,8 @@ function handleUnknownError(error) {
       errorName: error.name,
       errorCode: error.code,
       stack: error.stack?.split('\n').slice(0, 3), // First 3 lines only in non-prod
-    }
+    },
+    correlationId
   );
 }
 
@@ -0,0 +1,77 @@
+const { FHIR_CONTENT_TYPE, operationOutcome, getIssueType } = require('../utils/fhirResponse');
+const { handleError } = require('./errorHandler');
+
+/**
+ * FHIR error middleware
+ * Rewrites the error envelope built by errorHandler into an OperationOutcome,
+ * keeping the status code and headers. Validation errors become one issue per
+ * failing field, with the field in `expression` and the field error's `code`
+ * (an issue type, set by utils/fhirValidation.js) when it has one.
+ */
+function withOperationOutcome() {
+  return (handler) => {
+    return async (event, context) => {
+      const result = await handler(event, context);
+
+      if (!result || result.statusCode < 400) {
+        return result;
+      }
+
+      let envelope;
+
+      try {
+        envelope = JSON.parse(result.body);
+      } catch (error) {
+        return result;
+      }
+
+      if (!envelope || envelope.resourceType || !envelope.error) {
+        return result;
+      }
+
+      return {
+        ...result,
+        headers: { ...result.headers, 'Content-Type': FHIR_CONTENT_TYPE },
+        body: JSON.stringify(toOperationOutcome(envelope.error, result.statusCode)),
+      };
+    };
+  };
+}
+
+/**
+ * Status code and OperationOutcome for an error that does not end the
+ * request, such as one failed entry of a batch. The error is logged and
+ * mapped exactly as errorHandler would for a whole request.
+ */
+function describeError(error, event) {
+  const response = handleError(error, event);
+  const envelope = JSON.parse(response.body);
+
+  return {
+    status: response.statusCode,
+    outcome: toOperationOutcome(envelope.error, response.statusCode),
+  };
+}
+
+function toOperationOutcome(error, statusCode) {
+  const code = getIssueType(statusCode);
+  const fieldErrors = error.details?.errors;
+
+  if (Array.isArray(fieldErrors) && fieldErrors.length > 0) {
+    return operationOutcome(
+      fieldErrors.map((fieldError) => ({
+        code: fieldError.code || code,
+        details: error.code,
+        diagnostics: fieldError.message,
+        expression: fieldError.field,
+      }))
+    );
+  }
+
+  return operationOutcome([{ code, details: error.code, diagnostics: error.message }]);
+}
+
+module.exports = {
+  withOperationOutcome,
+  describeError,
+};
@@ -0,0 +1,140 @@
+const { v4: uuidv4 } = require('uuid');
+const { errorHandler } = require('./errorHandler');
+const { bindTenantDatabaseContext, applyTenantMiddleware } = require('./tenantContext');
+const { compose, parseJsonBody, parseTextBody, validateMultiple } = require('./requestValidator');
+const { requireScope } = require('../utils/authorization');
+
+/**
+ * Shared request pipeline for the HTTP Lambda functions
+ *
+ * Every request runs the same stack, outermost first:
+ *   correlation ID → error envelope → route match → tenant database context →
+ *   tenant checks (active, rate limit, quota) → scope → JSON body → validation →
+ *   route action
+ *
+ * Routes with `textBody` (HL7 v2 messages, C-CDA documents) receive the body
+ * as text instead of parsed JSON.
+ *
+ * Public routes (served without the authorizer) have no tenant, so they skip
+ * the tenant database context, tenant checks and scope.
+ */
+
+const CORRELATION_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+/**
+ * Build the Lambda handler for one router (see utils/router.js)
+ * Scope, validation schemas and quota type come from the matched route.
+ * `middleware` runs between the correlation ID and the error envelope, so it
+ * sees every response, including errors (the FHIR handler uses it to turn
+ * them into OperationOutcomes).
+ */
+function createHttpPipeline(router, { middleware: outerMiddleware = [] } = {}) {
+  const routeHandlers = new Map();
+
+  function getRouteHandler(route, checkQuota) {
+    const key = checkQuota ? `${route.key} ${checkQuota}` : route.key;
+
+    if (!routeHandlers.has(key)) {
+      const parseBody = route.textBody ? parseTextBody() : parseJsonBody();
+      const middleware = route.public
+        ? [parseBody]
+        : [
+            bindTenantDatabaseContext(),
+            applyTenantMiddleware({ applyRateLimit: true, checkQuota }),
+            requireRouteScope(route),
+            parseBody,
+          ];
+
+      if (route.validate) {
+        middleware.push(validateMultiple(route.validate));
+      }
+
+      routeHandlers.set(key, compose(...middleware)(router.dispatch));
+    }
+
+    return routeHandlers.get(key);
+  }
+
+  const routedHandler = (event, context) => {
+    const { route, pathParameters } = router.match(event);
+
+    event.route = route;
+    event.pathParameters = pathParameters;
+
+    const checkQuota = resolveRouteOption(route.checkQuota, pathParameters);
+
+    return getRouteHandler(route, checkQuota)(event, context);
+  };
+
+  return compose(withCorrelationId(), ...outerMiddleware, errorHandler)(routedHandler);
+}
+
+/**
+ * `route.scope` and `route.checkQuota` are plain values, or functions of the
+ * path parameters for routes that serve several resources from one template
+ */
+function resolveRouteOption(option, pathParameters) {
+  return typeof option === 'function' ? option(pathParameters || {}) : option;
+}
+
+function requireRouteScope(route) {
+  return (handler) => {
+    return async (event, context) => {
+      const scope = resolveRouteOption(route.scope, event.pathParameters);
+
+      if (scope) {
+        requireScope(event, scope);
+      }
+
+      return await handler(event, context);
+    };
+  };
+}
+
+/**
+ * Assign a correlation ID and echo it, plus rate limit state, on the response
+ * A caller-supplied X-Correlation-ID is reused when it is a plain token.
+ */
+function withCorrelationId() {
+  return (handler) => {
+    return async (event, context) => {
+      const supplied = getHeader(event, 'X-Correlation-ID');
+
+      event.correlationId =
+        supplied && CORRELATION_ID_PATTERN.test(supplied)
+          ? supplied
+          : event.requestContext?.requestId || uuidv4();
+
+      const result = await handler(event, context);
+
+      return withResponseHeaders(result, event);
+    };
+  };
+}
+
+function withResponseHeaders(result, event) {
+  if (!result || typeof result !== 'object') {
+    return result;
+  }
+
+  const headers = { ...result.headers, 'X-Correlation-ID': event.correlationId };
+
+  if (event.rateLimitInfo) {
+    headers['X-RateLimit-Limit'] = String(event.rateLimitInfo.limit);
+    headers['X-RateLimit-Remaining'] = String(event.rateLimitInfo.remaining);
+    headers['X-RateLimit-Reset'] = String(event.rateLimitInfo.reset);
+  }
+
+  return { ...result, headers };
+}
+
+function getHeader(event, name) {
+  const headers = event.headers || {};
+  const key = Object.keys(headers).find((h) => h.toLowerCase() === name.toLowerCase());
+  return key ? headers[key] : undefined;
+}
+
+module.exports = {
+  createHttpPipeline,
+  withCorrelationId,
+};
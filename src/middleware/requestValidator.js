@@ -90,6 +90,53 @@ function validateRequest(schema, source = 'body') {
   };
 }
 
+/**
+ * Parse a JSON request body once so validators and handlers receive an object
+ * Requests without a body keep event.body as null.
+ */
+function parseJsonBody() {
+  return (handler) => {
+    return async (event, context) => {
+      if (typeof event.body === 'string' && event.body.trim() !== '') {
+        const raw = event.isBase64Encoded
+          ? Buffer.from(event.body, 'base64').toString('utf8')
+          : event.body;
+
+        try {
+          event.body = JSON.parse(raw);
+        } catch (error) {
+          throw new ValidationError('Invalid JSON in request body');
+        }
+      } else if (typeof event.body === 'string') {
+        event.body = null;
+      }
+
+      return await handler(event, context);
+    };
+  };
+}
+
+/**
+ * Pass a text body (such as an HL7 v2 message) through as a string
+ * Base64-encoded bodies are decoded; empty bodies become null.
+ */
+function parseTextBody() {
+  return (handler) => {
+    return async (event, context) => {
+      if (typeof event.body === 'string' && event.isBase64Encoded) {
+        event.body = Buffer.from(event.body, 'base64').toString('utf8');
+        event.isBase64Encoded = false;
+      }
+
+      if (typeof event.body !== 'string' || event.body.trim() === '') {
+        event.body = null;
+      }
+
+      return await handler(event, context);
+    };
+  };
+}
+
 /**
  * Validate multiple parts of the request at once
  * @param {Object} schemas - Object with schemas for body, query, params
@@ -424,6 +471,8 @@ function createValidator(validationFn, errorMessage = 'Validation failed') {
 module.exports = {
   validateRequest,
   validateMultiple,
+  parseJsonBody,
+  parseTextBody,
   validatePagination,
   validateDateRange,
   validateUUID,
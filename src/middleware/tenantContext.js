@@ -48,13 +48,13 @@ function extractTenantContext() {
           tenantName: tenant.name,
           path: event.path,
         });
-
-        // Execute handler with tenant context
-        return await handler(event, context);
       } catch (error) {
         logger.error('Tenant context extraction failed', error);
         throw error;
       }
+
+      // Execute handler with tenant context
+      return await handler(event, context);
     };
   };
 }
@@ -157,6 +157,26 @@ function enforceTenantIsolation() {
   };
 }
 
+/**
+ * Bind the request's tenant to the database context
+ * Every transaction the handler opens sets app.tenant_id, so the row-level
+ * security policies filter out other tenants' rows even if a query forgets
+ * its tenant_id condition.
+ */
+function bindTenantDatabaseContext() {
+  return (handler) => {
+    return async (event, context) => {
+      const tenantId = event.tenantContext?.tenantId || event.requestContext?.authorizer?.tenantId;
+
+      if (!tenantId) {
+        throw new UnauthorizedError('Tenant context is required for this operation');
+      }
+
+      return db.runWithTenant(tenantId, () => handler(event, context));
+    };
+  };
+}
+
 /**
  * Get tenant configuration value
  */
@@ -216,50 +236,50 @@ function applyTenantRateLimit() {
       const rateLimit = config.rateLimit || { requestsPerHour: 1000 };
 
       // Create rate limit key
-      const hour = new Date().getHours();
+      const hour = new Date().getUTCHours();
       const date = new Date().toISOString().split('T')[0];
       const rateLimitKey = `ratelimit:${tenantId}:${date}:${hour}`;
 
+      let current;
+
       try {
         // Increment counter
-        const current = await cache.incr(rateLimitKey);
+        current = await cache.incr(rateLimitKey);
 
         // Set expiry on first request of the hour
         if (current === 1) {
           await cache.expire(rateLimitKey, 3600); // 1 hour
         }
-
-        // Check if limit exceeded
-        if (current > rateLimit.requestsPerHour) {
-          logger.warn('Tenant rate limit exceeded', {
-            tenantId,
-            current,
-            limit: rateLimit.requestsPerHour,
-          });
-
-          const error = new Error('Rate limit exceeded');
-          error.statusCode = 429;
-          error.retryAfter = 3600 - (Math.floor(Date.now() / 1000) % 3600);
-          throw error;
-        }
-
-        // Add rate limit info to response headers
-        event.rateLimitInfo = {
-          limit: rateLimit.requestsPerHour,
-          remaining: Math.max(0, rateLimit.requestsPerHour - current),
-          reset: Math.floor(Date.now() / 1000) + (3600 - (Math.floor(Date.now() / 1000) % 3600)),
-        };
-
-        return await handler(event, context);
       } catch (error) {
-        if (error.statusCode === 429) {
-          throw error;
-        }
-
         // If rate limiting fails, log but don't block the request
         logger.error('Rate limiting error', error);
         return await handler(event, context);
       }
+
+      const secondsUntilReset = 3600 - (Math.floor(Date.now() / 1000) % 3600);
+
+      // Check if limit exceeded
+      if (current > rateLimit.requestsPerHour) {
+        logger.warn('Tenant rate limit exceeded', {
+          tenantId,
+          current,
+          limit: rateLimit.requestsPerHour,
+        });
+
+        const error = new Error('Rate limit exceeded');
+        error.statusCode = 429;
+        error.retryAfter = secondsUntilReset;
+        throw error;
+      }
+
+      // Add rate limit info to response headers
+      event.rateLimitInfo = {
+        limit: rateLimit.requestsPerHour,
+        remaining: Math.max(0, rateLimit.requestsPerHour - current),
+        reset: Math.floor(Date.now() / 1000) + secondsUntilReset,
+      };
+
+      return await handler(event, context);
     };
   };
 }
@@ -375,47 +395,69 @@ async function getTenantStatistics(tenantId, days = 7) {
 function checkTenantQuota(quotaType) {
   return (handler) => {
     return async (event, context) => {
-      const tenantId = event.tenantContext?.tenantId;
-      const config = event.tenantContext?.configuration || {};
-      const quotas = config.quotas || {};
+      await assertTenantQuota(event.tenantContext, quotaType);
 
-      if (!quotas[quotaType]) {
-        // No quota defined, allow operation
-        return await handler(event, context);
-      }
+      // Increment quota usage after successful operation
+      const result = await handler(event, context);
+      await recordTenantQuotaUsage(event.tenantContext, quotaType);
 
-      const quota = quotas[quotaType];
-      const date = new Date().toISOString().split('T')[0];
-      const quotaKey = `quota:${tenantId}:${quotaType}:${date}`;
+      return result;
+    };
+  };
+}
 
-      try {
-        const current = await cache.get(quotaKey);
-        const usage = parseInt(current || 0, 10);
+/**
+ * Throw ForbiddenError when `amount` more operations would exceed the
+ * tenant's daily quota. Tenants without that quota are not limited, and a
+ * failed usage lookup is logged rather than blocking the operation.
+ */
+async function assertTenantQuota(tenantContext, quotaType, amount = 1) {
+  const quota = tenantContext?.configuration?.quotas?.[quotaType];
 
-        if (usage >= quota.limit) {
-          throw new ForbiddenError(
-            `Tenant quota exceeded for ${quotaType}. Limit: ${quota.limit}, Current: ${usage}`
-          );
-        }
+  if (!quota) {
+    // No quota defined, allow operation
+    return;
+  }
 
-        // Increment quota usage after successful operation
-        const result = await handler(event, context);
+  let usage;
 
-        await cache.incr(quotaKey);
-        await cache.expire(quotaKey, 86400); // Reset daily
+  try {
+    const current = await cache.get(getQuotaKey(tenantContext.tenantId, quotaType));
+    usage = parseInt(current || 0, 10);
+  } catch (error) {
+    // If quota check fails, log but don't block
+    logger.error('Quota check error', error);
+    return;
+  }
 
-        return result;
-      } catch (error) {
-        if (error instanceof ForbiddenError) {
-          throw error;
-        }
+  if (usage + amount > quota.limit) {
+    throw new ForbiddenError(
+      `Tenant quota exceeded for ${quotaType}. Limit: ${quota.limit}, Current: ${usage}`
+    );
+  }
+}
 
-        // If quota check fails, log but don't block
-        logger.error('Quota check error', error);
-        return await handler(event, context);
-      }
-    };
-  };
+/**
+ * Count `amount` completed operations against the tenant's daily quota
+ */
+async function recordTenantQuotaUsage(tenantContext, quotaType, amount = 1) {
+  if (!tenantContext?.configuration?.quotas?.[quotaType] || amount === 0) {
+    return;
+  }
+
+  const quotaKey = getQuotaKey(tenantContext.tenantId, quotaType);
+
+  try {
+    await cache.incrby(quotaKey, amount);
+    await cache.expire(quotaKey, 86400); // Reset daily
+  } catch (error) {
+    logger.error('Quota tracking error', error);
+  }
+}
+
+function getQuotaKey(tenantId, quotaType) {
+  const date = new Date().toISOString().split('T')[0];
+  return `quota:${tenantId}:${quotaType}:${date}`;
 }
 
 /**
@@ -467,11 +509,14 @@ module.exports = {
   extractTenantContext,
   validateTenantAccess,
   enforceTenantIsolation,
+  bindTenantDatabaseContext,
   getTenantConfig,
   requireFeature,
   requirePlan,
   applyTenantRateLimit,
   checkTenantQuota,
+  assertTenantQuota,
+  recordTenantQuotaUsage,
   trackTenantUsage,
   logTenantActivity,
   invalidateTenantCache,
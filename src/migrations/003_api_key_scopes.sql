@@ -0,0 +1,26 @@
+-- Chronic Care API - API Key Scopes Migration
+-- Version: 003
+-- Description: Backfills scopes on existing API keys now that handlers enforce them
+
+-- =============================================
+-- API_KEYS SCOPES
+-- =============================================
+
+-- Keys issued before scope enforcement carried an empty scope list and had
+-- full access. Grant them admin:* so existing integrations keep working;
+-- narrower keys (e.g. read-only partner keys) must list their scopes explicitly.
+UPDATE api_keys
+SET scopes = '["admin:*"]'::jsonb
+WHERE scopes IS NULL OR scopes = '[]'::jsonb;
+
+ALTER TABLE api_keys ALTER COLUMN scopes SET NOT NULL;
+
+COMMENT ON COLUMN api_keys.scopes IS 'Granted scopes such as patients:read, medications:write or admin:*';
+
+-- =============================================
+-- DOWN MIGRATION (for rollback)
+-- =============================================
+
+/*
+ALTER TABLE api_keys ALTER COLUMN scopes DROP NOT NULL;
+*/
@@ -0,0 +1,24 @@
+-- Chronic Care API - API Key Lifecycle Migration
+-- Version: 004
+-- Description: Adds columns used by the API key issue/rotate/revoke endpoints
+
+-- =============================================
+-- API_KEYS LIFECYCLE COLUMNS
+-- =============================================
+ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS key_prefix VARCHAR(20);
+ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS rotated_from_id UUID REFERENCES api_keys(id) ON DELETE SET NULL;
+
+COMMENT ON COLUMN api_keys.key_prefix IS 'Non-secret leading characters of the key, shown in listings to identify it';
+COMMENT ON COLUMN api_keys.rotated_from_id IS 'Key this one replaced during rotation';
+
+CREATE INDEX IF NOT EXISTS idx_api_keys_rotated_from ON api_keys(rotated_from_id) WHERE rotated_from_id IS NOT NULL;
+
+-- =============================================
+-- DOWN MIGRATION (for rollback)
+-- =============================================
+
+/*
+DROP INDEX IF EXISTS idx_api_keys_rotated_from;
+ALTER TABLE api_keys DROP COLUMN IF EXISTS rotated_from_id;
+ALTER TABLE api_keys DROP COLUMN IF EXISTS key_prefix;
+*/
@@ -0,0 +1,24 @@
+-- Chronic Care API - Audit User Identity Migration
+-- Version: 005
+-- Description: Records the real user or API key behind each audit entry
+
+-- =============================================
+-- AUDIT_LOGS USER COLUMNS
+-- =============================================
+-- Bearer-token subjects come from the identity provider and are not always UUIDs.
+-- idx_audit_user is rebuilt automatically by the type change.
+ALTER TABLE audit_logs ALTER COLUMN user_id TYPE VARCHAR(255) USING user_id::text;
+ALTER TABLE audit_logs ADD COLUMN IF NOT EXISTS user_role VARCHAR(50);
+
+COMMENT ON COLUMN audit_logs.user_id IS 'Token subject for user_type user, api_keys.id for user_type api_key';
+COMMENT ON COLUMN audit_logs.user_role IS 'Role claim of the bearer token (admin, provider, nurse, scheduler, patient)';
+
+-- =============================================
+-- DOWN MIGRATION (for rollback)
+-- =============================================
+
+/*
+ALTER TABLE audit_logs DROP COLUMN IF EXISTS user_role;
+-- Only succeeds while every user_id is still a UUID
+ALTER TABLE audit_logs ALTER COLUMN user_id TYPE UUID USING user_id::uuid;
+*/
@@ -0,0 +1,104 @@
+-- Chronic Care API - Row-Level Security Migration
+-- Version: 006
+-- Description: Enforces tenant isolation in Postgres with RLS policies keyed on app.tenant_id
+
+-- The application sets app.tenant_id (and app.bypass_rls for system jobs) at the
+-- start of every transaction; see src/config/database.js. FORCE is required
+-- because the application role owns these tables. The role must not be a
+-- superuser or have BYPASSRLS, or every policy below is skipped.
+
+-- =============================================
+-- CONTEXT FUNCTIONS
+-- =============================================
+CREATE OR REPLACE FUNCTION app_current_tenant_id()
+RETURNS UUID AS $$
+    SELECT NULLIF(current_setting('app.tenant_id', true), '')::uuid;
+$$ LANGUAGE sql STABLE;
+
+CREATE OR REPLACE FUNCTION app_rls_bypassed()
+RETURNS BOOLEAN AS $$
+    SELECT COALESCE(current_setting('app.bypass_rls', true), '') = 'on';
+$$ LANGUAGE sql STABLE;
+
+COMMENT ON FUNCTION app_current_tenant_id() IS 'Tenant of the current transaction, NULL when unset';
+COMMENT ON FUNCTION app_rls_bypassed() IS 'True for system jobs that work across tenants';
+
+-- =============================================
+-- TENANT-OWNED TABLES
+-- =============================================
+DO $$
+DECLARE
+    tbl TEXT;
+BEGIN
+    FOREACH tbl IN ARRAY ARRAY[
+        'facilities', 'patients', 'providers', 'appointment_series', 'appointments',
+        'medications', 'notifications', 'audit_logs', 'api_keys'
+    ]
+    LOOP
+        EXECUTE format('ALTER TABLE %I ENABLE ROW LEVEL SECURITY', tbl);
+        EXECUTE format('ALTER TABLE %I FORCE ROW LEVEL SECURITY', tbl);
+        EXECUTE format('DROP POLICY IF EXISTS tenant_isolation ON %I', tbl);
+        EXECUTE format(
+            'CREATE POLICY tenant_isolation ON %I
+                USING (app_rls_bypassed() OR tenant_id = app_current_tenant_id())
+                WITH CHECK (app_rls_bypassed() OR tenant_id = app_current_tenant_id())',
+            tbl
+        );
+    END LOOP;
+END $$;
+
+-- =============================================
+-- CHILD TABLES (no tenant_id, scoped through their parent)
+-- =============================================
+-- The parent lookups are themselves filtered by the parent's policy
+ALTER TABLE provider_facilities ENABLE ROW LEVEL SECURITY;
+ALTER TABLE provider_facilities FORCE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS tenant_isolation ON provider_facilities;
+CREATE POLICY tenant_isolation ON provider_facilities
+    USING (EXISTS (SELECT 1 FROM providers p WHERE p.id = provider_facilities.provider_id))
+    WITH CHECK (EXISTS (SELECT 1 FROM providers p WHERE p.id = provider_facilities.provider_id));
+
+ALTER TABLE provider_availability ENABLE ROW LEVEL SECURITY;
+ALTER TABLE provider_availability FORCE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS tenant_isolation ON provider_availability;
+CREATE POLICY tenant_isolation ON provider_availability
+    USING (EXISTS (SELECT 1 FROM providers p WHERE p.id = provider_availability.provider_id))
+    WITH CHECK (EXISTS (SELECT 1 FROM providers p WHERE p.id = provider_availability.provider_id));
+
+ALTER TABLE patient_providers ENABLE ROW LEVEL SECURITY;
+ALTER TABLE patient_providers FORCE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS tenant_isolation ON patient_providers;
+CREATE POLICY tenant_isolation ON patient_providers
+    USING (EXISTS (SELECT 1 FROM patients p WHERE p.id = patient_providers.patient_id))
+    WITH CHECK (EXISTS (SELECT 1 FROM patients p WHERE p.id = patient_providers.patient_id));
+
+ALTER TABLE medication_adherence ENABLE ROW LEVEL SECURITY;
+ALTER TABLE medication_adherence FORCE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS tenant_isolation ON medication_adherence;
+CREATE POLICY tenant_isolation ON medication_adherence
+    USING (EXISTS (SELECT 1 FROM medications m WHERE m.id = medication_adherence.medication_id))
+    WITH CHECK (EXISTS (SELECT 1 FROM medications m WHERE m.id = medication_adherence.medication_id));
+
+-- =============================================
+-- DOWN MIGRATION (for rollback)
+-- =============================================
+
+/*
+DO $$
+DECLARE
+    tbl TEXT;
+BEGIN
+    FOREACH tbl IN ARRAY ARRAY[
+        'facilities', 'patients', 'providers', 'appointment_series', 'appointments',
+        'medications', 'notifications', 'audit_logs', 'api_keys',
+        'provider_facilities', 'provider_availability', 'patient_providers', 'medication_adherence'
+    ]
+    LOOP
+        EXECUTE format('DROP POLICY IF EXISTS tenant_isolation ON %I', tbl);
+        EXECUTE format('ALTER TABLE %I NO FORCE ROW LEVEL SECURITY', tbl);
+        EXECUTE format('ALTER TABLE %I DISABLE ROW LEVEL SECURITY', tbl);
+    END LOOP;
+END $$;
+DROP FUNCTION IF EXISTS app_rls_bypassed();
+DROP FUNCTION IF EXISTS app_current_tenant_id();
+*/
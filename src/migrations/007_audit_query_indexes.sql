@@ -0,0 +1,33 @@
+-- Chronic Care API - Audit Query Indexes Migration
+-- Version: 007
+-- Description: Indexes for cursor-paginated audit log queries and exports
+
+-- =============================================
+-- AUDIT_LOGS CURSOR INDEXES
+-- =============================================
+-- /api/v1/audit-logs pages by (created_at, id) within a tenant. The id
+-- tie-breaker keeps pages stable when entries share a timestamp.
+CREATE INDEX IF NOT EXISTS idx_audit_tenant_cursor
+  ON audit_logs(tenant_id, created_at DESC, id DESC);
+
+-- Entity timelines such as /api/v1/patients/{patientId}/history
+CREATE INDEX IF NOT EXISTS idx_audit_tenant_entity_cursor
+  ON audit_logs(tenant_id, entity_type, entity_id, created_at, id);
+
+-- Accounting of disclosures by user
+CREATE INDEX IF NOT EXISTS idx_audit_tenant_user_cursor
+  ON audit_logs(tenant_id, user_id, created_at DESC, id DESC);
+
+-- Superseded by idx_audit_tenant_cursor
+DROP INDEX IF EXISTS idx_audit_recent;
+
+-- =============================================
+-- DOWN MIGRATION (for rollback)
+-- =============================================
+
+/*
+CREATE INDEX IF NOT EXISTS idx_audit_recent ON audit_logs(tenant_id, created_at DESC);
+DROP INDEX IF EXISTS idx_audit_tenant_user_cursor;
+DROP INDEX IF EXISTS idx_audit_tenant_entity_cursor;
+DROP INDEX IF EXISTS idx_audit_tenant_cursor;
+*/
@@ -0,0 +1,190 @@
+-- Chronic Care API - Audit Hash Chain Migration
+-- Version: 008
+-- Description: Chains every audit entry to the previous entry of its tenant with SHA-256 and makes audit_logs append-only
+
+CREATE EXTENSION IF NOT EXISTS pgcrypto;
+
+-- =============================================
+-- AUDIT_LOGS CHAIN COLUMNS
+-- =============================================
+ALTER TABLE audit_logs ADD COLUMN IF NOT EXISTS chain_seq BIGINT;
+ALTER TABLE audit_logs ADD COLUMN IF NOT EXISTS prev_hash CHAR(64);
+ALTER TABLE audit_logs ADD COLUMN IF NOT EXISTS row_hash CHAR(64);
+
+COMMENT ON COLUMN audit_logs.chain_seq IS 'Position in the tenant audit chain, starting at 1';
+COMMENT ON COLUMN audit_logs.prev_hash IS 'row_hash of the previous entry in the tenant chain';
+COMMENT ON COLUMN audit_logs.row_hash IS 'SHA-256 over prev_hash and the entry, see audit_log_hash()';
+
+-- =============================================
+-- AUDIT_CHAIN_HEADS TABLE
+-- =============================================
+-- One row per tenant holding the newest chain entry. Locking it serializes
+-- audit inserts per tenant, and comparing it with the newest audit_logs row
+-- reveals entries deleted from the end of the chain.
+CREATE TABLE IF NOT EXISTS audit_chain_heads (
+    tenant_id UUID PRIMARY KEY REFERENCES tenants(id) ON DELETE CASCADE,
+    last_seq BIGINT NOT NULL DEFAULT 0,
+    last_hash CHAR(64) NOT NULL DEFAULT repeat('0', 64),
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+COMMENT ON TABLE audit_chain_heads IS 'Newest entry of each tenant audit hash chain';
+
+ALTER TABLE audit_chain_heads ENABLE ROW LEVEL SECURITY;
+ALTER TABLE audit_chain_heads FORCE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS tenant_isolation ON audit_chain_heads;
+CREATE POLICY tenant_isolation ON audit_chain_heads
+    USING (app_rls_bypassed() OR tenant_id = app_current_tenant_id())
+    WITH CHECK (app_rls_bypassed() OR tenant_id = app_current_tenant_id());
+
+-- =============================================
+-- HASH FUNCTION
+-- =============================================
+-- The entry is serialized as a JSONB array, whose text form is canonical and
+-- unambiguous. AuditService.verifyChain recomputes hashes with this function.
+CREATE OR REPLACE FUNCTION audit_log_hash(entry audit_logs, previous_hash TEXT)
+RETURNS TEXT AS $$
+    SELECT encode(
+        digest(
+            previous_hash || jsonb_build_array(
+                entry.chain_seq,
+                entry.id,
+                entry.tenant_id,
+                entry.entity_type,
+                entry.entity_id,
+                entry.action,
+                entry.user_id,
+                entry.user_type,
+                entry.user_role,
+                entry.changes,
+                entry.metadata,
+                host(entry.ip_address),
+                to_char(entry.created_at, 'YYYY-MM-DD"T"HH24:MI:SS.US')
+            )::text,
+            'sha256'
+        ),
+        'hex'
+    );
+$$ LANGUAGE sql STABLE;
+
+-- =============================================
+-- BACKFILL EXISTING ENTRIES
+-- =============================================
+DO $$
+DECLARE
+    entry audit_logs;
+    current_tenant UUID;
+    seq BIGINT;
+    previous_hash TEXT;
+    entry_hash TEXT;
+BEGIN
+    FOR entry IN
+        SELECT * FROM audit_logs WHERE row_hash IS NULL ORDER BY tenant_id, created_at, id
+    LOOP
+        IF current_tenant IS DISTINCT FROM entry.tenant_id THEN
+            current_tenant := entry.tenant_id;
+            seq := 0;
+            previous_hash := repeat('0', 64);
+        END IF;
+
+        seq := seq + 1;
+        entry.chain_seq := seq;
+        entry_hash := audit_log_hash(entry, previous_hash);
+
+        UPDATE audit_logs
+        SET chain_seq = seq, prev_hash = previous_hash, row_hash = entry_hash
+        WHERE id = entry.id;
+
+        previous_hash := entry_hash;
+    END LOOP;
+END $$;
+
+INSERT INTO audit_chain_heads (tenant_id, last_seq, last_hash)
+SELECT DISTINCT ON (tenant_id) tenant_id, chain_seq, row_hash
+FROM audit_logs
+ORDER BY tenant_id, chain_seq DESC
+ON CONFLICT (tenant_id) DO NOTHING;
+
+ALTER TABLE audit_logs ALTER COLUMN chain_seq SET NOT NULL;
+ALTER TABLE audit_logs ALTER COLUMN prev_hash SET NOT NULL;
+ALTER TABLE audit_logs ALTER COLUMN row_hash SET NOT NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_audit_chain ON audit_logs(tenant_id, chain_seq);
+
+-- =============================================
+-- CHAIN TRIGGER
+-- =============================================
+-- Column defaults (id, created_at) are already applied when BEFORE triggers
+-- run, so the hash covers the values that are stored.
+CREATE OR REPLACE FUNCTION audit_logs_chain()
+RETURNS TRIGGER AS $$
+DECLARE
+    head audit_chain_heads;
+BEGIN
+    INSERT INTO audit_chain_heads (tenant_id) VALUES (NEW.tenant_id)
+    ON CONFLICT (tenant_id) DO NOTHING;
+
+    SELECT * INTO head FROM audit_chain_heads WHERE tenant_id = NEW.tenant_id FOR UPDATE;
+
+    NEW.chain_seq := head.last_seq + 1;
+    NEW.prev_hash := head.last_hash;
+    NEW.row_hash := audit_log_hash(NEW, head.last_hash);
+
+    UPDATE audit_chain_heads
+    SET last_seq = NEW.chain_seq, last_hash = NEW.row_hash, updated_at = CURRENT_TIMESTAMP
+    WHERE tenant_id = NEW.tenant_id;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS audit_logs_chain ON audit_logs;
+CREATE TRIGGER audit_logs_chain
+    BEFORE INSERT ON audit_logs
+    FOR EACH ROW EXECUTE FUNCTION audit_logs_chain();
+
+-- =============================================
+-- APPEND-ONLY TRIGGERS
+-- =============================================
+-- Deletes are only allowed when the tenant itself is being deleted (ON DELETE
+-- CASCADE), which removes its chain head as well. A superuser can still
+-- disable these triggers; the hash chain is what detects that.
+CREATE OR REPLACE FUNCTION audit_logs_append_only()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP = 'DELETE' AND NOT EXISTS (SELECT 1 FROM tenants WHERE id = OLD.tenant_id) THEN
+        RETURN OLD;
+    END IF;
+
+    RAISE EXCEPTION 'audit_logs is append-only (% rejected)', TG_OP
+        USING ERRCODE = 'insufficient_privilege';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS audit_logs_append_only ON audit_logs;
+CREATE TRIGGER audit_logs_append_only
+    BEFORE UPDATE OR DELETE ON audit_logs
+    FOR EACH ROW EXECUTE FUNCTION audit_logs_append_only();
+
+DROP TRIGGER IF EXISTS audit_logs_no_truncate ON audit_logs;
+CREATE TRIGGER audit_logs_no_truncate
+    BEFORE TRUNCATE ON audit_logs
+    FOR EACH STATEMENT EXECUTE FUNCTION audit_logs_append_only();
+
+-- =============================================
+-- DOWN MIGRATION (for rollback)
+-- =============================================
+
+/*
+DROP TRIGGER IF EXISTS audit_logs_no_truncate ON audit_logs;
+DROP TRIGGER IF EXISTS audit_logs_append_only ON audit_logs;
+DROP TRIGGER IF EXISTS audit_logs_chain ON audit_logs;
+DROP FUNCTION IF EXISTS audit_logs_append_only();
+DROP FUNCTION IF EXISTS audit_logs_chain();
+DROP INDEX IF EXISTS idx_audit_chain;
+DROP FUNCTION IF EXISTS audit_log_hash(audit_logs, TEXT);
+DROP TABLE IF EXISTS audit_chain_heads;
+ALTER TABLE audit_logs DROP COLUMN IF EXISTS row_hash;
+ALTER TABLE audit_logs DROP COLUMN IF EXISTS prev_hash;
+ALTER TABLE audit_logs DROP COLUMN IF EXISTS chain_seq;
+*/
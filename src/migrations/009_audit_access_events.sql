@@ -0,0 +1,27 @@
+-- Chronic Care API - Audit Access Events Migration
+-- Version: 009
+-- Description: Allows READ/SEARCH/EXPORT audit entries and indexes the patients they disclosed
+
+-- =============================================
+-- AUDIT_LOGS ACCESS ENTRIES
+-- =============================================
+-- SEARCH and EXPORT entries cover many records, so they have no entity_id.
+-- The patients whose data was returned are listed in metadata.patientIds.
+ALTER TABLE audit_logs ALTER COLUMN entity_id DROP NOT NULL;
+
+COMMENT ON COLUMN audit_logs.entity_id IS 'Record changed or read; NULL for SEARCH and EXPORT entries';
+
+-- "Who viewed this patient": metadata->'patientIds' ? '<patient id>'
+CREATE INDEX IF NOT EXISTS idx_audit_patient_ids
+  ON audit_logs USING GIN ((metadata->'patientIds'));
+
+-- =============================================
+-- DOWN MIGRATION (for rollback)
+-- =============================================
+
+/*
+DROP INDEX IF EXISTS idx_audit_patient_ids;
+-- Only succeeds once SEARCH and EXPORT entries are gone, which the
+-- append-only trigger from 008 prevents
+ALTER TABLE audit_logs ALTER COLUMN entity_id SET NOT NULL;
+*/
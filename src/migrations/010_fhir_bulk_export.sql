@@ -0,0 +1,73 @@
+-- Chronic Care API - FHIR Bulk Export Migration
+-- Version: 010
+-- Description: Tracks FHIR $export jobs and indexes the tables they read by last update
+
+-- =============================================
+-- FHIR_EXPORT_JOBS TABLE
+-- =============================================
+-- One row per $export kickoff. The fhirExportProcessor worker claims the job,
+-- writes one NDJSON file per resource type to the documents bucket and lists
+-- them in `output`; the status endpoint turns the row into the manifest.
+CREATE TABLE IF NOT EXISTS fhir_export_jobs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+    status VARCHAR(20) NOT NULL DEFAULT 'accepted',
+    group_id UUID,
+    resource_types JSONB NOT NULL,
+    since TIMESTAMP,
+    request_url TEXT NOT NULL,
+    us_core BOOLEAN DEFAULT false,
+    requested_by JSONB NOT NULL DEFAULT '{}',
+    transaction_time TIMESTAMP,
+    progress VARCHAR(255),
+    output JSONB NOT NULL DEFAULT '[]',
+    error_message TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    completed_at TIMESTAMP,
+    expires_at TIMESTAMP,
+    CONSTRAINT chk_export_status CHECK (status IN ('accepted', 'in-progress', 'completed', 'failed', 'cancelled'))
+);
+
+COMMENT ON TABLE fhir_export_jobs IS 'FHIR Bulk Data $export requests and their NDJSON output';
+COMMENT ON COLUMN fhir_export_jobs.group_id IS 'Practitioner whose patient panel is exported (Group/{id}/$export), NULL for a system export';
+COMMENT ON COLUMN fhir_export_jobs.requested_by IS 'Principal that started the export; only it may poll, download or cancel';
+COMMENT ON COLUMN fhir_export_jobs.transaction_time IS 'When the export started reading; clients pass it as the next _since';
+COMMENT ON COLUMN fhir_export_jobs.output IS 'Files written so far: [{ type, file, count }]';
+
+CREATE INDEX IF NOT EXISTS idx_fhir_export_jobs_tenant ON fhir_export_jobs(tenant_id, created_at DESC);
+
+CREATE TRIGGER update_fhir_export_jobs_updated_at BEFORE UPDATE ON fhir_export_jobs
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE fhir_export_jobs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE fhir_export_jobs FORCE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS tenant_isolation ON fhir_export_jobs;
+CREATE POLICY tenant_isolation ON fhir_export_jobs
+    USING (app_rls_bypassed() OR tenant_id = app_current_tenant_id())
+    WITH CHECK (app_rls_bypassed() OR tenant_id = app_current_tenant_id());
+
+-- =============================================
+-- _since INDEXES
+-- =============================================
+-- An export with _since reads the rows of one tenant changed after a point in time
+CREATE INDEX IF NOT EXISTS idx_patients_tenant_updated ON patients(tenant_id, updated_at);
+CREATE INDEX IF NOT EXISTS idx_providers_tenant_updated ON providers(tenant_id, updated_at);
+CREATE INDEX IF NOT EXISTS idx_facilities_tenant_updated ON facilities(tenant_id, updated_at);
+CREATE INDEX IF NOT EXISTS idx_appointments_tenant_updated ON appointments(tenant_id, updated_at);
+CREATE INDEX IF NOT EXISTS idx_medications_tenant_updated ON medications(tenant_id, updated_at);
+CREATE INDEX IF NOT EXISTS idx_notifications_tenant_updated ON notifications(tenant_id, updated_at);
+
+-- =============================================
+-- DOWN MIGRATION (for rollback)
+-- =============================================
+
+/*
+DROP INDEX IF EXISTS idx_notifications_tenant_updated;
+DROP INDEX IF EXISTS idx_medications_tenant_updated;
+DROP INDEX IF EXISTS idx_appointments_tenant_updated;
+DROP INDEX IF EXISTS idx_facilities_tenant_updated;
+DROP INDEX IF EXISTS idx_providers_tenant_updated;
+DROP INDEX IF EXISTS idx_patients_tenant_updated;
+DROP TABLE IF EXISTS fhir_export_jobs;
+*/
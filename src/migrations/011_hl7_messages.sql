@@ -0,0 +1,97 @@
+-- Chronic Care API - HL7 v2 Interface Migration
+-- Version: 011
+-- Description: Logs HL7 v2 messages for acknowledgment, deduplication and replay, and maps
+-- the identifiers other systems use for our records
+
+-- =============================================
+-- HL7_MESSAGES TABLE
+-- =============================================
+-- One row per message. Inbound messages are deduplicated on the sender and
+-- MSH-10 control id: a processed message sent again gets its original ACK,
+-- one that failed is processed again.
+CREATE TABLE IF NOT EXISTS hl7_messages (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+    direction VARCHAR(10) NOT NULL DEFAULT 'inbound',
+    message_control_id VARCHAR(199),
+    message_type VARCHAR(20),
+    sending_application VARCHAR(227) NOT NULL DEFAULT '',
+    sending_facility VARCHAR(227) NOT NULL DEFAULT '',
+    raw TEXT NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'received',
+    ack_code VARCHAR(2),
+    ack TEXT,
+    error_message TEXT,
+    entity_type VARCHAR(50),
+    entity_id UUID,
+    patient_id UUID,
+    attempts INTEGER NOT NULL DEFAULT 1,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    processed_at TIMESTAMP,
+    CONSTRAINT chk_hl7_direction CHECK (direction IN ('inbound', 'outbound')),
+    CONSTRAINT chk_hl7_status CHECK (status IN ('received', 'processed', 'error', 'rejected')),
+    CONSTRAINT chk_hl7_ack_code CHECK (ack_code IN ('AA', 'AE', 'AR'))
+);
+
+COMMENT ON TABLE hl7_messages IS 'HL7 v2 messages exchanged with other systems, kept for replay';
+COMMENT ON COLUMN hl7_messages.message_type IS 'MSH-9 message type and trigger event, e.g. ADT^A08';
+COMMENT ON COLUMN hl7_messages.status IS 'received while being processed, then processed (AA), error (AE) or rejected (AR)';
+COMMENT ON COLUMN hl7_messages.ack IS 'ACK returned to the sender, returned again for a duplicate';
+COMMENT ON COLUMN hl7_messages.entity_id IS 'Patient or appointment the message created or changed';
+COMMENT ON COLUMN hl7_messages.patient_id IS 'Patient whose data the message carries, for access auditing';
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_hl7_messages_control_id
+    ON hl7_messages(tenant_id, direction, sending_application, sending_facility, message_control_id)
+    WHERE message_control_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_hl7_messages_tenant ON hl7_messages(tenant_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_hl7_messages_status ON hl7_messages(tenant_id, status, created_at DESC);
+
+CREATE TRIGGER update_hl7_messages_updated_at BEFORE UPDATE ON hl7_messages
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- =============================================
+-- HL7_IDENTIFIERS TABLE
+-- =============================================
+-- Identifiers assigned by other systems, such as SIU placer and filler
+-- appointment ids, so later messages about the same record can find it
+CREATE TABLE IF NOT EXISTS hl7_identifiers (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+    entity_type VARCHAR(50) NOT NULL,
+    namespace VARCHAR(227) NOT NULL DEFAULT '',
+    identifier VARCHAR(199) NOT NULL,
+    entity_id UUID NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT uk_hl7_identifier UNIQUE (tenant_id, entity_type, namespace, identifier)
+);
+
+COMMENT ON COLUMN hl7_identifiers.namespace IS 'Assigning authority (EI-2), or the sending application when the message has none';
+
+CREATE INDEX IF NOT EXISTS idx_hl7_identifiers_entity ON hl7_identifiers(tenant_id, entity_type, entity_id);
+
+-- =============================================
+-- ROW LEVEL SECURITY
+-- =============================================
+ALTER TABLE hl7_messages ENABLE ROW LEVEL SECURITY;
+ALTER TABLE hl7_messages FORCE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS tenant_isolation ON hl7_messages;
+CREATE POLICY tenant_isolation ON hl7_messages
+    USING (app_rls_bypassed() OR tenant_id = app_current_tenant_id())
+    WITH CHECK (app_rls_bypassed() OR tenant_id = app_current_tenant_id());
+
+ALTER TABLE hl7_identifiers ENABLE ROW LEVEL SECURITY;
+ALTER TABLE hl7_identifiers FORCE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS tenant_isolation ON hl7_identifiers;
+CREATE POLICY tenant_isolation ON hl7_identifiers
+    USING (app_rls_bypassed() OR tenant_id = app_current_tenant_id())
+    WITH CHECK (app_rls_bypassed() OR tenant_id = app_current_tenant_id());
+
+-- =============================================
+-- DOWN MIGRATION (for rollback)
+-- =============================================
+
+/*
+DROP TABLE IF EXISTS hl7_identifiers;
+DROP TABLE IF EXISTS hl7_messages;
+*/
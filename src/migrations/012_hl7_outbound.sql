@@ -0,0 +1,43 @@
+-- Chronic Care API - HL7 v2 Outbound Feed Migration
+-- Version: 012
+-- Description: Logs outbound HL7 v2 messages in hl7_messages with their delivery state
+
+-- =============================================
+-- HL7_MESSAGES: OUTBOUND DELIVERY
+-- =============================================
+-- Outbound messages are logged as pending in the transaction that changed
+-- the appointment or medication, then sending while a delivery attempt runs,
+-- sent once the receiver accepted them, error between retries and failed
+-- when the retries ran out.
+ALTER TABLE hl7_messages DROP CONSTRAINT IF EXISTS chk_hl7_status;
+ALTER TABLE hl7_messages ADD CONSTRAINT chk_hl7_status CHECK (status IN (
+    'received', 'processed', 'error', 'rejected', 'pending', 'sending', 'sent', 'failed'
+));
+
+-- Receivers may answer in enhanced mode (commit accept, error, reject)
+ALTER TABLE hl7_messages DROP CONSTRAINT IF EXISTS chk_hl7_ack_code;
+ALTER TABLE hl7_messages ADD CONSTRAINT chk_hl7_ack_code CHECK (
+    ack_code IN ('AA', 'AE', 'AR', 'CA', 'CE', 'CR')
+);
+
+ALTER TABLE hl7_messages ADD COLUMN IF NOT EXISTS destination VARCHAR(500);
+
+COMMENT ON COLUMN hl7_messages.status IS 'Inbound: received, processed, error or rejected. Outbound: pending, sending, sent, error (retrying) or failed';
+COMMENT ON COLUMN hl7_messages.ack IS 'Inbound: ACK returned to the sender. Outbound: ACK received from the receiver';
+COMMENT ON COLUMN hl7_messages.destination IS 'Where an outbound message was last sent: mllp://host:port or the HTTP URL';
+
+CREATE INDEX IF NOT EXISTS idx_hl7_messages_entity ON hl7_messages(tenant_id, entity_type, entity_id);
+
+-- =============================================
+-- DOWN MIGRATION (for rollback)
+-- =============================================
+
+/*
+DELETE FROM hl7_messages WHERE direction = 'outbound';
+DROP INDEX IF EXISTS idx_hl7_messages_entity;
+ALTER TABLE hl7_messages DROP COLUMN IF EXISTS destination;
+ALTER TABLE hl7_messages DROP CONSTRAINT IF EXISTS chk_hl7_ack_code;
+ALTER TABLE hl7_messages ADD CONSTRAINT chk_hl7_ack_code CHECK (ack_code IN ('AA', 'AE', 'AR'));
+ALTER TABLE hl7_messages DROP CONSTRAINT IF EXISTS chk_hl7_status;
+ALTER TABLE hl7_messages ADD CONSTRAINT chk_hl7_status CHECK (status IN ('received', 'processed', 'error', 'rejected'));
+*/
@@ -0,0 +1,115 @@
+-- Chronic Care API - Availability Exceptions Migration
+-- Version: 013
+-- Description: Holidays, one-off blocks and ad-hoc sessions on top of the weekly provider_availability
+
+-- =============================================
+-- HOLIDAYS TABLE
+-- =============================================
+-- The tenant's holiday calendar. A holiday closes every facility of the
+-- tenant, or only facility_id, for the whole day. It is either a one-off
+-- holiday_date or recurs yearly on a fixed day of a month or on the nth
+-- weekday of a month (week_of_month -1 is the last one).
+CREATE TABLE IF NOT EXISTS holidays (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+    facility_id UUID REFERENCES facilities(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    holiday_date DATE,
+    month INTEGER,
+    day_of_month INTEGER,
+    day_of_week INTEGER,
+    week_of_month INTEGER,
+    observed_on_weekday BOOLEAN NOT NULL DEFAULT false,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT chk_holiday_rule CHECK (
+        (holiday_date IS NOT NULL AND month IS NULL AND day_of_month IS NULL
+            AND day_of_week IS NULL AND week_of_month IS NULL)
+        OR (holiday_date IS NULL AND month BETWEEN 1 AND 12 AND day_of_month BETWEEN 1 AND 31
+            AND day_of_week IS NULL AND week_of_month IS NULL)
+        OR (holiday_date IS NULL AND month BETWEEN 1 AND 12 AND day_of_month IS NULL
+            AND day_of_week BETWEEN 0 AND 6 AND week_of_month IN (1, 2, 3, 4, 5, -1))
+    )
+);
+
+COMMENT ON TABLE holidays IS 'Days a tenant''s facilities are closed, one-off or recurring yearly';
+COMMENT ON COLUMN holidays.facility_id IS 'Facility the holiday closes; NULL closes every facility of the tenant';
+COMMENT ON COLUMN holidays.week_of_month IS '1-5 for the nth day_of_week of the month, -1 for the last';
+COMMENT ON COLUMN holidays.observed_on_weekday IS 'Observed on Friday when it falls on a Saturday and on Monday when it falls on a Sunday';
+
+CREATE INDEX IF NOT EXISTS idx_holidays_tenant ON holidays(tenant_id, facility_id);
+
+CREATE TRIGGER update_holidays_updated_at BEFORE UPDATE ON holidays
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- =============================================
+-- AVAILABILITY_EXCEPTIONS TABLE
+-- =============================================
+-- A block takes a provider (at every facility when facility_id is NULL) or a
+-- facility (for every provider when provider_id is NULL) out of the schedule
+-- on each day from start_date to end_date, all day or between start_time and
+-- end_time. A session adds hours for a provider at a facility on those days.
+-- Dates and times are wall-clock values at the facility, as in
+-- provider_availability.
+CREATE TABLE IF NOT EXISTS availability_exceptions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+    exception_type VARCHAR(20) NOT NULL,
+    provider_id UUID REFERENCES providers(id) ON DELETE CASCADE,
+    facility_id UUID REFERENCES facilities(id) ON DELETE CASCADE,
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    start_time TIME,
+    end_time TIME,
+    slot_duration INTEGER,
+    reason VARCHAR(500),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT chk_exception_type CHECK (exception_type IN ('block', 'session')),
+    CONSTRAINT chk_exception_dates CHECK (end_date >= start_date),
+    CONSTRAINT chk_exception_times CHECK (
+        (start_time IS NULL AND end_time IS NULL) OR end_time > start_time
+    ),
+    CONSTRAINT chk_exception_scope CHECK (
+        (exception_type = 'block' AND (provider_id IS NOT NULL OR facility_id IS NOT NULL))
+        OR (exception_type = 'session' AND provider_id IS NOT NULL AND facility_id IS NOT NULL
+            AND start_time IS NOT NULL AND slot_duration > 0)
+    )
+);
+
+COMMENT ON TABLE availability_exceptions IS 'One-off blocks and ad-hoc sessions that override provider_availability';
+COMMENT ON COLUMN availability_exceptions.start_time IS 'Daily window start; NULL with end_time for a whole-day block';
+
+CREATE INDEX IF NOT EXISTS idx_availability_exceptions_provider
+    ON availability_exceptions(tenant_id, provider_id, start_date, end_date);
+CREATE INDEX IF NOT EXISTS idx_availability_exceptions_facility
+    ON availability_exceptions(tenant_id, facility_id, start_date, end_date);
+
+CREATE TRIGGER update_availability_exceptions_updated_at BEFORE UPDATE ON availability_exceptions
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- =============================================
+-- ROW LEVEL SECURITY
+-- =============================================
+ALTER TABLE holidays ENABLE ROW LEVEL SECURITY;
+ALTER TABLE holidays FORCE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS tenant_isolation ON holidays;
+CREATE POLICY tenant_isolation ON holidays
+    USING (app_rls_bypassed() OR tenant_id = app_current_tenant_id())
+    WITH CHECK (app_rls_bypassed() OR tenant_id = app_current_tenant_id());
+
+ALTER TABLE availability_exceptions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE availability_exceptions FORCE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS tenant_isolation ON availability_exceptions;
+CREATE POLICY tenant_isolation ON availability_exceptions
+    USING (app_rls_bypassed() OR tenant_id = app_current_tenant_id())
+    WITH CHECK (app_rls_bypassed() OR tenant_id = app_current_tenant_id());
+
+-- =============================================
+-- DOWN MIGRATION (for rollback)
+-- =============================================
+
+/*
+DROP TABLE IF EXISTS availability_exceptions;
+DROP TABLE IF EXISTS holidays;
+*/
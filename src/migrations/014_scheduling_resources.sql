@@ -0,0 +1,105 @@
+-- Chronic Care API - Scheduling Resources Migration
+-- Version: 014
+-- Description: Rooms, chairs and devices at a facility that appointments book alongside the provider
+
+-- =============================================
+-- RESOURCES TABLE
+-- =============================================
+-- A resource can hold `capacity` appointments at once (a two-bed bay is
+-- one resource with capacity 2). Appointment types name the resource types
+-- they need; booking assigns a free resource of each type at the facility.
+CREATE TABLE IF NOT EXISTS resources (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+    facility_id UUID NOT NULL REFERENCES facilities(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    resource_type VARCHAR(50) NOT NULL,
+    capacity INTEGER NOT NULL DEFAULT 1,
+    attributes JSONB DEFAULT '{}',
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT uk_resource_name UNIQUE (tenant_id, facility_id, name),
+    CONSTRAINT chk_resource_capacity CHECK (capacity > 0)
+);
+
+COMMENT ON TABLE resources IS 'Rooms, chairs and devices that appointments need besides a provider';
+COMMENT ON COLUMN resources.resource_type IS 'What appointment types ask for, e.g. infusion_chair, infusion_pump, procedure_room';
+COMMENT ON COLUMN resources.capacity IS 'Appointments the resource can hold at the same time';
+
+CREATE INDEX IF NOT EXISTS idx_resources_facility ON resources(tenant_id, facility_id, resource_type);
+
+CREATE TRIGGER update_resources_updated_at BEFORE UPDATE ON resources
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- =============================================
+-- RESOURCE_AVAILABILITY TABLE
+-- =============================================
+-- Weekly hours, as in provider_availability. A resource without any rows
+-- is available whenever the provider is.
+CREATE TABLE IF NOT EXISTS resource_availability (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+    resource_id UUID NOT NULL REFERENCES resources(id) ON DELETE CASCADE,
+    day_of_week INTEGER NOT NULL,
+    start_time TIME NOT NULL,
+    end_time TIME NOT NULL,
+    effective_from DATE NOT NULL,
+    effective_until DATE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT chk_resource_day_of_week CHECK (day_of_week BETWEEN 0 AND 6),
+    CONSTRAINT chk_resource_availability_times CHECK (end_time > start_time)
+);
+
+COMMENT ON COLUMN resource_availability.day_of_week IS '0=Sunday, 1=Monday, ..., 6=Saturday';
+
+CREATE INDEX IF NOT EXISTS idx_resource_availability_resource ON resource_availability(resource_id);
+
+-- =============================================
+-- APPOINTMENT_RESOURCES TABLE
+-- =============================================
+-- The resources assigned to an appointment. They are released when the
+-- appointment is cancelled or marked a no-show, like the provider's time.
+CREATE TABLE IF NOT EXISTS appointment_resources (
+    tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+    appointment_id UUID NOT NULL REFERENCES appointments(id) ON DELETE CASCADE,
+    resource_id UUID NOT NULL REFERENCES resources(id) ON DELETE CASCADE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (appointment_id, resource_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_appointment_resources_resource ON appointment_resources(resource_id);
+
+-- =============================================
+-- ROW LEVEL SECURITY
+-- =============================================
+ALTER TABLE resources ENABLE ROW LEVEL SECURITY;
+ALTER TABLE resources FORCE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS tenant_isolation ON resources;
+CREATE POLICY tenant_isolation ON resources
+    USING (app_rls_bypassed() OR tenant_id = app_current_tenant_id())
+    WITH CHECK (app_rls_bypassed() OR tenant_id = app_current_tenant_id());
+
+ALTER TABLE resource_availability ENABLE ROW LEVEL SECURITY;
+ALTER TABLE resource_availability FORCE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS tenant_isolation ON resource_availability;
+CREATE POLICY tenant_isolation ON resource_availability
+    USING (app_rls_bypassed() OR tenant_id = app_current_tenant_id())
+    WITH CHECK (app_rls_bypassed() OR tenant_id = app_current_tenant_id());
+
+ALTER TABLE appointment_resources ENABLE ROW LEVEL SECURITY;
+ALTER TABLE appointment_resources FORCE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS tenant_isolation ON appointment_resources;
+CREATE POLICY tenant_isolation ON appointment_resources
+    USING (app_rls_bypassed() OR tenant_id = app_current_tenant_id())
+    WITH CHECK (app_rls_bypassed() OR tenant_id = app_current_tenant_id());
+
+-- =============================================
+-- DOWN MIGRATION (for rollback)
+-- =============================================
+
+/*
+DROP TABLE IF EXISTS appointment_resources;
+DROP TABLE IF EXISTS resource_availability;
+DROP TABLE IF EXISTS resources;
+*/
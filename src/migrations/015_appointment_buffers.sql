@@ -0,0 +1,36 @@
+-- Chronic Care API - Appointment Buffers Migration
+-- Version: 015
+-- Description: Time a provider keeps free before and after each appointment type
+
+-- =============================================
+-- PROVIDERS
+-- =============================================
+-- Minutes per appointment type, e.g. {"procedure": {"before": 0, "after": 15}};
+-- types without an entry use the tenant's scheduling configuration
+ALTER TABLE providers ADD COLUMN IF NOT EXISTS appointment_buffers JSONB DEFAULT '{}';
+
+COMMENT ON COLUMN providers.appointment_buffers IS 'Minutes kept free before and after each appointment type';
+
+-- =============================================
+-- APPOINTMENTS
+-- =============================================
+-- The buffers an appointment was booked with. The provider and the
+-- appointment's resources are busy from scheduled_start - buffer_before_minutes
+-- to scheduled_end + buffer_after_minutes.
+ALTER TABLE appointments ADD COLUMN IF NOT EXISTS buffer_before_minutes INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE appointments ADD COLUMN IF NOT EXISTS buffer_after_minutes INTEGER NOT NULL DEFAULT 0;
+
+ALTER TABLE appointments DROP CONSTRAINT IF EXISTS chk_appointment_buffers;
+ALTER TABLE appointments ADD CONSTRAINT chk_appointment_buffers
+    CHECK (buffer_before_minutes >= 0 AND buffer_after_minutes >= 0);
+
+-- =============================================
+-- DOWN MIGRATION (for rollback)
+-- =============================================
+
+/*
+ALTER TABLE appointments DROP CONSTRAINT IF EXISTS chk_appointment_buffers;
+ALTER TABLE appointments DROP COLUMN IF EXISTS buffer_after_minutes;
+ALTER TABLE appointments DROP COLUMN IF EXISTS buffer_before_minutes;
+ALTER TABLE providers DROP COLUMN IF EXISTS appointment_buffers;
+*/
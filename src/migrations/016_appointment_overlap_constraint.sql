@@ -0,0 +1,41 @@
+-- Chronic Care API - Appointment Overlap Constraint Migration
+-- Version: 016
+-- Description: Let the database reject double-booked providers, whatever runs concurrently
+
+-- btree_gist lets the exclusion constraint compare provider_id with = next
+-- to the range overlap
+CREATE EXTENSION IF NOT EXISTS btree_gist;
+
+-- =============================================
+-- APPOINTMENTS
+-- =============================================
+-- No two active appointments of a provider may overlap, buffers included.
+-- scheduled_start and scheduled_end hold UTC in TIMESTAMP columns, so the
+-- range is a tsrange: the arithmetic on it is immutable, as an index needs,
+-- where timestamptz arithmetic depends on the session time zone. Ranges are
+-- half-open, so back-to-back appointments do not conflict.
+--
+-- Overlapping bookings made before this migration make it fail; list them with
+--   SELECT a.id, b.id FROM appointments a JOIN appointments b
+--     ON a.provider_id = b.provider_id AND a.id < b.id
+--    AND a.scheduled_start < b.scheduled_end AND b.scheduled_start < a.scheduled_end
+--   WHERE a.status NOT IN ('cancelled', 'no-show') AND b.status NOT IN ('cancelled', 'no-show');
+-- and reschedule or cancel one of each pair first.
+ALTER TABLE appointments DROP CONSTRAINT IF EXISTS excl_appointments_provider_overlap;
+ALTER TABLE appointments ADD CONSTRAINT excl_appointments_provider_overlap
+    EXCLUDE USING gist (
+        provider_id WITH =,
+        tsrange(
+            scheduled_start - make_interval(mins => buffer_before_minutes),
+            scheduled_end + make_interval(mins => buffer_after_minutes)
+        ) WITH &&
+    )
+    WHERE (status NOT IN ('cancelled', 'no-show'));
+
+-- =============================================
+-- DOWN MIGRATION (for rollback)
+-- =============================================
+
+/*
+ALTER TABLE appointments DROP CONSTRAINT IF EXISTS excl_appointments_provider_overlap;
+*/
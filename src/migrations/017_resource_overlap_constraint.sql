@@ -0,0 +1,113 @@
+-- Chronic Care API - Resource Overlap Constraint Migration
+-- Version: 017
+-- Description: Let the database reject double-booked rooms, chairs and devices, as 016 does for providers
+
+-- =============================================
+-- APPOINTMENT_RESOURCES
+-- =============================================
+-- Each assignment carries a copy of its appointment's busy span, buffers
+-- included, whether the appointment is still active, and whether its
+-- resource holds one appointment at a time. The triggers below keep the
+-- copies in step with appointments and resources.
+ALTER TABLE appointment_resources ADD COLUMN IF NOT EXISTS busy_during TSRANGE;
+ALTER TABLE appointment_resources ADD COLUMN IF NOT EXISTS is_active BOOLEAN NOT NULL DEFAULT true;
+ALTER TABLE appointment_resources ADD COLUMN IF NOT EXISTS is_exclusive BOOLEAN NOT NULL DEFAULT true;
+
+COMMENT ON COLUMN appointment_resources.busy_during IS 'The appointment''s span with its buffers, copied from appointments';
+COMMENT ON COLUMN appointment_resources.is_exclusive IS 'Whether the resource has a capacity of 1, copied from resources';
+
+CREATE OR REPLACE FUNCTION appointment_resources_fill() RETURNS TRIGGER AS $$
+BEGIN
+    SELECT tsrange(
+               a.scheduled_start - make_interval(mins => a.buffer_before_minutes),
+               a.scheduled_end + make_interval(mins => a.buffer_after_minutes)
+           ),
+           a.status NOT IN ('cancelled', 'no-show')
+    INTO NEW.busy_during, NEW.is_active
+    FROM appointments a
+    WHERE a.id = NEW.appointment_id;
+
+    SELECT r.capacity = 1 INTO NEW.is_exclusive FROM resources r WHERE r.id = NEW.resource_id;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS appointment_resources_fill ON appointment_resources;
+CREATE TRIGGER appointment_resources_fill
+    BEFORE INSERT OR UPDATE ON appointment_resources
+    FOR EACH ROW EXECUTE FUNCTION appointment_resources_fill();
+
+-- A moved, resized, cancelled or reactivated appointment refills its rows
+CREATE OR REPLACE FUNCTION appointments_refill_resources() RETURNS TRIGGER AS $$
+BEGIN
+    UPDATE appointment_resources SET appointment_id = appointment_id
+    WHERE appointment_id = NEW.id;
+
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS appointments_refill_resources ON appointments;
+CREATE TRIGGER appointments_refill_resources
+    AFTER UPDATE OF scheduled_start, scheduled_end, buffer_before_minutes, buffer_after_minutes, status
+    ON appointments
+    FOR EACH ROW EXECUTE FUNCTION appointments_refill_resources();
+
+-- A resource whose capacity changes refills its rows
+CREATE OR REPLACE FUNCTION resources_refill_appointments() RETURNS TRIGGER AS $$
+BEGIN
+    UPDATE appointment_resources SET resource_id = resource_id
+    WHERE resource_id = NEW.id;
+
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS resources_refill_appointments ON resources;
+CREATE TRIGGER resources_refill_appointments
+    AFTER UPDATE OF capacity ON resources
+    FOR EACH ROW EXECUTE FUNCTION resources_refill_appointments();
+
+UPDATE appointment_resources SET appointment_id = appointment_id;
+
+ALTER TABLE appointment_resources ALTER COLUMN busy_during SET NOT NULL;
+
+-- No two active appointments may hold a resource of capacity 1 at once.
+-- Resources with a larger capacity are only guarded by the row locks taken
+-- when they are assigned. The check waits for COMMIT, because a reschedule
+-- moves the appointment before it hands its resources back and takes new
+-- ones.
+--
+-- Double-booked resources make this migration fail; list them with
+--   SELECT a.appointment_id, b.appointment_id, a.resource_id
+--   FROM appointment_resources a JOIN appointment_resources b
+--     ON a.resource_id = b.resource_id AND a.appointment_id < b.appointment_id
+--    AND a.busy_during && b.busy_during
+--   WHERE a.is_active AND b.is_active AND a.is_exclusive;
+-- and reschedule, cancel or reassign one of each pair first.
+ALTER TABLE appointment_resources DROP CONSTRAINT IF EXISTS excl_appointment_resources_overlap;
+ALTER TABLE appointment_resources ADD CONSTRAINT excl_appointment_resources_overlap
+    EXCLUDE USING gist (
+        resource_id WITH =,
+        busy_during WITH &&
+    )
+    WHERE (is_active AND is_exclusive)
+    DEFERRABLE INITIALLY DEFERRED;
+
+-- =============================================
+-- DOWN MIGRATION (for rollback)
+-- =============================================
+
+/*
+ALTER TABLE appointment_resources DROP CONSTRAINT IF EXISTS excl_appointment_resources_overlap;
+DROP TRIGGER IF EXISTS resources_refill_appointments ON resources;
+DROP TRIGGER IF EXISTS appointments_refill_resources ON appointments;
+DROP TRIGGER IF EXISTS appointment_resources_fill ON appointment_resources;
+DROP FUNCTION IF EXISTS resources_refill_appointments();
+DROP FUNCTION IF EXISTS appointments_refill_resources();
+DROP FUNCTION IF EXISTS appointment_resources_fill();
+ALTER TABLE appointment_resources DROP COLUMN IF EXISTS is_exclusive;
+ALTER TABLE appointment_resources DROP COLUMN IF EXISTS is_active;
+ALTER TABLE appointment_resources DROP COLUMN IF EXISTS busy_during;
+*/
@@ -0,0 +1,126 @@
+-- Chronic Care API - Audit Chain At Commit Migration
+-- Version: 018
+-- Description: Chain audit entries when their transaction commits, so the chain head is the last lock a transaction takes
+
+-- =============================================
+-- AUDIT_LOGS CHAIN COLUMNS
+-- =============================================
+-- Entries are inserted without their chain columns, which are filled in at
+-- COMMIT. Other transactions only ever see chained entries.
+ALTER TABLE audit_logs ALTER COLUMN chain_seq DROP NOT NULL;
+ALTER TABLE audit_logs ALTER COLUMN prev_hash DROP NOT NULL;
+ALTER TABLE audit_logs ALTER COLUMN row_hash DROP NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_audit_unchained ON audit_logs(tenant_id) WHERE row_hash IS NULL;
+
+-- =============================================
+-- CHAIN TRIGGERS
+-- =============================================
+-- An inserted entry never brings its own chain columns
+CREATE OR REPLACE FUNCTION audit_logs_unchained()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.chain_seq := NULL;
+    NEW.prev_hash := NULL;
+    NEW.row_hash := NULL;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Runs for each entry at COMMIT, in insert order. The first run locks the
+-- chain heads of every tenant the transaction wrote entries for, in tenant_id
+-- order, after every other lock of the transaction has been taken. Two
+-- transactions therefore cannot wait for each other through the chain.
+CREATE OR REPLACE FUNCTION audit_logs_chain()
+RETURNS TRIGGER AS $$
+DECLARE
+    head audit_chain_heads;
+    entry audit_logs := NEW;
+BEGIN
+    IF current_setting('app.audit_chain_locked', true) IS DISTINCT FROM 'on' THEN
+        INSERT INTO audit_chain_heads (tenant_id)
+        SELECT DISTINCT tenant_id FROM audit_logs WHERE row_hash IS NULL
+        ORDER BY tenant_id
+        ON CONFLICT (tenant_id) DO NOTHING;
+
+        PERFORM 1 FROM audit_chain_heads
+        WHERE tenant_id IN (SELECT tenant_id FROM audit_logs WHERE row_hash IS NULL)
+        ORDER BY tenant_id
+        FOR UPDATE;
+
+        PERFORM set_config('app.audit_chain_locked', 'on', true);
+    END IF;
+
+    SELECT * INTO head FROM audit_chain_heads WHERE tenant_id = NEW.tenant_id FOR UPDATE;
+
+    entry.chain_seq := head.last_seq + 1;
+    entry.prev_hash := head.last_hash;
+    entry.row_hash := audit_log_hash(entry, head.last_hash);
+
+    PERFORM set_config('app.audit_chaining', 'on', true);
+
+    UPDATE audit_logs
+    SET chain_seq = entry.chain_seq, prev_hash = entry.prev_hash, row_hash = entry.row_hash
+    WHERE id = NEW.id;
+
+    PERFORM set_config('app.audit_chaining', 'off', true);
+
+    UPDATE audit_chain_heads
+    SET last_seq = entry.chain_seq, last_hash = entry.row_hash, updated_at = CURRENT_TIMESTAMP
+    WHERE tenant_id = NEW.tenant_id;
+
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS audit_logs_chain ON audit_logs;
+DROP TRIGGER IF EXISTS audit_logs_unchained ON audit_logs;
+CREATE TRIGGER audit_logs_unchained
+    BEFORE INSERT ON audit_logs
+    FOR EACH ROW EXECUTE FUNCTION audit_logs_unchained();
+
+CREATE CONSTRAINT TRIGGER audit_logs_chain
+    AFTER INSERT ON audit_logs
+    DEFERRABLE INITIALLY DEFERRED
+    FOR EACH ROW EXECUTE FUNCTION audit_logs_chain();
+
+-- =============================================
+-- APPEND-ONLY TRIGGERS
+-- =============================================
+-- The only update allowed is audit_logs_chain filling in the chain columns of
+-- an entry that has none yet.
+CREATE OR REPLACE FUNCTION audit_logs_append_only()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP = 'DELETE' AND NOT EXISTS (SELECT 1 FROM tenants WHERE id = OLD.tenant_id) THEN
+        RETURN OLD;
+    END IF;
+
+    IF TG_OP = 'UPDATE'
+       AND current_setting('app.audit_chaining', true) = 'on'
+       AND OLD.row_hash IS NULL
+       AND to_jsonb(NEW) - ARRAY['chain_seq', 'prev_hash', 'row_hash']
+           = to_jsonb(OLD) - ARRAY['chain_seq', 'prev_hash', 'row_hash'] THEN
+        RETURN NEW;
+    END IF;
+
+    RAISE EXCEPTION 'audit_logs is append-only (% rejected)', TG_OP
+        USING ERRCODE = 'insufficient_privilege';
+END;
+$$ LANGUAGE plpgsql;
+
+-- =============================================
+-- DOWN MIGRATION (for rollback)
+-- =============================================
+
+/*
+DROP TRIGGER IF EXISTS audit_logs_chain ON audit_logs;
+DROP TRIGGER IF EXISTS audit_logs_unchained ON audit_logs;
+DROP FUNCTION IF EXISTS audit_logs_unchained();
+DROP INDEX IF EXISTS idx_audit_unchained;
+-- Then re-run the CHAIN TRIGGER and APPEND-ONLY TRIGGERS sections of 008
+ALTER TABLE audit_logs ALTER COLUMN chain_seq SET NOT NULL;
+ALTER TABLE audit_logs ALTER COLUMN prev_hash SET NOT NULL;
+ALTER TABLE audit_logs ALTER COLUMN row_hash SET NOT NULL;
+*/
@@ -95,6 +95,9 @@ async function executeMigration(migration, direction = 'up') {
   try {
     await client.query('BEGIN');
 
+    // Data migrations must see every tenant's rows once RLS is enabled (006)
+    await client.query("SELECT set_config('app.bypass_rls', 'on', true)");
+
     console.log(`Running migration: ${migration.name}`);
 
     // Execute the migration SQL
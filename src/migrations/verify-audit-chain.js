@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+
+/**
+ * Audit Hash Chain Verification
+ *
+ * Walks the audit_logs hash chain of one tenant, or of every tenant with a
+ * chain, and reports modified, missing or out-of-order entries. Uses the same
+ * check as GET /api/v1/audit-logs/verify, without the per-request range limit.
+ *
+ * Usage:
+ *   node migrations/verify-audit-chain.js [tenantId]
+ *
+ * Exits with status 1 when any chain is broken.
+ */
+
+// Load environment variables before the database pool is created
+require('dotenv').config();
+
+const db = require('../config/database');
+const AuditService = require('../services/audit.service');
+
+const auditService = new AuditService();
+
+async function verifyTenant(tenantId) {
+  let fromSeq = 1;
+  let checked = 0;
+  let breakCount = 0;
+
+  while (fromSeq) {
+    const result = await auditService.verifyChain(tenantId, { fromSeq, limit: 50000 });
+
+    result.breaks.forEach((item) => {
+      const range = item.missing_from ? ` (entries ${item.missing_from}-${item.missing_to})` : '';
+      console.error(`  ✗ #${item.chain_seq} ${item.reason}${range} ${item.audit_id || ''}`);
+    });
+
+    checked += result.checked;
+    breakCount += result.break_count;
+    fromSeq = result.next_seq;
+  }
+
+  if (breakCount > 0) {
+    console.error(`✗ ${tenantId}: ${breakCount} break(s) in ${checked} entries`);
+  } else {
+    console.log(`✓ ${tenantId}: ${checked} entries verified`);
+  }
+
+  return breakCount;
+}
+
+async function main() {
+  let failures = 0;
+
+  try {
+    await db.runAsSystem(async () => {
+      const tenantIds = process.argv[2]
+        ? [process.argv[2]]
+        : (await db.query('SELECT tenant_id FROM audit_chain_heads ORDER BY tenant_id')).rows.map(
+            (row) => row.tenant_id
+          );
+
+      for (const tenantId of tenantIds) {
+        if ((await verifyTenant(tenantId)) > 0) {
+          failures++;
+        }
+      }
+    });
+  } finally {
+    await db.pool.end();
+  }
+
+  if (failures > 0) {
+    console.error(`\n✗ ${failures} tenant audit chain(s) broken\n`);
+    process.exit(1);
+  }
+
+  console.log('\n✓ Audit chains verified\n');
+}
+
+// Run if called directly
+if (require.main === module) {
+  main().catch((error) => {
+    console.error('Fatal error:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  main,
+};
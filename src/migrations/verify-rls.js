@@ -0,0 +1,293 @@
+#!/usr/bin/env node
+
+/**
+ * Row-Level Security Verification
+ *
+ * Seeds two throwaway tenants inside a single transaction, switches the
+ * app.tenant_id context between them and checks that neither can read or
+ * write the other's rows. The transaction is always rolled back.
+ *
+ * Then does the same through src/config/database.js, the way services do:
+ * db.connect() and db.query() inside db.runWithTenant. Those use the pool's
+ * own connections, so two more tenants are committed for it and deleted
+ * again at the end. The script is safe to run against any environment after
+ * `migrate.js up`.
+ *
+ * Usage:
+ *   npm run verify:rls
+ *   node src/migrations/verify-rls.js
+ *
+ * Connect as the application role: superusers and BYPASSRLS roles skip RLS.
+ */
+
+const { Pool } = require('pg');
+
+// Load environment variables
+require('dotenv').config();
+
+const db = require('../config/database');
+
+// Database configuration
+const pool = new Pool({
+  host: process.env.DB_HOST || 'localhost',
+  port: parseInt(process.env.DB_PORT, 10) || 5432,
+  database: process.env.DB_NAME || 'chronic_care_dev',
+  user: process.env.DB_USER || 'postgres',
+  password: process.env.DB_PASSWORD,
+  ssl: process.env.DB_SSL === 'true' ? { rejectUnauthorized: false } : false,
+});
+
+let failures = 0;
+
+function check(description, passed) {
+  if (passed) {
+    console.log(`  ✓ ${description}`);
+  } else {
+    failures++;
+    console.error(`  ✗ ${description}`);
+  }
+}
+
+async function setContext(client, { tenantId = '', bypass = false }) {
+  await client.query(
+    `SELECT set_config('app.tenant_id', $1, true), set_config('app.bypass_rls', $2, true)`,
+    [tenantId, bypass ? 'on' : 'off']
+  );
+}
+
+/**
+ * Create a tenant with one facility, patient, provider and availability row
+ */
+async function seedTenant(client, label) {
+  const tenant = await client.query(
+    `INSERT INTO tenants (name, subdomain) VALUES ($1, $2) RETURNING id`,
+    [`RLS check ${label}`, `rls-check-${label}-${Date.now()}`]
+  );
+  const tenantId = tenant.rows[0].id;
+
+  const facility = await client.query(
+    `INSERT INTO facilities (tenant_id, name, facility_type, address)
+     VALUES ($1, $2, 'clinic', '{}') RETURNING id`,
+    [tenantId, `Facility ${label}`]
+  );
+
+  const patient = await client.query(
+    `INSERT INTO patients (tenant_id, mrn, first_name, last_name, date_of_birth)
+     VALUES ($1, $2, 'Rls', $3, '1970-01-01') RETURNING id`,
+    [tenantId, `RLS-${label}`, label]
+  );
+
+  const provider = await client.query(
+    `INSERT INTO providers (tenant_id, npi, first_name, last_name)
+     VALUES ($1, '1234567890', 'Rls', $2) RETURNING id`,
+    [tenantId, label]
+  );
+
+  await client.query(
+    `INSERT INTO provider_availability (provider_id, facility_id, day_of_week, start_time, end_time, effective_from)
+     VALUES ($1, $2, 1, '09:00', '17:00', CURRENT_DATE)`,
+    [provider.rows[0].id, facility.rows[0].id]
+  );
+
+  return {
+    tenantId,
+    patientId: patient.rows[0].id,
+    providerId: provider.rows[0].id,
+  };
+}
+
+async function verifyIsolation(client, own, other) {
+  await setContext(client, { tenantId: own.tenantId });
+
+  const patients = await client.query('SELECT tenant_id FROM patients');
+  check(
+    'lists only own patients',
+    patients.rows.length > 0 && patients.rows.every((row) => row.tenant_id === own.tenantId)
+  );
+
+  const unfiltered = await client.query('SELECT id FROM patients WHERE id = $1', [
+    other.patientId,
+  ]);
+  check('cannot read another tenant patient by id', unfiltered.rows.length === 0);
+
+  const availability = await client.query(
+    'SELECT id FROM provider_availability WHERE provider_id = $1',
+    [other.providerId]
+  );
+  check('cannot read another tenant provider availability', availability.rows.length === 0);
+
+  const updated = await client.query(
+    `UPDATE patients SET first_name = 'Leaked' WHERE id = $1 RETURNING id`,
+    [other.patientId]
+  );
+  check('cannot update another tenant patient', updated.rows.length === 0);
+
+  await client.query('SAVEPOINT cross_tenant_insert');
+  try {
+    await client.query(
+      `INSERT INTO patients (tenant_id, mrn, first_name, last_name, date_of_birth)
+       VALUES ($1, 'RLS-LEAK', 'Rls', 'Leak', '1970-01-01')`,
+      [other.tenantId]
+    );
+    check('cannot insert rows for another tenant', false);
+  } catch (error) {
+    check('cannot insert rows for another tenant', error.code === '42501');
+  } finally {
+    await client.query('ROLLBACK TO SAVEPOINT cross_tenant_insert');
+  }
+}
+
+/**
+ * Read and write as a service does for `own`, with the context that BEGIN
+ * sets inside db.runWithTenant
+ */
+async function verifyServiceContext(own, other) {
+  await db.runWithTenant(own.tenantId, async () => {
+    const client = await db.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const patients = await client.query('SELECT id FROM patients WHERE id = ANY($1)', [
+        [own.patientId, other.patientId],
+      ]);
+      check(
+        'db.connect reads only own patients',
+        patients.rows.length === 1 && patients.rows[0].id === own.patientId
+      );
+
+      const updatedOwn = await client.query(
+        `UPDATE patients SET first_name = 'Checked' WHERE id = $1 RETURNING id`,
+        [own.patientId]
+      );
+      check('db.connect can update own patient', updatedOwn.rows.length === 1);
+
+      const updatedOther = await client.query(
+        `UPDATE patients SET first_name = 'Leaked' WHERE id = $1 RETURNING id`,
+        [other.patientId]
+      );
+      check('db.connect cannot update another tenant patient', updatedOther.rows.length === 0);
+
+      await client.query('SAVEPOINT cross_tenant_insert');
+      try {
+        await client.query(
+          `INSERT INTO patients (tenant_id, mrn, first_name, last_name, date_of_birth)
+           VALUES ($1, 'RLS-LEAK', 'Rls', 'Leak', '1970-01-01')`,
+          [other.tenantId]
+        );
+        check('db.connect cannot insert rows for another tenant', false);
+      } catch (error) {
+        check('db.connect cannot insert rows for another tenant', error.code === '42501');
+      } finally {
+        await client.query('ROLLBACK TO SAVEPOINT cross_tenant_insert');
+      }
+    } finally {
+      await client.query('ROLLBACK');
+      client.release();
+    }
+
+    const viaQuery = await db.query('SELECT id FROM patients WHERE id = ANY($1)', [
+      [own.patientId, other.patientId],
+    ]);
+    check(
+      'db.query reads only own patients',
+      viaQuery.rows.length === 1 && viaQuery.rows[0].id === own.patientId
+    );
+  });
+}
+
+async function main() {
+  console.log('═══════════════════════════════════════');
+  console.log('  Chronic Care API - RLS Verification');
+  console.log('═══════════════════════════════════════\n');
+
+  const client = await pool.connect();
+
+  try {
+    const role = await client.query(
+      'SELECT rolsuper, rolbypassrls FROM pg_roles WHERE rolname = current_user'
+    );
+    check(
+      'connected role is subject to RLS (not superuser or BYPASSRLS)',
+      !role.rows[0].rolsuper && !role.rows[0].rolbypassrls
+    );
+
+    await client.query('BEGIN');
+
+    // Seeding needs the system context so inserts pass WITH CHECK
+    await setContext(client, { bypass: true });
+    const tenantA = await seedTenant(client, 'a');
+    const tenantB = await seedTenant(client, 'b');
+
+    console.log('\nTenant A:');
+    await verifyIsolation(client, tenantA, tenantB);
+
+    console.log('\nTenant B:');
+    await verifyIsolation(client, tenantB, tenantA);
+
+    console.log('\nNo tenant context:');
+    await setContext(client, {});
+    const anonymous = await client.query('SELECT id FROM patients WHERE id = ANY($1)', [
+      [tenantA.patientId, tenantB.patientId],
+    ]);
+    check('sees no tenant rows', anonymous.rows.length === 0);
+  } catch (error) {
+    failures++;
+    console.error(`\n✗ Verification error: ${error.message}`);
+  } finally {
+    await client.query('ROLLBACK');
+    client.release();
+    await pool.end();
+  }
+
+  let committed = [];
+
+  try {
+    await db.runAsSystem(() =>
+      db.withTransaction(async () => {
+        const seedClient = await db.connect();
+        committed = [await seedTenant(seedClient, 'c'), await seedTenant(seedClient, 'd')];
+      })
+    );
+
+    const [tenantC, tenantD] = committed;
+
+    console.log('\nTenant C through db.runWithTenant:');
+    await verifyServiceContext(tenantC, tenantD);
+
+    console.log('\nTenant D through db.runWithTenant:');
+    await verifyServiceContext(tenantD, tenantC);
+  } catch (error) {
+    failures++;
+    console.error(`\n✗ Verification error: ${error.message}`);
+  } finally {
+    if (committed.length > 0) {
+      await db.runAsSystem(() =>
+        db.query('DELETE FROM tenants WHERE id = ANY($1)', [
+          committed.map((tenant) => tenant.tenantId),
+        ])
+      );
+    }
+
+    await db.pool.end();
+  }
+
+  if (failures > 0) {
+    console.error(`\n✗ ${failures} RLS check(s) failed\n`);
+    process.exit(1);
+  }
+
+  console.log('\n✓ Tenant isolation verified\n');
+}
+
+// Run if called directly
+if (require.main === module) {
+  main().catch((error) => {
+    console.error('Fatal error:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  main,
+};
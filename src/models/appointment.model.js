@@ -127,6 +127,11 @@ const appointmentSeriesCreateSchema = Joi.object({
 
 /**
  * Appointment types configuration
+ * `resources` are the resource types a booking needs besides the provider;
+ * a facility with none of them free cannot take the booking.
+ * A tenant's `scheduling.appointmentTypes` configuration can override
+ * `resources` and set `duration`, `bufferBefore` and `bufferAfter` minutes
+ * per type.
  */
 const appointmentTypes = {
   consultation: {
@@ -143,11 +148,13 @@ const appointmentTypes = {
     name: 'Treatment',
     default_duration: 60,
     description: 'Treatment session (e.g., chemotherapy, radiation)',
+    resources: ['infusion_chair'],
   },
   procedure: {
     name: 'Procedure',
     default_duration: 45,
     description: 'Medical procedure',
+    resources: ['procedure_room'],
   },
   imaging: {
     name: 'Imaging',
@@ -255,6 +262,57 @@ function getDefaultDuration(appointmentType) {
   return appointmentTypes[appointmentType]?.default_duration || 30;
 }
 
+/**
+ * Get the resource types an appointment type needs: the tenant's
+ * `scheduling.appointmentTypes` configuration, else the defaults above
+ * Each type is required unless configured as `{ type, optional: true }`.
+ * @returns {Array} [{ type, optional }]
+ */
+function getRequiredResources(appointmentType, schedulingConfig = {}) {
+  const configured = schedulingConfig.appointmentTypes?.[appointmentType]?.resources;
+  const resources = configured || appointmentTypes[appointmentType]?.resources || [];
+
+  return resources.map((resource) =>
+    typeof resource === 'string'
+      ? { type: resource, optional: false }
+      : { type: resource.type, optional: resource.optional === true }
+  );
+}
+
+/**
+ * Get the length of an appointment type with a provider: the provider's
+ * `default_appointment_durations`, else the tenant's configuration, else the
+ * default above
+ */
+function getAppointmentDuration(appointmentType, provider = {}, schedulingConfig = {}) {
+  const fromProvider = Number(provider.default_appointment_durations?.[appointmentType]);
+
+  if (fromProvider > 0) {
+    return fromProvider;
+  }
+
+  return (
+    schedulingConfig.appointmentTypes?.[appointmentType]?.duration ||
+    getDefaultDuration(appointmentType)
+  );
+}
+
+/**
+ * Get the minutes a provider is kept free before and after an appointment
+ * type, e.g. for cleanup after a procedure: the provider's
+ * `appointment_buffers`, else the tenant's configuration, else none
+ * @returns {Object} { before, after }
+ */
+function getAppointmentBuffers(appointmentType, provider = {}, schedulingConfig = {}) {
+  const fromProvider = provider.appointment_buffers?.[appointmentType] || {};
+  const fromTenant = schedulingConfig.appointmentTypes?.[appointmentType] || {};
+
+  return {
+    before: fromProvider.before ?? fromTenant.bufferBefore ?? 0,
+    after: fromProvider.after ?? fromTenant.bufferAfter ?? 0,
+  };
+}
+
 /**
  * Check if appointment is upcoming
  */
@@ -300,6 +358,9 @@ module.exports = {
   formatAppointment,
   isValidStatusTransition,
   getDefaultDuration,
+  getRequiredResources,
+  getAppointmentDuration,
+  getAppointmentBuffers,
   isUpcoming,
   isPastDue,
   getAppointmentColor,
@@ -0,0 +1,39 @@
+const { SCOPES } = require('../utils/authorization');
+const { schemas } = require('../utils/validator');
+
+/**
+ * API key lifecycle routes
+ * Served by the apiKeyHandler function (src/handlers/apiKey.js)
+ */
+module.exports = [
+  {
+    method: 'POST',
+    path: '/api/v1/api-keys',
+    scope: SCOPES.API_KEYS_MANAGE,
+    validate: { body: schemas.apiKey },
+    status: 201,
+    action: 'issue',
+  },
+  {
+    method: 'GET',
+    path: '/api/v1/api-keys',
+    scope: SCOPES.API_KEYS_MANAGE,
+    action: 'list',
+  },
+  {
+    method: 'POST',
+    path: '/api/v1/api-keys/{keyId}/rotate',
+    params: { keyId: 'uuid' },
+    scope: SCOPES.API_KEYS_MANAGE,
+    validate: { body: schemas.apiKeyRotation },
+    status: 201,
+    action: 'rotate',
+  },
+  {
+    method: 'DELETE',
+    path: '/api/v1/api-keys/{keyId}',
+    params: { keyId: 'uuid' },
+    scope: SCOPES.API_KEYS_MANAGE,
+    action: 'revoke',
+  },
+];
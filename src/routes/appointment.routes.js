@@ -0,0 +1,77 @@
+const { SCOPES } = require('../utils/authorization');
+const { schemas } = require('../utils/validator');
+
+/**
+ * Appointment routes
+ * Served by the appointmentHandler function (src/handlers/appointment.js)
+ */
+module.exports = [
+  {
+    method: 'POST',
+    path: '/api/v1/appointments',
+    scope: SCOPES.APPOINTMENTS_WRITE,
+    validate: { body: schemas.appointment },
+    checkQuota: 'appointments_created',
+    status: 201,
+    action: 'create',
+  },
+  {
+    method: 'GET',
+    path: '/api/v1/appointments',
+    scope: SCOPES.APPOINTMENTS_READ,
+    action: 'list',
+  },
+  {
+    method: 'GET',
+    path: '/api/v1/appointments/availability',
+    scope: SCOPES.APPOINTMENTS_READ,
+    validate: { query: schemas.availabilityQuery },
+    action: 'getAvailability',
+  },
+  {
+    method: 'POST',
+    path: '/api/v1/appointments/batch',
+    scope: SCOPES.APPOINTMENTS_WRITE,
+    validate: { body: schemas.appointmentSeries },
+    checkQuota: 'appointments_created',
+    status: 201,
+    action: 'batchCreate',
+  },
+  {
+    method: 'GET',
+    path: '/api/v1/appointments/{appointmentId}',
+    params: { appointmentId: 'uuid' },
+    scope: SCOPES.APPOINTMENTS_READ,
+    action: 'getById',
+  },
+  {
+    method: 'PUT',
+    path: '/api/v1/appointments/{appointmentId}',
+    params: { appointmentId: 'uuid' },
+    scope: SCOPES.APPOINTMENTS_WRITE,
+    validate: { body: schemas.appointmentUpdate },
+    action: 'update',
+  },
+  {
+    method: 'DELETE',
+    path: '/api/v1/appointments/{appointmentId}',
+    params: { appointmentId: 'uuid' },
+    scope: SCOPES.APPOINTMENTS_WRITE,
+    action: 'cancel',
+  },
+  {
+    method: 'POST',
+    path: '/api/v1/appointments/{appointmentId}/reschedule',
+    params: { appointmentId: 'uuid' },
+    scope: SCOPES.APPOINTMENTS_WRITE,
+    validate: { body: schemas.appointmentReschedule },
+    action: 'reschedule',
+  },
+  {
+    method: 'POST',
+    path: '/api/v1/appointments/{appointmentId}/checkin',
+    params: { appointmentId: 'uuid' },
+    scope: SCOPES.APPOINTMENTS_WRITE,
+    action: 'checkin',
+  },
+];
@@ -0,0 +1,39 @@
+const { SCOPES } = require('../utils/authorization');
+const { schemas } = require('../utils/validator');
+
+/**
+ * Audit trail routes
+ * Served by the auditHandler function (src/handlers/audit.js)
+ */
+module.exports = [
+  {
+    method: 'GET',
+    path: '/api/v1/audit-logs',
+    scope: SCOPES.AUDIT_READ,
+    validate: { query: schemas.auditLogQuery },
+    action: 'list',
+  },
+  {
+    method: 'GET',
+    path: '/api/v1/audit-logs/export',
+    scope: SCOPES.AUDIT_READ,
+    validate: { query: schemas.auditLogExportQuery },
+    raw: true,
+    action: 'export',
+  },
+  {
+    method: 'GET',
+    path: '/api/v1/audit-logs/verify',
+    scope: SCOPES.AUDIT_READ,
+    validate: { query: schemas.auditChainVerifyQuery },
+    action: 'verifyChain',
+  },
+  {
+    method: 'GET',
+    path: '/api/v1/patients/{patientId}/history',
+    params: { patientId: 'uuid' },
+    scope: SCOPES.AUDIT_READ,
+    validate: { query: schemas.patientHistoryQuery },
+    action: 'patientHistory',
+  },
+];
@@ -0,0 +1,119 @@
+const { getFhirResource } = require('../utils/fhirResources');
+
+/**
+ * FHIR R4 routes
+ * Served by the fhirHandler function (src/handlers/fhir.js)
+ *
+ * One template serves every resource type, so the scope and quota are looked
+ * up in utils/fhirResources.js from the {resourceType} path parameter.
+ * Unknown types get no scope check here; the handler answers them with 404.
+ */
+function fhirScope(access) {
+  return ({ resourceType }) => getFhirResource(resourceType)?.scopes[access];
+}
+
+function fhirQuota({ resourceType }) {
+  return getFhirResource(resourceType)?.quota;
+}
+
+module.exports = [
+  {
+    // Any authenticated caller; the statement reflects the caller's tenant
+    method: 'GET',
+    path: '/fhir/r4/metadata',
+    raw: true,
+    action: 'metadata',
+  },
+  {
+    // SMART discovery happens before the client has a token
+    method: 'GET',
+    path: '/fhir/r4/.well-known/smart-configuration',
+    public: true,
+    raw: true,
+    action: 'smartConfiguration',
+  },
+  {
+    // Scopes and quotas are checked per entry by the handler
+    method: 'POST',
+    path: '/fhir/r4',
+    raw: true,
+    action: 'transaction',
+  },
+  {
+    // Bulk Data kickoff; the read scope of every exported type is checked by
+    // the handler once _type is parsed
+    method: 'GET',
+    path: '/fhir/r4/$export',
+    raw: true,
+    action: 'export',
+  },
+  {
+    method: 'GET',
+    path: '/fhir/r4/Group/{id}/$export',
+    params: { id: 'uuid' },
+    raw: true,
+    action: 'export',
+  },
+  {
+    // Status, files and cancellation are limited to the principal that
+    // started the export
+    method: 'GET',
+    path: '/fhir/r4/$export-status/{jobId}',
+    params: { jobId: 'uuid' },
+    raw: true,
+    action: 'exportStatus',
+  },
+  {
+    method: 'DELETE',
+    path: '/fhir/r4/$export-status/{jobId}',
+    params: { jobId: 'uuid' },
+    raw: true,
+    action: 'cancelExport',
+  },
+  {
+    method: 'GET',
+    path: '/fhir/r4/$export-file/{jobId}/{file}',
+    params: { jobId: 'uuid' },
+    raw: true,
+    action: 'exportFile',
+  },
+  {
+    method: 'GET',
+    path: '/fhir/r4/{resourceType}',
+    scope: fhirScope('read'),
+    raw: true,
+    action: 'search',
+  },
+  {
+    method: 'POST',
+    path: '/fhir/r4/{resourceType}',
+    scope: fhirScope('write'),
+    checkQuota: fhirQuota,
+    raw: true,
+    action: 'create',
+  },
+  {
+    method: 'GET',
+    path: '/fhir/r4/{resourceType}/{id}',
+    params: { id: 'uuid' },
+    scope: fhirScope('read'),
+    raw: true,
+    action: 'read',
+  },
+  {
+    method: 'PUT',
+    path: '/fhir/r4/{resourceType}/{id}',
+    params: { id: 'uuid' },
+    scope: fhirScope('write'),
+    raw: true,
+    action: 'update',
+  },
+  {
+    method: 'DELETE',
+    path: '/fhir/r4/{resourceType}/{id}',
+    params: { id: 'uuid' },
+    scope: fhirScope('write'),
+    raw: true,
+    action: 'delete',
+  },
+];
@@ -0,0 +1,38 @@
+const { SCOPES } = require('../utils/authorization');
+const { schemas } = require('../utils/validator');
+
+/**
+ * HL7 v2 interface routes
+ * Served by the hl7Handler function (src/handlers/hl7.js)
+ */
+module.exports = [
+  {
+    method: 'POST',
+    path: '/api/v1/hl7/messages',
+    scope: SCOPES.HL7_WRITE,
+    textBody: true,
+    raw: true,
+    action: 'receive',
+  },
+  {
+    method: 'GET',
+    path: '/api/v1/hl7/messages',
+    scope: SCOPES.HL7_READ,
+    validate: { query: schemas.hl7MessageQuery },
+    action: 'list',
+  },
+  {
+    method: 'GET',
+    path: '/api/v1/hl7/messages/{messageId}',
+    params: { messageId: 'uuid' },
+    scope: SCOPES.HL7_READ,
+    action: 'getById',
+  },
+  {
+    method: 'POST',
+    path: '/api/v1/hl7/messages/{messageId}/replay',
+    params: { messageId: 'uuid' },
+    scope: SCOPES.HL7_WRITE,
+    action: 'replay',
+  },
+];
@@ -0,0 +1,17 @@
+/**
+ * Route tables by handler module
+ * Keys match the file names in src/handlers, which is how verify-routes.js
+ * pairs each table with the serverless.yml function that serves it.
+ */
+module.exports = {
+  patient: require('./patient.routes'),
+  provider: require('./provider.routes'),
+  resource: require('./resource.routes'),
+  appointment: require('./appointment.routes'),
+  medication: require('./medication.routes'),
+  notification: require('./notification.routes'),
+  apiKey: require('./apiKey.routes'),
+  audit: require('./audit.routes'),
+  fhir: require('./fhir.routes'),
+  hl7: require('./hl7.routes'),
+};
@@ -0,0 +1,63 @@
+const { SCOPES } = require('../utils/authorization');
+const { schemas } = require('../utils/validator');
+
+/**
+ * Medication routes
+ * Served by the medicationHandler function (src/handlers/medication.js)
+ */
+module.exports = [
+  {
+    method: 'POST',
+    path: '/api/v1/patients/{patientId}/medications',
+    params: { patientId: 'uuid' },
+    scope: SCOPES.MEDICATIONS_WRITE,
+    validate: { body: schemas.medication },
+    status: 201,
+    action: 'createForPatient',
+  },
+  {
+    method: 'GET',
+    path: '/api/v1/patients/{patientId}/medications',
+    params: { patientId: 'uuid' },
+    scope: SCOPES.MEDICATIONS_READ,
+    action: 'listForPatient',
+  },
+  {
+    method: 'GET',
+    path: '/api/v1/patients/{patientId}/medications/adherence',
+    params: { patientId: 'uuid' },
+    scope: SCOPES.MEDICATIONS_READ,
+    action: 'getAdherenceReport',
+  },
+  {
+    method: 'GET',
+    path: '/api/v1/medications/{medicationId}',
+    params: { medicationId: 'uuid' },
+    scope: SCOPES.MEDICATIONS_READ,
+    action: 'getById',
+  },
+  {
+    method: 'PUT',
+    path: '/api/v1/medications/{medicationId}',
+    params: { medicationId: 'uuid' },
+    scope: SCOPES.MEDICATIONS_WRITE,
+    validate: { body: schemas.medicationUpdate },
+    action: 'update',
+  },
+  {
+    method: 'DELETE',
+    path: '/api/v1/medications/{medicationId}',
+    params: { medicationId: 'uuid' },
+    scope: SCOPES.MEDICATIONS_WRITE,
+    action: 'discontinue',
+  },
+  {
+    method: 'POST',
+    path: '/api/v1/medications/{medicationId}/adherence',
+    params: { medicationId: 'uuid' },
+    scope: SCOPES.ADHERENCE_WRITE,
+    validate: { body: schemas.adherence },
+    status: 201,
+    action: 'logAdherence',
+  },
+];
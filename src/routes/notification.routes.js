@@ -0,0 +1,78 @@
+const { SCOPES } = require('../utils/authorization');
+const { schemas } = require('../utils/validator');
+
+/**
+ * Notification routes
+ * Served by the notificationHandler function (src/handlers/notification.js)
+ */
+module.exports = [
+  {
+    method: 'POST',
+    path: '/api/v1/notifications',
+    scope: SCOPES.NOTIFICATIONS_SEND,
+    validate: { body: schemas.notification },
+    checkQuota: 'notifications_sent',
+    status: 201,
+    action: 'create',
+  },
+  {
+    method: 'GET',
+    path: '/api/v1/notifications',
+    scope: SCOPES.NOTIFICATIONS_READ,
+    action: 'list',
+  },
+  {
+    method: 'GET',
+    path: '/api/v1/notifications/delivery-status',
+    scope: SCOPES.NOTIFICATIONS_READ,
+    action: 'getDeliveryStatus',
+  },
+  {
+    method: 'GET',
+    path: '/api/v1/notifications/templates',
+    scope: SCOPES.NOTIFICATIONS_READ,
+    action: 'listTemplates',
+  },
+  {
+    method: 'POST',
+    path: '/api/v1/notifications/templates',
+    scope: SCOPES.ADMIN,
+    status: 201,
+    action: 'createCustomTemplate',
+  },
+  {
+    method: 'GET',
+    path: '/api/v1/notifications/{notificationId}',
+    params: { notificationId: 'uuid' },
+    scope: SCOPES.NOTIFICATIONS_READ,
+    action: 'getById',
+  },
+  {
+    method: 'POST',
+    path: '/api/v1/notifications/{notificationId}/read',
+    params: { notificationId: 'uuid' },
+    scope: SCOPES.NOTIFICATIONS_SEND,
+    action: 'markAsRead',
+  },
+  {
+    method: 'GET',
+    path: '/api/v1/patients/{patientId}/notifications',
+    params: { patientId: 'uuid' },
+    scope: SCOPES.NOTIFICATIONS_READ,
+    action: 'listPatientNotifications',
+  },
+  {
+    method: 'GET',
+    path: '/api/v1/patients/{patientId}/notification-preferences',
+    params: { patientId: 'uuid' },
+    scope: SCOPES.PATIENTS_READ,
+    action: 'getPatientPreferences',
+  },
+  {
+    method: 'PUT',
+    path: '/api/v1/patients/{patientId}/notification-preferences',
+    params: { patientId: 'uuid' },
+    scope: SCOPES.NOTIFICATION_PREFERENCES_WRITE,
+    action: 'updatePatientPreferences',
+  },
+];
@@ -0,0 +1,63 @@
+const { SCOPES } = require('../utils/authorization');
+const { schemas } = require('../utils/validator');
+
+/**
+ * Patient routes
+ * Served by the patientHandler function (src/handlers/patient.js)
+ */
+module.exports = [
+  {
+    method: 'POST',
+    path: '/api/v1/patients',
+    scope: SCOPES.PATIENTS_WRITE,
+    validate: { body: schemas.patient },
+    checkQuota: 'patients_created',
+    status: 201,
+    action: 'create',
+  },
+  {
+    method: 'GET',
+    path: '/api/v1/patients',
+    scope: SCOPES.PATIENTS_READ,
+    action: 'list',
+  },
+  {
+    method: 'GET',
+    path: '/api/v1/patients/{patientId}',
+    params: { patientId: 'uuid' },
+    scope: SCOPES.PATIENTS_READ,
+    action: 'getById',
+  },
+  {
+    method: 'PUT',
+    path: '/api/v1/patients/{patientId}',
+    params: { patientId: 'uuid' },
+    scope: SCOPES.PATIENTS_WRITE,
+    validate: { body: schemas.patientUpdate },
+    action: 'update',
+  },
+  {
+    method: 'DELETE',
+    path: '/api/v1/patients/{patientId}',
+    params: { patientId: 'uuid' },
+    scope: SCOPES.PATIENTS_WRITE,
+    action: 'delete',
+  },
+  {
+    method: 'GET',
+    path: '/api/v1/patients/{patientId}/ccd',
+    params: { patientId: 'uuid' },
+    scope: SCOPES.PATIENTS_READ,
+    raw: true,
+    action: 'getCcd',
+  },
+  {
+    method: 'POST',
+    path: '/api/v1/patients/{patientId}/ccd/import',
+    params: { patientId: 'uuid' },
+    scope: SCOPES.PATIENTS_WRITE,
+    validate: { query: schemas.ccdImportQuery },
+    textBody: true,
+    action: 'importCcd',
+  },
+];
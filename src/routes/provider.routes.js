@@ -0,0 +1,130 @@
+const { SCOPES } = require('../utils/authorization');
+const { schemas } = require('../utils/validator');
+
+/**
+ * Provider routes
+ * Served by the providerHandler function (src/handlers/provider.js)
+ */
+module.exports = [
+  {
+    method: 'POST',
+    path: '/api/v1/providers',
+    scope: SCOPES.PROVIDERS_WRITE,
+    status: 201,
+    action: 'create',
+  },
+  {
+    method: 'GET',
+    path: '/api/v1/providers',
+    scope: SCOPES.PROVIDERS_READ,
+    action: 'list',
+  },
+  {
+    method: 'GET',
+    path: '/api/v1/providers/{providerId}',
+    params: { providerId: 'uuid' },
+    scope: SCOPES.PROVIDERS_READ,
+    action: 'getById',
+  },
+  {
+    method: 'PUT',
+    path: '/api/v1/providers/{providerId}',
+    params: { providerId: 'uuid' },
+    scope: SCOPES.PROVIDERS_WRITE,
+    validate: { body: schemas.providerUpdate },
+    action: 'update',
+  },
+  {
+    method: 'DELETE',
+    path: '/api/v1/providers/{providerId}',
+    params: { providerId: 'uuid' },
+    scope: SCOPES.PROVIDERS_WRITE,
+    action: 'deactivate',
+  },
+  {
+    method: 'GET',
+    path: '/api/v1/providers/{providerId}/availability',
+    params: { providerId: 'uuid' },
+    scope: SCOPES.PROVIDERS_READ,
+    action: 'getAvailability',
+  },
+  {
+    method: 'PUT',
+    path: '/api/v1/providers/{providerId}/availability',
+    params: { providerId: 'uuid' },
+    scope: SCOPES.PROVIDERS_WRITE,
+    action: 'updateAvailability',
+  },
+  {
+    method: 'GET',
+    path: '/api/v1/providers/{providerId}/statistics',
+    params: { providerId: 'uuid' },
+    scope: SCOPES.PROVIDERS_READ,
+    action: 'getStatistics',
+  },
+  {
+    method: 'POST',
+    path: '/api/v1/providers/{providerId}/facilities',
+    params: { providerId: 'uuid' },
+    scope: SCOPES.PROVIDERS_WRITE,
+    status: 201,
+    action: 'associateFacility',
+  },
+  {
+    method: 'DELETE',
+    path: '/api/v1/providers/{providerId}/facilities/{facilityId}',
+    params: { providerId: 'uuid', facilityId: 'uuid' },
+    scope: SCOPES.PROVIDERS_WRITE,
+    action: 'disassociateFacility',
+  },
+  {
+    method: 'GET',
+    path: '/api/v1/providers/{providerId}/appointments',
+    params: { providerId: 'uuid' },
+    scope: SCOPES.APPOINTMENTS_READ,
+    action: 'listAppointments',
+  },
+  {
+    method: 'GET',
+    path: '/api/v1/availability/holidays',
+    scope: SCOPES.PROVIDERS_READ,
+    action: 'listHolidays',
+  },
+  {
+    method: 'POST',
+    path: '/api/v1/availability/holidays',
+    scope: SCOPES.PROVIDERS_WRITE,
+    validate: { body: schemas.holiday },
+    status: 201,
+    action: 'createHoliday',
+  },
+  {
+    method: 'DELETE',
+    path: '/api/v1/availability/holidays/{holidayId}',
+    params: { holidayId: 'uuid' },
+    scope: SCOPES.PROVIDERS_WRITE,
+    action: 'deleteHoliday',
+  },
+  {
+    method: 'GET',
+    path: '/api/v1/availability/exceptions',
+    scope: SCOPES.PROVIDERS_READ,
+    validate: { query: schemas.availabilityExceptionQuery },
+    action: 'listExceptions',
+  },
+  {
+    method: 'POST',
+    path: '/api/v1/availability/exceptions',
+    scope: SCOPES.PROVIDERS_WRITE,
+    validate: { body: schemas.availabilityException },
+    status: 201,
+    action: 'createException',
+  },
+  {
+    method: 'DELETE',
+    path: '/api/v1/availability/exceptions/{exceptionId}',
+    params: { exceptionId: 'uuid' },
+    scope: SCOPES.PROVIDERS_WRITE,
+    action: 'deleteException',
+  },
+];
@@ -0,0 +1,53 @@
+const { SCOPES } = require('../utils/authorization');
+const { schemas } = require('../utils/validator');
+
+/**
+ * Scheduling resource routes (rooms, chairs, devices)
+ * Served by the resourceHandler function (src/handlers/resource.js)
+ */
+module.exports = [
+  {
+    method: 'POST',
+    path: '/api/v1/resources',
+    scope: SCOPES.PROVIDERS_WRITE,
+    validate: { body: schemas.resource },
+    status: 201,
+    action: 'create',
+  },
+  {
+    method: 'GET',
+    path: '/api/v1/resources',
+    scope: SCOPES.PROVIDERS_READ,
+    action: 'list',
+  },
+  {
+    method: 'GET',
+    path: '/api/v1/resources/{resourceId}',
+    params: { resourceId: 'uuid' },
+    scope: SCOPES.PROVIDERS_READ,
+    action: 'getById',
+  },
+  {
+    method: 'PUT',
+    path: '/api/v1/resources/{resourceId}',
+    params: { resourceId: 'uuid' },
+    scope: SCOPES.PROVIDERS_WRITE,
+    validate: { body: schemas.resourceUpdate },
+    action: 'update',
+  },
+  {
+    method: 'DELETE',
+    path: '/api/v1/resources/{resourceId}',
+    params: { resourceId: 'uuid' },
+    scope: SCOPES.PROVIDERS_WRITE,
+    action: 'deactivate',
+  },
+  {
+    method: 'PUT',
+    path: '/api/v1/resources/{resourceId}/availability',
+    params: { resourceId: 'uuid' },
+    scope: SCOPES.PROVIDERS_WRITE,
+    validate: { body: schemas.resourceAvailability },
+    action: 'updateAvailability',
+  },
+];
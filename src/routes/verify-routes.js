@@ -0,0 +1,172 @@
+#!/usr/bin/env node
+
+/**
+ * Route Table Verification
+ *
+ * Compares the route tables in src/routes with the http events declared in
+ * serverless.yml. Every route must have a matching event on the function
+ * whose handler serves it, and every event must have a route, so the two
+ * cannot drift apart. Events go through the authorizer unless their route is
+ * declared `public`.
+ *
+ * Usage:
+ *   node src/routes/verify-routes.js [path/to/serverless.yml]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { compileRoute } = require('../utils/router');
+const routeTables = require('.');
+
+const HANDLER_PATTERN = /^src\/handlers\/([A-Za-z0-9_-]+)\.handler$/;
+
+/**
+ * Extract http events from serverless.yml
+ * Only the layout used in this repo is understood: functions at two spaces,
+ * `handler:` at four, and `- http:` events with `path:`, `method:` and
+ * `authorizer:` keys.
+ */
+function parseHttpEvents(yaml) {
+  const events = [];
+  let inFunctions = false;
+  let functionName = null;
+  let handler = null;
+  let current = null;
+
+  yaml.split('\n').forEach((line, index) => {
+    if (/^\S/.test(line)) {
+      inFunctions = line.startsWith('functions:');
+      return;
+    }
+
+    if (!inFunctions) {
+      return;
+    }
+
+    let match = line.match(/^ {2}([A-Za-z0-9_-]+):\s*$/);
+    if (match) {
+      functionName = match[1];
+      handler = null;
+      current = null;
+      return;
+    }
+
+    match = line.match(/^ {4}handler:\s*(\S+)/);
+    if (match) {
+      handler = match[1];
+      return;
+    }
+
+    if (/^\s+- http:\s*$/.test(line)) {
+      current = { functionName, handler, line: index + 1 };
+      events.push(current);
+      return;
+    }
+
+    if (/^\s+- /.test(line)) {
+      current = null;
+      return;
+    }
+
+    if (current && /^\s+authorizer:/.test(line)) {
+      current.authorizer = true;
+      return;
+    }
+
+    match = line.match(/^\s+(path|method):\s*['"]?([^'"\s]+)['"]?\s*$/);
+    if (current && match) {
+      current[match[1]] = match[1] === 'method' ? match[2].toUpperCase() : match[2];
+    }
+  });
+
+  return events;
+}
+
+/**
+ * Collect drift between route tables and serverless.yml events
+ * @returns {Array<String>} Problems found, empty when in sync
+ */
+function verifyRoutes(yaml, tables = routeTables) {
+  const problems = [];
+  const declared = new Map();
+
+  for (const event of parseHttpEvents(yaml)) {
+    const handlerMatch = event.handler?.match(HANDLER_PATTERN);
+    const tableName = handlerMatch ? handlerMatch[1] : null;
+
+    if (!tableName || !tables[tableName]) {
+      problems.push(
+        `serverless.yml:${event.line} ${event.functionName} has http events but no route table`
+      );
+      continue;
+    }
+
+    const key = `${event.method} ${event.path}`;
+
+    if (declared.has(key)) {
+      problems.push(`serverless.yml:${event.line} ${key} is declared more than once`);
+      continue;
+    }
+
+    declared.set(key, { ...event, tableName });
+  }
+
+  for (const [tableName, routes] of Object.entries(tables)) {
+    for (const route of routes.map(compileRoute)) {
+      const event = declared.get(route.key);
+
+      if (!event) {
+        problems.push(`${tableName}.routes.js: ${route.key} has no serverless.yml event`);
+        continue;
+      }
+
+      if (event.tableName !== tableName) {
+        problems.push(
+          `${tableName}.routes.js: ${route.key} is routed to ${event.functionName} in serverless.yml`
+        );
+      }
+
+      if (Boolean(route.public) === Boolean(event.authorizer)) {
+        problems.push(
+          route.public
+            ? `serverless.yml:${event.line} ${route.key} is public but has an authorizer`
+            : `serverless.yml:${event.line} ${route.key} has no authorizer`
+        );
+      }
+
+      declared.delete(route.key);
+    }
+  }
+
+  for (const [key, event] of declared) {
+    problems.push(
+      `serverless.yml:${event.line} ${key} has no route in ${event.tableName}.routes.js`
+    );
+  }
+
+  return problems;
+}
+
+function main() {
+  const configPath = path.resolve(process.argv[2] || path.join(__dirname, '../../serverless.yml'));
+  const problems = verifyRoutes(fs.readFileSync(configPath, 'utf8'));
+
+  if (problems.length > 0) {
+    console.error(`✗ ${problems.length} route problem(s) in ${configPath}:\n`);
+    problems.forEach((problem) => console.error(`  ${problem}`));
+    process.exit(1);
+  }
+
+  const count = Object.values(routeTables).reduce((total, routes) => total + routes.length, 0);
+  console.log(`✓ ${count} routes match serverless.yml`);
+}
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  parseHttpEvents,
+  verifyRoutes,
+};
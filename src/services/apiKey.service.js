@@ -0,0 +1,279 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { addMinutes } = require('date-fns');
+const db = require('../config/database');
+const cache = require('../config/cache');
+const logger = require('../utils/logger');
+const { logAudit } = require('../utils/audit');
+const { assertScopesHeld } = require('../utils/authorization');
+const { ConflictError, NotFoundError } = require('../utils/errors');
+
+const KEY_PREFIXES = {
+  development: 'cck_dev_',
+  staging: 'cck_stg_',
+  production: 'cck_live_',
+};
+
+// Columns safe to return in listings - never the key hash
+const API_KEY_COLUMNS = `
+  id, key_name, key_prefix, environment, scopes, is_active,
+  last_used_at, expires_at, created_at, revoked_at, rotated_from_id
+`;
+
+class ApiKeyService {
+  generateKey(environment) {
+    const secret = crypto.randomBytes(32).toString('base64url');
+    const apiKey = `${KEY_PREFIXES[environment]}${secret}`;
+
+    return {
+      apiKey,
+      keyHash: this.hashKey(apiKey),
+      keyPrefix: apiKey.slice(0, KEY_PREFIXES[environment].length + 6),
+    };
+  }
+
+  hashKey(apiKey) {
+    return crypto.createHash('sha256').update(apiKey).digest('hex');
+  }
+
+  async evictCachedKey(keyHash) {
+    // The authorizer caches tenant data under the key hash for 5 minutes
+    await cache.del(`apikey:${keyHash}`);
+  }
+
+  async issueApiKey(tenantId, keyData, actor) {
+    assertScopesHeld(actor, keyData.scopes, 'Cannot grant scopes the caller does not hold');
+
+    const environment = keyData.environment || 'production';
+    const { apiKey, keyHash, keyPrefix } = this.generateKey(environment);
+    const apiKeyId = uuidv4();
+
+    const client = await db.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        `INSERT INTO api_keys (
+           id, tenant_id, key_name, key_hash, key_prefix, environment, scopes, expires_at
+         ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+         RETURNING ${API_KEY_COLUMNS}`,
+        [
+          apiKeyId,
+          tenantId,
+          keyData.key_name,
+          keyHash,
+          keyPrefix,
+          environment,
+          JSON.stringify(keyData.scopes),
+          keyData.expires_at || null,
+        ]
+      );
+
+      await logAudit({
+        tenantId,
+        entityType: 'api_key',
+        entityId: apiKeyId,
+        action: 'CREATE',
+        actor,
+        client,
+        changes: {
+          created: {
+            key_name: keyData.key_name,
+            environment,
+            scopes: keyData.scopes,
+            expires_at: keyData.expires_at || null,
+          },
+        },
+      });
+
+      await client.query('COMMIT');
+
+      logger.info(`API key issued: ${apiKeyId} (${keyPrefix}...)`);
+
+      // The plaintext key is only ever returned here
+      return {
+        ...result.rows[0],
+        api_key: apiKey,
+      };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async listApiKeys(tenantId, filters = {}) {
+    let query = `SELECT ${API_KEY_COLUMNS} FROM api_keys WHERE tenant_id = $1`;
+    const params = [tenantId];
+    let paramIndex = 2;
+
+    if (!filters.includeRevoked) {
+      query += ' AND revoked_at IS NULL';
+    }
+
+    if (filters.environment) {
+      query += ` AND environment = $${paramIndex}`;
+      params.push(filters.environment);
+      paramIndex++;
+    }
+
+    query += ' ORDER BY created_at DESC';
+
+    const result = await db.query(query, params);
+
+    return result.rows;
+  }
+
+  async rotateApiKey(tenantId, apiKeyId, rotationData, actor) {
+    const client = await db.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const currentResult = await client.query(
+        'SELECT * FROM api_keys WHERE tenant_id = $1 AND id = $2 FOR UPDATE',
+        [tenantId, apiKeyId]
+      );
+
+      if (currentResult.rows.length === 0) {
+        throw new NotFoundError('API key', apiKeyId);
+      }
+
+      const currentKey = currentResult.rows[0];
+
+      assertScopesHeld(
+        actor,
+        currentKey.scopes,
+        'Cannot rotate a key with scopes the caller does not hold'
+      );
+
+      if (!currentKey.is_active || currentKey.revoked_at) {
+        throw new ConflictError('Cannot rotate a revoked API key', { id: apiKeyId });
+      }
+
+      // Keep the old key working until the overlap window closes, but never
+      // extend an expiry that was already earlier
+      const overlapEndsAt = addMinutes(new Date(), rotationData.overlap_minutes);
+      const oldKeyExpiresAt =
+        currentKey.expires_at && new Date(currentKey.expires_at) < overlapEndsAt
+          ? new Date(currentKey.expires_at)
+          : overlapEndsAt;
+
+      await client.query('UPDATE api_keys SET expires_at = $1 WHERE id = $2', [
+        oldKeyExpiresAt.toISOString(),
+        apiKeyId,
+      ]);
+
+      const { apiKey, keyHash, keyPrefix } = this.generateKey(currentKey.environment);
+      const newApiKeyId = uuidv4();
+
+      const result = await client.query(
+        `INSERT INTO api_keys (
+           id, tenant_id, key_name, key_hash, key_prefix, environment, scopes,
+           expires_at, rotated_from_id
+         ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+         RETURNING ${API_KEY_COLUMNS}`,
+        [
+          newApiKeyId,
+          tenantId,
+          currentKey.key_name,
+          keyHash,
+          keyPrefix,
+          currentKey.environment,
+          JSON.stringify(currentKey.scopes),
+          rotationData.expires_at || null,
+          apiKeyId,
+        ]
+      );
+
+      await logAudit({
+        tenantId,
+        entityType: 'api_key',
+        entityId: newApiKeyId,
+        action: 'ROTATE',
+        actor,
+        client,
+        changes: {
+          rotated_from_id: apiKeyId,
+          old_key_expires_at: oldKeyExpiresAt.toISOString(),
+        },
+      });
+
+      await client.query('COMMIT');
+
+      // Drop the cached entry so the shortened expiry applies immediately
+      await this.evictCachedKey(currentKey.key_hash);
+
+      logger.info(`API key rotated: ${apiKeyId} -> ${newApiKeyId}`);
+
+      return {
+        ...result.rows[0],
+        api_key: apiKey,
+        previous_key: {
+          id: apiKeyId,
+          expires_at: oldKeyExpiresAt.toISOString(),
+        },
+      };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async revokeApiKey(tenantId, apiKeyId, actor) {
+    const client = await db.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const currentResult = await client.query(
+        `SELECT id, key_hash, scopes FROM api_keys
+         WHERE tenant_id = $1 AND id = $2 AND revoked_at IS NULL
+         FOR UPDATE`,
+        [tenantId, apiKeyId]
+      );
+
+      if (currentResult.rows.length === 0) {
+        throw new NotFoundError('API key', apiKeyId);
+      }
+
+      const currentKey = currentResult.rows[0];
+
+      assertScopesHeld(
+        actor,
+        currentKey.scopes,
+        'Cannot revoke a key with scopes the caller does not hold'
+      );
+
+      await client.query(
+        'UPDATE api_keys SET is_active = false, revoked_at = CURRENT_TIMESTAMP WHERE id = $1',
+        [apiKeyId]
+      );
+
+      await logAudit({
+        tenantId,
+        entityType: 'api_key',
+        entityId: apiKeyId,
+        action: 'REVOKE',
+        actor,
+        client,
+      });
+
+      await client.query('COMMIT');
+      await this.evictCachedKey(currentKey.key_hash);
+
+      logger.info(`API key revoked: ${apiKeyId}`);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+}
+
+module.exports = ApiKeyService;
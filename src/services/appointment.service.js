@@ -1,33 +1,90 @@
 const { v4: uuidv4 } = require('uuid');
-const { addMinutes, parseISO, format, addDays, startOfDay, endOfDay } = require('date-fns');
+const { addMinutes, subMinutes, parseISO, format } = require('date-fns');
 const db = require('../config/database');
 const cache = require('../config/cache');
 const logger = require('../utils/logger');
 const { logAudit } = require('../utils/audit');
 const { toFHIRAppointment } = require('../utils/fhir');
-const { ConflictError, NotFoundError } = require('../utils/errors');
+const { ConflictError, NotFoundError, ValidationError } = require('../utils/errors');
 const { publishToQueue, QUEUES } = require('../config/queue');
+const { getPatientScope } = require('../utils/authorization');
+const { parseInTimeZone, formatInTimeZone, resolveTimeZone } = require('../utils/timezone');
+const {
+  toFacilityTime,
+  toCalendarDate,
+  toZonedDate,
+  addCalendarDays,
+  listCalendarDays,
+  getDayOfWeek,
+  getDayWindow,
+  isHoliday,
+  getBlockedWindows,
+  findBlockedWindow,
+  selectResources,
+} = require('../utils/availability');
+const { getAppointmentDuration, getAppointmentBuffers } = require('../models/appointment.model');
+const AvailabilityService = require('./availability.service');
+const ResourceService = require('./resource.service');
+const Hl7OutboundService = require('./hl7Outbound.service');
+
+const availabilityService = new AvailabilityService();
+const resourceService = new ResourceService();
+const hl7OutboundService = new Hl7OutboundService();
+
+// Columns a caller may change through updateAppointment
+const UPDATABLE_COLUMNS = [
+  'appointment_type',
+  'status',
+  'priority',
+  'reason',
+  'special_requirements',
+  'telehealth_details',
+];
+
+// Fields of an update that book the appointment again
+const REBOOKING_FIELDS = ['scheduled_start', 'duration_minutes', 'provider_id', 'appointment_type'];
+
+// Statuses whose appointments no longer hold their provider or resources
+const INACTIVE_STATUSES = ['cancelled', 'no-show'];
 
 class AppointmentService {
-  async createAppointment(tenantId, appointmentData, requestId) {
-    const client = await db.pool.connect();
+  async createAppointment(tenantId, appointmentData, actor) {
+    const client = await db.connect();
 
     try {
       await client.query('BEGIN');
 
-      const { patient_id, provider_id, facility_id, scheduled_start, duration_minutes } =
-        appointmentData;
+      const { patient_id, provider_id, facility_id, duration_minutes } = appointmentData;
 
-      // Calculate scheduled_end
-      const startTime = parseISO(scheduled_start);
+      // A start time without an offset is a wall-clock time at the facility
+      const timeZone = await this.getFacilityTimeZone(client, tenantId, facility_id);
+      const startTime = parseScheduledStart(appointmentData.scheduled_start, timeZone);
+
+      if (startTime <= new Date()) {
+        throw new ValidationError('Validation failed', {
+          errors: [
+            { field: 'scheduled_start', message: '"scheduled_start" must be in the future' },
+          ],
+        });
+      }
+
+      const scheduled_start = startTime.toISOString();
       const endTime = addMinutes(startTime, duration_minutes);
+      const rules = await this.getBookingRules(
+        client,
+        tenantId,
+        provider_id,
+        appointmentData.appointment_type
+      );
 
       // Check for conflicts
       await this.checkAppointmentConflicts(
         client,
+        tenantId,
         provider_id,
         scheduled_start,
-        endTime.toISOString()
+        endTime.toISOString(),
+        { facilityId: facility_id, timeZone, ...rules }
       );
 
       const appointmentId = uuidv4();
@@ -37,8 +94,9 @@ class AppointmentService {
           id, tenant_id, patient_id, provider_id, facility_id,
           appointment_type, scheduled_start, scheduled_end, duration_minutes,
           status, priority, reason, special_requirements, 
-          pre_appointment_instructions, telehealth_details
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+          pre_appointment_instructions, telehealth_details,
+          buffer_before_minutes, buffer_after_minutes
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)
         RETURNING *
       `;
 
@@ -58,52 +116,116 @@ class AppointmentService {
         JSON.stringify(appointmentData.special_requirements || {}),
         JSON.stringify(appointmentData.pre_appointment_instructions || {}),
         JSON.stringify(appointmentData.telehealth_details || null),
+        rules.bufferBefore,
+        rules.bufferAfter,
       ];
 
       const result = await client.query(insertQuery, values);
       const appointment = result.rows[0];
 
+      // Rooms, chairs and devices the appointment needs, locked with it
+      appointment.resources = await resourceService.allocateResources(client, tenantId, {
+        appointmentId,
+        facilityId: facility_id,
+        appointmentType: appointmentData.appointment_type,
+        additionalResources: appointmentData.additional_resources,
+        start: subMinutes(startTime, rules.bufferBefore),
+        end: addMinutes(endTime, rules.bufferAfter),
+        timeZone,
+      });
+
       // Log audit trail
       await logAudit({
         tenantId,
         entityType: 'appointment',
         entityId: appointmentId,
         action: 'CREATE',
-        userId: requestId,
-        userType: 'system',
+        actor,
+        client,
         changes: { created: appointmentData },
       });
 
+      const hl7MessageId = await hl7OutboundService.logAppointmentMessage(
+        client,
+        tenantId,
+        appointment,
+        'S12'
+      );
+
       await client.query('COMMIT');
 
-      // Queue notification jobs
-      await this.queueAppointmentNotifications(appointment);
+      await db.afterCommit(async () => {
+        // Queue notification jobs
+        await this.queueAppointmentNotifications(appointment);
 
-      // Invalidate caches
-      await this.invalidateAppointmentCaches(provider_id, patient_id, scheduled_start);
+        // Invalidate caches
+        await this.invalidateAppointmentCaches(provider_id, patient_id, scheduled_start);
+
+        await hl7OutboundService.publishMessage(tenantId, hl7MessageId);
+      });
 
       logger.info(`Appointment created: ${appointmentId}`);
 
       return appointment;
     } catch (error) {
       await client.query('ROLLBACK');
-      throw error;
+      throw toBookingError(error);
     } finally {
       client.release();
     }
   }
 
-  async checkAppointmentConflicts(client, providerId, startTime, endTime) {
+  /**
+   * Reject a booking that overlaps another appointment of the provider, or
+   * a holiday or block at the facility, counting the buffers of both, or
+   * that would take the provider past their daily capacity
+   * @param {Object} options
+   * @param {String} options.facilityId - Facility of the booking
+   * @param {String} options.timeZone - The facility's time zone
+   * @param {String} options.excludeAppointmentId - Appointment being moved
+   * @param {Number} options.bufferBefore - Minutes kept free before it
+   * @param {Number} options.bufferAfter - Minutes kept free after it
+   * @param {Number} options.maxDailyCapacity - The provider's appointments
+   *   per day at the facility's calendar
+   *
+   * Bookings of the same provider wait for each other here until the first
+   * commits, so the checks see every appointment booked before them. The
+   * excl_appointments_provider_overlap constraint backs this up for writes
+   * that do not come through here.
+   */
+  async checkAppointmentConflicts(
+    client,
+    tenantId,
+    providerId,
+    startTime,
+    endTime,
+    {
+      facilityId,
+      timeZone,
+      excludeAppointmentId,
+      bufferBefore = 0,
+      bufferAfter = 0,
+      maxDailyCapacity,
+    } = {}
+  ) {
+    const busyFrom = subMinutes(new Date(startTime), bufferBefore).toISOString();
+    const busyUntil = addMinutes(new Date(endTime), bufferAfter).toISOString();
+
+    // Released at COMMIT or ROLLBACK. Two providers whose ids hash alike only
+    // wait for each other needlessly.
+    await client.query("SELECT pg_advisory_xact_lock(hashtext('appointments'), hashtext($1))", [
+      providerId,
+    ]);
+
     const conflictCheck = await client.query(
       `SELECT id FROM appointments
-       WHERE provider_id = $1
+       WHERE tenant_id = $1
+       AND provider_id = $2
        AND status NOT IN ('cancelled', 'no-show')
-       AND (
-         (scheduled_start <= $2 AND scheduled_end > $2)
-         OR (scheduled_start < $3 AND scheduled_end >= $3)
-         OR (scheduled_start >= $2 AND scheduled_end <= $3)
-       )`,
-      [providerId, startTime, endTime]
+       AND scheduled_start - make_interval(mins => buffer_before_minutes) < $4
+       AND scheduled_end + make_interval(mins => buffer_after_minutes) > $3
+       AND ($5::uuid IS NULL OR id <> $5)`,
+      [tenantId, providerId, busyFrom, busyUntil, excludeAppointmentId || null]
     );
 
     if (conflictCheck.rows.length > 0) {
@@ -111,10 +233,125 @@ class AppointmentService {
         conflictingAppointmentId: conflictCheck.rows[0].id,
       });
     }
+
+    if (!facilityId) {
+      return;
+    }
+
+    if (maxDailyCapacity) {
+      const day = getDayWindow(toZonedDate(startTime, timeZone), null, null, timeZone);
+      const dailyResult = await client.query(
+        `SELECT COUNT(*) FROM appointments
+         WHERE tenant_id = $1
+         AND provider_id = $2
+         AND status NOT IN ('cancelled', 'no-show')
+         AND scheduled_start >= $3
+         AND scheduled_start < $4
+         AND ($5::uuid IS NULL OR id <> $5)`,
+        [
+          tenantId,
+          providerId,
+          day.start.toISOString(),
+          day.end.toISOString(),
+          excludeAppointmentId || null,
+        ]
+      );
+
+      if (parseInt(dailyResult.rows[0].count, 10) >= maxDailyCapacity) {
+        throw new ConflictError('Provider is fully booked on this day', { maxDailyCapacity });
+      }
+    }
+
+    // The facility's calendar dates the booking touches, a day either side
+    // of the UTC ones
+    const exceptions = await availabilityService.getExceptions(client, tenantId, {
+      providerId,
+      facilityId,
+      startDate: addCalendarDays(busyFrom.slice(0, 10), -1),
+      endDate: addCalendarDays(busyUntil.slice(0, 10), 1),
+    });
+
+    const blocked = findBlockedWindow(exceptions, {
+      providerId,
+      facilityId,
+      timeZone,
+      start: busyFrom,
+      end: busyUntil,
+    });
+
+    if (blocked) {
+      throw new ConflictError('Provider is not available at this time', {
+        holidayId: blocked.holiday_id,
+        exceptionId: blocked.exception_id,
+        reason: blocked.reason,
+      });
+    }
+  }
+
+  /**
+   * The buffers a provider keeps around an appointment type and their daily
+   * capacity, as options for checkAppointmentConflicts
+   * @returns {Object} { bufferBefore, bufferAfter, maxDailyCapacity }
+   */
+  async getBookingRules(client, tenantId, providerId, appointmentType) {
+    const result = await client.query(
+      `SELECT p.appointment_buffers, p.max_daily_capacity, t.configuration
+       FROM providers p
+       JOIN tenants t ON p.tenant_id = t.id
+       WHERE p.tenant_id = $1 AND p.id = $2`,
+      [tenantId, providerId]
+    );
+
+    // An unknown provider is left to the foreign key on the insert
+    const provider = result.rows[0] || {};
+    const { before, after } = getAppointmentBuffers(
+      appointmentType,
+      provider,
+      provider.configuration?.scheduling
+    );
+
+    return {
+      bufferBefore: before,
+      bufferAfter: after,
+      maxDailyCapacity: provider.max_daily_capacity || null,
+    };
+  }
+
+  /**
+   * The length of an appointment type with a provider, as
+   * getAppointmentDuration works it out
+   */
+  async getTypeDuration(client, tenantId, providerId, appointmentType) {
+    const result = await client.query(
+      `SELECT p.default_appointment_durations, t.configuration
+       FROM providers p
+       JOIN tenants t ON p.tenant_id = t.id
+       WHERE p.tenant_id = $1 AND p.id = $2`,
+      [tenantId, providerId]
+    );
+
+    const provider = result.rows[0] || {};
+    return getAppointmentDuration(appointmentType, provider, provider.configuration?.scheduling);
+  }
+
+  /**
+   * The IANA time zone of a facility, which its appointments are booked in
+   */
+  async getFacilityTimeZone(client, tenantId, facilityId) {
+    const result = await client.query(
+      'SELECT timezone FROM facilities WHERE tenant_id = $1 AND id = $2',
+      [tenantId, facilityId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new NotFoundError('Facility', facilityId);
+    }
+
+    return resolveTimeZone(result.rows[0].timezone);
   }
 
   async queueAppointmentNotifications(appointment) {
-    const scheduledStart = parseISO(appointment.scheduled_start);
+    const scheduledStart = new Date(appointment.scheduled_start);
 
     const notifications = [
       {
@@ -160,13 +397,17 @@ class AppointmentService {
     await cache.del(`patient:${patientId}:appointments:upcoming`);
   }
 
-  async getAppointmentById(tenantId, appointmentId) {
+  async getAppointmentById(tenantId, appointmentId, actor = null) {
+    const ownPatientId = getPatientScope(actor);
     const cacheKey = `appointment:${tenantId}:${appointmentId}`;
     const cached = await cache.get(cacheKey);
 
     if (cached) {
       logger.debug(`Cache hit for appointment: ${appointmentId}`);
-      return JSON.parse(cached);
+      const appointment = JSON.parse(cached);
+
+      // Another patient's appointment looks the same as a missing one
+      return ownPatientId && appointment.patient_id !== ownPatientId ? null : appointment;
     }
 
     const result = await db.query(
@@ -187,16 +428,18 @@ class AppointmentService {
     }
 
     const appointment = result.rows[0];
-    await cache.setex(cacheKey, 300, JSON.stringify(appointment));
+    await db.afterCommit(() => cache.setex(cacheKey, 300, JSON.stringify(appointment)));
 
-    return appointment;
+    return ownPatientId && appointment.patient_id !== ownPatientId ? null : appointment;
   }
 
-  async listAppointments(tenantId, filters) {
-    const { page, limit, patientId, providerId, facilityId, status, startDate, endDate } =
-      filters;
+  async listAppointments(tenantId, filters, actor = null) {
+    const { page, limit, providerId, facilityId, status, startDate, endDate } = filters;
     const offset = (page - 1) * limit;
 
+    // Patient tokens are always limited to their own appointments
+    const patientId = getPatientScope(actor) || filters.patientId;
+
     let query = `
       SELECT a.*, 
         p.first_name as patient_first_name, p.last_name as patient_last_name,
@@ -269,12 +512,30 @@ class AppointmentService {
       countIndex++;
     }
 
+    if (facilityId) {
+      countQuery += ` AND a.facility_id = $${countIndex}`;
+      countParams.push(facilityId);
+      countIndex++;
+    }
+
     if (status) {
       countQuery += ` AND a.status = $${countIndex}`;
       countParams.push(status);
       countIndex++;
     }
 
+    if (startDate) {
+      countQuery += ` AND a.scheduled_start >= $${countIndex}`;
+      countParams.push(startDate);
+      countIndex++;
+    }
+
+    if (endDate) {
+      countQuery += ` AND a.scheduled_start <= $${countIndex}`;
+      countParams.push(endDate);
+      countIndex++;
+    }
+
     const countResult = await db.query(countQuery, countParams);
 
     return {
@@ -288,8 +549,8 @@ class AppointmentService {
     };
   }
 
-  async updateAppointment(tenantId, appointmentId, updateData, requestId) {
-    const client = await db.pool.connect();
+  async updateAppointment(tenantId, appointmentId, updateData, actor) {
+    const client = await db.connect();
 
     try {
       await client.query('BEGIN');
@@ -307,22 +568,34 @@ class AppointmentService {
 
       const updates = [];
       const values = [tenantId, appointmentId];
-      let paramIndex = 3;
 
-      Object.keys(updateData).forEach((key) => {
-        if (updateData[key] !== undefined && key !== 'id' && key !== 'tenant_id') {
-          updates.push(`${key} = $${paramIndex}`);
+      UPDATABLE_COLUMNS.forEach((column) => {
+        const value = updateData[column];
+
+        if (value !== undefined) {
           values.push(
-            typeof updateData[key] === 'object'
-              ? JSON.stringify(updateData[key])
-              : updateData[key]
+            value !== null && typeof value === 'object' && !(value instanceof Date)
+              ? JSON.stringify(value)
+              : value
           );
-          paramIndex++;
+          updates.push(`${column} = $${values.length}`);
         }
       });
 
+      // A new time, length, provider or type books the appointment again,
+      // through the same checks as a new one, as does bringing back a
+      // cancelled or no-show appointment
+      const booking = await this.prepareRebooking(client, tenantId, currentAppointment, updateData);
+
+      if (booking) {
+        Object.entries(booking.columns).forEach(([column, value]) => {
+          values.push(value);
+          updates.push(`${column} = $${values.length}`);
+        });
+      }
+
       if (updates.length === 0) {
-        throw new Error('No valid fields to update');
+        throw new ValidationError('No valid fields to update');
       }
 
       updates.push(`updated_at = CURRENT_TIMESTAMP`);
@@ -336,35 +609,164 @@ class AppointmentService {
 
       const result = await client.query(updateQuery, values);
 
+      if (booking) {
+        // Keep the same resources where they are free at the new time. Those
+        // a previous type needed itself are left to the new type's needs.
+        const released = await resourceService.releaseResources(client, tenantId, appointmentId);
+        const previousTypeNeeds =
+          booking.appointmentType === currentAppointment.appointment_type
+            ? []
+            : await resourceService.getRequirements(
+                client,
+                tenantId,
+                currentAppointment.appointment_type
+              );
+
+        result.rows[0].resources = await resourceService.allocateResources(client, tenantId, {
+          appointmentId,
+          facilityId: currentAppointment.facility_id,
+          appointmentType: booking.appointmentType,
+          keepTypes: released
+            .map((resource) => resource.resource_type)
+            .filter((type) => !previousTypeNeeds.some((requirement) => requirement.type === type)),
+          preferredIds: released.map((resource) => resource.id),
+          start: booking.start,
+          end: booking.end,
+          timeZone: booking.timeZone,
+        });
+      }
+
       await logAudit({
         tenantId,
         entityType: 'appointment',
         entityId: appointmentId,
         action: 'UPDATE',
-        userId: requestId,
-        userType: 'system',
+        actor,
+        client,
         changes: {
           before: currentAppointment,
           after: result.rows[0],
         },
       });
 
+      // A status change to cancelled is a cancellation for the HL7 feed
+      const cancelled =
+        result.rows[0].status === 'cancelled' && currentAppointment.status !== 'cancelled';
+      const hl7MessageId = await hl7OutboundService.logAppointmentMessage(
+        client,
+        tenantId,
+        result.rows[0],
+        cancelled ? 'S15' : 'S14'
+      );
+
       await client.query('COMMIT');
-      await cache.del(`appointment:${tenantId}:${appointmentId}`);
+      await db.afterCommit(async () => {
+        await cache.del(`appointment:${tenantId}:${appointmentId}`);
+
+        if (booking) {
+          await this.invalidateAppointmentCaches(
+            currentAppointment.provider_id,
+            currentAppointment.patient_id,
+            new Date(currentAppointment.scheduled_start).toISOString()
+          );
+          await this.invalidateAppointmentCaches(
+            result.rows[0].provider_id,
+            result.rows[0].patient_id,
+            booking.columns.scheduled_start
+          );
+        }
+
+        await hl7OutboundService.publishMessage(tenantId, hl7MessageId);
+      });
 
       logger.info(`Appointment updated: ${appointmentId}`);
 
       return result.rows[0];
     } catch (error) {
       await client.query('ROLLBACK');
-      throw error;
+      throw toBookingError(error);
     } finally {
       client.release();
     }
   }
 
-  async cancelAppointment(tenantId, appointmentId, requestId) {
-    const client = await db.pool.connect();
+  /**
+   * Check the slot an update moves an appointment to, as createAppointment
+   * checks a new one
+   * @returns {Object|null} { columns, appointmentType, start, end, timeZone }
+   *   with the columns to set and the span, buffers included, its resources
+   *   are needed for; null when the update keeps the appointment's time,
+   *   length, provider and type and does not make it active again
+   */
+  async prepareRebooking(client, tenantId, appointment, updateData) {
+    const reactivated =
+      INACTIVE_STATUSES.includes(appointment.status) &&
+      updateData.status !== undefined &&
+      !INACTIVE_STATUSES.includes(updateData.status);
+
+    if (!reactivated && REBOOKING_FIELDS.every((field) => updateData[field] === undefined)) {
+      return null;
+    }
+
+    const timeZone = await this.getFacilityTimeZone(client, tenantId, appointment.facility_id);
+    const startTime = updateData.scheduled_start
+      ? parseScheduledStart(updateData.scheduled_start, timeZone)
+      : new Date(appointment.scheduled_start);
+    const providerId = updateData.provider_id || appointment.provider_id;
+    const appointmentType = updateData.appointment_type || appointment.appointment_type;
+
+    // A new type runs as long as that type does, unless a length comes with it
+    let duration = updateData.duration_minutes || appointment.duration_minutes;
+
+    if (!updateData.duration_minutes && appointmentType !== appointment.appointment_type) {
+      duration = await this.getTypeDuration(client, tenantId, providerId, appointmentType);
+    }
+
+    if (
+      !reactivated &&
+      startTime.getTime() === new Date(appointment.scheduled_start).getTime() &&
+      providerId === appointment.provider_id &&
+      appointmentType === appointment.appointment_type &&
+      duration === appointment.duration_minutes
+    ) {
+      return null;
+    }
+
+    const endTime = addMinutes(startTime, duration);
+    const rules = await this.getBookingRules(client, tenantId, providerId, appointmentType);
+
+    await this.checkAppointmentConflicts(
+      client,
+      tenantId,
+      providerId,
+      startTime.toISOString(),
+      endTime.toISOString(),
+      {
+        facilityId: appointment.facility_id,
+        timeZone,
+        excludeAppointmentId: appointment.id,
+        ...rules,
+      }
+    );
+
+    return {
+      columns: {
+        provider_id: providerId,
+        scheduled_start: startTime.toISOString(),
+        scheduled_end: endTime.toISOString(),
+        duration_minutes: duration,
+        buffer_before_minutes: rules.bufferBefore,
+        buffer_after_minutes: rules.bufferAfter,
+      },
+      appointmentType,
+      start: subMinutes(startTime, rules.bufferBefore),
+      end: addMinutes(endTime, rules.bufferAfter),
+      timeZone,
+    };
+  }
+
+  async cancelAppointment(tenantId, appointmentId, actor) {
+    const client = await db.connect();
 
     try {
       await client.query('BEGIN');
@@ -388,20 +790,31 @@ class AppointmentService {
         entityType: 'appointment',
         entityId: appointmentId,
         action: 'CANCEL',
-        userId: requestId,
-        userType: 'system',
+        actor,
+        client,
       });
 
+      const hl7MessageId = await hl7OutboundService.logAppointmentMessage(
+        client,
+        tenantId,
+        appointment,
+        'S15'
+      );
+
       await client.query('COMMIT');
-      await cache.del(`appointment:${tenantId}:${appointmentId}`);
 
-      // Queue cancellation notification
-      await publishToQueue(QUEUES.NOTIFICATIONS, {
-        type: 'appointment_cancelled',
-        appointmentId,
-        patientId: appointment.patient_id,
-        scheduledFor: new Date().toISOString(),
-        priority: 8,
+      await db.afterCommit(async () => {
+        await cache.del(`appointment:${tenantId}:${appointmentId}`);
+        await hl7OutboundService.publishMessage(tenantId, hl7MessageId);
+
+        // Queue cancellation notification
+        await publishToQueue(QUEUES.NOTIFICATIONS, {
+          type: 'appointment_cancelled',
+          appointmentId,
+          patientId: appointment.patient_id,
+          scheduledFor: new Date().toISOString(),
+          priority: 8,
+        });
       });
 
       logger.info(`Appointment cancelled: ${appointmentId}`);
@@ -415,60 +828,144 @@ class AppointmentService {
     }
   }
 
+  /**
+   * Open slots between two calendar dates (YYYY-MM-DD, inclusive)
+   * Availability is kept as wall-clock times at each facility, so dates and
+   * windows are read in the facility's time zone: 09:00 in Chicago is 15:00
+   * UTC in January and 14:00 UTC in July.
+   */
   async findAvailableSlots(tenantId, filters) {
     const { providerId, facilityId, appointmentType, startDate, endDate } = filters;
+    const { additionalResources = [] } = filters;
 
     // Get provider availability
-    const availabilityQuery = `
-      SELECT pa.*, p.first_name, p.last_name, f.name as facility_name, f.timezone
+    let availabilityQuery = `
+      SELECT pa.*, p.first_name, p.last_name, p.default_appointment_durations,
+        p.appointment_buffers, p.max_daily_capacity, f.name as facility_name, f.timezone
       FROM provider_availability pa
       JOIN providers p ON pa.provider_id = p.id
       JOIN facilities f ON pa.facility_id = f.id
       WHERE p.tenant_id = $1
-      ${providerId ? 'AND pa.provider_id = $2' : ''}
-      ${facilityId ? 'AND pa.facility_id = $3' : ''}
       AND pa.is_available = true
-      AND (pa.effective_until IS NULL OR pa.effective_until >= CURRENT_DATE)
-      ORDER BY pa.day_of_week, pa.start_time
+      AND pa.effective_from <= $2
+      AND (pa.effective_until IS NULL OR pa.effective_until >= $3)
     `;
+    const params = [tenantId, endDate, startDate];
+    let paramIndex = 4;
 
-    const params = [tenantId];
-    if (providerId) params.push(providerId);
-    if (facilityId) params.push(facilityId);
+    if (providerId) {
+      availabilityQuery += ` AND pa.provider_id = $${paramIndex}`;
+      params.push(providerId);
+      paramIndex++;
+    }
+
+    if (facilityId) {
+      availabilityQuery += ` AND pa.facility_id = $${paramIndex}`;
+      params.push(facilityId);
+      paramIndex++;
+    }
+
+    availabilityQuery += ' ORDER BY pa.day_of_week, pa.start_time';
 
     const availabilityResult = await db.query(availabilityQuery, params);
 
-    // Get existing appointments to exclude booked slots
+    // Get existing appointments to exclude booked slots. The dates are local
+    // to each facility, which can be up to 14 hours either side of UTC.
     const appointmentsQuery = `
-      SELECT scheduled_start, scheduled_end, provider_id
+      SELECT scheduled_start, scheduled_end, buffer_before_minutes, buffer_after_minutes,
+        provider_id
       FROM appointments
       WHERE tenant_id = $1
       AND status NOT IN ('cancelled', 'no-show')
-      AND scheduled_start >= $2
-      AND scheduled_start <= $3
+      AND scheduled_end + make_interval(mins => buffer_after_minutes) > $2
+      AND scheduled_start - make_interval(mins => buffer_before_minutes) < $3
       ${providerId ? 'AND provider_id = $4' : ''}
     `;
 
-    const appointmentParams = [tenantId, startDate, endDate];
+    const appointmentParams = [
+      tenantId,
+      `${addCalendarDays(startDate, -1)}T00:00:00Z`,
+      `${addCalendarDays(endDate, 2)}T00:00:00Z`,
+    ];
     if (providerId) appointmentParams.push(providerId);
 
     const appointmentsResult = await db.query(appointmentsQuery, appointmentParams);
 
-    // Calculate available slots (simplified - production would be more complex)
-    const availableSlots = this.calculateAvailableSlots(
+    const configResult = await db.query('SELECT configuration FROM tenants WHERE id = $1', [
+      tenantId,
+    ]);
+    const schedulingConfig = configResult.rows[0]?.configuration?.scheduling || {};
+
+    const exceptions = await availabilityService.getExceptions(db, tenantId, {
+      providerId,
+      facilityId,
+      startDate,
+      endDate,
+    });
+
+    // Slots are only offered when the resources the type needs are free too
+    const requirements = await resourceService.getRequirements(
+      db,
+      tenantId,
+      appointmentType,
+      additionalResources
+    );
+    const resources =
+      requirements.length > 0
+        ? await resourceService.loadResources(db, tenantId, {
+            facilityIds: [
+              ...new Set(
+                [...availabilityResult.rows, ...exceptions.sessions].map((row) => row.facility_id)
+              ),
+            ],
+            types: requirements.map((requirement) => requirement.type),
+            from: appointmentParams[1],
+            until: appointmentParams[2],
+          })
+        : [];
+
+    return this.calculateAvailableSlots(
       availabilityResult.rows,
       appointmentsResult.rows,
       startDate,
-      endDate
+      endDate,
+      { exceptions, requirements, resources, appointmentType, schedulingConfig }
     );
-
-    return availableSlots;
   }
 
-  calculateAvailableSlots(availability, bookedAppointments, startDate, endDate) {
+  /**
+   * Slots start every `slot_duration` minutes of a window. Without an
+   * appointment type that is also their length. With one they last the
+   * type's duration with the provider, and the buffers around it must fit
+   * in the window and be free as well. A provider at their
+   * `max_daily_capacity` has no slots left that day.
+   * @param {Object} options
+   * @param {Object} options.exceptions - { holidays, blocks, sessions } from
+   *   AvailabilityService.getExceptions
+   * @param {Array} options.requirements - Resource types a slot needs, from
+   *   ResourceService.getRequirements
+   * @param {Array} options.resources - Those resources, from
+   *   ResourceService.loadResources
+   * @param {Object} options.schedulingConfig - The tenant's `scheduling`
+   *   configuration
+   */
+  calculateAvailableSlots(
+    availability,
+    bookedAppointments,
+    startDate,
+    endDate,
+    {
+      exceptions = {},
+      requirements = [],
+      resources = [],
+      appointmentType = null,
+      schedulingConfig = {},
+      now = new Date(),
+    } = {}
+  ) {
+    const { holidays = [], blocks = [], sessions = [] } = exceptions;
     const slots = [];
-    const start = parseISO(startDate);
-    const end = parseISO(endDate);
+    const seen = new Set();
 
     // Group booked appointments by provider
     const bookedByProvider = {};
@@ -477,61 +974,106 @@ class AppointmentService {
         bookedByProvider[apt.provider_id] = [];
       }
       bookedByProvider[apt.provider_id].push({
-        start: parseISO(apt.scheduled_start),
-        end: parseISO(apt.scheduled_end),
+        start: subMinutes(new Date(apt.scheduled_start), apt.buffer_before_minutes || 0),
+        end: addMinutes(new Date(apt.scheduled_end), apt.buffer_after_minutes || 0),
+        scheduledStart: new Date(apt.scheduled_start),
       });
     });
 
-    // Generate slots for each day
-    let currentDate = start;
-    while (currentDate <= end) {
-      const dayOfWeek = currentDate.getDay();
+    // Generate slots for each day: the weekly windows, unless a holiday
+    // closes the facility, and any ad-hoc sessions
+    for (const date of listCalendarDays(startDate, endDate)) {
+      const dayOfWeek = getDayOfWeek(date);
+
+      const windows = [
+        ...availability.filter(
+          (avail) =>
+            avail.day_of_week === dayOfWeek &&
+            toCalendarDate(avail.effective_from) <= date &&
+            (!avail.effective_until || toCalendarDate(avail.effective_until) >= date) &&
+            !holidays.some((holiday) => isHoliday(holiday, date, avail.facility_id))
+        ),
+        ...sessions.filter(
+          (session) =>
+            toCalendarDate(session.start_date) <= date && toCalendarDate(session.end_date) >= date
+        ),
+      ];
 
-      availability
-        .filter((avail) => avail.day_of_week === dayOfWeek)
-        .forEach((avail) => {
-          const slotDuration = avail.slot_duration || 30;
-          const [startHour, startMinute] = avail.start_time.split(':').map(Number);
-          const [endHour, endMinute] = avail.end_time.split(':').map(Number);
+      windows.forEach((avail) => {
+        const timeZone = resolveTimeZone(avail.timezone);
+        const slotInterval = avail.slot_duration || 30;
+        const booked = bookedByProvider[avail.provider_id] || [];
 
-          let slotStart = new Date(currentDate);
-          slotStart.setHours(startHour, startMinute, 0, 0);
+        // A provider at their daily capacity takes no more bookings that day
+        const bookedThatDay = booked.filter(
+          (apt) => toZonedDate(apt.scheduledStart, timeZone) === date
+        ).length;
 
-          const dayEnd = new Date(currentDate);
-          dayEnd.setHours(endHour, endMinute, 0, 0);
+        if (avail.max_daily_capacity && bookedThatDay >= avail.max_daily_capacity) {
+          return;
+        }
 
-          while (slotStart < dayEnd) {
-            const slotEnd = addMinutes(slotStart, slotDuration);
+        const slotDuration = appointmentType
+          ? getAppointmentDuration(appointmentType, avail, schedulingConfig)
+          : slotInterval;
+        const buffers = appointmentType
+          ? getAppointmentBuffers(appointmentType, avail, schedulingConfig)
+          : { before: 0, after: 0 };
+        const blocked = getBlockedWindows(
+          { blocks },
+          { providerId: avail.provider_id, facilityId: avail.facility_id, timeZone, dates: [date] }
+        );
 
-            // Check if slot is not booked
-            const isBooked = (bookedByProvider[avail.provider_id] || []).some((booked) => {
-              return slotStart < booked.end && slotEnd > booked.start;
-            });
+        // Slots are counted in elapsed time, so a window that spans a DST
+        // change holds as many as the clocks actually allow
+        const dayStart = toFacilityTime(date, avail.start_time, timeZone);
+        const dayEnd = toFacilityTime(date, avail.end_time, timeZone);
+        let slotStart = addMinutes(dayStart, buffers.before);
 
-            if (!isBooked && slotStart > new Date()) {
-              slots.push({
-                provider_id: avail.provider_id,
-                provider_name: `${avail.first_name} ${avail.last_name}`,
-                facility_id: avail.facility_id,
-                facility_name: avail.facility_name,
-                start_time: slotStart.toISOString(),
-                end_time: slotEnd.toISOString(),
-                duration_minutes: slotDuration,
-              });
-            }
-
-            slotStart = slotEnd;
+        while (addMinutes(slotStart, slotDuration + buffers.after) <= dayEnd) {
+          const slotEnd = addMinutes(slotStart, slotDuration);
+          const busyFrom = subMinutes(slotStart, buffers.before);
+          const busyUntil = addMinutes(slotEnd, buffers.after);
+
+          // Check if slot is not booked or blocked
+          const isBooked = [...booked, ...blocked].some(
+            (taken) => busyFrom < taken.end && busyUntil > taken.start
+          );
+          const key = `${avail.provider_id}:${avail.facility_id}:${slotStart.toISOString()}`;
+          const hasResources =
+            requirements.length === 0 ||
+            !selectResources(
+              requirements,
+              resources.filter((resource) => resource.facility_id === avail.facility_id),
+              { start: busyFrom, end: busyUntil, timeZone }
+            ).missing;
+
+          if (!isBooked && hasResources && slotStart > now && !seen.has(key)) {
+            seen.add(key);
+            slots.push({
+              provider_id: avail.provider_id,
+              provider_name: `${avail.first_name} ${avail.last_name}`,
+              facility_id: avail.facility_id,
+              facility_name: avail.facility_name,
+              timezone: timeZone,
+              start_time: slotStart.toISOString(),
+              end_time: slotEnd.toISOString(),
+              local_start_time: formatInTimeZone(slotStart, timeZone),
+              local_end_time: formatInTimeZone(slotEnd, timeZone),
+              duration_minutes: slotDuration,
+            });
           }
-        });
 
-      currentDate = addDays(currentDate, 1);
+          slotStart = addMinutes(slotStart, slotInterval);
+        }
+      });
     }
 
-    return slots;
+    return slots.sort((a, b) => a.start_time.localeCompare(b.start_time));
   }
 
-  async createAppointmentSeries(tenantId, seriesData, requestId) {
-    const client = await db.pool.connect();
+  async createAppointmentSeries(tenantId, seriesData, actor) {
+    const client = await db.connect();
 
     try {
       await client.query('BEGIN');
@@ -557,19 +1099,38 @@ class AppointmentService {
         ]
       );
 
+      const timeZone = await this.getFacilityTimeZone(client, tenantId, seriesData.facility_id);
+
       // Create individual appointments
       const appointments = [];
+      const hl7MessageIds = [];
       for (const appointmentData of seriesData.appointments) {
         const appointmentId = uuidv4();
-        const startTime = parseISO(appointmentData.scheduled_start);
+        const startTime = parseScheduledStart(appointmentData.scheduled_start, timeZone);
         const endTime = addMinutes(startTime, appointmentData.duration_minutes);
+        const rules = await this.getBookingRules(
+          client,
+          tenantId,
+          seriesData.provider_id,
+          appointmentData.appointment_type
+        );
+
+        await this.checkAppointmentConflicts(
+          client,
+          tenantId,
+          seriesData.provider_id,
+          startTime.toISOString(),
+          endTime.toISOString(),
+          { facilityId: seriesData.facility_id, timeZone, ...rules }
+        );
 
         const result = await client.query(
           `INSERT INTO appointments (
             id, tenant_id, patient_id, provider_id, facility_id, series_id,
             appointment_type, scheduled_start, scheduled_end, duration_minutes,
-            status, priority, reason, special_requirements
-          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+            status, priority, reason, special_requirements,
+            buffer_before_minutes, buffer_after_minutes
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
           RETURNING *`,
           [
             appointmentId,
@@ -579,20 +1140,33 @@ class AppointmentService {
             seriesData.facility_id,
             seriesId,
             appointmentData.appointment_type,
-            appointmentData.scheduled_start,
+            startTime.toISOString(),
             endTime.toISOString(),
             appointmentData.duration_minutes,
             'scheduled',
             appointmentData.priority || 'normal',
             appointmentData.reason,
             JSON.stringify(appointmentData.special_requirements || {}),
+            rules.bufferBefore,
+            rules.bufferAfter,
           ]
         );
 
+        result.rows[0].resources = await resourceService.allocateResources(client, tenantId, {
+          appointmentId,
+          facilityId: seriesData.facility_id,
+          appointmentType: appointmentData.appointment_type,
+          additionalResources: appointmentData.additional_resources,
+          start: subMinutes(startTime, rules.bufferBefore),
+          end: addMinutes(endTime, rules.bufferAfter),
+          timeZone,
+        });
+
         appointments.push(result.rows[0]);
 
-        // Queue notifications for each appointment
-        await this.queueAppointmentNotifications(result.rows[0]);
+        hl7MessageIds.push(
+          await hl7OutboundService.logAppointmentMessage(client, tenantId, result.rows[0], 'S12')
+        );
       }
 
       await logAudit({
@@ -600,13 +1174,24 @@ class AppointmentService {
         entityType: 'appointment_series',
         entityId: seriesId,
         action: 'CREATE',
-        userId: requestId,
-        userType: 'system',
+        actor,
+        client,
         changes: { created: seriesData },
       });
 
       await client.query('COMMIT');
 
+      await db.afterCommit(async () => {
+        // Queue notifications for each appointment
+        for (const appointment of appointments) {
+          await this.queueAppointmentNotifications(appointment);
+        }
+
+        for (const hl7MessageId of hl7MessageIds) {
+          await hl7OutboundService.publishMessage(tenantId, hl7MessageId);
+        }
+      });
+
       logger.info(`Appointment series created: ${seriesId} with ${appointments.length} appointments`);
 
       return {
@@ -615,14 +1200,14 @@ class AppointmentService {
       };
     } catch (error) {
       await client.query('ROLLBACK');
-      throw error;
+      throw toBookingError(error);
     } finally {
       client.release();
     }
   }
 
-  async rescheduleAppointment(tenantId, appointmentId, newStartTime, duration, requestId) {
-    const client = await db.pool.connect();
+  async rescheduleAppointment(tenantId, appointmentId, scheduledStart, duration, actor) {
+    const client = await db.connect();
 
     try {
       await client.query('BEGIN');
@@ -632,55 +1217,104 @@ class AppointmentService {
         throw new NotFoundError('Appointment', appointmentId);
       }
 
-      const startTime = parseISO(newStartTime);
+      const timeZone = await this.getFacilityTimeZone(client, tenantId, appointment.facility_id);
+      const startTime = parseScheduledStart(scheduledStart, timeZone);
+      const newStartTime = startTime.toISOString();
       const endTime = addMinutes(startTime, duration);
+      const rules = await this.getBookingRules(
+        client,
+        tenantId,
+        appointment.provider_id,
+        appointment.appointment_type
+      );
 
       // Check for conflicts at new time
       await this.checkAppointmentConflicts(
         client,
+        tenantId,
         appointment.provider_id,
         newStartTime,
-        endTime.toISOString()
+        endTime.toISOString(),
+        {
+          facilityId: appointment.facility_id,
+          timeZone,
+          excludeAppointmentId: appointmentId,
+          ...rules,
+        }
       );
 
       const result = await client.query(
         `UPDATE appointments
-         SET scheduled_start = $1, scheduled_end = $2, duration_minutes = $3, updated_at = CURRENT_TIMESTAMP
-         WHERE tenant_id = $4 AND id = $5
+         SET scheduled_start = $1, scheduled_end = $2, duration_minutes = $3,
+           buffer_before_minutes = $4, buffer_after_minutes = $5,
+           updated_at = CURRENT_TIMESTAMP
+         WHERE tenant_id = $6 AND id = $7
          RETURNING *`,
-        [newStartTime, endTime.toISOString(), duration, tenantId, appointmentId]
+        [
+          newStartTime,
+          endTime.toISOString(),
+          duration,
+          rules.bufferBefore,
+          rules.bufferAfter,
+          tenantId,
+          appointmentId,
+        ]
       );
 
+      // Keep the same resources where they are free at the new time
+      const released = await resourceService.releaseResources(client, tenantId, appointmentId);
+      result.rows[0].resources = await resourceService.allocateResources(client, tenantId, {
+        appointmentId,
+        facilityId: appointment.facility_id,
+        appointmentType: appointment.appointment_type,
+        keepTypes: released.map((resource) => resource.resource_type),
+        preferredIds: released.map((resource) => resource.id),
+        start: subMinutes(startTime, rules.bufferBefore),
+        end: addMinutes(endTime, rules.bufferAfter),
+        timeZone,
+      });
+
       await logAudit({
         tenantId,
         entityType: 'appointment',
         entityId: appointmentId,
         action: 'RESCHEDULE',
-        userId: requestId,
-        userType: 'system',
+        actor,
+        client,
         changes: {
           old_time: appointment.scheduled_start,
           new_time: newStartTime,
         },
       });
 
+      const hl7MessageId = await hl7OutboundService.logAppointmentMessage(
+        client,
+        tenantId,
+        result.rows[0],
+        'S13'
+      );
+
       await client.query('COMMIT');
 
-      // Clear caches
-      await cache.del(`appointment:${tenantId}:${appointmentId}`);
-      await this.invalidateAppointmentCaches(
-        appointment.provider_id,
-        appointment.patient_id,
-        newStartTime
-      );
+      await db.afterCommit(async () => {
+        // Clear caches
+        await cache.del(`appointment:${tenantId}:${appointmentId}`);
+        await this.invalidateAppointmentCaches(
+          appointment.provider_id,
+          appointment.patient_id,
+          newStartTime
+        );
 
-      // Queue rescheduled notification
-      await publishToQueue(QUEUES.NOTIFICATIONS, {
-        type: 'appointment_rescheduled',
-        appointmentId,
-        patientId: appointment.patient_id,
-        scheduledFor: new Date().toISOString(),
-        priority: 8,
+        // Queue rescheduled notification
+        await publishToQueue(QUEUES.NOTIFICATIONS, {
+          type: 'appointment_rescheduled',
+          appointmentId,
+          patientId: appointment.patient_id,
+          scheduledFor: new Date().toISOString(),
+          priority: 8,
+        });
+
+        await hl7OutboundService.publishMessage(tenantId, hl7MessageId);
       });
 
       logger.info(`Appointment rescheduled: ${appointmentId}`);
@@ -688,40 +1322,92 @@ class AppointmentService {
       return result.rows[0];
     } catch (error) {
       await client.query('ROLLBACK');
-      throw error;
+      throw toBookingError(error);
     } finally {
       client.release();
     }
   }
 
-  async checkinAppointment(tenantId, appointmentId, requestId) {
-    const result = await db.query(
-      `UPDATE appointments
-       SET status = 'arrived', checked_in_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
-       WHERE tenant_id = $1 AND id = $2
-       RETURNING *`,
-      [tenantId, appointmentId]
-    );
+  async checkinAppointment(tenantId, appointmentId, actor) {
+    const client = await db.connect();
 
-    if (result.rows.length === 0) {
-      throw new NotFoundError('Appointment', appointmentId);
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        `UPDATE appointments
+         SET status = 'arrived', checked_in_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+         WHERE tenant_id = $1 AND id = $2
+         RETURNING *`,
+        [tenantId, appointmentId]
+      );
+
+      if (result.rows.length === 0) {
+        throw new NotFoundError('Appointment', appointmentId);
+      }
+
+      await logAudit({
+        tenantId,
+        entityType: 'appointment',
+        entityId: appointmentId,
+        action: 'CHECKIN',
+        actor,
+        client,
+      });
+
+      await client.query('COMMIT');
+      await cache.del(`appointment:${tenantId}:${appointmentId}`);
+
+      logger.info(`Patient checked in for appointment: ${appointmentId}`);
+
+      return result.rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
     }
+  }
+}
 
-    await logAudit({
-      tenantId,
-      entityType: 'appointment',
-      entityId: appointmentId,
-      action: 'CHECKIN',
-      userId: requestId,
-      userType: 'system',
+/**
+ * Parse a requested start time in the facility's zone
+ * @throws {ValidationError} When it is not an ISO 8601 date/time
+ */
+function parseScheduledStart(value, timeZone) {
+  const start = parseInTimeZone(value, timeZone);
+
+  if (!start) {
+    throw new ValidationError('Validation failed', {
+      errors: [{ field: 'scheduled_start', message: '"scheduled_start" must be an ISO 8601 date' }],
     });
+  }
 
-    await cache.del(`appointment:${tenantId}:${appointmentId}`);
+  return start;
+}
 
-    logger.info(`Patient checked in for appointment: ${appointmentId}`);
+/**
+ * A booking that overlaps another of the provider or of one of its resources
+ * despite the checks, which an exclusion constraint or the unique start time
+ * index rejected, is a conflict like any other.
+ */
+function toBookingError(error) {
+  if (
+    (error.code === '23P01' && error.constraint === 'excl_appointments_provider_overlap') ||
+    (error.code === '23505' && error.constraint === 'idx_appointments_provider_time')
+  ) {
+    return new ConflictError('Provider already has an appointment at this time', {
+      constraint: error.constraint,
+    });
+  }
 
-    return result.rows[0];
+  if (error.code === '23P01' && error.constraint === 'excl_appointment_resources_overlap') {
+    return new ConflictError('A resource of this appointment is already booked at this time', {
+      constraint: error.constraint,
+    });
   }
+
+  return error;
 }
 
 module.exports = AppointmentService;
\ No newline at end of file
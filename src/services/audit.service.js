@@ -0,0 +1,353 @@
+const db = require('../config/database');
+const { ACCESS_ACTIONS, logAccess } = require('../utils/audit');
+const { NotFoundError, ValidationError } = require('../utils/errors');
+
+const AUDIT_LOG_COLUMNS = `
+  id, entity_type, entity_id, action, user_id, user_type, user_role,
+  changes, metadata, host(ip_address) AS ip_address, created_at,
+  chain_seq, row_hash, created_at::text AS cursor_created_at
+`;
+
+// Bookkeeping columns that change on every write and carry no history
+const HISTORY_IGNORED_FIELDS = ['updated_at'];
+
+// prev_hash of the first entry in every tenant chain
+const GENESIS_HASH = '0'.repeat(64);
+const VERIFY_BATCH_SIZE = 1000;
+const MAX_REPORTED_BREAKS = 100;
+
+/**
+ * Cursors are opaque to clients: the created_at text keeps Postgres'
+ * microsecond precision, which a JS Date would truncate
+ */
+function encodeCursor(row) {
+  return Buffer.from(JSON.stringify([row.cursor_created_at, row.id])).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const [createdAt, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+
+    if (typeof createdAt !== 'string' || typeof id !== 'string') {
+      throw new Error('Malformed cursor');
+    }
+
+    return { createdAt, id };
+  } catch (error) {
+    throw new ValidationError('Invalid pagination cursor');
+  }
+}
+
+function toAuditEntry({ cursor_created_at: cursorCreatedAt, ...row }) {
+  return row;
+}
+
+class AuditService {
+  /**
+   * Page through a tenant's audit trail, newest first
+   */
+  async listAuditLogs(tenantId, filters = {}) {
+    const { rows, nextCursor } = await this.queryAuditLogs(tenantId, filters);
+
+    return {
+      audit_logs: rows,
+      count: rows.length,
+      next_cursor: nextCursor,
+    };
+  }
+
+  /**
+   * Same filters as listAuditLogs, in larger pages for NDJSON/CSV export
+   * Audit entries hold PHI, so the export is itself recorded.
+   */
+  async exportAuditLogs(tenantId, filters = {}, actor = null) {
+    const page = await this.queryAuditLogs(tenantId, filters);
+
+    await logAccess({
+      tenantId,
+      entityType: 'audit_log',
+      action: 'EXPORT',
+      actor,
+      query: filters,
+      patientIds: page.rows.flatMap((row) => [
+        ...(row.entity_type === 'patient' ? [row.entity_id] : []),
+        ...(row.metadata?.patientIds || []),
+      ]),
+    });
+
+    return page;
+  }
+
+  /**
+   * Field-level change timeline for one patient, oldest first
+   * Rebuilt from the created/before/after snapshots written by PatientService.
+   */
+  async getPatientHistory(tenantId, patientId, filters = {}, actor = null) {
+    // Deleted patients keep their history, so deleted_at is not checked
+    const patient = await db.query('SELECT id FROM patients WHERE tenant_id = $1 AND id = $2', [
+      tenantId,
+      patientId,
+    ]);
+
+    if (patient.rows.length === 0) {
+      throw new NotFoundError('Patient', patientId);
+    }
+
+    // Views of the patient are not changes, so they stay out of the timeline
+    const { rows, nextCursor } = await this.queryAuditLogs(
+      tenantId,
+      { ...filters, entityType: 'patient', entityId: patientId, excludeActions: ACCESS_ACTIONS },
+      { ascending: true }
+    );
+
+    await logAccess({
+      tenantId,
+      entityType: 'patient_history',
+      entityId: patientId,
+      action: 'READ',
+      actor,
+      query: filters,
+      patientIds: [patientId],
+    });
+
+    return {
+      patient_id: patientId,
+      history: rows.map((entry) => ({
+        audit_id: entry.id,
+        action: entry.action,
+        changed_at: entry.created_at,
+        user_id: entry.user_id,
+        user_type: entry.user_type,
+        user_role: entry.user_role,
+        request_id: entry.metadata?.requestId || null,
+        changes: this.diffChanges(entry.changes),
+      })),
+      next_cursor: nextCursor,
+    };
+  }
+
+  /**
+   * Turn a stored changes payload into [{ field, from, to }]
+   */
+  diffChanges(changes) {
+    if (!changes) {
+      return [];
+    }
+
+    const before = changes.before || {};
+    const after = changes.created || changes.after || {};
+    const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+    return [...fields]
+      .filter((field) => !HISTORY_IGNORED_FIELDS.includes(field))
+      .filter((field) => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+      .sort()
+      .map((field) => ({
+        field,
+        from: before[field] === undefined ? null : before[field],
+        to: after[field] === undefined ? null : after[field],
+      }));
+  }
+
+  /**
+   * Walk the tenant's hash chain (migration 008) and report where it breaks
+   * Hashes are recomputed in Postgres with audit_log_hash(), the same function
+   * the insert trigger uses. Long chains are checked in ranges: pass the
+   * returned next_seq as fromSeq until it is null.
+   */
+  async verifyChain(tenantId, { fromSeq = 1, limit = 10000 } = {}) {
+    const head = await db.query(
+      'SELECT last_seq, last_hash FROM audit_chain_heads WHERE tenant_id = $1',
+      [tenantId]
+    );
+    const headSeq = head.rows.length > 0 ? Number(head.rows[0].last_seq) : 0;
+    const headHash = head.rows.length > 0 ? head.rows[0].last_hash : GENESIS_HASH;
+
+    // Entries past the head mean the head row itself was tampered with
+    const newest = await db.query(
+      'SELECT MAX(chain_seq) AS max_seq FROM audit_logs WHERE tenant_id = $1',
+      [tenantId]
+    );
+    const endSeq = Math.max(headSeq, Number(newest.rows[0]?.max_seq || 0));
+    const toSeq = Math.min(fromSeq + limit - 1, endSeq);
+
+    const breaks = [];
+    let breakCount = 0;
+    const reportBreak = (details) => {
+      breakCount++;
+      if (breaks.length < MAX_REPORTED_BREAKS) {
+        breaks.push(details);
+      }
+    };
+
+    let previous = { chainSeq: 0, rowHash: GENESIS_HASH };
+
+    if (fromSeq > 1) {
+      const before = await db.query(
+        'SELECT chain_seq, row_hash FROM audit_logs WHERE tenant_id = $1 AND chain_seq = $2',
+        [tenantId, fromSeq - 1]
+      );
+      previous =
+        before.rows.length > 0 ? { chainSeq: fromSeq - 1, rowHash: before.rows[0].row_hash } : null;
+    }
+
+    let checked = 0;
+    let lastSeq = fromSeq - 1;
+
+    while (lastSeq < toSeq) {
+      const result = await db.query(
+        `SELECT id, chain_seq, prev_hash, row_hash, audit_log_hash(a, a.prev_hash) AS expected_hash
+         FROM audit_logs a
+         WHERE tenant_id = $1 AND chain_seq > $2 AND chain_seq <= $3
+         ORDER BY chain_seq
+         LIMIT $4`,
+        [tenantId, lastSeq, toSeq, VERIFY_BATCH_SIZE]
+      );
+
+      if (result.rows.length === 0) {
+        break;
+      }
+
+      for (const row of result.rows) {
+        const chainSeq = Number(row.chain_seq);
+
+        if (row.row_hash !== row.expected_hash) {
+          reportBreak({ chain_seq: chainSeq, audit_id: row.id, reason: 'entry_modified' });
+        }
+
+        if (chainSeq !== lastSeq + 1) {
+          reportBreak({
+            chain_seq: chainSeq,
+            audit_id: row.id,
+            reason: 'entries_missing',
+            missing_from: lastSeq + 1,
+            missing_to: chainSeq - 1,
+          });
+        } else if (previous && row.prev_hash !== previous.rowHash) {
+          reportBreak({ chain_seq: chainSeq, audit_id: row.id, reason: 'chain_mismatch' });
+        }
+
+        previous = { chainSeq, rowHash: row.row_hash };
+        lastSeq = chainSeq;
+        checked++;
+      }
+    }
+
+    if (lastSeq < toSeq) {
+      reportBreak({
+        chain_seq: toSeq,
+        audit_id: null,
+        reason: 'entries_missing',
+        missing_from: lastSeq + 1,
+        missing_to: toSeq,
+      });
+    }
+
+    // The newest entry must be the one the head points at, which catches
+    // entries deleted from the end of the chain
+    if (toSeq === endSeq && endSeq > 0) {
+      if (endSeq !== headSeq || previous?.rowHash !== headHash) {
+        reportBreak({ chain_seq: headSeq, audit_id: null, reason: 'head_mismatch' });
+      }
+    }
+
+    return {
+      tenant_id: tenantId,
+      verified: breakCount === 0,
+      checked,
+      from_seq: fromSeq,
+      to_seq: toSeq,
+      head_seq: headSeq,
+      break_count: breakCount,
+      breaks,
+      next_seq: toSeq < endSeq ? toSeq + 1 : null,
+    };
+  }
+
+  /**
+   * Keyset pagination over (created_at, id), which stays stable while new
+   * entries are written and uses idx_audit_tenant_cursor
+   */
+  async queryAuditLogs(tenantId, filters, { ascending = false } = {}) {
+    const limit = filters.limit || 50;
+    const conditions = ['tenant_id = $1'];
+    const params = [tenantId];
+
+    const addCondition = (sql, value) => {
+      params.push(value);
+      conditions.push(sql.replace('?', `$${params.length}`));
+    };
+
+    if (filters.entityType) {
+      addCondition('entity_type = ?', filters.entityType);
+    }
+
+    if (filters.entityId) {
+      addCondition('entity_id = ?', filters.entityId);
+    }
+
+    if (filters.action) {
+      addCondition('action = ?', filters.action);
+    }
+
+    if (filters.excludeActions) {
+      addCondition('action <> ALL(?)', filters.excludeActions);
+    }
+
+    // Entries about the patient record, plus reads that returned its data
+    if (filters.patientId) {
+      params.push(filters.patientId);
+      conditions.push(
+        `((entity_type = 'patient' AND entity_id = $${params.length}::uuid)` +
+          ` OR metadata->'patientIds' ? $${params.length})`
+      );
+    }
+
+    if (filters.userId) {
+      addCondition('user_id = ?', filters.userId);
+    }
+
+    if (filters.userType) {
+      addCondition('user_type = ?', filters.userType);
+    }
+
+    if (filters.startDate) {
+      addCondition('created_at >= ?', filters.startDate);
+    }
+
+    if (filters.endDate) {
+      addCondition('created_at <= ?', filters.endDate);
+    }
+
+    if (filters.cursor) {
+      const { createdAt, id } = decodeCursor(filters.cursor);
+      const operator = ascending ? '>' : '<';
+      params.push(createdAt, id);
+      conditions.push(
+        `(created_at, id) ${operator} ($${params.length - 1}::timestamp, $${params.length}::uuid)`
+      );
+    }
+
+    const direction = ascending ? 'ASC' : 'DESC';
+    params.push(limit + 1);
+
+    const result = await db.query(
+      `SELECT ${AUDIT_LOG_COLUMNS}
+       FROM audit_logs
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY created_at ${direction}, id ${direction}
+       LIMIT $${params.length}`,
+      params
+    );
+
+    const hasMore = result.rows.length > limit;
+    const page = hasMore ? result.rows.slice(0, limit) : result.rows;
+
+    return {
+      rows: page.map(toAuditEntry),
+      nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null,
+    };
+  }
+}
+
+module.exports = AuditService;
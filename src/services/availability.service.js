@@ -0,0 +1,467 @@
+const db = require('../config/database');
+const logger = require('../utils/logger');
+const { logAudit } = require('../utils/audit');
+const { NotFoundError, ValidationError } = require('../utils/errors');
+const { resolveTimeZone } = require('../utils/timezone');
+const { addCalendarDays, findBlockedWindow } = require('../utils/availability');
+
+// Longest a single block or session may run, in days
+const MAX_EXCEPTION_DAYS = 366;
+
+/**
+ * Holidays, one-off blocks and ad-hoc sessions
+ *
+ * These override the weekly provider_availability pattern when slots are
+ * offered and appointments booked (see src/utils/availability.js for how
+ * they combine). Adding a holiday or block does not touch appointments
+ * already booked in it; the ones that still need to be moved are returned
+ * so staff can reschedule them.
+ */
+class AvailabilityService {
+  async listHolidays(tenantId, filters = {}) {
+    let query = 'SELECT * FROM holidays WHERE tenant_id = $1';
+    const params = [tenantId];
+
+    if (filters.facilityId) {
+      query += ' AND (facility_id IS NULL OR facility_id = $2)';
+      params.push(filters.facilityId);
+    }
+
+    query += ' ORDER BY holiday_date NULLS FIRST, month, day_of_month, week_of_month, name';
+
+    const result = await db.query(query, params);
+
+    return result.rows;
+  }
+
+  /**
+   * @returns {Object} { holiday, affected_appointments }
+   */
+  async createHoliday(tenantId, holidayData, actor) {
+    const client = await db.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      if (holidayData.facility_id) {
+        await this.assertFacilityExists(client, tenantId, holidayData.facility_id);
+      }
+
+      const result = await client.query(
+        `INSERT INTO holidays (
+           tenant_id, facility_id, name, holiday_date, month, day_of_month,
+           day_of_week, week_of_month, observed_on_weekday
+         ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+         RETURNING *`,
+        [
+          tenantId,
+          holidayData.facility_id || null,
+          holidayData.name,
+          holidayData.holiday_date || null,
+          holidayData.month || null,
+          holidayData.day_of_month || null,
+          holidayData.day_of_week ?? null,
+          holidayData.week_of_month || null,
+          holidayData.observed_on_weekday === true,
+        ]
+      );
+
+      const holiday = result.rows[0];
+
+      await logAudit({
+        tenantId,
+        entityType: 'holiday',
+        entityId: holiday.id,
+        action: 'CREATE',
+        actor,
+        client,
+        changes: { created: holidayData },
+      });
+
+      // A recurring holiday is checked against the coming year's bookings
+      const until = holiday.holiday_date
+        ? `${addCalendarDays(holidayData.holiday_date, 2)}T00:00:00Z`
+        : new Date(Date.now() + MAX_EXCEPTION_DAYS * 86400000).toISOString();
+
+      const affectedAppointments = await this.findAffectedAppointments(
+        client,
+        tenantId,
+        { holidays: [holiday] },
+        { facilityId: holiday.facility_id, until }
+      );
+
+      await client.query('COMMIT');
+
+      logger.info(`Holiday created: ${holiday.id}`, {
+        affectedAppointments: affectedAppointments.length,
+      });
+
+      return { holiday, affected_appointments: affectedAppointments };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async deleteHoliday(tenantId, holidayId, actor) {
+    const client = await db.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        'DELETE FROM holidays WHERE tenant_id = $1 AND id = $2 RETURNING *',
+        [tenantId, holidayId]
+      );
+
+      if (result.rows.length === 0) {
+        throw new NotFoundError('Holiday', holidayId);
+      }
+
+      await logAudit({
+        tenantId,
+        entityType: 'holiday',
+        entityId: holidayId,
+        action: 'DELETE',
+        actor,
+        client,
+        changes: { deleted: result.rows[0] },
+      });
+
+      await client.query('COMMIT');
+
+      logger.info(`Holiday deleted: ${holidayId}`);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Blocks and sessions that touch a date range; a provider filter keeps
+   * facility-wide rows and a facility filter keeps provider-wide ones, since
+   * those apply too
+   */
+  async listExceptions(tenantId, filters = {}) {
+    let query = `
+      SELECT ae.*, p.first_name, p.last_name, f.name as facility_name, f.timezone
+      FROM availability_exceptions ae
+      LEFT JOIN providers p ON ae.provider_id = p.id
+      LEFT JOIN facilities f ON ae.facility_id = f.id
+      WHERE ae.tenant_id = $1
+    `;
+    const params = [tenantId];
+    let paramIndex = 2;
+
+    if (filters.providerId) {
+      query += ` AND (ae.provider_id IS NULL OR ae.provider_id = $${paramIndex})`;
+      params.push(filters.providerId);
+      paramIndex++;
+    }
+
+    if (filters.facilityId) {
+      query += ` AND (ae.facility_id IS NULL OR ae.facility_id = $${paramIndex})`;
+      params.push(filters.facilityId);
+      paramIndex++;
+    }
+
+    if (filters.type) {
+      query += ` AND ae.exception_type = $${paramIndex}`;
+      params.push(filters.type);
+      paramIndex++;
+    }
+
+    if (filters.startDate) {
+      query += ` AND ae.end_date >= $${paramIndex}`;
+      params.push(filters.startDate);
+      paramIndex++;
+    }
+
+    if (filters.endDate) {
+      query += ` AND ae.start_date <= $${paramIndex}`;
+      params.push(filters.endDate);
+      paramIndex++;
+    }
+
+    query += ' ORDER BY ae.start_date, ae.start_time NULLS FIRST';
+
+    const result = await db.query(query, params);
+
+    return result.rows;
+  }
+
+  /**
+   * @returns {Object} { exception, affected_appointments }; only blocks can
+   *   affect appointments
+   */
+  async createException(tenantId, exceptionData, actor) {
+    const data = {
+      ...exceptionData,
+      end_date: exceptionData.end_date || exceptionData.start_date,
+    };
+
+    this.validateExceptionData(data);
+
+    const client = await db.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      if (data.provider_id) {
+        const providerResult = await client.query(
+          'SELECT id FROM providers WHERE tenant_id = $1 AND id = $2',
+          [tenantId, data.provider_id]
+        );
+
+        if (providerResult.rows.length === 0) {
+          throw new NotFoundError('Provider', data.provider_id);
+        }
+      }
+
+      if (data.facility_id) {
+        await this.assertFacilityExists(client, tenantId, data.facility_id);
+      }
+
+      const isSession = data.exception_type === 'session';
+
+      const result = await client.query(
+        `INSERT INTO availability_exceptions (
+           tenant_id, exception_type, provider_id, facility_id, start_date, end_date,
+           start_time, end_time, slot_duration, reason
+         ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+         RETURNING *`,
+        [
+          tenantId,
+          data.exception_type,
+          data.provider_id || null,
+          data.facility_id || null,
+          data.start_date,
+          data.end_date,
+          data.start_time || null,
+          data.end_time || null,
+          isSession ? data.slot_duration || 30 : null,
+          data.reason || null,
+        ]
+      );
+
+      const exception = result.rows[0];
+
+      await logAudit({
+        tenantId,
+        entityType: 'availability_exception',
+        entityId: exception.id,
+        action: 'CREATE',
+        actor,
+        client,
+        changes: { created: data },
+      });
+
+      const affectedAppointments = isSession
+        ? []
+        : await this.findAffectedAppointments(
+            client,
+            tenantId,
+            { blocks: [exception] },
+            {
+              providerId: exception.provider_id,
+              facilityId: exception.facility_id,
+              until: `${addCalendarDays(data.end_date, 2)}T00:00:00Z`,
+            }
+          );
+
+      await client.query('COMMIT');
+
+      logger.info(`Availability ${data.exception_type} created: ${exception.id}`, {
+        affectedAppointments: affectedAppointments.length,
+      });
+
+      return { exception, affected_appointments: affectedAppointments };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  validateExceptionData(data) {
+    const errors = [];
+
+    if (data.end_date < data.start_date) {
+      errors.push({ field: 'end_date', message: '"end_date" must not be before "start_date"' });
+    } else if (
+      (Date.parse(data.end_date) - Date.parse(data.start_date)) / 86400000 >=
+      MAX_EXCEPTION_DAYS
+    ) {
+      errors.push({
+        field: 'end_date',
+        message: `An exception cannot run for more than ${MAX_EXCEPTION_DAYS} days`,
+      });
+    }
+
+    if (data.start_time && data.end_time <= data.start_time) {
+      errors.push({ field: 'end_time', message: '"end_time" must be after "start_time"' });
+    }
+
+    if (errors.length > 0) {
+      throw new ValidationError('Validation failed', { errors });
+    }
+  }
+
+  async deleteException(tenantId, exceptionId, actor) {
+    const client = await db.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        'DELETE FROM availability_exceptions WHERE tenant_id = $1 AND id = $2 RETURNING *',
+        [tenantId, exceptionId]
+      );
+
+      if (result.rows.length === 0) {
+        throw new NotFoundError('Availability exception', exceptionId);
+      }
+
+      await logAudit({
+        tenantId,
+        entityType: 'availability_exception',
+        entityId: exceptionId,
+        action: 'DELETE',
+        actor,
+        client,
+        changes: { deleted: result.rows[0] },
+      });
+
+      await client.query('COMMIT');
+
+      logger.info(`Availability exception deleted: ${exceptionId}`);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * The holidays, blocks and sessions that can apply to a provider or
+   * facility between two calendar dates, for slot generation and conflict
+   * checks
+   * @param {Object} queryable - db, or a client inside a transaction
+   * @returns {Object} { holidays, blocks, sessions }
+   */
+  async getExceptions(queryable, tenantId, { providerId, facilityId, startDate, endDate }) {
+    let holidaysQuery = 'SELECT * FROM holidays WHERE tenant_id = $1';
+    const holidayParams = [tenantId];
+
+    if (facilityId) {
+      holidaysQuery += ' AND (facility_id IS NULL OR facility_id = $2)';
+      holidayParams.push(facilityId);
+    }
+
+    let exceptionsQuery = `
+      SELECT ae.*, p.first_name, p.last_name, p.default_appointment_durations,
+        p.appointment_buffers, p.max_daily_capacity, f.name as facility_name, f.timezone
+      FROM availability_exceptions ae
+      LEFT JOIN providers p ON ae.provider_id = p.id
+      LEFT JOIN facilities f ON ae.facility_id = f.id
+      WHERE ae.tenant_id = $1
+      AND ae.start_date <= $2
+      AND ae.end_date >= $3
+    `;
+    const exceptionParams = [tenantId, endDate, startDate];
+    let paramIndex = 4;
+
+    if (providerId) {
+      exceptionsQuery += ` AND (ae.provider_id IS NULL OR ae.provider_id = $${paramIndex})`;
+      exceptionParams.push(providerId);
+      paramIndex++;
+    }
+
+    if (facilityId) {
+      exceptionsQuery += ` AND (ae.facility_id IS NULL OR ae.facility_id = $${paramIndex})`;
+      exceptionParams.push(facilityId);
+      paramIndex++;
+    }
+
+    const [holidaysResult, exceptionsResult] = await Promise.all([
+      queryable.query(holidaysQuery, holidayParams),
+      queryable.query(exceptionsQuery, exceptionParams),
+    ]);
+
+    return {
+      holidays: holidaysResult.rows,
+      blocks: exceptionsResult.rows.filter((row) => row.exception_type === 'block'),
+      sessions: exceptionsResult.rows.filter((row) => row.exception_type === 'session'),
+    };
+  }
+
+  /**
+   * Upcoming appointments, still to be seen, that a holiday or block falls on
+   */
+  async findAffectedAppointments(client, tenantId, exceptions, { providerId, facilityId, until }) {
+    let query = `
+      SELECT a.id, a.patient_id, a.provider_id, a.facility_id, a.appointment_type,
+        a.scheduled_start, a.scheduled_end, a.status,
+        p.first_name as patient_first_name, p.last_name as patient_last_name,
+        pr.first_name as provider_first_name, pr.last_name as provider_last_name,
+        f.timezone
+      FROM appointments a
+      JOIN patients p ON a.patient_id = p.id
+      JOIN providers pr ON a.provider_id = pr.id
+      JOIN facilities f ON a.facility_id = f.id
+      WHERE a.tenant_id = $1
+      AND a.status IN ('scheduled', 'confirmed')
+      AND a.scheduled_end > CURRENT_TIMESTAMP
+      AND a.scheduled_start < $2
+    `;
+    const params = [tenantId, until];
+    let paramIndex = 3;
+
+    if (providerId) {
+      query += ` AND a.provider_id = $${paramIndex}`;
+      params.push(providerId);
+      paramIndex++;
+    }
+
+    if (facilityId) {
+      query += ` AND a.facility_id = $${paramIndex}`;
+      params.push(facilityId);
+      paramIndex++;
+    }
+
+    query += ' ORDER BY a.scheduled_start';
+
+    const result = await client.query(query, params);
+
+    return result.rows
+      .filter((appointment) =>
+        findBlockedWindow(exceptions, {
+          providerId: appointment.provider_id,
+          facilityId: appointment.facility_id,
+          timeZone: resolveTimeZone(appointment.timezone),
+          start: appointment.scheduled_start,
+          end: appointment.scheduled_end,
+        })
+      )
+      .map(({ timezone, ...appointment }) => appointment);
+  }
+
+  async assertFacilityExists(client, tenantId, facilityId) {
+    const result = await client.query(
+      'SELECT id FROM facilities WHERE tenant_id = $1 AND id = $2',
+      [tenantId, facilityId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new NotFoundError('Facility', facilityId);
+    }
+  }
+}
+
+module.exports = AvailabilityService;
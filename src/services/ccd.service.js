@@ -0,0 +1,287 @@
+const PatientService = require('./patient.service');
+const MedicationService = require('./medication.service');
+const db = require('../config/database');
+const logger = require('../utils/logger');
+const { logAccess } = require('../utils/audit');
+const { buildCcd, readCcd } = require('../utils/ccda');
+const { validate, schemas } = require('../utils/validator');
+const { NotFoundError, ValidationError } = require('../utils/errors');
+const { assertPatientAccess } = require('../utils/authorization');
+
+const patientService = new PatientService();
+const medicationService = new MedicationService();
+
+/**
+ * C-CDA Continuity of Care Documents for care transitions
+ *
+ * A generated CCD holds the patient's demographics, problems, active
+ * medications, upcoming appointments and care team, and is audited as an
+ * EXPORT. Importing a received CCD adds its active medications and problems
+ * that the patient does not have yet; everything else in it is ignored.
+ */
+class CcdService {
+  /**
+   * @returns {String} The CCD as XML
+   */
+  async generateCcd(tenantId, patientId, actor = null) {
+    assertPatientAccess(actor, patientId);
+
+    const patient = await this.getPatient(tenantId, patientId);
+
+    const [tenantResult, medicationsResult, careTeamResult, appointmentsResult] =
+      await Promise.all([
+        db.query('SELECT id, name FROM tenants WHERE id = $1', [tenantId]),
+        db.query(
+          `SELECT * FROM medications
+           WHERE tenant_id = $1 AND patient_id = $2 AND status = 'active'
+           ORDER BY start_date, medication_name`,
+          [tenantId, patientId]
+        ),
+        db.query(
+          `SELECT pr.*, pp.relationship_type, pp.is_primary
+           FROM patient_providers pp
+           JOIN providers pr ON pp.provider_id = pr.id
+           WHERE pr.tenant_id = $1 AND pp.patient_id = $2 AND pp.ended_at IS NULL
+           ORDER BY pp.is_primary DESC, pp.assigned_at`,
+          [tenantId, patientId]
+        ),
+        db.query(
+          `SELECT a.*,
+            pr.first_name as provider_first_name, pr.last_name as provider_last_name,
+            pr.npi as provider_npi,
+            f.name as facility_name, f.address as facility_address
+           FROM appointments a
+           JOIN providers pr ON a.provider_id = pr.id
+           JOIN facilities f ON a.facility_id = f.id
+           WHERE a.tenant_id = $1 AND a.patient_id = $2
+           AND a.scheduled_start >= CURRENT_TIMESTAMP
+           AND a.status IN ('scheduled', 'confirmed')
+           ORDER BY a.scheduled_start`,
+          [tenantId, patientId]
+        ),
+      ]);
+
+    const xml = buildCcd({
+      tenant: tenantResult.rows[0],
+      patient,
+      medications: medicationsResult.rows,
+      careTeam: careTeamResult.rows,
+      appointments: appointmentsResult.rows,
+    });
+
+    await logAccess({
+      tenantId,
+      entityType: 'patient',
+      entityId: patientId,
+      action: 'EXPORT',
+      actor,
+      query: { format: 'ccd' },
+      patientIds: [patientId],
+    });
+
+    return xml;
+  }
+
+  /**
+   * Add the active medications and problems of a received CCD
+   * Medications the patient already takes (same RxNorm code or name) and
+   * ICD-10-CM codes already recorded are skipped. Problems are merged into
+   * icd10_codes; the first one's name becomes primary_diagnosis when the
+   * patient has none.
+   * @param {Object} options
+   * @param {Boolean} options.dryRun - Report what would be imported only
+   * @param {String} options.providerId - Prescriber recorded on imported
+   *   medications; defaults to the patient's primary provider
+   * @returns {Object} { dryRun, medications: { imported, skipped },
+   *   problems: { imported, skipped } }
+   */
+  async importCcd(tenantId, patientId, xml, { dryRun = false, providerId } = {}, actor = null) {
+    assertPatientAccess(actor, patientId);
+
+    const document = readCcd(xml);
+
+    const run = async () => {
+      const patient = await this.getPatient(tenantId, patientId);
+      const medications = await this.importMedications(tenantId, patient, document, {
+        dryRun,
+        providerId,
+        actor,
+      });
+      const problems = await this.importProblems(tenantId, patient, document, { dryRun, actor });
+
+      return { dryRun, medications, problems };
+    };
+
+    const result = dryRun ? await run() : await db.withTransaction(run);
+
+    logger.info(`CCD ${dryRun ? 'checked' : 'imported'} for patient: ${patientId}`, {
+      medications: result.medications.imported.length,
+      problems: result.problems.imported.length,
+    });
+
+    return result;
+  }
+
+  async importMedications(tenantId, patient, document, { dryRun, providerId, actor }) {
+    const existing = await db.query(
+      `SELECT medication_name, rxnorm_code FROM medications
+       WHERE tenant_id = $1 AND patient_id = $2 AND status = 'active'`,
+      [tenantId, patient.id]
+    );
+    const rxnormCodes = new Set(existing.rows.map((row) => row.rxnorm_code).filter(Boolean));
+    const names = new Set(existing.rows.map((row) => row.medication_name.toLowerCase()));
+
+    const imported = [];
+    const skipped = [];
+    const pending = [];
+
+    for (const medication of document.medications) {
+      const name = medication.medication_name.toLowerCase();
+
+      if (rxnormCodes.has(medication.rxnorm_code) || names.has(name)) {
+        skipped.push({ ...medication, reason: 'Already an active medication' });
+        continue;
+      }
+
+      if (medication.rxnorm_code) {
+        rxnormCodes.add(medication.rxnorm_code);
+      }
+
+      names.add(name);
+      pending.push(medication);
+    }
+
+    if (pending.length === 0) {
+      return { imported, skipped };
+    }
+
+    const prescriberId = await this.getPrescriberId(tenantId, patient.id, providerId);
+
+    for (const medication of pending) {
+      let data;
+
+      try {
+        data = validate(schemas.medication, {
+          ...compact(medication),
+          prescribing_provider_id: prescriberId,
+          is_ongoing: !medication.end_date,
+        });
+      } catch (error) {
+        if (!(error instanceof ValidationError)) {
+          throw error;
+        }
+
+        skipped.push({ ...medication, reason: error.details.errors[0].message });
+        continue;
+      }
+
+      imported.push(
+        dryRun ? data : await medicationService.createMedication(tenantId, patient.id, data, actor)
+      );
+    }
+
+    return { imported, skipped };
+  }
+
+  async importProblems(tenantId, patient, document, { dryRun, actor }) {
+    const codes = new Set(patient.icd10_codes || []);
+    const imported = [];
+    const skipped = [];
+    let primaryDiagnosis = patient.primary_diagnosis;
+
+    for (const problem of document.problems) {
+      const newCodes = problem.codes.filter((code) => !codes.has(code));
+      const isPrimary = !primaryDiagnosis && Boolean(problem.name);
+
+      if (newCodes.length === 0 && !isPrimary) {
+        skipped.push({
+          ...problem,
+          reason:
+            problem.codes.length > 0 ? 'Codes already recorded' : 'No ICD-10-CM code to record',
+        });
+        continue;
+      }
+
+      newCodes.forEach((code) => codes.add(code));
+
+      if (isPrimary) {
+        primaryDiagnosis = problem.name.slice(0, 255);
+      }
+
+      imported.push({ ...problem, codes: newCodes, primary: isPrimary });
+    }
+
+    if (imported.length > 0 && !dryRun) {
+      await patientService.updatePatient(
+        tenantId,
+        patient.id,
+        { icd10_codes: [...codes], primary_diagnosis: primaryDiagnosis || undefined },
+        actor
+      );
+    }
+
+    return { imported, skipped };
+  }
+
+  async getPatient(tenantId, patientId) {
+    const result = await db.query(
+      'SELECT * FROM patients WHERE tenant_id = $1 AND id = $2 AND deleted_at IS NULL',
+      [tenantId, patientId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new NotFoundError('Patient', patientId);
+    }
+
+    return result.rows[0];
+  }
+
+  /**
+   * The requested prescriber, checked to be the tenant's, or the patient's
+   * primary provider
+   */
+  async getPrescriberId(tenantId, patientId, providerId) {
+    if (providerId) {
+      const result = await db.query('SELECT id FROM providers WHERE tenant_id = $1 AND id = $2', [
+        tenantId,
+        providerId,
+      ]);
+
+      if (result.rows.length === 0) {
+        throw new ValidationError('Prescribing provider not found', {
+          errors: [{ field: 'providerId', message: `No provider ${providerId}` }],
+        });
+      }
+
+      return providerId;
+    }
+
+    const result = await db.query(
+      `SELECT pp.provider_id FROM patient_providers pp
+       JOIN providers pr ON pp.provider_id = pr.id
+       WHERE pr.tenant_id = $1 AND pp.patient_id = $2
+       AND pp.is_primary = true AND pp.ended_at IS NULL
+       LIMIT 1`,
+      [tenantId, patientId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new ValidationError('Imported medications need a prescribing provider', {
+        errors: [
+          {
+            field: 'providerId',
+            message: 'The patient has no primary provider; pass providerId',
+          },
+        ],
+      });
+    }
+
+    return result.rows[0].provider_id;
+  }
+}
+
+function compact(object) {
+  return Object.fromEntries(Object.entries(object).filter(([, value]) => value != null));
+}
+
+module.exports = CcdService;
@@ -0,0 +1,251 @@
+const { v4: uuidv4 } = require('uuid');
+const db = require('../config/database');
+const cache = require('../config/cache');
+const logger = require('../utils/logger');
+const { logAudit } = require('../utils/audit');
+const { NotFoundError, ValidationError } = require('../utils/errors');
+
+// Columns a caller may change through updateFacility
+const UPDATABLE_COLUMNS = [
+  'name',
+  'facility_type',
+  'address',
+  'contact_info',
+  'operating_hours',
+  'capabilities',
+  'timezone',
+  'is_active',
+];
+
+class FacilityService {
+  async createFacility(tenantId, facilityData, actor) {
+    const client = await db.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const facilityId = uuidv4();
+
+      const result = await client.query(
+        `INSERT INTO facilities (
+           id, tenant_id, name, facility_type, address, contact_info,
+           operating_hours, capabilities, timezone
+         ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+         RETURNING *`,
+        [
+          facilityId,
+          tenantId,
+          facilityData.name,
+          facilityData.facility_type,
+          JSON.stringify(facilityData.address),
+          JSON.stringify(facilityData.contact_info || {}),
+          JSON.stringify(facilityData.operating_hours || {}),
+          JSON.stringify(facilityData.capabilities || []),
+          facilityData.timezone || 'America/New_York',
+        ]
+      );
+
+      await logAudit({
+        tenantId,
+        entityType: 'facility',
+        entityId: facilityId,
+        action: 'CREATE',
+        actor,
+        client,
+        changes: { created: facilityData },
+      });
+
+      await client.query('COMMIT');
+
+      logger.info(`Facility created: ${facilityId}`);
+
+      return result.rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async getFacilityById(tenantId, facilityId) {
+    const cacheKey = `facility:${tenantId}:${facilityId}`;
+    const cached = await cache.get(cacheKey);
+
+    if (cached) {
+      logger.debug(`Cache hit for facility: ${facilityId}`);
+      return JSON.parse(cached);
+    }
+
+    const result = await db.query('SELECT * FROM facilities WHERE tenant_id = $1 AND id = $2', [
+      tenantId,
+      facilityId,
+    ]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const facility = result.rows[0];
+
+    // Cache for 10 minutes
+    await db.afterCommit(() => cache.setex(cacheKey, 600, JSON.stringify(facility)));
+
+    return facility;
+  }
+
+  async listFacilities(tenantId, filters = {}) {
+    const { page = 1, limit = 50, search, facilityType, includeInactive = false } = filters;
+    const offset = (page - 1) * limit;
+
+    const conditions = ['tenant_id = $1'];
+    const params = [tenantId];
+
+    if (!includeInactive) {
+      conditions.push('is_active = true');
+    }
+
+    if (search) {
+      params.push(`%${search}%`);
+      conditions.push(`name ILIKE $${params.length}`);
+    }
+
+    if (facilityType) {
+      params.push(facilityType);
+      conditions.push(`facility_type = $${params.length}`);
+    }
+
+    const where = conditions.join(' AND ');
+    const countResult = await db.query(`SELECT COUNT(*) FROM facilities WHERE ${where}`, params);
+
+    const result = await db.query(
+      `SELECT * FROM facilities WHERE ${where}
+       ORDER BY name
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    );
+
+    const total = parseInt(countResult.rows[0].count, 10);
+
+    return {
+      data: result.rows,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+      },
+    };
+  }
+
+  async updateFacility(tenantId, facilityId, updateData, actor) {
+    const client = await db.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const currentResult = await client.query(
+        'SELECT * FROM facilities WHERE tenant_id = $1 AND id = $2 FOR UPDATE',
+        [tenantId, facilityId]
+      );
+
+      if (currentResult.rows.length === 0) {
+        throw new NotFoundError('Facility', facilityId);
+      }
+
+      const updates = [];
+      const values = [tenantId, facilityId];
+
+      UPDATABLE_COLUMNS.forEach((column) => {
+        const value = updateData[column];
+
+        if (value !== undefined) {
+          values.push(value !== null && typeof value === 'object' ? JSON.stringify(value) : value);
+          updates.push(`${column} = $${values.length}`);
+        }
+      });
+
+      if (updates.length === 0) {
+        throw new ValidationError('No valid fields to update');
+      }
+
+      const result = await client.query(
+        `UPDATE facilities
+         SET ${updates.join(', ')}, updated_at = CURRENT_TIMESTAMP
+         WHERE tenant_id = $1 AND id = $2
+         RETURNING *`,
+        values
+      );
+
+      await logAudit({
+        tenantId,
+        entityType: 'facility',
+        entityId: facilityId,
+        action: 'UPDATE',
+        actor,
+        client,
+        changes: {
+          before: currentResult.rows[0],
+          after: result.rows[0],
+        },
+      });
+
+      await client.query('COMMIT');
+      await db.afterCommit(() => cache.del(`facility:${tenantId}:${facilityId}`));
+
+      logger.info(`Facility updated: ${facilityId}`);
+
+      return result.rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Facilities are referenced by appointments, so they are deactivated
+   * rather than deleted
+   */
+  async deactivateFacility(tenantId, facilityId, actor) {
+    const client = await db.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        `UPDATE facilities
+         SET is_active = false, updated_at = CURRENT_TIMESTAMP
+         WHERE tenant_id = $1 AND id = $2 AND is_active = true
+         RETURNING id`,
+        [tenantId, facilityId]
+      );
+
+      if (result.rows.length === 0) {
+        throw new NotFoundError('Facility', facilityId);
+      }
+
+      await logAudit({
+        tenantId,
+        entityType: 'facility',
+        entityId: facilityId,
+        action: 'DEACTIVATE',
+        actor,
+        client,
+      });
+
+      await client.query('COMMIT');
+      await db.afterCommit(() => cache.del(`facility:${tenantId}:${facilityId}`));
+
+      logger.info(`Facility deactivated: ${facilityId}`);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+}
+
+module.exports = FacilityService;
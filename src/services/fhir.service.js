@@ -0,0 +1,584 @@
+const PatientService = require('./patient.service');
+const ProviderService = require('./provider.service');
+const FacilityService = require('./facility.service');
+const AppointmentService = require('./appointment.service');
+const MedicationService = require('./medication.service');
+const NotificationService = require('./notification.service');
+const db = require('../config/database');
+const { logAccess } = require('../utils/audit');
+const { getPatientScope } = require('../utils/authorization');
+const { NotFoundError, ValidationError } = require('../utils/errors');
+const { validate, schemas } = require('../utils/validator');
+const logger = require('../utils/logger');
+const fhir = require('../utils/fhir');
+const { assertValidResource, validateResource } = require('../utils/fhirValidation');
+const { parseSearchQuery, buildSearchQuery, buildIncludeQuery } = require('../utils/fhirSearch');
+
+const patientService = new PatientService();
+const providerService = new ProviderService();
+const facilityService = new FacilityService();
+const appointmentService = new AppointmentService();
+const medicationService = new MedicationService();
+const notificationService = new NotificationService();
+
+/**
+ * Adapters for the resources declared in utils/fhirResources.js
+ *
+ * Each maps FHIR interactions onto the service that owns the table,
+ * converting with utils/fhir.js and validating with the same Joi schemas as
+ * the JSON routes. The services still do the writing, so audit, cache and
+ * notification behaviour is shared with the JSON API.
+ *
+ * Searches run through utils/fhirSearch.js for every type; `toResource`
+ * converts the rows it returns and `access` names the audit entity type and
+ * patient column of types that hold PHI.
+ */
+const ADAPTERS = {
+  Patient: {
+    // PatientService returns FHIR Patients and audits reads itself
+    toResource: fhir.toFHIRPatient,
+    access: { entityType: 'patient', patientColumn: 'id' },
+    read: (tenantId, id, actor) => patientService.getPatientById(tenantId, id, actor),
+    create: (tenantId, resource, actor) => {
+      const { is_active: isActive, ...patientData } = fhir.fromFHIRPatient(resource);
+      return patientService.createPatient(
+        tenantId,
+        validate(schemas.patient, compact(patientData)),
+        actor
+      );
+    },
+    update: (tenantId, id, resource, actor) => {
+      const { is_active: isActive, ...patientData } = fhir.fromFHIRPatient(resource);
+      const value = validate(schemas.patient, compact(patientData));
+      return patientService.updatePatient(
+        tenantId,
+        id,
+        { ...replacing(schemas.patient, patientData, value), ...compact({ is_active: isActive }) },
+        actor
+      );
+    },
+    delete: (tenantId, id, actor) => patientService.deletePatient(tenantId, id, actor),
+  },
+
+  Practitioner: {
+    toResource: fhir.toFHIRPractitioner,
+    read: async (tenantId, id) => {
+      const provider = await providerService.getProviderById(tenantId, id);
+      return provider && fhir.toFHIRPractitioner(provider);
+    },
+    create: async (tenantId, resource, actor) => {
+      const { is_active: isActive, ...providerData } = fhir.fromFHIRPractitioner(resource);
+      const provider = await providerService.createProvider(
+        tenantId,
+        validate(schemas.provider, compact(providerData)),
+        actor
+      );
+      return fhir.toFHIRPractitioner(provider);
+    },
+    update: async (tenantId, id, resource, actor) => {
+      const { is_active: isActive, ...providerData } = fhir.fromFHIRPractitioner(resource);
+      const value = validate(schemas.provider, compact(providerData));
+      const provider = await providerService.updateProvider(
+        tenantId,
+        id,
+        {
+          ...replacing(schemas.provider, providerData, value),
+          ...compact({ is_active: isActive }),
+        },
+        actor
+      );
+      return fhir.toFHIRPractitioner(provider);
+    },
+    delete: (tenantId, id, actor) => providerService.deactivateProvider(tenantId, id, actor),
+  },
+
+  Location: {
+    toResource: fhir.toFHIRLocation,
+    read: async (tenantId, id) => {
+      const facility = await facilityService.getFacilityById(tenantId, id);
+      return facility && fhir.toFHIRLocation(facility);
+    },
+    create: async (tenantId, resource, actor) => {
+      const { is_active: isActive, ...facilityData } = fhir.fromFHIRLocation(resource);
+      const facility = await facilityService.createFacility(
+        tenantId,
+        validate(schemas.facility, compact(facilityData)),
+        actor
+      );
+      return fhir.toFHIRLocation(facility);
+    },
+    update: async (tenantId, id, resource, actor) => {
+      const { is_active: isActive, ...facilityData } = fhir.fromFHIRLocation(resource);
+      const value = validate(schemas.facility, compact(facilityData));
+      const facility = await facilityService.updateFacility(
+        tenantId,
+        id,
+        {
+          ...replacing(schemas.facility, facilityData, value),
+          ...compact({ is_active: isActive }),
+        },
+        actor
+      );
+      return fhir.toFHIRLocation(facility);
+    },
+    delete: (tenantId, id, actor) => facilityService.deactivateFacility(tenantId, id, actor),
+  },
+
+  Appointment: {
+    toResource: toAppointmentResource,
+    access: { entityType: 'appointment', patientColumn: 'patient_id' },
+    read: async (tenantId, id, actor) => {
+      const appointment = await appointmentService.getAppointmentById(tenantId, id, actor);
+
+      if (!appointment) {
+        return null;
+      }
+
+      await logAccess({
+        tenantId,
+        entityType: 'appointment',
+        entityId: id,
+        action: 'READ',
+        actor,
+        patientIds: [appointment.patient_id],
+      });
+
+      return toAppointmentResource(appointment);
+    },
+    create: async (tenantId, resource, actor) => {
+      const appointmentData = compact(fhir.fromFHIRAppointment(resource));
+      const value = validate(schemas.appointment, writable(schemas.appointment, appointmentData));
+      const appointment = await appointmentService.createAppointment(tenantId, value, actor);
+
+      return toAppointmentResource(
+        await appointmentService.getAppointmentById(tenantId, appointment.id)
+      );
+    },
+    update: async (tenantId, id, resource, actor) => {
+      const current = await appointmentService.getAppointmentById(tenantId, id, actor);
+
+      if (!current) {
+        throw new NotFoundError('Appointment', id);
+      }
+
+      const data = compact(fhir.fromFHIRAppointment(resource));
+
+      // A different patient, practitioner or location is a new booking
+      const rebooked = [
+        ['patient_id', 'Patient'],
+        ['provider_id', 'Practitioner'],
+        ['facility_id', 'Location'],
+      ].filter(([column]) => data[column] && data[column] !== current[column]);
+
+      if (rebooked.length > 0) {
+        throw new ValidationError('Appointment participants cannot be changed', {
+          errors: rebooked.map(([, type]) => ({
+            field: 'participant',
+            message: `${type} participant cannot be changed; book a new appointment instead`,
+          })),
+        });
+      }
+
+      const start = data.scheduled_start || current.scheduled_start;
+      const duration = data.duration_minutes || current.duration_minutes;
+
+      if (
+        new Date(start).getTime() !== new Date(current.scheduled_start).getTime() ||
+        duration !== current.duration_minutes
+      ) {
+        const reschedule = validate(schemas.appointmentReschedule, {
+          scheduled_start: new Date(start).toISOString(),
+          duration_minutes: duration,
+        });
+
+        await appointmentService.rescheduleAppointment(
+          tenantId,
+          id,
+          reschedule.scheduled_start,
+          reschedule.duration_minutes,
+          actor
+        );
+      }
+
+      const fields = {
+        appointment_type: data.appointment_type,
+        status: data.status,
+        priority: data.priority,
+        reason: data.reason,
+        special_requirements: data.special_requirements,
+        telehealth_details: data.telehealth_details,
+      };
+      const updateData = replacing(
+        schemas.appointment,
+        fields,
+        validate(schemas.appointmentUpdate, compact(fields))
+      );
+
+      await appointmentService.updateAppointment(tenantId, id, updateData, actor);
+
+      return toAppointmentResource(await appointmentService.getAppointmentById(tenantId, id));
+    },
+    delete: (tenantId, id, actor) => appointmentService.cancelAppointment(tenantId, id, actor),
+  },
+
+  MedicationRequest: {
+    toResource: toMedicationRequestResource,
+    access: { entityType: 'medication', patientColumn: 'patient_id' },
+    // MedicationService audits single reads itself
+    read: async (tenantId, id, actor) => {
+      const medication = await medicationService.getMedicationById(tenantId, id, actor);
+      return medication && toMedicationRequestResource(medication);
+    },
+    create: async (tenantId, resource, actor) => {
+      const {
+        patient_id: patientId,
+        status,
+        ...medicationData
+      } = compact(fhir.fromFHIRMedicationRequest(resource));
+
+      if (!patientId) {
+        throw new ValidationError('MedicationRequest.subject must reference a Patient');
+      }
+
+      if (!medicationData.prescribing_provider_id) {
+        throw new ValidationError('MedicationRequest.requester must reference a Practitioner');
+      }
+
+      const medication = await medicationService.createMedication(
+        tenantId,
+        patientId,
+        validate(schemas.medication, writable(schemas.medication, medicationData)),
+        actor
+      );
+
+      return toMedicationRequestResource(
+        await medicationService.getMedicationById(tenantId, medication.id)
+      );
+    },
+    update: async (tenantId, id, resource, actor) => {
+      const current = await medicationService.getMedicationById(tenantId, id, actor);
+
+      if (!current) {
+        throw new NotFoundError('MedicationRequest', id);
+      }
+
+      const {
+        patient_id: patientId,
+        status,
+        ...medicationData
+      } = fhir.fromFHIRMedicationRequest(resource);
+
+      if (patientId && patientId !== current.patient_id) {
+        throw new ValidationError('MedicationRequest.subject cannot be changed');
+      }
+
+      if (!medicationData.prescribing_provider_id) {
+        throw new ValidationError('MedicationRequest.requester must reference a Practitioner');
+      }
+
+      if (status && !fhir.MEDICATION_STATUS[status]) {
+        const codes = Object.values(fhir.MEDICATION_STATUS).join(', ');
+        throw new ValidationError(`Unsupported MedicationRequest status '${status}'`, {
+          errors: [{ field: 'status', message: `must be one of ${codes}` }],
+        });
+      }
+
+      const value = validate(
+        schemas.medication,
+        writable(schemas.medication, compact(medicationData))
+      );
+      await medicationService.updateMedication(
+        tenantId,
+        id,
+        { ...replacing(schemas.medication, medicationData, value), ...compact({ status }) },
+        actor
+      );
+
+      return toMedicationRequestResource(await medicationService.getMedicationById(tenantId, id));
+    },
+    delete: (tenantId, id, actor) =>
+      medicationService.discontinueMedication(tenantId, id, 'Deleted through FHIR API', actor),
+  },
+
+  Communication: {
+    toResource: fhir.toFHIRCommunication,
+    access: { entityType: 'notification', patientColumn: 'patient_id' },
+    read: async (tenantId, id, actor) => {
+      const notification = await notificationService.getNotificationById(tenantId, id, actor);
+
+      if (!notification) {
+        return null;
+      }
+
+      await logAccess({
+        tenantId,
+        entityType: 'notification',
+        entityId: id,
+        action: 'READ',
+        actor,
+        patientIds: [notification.patient_id],
+      });
+
+      return fhir.toFHIRCommunication(notification);
+    },
+    create: async (tenantId, resource, actor) => {
+      const notification = await notificationService.createNotification(
+        tenantId,
+        validate(
+          schemas.notification,
+          writable(schemas.notification, compact(fhir.fromFHIRCommunication(resource)))
+        ),
+        actor
+      );
+      return fhir.toFHIRCommunication(notification);
+    },
+  },
+};
+
+/**
+ * FHIR interactions on the resources in utils/fhirResources.js
+ * The caller checks that the resource type and interaction are supported.
+ *
+ * Incoming resources must be valid FHIR R4 (utils/fhirValidation.js) and,
+ * with `usCore`, conform to US Core. Outgoing resources are checked the same
+ * way, but as they come from our own data a failure is logged rather than
+ * refused.
+ */
+class FhirService {
+  async read(tenantId, resourceType, id, actor, { usCore = false } = {}) {
+    const resource = await ADAPTERS[resourceType].read(tenantId, id, actor);
+
+    if (!resource) {
+      throw new NotFoundError(resourceType, id);
+    }
+
+    return checkOutgoing(resource, { usCore });
+  }
+
+  /**
+   * Run a search-type interaction (see utils/fhirSearch.js)
+   * @param {Object} query - Parameter name to array of values
+   * @param {Object} options
+   * @param {Boolean} options.strict - Reject unknown parameters instead of
+   *   ignoring them (Prefer: handling=strict)
+   * @param {Boolean} options.usCore - Check results against US Core
+   * @returns {Object} { resources, included, total, params, page, count }
+   *   where params are the [name, value] pairs that were applied
+   */
+  async search(tenantId, resourceType, query, actor, { strict = false, usCore = false } = {}) {
+    const search = parseSearchQuery(resourceType, query, { strict });
+    const scope = { tenantId, patientId: getPatientScope(actor) };
+    const { sql, params, countSql, countParams } = buildSearchQuery(resourceType, search, scope);
+
+    const result = await db.query(sql, params);
+    const countResult = await db.query(countSql, countParams);
+    const included = await getIncluded(resourceType, search.include, result.rows, scope);
+
+    const { access } = ADAPTERS[resourceType];
+
+    if (access) {
+      const patientIds = [{ resourceType, rows: result.rows }, ...included].flatMap(
+        ({ resourceType: type, rows }) => {
+          const column = ADAPTERS[type].access?.patientColumn;
+          return column ? rows.map((row) => row[column]) : [];
+        }
+      );
+
+      await logAccess({
+        tenantId,
+        entityType: access.entityType,
+        action: 'SEARCH',
+        actor,
+        query: { resourceType, params: search.params },
+        patientIds,
+      });
+    }
+
+    return {
+      resources: result.rows.map((row) =>
+        checkOutgoing(ADAPTERS[resourceType].toResource(row), { usCore })
+      ),
+      included: included.flatMap(({ resourceType: type, rows }) =>
+        rows.map((row) => checkOutgoing(ADAPTERS[type].toResource(row), { usCore }))
+      ),
+      total: parseInt(countResult.rows[0].count, 10),
+      params: search.params,
+      page: search.page,
+      count: search.count,
+    };
+  }
+
+  /**
+   * Convert a batch of rows read by a bulk export (utils/fhirSearch.js
+   * buildExportQuery); batches of types that hold PHI are audited as EXPORT
+   * @param {Object} options
+   * @param {String} options.jobId - Export the rows belong to
+   * @param {Boolean} options.usCore - Check results against US Core
+   */
+  async exportRows(tenantId, resourceType, rows, actor, { jobId, usCore = false } = {}) {
+    const { access, toResource } = ADAPTERS[resourceType];
+
+    if (access) {
+      await logAccess({
+        tenantId,
+        entityType: access.entityType,
+        action: 'EXPORT',
+        actor,
+        query: { resourceType, jobId },
+        patientIds: rows.map((row) => row[access.patientColumn]),
+      });
+    }
+
+    return rows.map((row) => checkOutgoing(toResource(row), { usCore }));
+  }
+
+  async create(tenantId, resourceType, resource, actor, { usCore = false } = {}) {
+    assertResourceBody(resourceType, resource);
+    assertValidResource(resource, { usCore });
+
+    const created = await ADAPTERS[resourceType].create(tenantId, resource, actor);
+    return checkOutgoing(created, { usCore });
+  }
+
+  async update(tenantId, resourceType, id, resource, actor, { usCore = false } = {}) {
+    assertResourceBody(resourceType, resource);
+
+    if (resource.id !== id) {
+      throw new ValidationError('Resource id must match the id in the URL', {
+        errors: [{ field: 'id', message: `must be '${id}'` }],
+      });
+    }
+
+    assertValidResource(resource, { usCore });
+
+    const updated = await ADAPTERS[resourceType].update(tenantId, id, resource, actor);
+    return checkOutgoing(updated, { usCore });
+  }
+
+  async delete(tenantId, resourceType, id, actor) {
+    await ADAPTERS[resourceType].delete(tenantId, id, actor);
+  }
+}
+
+function assertResourceBody(resourceType, resource) {
+  if (!resource || resource.resourceType !== resourceType) {
+    throw new ValidationError(`Request body must be a ${resourceType} resource`, {
+      errors: [{ field: 'resourceType', message: `must be '${resourceType}'` }],
+    });
+  }
+}
+
+/**
+ * Log the issues of a resource we are about to return; Dates are compared
+ * as the JSON they will be sent as
+ */
+function checkOutgoing(resource, options) {
+  const issues = validateResource(JSON.parse(JSON.stringify(resource)), options);
+
+  if (issues.length > 0) {
+    logger.warn('Outgoing FHIR resource failed validation', {
+      resourceType: resource.resourceType,
+      id: resource.id,
+      issues,
+    });
+  }
+
+  return resource;
+}
+
+/**
+ * Rows for each _include, at most once per resource and never repeating a
+ * resource that is already a match
+ * @returns {Array<Object>} { resourceType, rows } per include
+ */
+async function getIncluded(resourceType, includes, rows, scope) {
+  const seen = new Set(rows.map((row) => `${resourceType}/${row.id}`));
+  const included = [];
+
+  for (const include of includes) {
+    const query = buildIncludeQuery(include, rows, scope);
+
+    if (query) {
+      const result = await db.query(query.sql, query.params);
+      const fresh = result.rows.filter((row) => !seen.has(`${include.target}/${row.id}`));
+
+      fresh.forEach((row) => seen.add(`${include.target}/${row.id}`));
+      included.push({ resourceType: include.target, rows: fresh });
+    }
+  }
+
+  return included;
+}
+
+/**
+ * Appointment rows carry the names of the joined patient, provider and
+ * facility, which toFHIRAppointment uses as reference displays
+ */
+function toAppointmentResource(row) {
+  return {
+    ...fhir.toFHIRAppointment(
+      row,
+      { id: row.patient_id, first_name: row.patient_first_name, last_name: row.patient_last_name },
+      {
+        id: row.provider_id,
+        first_name: row.provider_first_name,
+        last_name: row.provider_last_name,
+      },
+      { id: row.facility_id, name: row.facility_name }
+    ),
+    meta: { lastUpdated: row.updated_at },
+  };
+}
+
+function toMedicationRequestResource(row) {
+  return {
+    ...fhir.toFHIRMedicationRequest(
+      row,
+      { id: row.patient_id, first_name: row.patient_first_name, last_name: row.patient_last_name },
+      {
+        id: row.prescribing_provider_id,
+        first_name: row.provider_first_name,
+        last_name: row.provider_last_name,
+      }
+    ),
+    meta: { lastUpdated: row.updated_at },
+  };
+}
+
+/**
+ * Drop fields a FHIR resource did not carry, so they fall back to defaults
+ * on create; replacing() clears them on update
+ */
+function compact(data) {
+  return Object.fromEntries(
+    Object.entries(data).filter(([, value]) => value !== undefined && value !== null)
+  );
+}
+
+/**
+ * The validated `value` of an update, with null for every optional field of
+ * `schema` that the converted data has but the resource left out
+ * An update (PUT) replaces the whole resource, so an element the client
+ * removed clears its column. Required fields are already in `value`, and
+ * columns the converter does not map are not touched.
+ */
+function replacing(schema, data, value) {
+  const { keys } = schema.describe();
+  const omitted = Object.keys(data).filter(
+    (key) => keys[key] && keys[key].flags?.presence !== 'required' && value[key] === undefined
+  );
+
+  return { ...value, ...Object.fromEntries(omitted.map((key) => [key, null])) };
+}
+
+/**
+ * The fields of converted data that a Joi schema accepts
+ * The converters also return columns the server maintains itself (timestamps,
+ * delivery state), which a FHIR client cannot set.
+ */
+function writable(schema, data) {
+  const keys = Object.keys(schema.describe().keys);
+  return Object.fromEntries(Object.entries(data).filter(([key]) => keys.includes(key)));
+}
+
+module.exports = FhirService;
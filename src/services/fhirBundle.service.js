@@ -0,0 +1,366 @@
+const FhirService = require('./fhir.service');
+const db = require('../config/database');
+const { getFhirResource } = require('../utils/fhirResources');
+const { MethodNotAllowedError, ValidationError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+const fhirService = new FhirService();
+
+const MAX_BUNDLE_ENTRIES = 500;
+
+const INTERACTIONS = { POST: 'create', PUT: 'update', DELETE: 'delete' };
+
+// Processing order within a Bundle (http://hl7.org/fhir/R4/http.html#trules)
+const METHOD_ORDER = ['DELETE', 'POST', 'PUT'];
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * FHIR transaction and batch Bundles (POST /fhir/r4)
+ *
+ * Each entry is a create (POST), update (PUT) or delete (DELETE) carried out
+ * by FhirService, so entries are validated, written and audited exactly like
+ * the single-resource requests. Entries run in the order FHIR prescribes:
+ * deletes, then creates, then updates. Creates that reference another entry's
+ * `urn:uuid:` fullUrl run after that entry, and the reference is rewritten to
+ * the id the server assigned.
+ *
+ * A transaction runs inside one database transaction (db.withTransaction):
+ * the first failing entry rolls everything back and the request fails with
+ * that entry's error. A batch runs every entry on its own and reports each
+ * outcome separately.
+ */
+class FhirBundleService {
+  /**
+   * @param {Object} bundle - Bundle of type transaction or batch
+   * @param {Object} options
+   * @param {Function} options.authorize - Awaited before each entry runs with
+   *   the parsed entry ({ method, resourceType, interaction }) and the number
+   *   of resources created so far per type; throws to refuse the entry
+   * @param {Boolean} options.usCore - Hold entries to their US Core profiles
+   * @returns {Object} { type, results, created }: one result per entry, in
+   *   Bundle order ({ status, resourceType, id, resource } or { error }), and
+   *   the number of resources created per type
+   */
+  async process(tenantId, bundle, actor, { authorize = async () => {}, usCore = false } = {}) {
+    const type = parseBundleType(bundle);
+    const entries = bundle.entry.map(parseEntry);
+    const transaction = type === 'transaction';
+
+    if (transaction) {
+      const failed = entries.find((entry) => entry.error);
+
+      if (failed) {
+        throw atEntry(failed.error, failed.index);
+      }
+    }
+
+    assertUniqueEntries(entries);
+
+    const results = new Array(entries.length);
+    const references = new Map();
+    const created = {};
+    const ordered = orderEntries(entries.filter((entry) => !entry.error));
+
+    entries
+      .filter((entry) => entry.error)
+      .forEach((entry) => {
+        results[entry.index] = { error: entry.error };
+      });
+
+    const run = async () => {
+      for (const entry of ordered) {
+        try {
+          await authorize(entry, created);
+          results[entry.index] = await this.processEntry(tenantId, entry, references, actor, {
+            usCore,
+          });
+
+          if (entry.method === 'POST') {
+            created[entry.resourceType] = (created[entry.resourceType] || 0) + 1;
+          }
+        } catch (error) {
+          if (transaction) {
+            throw atEntry(error, entry.index);
+          }
+
+          results[entry.index] = { error };
+        }
+      }
+    };
+
+    if (transaction) {
+      await db.withTransaction(run);
+    } else {
+      await run();
+    }
+
+    logger.info(`FHIR ${type} processed`, {
+      tenantId,
+      entries: entries.length,
+      failed: results.filter((result) => result.error).length,
+    });
+
+    return { type: `${type}-response`, results, created };
+  }
+
+  async processEntry(tenantId, entry, references, actor, options) {
+    const { method, resourceType, id } = entry;
+    const resource = entry.resource && resolveReferences(entry.resource, references);
+
+    if (method === 'DELETE') {
+      await fhirService.delete(tenantId, resourceType, id, actor);
+      return { status: 204, resourceType, id };
+    }
+
+    if (method === 'PUT') {
+      const updated = await fhirService.update(
+        tenantId,
+        resourceType,
+        id,
+        resource,
+        actor,
+        options
+      );
+      return { status: 200, resourceType, id, resource: updated };
+    }
+
+    const created = await fhirService.create(tenantId, resourceType, resource, actor, options);
+
+    if (entry.fullUrl) {
+      references.set(entry.fullUrl, `${resourceType}/${created.id}`);
+    }
+
+    return { status: 201, resourceType, id: created.id, resource: created };
+  }
+}
+
+function parseBundleType(bundle) {
+  if (!bundle || bundle.resourceType !== 'Bundle') {
+    throw new ValidationError('Request body must be a Bundle resource', {
+      errors: [{ field: 'resourceType', message: "must be 'Bundle'" }],
+    });
+  }
+
+  if (!['transaction', 'batch'].includes(bundle.type)) {
+    throw new ValidationError('Bundle type must be transaction or batch', {
+      errors: [{ field: 'type', message: "must be 'transaction' or 'batch'" }],
+    });
+  }
+
+  if (!Array.isArray(bundle.entry)) {
+    throw new ValidationError('Bundle has no entries', {
+      errors: [{ field: 'entry', message: 'must be an array' }],
+    });
+  }
+
+  if (bundle.entry.length > MAX_BUNDLE_ENTRIES) {
+    throw new ValidationError(`Bundle has more than ${MAX_BUNDLE_ENTRIES} entries`, {
+      errors: [{ field: 'entry', message: `must have at most ${MAX_BUNDLE_ENTRIES} entries` }],
+    });
+  }
+
+  return bundle.type;
+}
+
+/**
+ * Method, resource type and id of one entry, from request.method and a
+ * request.url such as `Patient` (POST) or `Patient/{id}` (PUT, DELETE).
+ * An entry that cannot be processed gets an `error` instead.
+ */
+function parseEntry(entry, index) {
+  try {
+    const method = String(entry?.request?.method || '').toUpperCase();
+    const url = entry?.request?.url;
+
+    if (!INTERACTIONS[method]) {
+      throw new MethodNotAllowedError(method || '(none)');
+    }
+
+    if (typeof url !== 'string' || url.length === 0) {
+      throw new ValidationError('Bundle entry has no request.url', {
+        errors: [{ field: 'request.url', message: 'is required' }],
+      });
+    }
+
+    if (url.includes('?')) {
+      throw new ValidationError('Conditional create, update and delete are not supported', {
+        errors: [{ field: 'request.url', message: 'must not have search parameters' }],
+      });
+    }
+
+    // Absolute URLs name the same resources as their path under /fhir/r4
+    const [resourceType, id, ...rest] = url
+      .replace(/^[a-z]+:\/\/[^/]+/i, '')
+      .replace(/^.*\/fhir\/r4\//, '')
+      .replace(/^\//, '')
+      .split('/');
+
+    const definition = getFhirResource(resourceType);
+
+    if (!definition) {
+      throw new ValidationError(`Resource type ${resourceType} is not supported`, {
+        errors: [{ field: 'request.url', message: `unknown resource type '${resourceType}'` }],
+      });
+    }
+
+    const interaction = INTERACTIONS[method];
+
+    if (!definition.interactions.includes(interaction)) {
+      throw new MethodNotAllowedError(method);
+    }
+
+    const expected = method === 'POST' ? resourceType : `${resourceType}/{id}`;
+
+    if (rest.length > 0 || (method === 'POST' ? id !== undefined : !id)) {
+      throw new ValidationError(`Invalid request.url for ${method}: ${url}`, {
+        errors: [{ field: 'request.url', message: `must be '${expected}'` }],
+      });
+    }
+
+    if (id !== undefined && !UUID_PATTERN.test(id)) {
+      throw new ValidationError(`Invalid ${resourceType} id: ${id}`, {
+        errors: [{ field: 'request.url', message: 'id must be a valid UUID' }],
+      });
+    }
+
+    if (method !== 'DELETE' && !entry.resource) {
+      throw new ValidationError(`Bundle entry for ${method} has no resource`, {
+        errors: [{ field: 'resource', message: 'is required' }],
+      });
+    }
+
+    return {
+      index,
+      method,
+      interaction,
+      resourceType,
+      id,
+      fullUrl: method === 'POST' && entry.fullUrl?.startsWith('urn:uuid:') ? entry.fullUrl : null,
+      resource: method === 'DELETE' ? null : entry.resource,
+    };
+  } catch (error) {
+    return { index, error };
+  }
+}
+
+/**
+ * Reject Bundles that name the same fullUrl or target resource twice
+ */
+function assertUniqueEntries(entries) {
+  const seen = new Set();
+
+  entries
+    .filter((entry) => !entry.error)
+    .forEach((entry) => {
+      const key = entry.fullUrl || (entry.id && `${entry.resourceType}/${entry.id}`);
+
+      if (!key) {
+        return;
+      }
+
+      if (seen.has(key)) {
+        throw new ValidationError(`Bundle has more than one entry for ${key}`, {
+          errors: [{ field: `entry[${entry.index}]`, message: `duplicates ${key}` }],
+        });
+      }
+
+      seen.add(key);
+    });
+}
+
+/**
+ * Entries in processing order; creates follow the creates they reference
+ */
+function orderEntries(entries) {
+  const creates = entries.filter((entry) => entry.method === 'POST');
+  const byFullUrl = new Map(creates.filter((entry) => entry.fullUrl).map((e) => [e.fullUrl, e]));
+  const sortedCreates = [];
+  const state = new Map();
+
+  const visit = (entry) => {
+    if (state.get(entry) === 'done') {
+      return;
+    }
+
+    if (state.get(entry) === 'visiting') {
+      throw new ValidationError('Bundle entries reference each other in a cycle', {
+        errors: [{ field: `entry[${entry.index}]`, message: 'is part of a reference cycle' }],
+      });
+    }
+
+    state.set(entry, 'visiting');
+    collectReferences(entry.resource)
+      .map((reference) => byFullUrl.get(reference))
+      .filter(Boolean)
+      .forEach(visit);
+    state.set(entry, 'done');
+    sortedCreates.push(entry);
+  };
+
+  creates.forEach(visit);
+
+  return METHOD_ORDER.flatMap((method) =>
+    method === 'POST' ? sortedCreates : entries.filter((entry) => entry.method === method)
+  );
+}
+
+function collectReferences(value) {
+  if (Array.isArray(value)) {
+    return value.flatMap(collectReferences);
+  }
+
+  if (value && typeof value === 'object') {
+    return Object.entries(value).flatMap(([key, item]) =>
+      key === 'reference' && typeof item === 'string' ? [item] : collectReferences(item)
+    );
+  }
+
+  return [];
+}
+
+/**
+ * Copy of a resource with urn:uuid references replaced by the Type/id of the
+ * entries created so far
+ */
+function resolveReferences(value, references) {
+  if (Array.isArray(value)) {
+    return value.map((item) => resolveReferences(item, references));
+  }
+
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+
+  return Object.fromEntries(
+    Object.entries(value).map(([key, item]) => {
+      if (key !== 'reference' || typeof item !== 'string' || !item.startsWith('urn:uuid:')) {
+        return [key, resolveReferences(item, references)];
+      }
+
+      if (!references.has(item)) {
+        throw new ValidationError(`Reference ${item} does not match a created Bundle entry`, {
+          errors: [{ field: 'reference', message: `unresolved reference '${item}'` }],
+        });
+      }
+
+      return [key, references.get(item)];
+    })
+  );
+}
+
+/**
+ * Point an entry's error at the entry, for the transaction's OperationOutcome
+ */
+function atEntry(error, index) {
+  if (error.isOperational) {
+    error.message = `Bundle.entry[${index}]: ${error.message}`;
+    (error.details?.errors || []).forEach((fieldError) => {
+      fieldError.field = [`Bundle.entry[${index}]`, fieldError.field].filter(Boolean).join('.');
+    });
+  }
+
+  return error;
+}
+
+module.exports = FhirBundleService;
@@ -0,0 +1,357 @@
+const FhirService = require('./fhir.service');
+const ProviderService = require('./provider.service');
+const db = require('../config/database');
+const storage = require('../config/storage');
+const { publishToQueue, QUEUES } = require('../config/queue');
+const { toNdjson } = require('../utils/export');
+const { FHIR_NDJSON_CONTENT_TYPE } = require('../utils/fhirResponse');
+const { buildExportQuery } = require('../utils/fhirSearch');
+const { NotFoundError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+const fhirService = new FhirService();
+const providerService = new ProviderService();
+
+// Rows fetched from the cursor, converted and written at a time
+const EXPORT_BATCH_SIZE = 1000;
+
+// Completed exports can be downloaded for this long; the bucket's lifecycle
+// rule on the same prefix removes the files a day later
+const EXPORT_RETENTION_HOURS = 24;
+const EXPORT_PREFIX = 'bulk-export';
+
+/**
+ * FHIR Bulk Data $export (http://hl7.org/fhir/uv/bulkdata/export.html)
+ *
+ * A kickoff records a job in fhir_export_jobs and queues it; the
+ * fhirExportProcessor worker then writes one NDJSON file per resource type
+ * to the documents store (config/storage.js), and the status endpoint reports
+ * the files once the job is completed. Rows are read through a server-side
+ * cursor and streamed into their file batch by batch, so no export holds more
+ * than one batch in memory. Resources are converted by FhirService, so they
+ * match what reads and searches return, and every batch holding PHI is
+ * audited as an EXPORT.
+ *
+ * A Group is a practitioner's patient panel (patient_providers): its export
+ * covers those patients and the resources in their Patient compartment.
+ * Only the principal that started an export may poll, download or cancel it.
+ */
+class FhirExportService {
+  /**
+   * Record an export and queue it
+   * @param {Object} request - Parsed by utils/fhirSearch.js parseExportQuery
+   * @param {Array<String>} request.types - Resource types to export
+   * @param {String} request.since - Only resources changed after this
+   * @param {String} request.groupId - Practitioner for Group/{id}/$export
+   * @param {String} request.requestUrl - Kickoff URL, echoed in the manifest
+   * @param {Boolean} request.usCore - Check output against US Core
+   */
+  async startExport(tenantId, request, actor) {
+    const { types, since = null, groupId = null, requestUrl, usCore = false } = request;
+
+    if (groupId && !(await providerService.getProviderById(tenantId, groupId))) {
+      throw new NotFoundError('Group', groupId);
+    }
+
+    const result = await db.query(
+      `INSERT INTO fhir_export_jobs (
+        tenant_id, group_id, resource_types, since, request_url, us_core, requested_by
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING *`,
+      [
+        tenantId,
+        groupId,
+        JSON.stringify(types),
+        since,
+        requestUrl,
+        usCore,
+        JSON.stringify(toRequester(actor)),
+      ]
+    );
+
+    const job = result.rows[0];
+
+    try {
+      await publishToQueue(QUEUES.FHIR_EXPORTS, { tenantId, jobId: job.id }, { messageId: job.id });
+    } catch (error) {
+      await failExport(tenantId, job.id, 'Export could not be queued');
+      throw error;
+    }
+
+    logger.info('FHIR export queued', { tenantId, jobId: job.id, types, groupId });
+    return job;
+  }
+
+  /**
+   * An export started by the caller; cancelled and expired exports and those
+   * of other principals are reported as not found
+   */
+  async getExport(tenantId, jobId, actor) {
+    const result = await db.query(
+      `SELECT * FROM fhir_export_jobs
+       WHERE tenant_id = $1 AND id = $2 AND status != 'cancelled'
+         AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)`,
+      [tenantId, jobId]
+    );
+
+    const job = result.rows[0];
+
+    if (!job || !isRequester(job, actor)) {
+      throw new NotFoundError('Export', jobId);
+    }
+
+    return job;
+  }
+
+  /**
+   * One file of a completed export
+   * @returns {Object} { url } of a short-lived signed URL in the bucket, or
+   *   { body } when documents are stored locally
+   */
+  async getExportFile(tenantId, jobId, file, actor) {
+    const job = await this.getExport(tenantId, jobId, actor);
+    const listed = job.status === 'completed' && job.output.some((item) => item.file === file);
+
+    if (!listed) {
+      throw new NotFoundError('Export file', file);
+    }
+
+    const key = getFileKey(job, file);
+    const url = storage.getSignedUrl(key);
+
+    if (url) {
+      return { url };
+    }
+
+    const body = await storage.getObject(key);
+
+    if (!body) {
+      throw new NotFoundError('Export file', file);
+    }
+
+    return { body: body.toString('utf8') };
+  }
+
+  /**
+   * Cancel a running export or delete the files of a finished one
+   * A running export notices before its next resource type and removes the
+   * files it has written.
+   */
+  async cancelExport(tenantId, jobId, actor) {
+    const job = await this.getExport(tenantId, jobId, actor);
+
+    await db.query(
+      `UPDATE fhir_export_jobs SET status = 'cancelled' WHERE tenant_id = $1 AND id = $2`,
+      [tenantId, jobId]
+    );
+
+    await storage.deleteObjects(job.output.map((item) => getFileKey(job, item.file)));
+
+    logger.info('FHIR export cancelled', { tenantId, jobId, status: job.status });
+  }
+
+  /**
+   * Run a queued export (fhirExportProcessor worker)
+   * Claiming the job is atomic, so a redelivered message finds it taken and
+   * does nothing. A failure marks the job failed rather than being retried:
+   * the client sees the error on its next poll and can start a new export.
+   * @returns {Object|null} The completed job, or null when it was not run
+   *   to completion
+   */
+  async runExport(tenantId, jobId) {
+    const claimed = await db.query(
+      `UPDATE fhir_export_jobs
+       SET status = 'in-progress', transaction_time = CURRENT_TIMESTAMP
+       WHERE tenant_id = $1 AND id = $2 AND status = 'accepted'
+       RETURNING *`,
+      [tenantId, jobId]
+    );
+
+    const job = claimed.rows[0];
+
+    if (!job) {
+      logger.info('FHIR export already claimed or cancelled', { tenantId, jobId });
+      return null;
+    }
+
+    const output = [];
+    const types = job.resource_types;
+
+    try {
+      for (const [index, resourceType] of types.entries()) {
+        if (await isCancelled(tenantId, jobId)) {
+          await storage.deleteObjects(output.map((item) => getFileKey(job, item.file)));
+          logger.info('FHIR export stopped after cancellation', { tenantId, jobId });
+          return null;
+        }
+
+        const file = await exportResourceType(job, resourceType);
+
+        if (file) {
+          output.push(file);
+        }
+
+        await db.query(
+          `UPDATE fhir_export_jobs SET output = $3, progress = $4
+           WHERE tenant_id = $1 AND id = $2`,
+          [
+            tenantId,
+            jobId,
+            JSON.stringify(output),
+            `Exported ${index + 1} of ${types.length} resource types`,
+          ]
+        );
+      }
+
+      const completed = await db.query(
+        `UPDATE fhir_export_jobs
+         SET status = 'completed', progress = NULL, completed_at = CURRENT_TIMESTAMP,
+             expires_at = CURRENT_TIMESTAMP + make_interval(hours => $3)
+         WHERE tenant_id = $1 AND id = $2 AND status = 'in-progress'
+         RETURNING *`,
+        [tenantId, jobId, EXPORT_RETENTION_HOURS]
+      );
+
+      // Cancelled while the last type was being written
+      if (completed.rows.length === 0) {
+        await storage.deleteObjects(output.map((item) => getFileKey(job, item.file)));
+        return null;
+      }
+
+      logger.info('FHIR export completed', { tenantId, jobId, output });
+      return completed.rows[0];
+    } catch (error) {
+      logger.error('FHIR export failed', { tenantId, jobId, error: error.message });
+      await failExport(tenantId, jobId, error.message);
+      return null;
+    }
+  }
+}
+
+/**
+ * Stream every matching resource of one type into its NDJSON file
+ * @returns {Object|null} { type, file, count }, or null when there is nothing
+ *   to export: the manifest only lists files that hold resources
+ */
+async function exportResourceType(job, resourceType) {
+  const { sql, params } = buildExportQuery(
+    resourceType,
+    { since: job.since, groupId: job.group_id },
+    { tenantId: job.tenant_id, patientId: null }
+  );
+
+  const batches = readInBatches(sql, params);
+
+  try {
+    const first = await batches.next();
+
+    if (first.done) {
+      return null;
+    }
+
+    const file = `${resourceType}.ndjson`;
+    let count = 0;
+
+    async function* lines() {
+      for (let batch = first; !batch.done; batch = await batches.next()) {
+        const resources = await fhirService.exportRows(
+          job.tenant_id,
+          resourceType,
+          batch.value,
+          job.requested_by,
+          { jobId: job.id, usCore: job.us_core }
+        );
+
+        count += resources.length;
+        yield toNdjson(resources);
+      }
+    }
+
+    await storage.putObject(getFileKey(job, file), lines(), {
+      contentType: FHIR_NDJSON_CONTENT_TYPE,
+    });
+
+    return { type: resourceType, file, count };
+  } finally {
+    // Closes the cursor when the upload stopped before reading every batch
+    await batches.return();
+  }
+}
+
+/**
+ * Rows of a query in batches, read through a server-side cursor so that
+ * only one batch is held at a time
+ */
+async function* readInBatches(sql, params) {
+  const client = await db.connect();
+  let committed = false;
+
+  try {
+    await client.query('BEGIN');
+    await client.query(`DECLARE export_rows NO SCROLL CURSOR FOR ${sql}`, params);
+
+    let rows;
+
+    do {
+      ({ rows } = await client.query(`FETCH ${EXPORT_BATCH_SIZE} FROM export_rows`));
+
+      if (rows.length > 0) {
+        yield rows;
+      }
+    } while (rows.length === EXPORT_BATCH_SIZE);
+
+    await client.query('COMMIT');
+    committed = true;
+  } finally {
+    // Still open when a statement failed or the caller stopped reading early
+    if (!committed) {
+      await client.query('ROLLBACK').catch((error) => {
+        logger.warn('Could not roll back export cursor', { error: error.message });
+      });
+    }
+
+    client.release();
+  }
+}
+
+async function isCancelled(tenantId, jobId) {
+  const result = await db.query(
+    'SELECT status FROM fhir_export_jobs WHERE tenant_id = $1 AND id = $2',
+    [tenantId, jobId]
+  );
+
+  return result.rows[0]?.status === 'cancelled';
+}
+
+async function failExport(tenantId, jobId, message) {
+  await db.query(
+    `UPDATE fhir_export_jobs SET status = 'failed', error_message = $3
+     WHERE tenant_id = $1 AND id = $2 AND status IN ('accepted', 'in-progress')`,
+    [tenantId, jobId, message]
+  );
+}
+
+function getFileKey(job, file) {
+  return `${EXPORT_PREFIX}/${job.tenant_id}/${job.id}/${file}`;
+}
+
+/**
+ * The actor fields logAccess records, kept to audit the worker's reads
+ */
+function toRequester(actor) {
+  return {
+    userId: actor?.userId || null,
+    userType: actor?.userType || 'system',
+    role: actor?.role || null,
+    requestId: actor?.requestId,
+  };
+}
+
+function isRequester(job, actor) {
+  const requester = job.requested_by || {};
+  const caller = toRequester(actor);
+
+  return requester.userId === caller.userId && requester.userType === caller.userType;
+}
+
+module.exports = FhirExportService;
@@ -0,0 +1,1281 @@
+const PatientService = require('./patient.service');
+const ProviderService = require('./provider.service');
+const FacilityService = require('./facility.service');
+const AppointmentService = require('./appointment.service');
+const Hl7OutboundService = require('./hl7Outbound.service');
+const db = require('../config/database');
+const logger = require('../utils/logger');
+const { logAccess } = require('../utils/audit');
+const { validate, schemas } = require('../utils/validator');
+const { zonedTimeToUtc, resolveTimeZone } = require('../utils/timezone');
+const { appointmentTypes, getDefaultDuration } = require('../models/appointment.model');
+const { AppError, ConflictError, NotFoundError, ValidationError } = require('../utils/errors');
+const {
+  ACK_CODES,
+  ERROR_CONDITIONS,
+  parseMessage,
+  getSegments,
+  getSegment,
+  getRepetitions,
+  getComponent,
+  getValue,
+  getHeader,
+  parseDateTime,
+  parseDate,
+  buildAck,
+  splitSegments,
+} = require('../utils/hl7');
+
+const patientService = new PatientService();
+const providerService = new ProviderService();
+const facilityService = new FacilityService();
+const appointmentService = new AppointmentService();
+const hl7OutboundService = new Hl7OutboundService();
+
+// hl7_messages.status for each acknowledgment code
+const STATUS_BY_ACK = {
+  [ACK_CODES.ACCEPT]: 'processed',
+  [ACK_CODES.ERROR]: 'error',
+  [ACK_CODES.REJECT]: 'rejected',
+};
+
+// Conditions that reject the message as a whole (AR) rather than its content (AE)
+const REJECT_CONDITIONS = [
+  ERROR_CONDITIONS.UNSUPPORTED_MESSAGE_TYPE,
+  ERROR_CONDITIONS.UNSUPPORTED_EVENT_CODE,
+];
+
+// Where each column comes from, to locate validation errors in the ACK
+const FIELD_LOCATIONS = {
+  mrn: 'PID-3',
+  first_name: 'PID-5',
+  last_name: 'PID-5',
+  date_of_birth: 'PID-7',
+  gender: 'PID-8',
+  contact_info: 'PID-11',
+  'contact_info.email': 'PID-13',
+  'contact_info.phone': 'PID-13',
+  'contact_info.address': 'PID-11',
+  primary_diagnosis: 'DG1-3',
+  appointment_type: 'SCH-8',
+  reason: 'SCH-7',
+  scheduled_start: 'AIS-4',
+  duration_minutes: 'AIS-7',
+  priority: 'SCH-11',
+};
+
+// PID-8 administrative sex (HL7 table 0001)
+const GENDERS = {
+  M: 'male',
+  F: 'female',
+  O: 'other',
+  A: 'other',
+  U: 'unknown',
+  N: 'unknown',
+};
+
+// TQ-6 priority
+const PRIORITIES = {
+  S: 'urgent',
+  A: 'high',
+  R: 'normal',
+  P: 'normal',
+  T: 'normal',
+};
+
+// Duration units as minutes (AIS-8, SCH-10: ISO+ / ANSI+ unit codes)
+const DURATION_UNITS = {
+  s: 1 / 60,
+  min: 1,
+  m: 1,
+  h: 60,
+  hr: 60,
+};
+
+const ICD10_CODING_SYSTEMS = ['I10', 'I10C', 'ICD10', 'ICD10CM', 'ICD-10-CM'];
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// A message still marked received after this long was abandoned mid-way
+const STALE_PROCESSING_MINUTES = 5;
+
+const LIST_COLUMNS = `id, direction, message_control_id, message_type, sending_application,
+  sending_facility, status, ack_code, error_message, entity_type, entity_id, patient_id,
+  attempts, destination, created_at, updated_at, processed_at`;
+
+/**
+ * HL7 v2 inbound interface
+ *
+ * Messages are logged in hl7_messages before they are processed and
+ * acknowledged in original mode: AA when applied, AE when their content
+ * cannot be applied, AR when they cannot be processed at all (unsupported
+ * type, unparseable, internal error). Patients and appointments are written
+ * through PatientService and AppointmentService, so audit, cache and
+ * notification behaviour is the same as for the JSON and FHIR APIs.
+ *
+ * Supported messages:
+ *   ADT^A01, ADT^A04  admit / register: create the patient, or update it when
+ *                     the MRN (PID-3) is already registered
+ *   ADT^A08           update patient information
+ *   ADT^A40           merge the MRG-1 patient into the PID-3 patient
+ *   SIU^S12           book an appointment
+ *   SIU^S13, SIU^S14  reschedule / modify an appointment
+ *   SIU^S15           cancel an appointment
+ *
+ * Providers are matched on NPI (AIP-3) and facilities through the tenant's
+ * `hl7.facilities` configuration, keyed by AIL-3 facility or point of care,
+ * falling back to the provider's primary facility. Appointments are found
+ * again by the placer and filler ids (SCH-1, SCH-2) of the message that
+ * booked them, kept in hl7_identifiers. Times without an offset are read in
+ * the facility's time zone.
+ */
+class Hl7Service {
+  /**
+   * Log, apply and acknowledge one message
+   * A message whose sender and control id (MSH-10) were seen before is not
+   * applied twice: once processed, the original ACK is returned again.
+   * @returns {Object} { ack, ackCode, messageId }
+   */
+  async processMessage(tenantId, raw, actor) {
+    let message;
+
+    try {
+      message = parseMessage(raw);
+    } catch (error) {
+      return this.recordRejected(tenantId, raw, null, error);
+    }
+
+    const header = getHeader(message);
+
+    if (!header.controlId) {
+      return this.recordRejected(
+        tenantId,
+        raw,
+        header,
+        hl7Error('MSH-10', 'Message control id is required', 'REQUIRED_FIELD_MISSING')
+      );
+    }
+
+    const claim = await claimMessage(tenantId, header, raw);
+
+    if (claim.duplicate) {
+      logger.info('Duplicate HL7 message acknowledged again', {
+        tenantId,
+        messageId: claim.row.id,
+        controlId: header.controlId,
+      });
+
+      return { ack: claim.row.ack, ackCode: claim.row.ack_code, messageId: claim.row.id };
+    }
+
+    if (!claim.row) {
+      const ack = buildAck(header, ACK_CODES.REJECT, {
+        text: 'Message is already being processed',
+        errors: [
+          {
+            field: 'MSH-10',
+            condition: ERROR_CONDITIONS.DUPLICATE_KEY,
+            message: 'A message with this control id is being processed; retry later',
+          },
+        ],
+      });
+
+      return { ack, ackCode: ACK_CODES.REJECT, messageId: claim.existing.id };
+    }
+
+    return this.applyMessage(tenantId, claim.row, message, header, actor);
+  }
+
+  /**
+   * Process a logged inbound message again, or send an outbound one again,
+   * whatever its outcome was
+   * Used after fixing what made it fail, such as a missing facility mapping
+   * or an unreachable receiver.
+   * @returns {Object} The updated log entry, with its ACK
+   */
+  async replayMessage(tenantId, messageId, actor) {
+    const found = await db.query(
+      'SELECT direction FROM hl7_messages WHERE tenant_id = $1 AND id = $2',
+      [tenantId, messageId]
+    );
+
+    if (found.rows.length === 0) {
+      throw new NotFoundError('HL7 message', messageId);
+    }
+
+    if (found.rows[0].direction === 'outbound') {
+      await hl7OutboundService.resendMessage(tenantId, messageId);
+      return this.getMessage(tenantId, messageId, actor);
+    }
+
+    const claimed = await db.query(
+      `UPDATE hl7_messages
+       SET status = 'received', attempts = attempts + 1
+       WHERE tenant_id = $1 AND id = $2 AND direction = 'inbound'
+         AND (status != 'received'
+           OR updated_at < CURRENT_TIMESTAMP - make_interval(mins => $3))
+       RETURNING *`,
+      [tenantId, messageId, STALE_PROCESSING_MINUTES]
+    );
+
+    if (claimed.rows.length === 0) {
+      throw new ConflictError('Message is being processed', { messageId });
+    }
+
+    const row = claimed.rows[0];
+
+    logger.info('Replaying HL7 message', { tenantId, messageId, status: row.status });
+
+    let message;
+
+    try {
+      message = parseMessage(row.raw);
+    } catch (error) {
+      const outcome = toAckOutcome(error);
+      await finishMessage(row, buildAck(null, outcome.code, outcome), outcome, {});
+      return this.getMessage(tenantId, messageId, actor);
+    }
+
+    await this.applyMessage(tenantId, row, message, getHeader(message), actor);
+    return this.getMessage(tenantId, messageId, actor);
+  }
+
+  async listMessages(tenantId, filters, actor) {
+    const { page, limit, direction, status, messageType, controlId, entityId } = filters;
+    const { startDate, endDate } = filters;
+    const offset = (page - 1) * limit;
+
+    let query = `SELECT ${LIST_COLUMNS} FROM hl7_messages WHERE tenant_id = $1`;
+    const params = [tenantId];
+    let paramIndex = 2;
+
+    if (direction) {
+      query += ` AND direction = $${paramIndex}`;
+      params.push(direction);
+      paramIndex++;
+    }
+
+    if (status) {
+      query += ` AND status = $${paramIndex}`;
+      params.push(status);
+      paramIndex++;
+    }
+
+    if (messageType) {
+      // ADT matches every ADT event, ADT^A08 only that one
+      query += messageType.includes('^')
+        ? ` AND message_type = $${paramIndex}`
+        : ` AND split_part(message_type, '^', 1) = $${paramIndex}`;
+      params.push(messageType);
+      paramIndex++;
+    }
+
+    if (controlId) {
+      query += ` AND message_control_id = $${paramIndex}`;
+      params.push(controlId);
+      paramIndex++;
+    }
+
+    if (entityId) {
+      query += ` AND entity_id = $${paramIndex}`;
+      params.push(entityId);
+      paramIndex++;
+    }
+
+    if (startDate) {
+      query += ` AND created_at >= $${paramIndex}`;
+      params.push(startDate);
+      paramIndex++;
+    }
+
+    if (endDate) {
+      query += ` AND created_at <= $${paramIndex}`;
+      params.push(endDate);
+      paramIndex++;
+    }
+
+    const countResult = await db.query(`SELECT COUNT(*) FROM (${query}) AS filtered`, params);
+
+    query += ` ORDER BY created_at DESC LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`;
+    params.push(limit, offset);
+
+    const result = await db.query(query, params);
+    const total = parseInt(countResult.rows[0].count, 10);
+
+    await logAccess({
+      tenantId,
+      entityType: 'hl7_message',
+      action: 'SEARCH',
+      actor,
+      query: filters,
+      patientIds: result.rows.map((row) => row.patient_id),
+    });
+
+    return {
+      data: result.rows,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+      },
+    };
+  }
+
+  /**
+   * One logged message with its raw content and ACK
+   * Both are also split into segments, for reading them in the log.
+   */
+  async getMessage(tenantId, messageId, actor) {
+    const result = await db.query('SELECT * FROM hl7_messages WHERE tenant_id = $1 AND id = $2', [
+      tenantId,
+      messageId,
+    ]);
+
+    if (result.rows.length === 0) {
+      throw new NotFoundError('HL7 message', messageId);
+    }
+
+    const row = result.rows[0];
+
+    await logAccess({
+      tenantId,
+      entityType: 'hl7_message',
+      entityId: messageId,
+      action: 'READ',
+      actor,
+      patientIds: [row.patient_id],
+    });
+
+    return { ...row, segments: splitSegments(row.raw), ackSegments: splitSegments(row.ack) };
+  }
+
+  async applyMessage(tenantId, row, message, header, actor) {
+    const messageType = `${header.messageType}^${header.triggerEvent}`;
+    let outcome;
+    let result = {};
+
+    try {
+      const handle = getMessageHandler(header);
+      const config = await getInterfaceConfig(tenantId);
+
+      result = await handle({ tenantId, message, header, actor, config });
+      outcome = { code: ACK_CODES.ACCEPT };
+    } catch (error) {
+      outcome = toAckOutcome(error);
+
+      const log = outcome.code === ACK_CODES.REJECT && !error.isOperational ? 'error' : 'warn';
+      logger[log]('HL7 message not applied', {
+        tenantId,
+        messageId: row.id,
+        messageType,
+        ackCode: outcome.code,
+        error: error.message,
+      });
+    }
+
+    const ack = buildAck(header, outcome.code, outcome);
+    await finishMessage(row, ack, outcome, result);
+
+    logger.info('HL7 message processed', {
+      tenantId,
+      messageId: row.id,
+      messageType,
+      ackCode: outcome.code,
+    });
+
+    return { ack, ackCode: outcome.code, messageId: row.id };
+  }
+
+  /**
+   * Log a message that cannot be processed at all and build its AR
+   */
+  async recordRejected(tenantId, raw, header, error) {
+    const outcome = toAckOutcome(error, ACK_CODES.REJECT);
+    const ack = buildAck(header, outcome.code, outcome);
+
+    const result = await db.query(
+      `INSERT INTO hl7_messages (
+        tenant_id, message_type, sending_application, sending_facility, raw,
+        status, ack_code, ack, error_message, processed_at
+      ) VALUES ($1, $2, $3, $4, $5, 'rejected', $6, $7, $8, CURRENT_TIMESTAMP)
+      RETURNING id`,
+      [
+        tenantId,
+        header ? toMessageType(header) : null,
+        header?.sendingApplication || '',
+        header?.sendingFacility || '',
+        String(raw || ''),
+        outcome.code,
+        ack,
+        outcome.text,
+      ]
+    );
+
+    logger.warn('HL7 message rejected', { tenantId, error: error.message });
+
+    return { ack, ackCode: outcome.code, messageId: result.rows[0].id };
+  }
+}
+
+// =============================================
+// Message handlers
+// =============================================
+
+const MESSAGE_HANDLERS = {
+  'ADT^A01': (context) => savePatient(context, { create: true }),
+  'ADT^A04': (context) => savePatient(context, { create: true }),
+  'ADT^A08': (context) => savePatient(context, { create: false }),
+  'ADT^A40': mergePatients,
+  'SIU^S12': bookAppointment,
+  'SIU^S13': (context) => changeAppointment(context, { reschedule: true }),
+  'SIU^S14': (context) => changeAppointment(context, { reschedule: false }),
+  'SIU^S15': cancelAppointment,
+};
+
+function getMessageHandler(header) {
+  const messageType = toMessageType(header);
+
+  if (MESSAGE_HANDLERS[messageType]) {
+    return MESSAGE_HANDLERS[messageType];
+  }
+
+  const knownType = Object.keys(MESSAGE_HANDLERS).some((key) =>
+    key.startsWith(`${header.messageType}^`)
+  );
+
+  throw knownType
+    ? hl7Error('MSH-9.2', `Unsupported event ${messageType}`, 'UNSUPPORTED_EVENT_CODE')
+    : hl7Error('MSH-9', `Unsupported message type ${messageType}`, 'UNSUPPORTED_MESSAGE_TYPE');
+}
+
+/**
+ * ADT^A01/A04/A08: create or update the PID patient
+ * Fields absent from the message keep their stored values; contact details
+ * are merged into the stored ones.
+ */
+async function savePatient({ tenantId, message, actor }, { create }) {
+  const pid = requireSegment(message, 'PID');
+  const data = toPatientData(message, pid);
+  const existing = await patientService.findPatientByMrn(tenantId, data.mrn);
+
+  if (!existing) {
+    if (!create) {
+      throw hl7Error('PID-3', `No patient with MRN ${data.mrn}`, 'UNKNOWN_KEY');
+    }
+
+    const patient = await patientService.createPatient(
+      tenantId,
+      validate(schemas.patient, compact(data)),
+      actor
+    );
+
+    return { entityType: 'patient', entityId: patient.id, patientId: patient.id };
+  }
+
+  validate(schemas.patient, compact(data));
+
+  const updateData = compact({
+    ...data,
+    contact_info: { ...existing.contact_info, ...data.contact_info },
+  });
+
+  await patientService.updatePatient(tenantId, existing.id, updateData, actor);
+  return { entityType: 'patient', entityId: existing.id, patientId: existing.id };
+}
+
+/**
+ * ADT^A40: merge each MRG patient into the PID patient before it
+ */
+async function mergePatients({ tenantId, message, actor }) {
+  const pids = getSegments(message, 'PID');
+  const mrgs = getSegments(message, 'MRG');
+
+  if (pids.length === 0 || mrgs.length !== pids.length) {
+    throw hl7Error(
+      'MRG',
+      'Each PID segment must be followed by an MRG segment',
+      'SEGMENT_SEQUENCE'
+    );
+  }
+
+  let survivorId;
+
+  for (const [index, pid] of pids.entries()) {
+    const survivorMrn = getMrn(pid, 3, 'PID-3');
+    const mergedMrn = getMrn(mrgs[index], 1, 'MRG-1');
+    const survivor = await patientService.findPatientByMrn(tenantId, survivorMrn);
+    const merged = await patientService.findPatientByMrn(tenantId, mergedMrn);
+
+    if (!survivor) {
+      throw hl7Error('PID-3', `No patient with MRN ${survivorMrn}`, 'UNKNOWN_KEY');
+    }
+
+    if (!merged) {
+      throw hl7Error('MRG-1', `No patient with MRN ${mergedMrn}`, 'UNKNOWN_KEY');
+    }
+
+    await patientService.mergePatients(tenantId, survivor.id, merged.id, actor);
+    survivorId = survivor.id;
+  }
+
+  return { entityType: 'patient', entityId: survivorId, patientId: survivorId };
+}
+
+/**
+ * SIU^S12: book the appointment and remember its placer and filler ids
+ */
+async function bookAppointment(context) {
+  const { tenantId, message, actor } = context;
+  const sch = requireSegment(message, 'SCH');
+  const identifiers = getAppointmentIdentifiers(context, sch);
+
+  if (identifiers.length === 0) {
+    throw hl7Error(
+      'SCH-1',
+      'A placer or filler appointment id is required',
+      'REQUIRED_FIELD_MISSING'
+    );
+  }
+
+  if (await findAppointmentId(tenantId, identifiers)) {
+    throw hl7Error('SCH-1', 'This appointment was already booked', 'DUPLICATE_KEY');
+  }
+
+  const patient = await findMessagePatient(context);
+  const provider = await findMessageProvider(context);
+  const facility = await findMessageFacility(context, provider);
+  const appointmentType = getAppointmentType(context, sch);
+  const start = getStartTime(message, sch, facility);
+
+  if (!start) {
+    throw hl7Error('AIS-4', 'Appointment start time is required', 'REQUIRED_FIELD_MISSING');
+  }
+
+  const appointmentData = compact({
+    patient_id: patient.id,
+    provider_id: provider.id,
+    facility_id: facility.id,
+    appointment_type: appointmentType,
+    scheduled_start: start.toISOString(),
+    duration_minutes: getDuration(message, sch) || getDefaultDuration(appointmentType),
+    priority: PRIORITIES[getValue(sch, 11, 6)],
+    reason: getCodedText(sch, 7)?.slice(0, 500),
+  });
+
+  const appointment = await appointmentService.createAppointment(
+    tenantId,
+    validate(schemas.appointment, appointmentData),
+    actor
+  );
+
+  await saveIdentifiers(tenantId, 'appointment', identifiers, appointment.id);
+
+  return { entityType: 'appointment', entityId: appointment.id, patientId: patient.id };
+}
+
+/**
+ * SIU^S13/S14: move the appointment when its time or duration changed, and
+ * update its type and reason (S14)
+ */
+async function changeAppointment(context, { reschedule }) {
+  const { tenantId, message, actor } = context;
+  const sch = requireSegment(message, 'SCH');
+  const appointment = await findMessageAppointment(context, sch);
+  const facility = await facilityService.getFacilityById(tenantId, appointment.facility_id);
+  const start = getStartTime(message, sch, facility);
+
+  if (reschedule && !start) {
+    throw hl7Error('AIS-4', 'Appointment start time is required', 'REQUIRED_FIELD_MISSING');
+  }
+
+  const startTime = start || new Date(appointment.scheduled_start);
+  const duration = getDuration(message, sch) || appointment.duration_minutes;
+
+  if (
+    startTime.getTime() !== new Date(appointment.scheduled_start).getTime() ||
+    duration !== appointment.duration_minutes
+  ) {
+    const value = validate(schemas.appointmentReschedule, {
+      scheduled_start: startTime.toISOString(),
+      duration_minutes: duration,
+    });
+
+    await appointmentService.rescheduleAppointment(
+      tenantId,
+      appointment.id,
+      value.scheduled_start,
+      value.duration_minutes,
+      actor
+    );
+  }
+
+  if (!reschedule) {
+    const updateData = validate(
+      schemas.appointmentUpdate,
+      compact({
+        appointment_type: getValue(sch, 8) ? getAppointmentType(context, sch) : undefined,
+        reason: getCodedText(sch, 7)?.slice(0, 500),
+        priority: PRIORITIES[getValue(sch, 11, 6)],
+      })
+    );
+
+    if (Object.keys(updateData).length > 0) {
+      await appointmentService.updateAppointment(tenantId, appointment.id, updateData, actor);
+    }
+  }
+
+  return {
+    entityType: 'appointment',
+    entityId: appointment.id,
+    patientId: appointment.patient_id,
+  };
+}
+
+/**
+ * SIU^S15: cancel the appointment; one already cancelled is acknowledged
+ */
+async function cancelAppointment(context) {
+  const { tenantId, message, actor } = context;
+  const sch = requireSegment(message, 'SCH');
+  const appointment = await findMessageAppointment(context, sch);
+
+  if (appointment.status !== 'cancelled') {
+    await appointmentService.cancelAppointment(tenantId, appointment.id, actor);
+  }
+
+  return {
+    entityType: 'appointment',
+    entityId: appointment.id,
+    patientId: appointment.patient_id,
+  };
+}
+
+// =============================================
+// PID and related segments
+// =============================================
+
+/**
+ * Patient columns from PID, NK1, DG1 and IN1
+ * Only the segments present in the message contribute, so an update leaves
+ * everything else as stored.
+ */
+function toPatientData(message, pid) {
+  const mrn = getMrn(pid, 3, 'PID-3');
+  const name = pickRepetition(getRepetitions(pid, 5), 7, 'L');
+
+  if (!getComponent(name, 1) || !getComponent(name, 2)) {
+    throw hl7Error('PID-5', 'Patient family and given name are required', 'REQUIRED_FIELD_MISSING');
+  }
+
+  const birthDate = getValue(pid, 7);
+
+  if (!birthDate) {
+    throw hl7Error('PID-7', 'Date of birth is required', 'REQUIRED_FIELD_MISSING');
+  }
+
+  const dateOfBirth = parseDate(birthDate);
+
+  if (!dateOfBirth) {
+    throw hl7Error('PID-7', `Invalid date of birth '${birthDate}'`, 'DATA_TYPE');
+  }
+
+  const sex = getValue(pid, 8);
+
+  return {
+    mrn,
+    first_name: getComponent(name, 2),
+    last_name: getComponent(name, 1),
+    date_of_birth: dateOfBirth,
+    gender: sex ? GENDERS[sex.toUpperCase()] || 'unknown' : undefined,
+    contact_info: compact({
+      ...toTelecom(getRepetitions(pid, 13)),
+      address: toAddress(pickRepetition(getRepetitions(pid, 11), 7, 'H')),
+    }),
+    emergency_contact: toEmergencyContact(getSegment(message, 'NK1')),
+    insurance_info: toInsurance(getSegment(message, 'IN1')),
+    ...toDiagnoses(getSegments(message, 'DG1')),
+  };
+}
+
+/**
+ * The MRN of a CX list: the identifier typed MR, else the first one
+ */
+function getMrn(segment, field, location) {
+  const identifiers = getRepetitions(segment, field);
+  const mrn = getComponent(pickRepetition(identifiers, 5, 'MR'), 1);
+
+  if (!mrn) {
+    throw hl7Error(location, 'Medical record number is required', 'REQUIRED_FIELD_MISSING');
+  }
+
+  return mrn;
+}
+
+/**
+ * The repetition whose component has a given code, else the first
+ */
+function pickRepetition(repetitions, component, code) {
+  return (
+    repetitions.find((repetition) => getComponent(repetition, component) === code) ||
+    repetitions[0]
+  );
+}
+
+/**
+ * First email and phone number of an XTN list
+ */
+function toTelecom(repetitions) {
+  let email;
+  let phone;
+
+  for (const repetition of repetitions) {
+    const isEmail =
+      getComponent(repetition, 2) === 'NET' || getComponent(repetition, 3) === 'Internet';
+
+    if (isEmail || getComponent(repetition, 4)) {
+      email = email || getComponent(repetition, 4) || getComponent(repetition, 1);
+    } else {
+      phone = phone || toPhoneNumber(repetition);
+    }
+  }
+
+  return { email, phone };
+}
+
+/**
+ * An XTN phone number in E.164, or undefined when it cannot be read as one
+ * Numbers without a country code are taken to be North American.
+ */
+function toPhoneNumber(repetition) {
+  const countryCode = getComponent(repetition, 5);
+  const local = [getComponent(repetition, 6), getComponent(repetition, 7)].filter(Boolean).join('');
+  const formatted = getComponent(repetition, 1) || '';
+  const digits = (local || formatted).replace(/\D/g, '');
+
+  let number;
+
+  if (countryCode) {
+    number = `+${countryCode.replace(/\D/g, '')}${digits}`;
+  } else if (!local && formatted.trim().startsWith('+')) {
+    number = `+${digits}`;
+  } else if (digits.length === 10) {
+    number = `+1${digits}`;
+  } else if (digits.length === 11 && digits.startsWith('1')) {
+    number = `+${digits}`;
+  }
+
+  return number && /^\+[1-9]\d{1,14}$/.test(number) ? number : undefined;
+}
+
+/**
+ * XAD as the FHIR-style address kept in contact_info
+ */
+function toAddress(repetition) {
+  if (!repetition) {
+    return undefined;
+  }
+
+  const line = [getComponent(repetition, 1), getComponent(repetition, 2)].filter(Boolean);
+
+  const address = compact({
+    line: line.length > 0 ? line : undefined,
+    city: getComponent(repetition, 3),
+    state: getComponent(repetition, 4),
+    postalCode: getComponent(repetition, 5),
+    country: getComponent(repetition, 6),
+  });
+
+  return Object.keys(address).length > 0 ? address : undefined;
+}
+
+function toEmergencyContact(nk1) {
+  const name = getRepetitions(nk1, 2)[0];
+
+  if (!name) {
+    return undefined;
+  }
+
+  return compact({
+    name: [getComponent(name, 2), getComponent(name, 1)].filter(Boolean).join(' ') || undefined,
+    relationship: getCodedText(nk1, 3),
+    ...toTelecom(getRepetitions(nk1, 5)),
+  });
+}
+
+function toInsurance(in1) {
+  if (!in1) {
+    return undefined;
+  }
+
+  const insurance = compact({
+    payer: getValue(in1, 4),
+    plan_name: getCodedText(in1, 2),
+    group_number: getValue(in1, 8),
+    member_id: getValue(in1, 36),
+  });
+
+  return Object.keys(insurance).length > 0 ? insurance : undefined;
+}
+
+/**
+ * primary_diagnosis and icd10_codes from DG1 segments; the primary diagnosis
+ * is the one ranked 1 (DG1-15), else the first
+ */
+function toDiagnoses(dg1s) {
+  if (dg1s.length === 0) {
+    return {};
+  }
+
+  const primary = dg1s.find((dg1) => getValue(dg1, 15) === '1') || dg1s[0];
+  const icd10Codes = dg1s
+    .filter((dg1) =>
+      ICD10_CODING_SYSTEMS.includes((getValue(dg1, 3, 3) || '').toUpperCase().replace(/\s/g, ''))
+    )
+    .map((dg1) => getValue(dg1, 3, 1))
+    .filter(Boolean);
+
+  return {
+    primary_diagnosis: (getCodedText(primary, 3) || getValue(primary, 4))?.slice(0, 255),
+    icd10_codes: icd10Codes.length > 0 ? [...new Set(icd10Codes)] : undefined,
+  };
+}
+
+// =============================================
+// SCH and resource segments
+// =============================================
+
+/**
+ * Placer and filler appointment ids (SCH-1, SCH-2) as { namespace, identifier }
+ * An EI without an assigning authority belongs to the sending application.
+ */
+function getAppointmentIdentifiers({ header }, sch) {
+  return [1, 2]
+    .map((field) => ({
+      namespace: getValue(sch, field, 2) || header.sendingApplication || '',
+      identifier: getValue(sch, field, 1),
+    }))
+    .filter((id) => id.identifier);
+}
+
+async function findAppointmentId(tenantId, identifiers) {
+  const result = await db.query(
+    `SELECT entity_id FROM hl7_identifiers
+     WHERE tenant_id = $1 AND entity_type = 'appointment'
+       AND (namespace, identifier) IN (
+         SELECT * FROM unnest($2::varchar[], $3::varchar[])
+       )
+     LIMIT 1`,
+    [tenantId, identifiers.map((id) => id.namespace), identifiers.map((id) => id.identifier)]
+  );
+
+  return result.rows[0]?.entity_id || null;
+}
+
+async function saveIdentifiers(tenantId, entityType, identifiers, entityId) {
+  for (const { namespace, identifier } of identifiers) {
+    await db.query(
+      `INSERT INTO hl7_identifiers (tenant_id, entity_type, namespace, identifier, entity_id)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (tenant_id, entity_type, namespace, identifier) DO NOTHING`,
+      [tenantId, entityType, namespace, identifier, entityId]
+    );
+  }
+}
+
+/**
+ * The appointment a message refers to: one booked over HL7 by its placer or
+ * filler id, or one of ours whose id the sender uses as filler id
+ */
+async function findMessageAppointment(context, sch) {
+  const { tenantId } = context;
+  const identifiers = getAppointmentIdentifiers(context, sch);
+  const fillerId = getValue(sch, 2);
+
+  let appointmentId = identifiers.length > 0 && (await findAppointmentId(tenantId, identifiers));
+
+  if (!appointmentId && fillerId && UUID_PATTERN.test(fillerId)) {
+    appointmentId = fillerId;
+  }
+
+  const appointment =
+    appointmentId && (await appointmentService.getAppointmentById(tenantId, appointmentId));
+
+  if (!appointment) {
+    throw hl7Error('SCH-1', 'No appointment with this placer or filler id', 'UNKNOWN_KEY');
+  }
+
+  return appointment;
+}
+
+async function findMessagePatient({ tenantId, message }) {
+  const pid = requireSegment(message, 'PID');
+  const mrn = getMrn(pid, 3, 'PID-3');
+  const patient = await patientService.findPatientByMrn(tenantId, mrn);
+
+  if (!patient) {
+    throw hl7Error(
+      'PID-3',
+      `No patient with MRN ${mrn}; register it with ADT first`,
+      'UNKNOWN_KEY'
+    );
+  }
+
+  return patient;
+}
+
+/**
+ * The provider of the first AIP segment whose personnel id (AIP-3) is the
+ * NPI of one of ours
+ */
+async function findMessageProvider({ tenantId, message }) {
+  const npis = getSegments(message, 'AIP')
+    .map((aip) => getValue(aip, 3))
+    .filter(Boolean);
+
+  if (npis.length === 0) {
+    throw hl7Error(
+      'AIP-3',
+      'An AIP segment with the provider NPI is required',
+      'REQUIRED_FIELD_MISSING'
+    );
+  }
+
+  for (const npi of npis) {
+    const provider = await providerService.findProviderByNpi(tenantId, npi);
+
+    if (provider) {
+      return provider;
+    }
+  }
+
+  throw hl7Error('AIP-3', `No provider with NPI ${npis.join(', ')}`, 'UNKNOWN_KEY');
+}
+
+/**
+ * The facility of the AIL location: mapped in the tenant's hl7.facilities
+ * configuration by facility (AIL-3.4) or point of care (AIL-3.1), else the
+ * provider's primary facility
+ */
+async function findMessageFacility({ tenantId, message, config }, provider) {
+  const locations = getSegments(message, 'AIL').flatMap((ail) => [
+    getValue(ail, 3, 4),
+    getValue(ail, 3, 1),
+  ]);
+
+  const mapped = locations.filter(Boolean).map((code) => config.facilities?.[code]);
+  const facilityId = mapped.find(Boolean) || (await getPrimaryFacilityId(provider));
+
+  const facility = facilityId && (await facilityService.getFacilityById(tenantId, facilityId));
+
+  if (!facility) {
+    throw hl7Error('AIL-3', 'The appointment location is not mapped to a facility', 'UNKNOWN_KEY');
+  }
+
+  return facility;
+}
+
+async function getPrimaryFacilityId(provider) {
+  const result = await db.query(
+    `SELECT facility_id FROM provider_facilities
+     WHERE provider_id = $1
+     ORDER BY is_primary DESC NULLS LAST
+     LIMIT 1`,
+    [provider.id]
+  );
+
+  return result.rows[0]?.facility_id || null;
+}
+
+/**
+ * SCH-8 as one of our appointment types: mapped in hl7.appointmentTypes,
+ * else the code or text when it names a type, else 'other'
+ */
+function getAppointmentType({ config }, sch) {
+  const code = getValue(sch, 8, 1);
+  const text = getValue(sch, 8, 2);
+  const mapped = config.appointmentTypes?.[code] || config.appointmentTypes?.[text];
+
+  if (mapped) {
+    return mapped;
+  }
+
+  const named = [code, text]
+    .filter(Boolean)
+    .map((value) => value.toLowerCase())
+    .find((value) => appointmentTypes[value]);
+
+  return named || 'other';
+}
+
+/**
+ * Start time from AIS-4, falling back to the resource segments and SCH-11.4
+ * Times without an offset are wall-clock times at the facility.
+ * @returns {Date|null}
+ */
+function getStartTime(message, sch, facility) {
+  const candidates = [
+    ...getSegments(message, 'AIS').map((ais) => ['AIS-4', getValue(ais, 4)]),
+    ...getSegments(message, 'AIG').map((aig) => ['AIG-8', getValue(aig, 8)]),
+    ...getSegments(message, 'AIL').map((ail) => ['AIL-6', getValue(ail, 6)]),
+    ...getSegments(message, 'AIP').map((aip) => ['AIP-6', getValue(aip, 6)]),
+    ['SCH-11', getValue(sch, 11, 4)],
+  ];
+
+  const [location, value] = candidates.find(([, candidate]) => candidate) || [];
+
+  if (!value) {
+    return null;
+  }
+
+  const parts = parseDateTime(value);
+
+  if (!parts) {
+    throw hl7Error(location, `Invalid start time '${value}'`, 'DATA_TYPE');
+  }
+
+  if (parts.offsetMinutes !== null) {
+    return new Date(
+      Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) -
+        parts.offsetMinutes * 60000
+    );
+  }
+
+  return zonedTimeToUtc(parts, resolveTimeZone(facility?.timezone));
+}
+
+/**
+ * Duration in minutes from AIS-7/8, SCH-9/10 or SCH-11.3 (e.g. M30, H1)
+ * @returns {Number|undefined}
+ */
+function getDuration(message, sch) {
+  const ais = getSegments(message, 'AIS').find((segment) => getValue(segment, 7));
+  const candidates = [
+    ais && ['AIS-7', getValue(ais, 7), getValue(ais, 8)],
+    ['SCH-9', getValue(sch, 9), getValue(sch, 10)],
+  ].filter((candidate) => candidate && candidate[1]);
+
+  if (candidates.length > 0) {
+    const [location, amount, units] = candidates[0];
+    const perUnit = DURATION_UNITS[(units || 'min').toLowerCase()];
+
+    if (!perUnit || !/^\d+(\.\d+)?$/.test(amount)) {
+      throw hl7Error(location, `Unsupported duration '${amount} ${units || ''}'`, 'DATA_TYPE');
+    }
+
+    return Math.round(Number(amount) * perUnit);
+  }
+
+  const quantity = /^([SMH])(\d+)$/.exec(getValue(sch, 11, 3) || '');
+
+  if (quantity) {
+    return Math.round(Number(quantity[2]) * DURATION_UNITS[quantity[1].toLowerCase()]);
+  }
+
+  return undefined;
+}
+
+// =============================================
+// Log and acknowledgment
+// =============================================
+
+/**
+ * Take a new message for processing, or find the earlier one with the same
+ * sender and control id
+ * @returns {Object} { row } to process, { row, duplicate } for one already
+ *   processed, or { existing } for one still being processed
+ */
+async function claimMessage(tenantId, header, raw) {
+  const values = [
+    tenantId,
+    header.controlId,
+    toMessageType(header),
+    header.sendingApplication || '',
+    header.sendingFacility || '',
+    raw,
+  ];
+
+  const inserted = await db.query(
+    `INSERT INTO hl7_messages (
+      tenant_id, message_control_id, message_type, sending_application, sending_facility, raw
+    ) VALUES ($1, $2, $3, $4, $5, $6)
+    ON CONFLICT (tenant_id, direction, sending_application, sending_facility, message_control_id)
+      WHERE message_control_id IS NOT NULL
+      DO NOTHING
+    RETURNING *`,
+    values
+  );
+
+  if (inserted.rows.length > 0) {
+    return { row: inserted.rows[0] };
+  }
+
+  // Seen before: send a processed message's ACK again, retry a failed or
+  // abandoned one
+  const retried = await db.query(
+    `UPDATE hl7_messages
+     SET status = 'received', raw = $6, message_type = $3, attempts = attempts + 1
+     WHERE tenant_id = $1 AND direction = 'inbound' AND message_control_id = $2
+       AND sending_application = $4 AND sending_facility = $5
+       AND (status IN ('error', 'rejected')
+         OR updated_at < CURRENT_TIMESTAMP - make_interval(mins => $7))
+     RETURNING *`,
+    [...values, STALE_PROCESSING_MINUTES]
+  );
+
+  if (retried.rows.length > 0) {
+    return { row: retried.rows[0] };
+  }
+
+  const existing = await db.query(
+    `SELECT * FROM hl7_messages
+     WHERE tenant_id = $1 AND direction = 'inbound' AND message_control_id = $2
+       AND sending_application = $3 AND sending_facility = $4`,
+    [tenantId, header.controlId, values[3], values[4]]
+  );
+
+  const row = existing.rows[0];
+  return row.status === 'processed' ? { row, duplicate: true } : { existing: row };
+}
+
+async function finishMessage(row, ack, outcome, result) {
+  await db.query(
+    `UPDATE hl7_messages
+     SET status = $3, ack_code = $4, ack = $5, error_message = $6,
+         entity_type = COALESCE($7, entity_type), entity_id = COALESCE($8, entity_id),
+         patient_id = COALESCE($9, patient_id), processed_at = CURRENT_TIMESTAMP
+     WHERE tenant_id = $1 AND id = $2`,
+    [
+      row.tenant_id,
+      row.id,
+      STATUS_BY_ACK[outcome.code],
+      outcome.code,
+      ack,
+      outcome.code === ACK_CODES.ACCEPT ? null : outcome.text,
+      result.entityType || null,
+      result.entityId || null,
+      result.patientId || null,
+    ]
+  );
+}
+
+/**
+ * The acknowledgment for an error: its code, MSA text and ERR segments
+ * @param {String} code - Force AR, for messages that could not be read
+ */
+function toAckOutcome(error, code = null) {
+  if (error instanceof ValidationError) {
+    const errors = (error.details?.errors || []).map((item) => ({
+      field: FIELD_LOCATIONS[item.field] || item.field,
+      condition: item.condition || ERROR_CONDITIONS.DATA_TYPE,
+      message: item.message,
+    }));
+
+    const rejected = errors.some((item) => REJECT_CONDITIONS.includes(item.condition));
+
+    return {
+      code: code || (rejected ? ACK_CODES.REJECT : ACK_CODES.ERROR),
+      text: error.message,
+      errors:
+        errors.length > 0
+          ? errors
+          : [{ condition: ERROR_CONDITIONS.DATA_TYPE, message: error.message }],
+    };
+  }
+
+  if (error instanceof NotFoundError) {
+    return {
+      code: code || ACK_CODES.ERROR,
+      text: error.message,
+      errors: [{ condition: ERROR_CONDITIONS.UNKNOWN_KEY, message: error.message }],
+    };
+  }
+
+  // Unique violations are duplicates that raced past the services' checks
+  if (error instanceof ConflictError || error.code === '23505') {
+    const field = error.details?.field;
+
+    return {
+      code: code || ACK_CODES.ERROR,
+      text: error.message,
+      errors: [
+        {
+          field: FIELD_LOCATIONS[field],
+          condition:
+            field || error.code === '23505'
+              ? ERROR_CONDITIONS.DUPLICATE_KEY
+              : ERROR_CONDITIONS.INTERNAL_ERROR,
+          message: error instanceof ConflictError ? error.message : 'Duplicate record',
+        },
+      ],
+    };
+  }
+
+  if (error instanceof AppError) {
+    return {
+      code: code || ACK_CODES.ERROR,
+      text: error.message,
+      errors: [{ condition: ERROR_CONDITIONS.INTERNAL_ERROR, message: error.message }],
+    };
+  }
+
+  // Not the sender's fault: AR tells it to send the message again later
+  return {
+    code: ACK_CODES.REJECT,
+    text: 'Internal error',
+    errors: [{ condition: ERROR_CONDITIONS.INTERNAL_ERROR, message: 'Internal error' }],
+  };
+}
+
+/**
+ * The tenant's `hl7` configuration: { facilities, appointmentTypes } maps
+ * from the codes senders use to our facility ids and appointment types
+ */
+async function getInterfaceConfig(tenantId) {
+  const result = await db.query('SELECT configuration FROM tenants WHERE id = $1', [tenantId]);
+  return result.rows[0]?.configuration?.hl7 || {};
+}
+
+// =============================================
+// Helpers
+// =============================================
+
+function requireSegment(message, name) {
+  const segment = getSegment(message, name);
+
+  if (!segment) {
+    throw hl7Error(name, `${name} segment is required`, 'SEGMENT_SEQUENCE');
+  }
+
+  return segment;
+}
+
+/**
+ * Text of a CE/CWE field: its text (component 2), else its code
+ */
+function getCodedText(segment, field) {
+  return getValue(segment, field, 2) || getValue(segment, field, 1);
+}
+
+function toMessageType(header) {
+  return [header.messageType, header.triggerEvent].filter(Boolean).join('^') || null;
+}
+
+/**
+ * A content error located in the message, acknowledged in an ERR segment
+ * @param {String} field - HL7 location, e.g. 'PID-3'
+ * @param {String} condition - Key of ERROR_CONDITIONS
+ */
+function hl7Error(field, message, condition) {
+  return new ValidationError(message, {
+    errors: [{ field, message, condition: ERROR_CONDITIONS[condition] }],
+  });
+}
+
+function compact(data) {
+  return Object.fromEntries(
+    Object.entries(data).filter(([, value]) => value !== undefined && value !== null)
+  );
+}
+
+module.exports = Hl7Service;
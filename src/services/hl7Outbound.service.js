@@ -0,0 +1,697 @@
+const net = require('net');
+const db = require('../config/database');
+const logger = require('../utils/logger');
+const { publishToQueue, QUEUES } = require('../config/queue');
+const { ConflictError } = require('../utils/errors');
+const { appointmentTypes } = require('../models/appointment.model');
+const {
+  HL7_CONTENT_TYPE,
+  parseMessage,
+  getSegment,
+  getValue,
+  serializeMessage,
+  formatDate,
+  formatDateTime,
+  createControlId,
+  getAckCode,
+  frameMllp,
+  readMllpFrames,
+} = require('../utils/hl7');
+
+const HL7_VERSION = '2.5.1';
+const DEFAULT_SENDING_APPLICATION = 'CHRONICCARE';
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_MAX_ATTEMPTS = 10;
+
+// A delivery attempt that has not finished in this long was abandoned
+const STALE_SENDING_MINUTES = 5;
+
+// Message types the feed can send; hl7.outbound.messageTypes narrows them
+const MESSAGE_TYPES = ['SIU', 'RDE'];
+
+// MSA-1 codes meaning the receiver took the message, in original or enhanced mode
+const ACCEPTED_ACK_CODES = ['AA', 'CA'];
+const ACK_CODE_VALUES = ['AA', 'AE', 'AR', 'CA', 'CE', 'CR'];
+
+// SCH-6 event reason by SIU trigger event
+const EVENT_REASONS = {
+  S12: 'Booked',
+  S13: 'Rescheduled',
+  S14: 'Modified',
+  S15: 'Cancelled',
+};
+
+// SCH-25 filler status code (HL7 table 0278)
+const FILLER_STATUSES = {
+  scheduled: 'Booked',
+  confirmed: 'Booked',
+  arrived: 'Started',
+  'in-progress': 'Started',
+  completed: 'Complete',
+  cancelled: 'Cancelled',
+  'no-show': 'Noshow',
+};
+
+// PID-8 administrative sex (HL7 table 0001)
+const GENDER_CODES = {
+  male: 'M',
+  female: 'F',
+  other: 'O',
+  unknown: 'U',
+};
+
+// TQ-6 priority
+const PRIORITY_CODES = {
+  urgent: 'S',
+  high: 'A',
+  normal: 'R',
+  low: 'R',
+};
+
+// ORC-5 order status (HL7 table 0038)
+const ORDER_STATUSES = {
+  active: 'IP',
+  'on-hold': 'HD',
+  discontinued: 'DC',
+  completed: 'CM',
+};
+
+// RXR-1 route of administration (HL7 table 0162)
+const ROUTES = {
+  oral: 'PO',
+  sublingual: 'SL',
+  subcutaneous: 'SC',
+  intramuscular: 'IM',
+  intravenous: 'IV',
+  topical: 'TP',
+  transdermal: 'TD',
+  inhalation: 'IH',
+  nasal: 'NS',
+  ophthalmic: 'OP',
+  otic: 'OT',
+  rectal: 'PR',
+};
+
+/**
+ * HL7 v2 outbound feed
+ *
+ * Sends appointment changes as SIU (S12 booked, S13 rescheduled, S14
+ * modified, S15 cancelled) and medication orders as RDE^O11 (ORC-1 NW new,
+ * XO changed, DC discontinued) to the system in the tenant's `hl7.outbound`
+ * configuration, over MLLP or HTTP.
+ *
+ * AppointmentService and MedicationService log the message inside the
+ * transaction that makes the change, so it is rendered from the changed data
+ * and exists only if the change commits, and publish it to hl7.outbound once
+ * committed. The hl7OutboundProcessor worker delivers it. A delivery that
+ * fails, or that the receiver does not accept (MSA-1 other than AA or CA), is
+ * retried through hl7.outbound.retry until `maxAttempts`; the message is then
+ * marked failed and dead-lettered to hl7.outbound.dlq. Messages are resent
+ * from the message log with POST /api/v1/hl7/messages/{id}/replay.
+ */
+class Hl7OutboundService {
+  /**
+   * Log the SIU message for an appointment change
+   * @param {Object} client - Client of the transaction making the change
+   * @param {String} trigger - S12, S13, S14 or S15
+   * @returns {String|null} The message id to publish after commit, or null
+   *   when the tenant has no SIU feed
+   */
+  async logAppointmentMessage(client, tenantId, appointment, trigger) {
+    const config = await getOutboundConfig(client, tenantId, 'SIU');
+
+    if (!config) {
+      return null;
+    }
+
+    const patient = await loadRow(client, 'patients', tenantId, appointment.patient_id);
+    const provider = await loadRow(client, 'providers', tenantId, appointment.provider_id);
+    const facility = await loadRow(client, 'facilities', tenantId, appointment.facility_id);
+
+    return logMessage(client, tenantId, config, {
+      messageType: ['SIU', trigger, 'SIU_S12'],
+      segments: [
+        toSch(config, appointment, trigger),
+        toPid(patient),
+        toAis(config, appointment),
+        ['AIL', '1', '', toLocation(config, facility)],
+        ['AIP', '1', '', toProviderName(provider)],
+      ],
+      entityType: 'appointment',
+      entityId: appointment.id,
+      patientId: appointment.patient_id,
+    });
+  }
+
+  /**
+   * Log the RDE^O11 message for a medication order change
+   * @param {String} orderControl - ORC-1: NW, XO or DC
+   * @returns {String|null} The message id to publish after commit, or null
+   *   when the tenant has no RDE feed
+   */
+  async logMedicationMessage(client, tenantId, medication, orderControl) {
+    const config = await getOutboundConfig(client, tenantId, 'RDE');
+
+    if (!config) {
+      return null;
+    }
+
+    const patient = await loadRow(client, 'patients', tenantId, medication.patient_id);
+    const provider = await loadRow(
+      client,
+      'providers',
+      tenantId,
+      medication.prescribing_provider_id
+    );
+
+    return logMessage(client, tenantId, config, {
+      messageType: ['RDE', 'O11', 'RDE_O11'],
+      segments: [
+        toPid(patient),
+        toOrc(config, medication, orderControl, provider),
+        toRxo(medication),
+        toRxe(medication),
+        ['RXR', toRoute(medication.route)],
+      ],
+      entityType: 'medication',
+      entityId: medication.id,
+      patientId: medication.patient_id,
+    });
+  }
+
+  /**
+   * Queue a logged message for delivery
+   * Called once the change is committed. A message that cannot be published
+   * stays pending and is sent by resending it from the message log.
+   */
+  async publishMessage(tenantId, messageId) {
+    if (!messageId) {
+      return;
+    }
+
+    try {
+      await publishToQueue(QUEUES.HL7_OUTBOUND, { tenantId, messageId }, { messageId });
+    } catch (error) {
+      logger.error('HL7 message left pending', { tenantId, messageId, error: error.message });
+    }
+  }
+
+  /**
+   * Send one queued message and record the receiver's ACK
+   * A message already sent, failed or being sent by another worker is left
+   * alone, so a redelivered queue message does not send it twice.
+   * @returns {Object|null} { status, ackCode }, or null when there was nothing to send
+   */
+  async deliverMessage(tenantId, messageId) {
+    const claimed = await db.query(
+      `UPDATE hl7_messages
+       SET status = 'sending', attempts = attempts + 1
+       WHERE tenant_id = $1 AND id = $2 AND direction = 'outbound'
+         AND (status IN ('pending', 'error')
+           OR (status = 'sending'
+             AND updated_at < CURRENT_TIMESTAMP - make_interval(mins => $3)))
+       RETURNING *`,
+      [tenantId, messageId, STALE_SENDING_MINUTES]
+    );
+
+    if (claimed.rows.length === 0) {
+      logger.info('HL7 message not pending, skipped', { tenantId, messageId });
+      return null;
+    }
+
+    const row = claimed.rows[0];
+    const config = await getOutboundConfig(db, tenantId);
+
+    if (!config) {
+      return failDelivery(row, {
+        retry: false,
+        error: 'The outbound HL7 interface is not enabled',
+      });
+    }
+
+    const outbound = config.outbound;
+    const destination = toDestination(outbound);
+    const retry = row.attempts < (outbound.maxAttempts || DEFAULT_MAX_ATTEMPTS);
+    let ack;
+
+    try {
+      ack = await sendMessage(outbound, row.raw);
+    } catch (error) {
+      return failDelivery(row, { retry, destination, error: error.message });
+    }
+
+    const ackCode = getAckCode(ack);
+
+    if (!ACCEPTED_ACK_CODES.includes(ackCode)) {
+      return failDelivery(row, {
+        retry,
+        destination,
+        ack,
+        ackCode,
+        error: describeAck(ack, ackCode),
+      });
+    }
+
+    await saveDelivery(row, { status: 'sent', destination, ack, ackCode });
+
+    logger.info('HL7 message sent', {
+      tenantId,
+      messageId,
+      messageType: row.message_type,
+      destination,
+      ackCode,
+    });
+
+    return { status: 'sent', ackCode };
+  }
+
+  /**
+   * Queue a logged outbound message again, with a fresh set of attempts
+   * @throws {ConflictError} When it is being sent right now
+   */
+  async resendMessage(tenantId, messageId) {
+    const result = await db.query(
+      `UPDATE hl7_messages
+       SET status = 'pending', attempts = 0, error_message = NULL
+       WHERE tenant_id = $1 AND id = $2 AND direction = 'outbound'
+         AND (status != 'sending'
+           OR updated_at < CURRENT_TIMESTAMP - make_interval(mins => $3))
+       RETURNING id`,
+      [tenantId, messageId, STALE_SENDING_MINUTES]
+    );
+
+    if (result.rows.length === 0) {
+      throw new ConflictError('Message is being sent', { messageId });
+    }
+
+    logger.info('Resending HL7 message', { tenantId, messageId });
+
+    await publishToQueue(QUEUES.HL7_OUTBOUND, { tenantId, messageId }, { messageId });
+  }
+}
+
+// =============================================
+// Log and delivery
+// =============================================
+
+/**
+ * The tenant's HL7 configuration when its outbound feed is enabled, and
+ * sends messageType when one is given
+ * @param {Object} client - Transaction client, or db outside one
+ */
+async function getOutboundConfig(client, tenantId, messageType = null) {
+  const result = await client.query('SELECT configuration FROM tenants WHERE id = $1', [
+    tenantId,
+  ]);
+  const config = result.rows[0]?.configuration?.hl7;
+
+  if (!config?.outbound?.enabled) {
+    return null;
+  }
+
+  if (messageType && !(config.outbound.messageTypes || MESSAGE_TYPES).includes(messageType)) {
+    return null;
+  }
+
+  return config;
+}
+
+async function loadRow(client, table, tenantId, id) {
+  const result = await client.query(`SELECT * FROM ${table} WHERE tenant_id = $1 AND id = $2`, [
+    tenantId,
+    id,
+  ]);
+
+  return result.rows[0] || {};
+}
+
+async function logMessage(client, tenantId, config, message) {
+  const { messageType, segments, entityType, entityId, patientId } = message;
+  const outbound = config.outbound;
+  const controlId = createControlId();
+  const sendingApplication = outbound.sendingApplication || DEFAULT_SENDING_APPLICATION;
+  const sendingFacility = outbound.sendingFacility || '';
+
+  const raw = serializeMessage([
+    [
+      'MSH',
+      sendingApplication,
+      sendingFacility,
+      outbound.receivingApplication || '',
+      outbound.receivingFacility || '',
+      formatDateTime(),
+      '',
+      messageType,
+      controlId,
+      outbound.processingId || 'P',
+      HL7_VERSION,
+    ],
+    ...segments,
+  ]);
+
+  const result = await client.query(
+    `INSERT INTO hl7_messages (
+      tenant_id, direction, message_control_id, message_type, sending_application,
+      sending_facility, raw, status, attempts, entity_type, entity_id, patient_id
+    ) VALUES ($1, 'outbound', $2, $3, $4, $5, $6, 'pending', 0, $7, $8, $9)
+    RETURNING id`,
+    [
+      tenantId,
+      controlId,
+      `${messageType[0]}^${messageType[1]}`,
+      sendingApplication,
+      sendingFacility,
+      raw,
+      entityType,
+      entityId,
+      patientId,
+    ]
+  );
+
+  return result.rows[0].id;
+}
+
+/**
+ * Record a failed attempt and queue the next one, or give up
+ */
+async function failDelivery(row, { retry, destination, ack, ackCode, error }) {
+  const status = retry ? 'error' : 'failed';
+  const message = { tenantId: row.tenant_id, messageId: row.id };
+
+  await saveDelivery(row, { status, destination, ack, ackCode, error });
+
+  if (retry) {
+    logger.warn('HL7 delivery failed, will retry', { ...message, attempts: row.attempts, error });
+    await publishToQueue(QUEUES.HL7_OUTBOUND_RETRY, message, { messageId: row.id });
+  } else {
+    logger.error('HL7 delivery failed, giving up', { ...message, attempts: row.attempts, error });
+    await publishToQueue(QUEUES.HL7_OUTBOUND_DLQ, message, { messageId: row.id });
+  }
+
+  return { status, ackCode: ackCode || null };
+}
+
+async function saveDelivery(row, { status, destination, ack, ackCode, error }) {
+  await db.query(
+    `UPDATE hl7_messages
+     SET status = $3, destination = COALESCE($4, destination), ack = $5, ack_code = $6,
+         error_message = $7, processed_at = CURRENT_TIMESTAMP
+     WHERE tenant_id = $1 AND id = $2`,
+    [
+      row.tenant_id,
+      row.id,
+      status,
+      destination || null,
+      ack || null,
+      ACK_CODE_VALUES.includes(ackCode) ? ackCode : null,
+      error || null,
+    ]
+  );
+}
+
+function toDestination(outbound) {
+  return outbound.transport === 'http' ? outbound.url : `mllp://${outbound.host}:${outbound.port}`;
+}
+
+/**
+ * Send a message and wait for its ACK
+ * @returns {String} The ACK
+ */
+async function sendMessage(outbound, raw) {
+  const timeoutMs = outbound.timeoutMs || DEFAULT_TIMEOUT_MS;
+
+  if (outbound.transport === 'http') {
+    return postMessage(outbound, raw, timeoutMs);
+  }
+
+  if (outbound.transport === 'mllp') {
+    return sendMllp(outbound, raw, timeoutMs);
+  }
+
+  throw new Error(`Unsupported HL7 transport '${outbound.transport}'`);
+}
+
+async function postMessage({ url, headers }, raw, timeoutMs) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { ...headers, 'Content-Type': HL7_CONTENT_TYPE },
+    body: raw,
+    signal: AbortSignal.timeout(timeoutMs),
+  });
+
+  if (!response.ok) {
+    throw new Error(`Receiver returned HTTP ${response.status}`);
+  }
+
+  return response.text();
+}
+
+function sendMllp({ host, port }, raw, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const socket = net.createConnection({ host, port });
+    let buffer = '';
+
+    socket.setEncoding('utf8');
+    socket.setTimeout(timeoutMs, () => {
+      socket.destroy(new Error(`No ACK from ${host}:${port} within ${timeoutMs} ms`));
+    });
+
+    socket.on('connect', () => socket.write(frameMllp(raw)));
+
+    socket.on('data', (chunk) => {
+      const { messages, rest } = readMllpFrames(buffer + chunk);
+      buffer = rest;
+
+      if (messages.length > 0) {
+        socket.end();
+        resolve(messages[0]);
+      }
+    });
+
+    // No-ops once the ACK has resolved the promise
+    socket.on('error', reject);
+    socket.on('close', () => reject(new Error(`${host}:${port} closed the connection`)));
+  });
+}
+
+/**
+ * Why the receiver did not accept a message: MSA-3, else the first ERR-8
+ */
+function describeAck(ack, ackCode) {
+  try {
+    const message = parseMessage(ack);
+    const text = getValue(getSegment(message, 'MSA'), 3) || getValue(getSegment(message, 'ERR'), 8);
+
+    return `Receiver answered ${ackCode}${text ? `: ${text}` : ''}`;
+  } catch (error) {
+    return 'Receiver answered with something other than an ACK';
+  }
+}
+
+// =============================================
+// Segments
+// =============================================
+
+function toPid(patient) {
+  const contact = patient.contact_info || {};
+  const address = contact.address || {};
+  const lines = Array.isArray(address.line) ? address.line : [address.line];
+
+  return [
+    'PID',
+    '1',
+    '',
+    [patient.mrn, '', '', '', 'MR'],
+    '',
+    [patient.last_name, patient.first_name],
+    '',
+    formatDate(patient.date_of_birth),
+    GENDER_CODES[patient.gender] || '',
+    '',
+    '',
+    [lines[0], lines[1], address.city, address.state, address.postalCode, address.country],
+    '',
+    contact.phone ? [contact.phone, 'PRN', 'PH'] : '',
+  ];
+}
+
+function toSch(config, appointment, trigger) {
+  const start = new Date(appointment.scheduled_start);
+  const end = new Date(appointment.scheduled_end);
+  const type = appointment.appointment_type;
+
+  return [
+    'SCH',
+    '',
+    [appointment.id, config.outbound.sendingApplication || DEFAULT_SENDING_APPLICATION],
+    '',
+    '',
+    '',
+    ['', EVENT_REASONS[trigger]],
+    ['', appointment.reason],
+    [findCode(config.appointmentTypes, type) || type, appointmentTypes[type]?.name],
+    String(appointment.duration_minutes),
+    'min',
+    [
+      '',
+      '',
+      `M${appointment.duration_minutes}`,
+      formatDateTime(start),
+      formatDateTime(end),
+      PRIORITY_CODES[appointment.priority] || 'R',
+    ],
+    '',
+    '',
+    '',
+    '',
+    '',
+    '',
+    '',
+    '',
+    '',
+    '',
+    '',
+    '',
+    '',
+    FILLER_STATUSES[appointment.status] || '',
+  ];
+}
+
+function toAis(config, appointment) {
+  const type = appointment.appointment_type;
+
+  return [
+    'AIS',
+    '1',
+    '',
+    [findCode(config.appointmentTypes, type) || type, appointmentTypes[type]?.name],
+    formatDateTime(new Date(appointment.scheduled_start)),
+    '',
+    '',
+    String(appointment.duration_minutes),
+    'min',
+  ];
+}
+
+/**
+ * AIL-3 for a facility: its code in the tenant's hl7.facilities mapping,
+ * the same one inbound SIU messages use, else its id
+ */
+function toLocation(config, facility) {
+  const code = findCode(config.facilities, facility.id) || facility.id;
+  return ['', '', '', code, '', '', '', '', facility.name];
+}
+
+/**
+ * XCN with the NPI as the identifier (XCN-13 identifier type NPI)
+ */
+function toProviderName(provider) {
+  const name = [provider.npi, provider.last_name, provider.first_name];
+  return [...name, '', '', '', '', '', '', '', '', '', 'NPI'];
+}
+
+function toOrc(config, medication, orderControl, provider) {
+  const sendingApplication = config.outbound.sendingApplication || DEFAULT_SENDING_APPLICATION;
+
+  return [
+    'ORC',
+    orderControl,
+    [medication.id, sendingApplication],
+    '',
+    '',
+    ORDER_STATUSES[medication.status] || '',
+    '',
+    '',
+    '',
+    formatDateTime(new Date(medication.updated_at || Date.now())),
+    '',
+    '',
+    toProviderName(provider),
+  ];
+}
+
+function toRxo(medication) {
+  const { amount, units } = parseDosage(medication.dosage);
+
+  return [
+    'RXO',
+    toGiveCode(medication),
+    amount,
+    '',
+    units,
+    '',
+    '',
+    ['', medication.frequency],
+    '',
+    '',
+    '',
+    '',
+    '',
+    String(medication.refills_remaining || 0),
+  ];
+}
+
+function toRxe(medication) {
+  const { amount, units } = parseDosage(medication.dosage);
+
+  return [
+    'RXE',
+    [
+      '',
+      [medication.frequency],
+      '',
+      formatDate(medication.start_date),
+      formatDate(medication.end_date),
+    ],
+    toGiveCode(medication),
+    amount,
+    '',
+    units,
+    '',
+    ['', medication.frequency],
+    '',
+    '',
+    '',
+    '',
+    String(medication.refills_remaining || 0),
+    '',
+    '',
+    '',
+    String(medication.refills_remaining || 0),
+  ];
+}
+
+function toGiveCode(medication) {
+  return medication.rxnorm_code
+    ? [medication.rxnorm_code, medication.medication_name, 'RXNORM']
+    : ['', medication.medication_name];
+}
+
+function toRoute(route) {
+  const code = ROUTES[String(route || '').toLowerCase()];
+  return code ? [code, route, 'HL70162'] : ['', route];
+}
+
+/**
+ * Give amount and units from a dosage such as '10 mg'; a dosage that does
+ * not start with a number is sent as the units
+ */
+function parseDosage(dosage) {
+  const match = /^(\d+(?:\.\d+)?)\s*(.*)$/.exec(String(dosage || '').trim());
+
+  if (!match) {
+    return { amount: '', units: ['', dosage] };
+  }
+
+  return { amount: match[1], units: match[2] ? [match[2]] : '' };
+}
+
+/**
+ * The code mapped to a value in one of the tenant's hl7 mappings
+ */
+function findCode(mapping, value) {
+  const entry = Object.entries(mapping || {}).find(([, mapped]) => mapped === value);
+  return entry ? entry[0] : null;
+}
+
+module.exports = Hl7OutboundService;
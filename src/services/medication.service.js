@@ -3,14 +3,40 @@ const { addDays, parseISO, differenceInDays, startOfDay, addHours } = require('d
 const db = require('../config/database');
 const cache = require('../config/cache');
 const logger = require('../utils/logger');
-const { logAudit } = require('../utils/audit');
+const { logAudit, logAccess } = require('../utils/audit');
 const { toFHIRMedicationRequest } = require('../utils/fhir');
 const { NotFoundError, ValidationError } = require('../utils/errors');
 const { publishToQueue, QUEUES } = require('../config/queue');
+const { getPatientScope, assertPatientAccess } = require('../utils/authorization');
+const Hl7OutboundService = require('./hl7Outbound.service');
+
+// Columns a caller may change through updateMedication
+const UPDATABLE_COLUMNS = [
+  'prescribing_provider_id',
+  'medication_name',
+  'generic_name',
+  'rxnorm_code',
+  'dosage',
+  'strength',
+  'route',
+  'frequency',
+  'schedule_details',
+  'start_date',
+  'end_date',
+  'is_ongoing',
+  'pharmacy_info',
+  'refills_remaining',
+  'days_supply',
+  'special_instructions',
+  'side_effects_to_monitor',
+  'status',
+];
+
+const hl7OutboundService = new Hl7OutboundService();
 
 class MedicationService {
-  async createMedication(tenantId, patientId, medicationData, requestId) {
-    const client = await db.pool.connect();
+  async createMedication(tenantId, patientId, medicationData, actor) {
+    const client = await db.connect();
 
     try {
       await client.query('BEGIN');
@@ -65,18 +91,29 @@ class MedicationService {
         entityType: 'medication',
         entityId: medicationId,
         action: 'CREATE',
-        userId: requestId,
-        userType: 'system',
+        actor,
+        client,
         changes: { created: medicationData },
       });
 
+      const hl7MessageId = await hl7OutboundService.logMedicationMessage(
+        client,
+        tenantId,
+        medication,
+        'NW'
+      );
+
       await client.query('COMMIT');
 
-      // Queue medication reminders
-      await this.queueMedicationReminders(medication);
+      await db.afterCommit(async () => {
+        // Queue medication reminders
+        await this.queueMedicationReminders(medication);
 
-      // Clear cache
-      await cache.del(`patient:${patientId}:medications:active`);
+        // Clear cache
+        await cache.del(`patient:${patientId}:medications:active`);
+
+        await hl7OutboundService.publishMessage(tenantId, hl7MessageId);
+      });
 
       logger.info(`Medication created: ${medicationId} for patient: ${patientId}`);
 
@@ -261,7 +298,10 @@ class MedicationService {
     return [{ hour: 9, minute: 0 }];
   }
 
-  async getMedicationById(tenantId, medicationId) {
+  async getMedicationById(tenantId, medicationId, actor = null) {
+    const ownPatientId = getPatientScope(actor);
+
+    // Another patient's medication looks the same as a missing one
     const result = await db.query(
       `SELECT m.*, 
         p.first_name as patient_first_name, p.last_name as patient_last_name,
@@ -269,18 +309,30 @@ class MedicationService {
        FROM medications m
        JOIN patients p ON m.patient_id = p.id
        JOIN providers pr ON m.prescribing_provider_id = pr.id
-       WHERE m.tenant_id = $1 AND m.id = $2`,
-      [tenantId, medicationId]
+       WHERE m.tenant_id = $1 AND m.id = $2
+       AND ($3::uuid IS NULL OR m.patient_id = $3)`,
+      [tenantId, medicationId, ownPatientId]
     );
 
     if (result.rows.length === 0) {
       return null;
     }
 
+    await logAccess({
+      tenantId,
+      entityType: 'medication',
+      entityId: medicationId,
+      action: 'READ',
+      actor,
+      patientIds: [result.rows[0].patient_id],
+    });
+
     return result.rows[0];
   }
 
-  async listPatientMedications(tenantId, patientId, filters = {}) {
+  async listPatientMedications(tenantId, patientId, filters = {}, actor = null) {
+    assertPatientAccess(actor, patientId);
+
     const cacheKey = `patient:${patientId}:medications:${filters.status || 'all'}`;
     const cached = await cache.get(cacheKey);
 
@@ -291,10 +343,13 @@ class MedicationService {
 
     let query = `
       SELECT m.*, 
+        p.first_name as patient_first_name,
+        p.last_name as patient_last_name,
         pr.first_name as provider_first_name, 
         pr.last_name as provider_last_name,
         pr.npi as provider_npi
       FROM medications m
+      JOIN patients p ON m.patient_id = p.id
       JOIN providers pr ON m.prescribing_provider_id = pr.id
       WHERE m.tenant_id = $1 AND m.patient_id = $2
     `;
@@ -319,8 +374,8 @@ class MedicationService {
     return result.rows;
   }
 
-  async updateMedication(tenantId, medicationId, updateData, requestId) {
-    const client = await db.pool.connect();
+  async updateMedication(tenantId, medicationId, updateData, actor) {
+    const client = await db.connect();
 
     try {
       await client.query('BEGIN');
@@ -338,22 +393,22 @@ class MedicationService {
 
       const updates = [];
       const values = [tenantId, medicationId];
-      let paramIndex = 3;
 
-      Object.keys(updateData).forEach((key) => {
-        if (updateData[key] !== undefined && key !== 'id' && key !== 'tenant_id') {
-          updates.push(`${key} = $${paramIndex}`);
+      UPDATABLE_COLUMNS.forEach((column) => {
+        const value = updateData[column];
+
+        if (value !== undefined) {
           values.push(
-            typeof updateData[key] === 'object'
-              ? JSON.stringify(updateData[key])
-              : updateData[key]
+            value !== null && typeof value === 'object' && !(value instanceof Date)
+              ? JSON.stringify(value)
+              : value
           );
-          paramIndex++;
+          updates.push(`${column} = $${values.length}`);
         }
       });
 
       if (updates.length === 0) {
-        throw new Error('No valid fields to update');
+        throw new ValidationError('No valid fields to update');
       }
 
       updates.push(`updated_at = CURRENT_TIMESTAMP`);
@@ -372,19 +427,33 @@ class MedicationService {
         entityType: 'medication',
         entityId: medicationId,
         action: 'UPDATE',
-        userId: requestId,
-        userType: 'system',
+        actor,
+        client,
         changes: {
           before: currentMedication,
           after: result.rows[0],
         },
       });
 
+      // A status change to discontinued discontinues the order for the HL7 feed
+      const discontinued =
+        result.rows[0].status === 'discontinued' && currentMedication.status !== 'discontinued';
+      const hl7MessageId = await hl7OutboundService.logMedicationMessage(
+        client,
+        tenantId,
+        result.rows[0],
+        discontinued ? 'DC' : 'XO'
+      );
+
       await client.query('COMMIT');
 
       // Clear cache
-      await cache.del(`patient:${currentMedication.patient_id}:medications:active`);
-      await cache.del(`patient:${currentMedication.patient_id}:medications:all`);
+      await db.afterCommit(async () => {
+        await cache.del(`patient:${currentMedication.patient_id}:medications:active`);
+        await cache.del(`patient:${currentMedication.patient_id}:medications:all`);
+
+        await hl7OutboundService.publishMessage(tenantId, hl7MessageId);
+      });
 
       logger.info(`Medication updated: ${medicationId}`);
 
@@ -397,8 +466,8 @@ class MedicationService {
     }
   }
 
-  async discontinueMedication(tenantId, medicationId, reason, requestId) {
-    const client = await db.pool.connect();
+  async discontinueMedication(tenantId, medicationId, reason, actor) {
+    const client = await db.connect();
 
     try {
       await client.query('BEGIN');
@@ -424,30 +493,41 @@ class MedicationService {
         entityType: 'medication',
         entityId: medicationId,
         action: 'DISCONTINUE',
-        userId: requestId,
-        userType: 'system',
+        actor,
+        client,
         changes: {
           reason,
           discontinuedAt: new Date().toISOString(),
         },
       });
 
+      const hl7MessageId = await hl7OutboundService.logMedicationMessage(
+        client,
+        tenantId,
+        medication,
+        'DC'
+      );
+
       await client.query('COMMIT');
 
-      // Clear cache
-      await cache.del(`patient:${medication.patient_id}:medications:active`);
+      await db.afterCommit(async () => {
+        // Clear cache
+        await cache.del(`patient:${medication.patient_id}:medications:active`);
 
-      // Queue notification about discontinuation
-      await publishToQueue(QUEUES.NOTIFICATIONS, {
-        type: 'medication_discontinued',
-        medicationId,
-        patientId: medication.patient_id,
-        scheduledFor: new Date().toISOString(),
-        priority: 7,
-        metadata: {
-          medication_name: medication.medication_name,
-          reason,
-        },
+        await hl7OutboundService.publishMessage(tenantId, hl7MessageId);
+
+        // Queue notification about discontinuation
+        await publishToQueue(QUEUES.NOTIFICATIONS, {
+          type: 'medication_discontinued',
+          medicationId,
+          patientId: medication.patient_id,
+          scheduledFor: new Date().toISOString(),
+          priority: 7,
+          metadata: {
+            medication_name: medication.medication_name,
+            reason,
+          },
+        });
       });
 
       logger.info(`Medication discontinued: ${medicationId}`);
@@ -461,16 +541,18 @@ class MedicationService {
     }
   }
 
-  async logAdherence(tenantId, medicationId, adherenceData, requestId) {
-    const client = await db.pool.connect();
+  async logAdherence(tenantId, medicationId, adherenceData, actor) {
+    const client = await db.connect();
 
     try {
       await client.query('BEGIN');
 
-      // Verify medication exists and belongs to tenant
+      // Verify medication exists, belongs to tenant and, for patient tokens, to that patient
       const medicationResult = await client.query(
-        'SELECT * FROM medications WHERE tenant_id = $1 AND id = $2',
-        [tenantId, medicationId]
+        `SELECT * FROM medications
+         WHERE tenant_id = $1 AND id = $2
+         AND ($3::uuid IS NULL OR patient_id = $3)`,
+        [tenantId, medicationId, getPatientScope(actor)]
       );
 
       if (medicationResult.rows.length === 0) {
@@ -504,8 +586,8 @@ class MedicationService {
         entityType: 'medication_adherence',
         entityId: adherenceId,
         action: 'LOG',
-        userId: requestId,
-        userType: 'system',
+        actor,
+        client,
         changes: { logged: adherenceData },
       });
 
@@ -515,7 +597,7 @@ class MedicationService {
       await cache.del(`medication:${medicationId}:adherence:rate`);
 
       // Check if adherence is low and send alert
-      const adherenceRate = await this.calculateAdherenceRate(medicationId);
+      const adherenceRate = await this.calculateAdherenceRate(tenantId, medicationId);
       if (adherenceRate < 0.8) {
         // Less than 80% adherence
         await publishToQueue(QUEUES.NOTIFICATIONS, {
@@ -542,7 +624,7 @@ class MedicationService {
     }
   }
 
-  async calculateAdherenceRate(medicationId, days = 30) {
+  async calculateAdherenceRate(tenantId, medicationId, days = 30) {
     const cacheKey = `medication:${medicationId}:adherence:rate`;
     const cached = await cache.get(cacheKey);
 
@@ -553,11 +635,12 @@ class MedicationService {
     const result = await db.query(
       `SELECT 
         COUNT(*) as total,
-        SUM(CASE WHEN was_taken = true THEN 1 ELSE 0 END) as taken
-       FROM medication_adherence
-       WHERE medication_id = $1
-       AND scheduled_time >= NOW() - INTERVAL '${days} days'`,
-      [medicationId]
+        SUM(CASE WHEN ma.was_taken = true THEN 1 ELSE 0 END) as taken
+       FROM medication_adherence ma
+       JOIN medications m ON ma.medication_id = m.id
+       WHERE m.tenant_id = $1 AND ma.medication_id = $2
+       AND ma.scheduled_time >= NOW() - INTERVAL '${days} days'`,
+      [tenantId, medicationId]
     );
 
     const { total, taken } = result.rows[0];
@@ -569,7 +652,9 @@ class MedicationService {
     return adherenceRate;
   }
 
-  async getAdherenceReport(tenantId, patientId, dateRange = {}) {
+  async getAdherenceReport(tenantId, patientId, dateRange = {}, actor = null) {
+    assertPatientAccess(actor, patientId);
+
     const startDate = dateRange.startDate || addDays(new Date(), -30).toISOString();
     const endDate = dateRange.endDate || new Date().toISOString();
 
@@ -602,6 +687,16 @@ class MedicationService {
 
     const overallAdherence = this.calculateOverallAdherence(result.rows);
 
+    await logAccess({
+      tenantId,
+      entityType: 'adherence_report',
+      entityId: patientId,
+      action: 'READ',
+      actor,
+      query: { startDate, endDate },
+      patientIds: [patientId],
+    });
+
     return {
       patient_id: patientId,
       date_range: {
@@ -634,7 +729,9 @@ class MedicationService {
     return Math.round((totalTaken / totalScheduled) * 100 * 100) / 100; // Round to 2 decimals
   }
 
-  async getMissedDoses(tenantId, patientId, days = 7) {
+  async getMissedDoses(tenantId, patientId, days = 7, actor = null) {
+    assertPatientAccess(actor, patientId);
+
     const query = `
       SELECT 
         ma.id,
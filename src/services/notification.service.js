@@ -6,6 +6,8 @@ const logger = require('../utils/logger');
 const { logAudit } = require('../utils/audit');
 const { NotFoundError, ValidationError } = require('../utils/errors');
 const { publishToQueue, QUEUES } = require('../config/queue');
+const { getPatientScope, assertPatientAccess } = require('../utils/authorization');
+const { resolveTimeZone } = require('../utils/timezone');
 
 // Initialize AWS services
 const sns = new AWS.SNS({ region: process.env.AWS_REGION || 'us-east-1' });
@@ -158,8 +160,8 @@ class NotificationService {
     };
   }
 
-  async createNotification(tenantId, notificationData, requestId) {
-    const client = await db.pool.connect();
+  async createNotification(tenantId, notificationData, actor) {
+    const client = await db.connect();
 
     try {
       await client.query('BEGIN');
@@ -198,8 +200,8 @@ class NotificationService {
         entityType: 'notification',
         entityId: notificationId,
         action: 'CREATE',
-        userId: requestId,
-        userType: 'system',
+        actor,
+        client,
       });
 
       await client.query('COMMIT');
@@ -209,20 +211,22 @@ class NotificationService {
         !notificationData.scheduled_send_time ||
         new Date(notificationData.scheduled_send_time) <= new Date()
       ) {
-        await publishToQueue(
-          QUEUES.NOTIFICATIONS,
-          {
-            notificationId,
-            tenantId,
-          },
-          { priority: this.getPriorityValue(notificationData.priority) }
-        );
+        await db.afterCommit(async () => {
+          await publishToQueue(
+            QUEUES.NOTIFICATIONS,
+            {
+              notificationId,
+              tenantId,
+            },
+            { priority: this.getPriorityValue(notificationData.priority) }
+          );
 
-        // Update status to queued
-        await db.query(
-          'UPDATE notifications SET delivery_status = $1 WHERE id = $2',
-          ['queued', notificationId]
-        );
+          // Update status to queued
+          await db.query(
+            'UPDATE notifications SET delivery_status = $1 WHERE id = $2',
+            ['queued', notificationId]
+          );
+        });
       }
 
       logger.info(`Notification created: ${notificationId}`);
@@ -246,10 +250,13 @@ class NotificationService {
     return priorityMap[priority] || 5;
   }
 
-  async getNotificationById(tenantId, notificationId) {
+  async getNotificationById(tenantId, notificationId, actor = null) {
+    // Another patient's notification looks the same as a missing one
     const result = await db.query(
-      'SELECT * FROM notifications WHERE tenant_id = $1 AND id = $2',
-      [tenantId, notificationId]
+      `SELECT * FROM notifications
+       WHERE tenant_id = $1 AND id = $2
+       AND ($3::uuid IS NULL OR patient_id = $3)`,
+      [tenantId, notificationId, getPatientScope(actor)]
     );
 
     if (result.rows.length === 0) {
@@ -259,7 +266,9 @@ class NotificationService {
     return result.rows[0];
   }
 
-  async listPatientNotifications(tenantId, patientId, filters = {}) {
+  async listPatientNotifications(tenantId, patientId, filters = {}, actor = null) {
+    assertPatientAccess(actor, patientId);
+
     const { page = 1, limit = 50, status } = filters;
     const offset = (page - 1) * limit;
 
@@ -290,39 +299,70 @@ class NotificationService {
     };
   }
 
-  async updatePatientNotificationPreferences(tenantId, patientId, preferences, requestId) {
+  async getPatientNotificationPreferences(tenantId, patientId, actor = null) {
+    assertPatientAccess(actor, patientId);
+
     const result = await db.query(
-      `UPDATE patients
-       SET communication_preferences = $1, updated_at = CURRENT_TIMESTAMP
-       WHERE tenant_id = $2 AND id = $3
-       RETURNING communication_preferences`,
-      [JSON.stringify(preferences), tenantId, patientId]
+      `SELECT communication_preferences FROM patients
+       WHERE tenant_id = $1 AND id = $2 AND deleted_at IS NULL`,
+      [tenantId, patientId]
     );
 
     if (result.rows.length === 0) {
       throw new NotFoundError('Patient', patientId);
     }
 
-    await logAudit({
-      tenantId,
-      entityType: 'patient',
-      entityId: patientId,
-      action: 'UPDATE_NOTIFICATION_PREFERENCES',
-      userId: requestId,
-      userType: 'system',
-      changes: { preferences },
-    });
+    return result.rows[0].communication_preferences || {};
+  }
+
+  async updatePatientNotificationPreferences(tenantId, patientId, preferences, actor) {
+    assertPatientAccess(actor, patientId);
+
+    const client = await db.connect();
+
+    try {
+      await client.query('BEGIN');
 
-    // Clear patient cache
-    await cache.del(`patient:${tenantId}:${patientId}`);
+      const result = await client.query(
+        `UPDATE patients
+         SET communication_preferences = $1, updated_at = CURRENT_TIMESTAMP
+         WHERE tenant_id = $2 AND id = $3
+         RETURNING communication_preferences`,
+        [JSON.stringify(preferences), tenantId, patientId]
+      );
+
+      if (result.rows.length === 0) {
+        throw new NotFoundError('Patient', patientId);
+      }
+
+      await logAudit({
+        tenantId,
+        entityType: 'patient',
+        entityId: patientId,
+        action: 'UPDATE_NOTIFICATION_PREFERENCES',
+        actor,
+        client,
+        changes: { preferences },
+      });
+
+      await client.query('COMMIT');
 
-    logger.info(`Notification preferences updated for patient: ${patientId}`);
+      // Clear patient cache
+      await cache.del(`patient:${tenantId}:${patientId}`);
 
-    return result.rows[0].communication_preferences;
+      logger.info(`Notification preferences updated for patient: ${patientId}`);
+
+      return result.rows[0].communication_preferences;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
   }
 
-  async processNotification(notificationId) {
-    const client = await db.pool.connect();
+  async processNotification(tenantId, notificationId) {
+    const client = await db.connect();
 
     try {
       await client.query('BEGIN');
@@ -336,8 +376,8 @@ class NotificationService {
           p.communication_preferences as patient_preferences
          FROM notifications n
          JOIN patients p ON n.patient_id = p.id
-         WHERE n.id = $1`,
-        [notificationId]
+         WHERE n.tenant_id = $1 AND n.id = $2`,
+        [tenantId, notificationId]
       );
 
       if (notificationResult.rows.length === 0) {
@@ -515,7 +555,7 @@ class NotificationService {
         `SELECT a.*, 
           p.first_name as patient_first_name, p.last_name as patient_last_name,
           pr.first_name as provider_first_name, pr.last_name as provider_last_name,
-          f.name as facility_name, f.address as facility_address
+          f.name as facility_name, f.address as facility_address, f.timezone as facility_timezone
          FROM appointments a
          JOIN patients p ON a.patient_id = p.id
          JOIN providers pr ON a.provider_id = pr.id
@@ -526,12 +566,28 @@ class NotificationService {
 
       if (appointmentResult.rows.length > 0) {
         const apt = appointmentResult.rows[0];
+
+        // Shown as the clock reads at the facility, whatever the zone the worker runs in
+        const timeZone = resolveTimeZone(apt.facility_timezone);
+        const scheduledStart = new Date(apt.scheduled_start);
+
         templateData = {
           ...templateData,
           patient_name: `${apt.patient_first_name} ${apt.patient_last_name}`,
           provider_name: `${apt.provider_first_name} ${apt.provider_last_name}`,
-          appointment_date: new Date(apt.scheduled_start).toLocaleDateString(),
-          appointment_time: new Date(apt.scheduled_start).toLocaleTimeString(),
+          appointment_date: scheduledStart.toLocaleDateString('en-US', {
+            timeZone,
+            weekday: 'long',
+            year: 'numeric',
+            month: 'long',
+            day: 'numeric',
+          }),
+          appointment_time: scheduledStart.toLocaleTimeString('en-US', {
+            timeZone,
+            hour: 'numeric',
+            minute: '2-digit',
+            timeZoneName: 'short',
+          }),
           facility_name: apt.facility_name,
           appointment_type: apt.appointment_type,
         };
@@ -667,7 +723,7 @@ class NotificationService {
     };
   }
 
-  async markAsRead(tenantId, notificationId, requestId) {
+  async markAsRead(tenantId, notificationId, actor) {
     const result = await db.query(
       `UPDATE notifications
        SET read_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
@@ -685,12 +741,13 @@ class NotificationService {
     return result.rows[0];
   }
 
-  async getDeliveryStatus(tenantId, notificationIds) {
+  async getDeliveryStatus(tenantId, notificationIds, actor = null) {
     const result = await db.query(
       `SELECT id, delivery_status, sent_at, read_at, delivery_details
        FROM notifications
-       WHERE tenant_id = $1 AND id = ANY($2)`,
-      [tenantId, notificationIds]
+       WHERE tenant_id = $1 AND id = ANY($2)
+       AND ($3::uuid IS NULL OR patient_id = $3)`,
+      [tenantId, notificationIds, getPatientScope(actor)]
     );
 
     return result.rows;
@@ -2,13 +2,32 @@ const { v4: uuidv4 } = require('uuid');
 const db = require('../config/database');
 const cache = require('../config/cache');
 const logger = require('../utils/logger');
-const { logAudit } = require('../utils/audit');
+const { logAudit, logAccess } = require('../utils/audit');
 const { toFHIRPatient } = require('../utils/fhir');
-const { ConflictError, NotFoundError } = require('../utils/errors');
+const { ConflictError, NotFoundError, ValidationError } = require('../utils/errors');
+const { getPatientScope, assertPatientAccess } = require('../utils/authorization');
+
+// Columns a caller may change through updatePatient
+const UPDATABLE_COLUMNS = [
+  'mrn',
+  'first_name',
+  'last_name',
+  'date_of_birth',
+  'gender',
+  'contact_info',
+  'emergency_contact',
+  'insurance_info',
+  'primary_diagnosis',
+  'icd10_codes',
+  'treatment_status',
+  'communication_preferences',
+  'consent_settings',
+  'is_active',
+];
 
 class PatientService {
-  async createPatient(tenantId, patientData, requestId) {
-    const client = await db.pool.connect();
+  async createPatient(tenantId, patientData, actor) {
+    const client = await db.connect();
 
     try {
       await client.query('BEGIN');
@@ -65,8 +84,8 @@ class PatientService {
         entityType: 'patient',
         entityId: patientId,
         action: 'CREATE',
-        userId: requestId,
-        userType: 'system',
+        actor,
+        client,
         changes: { created: patientData },
       });
 
@@ -84,13 +103,16 @@ class PatientService {
     }
   }
 
-  async getPatientById(tenantId, patientId) {
+  async getPatientById(tenantId, patientId, actor = null) {
+    assertPatientAccess(actor, patientId);
+
     // Check cache first
     const cacheKey = `patient:${tenantId}:${patientId}`;
     const cached = await cache.get(cacheKey);
 
     if (cached) {
       logger.debug(`Cache hit for patient: ${patientId}`);
+      await this.logPatientRead(tenantId, patientId, actor);
       return JSON.parse(cached);
     }
 
@@ -109,14 +131,41 @@ class PatientService {
     const fhirPatient = toFHIRPatient(patient);
 
     // Cache for 5 minutes
-    await cache.setex(cacheKey, 300, JSON.stringify(fhirPatient));
+    await db.afterCommit(() => cache.setex(cacheKey, 300, JSON.stringify(fhirPatient)));
+    await this.logPatientRead(tenantId, patientId, actor);
 
     return fhirPatient;
   }
 
-  async listPatients(tenantId, filters) {
+  /**
+   * The stored record for an MRN, for interfaces that identify patients by
+   * MRN rather than id (HL7 v2)
+   * @returns {Object|null} The patients row, not converted to FHIR
+   */
+  async findPatientByMrn(tenantId, mrn) {
+    const result = await db.query(
+      'SELECT * FROM patients WHERE tenant_id = $1 AND mrn = $2 AND deleted_at IS NULL',
+      [tenantId, mrn]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  async logPatientRead(tenantId, patientId, actor) {
+    await logAccess({
+      tenantId,
+      entityType: 'patient',
+      entityId: patientId,
+      action: 'READ',
+      actor,
+      patientIds: [patientId],
+    });
+  }
+
+  async listPatients(tenantId, filters, actor = null) {
     const { page, limit, search, status } = filters;
     const offset = (page - 1) * limit;
+    const ownPatientId = getPatientScope(actor);
 
     let query = `
       SELECT * FROM patients
@@ -125,32 +174,45 @@ class PatientService {
     const params = [tenantId];
     let paramIndex = 2;
 
+    // Patient tokens only ever see their own record
+    if (ownPatientId) {
+      query += ` AND id = $${paramIndex}`;
+      params.push(ownPatientId);
+      paramIndex++;
+    }
+
     if (status) {
-      query += ` AND treatment_status = ${paramIndex}`;
+      query += ` AND treatment_status = $${paramIndex}`;
       params.push(status);
       paramIndex++;
     }
 
     if (search) {
       query += ` AND (
-        first_name ILIKE ${paramIndex} OR 
-        last_name ILIKE ${paramIndex} OR 
-        mrn ILIKE ${paramIndex}
+        first_name ILIKE $${paramIndex} OR 
+        last_name ILIKE $${paramIndex} OR 
+        mrn ILIKE $${paramIndex}
       )`;
       params.push(`%${search}%`);
       paramIndex++;
     }
 
-    query += ` ORDER BY created_at DESC LIMIT ${paramIndex} OFFSET ${paramIndex + 1}`;
+    // Total count with the same filters, before paging
+    const countResult = await db.query(`SELECT COUNT(*) FROM (${query}) AS filtered`, params);
+
+    query += ` ORDER BY created_at DESC LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`;
     params.push(limit, offset);
 
     const result = await db.query(query, params);
 
-    // Get total count
-    const countResult = await db.query(
-      'SELECT COUNT(*) FROM patients WHERE tenant_id = $1 AND deleted_at IS NULL',
-      [tenantId]
-    );
+    await logAccess({
+      tenantId,
+      entityType: 'patient',
+      action: 'SEARCH',
+      actor,
+      query: filters,
+      patientIds: result.rows.map((row) => row.id),
+    });
 
     return {
       data: result.rows.map(toFHIRPatient),
@@ -163,8 +225,8 @@ class PatientService {
     };
   }
 
-  async updatePatient(tenantId, patientId, updateData, requestId) {
-    const client = await db.pool.connect();
+  async updatePatient(tenantId, patientId, updateData, actor) {
+    const client = await db.connect();
 
     try {
       await client.query('BEGIN');
@@ -184,22 +246,22 @@ class PatientService {
       // Build update query dynamically
       const updates = [];
       const values = [tenantId, patientId];
-      let paramIndex = 3;
 
-      Object.keys(updateData).forEach((key) => {
-        if (updateData[key] !== undefined && key !== 'id' && key !== 'tenant_id') {
-          updates.push(`${key} = ${paramIndex}`);
+      UPDATABLE_COLUMNS.forEach((column) => {
+        const value = updateData[column];
+
+        if (value !== undefined) {
           values.push(
-            typeof updateData[key] === 'object'
-              ? JSON.stringify(updateData[key])
-              : updateData[key]
+            value !== null && typeof value === 'object' && !(value instanceof Date)
+              ? JSON.stringify(value)
+              : value
           );
-          paramIndex++;
+          updates.push(`${column} = $${values.length}`);
         }
       });
 
       if (updates.length === 0) {
-        throw new Error('No valid fields to update');
+        throw new ValidationError('No valid fields to update');
       }
 
       updates.push(`updated_at = CURRENT_TIMESTAMP`);
@@ -220,8 +282,8 @@ class PatientService {
         entityType: 'patient',
         entityId: patientId,
         action: 'UPDATE',
-        userId: requestId,
-        userType: 'system',
+        actor,
+        client,
         changes: {
           before: currentPatient,
           after: updatedPatient,
@@ -231,7 +293,7 @@ class PatientService {
       await client.query('COMMIT');
 
       // Invalidate cache
-      await cache.del(`patient:${tenantId}:${patientId}`);
+      await db.afterCommit(() => cache.del(`patient:${tenantId}:${patientId}`));
 
       logger.info(`Patient updated: ${patientId}`);
 
@@ -244,8 +306,8 @@ class PatientService {
     }
   }
 
-  async deletePatient(tenantId, patientId, requestId) {
-    const client = await db.pool.connect();
+  async deletePatient(tenantId, patientId, actor) {
+    const client = await db.connect();
 
     try {
       await client.query('BEGIN');
@@ -269,14 +331,14 @@ class PatientService {
         entityType: 'patient',
         entityId: patientId,
         action: 'DELETE',
-        userId: requestId,
-        userType: 'system',
+        actor,
+        client,
       });
 
       await client.query('COMMIT');
 
       // Invalidate cache
-      await cache.del(`patient:${tenantId}:${patientId}`);
+      await db.afterCommit(() => cache.del(`patient:${tenantId}:${patientId}`));
 
       logger.info(`Patient deleted: ${patientId}`);
     } catch (error) {
@@ -286,6 +348,152 @@ class PatientService {
       client.release();
     }
   }
+
+  /**
+   * Merge a duplicate record into the surviving one (HL7 ADT^A40)
+   * Appointments, series, medications, notifications and care team links move
+   * to the survivor, which keeps its own primary provider if it has one. The
+   * merged record's links to providers already on the survivor's care team are
+   * ended rather than moved as duplicates. The merged record is soft-deleted
+   * and keeps its MRN.
+   */
+  async mergePatients(tenantId, survivorId, mergedId, actor) {
+    if (survivorId === mergedId) {
+      throw new ValidationError('A patient cannot be merged into itself', {
+        errors: [{ field: 'mergedId', message: 'must differ from the surviving patient' }],
+      });
+    }
+
+    const client = await db.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const current = await client.query(
+        `SELECT * FROM patients
+         WHERE tenant_id = $1 AND id = ANY($2) AND deleted_at IS NULL
+         FOR UPDATE`,
+        [tenantId, [survivorId, mergedId]]
+      );
+
+      const survivor = current.rows.find((row) => row.id === survivorId);
+      const merged = current.rows.find((row) => row.id === mergedId);
+
+      if (!survivor) {
+        throw new NotFoundError('Patient', survivorId);
+      }
+
+      if (!merged) {
+        throw new NotFoundError('Patient', mergedId);
+      }
+
+      const moved = {};
+      let movedAppointmentIds = [];
+
+      for (const table of ['appointments', 'appointment_series', 'medications', 'notifications']) {
+        const result = await client.query(
+          `UPDATE ${table} SET patient_id = $3
+           WHERE tenant_id = $1 AND patient_id = $2
+           RETURNING id`,
+          [tenantId, mergedId, survivorId]
+        );
+
+        moved[table] = result.rowCount;
+
+        if (table === 'appointments') {
+          movedAppointmentIds = result.rows.map((row) => row.id);
+        }
+      }
+
+      // Only one active primary provider per patient
+      await client.query(
+        `UPDATE patient_providers SET is_primary = false
+         WHERE patient_id = $1 AND is_primary = true AND ended_at IS NULL
+           AND EXISTS (
+             SELECT 1 FROM patient_providers
+             WHERE patient_id = $2 AND is_primary = true AND ended_at IS NULL
+           )`,
+        [mergedId, survivorId]
+      );
+
+      // A provider on both care teams keeps the survivor's relationship, which
+      // becomes primary if the merged one was and the survivor had none
+      await client.query(
+        `UPDATE patient_providers survivor SET is_primary = true
+         FROM patient_providers merged
+         WHERE survivor.patient_id = $2 AND survivor.ended_at IS NULL
+           AND merged.patient_id = $1 AND merged.ended_at IS NULL AND merged.is_primary = true
+           AND merged.provider_id = survivor.provider_id`,
+        [mergedId, survivorId]
+      );
+
+      await client.query(
+        `UPDATE patient_providers merged SET ended_at = CURRENT_TIMESTAMP
+         WHERE merged.patient_id = $1 AND merged.ended_at IS NULL
+           AND EXISTS (
+             SELECT 1 FROM patient_providers survivor
+             WHERE survivor.patient_id = $2 AND survivor.ended_at IS NULL
+               AND survivor.provider_id = merged.provider_id
+           )`,
+        [mergedId, survivorId]
+      );
+
+      const careTeam = await client.query(
+        'UPDATE patient_providers SET patient_id = $2 WHERE patient_id = $1',
+        [mergedId, survivorId]
+      );
+
+      moved.patient_providers = careTeam.rowCount;
+
+      await client.query(
+        `UPDATE patients
+         SET deleted_at = CURRENT_TIMESTAMP, is_active = false
+         WHERE tenant_id = $1 AND id = $2`,
+        [tenantId, mergedId]
+      );
+
+      await logAudit({
+        tenantId,
+        entityType: 'patient',
+        entityId: survivorId,
+        action: 'MERGE',
+        actor,
+        client,
+        changes: { merged: { id: mergedId, mrn: merged.mrn }, moved },
+      });
+
+      await logAudit({
+        tenantId,
+        entityType: 'patient',
+        entityId: mergedId,
+        action: 'MERGE',
+        actor,
+        client,
+        changes: { merged_into: { id: survivorId, mrn: survivor.mrn } },
+      });
+
+      await client.query('COMMIT');
+
+      await db.afterCommit(() =>
+        Promise.all(
+          [
+            `patient:${tenantId}:${survivorId}`,
+            `patient:${tenantId}:${mergedId}`,
+            ...movedAppointmentIds.map((id) => `appointment:${tenantId}:${id}`),
+          ].map((key) => cache.del(key))
+        )
+      );
+
+      logger.info(`Patient merged: ${mergedId} into ${survivorId}`, { moved });
+
+      return toFHIRPatient(survivor);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
 }
 
 module.exports = PatientService;
\ No newline at end of file
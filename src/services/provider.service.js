@@ -6,9 +6,25 @@ const logger = require('../utils/logger');
 const { logAudit } = require('../utils/audit');
 const { ConflictError, NotFoundError, ValidationError } = require('../utils/errors');
 
+// Columns a caller may change through updateProvider
+const UPDATABLE_COLUMNS = [
+  'npi',
+  'first_name',
+  'last_name',
+  'specializations',
+  'qualifications',
+  'contact_info',
+  'languages',
+  'telehealth_enabled',
+  'max_daily_capacity',
+  'default_appointment_durations',
+  'appointment_buffers',
+  'is_active',
+];
+
 class ProviderService {
-  async createProvider(tenantId, providerData, requestId) {
-    const client = await db.pool.connect();
+  async createProvider(tenantId, providerData, actor) {
+    const client = await db.connect();
 
     try {
       await client.query('BEGIN');
@@ -40,8 +56,8 @@ class ProviderService {
         INSERT INTO providers (
           id, tenant_id, npi, first_name, last_name, specializations,
           qualifications, contact_info, languages, telehealth_enabled,
-          max_daily_capacity, default_appointment_durations
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+          max_daily_capacity, default_appointment_durations, appointment_buffers
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
         RETURNING *
       `;
 
@@ -58,6 +74,7 @@ class ProviderService {
         providerData.telehealth_enabled || false,
         providerData.max_daily_capacity || 20,
         JSON.stringify(providerData.default_appointment_durations || {}),
+        JSON.stringify(providerData.appointment_buffers || {}),
       ];
 
       const result = await client.query(insertQuery, values);
@@ -68,8 +85,8 @@ class ProviderService {
         entityType: 'provider',
         entityId: providerId,
         action: 'CREATE',
-        userId: requestId,
-        userType: 'system',
+        actor,
+        client,
         changes: { created: providerData },
       });
 
@@ -118,11 +135,25 @@ class ProviderService {
     provider.facilities = facilitiesResult.rows;
 
     // Cache for 10 minutes
-    await cache.setex(cacheKey, 600, JSON.stringify(provider));
+    await db.afterCommit(() => cache.setex(cacheKey, 600, JSON.stringify(provider)));
 
     return provider;
   }
 
+  /**
+   * The active provider with an NPI, for interfaces that identify providers
+   * by NPI rather than id (HL7 v2)
+   * @returns {Object|null} The providers row
+   */
+  async findProviderByNpi(tenantId, npi) {
+    const result = await db.query(
+      'SELECT * FROM providers WHERE tenant_id = $1 AND npi = $2 AND is_active = true',
+      [tenantId, npi]
+    );
+
+    return result.rows[0] || null;
+  }
+
   async listProviders(tenantId, filters = {}) {
     const { page = 1, limit = 50, specialization, facilityId, search } = filters;
     const offset = (page - 1) * limit;
@@ -215,8 +246,8 @@ class ProviderService {
     };
   }
 
-  async updateProvider(tenantId, providerId, updateData, requestId) {
-    const client = await db.pool.connect();
+  async updateProvider(tenantId, providerId, updateData, actor) {
+    const client = await db.connect();
 
     try {
       await client.query('BEGIN');
@@ -257,22 +288,22 @@ class ProviderService {
 
       const updates = [];
       const values = [tenantId, providerId];
-      let paramIndex = 3;
 
-      Object.keys(updateData).forEach((key) => {
-        if (updateData[key] !== undefined && key !== 'id' && key !== 'tenant_id') {
-          updates.push(`${key} = $${paramIndex}`);
+      UPDATABLE_COLUMNS.forEach((column) => {
+        const value = updateData[column];
+
+        if (value !== undefined) {
           values.push(
-            typeof updateData[key] === 'object'
-              ? JSON.stringify(updateData[key])
-              : updateData[key]
+            value !== null && typeof value === 'object' && !(value instanceof Date)
+              ? JSON.stringify(value)
+              : value
           );
-          paramIndex++;
+          updates.push(`${column} = $${values.length}`);
         }
       });
 
       if (updates.length === 0) {
-        throw new Error('No valid fields to update');
+        throw new ValidationError('No valid fields to update');
       }
 
       updates.push(`updated_at = CURRENT_TIMESTAMP`);
@@ -291,8 +322,8 @@ class ProviderService {
         entityType: 'provider',
         entityId: providerId,
         action: 'UPDATE',
-        userId: requestId,
-        userType: 'system',
+        actor,
+        client,
         changes: {
           before: currentProvider,
           after: result.rows[0],
@@ -302,7 +333,7 @@ class ProviderService {
       await client.query('COMMIT');
 
       // Clear cache
-      await cache.del(`provider:${tenantId}:${providerId}`);
+      await db.afterCommit(() => cache.del(`provider:${tenantId}:${providerId}`));
 
       logger.info(`Provider updated: ${providerId}`);
 
@@ -315,8 +346,8 @@ class ProviderService {
     }
   }
 
-  async deactivateProvider(tenantId, providerId, requestId) {
-    const client = await db.pool.connect();
+  async deactivateProvider(tenantId, providerId, actor) {
+    const client = await db.connect();
 
     try {
       await client.query('BEGIN');
@@ -358,14 +389,14 @@ class ProviderService {
         entityType: 'provider',
         entityId: providerId,
         action: 'DEACTIVATE',
-        userId: requestId,
-        userType: 'system',
+        actor,
+        client,
       });
 
       await client.query('COMMIT');
 
       // Clear cache
-      await cache.del(`provider:${tenantId}:${providerId}`);
+      await db.afterCommit(() => cache.del(`provider:${tenantId}:${providerId}`));
 
       logger.info(`Provider deactivated: ${providerId}`);
 
@@ -433,8 +464,8 @@ class ProviderService {
     return grouped;
   }
 
-  async updateProviderAvailability(tenantId, providerId, availabilityData, requestId) {
-    const client = await db.pool.connect();
+  async updateProviderAvailability(tenantId, providerId, availabilityData, actor) {
+    const client = await db.connect();
 
     try {
       await client.query('BEGIN');
@@ -492,8 +523,8 @@ class ProviderService {
         entityType: 'provider_availability',
         entityId: providerId,
         action: availabilityData.replace_existing ? 'REPLACE' : 'UPDATE',
-        userId: requestId,
-        userType: 'system',
+        actor,
+        client,
         changes: { slots: availabilityData.slots },
       });
 
@@ -569,8 +600,8 @@ class ProviderService {
     }
   }
 
-  async associateProviderWithFacility(tenantId, providerId, facilityId, isPrimary, requestId) {
-    const client = await db.pool.connect();
+  async associateProviderWithFacility(tenantId, providerId, facilityId, isPrimary, actor) {
+    const client = await db.connect();
 
     try {
       await client.query('BEGIN');
@@ -629,8 +660,8 @@ class ProviderService {
         entityType: 'provider_facility',
         entityId: associationId,
         action: 'ASSOCIATE',
-        userId: requestId,
-        userType: 'system',
+        actor,
+        client,
         changes: {
           provider_id: providerId,
           facility_id: facilityId,
@@ -654,8 +685,8 @@ class ProviderService {
     }
   }
 
-  async removeProviderFacilityAssociation(tenantId, providerId, facilityId, requestId) {
-    const client = await db.pool.connect();
+  async removeProviderFacilityAssociation(tenantId, providerId, facilityId, actor) {
+    const client = await db.connect();
 
     try {
       await client.query('BEGIN');
@@ -676,8 +707,8 @@ class ProviderService {
         entityType: 'provider_facility',
         entityId: result.rows[0].id,
         action: 'DISASSOCIATE',
-        userId: requestId,
-        userType: 'system',
+        actor,
+        client,
         changes: {
           provider_id: providerId,
           facility_id: facilityId,
@@ -712,30 +743,33 @@ class ProviderService {
         COUNT(*) FILTER (WHERE status = 'no-show') as no_show_appointments,
         AVG(duration_minutes) FILTER (WHERE status = 'completed') as avg_appointment_duration
        FROM appointments
-       WHERE provider_id = $1
-       AND scheduled_start >= $2
-       AND scheduled_start <= $3`,
-      [providerId, startDate, endDate]
+       WHERE tenant_id = $1
+       AND provider_id = $2
+       AND scheduled_start >= $3
+       AND scheduled_start <= $4`,
+      [tenantId, providerId, startDate, endDate]
     );
 
     // Get patient count
     const patientCount = await db.query(
       `SELECT COUNT(DISTINCT patient_id) as unique_patients
        FROM appointments
-       WHERE provider_id = $1
-       AND scheduled_start >= $2
-       AND scheduled_start <= $3`,
-      [providerId, startDate, endDate]
+       WHERE tenant_id = $1
+       AND provider_id = $2
+       AND scheduled_start >= $3
+       AND scheduled_start <= $4`,
+      [tenantId, providerId, startDate, endDate]
     );
 
     // Get upcoming appointments
     const upcomingAppointments = await db.query(
       `SELECT COUNT(*) as upcoming_count
        FROM appointments
-       WHERE provider_id = $1
+       WHERE tenant_id = $1
+       AND provider_id = $2
        AND status = 'scheduled'
        AND scheduled_start > CURRENT_TIMESTAMP`,
-      [providerId]
+      [tenantId, providerId]
     );
 
     return {
@@ -0,0 +1,511 @@
+const db = require('../config/database');
+const logger = require('../utils/logger');
+const { logAudit } = require('../utils/audit');
+const { ConflictError, NotFoundError, ValidationError } = require('../utils/errors');
+const { selectResources } = require('../utils/availability');
+const { getRequiredResources } = require('../models/appointment.model');
+
+// Columns a caller may change through updateResource
+const UPDATABLE_COLUMNS = ['name', 'resource_type', 'capacity', 'attributes', 'is_active'];
+
+/**
+ * Rooms, chairs and devices that appointments book alongside the provider
+ *
+ * The resource types an appointment needs come from its type (see
+ * getRequiredResources) plus any `additional_resources` it asks for. Every
+ * one must be found, except types the tenant's configuration marks optional,
+ * which only apply at facilities that keep resources of that type.
+ */
+class ResourceService {
+  async createResource(tenantId, resourceData, actor) {
+    const client = await db.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const facilityResult = await client.query(
+        'SELECT id FROM facilities WHERE tenant_id = $1 AND id = $2',
+        [tenantId, resourceData.facility_id]
+      );
+
+      if (facilityResult.rows.length === 0) {
+        throw new NotFoundError('Facility', resourceData.facility_id);
+      }
+
+      const result = await client.query(
+        `INSERT INTO resources (
+           tenant_id, facility_id, name, resource_type, capacity, attributes
+         ) VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING *`,
+        [
+          tenantId,
+          resourceData.facility_id,
+          resourceData.name,
+          resourceData.resource_type,
+          resourceData.capacity || 1,
+          JSON.stringify(resourceData.attributes || {}),
+        ]
+      );
+
+      const resource = result.rows[0];
+
+      await logAudit({
+        tenantId,
+        entityType: 'resource',
+        entityId: resource.id,
+        action: 'CREATE',
+        actor,
+        client,
+        changes: { created: resourceData },
+      });
+
+      await client.query('COMMIT');
+
+      logger.info(`Resource created: ${resource.id}`);
+
+      return { ...resource, availability: [] };
+    } catch (error) {
+      await client.query('ROLLBACK');
+
+      if (error.code === '23505') {
+        throw new ConflictError('The facility already has a resource with this name');
+      }
+
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async getResourceById(tenantId, resourceId) {
+    const result = await db.query('SELECT * FROM resources WHERE tenant_id = $1 AND id = $2', [
+      tenantId,
+      resourceId,
+    ]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const availabilityResult = await db.query(
+      `SELECT * FROM resource_availability
+       WHERE tenant_id = $1 AND resource_id = $2
+       ORDER BY day_of_week, start_time`,
+      [tenantId, resourceId]
+    );
+
+    return { ...result.rows[0], availability: availabilityResult.rows };
+  }
+
+  async listResources(tenantId, filters = {}) {
+    const { facilityId, resourceType, includeInactive = false } = filters;
+
+    const conditions = ['tenant_id = $1'];
+    const params = [tenantId];
+
+    if (!includeInactive) {
+      conditions.push('is_active = true');
+    }
+
+    if (facilityId) {
+      params.push(facilityId);
+      conditions.push(`facility_id = $${params.length}`);
+    }
+
+    if (resourceType) {
+      params.push(resourceType);
+      conditions.push(`resource_type = $${params.length}`);
+    }
+
+    const result = await db.query(
+      `SELECT * FROM resources WHERE ${conditions.join(' AND ')}
+       ORDER BY facility_id, resource_type, name`,
+      params
+    );
+
+    return result.rows;
+  }
+
+  async updateResource(tenantId, resourceId, updateData, actor) {
+    const client = await db.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const currentResult = await client.query(
+        'SELECT * FROM resources WHERE tenant_id = $1 AND id = $2 FOR UPDATE',
+        [tenantId, resourceId]
+      );
+
+      if (currentResult.rows.length === 0) {
+        throw new NotFoundError('Resource', resourceId);
+      }
+
+      const updates = [];
+      const values = [tenantId, resourceId];
+
+      UPDATABLE_COLUMNS.forEach((column) => {
+        if (updateData[column] !== undefined) {
+          values.push(
+            typeof updateData[column] === 'object'
+              ? JSON.stringify(updateData[column])
+              : updateData[column]
+          );
+          updates.push(`${column} = $${values.length}`);
+        }
+      });
+
+      if (updates.length === 0) {
+        throw new ValidationError('No valid fields to update');
+      }
+
+      const result = await client.query(
+        `UPDATE resources
+         SET ${updates.join(', ')}, updated_at = CURRENT_TIMESTAMP
+         WHERE tenant_id = $1 AND id = $2
+         RETURNING *`,
+        values
+      );
+
+      await logAudit({
+        tenantId,
+        entityType: 'resource',
+        entityId: resourceId,
+        action: 'UPDATE',
+        actor,
+        client,
+        changes: {
+          before: currentResult.rows[0],
+          after: result.rows[0],
+        },
+      });
+
+      await client.query('COMMIT');
+
+      logger.info(`Resource updated: ${resourceId}`);
+
+      return result.rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK');
+
+      if (error.code === '23505') {
+        throw new ConflictError('The facility already has a resource with this name');
+      }
+
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Resources are referenced by appointments, so they are deactivated
+   * rather than deleted; appointments already booked on them keep them
+   */
+  async deactivateResource(tenantId, resourceId, actor) {
+    const client = await db.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        `UPDATE resources
+         SET is_active = false, updated_at = CURRENT_TIMESTAMP
+         WHERE tenant_id = $1 AND id = $2 AND is_active = true
+         RETURNING id`,
+        [tenantId, resourceId]
+      );
+
+      if (result.rows.length === 0) {
+        throw new NotFoundError('Resource', resourceId);
+      }
+
+      await logAudit({
+        tenantId,
+        entityType: 'resource',
+        entityId: resourceId,
+        action: 'DEACTIVATE',
+        actor,
+        client,
+      });
+
+      await client.query('COMMIT');
+
+      logger.info(`Resource deactivated: ${resourceId}`);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Add weekly hours to a resource, or replace them all
+   * @param {Object} availabilityData - { slots, replace_existing }, as for
+   *   provider availability
+   */
+  async updateResourceAvailability(tenantId, resourceId, availabilityData, actor) {
+    const client = await db.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const resourceResult = await client.query(
+        'SELECT id FROM resources WHERE tenant_id = $1 AND id = $2 FOR UPDATE',
+        [tenantId, resourceId]
+      );
+
+      if (resourceResult.rows.length === 0) {
+        throw new NotFoundError('Resource', resourceId);
+      }
+
+      if (availabilityData.replace_existing) {
+        await client.query(
+          'DELETE FROM resource_availability WHERE tenant_id = $1 AND resource_id = $2',
+          [tenantId, resourceId]
+        );
+      }
+
+      const windows = [];
+
+      for (const slot of availabilityData.slots) {
+        if (slot.end_time <= slot.start_time) {
+          throw new ValidationError('end_time must be after start_time', {
+            start_time: slot.start_time,
+            end_time: slot.end_time,
+          });
+        }
+
+        const result = await client.query(
+          `INSERT INTO resource_availability (
+             tenant_id, resource_id, day_of_week, start_time, end_time,
+             effective_from, effective_until
+           ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+           RETURNING *`,
+          [
+            tenantId,
+            resourceId,
+            slot.day_of_week,
+            slot.start_time,
+            slot.end_time,
+            slot.effective_from || new Date().toISOString().split('T')[0],
+            slot.effective_until || null,
+          ]
+        );
+
+        windows.push(result.rows[0]);
+      }
+
+      await logAudit({
+        tenantId,
+        entityType: 'resource_availability',
+        entityId: resourceId,
+        action: availabilityData.replace_existing ? 'REPLACE' : 'UPDATE',
+        actor,
+        client,
+        changes: { slots: availabilityData.slots },
+      });
+
+      await client.query('COMMIT');
+
+      logger.info(`Resource availability updated: ${resourceId} (${windows.length} windows)`);
+
+      return {
+        message: 'Availability updated successfully',
+        slots_created: windows.length,
+        slots: windows,
+      };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // =============================================
+  // Scheduling
+  // =============================================
+
+  /**
+   * The resource types a booking needs
+   * @param {Object} queryable - db, or a client inside a transaction
+   * @param {Array} additionalResources - Types asked for on the booking
+   * @returns {Array} [{ type, optional }]
+   */
+  async getRequirements(queryable, tenantId, appointmentType, additionalResources = []) {
+    const result = await queryable.query('SELECT configuration FROM tenants WHERE id = $1', [
+      tenantId,
+    ]);
+    const schedulingConfig = result.rows[0]?.configuration?.scheduling || {};
+    const fromType = getRequiredResources(appointmentType, schedulingConfig);
+
+    return [
+      ...fromType.filter(({ type }) => !additionalResources.includes(type)),
+      ...[...new Set(additionalResources)].map((type) => ({ type, optional: false })),
+    ];
+  }
+
+  /**
+   * The active resources of some types at facilities, each with its weekly
+   * hours and the bookings it holds between two instants, buffers included
+   * @param {Object} options
+   * @param {Boolean} options.lock - Lock the resource rows until the
+   *   transaction ends, so concurrent bookings of them wait for each other
+   * @param {String} options.excludeAppointmentId - Appointment being moved,
+   *   whose own bookings do not count
+   */
+  async loadResources(
+    queryable,
+    tenantId,
+    { facilityIds, types, from, until, lock = false, excludeAppointmentId = null }
+  ) {
+    // Locked in id order, whatever order they are used in, so two bookings
+    // cannot each hold a resource the other waits for
+    const resourcesResult = await queryable.query(
+      `SELECT * FROM resources
+       WHERE tenant_id = $1 AND facility_id = ANY($2) AND resource_type = ANY($3)
+       AND is_active = true
+       ORDER BY id
+       ${lock ? 'FOR UPDATE' : ''}`,
+      [tenantId, facilityIds, types]
+    );
+
+    if (resourcesResult.rows.length === 0) {
+      return [];
+    }
+
+    const resourceIds = resourcesResult.rows.map((resource) => resource.id);
+
+    const [availabilityResult, bookingsResult] = await Promise.all([
+      queryable.query(
+        'SELECT * FROM resource_availability WHERE tenant_id = $1 AND resource_id = ANY($2)',
+        [tenantId, resourceIds]
+      ),
+      queryable.query(
+        `SELECT ar.resource_id,
+           a.scheduled_start - make_interval(mins => a.buffer_before_minutes) as busy_from,
+           a.scheduled_end + make_interval(mins => a.buffer_after_minutes) as busy_until
+         FROM appointment_resources ar
+         JOIN appointments a ON ar.appointment_id = a.id
+         WHERE ar.tenant_id = $1 AND ar.resource_id = ANY($2)
+         AND a.status NOT IN ('cancelled', 'no-show')
+         AND a.scheduled_end + make_interval(mins => a.buffer_after_minutes) > $3
+         AND a.scheduled_start - make_interval(mins => a.buffer_before_minutes) < $4
+         AND ($5::uuid IS NULL OR a.id <> $5)`,
+        [tenantId, resourceIds, from, until, excludeAppointmentId]
+      ),
+    ]);
+
+    return resourcesResult.rows
+      .map((resource) => ({
+        ...resource,
+        availability: availabilityResult.rows.filter((row) => row.resource_id === resource.id),
+        bookings: bookingsResult.rows
+          .filter((row) => row.resource_id === resource.id)
+          .map((row) => ({
+            start: new Date(row.busy_from),
+            end: new Date(row.busy_until),
+          })),
+      }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Assign a free resource of each type a booking needs, inside the
+   * booking's transaction
+   * The candidate resources stay locked until it commits, so a concurrent
+   * booking cannot take the same one.
+   * @param {Object} booking
+   * @param {Array} booking.keepTypes - Types the appointment held before a
+   *   reschedule, which it still needs
+   * @param {Array} booking.preferredIds - Resources to keep if still free
+   * @param {Date} booking.start - When the booking takes the resources, its
+   *   buffer before included; booking.end likewise
+   * @returns {Array} The assigned resources: [{ id, name, resource_type }]
+   * @throws {ConflictError} When a needed type has no free resource
+   */
+  async allocateResources(client, tenantId, booking) {
+    const {
+      appointmentId,
+      facilityId,
+      appointmentType,
+      additionalResources = [],
+      keepTypes = [],
+      preferredIds = [],
+      start,
+      end,
+      timeZone,
+    } = booking;
+
+    const requirements = await this.getRequirements(client, tenantId, appointmentType, [
+      ...additionalResources,
+      ...keepTypes,
+    ]);
+
+    if (requirements.length === 0) {
+      return [];
+    }
+
+    const resources = await this.loadResources(client, tenantId, {
+      facilityIds: [facilityId],
+      types: requirements.map((requirement) => requirement.type),
+      from: start.toISOString(),
+      until: end.toISOString(),
+      lock: true,
+      excludeAppointmentId: appointmentId,
+    });
+
+    const ordered = [
+      ...resources.filter((resource) => preferredIds.includes(resource.id)),
+      ...resources.filter((resource) => !preferredIds.includes(resource.id)),
+    ];
+
+    const { resources: selected, missing } = selectResources(requirements, ordered, {
+      start,
+      end,
+      timeZone,
+    });
+
+    if (missing) {
+      throw new ConflictError(`No ${missing} is available at this time`, {
+        resourceType: missing,
+      });
+    }
+
+    for (const resource of selected) {
+      await client.query(
+        `INSERT INTO appointment_resources (tenant_id, appointment_id, resource_id)
+         VALUES ($1, $2, $3)`,
+        [tenantId, appointmentId, resource.id]
+      );
+    }
+
+    // excl_appointment_resources_overlap waits for COMMIT, as a reschedule
+    // moves the appointment before it swaps its resources; check the
+    // assignments now, so that a clash fails the booking it belongs to
+    await client.query('SET CONSTRAINTS excl_appointment_resources_overlap IMMEDIATE');
+    await client.query('SET CONSTRAINTS excl_appointment_resources_overlap DEFERRED');
+
+    return selected.map(({ id, name, resource_type }) => ({ id, name, resource_type }));
+  }
+
+  /**
+   * Drop an appointment's resources ahead of allocating them again
+   * @returns {Array} The resources it held: [{ id, resource_type }]
+   */
+  async releaseResources(client, tenantId, appointmentId) {
+    const result = await client.query(
+      `DELETE FROM appointment_resources ar
+       USING resources r
+       WHERE ar.resource_id = r.id AND ar.tenant_id = $1 AND ar.appointment_id = $2
+       RETURNING r.id, r.resource_type`,
+      [tenantId, appointmentId]
+    );
+
+    return result.rows;
+  }
+}
+
+module.exports = ResourceService;
@@ -1,48 +1,187 @@
 const { v4: uuidv4 } = require('uuid');
 const db = require('../config/database');
+const { publishToQueue, QUEUES } = require('../config/queue');
 const logger = require('./logger');
+const { AuditWriteError } = require('./errors');
 
+// Actions recorded by logAccess; they carry no changes
+const ACCESS_ACTIONS = ['READ', 'SEARCH', 'EXPORT'];
+
+const INSERT_AUDIT_ENTRY = `
+  INSERT INTO audit_logs (
+    id, tenant_id, entity_type, entity_id, action,
+    user_id, user_type, user_role, changes, metadata, ip_address
+  ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+  RETURNING id
+`;
+
+/**
+ * Insert one audit entry, throwing on failure
+ * chain_seq, prev_hash and row_hash are filled in by the audit_logs_chain
+ * trigger when the transaction commits (migrations 008 and 018). With a transaction `client` the insert runs in a
+ * savepoint, so a failure leaves the caller's transaction usable.
+ */
+async function writeAuditEntry(entry, client = null) {
+  const values = [
+    entry.id || uuidv4(),
+    entry.tenantId,
+    entry.entityType,
+    entry.entityId || null,
+    entry.action,
+    entry.userId || null,
+    entry.userType || null,
+    entry.userRole || null,
+    JSON.stringify(entry.changes || {}),
+    JSON.stringify(entry.metadata || {}),
+    entry.ipAddress || null,
+  ];
+
+  if (!client) {
+    return db.query(INSERT_AUDIT_ENTRY, values);
+  }
+
+  await client.query('SAVEPOINT audit_entry');
+
+  try {
+    const result = await client.query(INSERT_AUDIT_ENTRY, values);
+    await client.query('RELEASE SAVEPOINT audit_entry');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK TO SAVEPOINT audit_entry');
+    throw error;
+  }
+}
+
+/**
+ * Record an audit entry
+ * Pass `actor` (from getActor) to attribute the change to the calling user or
+ * API key; userId/userType are still accepted for callers without a request.
+ *
+ * Pass the service's transaction `client` so the entry commits or rolls back
+ * with the change it describes. A failed write is logged and skipped, unless
+ * the tenant has `audit.strictMode` enabled in its configuration: then
+ * AuditWriteError is thrown and the caller's transaction rolls back.
+ */
 async function logAudit({
   tenantId,
   entityType,
   entityId,
   action,
-  userId,
-  userType,
+  actor = null,
+  userId = actor?.userId,
+  userType = actor?.userType,
+  userRole = actor?.role,
   changes = {},
   metadata = {},
   ipAddress = null,
+  client = null,
+}) {
+  const entry = {
+    tenantId,
+    entityType,
+    entityId,
+    action,
+    userId,
+    userType,
+    userRole,
+    changes,
+    metadata: actor?.requestId ? { requestId: actor.requestId, ...metadata } : metadata,
+    ipAddress,
+  };
+
+  try {
+    await writeAuditEntry(entry, client);
+    logger.debug(`Audit log created for ${entityType}:${entityId} - ${action}`);
+  } catch (error) {
+    await handleAuditFailure(entry, error);
+  }
+}
+
+/**
+ * Record who viewed PHI: READ of one record, SEARCH over many, or EXPORT
+ * The entry is published to the audit events queue and written by the
+ * auditEventProcessor worker, so reads do not wait on the insert. If the
+ * queue is unavailable the entry is written directly instead.
+ *
+ * @param {Object} params
+ * @param {Object} params.query - Filters or parameters of the request
+ * @param {Array<String>} params.patientIds - Patients whose data was returned
+ */
+async function logAccess({
+  tenantId,
+  entityType,
+  entityId = null,
+  action,
+  actor = null,
+  query = {},
+  patientIds = [],
 }) {
+  const entry = {
+    // Generated here so a redelivered message cannot be written twice
+    id: uuidv4(),
+    tenantId,
+    entityType,
+    entityId,
+    action,
+    userId: actor?.userId,
+    userType: actor?.userType,
+    userRole: actor?.role,
+    metadata: {
+      ...(actor?.requestId ? { requestId: actor.requestId } : {}),
+      query,
+      patientIds: [...new Set(patientIds.filter(Boolean))],
+      accessedAt: new Date().toISOString(),
+    },
+  };
+
   try {
-    const query = `
-      INSERT INTO audit_logs (
-        id, tenant_id, entity_type, entity_id, action,
-        user_id, user_type, changes, metadata, ip_address
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
-      RETURNING id
-    `;
-
-    const values = [
-      uuidv4(),
+    await publishToQueue(QUEUES.AUDIT_EVENTS, entry, { messageId: entry.id });
+  } catch (error) {
+    logger.warn('Audit queue unavailable, writing access entry directly', {
       tenantId,
-      entityType,
-      entityId,
       action,
-      userId,
-      userType,
-      JSON.stringify(changes),
-      JSON.stringify(metadata),
-      ipAddress,
-    ];
-
-    await db.query(query, values);
-    logger.debug(`Audit log created for ${entityType}:${entityId} - ${action}`);
+      error: error.message,
+    });
+
+    try {
+      await writeAuditEntry(entry);
+    } catch (writeError) {
+      await handleAuditFailure(entry, writeError);
+    }
+  }
+}
+
+async function handleAuditFailure(entry, error) {
+  logger.error('Failed to create audit log', {
+    tenantId: entry.tenantId,
+    entityType: entry.entityType,
+    entityId: entry.entityId,
+    action: entry.action,
+    error: error.message,
+  });
+
+  if (await isStrictAuditTenant(entry.tenantId)) {
+    throw new AuditWriteError();
+  }
+}
+
+/**
+ * Only consulted after a failed write, so the happy path costs nothing
+ */
+async function isStrictAuditTenant(tenantId) {
+  try {
+    const result = await db.query('SELECT configuration FROM tenants WHERE id = $1', [tenantId]);
+    return result.rows[0]?.configuration?.audit?.strictMode === true;
   } catch (error) {
-    logger.error('Failed to create audit log', error);
-    // Don't throw - audit logging should not break the main flow
+    // The database is likely unavailable; treat the tenant as strict
+    logger.error('Could not read audit mode for tenant', { tenantId, error: error.message });
+    return true;
   }
 }
 
 module.exports = {
+  ACCESS_ACTIONS,
   logAudit,
-};
\ No newline at end of file
+  logAccess,
+  writeAuditEntry,
+};
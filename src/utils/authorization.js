@@ -0,0 +1,227 @@
+const { ForbiddenError } = require('./errors');
+
+/**
+ * Scope-based authorization
+ *
+ * Scopes are `<resource>:<action>` strings stored on api_keys.scopes and
+ * forwarded by the authorizer as a JSON string in the request context.
+ * A `<resource>:*` scope grants every action on that resource and
+ * `admin:*` grants everything.
+ *
+ * Bearer-token users do not carry scopes of their own; the authorizer
+ * derives them from the user's role through ROLE_SCOPES.
+ *
+ * Patient-portal tokens are bound to a single patients.id. Their scopes only
+ * open the routes; the services restrict every query to that patient.
+ */
+
+const SCOPES = {
+  PATIENTS_READ: 'patients:read',
+  PATIENTS_WRITE: 'patients:write',
+  PROVIDERS_READ: 'providers:read',
+  PROVIDERS_WRITE: 'providers:write',
+  APPOINTMENTS_READ: 'appointments:read',
+  APPOINTMENTS_WRITE: 'appointments:write',
+  MEDICATIONS_READ: 'medications:read',
+  MEDICATIONS_WRITE: 'medications:write',
+  ADHERENCE_WRITE: 'adherence:write',
+  NOTIFICATIONS_READ: 'notifications:read',
+  NOTIFICATIONS_SEND: 'notifications:send',
+  NOTIFICATION_PREFERENCES_WRITE: 'notification-preferences:write',
+  API_KEYS_MANAGE: 'api-keys:manage',
+  AUDIT_READ: 'audit:read',
+  HL7_READ: 'hl7:read',
+  HL7_WRITE: 'hl7:write',
+  ADMIN: 'admin:*',
+};
+
+// Narrow scopes that a broader scope already grants
+const IMPLIED_SCOPES = {
+  [SCOPES.ADHERENCE_WRITE]: [SCOPES.MEDICATIONS_WRITE],
+  [SCOPES.NOTIFICATION_PREFERENCES_WRITE]: [SCOPES.PATIENTS_WRITE],
+};
+
+const ROLES = {
+  ADMIN: 'admin',
+  PROVIDER: 'provider',
+  NURSE: 'nurse',
+  SCHEDULER: 'scheduler',
+  PATIENT: 'patient',
+};
+
+const ROLE_SCOPES = {
+  [ROLES.ADMIN]: [SCOPES.ADMIN],
+  [ROLES.PROVIDER]: [
+    SCOPES.PATIENTS_READ,
+    SCOPES.PATIENTS_WRITE,
+    SCOPES.PROVIDERS_READ,
+    SCOPES.APPOINTMENTS_READ,
+    SCOPES.APPOINTMENTS_WRITE,
+    SCOPES.MEDICATIONS_READ,
+    SCOPES.MEDICATIONS_WRITE,
+    SCOPES.NOTIFICATIONS_READ,
+    SCOPES.NOTIFICATIONS_SEND,
+  ],
+  [ROLES.NURSE]: [
+    SCOPES.PATIENTS_READ,
+    SCOPES.PATIENTS_WRITE,
+    SCOPES.PROVIDERS_READ,
+    SCOPES.APPOINTMENTS_READ,
+    SCOPES.MEDICATIONS_READ,
+    SCOPES.MEDICATIONS_WRITE,
+    SCOPES.NOTIFICATIONS_READ,
+    SCOPES.NOTIFICATIONS_SEND,
+  ],
+  [ROLES.SCHEDULER]: [
+    SCOPES.PATIENTS_READ,
+    SCOPES.PROVIDERS_READ,
+    SCOPES.APPOINTMENTS_READ,
+    SCOPES.APPOINTMENTS_WRITE,
+    SCOPES.NOTIFICATIONS_READ,
+    SCOPES.NOTIFICATIONS_SEND,
+  ],
+  [ROLES.PATIENT]: [
+    SCOPES.PATIENTS_READ,
+    SCOPES.APPOINTMENTS_READ,
+    SCOPES.MEDICATIONS_READ,
+    SCOPES.ADHERENCE_WRITE,
+    SCOPES.NOTIFICATIONS_READ,
+    SCOPES.NOTIFICATION_PREFERENCES_WRITE,
+  ],
+};
+
+/**
+ * List every scope that may be granted, including `<resource>:*` wildcards
+ */
+function listKnownScopes() {
+  const scopes = Object.values(SCOPES);
+  const wildcards = scopes
+    .filter((scope) => scope !== SCOPES.ADMIN)
+    .map((scope) => `${scope.split(':')[0]}:*`);
+
+  return [...new Set([...scopes, ...wildcards])];
+}
+
+/**
+ * Resolve the scopes granted to a bearer-token role; unknown roles get none
+ */
+function getScopesForRole(role) {
+  return ROLE_SCOPES[role] || [];
+}
+
+/**
+ * Read the granted scopes from the authorizer context
+ */
+function getScopes(event) {
+  const rawScopes = event.requestContext?.authorizer?.scopes;
+
+  if (!rawScopes) {
+    return [];
+  }
+
+  if (Array.isArray(rawScopes)) {
+    return rawScopes;
+  }
+
+  try {
+    const scopes = JSON.parse(rawScopes);
+    return Array.isArray(scopes) ? scopes : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Check whether a set of granted scopes satisfies the required scope
+ */
+function hasScope(grantedScopes, requiredScope) {
+  const [resource] = requiredScope.split(':');
+
+  const granted = grantedScopes.some(
+    (scope) => scope === requiredScope || scope === SCOPES.ADMIN || scope === `${resource}:*`
+  );
+
+  if (granted) {
+    return true;
+  }
+
+  return (IMPLIED_SCOPES[requiredScope] || []).some((scope) => hasScope(grantedScopes, scope));
+}
+
+/**
+ * Throw a ForbiddenError naming the scope when the caller does not hold it
+ */
+function requireScope(event, requiredScope) {
+  const grantedScopes = getScopes(event);
+
+  if (!hasScope(grantedScopes, requiredScope)) {
+    throw new ForbiddenError(`Missing required scope: ${requiredScope}`, {
+      requiredScope,
+    });
+  }
+}
+
+/**
+ * Identify who is making the request, for audit logging and service calls
+ * API keys act as `api_key` with the key id, bearer tokens as `user` with
+ * the token subject and role, patient-portal tokens as `patient`.
+ */
+function getActor(event, requestId) {
+  const authorizer = event.requestContext?.authorizer || {};
+
+  return {
+    requestId,
+    tenantId: authorizer.tenantId,
+    userId: authorizer.userId || null,
+    userType: authorizer.userType || 'system',
+    role: authorizer.role || null,
+    patientId: authorizer.patientId || null,
+    scopes: getScopes(event),
+  };
+}
+
+/**
+ * The patient a patient-portal actor is bound to, or null for everyone else
+ */
+function getPatientScope(actor) {
+  return actor?.userType === 'patient' ? actor.patientId : null;
+}
+
+/**
+ * Throw when a patient-portal actor asks for another patient's records
+ */
+function assertPatientAccess(actor, patientId) {
+  const ownPatientId = getPatientScope(actor);
+
+  if (ownPatientId && ownPatientId !== patientId) {
+    throw new ForbiddenError('Patient tokens may only access their own records', {
+      patientId,
+    });
+  }
+}
+
+/**
+ * Throw when the actor does not itself hold every one of the scopes, so a
+ * caller can never issue, rotate or revoke a key broader than its own
+ */
+function assertScopesHeld(actor, scopes, message) {
+  const missingScopes = scopes.filter((scope) => !hasScope(actor?.scopes || [], scope));
+
+  if (missingScopes.length > 0) {
+    throw new ForbiddenError(message, { missingScopes });
+  }
+}
+
+module.exports = {
+  SCOPES,
+  ROLES,
+  listKnownScopes,
+  getScopesForRole,
+  getActor,
+  getPatientScope,
+  assertPatientAccess,
+  getScopes,
+  hasScope,
+  requireScope,
+  assertScopesHeld,
+};
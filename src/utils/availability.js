@@ -0,0 +1,294 @@
+const { format } = require('date-fns');
+const { zonedTimeToUtc, getZonedParts } = require('./timezone');
+
+/**
+ * Calendar days and the exceptions to a provider's weekly availability
+ *
+ * Dates are calendar days at a facility (YYYY-MM-DD) and times are wall-clock
+ * times there, as in provider_availability. Holidays close a facility, or
+ * every facility of the tenant, for the day and take out the weekly windows;
+ * they do not take out ad-hoc sessions, which were added for that day on
+ * purpose. Blocks take out both.
+ */
+
+/**
+ * The instant of a TIME column value ('09:30:00') on a calendar date at a
+ * facility
+ */
+function toFacilityTime(date, time, timeZone) {
+  const [year, month, day] = date.split('-').map(Number);
+  const [hour, minute] = time.split(':').map(Number);
+
+  return zonedTimeToUtc({ year, month, day, hour, minute }, timeZone);
+}
+
+/**
+ * A DATE column value as YYYY-MM-DD; pg returns those as local midnight
+ */
+function toCalendarDate(value) {
+  if (!(value instanceof Date)) {
+    return String(value).slice(0, 10);
+  }
+
+  return format(value, 'yyyy-MM-dd');
+}
+
+/**
+ * The calendar date at a facility at an instant
+ */
+function toZonedDate(date, timeZone) {
+  const { year, month, day } = getZonedParts(new Date(date), timeZone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+function addCalendarDays(date, days) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + days * 86400000).toISOString().slice(0, 10);
+}
+
+function listCalendarDays(startDate, endDate) {
+  const days = [];
+
+  for (let date = startDate; date <= endDate; date = addCalendarDays(date, 1)) {
+    days.push(date);
+  }
+
+  return days;
+}
+
+function getDayOfWeek(date) {
+  return new Date(`${date}T00:00:00Z`).getUTCDay();
+}
+
+/**
+ * The instants a window spans on a calendar date at a facility; without
+ * times it is the whole day, however long DST makes it
+ * @returns {Object} { start, end }
+ */
+function getDayWindow(date, startTime, endTime, timeZone) {
+  if (!startTime) {
+    return {
+      start: toFacilityTime(date, '00:00', timeZone),
+      end: toFacilityTime(addCalendarDays(date, 1), '00:00', timeZone),
+    };
+  }
+
+  return {
+    start: toFacilityTime(date, startTime, timeZone),
+    end: toFacilityTime(date, endTime, timeZone),
+  };
+}
+
+/**
+ * The date a holiday falls on in a year, moved to the nearest weekday when
+ * it is observed that way (Saturday to Friday, Sunday to Monday)
+ * @returns {String|null} YYYY-MM-DD, or null when a one-off holiday is in
+ *   another year or a rule names a day the month does not have
+ */
+function getHolidayDate(holiday, year) {
+  if (holiday.holiday_date) {
+    const date = toCalendarDate(holiday.holiday_date);
+    return Number(date.slice(0, 4)) === year ? date : null;
+  }
+
+  const month = String(holiday.month).padStart(2, '0');
+  let date;
+
+  if (holiday.day_of_month) {
+    date = `${year}-${month}-${String(holiday.day_of_month).padStart(2, '0')}`;
+  } else if (holiday.week_of_month === -1) {
+    // Last such weekday: step back from the last day of the month
+    const nextMonth = addCalendarDays(`${year}-${month}-28`, 4).slice(0, 7);
+    const lastDay = addCalendarDays(`${nextMonth}-01`, -1);
+    date = addCalendarDays(lastDay, -((getDayOfWeek(lastDay) - holiday.day_of_week + 7) % 7));
+  } else {
+    const firstDay = `${year}-${month}-01`;
+    const first = addCalendarDays(firstDay, (holiday.day_of_week - getDayOfWeek(firstDay) + 7) % 7);
+    date = addCalendarDays(first, (holiday.week_of_month - 1) * 7);
+  }
+
+  // A fifth weekday or a 31st the month does not have rolls into the next
+  if (addCalendarDays(date, 0) !== date || date.slice(0, 7) !== `${year}-${month}`) {
+    return null;
+  }
+
+  if (holiday.observed_on_weekday) {
+    const dayOfWeek = getDayOfWeek(date);
+
+    if (dayOfWeek === 6) {
+      return addCalendarDays(date, -1);
+    }
+
+    if (dayOfWeek === 0) {
+      return addCalendarDays(date, 1);
+    }
+  }
+
+  return date;
+}
+
+/**
+ * Whether a holiday closes a facility on a calendar date
+ */
+function isHoliday(holiday, date, facilityId) {
+  if (holiday.facility_id && holiday.facility_id !== facilityId) {
+    return false;
+  }
+
+  // An observed holiday can move into the neighbouring year (1 January on a
+  // Saturday is observed on 31 December)
+  const year = Number(date.slice(0, 4));
+  return [year, year + 1].some((candidate) => getHolidayDate(holiday, candidate) === date);
+}
+
+/**
+ * Whether an exception row covers a provider at a facility
+ * Rows without a provider apply to everyone at the facility, rows without a
+ * facility to the provider everywhere.
+ */
+function appliesTo(exception, providerId, facilityId) {
+  return (
+    (!exception.provider_id || exception.provider_id === providerId) &&
+    (!exception.facility_id || exception.facility_id === facilityId)
+  );
+}
+
+/**
+ * The times a provider is unavailable at a facility on the given calendar
+ * dates, from holidays and blocks
+ * @param {Object} exceptions - { holidays, blocks }
+ * @returns {Array} [{ start, end, holiday_id | exception_id, reason }]
+ */
+function getBlockedWindows(exceptions, { providerId, facilityId, timeZone, dates }) {
+  const { holidays = [], blocks = [] } = exceptions;
+
+  return dates.flatMap((date) => [
+    ...holidays
+      .filter((holiday) => isHoliday(holiday, date, facilityId))
+      .map((holiday) => ({
+        ...getDayWindow(date, null, null, timeZone),
+        holiday_id: holiday.id,
+        reason: holiday.name,
+      })),
+    ...blocks
+      .filter(
+        (block) =>
+          appliesTo(block, providerId, facilityId) &&
+          toCalendarDate(block.start_date) <= date &&
+          toCalendarDate(block.end_date) >= date
+      )
+      .map((block) => ({
+        ...getDayWindow(date, block.start_time, block.end_time, timeZone),
+        exception_id: block.id,
+        reason: block.reason || null,
+      })),
+  ]);
+}
+
+/**
+ * The first holiday or block that overlaps a time at a facility
+ * @returns {Object|null} A window from getBlockedWindows
+ */
+function findBlockedWindow(exceptions, { providerId, facilityId, timeZone, start, end }) {
+  const dates = listCalendarDays(toZonedDate(start, timeZone), toZonedDate(end, timeZone));
+
+  return (
+    getBlockedWindows(exceptions, { providerId, facilityId, timeZone, dates }).find(
+      (window) => window.start < new Date(end) && window.end > new Date(start)
+    ) || null
+  );
+}
+
+/**
+ * Whether a resource can take another appointment at a time: inside its
+ * weekly hours, if it has any, and below capacity
+ * @param {Object} resource - A resources row with `availability` (its
+ *   resource_availability rows) and `bookings` ([{ start, end }])
+ */
+function isResourceFree(resource, { start, end, timeZone }) {
+  if (resource.availability.length > 0) {
+    const within = listCalendarDays(toZonedDate(start, timeZone), toZonedDate(end, timeZone)).some(
+      (date) =>
+        resource.availability.some((window) => {
+          if (
+            window.day_of_week !== getDayOfWeek(date) ||
+            toCalendarDate(window.effective_from) > date ||
+            (window.effective_until && toCalendarDate(window.effective_until) < date)
+          ) {
+            return false;
+          }
+
+          const { start: opens, end: closes } = getDayWindow(
+            date,
+            window.start_time,
+            window.end_time,
+            timeZone
+          );
+          return opens <= start && closes >= end;
+        })
+    );
+
+    if (!within) {
+      return false;
+    }
+  }
+
+  const overlapping = resource.bookings.filter(
+    (booking) => booking.start < end && booking.end > start
+  );
+
+  return overlapping.length < resource.capacity;
+}
+
+/**
+ * Pick a free resource of each required type at a facility, in the order
+ * the resources are given; a type required twice gets two different ones
+ * @param {Array} requirements - [{ type, optional }]; an optional type is
+ *   skipped when the facility keeps none of it
+ * @param {Array} resources - The facility's active resources, as for
+ *   isResourceFree
+ * @returns {Object} { resources } with those picked, or { missing } with the
+ *   first type that has no free resource
+ */
+function selectResources(requirements, resources, { start, end, timeZone }) {
+  const selected = [];
+  const selectedIds = new Set();
+
+  for (const { type, optional } of requirements) {
+    const candidates = resources.filter((resource) => resource.resource_type === type);
+
+    if (candidates.length === 0 && optional) {
+      continue;
+    }
+
+    const free = candidates.find(
+      (resource) =>
+        !selectedIds.has(resource.id) && isResourceFree(resource, { start, end, timeZone })
+    );
+
+    if (!free) {
+      return { missing: type };
+    }
+
+    selected.push(free);
+    selectedIds.add(free.id);
+  }
+
+  return { resources: selected };
+}
+
+module.exports = {
+  toFacilityTime,
+  toCalendarDate,
+  toZonedDate,
+  addCalendarDays,
+  listCalendarDays,
+  getDayOfWeek,
+  getDayWindow,
+  getHolidayDate,
+  isHoliday,
+  appliesTo,
+  getBlockedWindows,
+  findBlockedWindow,
+  isResourceFree,
+  selectResources,
+};
@@ -0,0 +1,801 @@
+const { v4: uuidv4 } = require('uuid');
+const { formatDate, formatDateTime, parseDate } = require('./hl7');
+const {
+  element,
+  serializeXml,
+  parseXml,
+  localName,
+  getChildren,
+  getChild,
+  getPath,
+  getDescendants,
+  findById,
+  getText,
+  getAttribute,
+} = require('./xml');
+const { ValidationError } = require('./errors');
+
+/**
+ * C-CDA R2.1 Continuity of Care Documents
+ *
+ * buildCcd() writes a CCD from our records; readCcd() reads the medications
+ * and problems of a received one. Dates use the HL7 TS format shared with
+ * v2, so the hl7 date helpers are reused.
+ *
+ * Sections we hold no data for (allergies, results, social history, vital
+ * signs) are required by the CCD template and are sent with nullFlavor NI.
+ */
+
+const CCDA_CONTENT_TYPE = 'application/xml';
+
+const CDA_NAMESPACE = 'urn:hl7-org:v3';
+const XSI_NAMESPACE = 'http://www.w3.org/2001/XMLSchema-instance';
+
+const OIDS = {
+  LOINC: '2.16.840.1.113883.6.1',
+  SNOMED: '2.16.840.1.113883.6.96',
+  RXNORM: '2.16.840.1.113883.6.88',
+  ICD10CM: '2.16.840.1.113883.6.90',
+  NCI_THESAURUS: '2.16.840.1.113883.3.26.1.1',
+  NPI: '2.16.840.1.113883.4.6',
+  ADMINISTRATIVE_GENDER: '2.16.840.1.113883.5.1',
+  CONFIDENTIALITY: '2.16.840.1.113883.5.25',
+  PARTICIPATION_FUNCTION: '2.16.840.1.113883.5.88',
+  ACT_CLASS: '2.16.840.1.113883.5.6',
+  CDA_TYPE_ID: '2.16.840.1.113883.1.3',
+};
+
+// [root, extension] of each template used
+const TEMPLATES = {
+  US_REALM_HEADER: ['2.16.840.1.113883.10.20.22.1.1', '2015-08-01'],
+  CCD: ['2.16.840.1.113883.10.20.22.1.2', '2015-08-01'],
+  ALLERGIES_SECTION: ['2.16.840.1.113883.10.20.22.2.6.1', '2015-08-01'],
+  MEDICATIONS_SECTION: ['2.16.840.1.113883.10.20.22.2.1.1', '2014-06-09'],
+  PROBLEMS_SECTION: ['2.16.840.1.113883.10.20.22.2.5.1', '2015-08-01'],
+  RESULTS_SECTION: ['2.16.840.1.113883.10.20.22.2.3.1', '2015-08-01'],
+  SOCIAL_HISTORY_SECTION: ['2.16.840.1.113883.10.20.22.2.17', '2015-08-01'],
+  VITAL_SIGNS_SECTION: ['2.16.840.1.113883.10.20.22.2.4.1', '2015-08-01'],
+  PLAN_OF_TREATMENT_SECTION: ['2.16.840.1.113883.10.20.22.2.10', '2014-06-09'],
+  MEDICATION_ACTIVITY: ['2.16.840.1.113883.10.20.22.4.16', '2014-06-09'],
+  MEDICATION_INFORMATION: ['2.16.840.1.113883.10.20.22.4.23', '2014-06-09'],
+  PROBLEM_CONCERN: ['2.16.840.1.113883.10.20.22.4.3', '2015-08-01'],
+  PROBLEM_OBSERVATION: ['2.16.840.1.113883.10.20.22.4.4', '2015-08-01'],
+  PLANNED_ENCOUNTER: ['2.16.840.1.113883.10.20.22.4.40', '2014-06-09'],
+};
+
+// LOINC section codes, which also identify sections written without templateIds
+const SECTION_CODES = {
+  ALLERGIES: ['48765-2', 'Allergies and adverse reactions Document'],
+  MEDICATIONS: ['10160-0', 'History of Medication use Narrative'],
+  PROBLEMS: ['11450-4', 'Problem list - Reported'],
+  RESULTS: ['30954-2', 'Relevant diagnostic tests/laboratory data Narrative'],
+  SOCIAL_HISTORY: ['29762-2', 'Social history Narrative'],
+  VITAL_SIGNS: ['8716-3', 'Vital signs'],
+  PLAN_OF_TREATMENT: ['18776-5', 'Plan of care note'],
+};
+
+const GENDER_CODES = {
+  male: 'M',
+  female: 'F',
+  other: 'UN',
+};
+
+// Route names as stored, to FDA route of administration codes (NCI Thesaurus)
+const ROUTE_CODES = {
+  oral: ['C38288', 'ORAL'],
+  sublingual: ['C38300', 'SUBLINGUAL'],
+  subcutaneous: ['C38299', 'SUBCUTANEOUS'],
+  intramuscular: ['C28161', 'INTRAMUSCULAR'],
+  intravenous: ['C38276', 'INTRAVENOUS'],
+  topical: ['C38304', 'TOPICAL'],
+  transdermal: ['C38305', 'TRANSDERMAL'],
+  inhalation: ['C38216', 'RESPIRATORY (INHALATION)'],
+  nasal: ['C38284', 'NASAL'],
+  ophthalmic: ['C38287', 'OPHTHALMIC'],
+  otic: ['C38192', 'AURICULAR (OTIC)'],
+  rectal: ['C38295', 'RECTAL'],
+};
+
+// Frequencies sent as a PIVL_TS period as well as in the sig text
+const FREQUENCY_PERIODS = {
+  'once daily': [24, 'h'],
+  daily: [24, 'h'],
+  'twice daily': [12, 'h'],
+  'three times daily': [8, 'h'],
+  'four times daily': [6, 'h'],
+  weekly: [1, 'wk'],
+  'once weekly': [1, 'wk'],
+};
+
+// Dose units written as UCUM; any other unit (tablet, puff) is a count of the
+// product and is sent without one
+const DOSE_UNITS = {
+  mg: 'mg',
+  g: 'g',
+  mcg: 'ug',
+  ug: 'ug',
+  ml: 'mL',
+  l: 'L',
+  unit: '[iU]',
+  units: '[iU]',
+  iu: '[iU]',
+};
+
+// Written for imported medications whose document leaves a required column out
+const UNSPECIFIED = 'unspecified';
+
+// =============================================
+// Building
+// =============================================
+
+/**
+ * Build a CCD
+ * @param {Object} data
+ * @param {Object} data.tenant - tenants row, the custodian
+ * @param {Object} data.patient - patients row
+ * @param {Array<Object>} data.medications - active medications rows
+ * @param {Array<Object>} data.careTeam - providers rows with the
+ *   patient_providers relationship_type and is_primary
+ * @param {Array<Object>} data.appointments - upcoming appointments rows with
+ *   provider_first_name, provider_last_name, provider_npi, facility_name and
+ *   facility_address
+ * @param {Date} data.now - the document time
+ * @returns {String} The document as XML
+ */
+function buildCcd({ tenant, patient, medications, careTeam, appointments, now = new Date() }) {
+  const time = formatDateTime(now);
+
+  const document = element(
+    'ClinicalDocument',
+    { xmlns: CDA_NAMESPACE, 'xmlns:xsi': XSI_NAMESPACE },
+    [
+      element('realmCode', { code: 'US' }),
+      element('typeId', { root: OIDS.CDA_TYPE_ID, extension: 'POCD_HD000040' }),
+      templateIds(TEMPLATES.US_REALM_HEADER),
+      templateIds(TEMPLATES.CCD),
+      element('id', { root: uuidv4() }),
+      element('code', {
+        code: '34133-9',
+        codeSystem: OIDS.LOINC,
+        codeSystemName: 'LOINC',
+        displayName: 'Summarization of Episode Note',
+      }),
+      element('title', {}, 'Continuity of Care Document'),
+      element('effectiveTime', { value: time }),
+      element('confidentialityCode', { code: 'N', codeSystem: OIDS.CONFIDENTIALITY }),
+      element('languageCode', { code: 'en-US' }),
+      toRecordTarget(tenant, patient),
+      toAuthor(tenant, time),
+      toCustodian(tenant),
+      toDocumentationOf(patient, careTeam, time),
+      element('component', {}, [
+        element(
+          'structuredBody',
+          {},
+          [
+            emptySection(TEMPLATES.ALLERGIES_SECTION, SECTION_CODES.ALLERGIES, 'Allergies'),
+            toMedicationsSection(medications),
+            toProblemsSection(patient),
+            emptySection(TEMPLATES.RESULTS_SECTION, SECTION_CODES.RESULTS, 'Results'),
+            emptySection(
+              TEMPLATES.SOCIAL_HISTORY_SECTION,
+              SECTION_CODES.SOCIAL_HISTORY,
+              'Social History'
+            ),
+            emptySection(TEMPLATES.VITAL_SIGNS_SECTION, SECTION_CODES.VITAL_SIGNS, 'Vital Signs'),
+            toPlanOfTreatmentSection(appointments),
+          ].map((section) => element('component', {}, section))
+        ),
+      ]),
+    ]
+  );
+
+  return serializeXml(document);
+}
+
+function toRecordTarget(tenant, patient) {
+  const contact = patient.contact_info || {};
+  const gender = GENDER_CODES[patient.gender];
+
+  return element('recordTarget', {}, [
+    element('patientRole', {}, [
+      // The MRN is assigned by the tenant, which has no OID of its own
+      element('id', { root: tenant.id, extension: patient.mrn }),
+      toAddress(contact.address, 'HP'),
+      toTelecoms(contact, 'HP'),
+      element('patient', {}, [
+        element('name', { use: 'L' }, [
+          element('given', {}, patient.first_name),
+          element('family', {}, patient.last_name),
+        ]),
+        gender
+          ? element('administrativeGenderCode', {
+              code: gender,
+              codeSystem: OIDS.ADMINISTRATIVE_GENDER,
+            })
+          : element('administrativeGenderCode', { nullFlavor: 'UNK' }),
+        element('birthTime', { value: formatDate(patient.date_of_birth) }),
+        element('raceCode', { nullFlavor: 'UNK' }),
+        element('ethnicGroupCode', { nullFlavor: 'UNK' }),
+      ]),
+    ]),
+  ]);
+}
+
+function toAuthor(tenant, time) {
+  return element('author', {}, [
+    element('time', { value: time }),
+    element('assignedAuthor', {}, [
+      element('id', { root: tenant.id }),
+      element('addr', { nullFlavor: 'NI' }),
+      element('telecom', { nullFlavor: 'NI' }),
+      element('assignedAuthoringDevice', {}, [
+        element('manufacturerModelName', {}, 'Chronic Care API'),
+        element('softwareName', {}, 'Chronic Care API'),
+      ]),
+      element('representedOrganization', {}, [
+        element('id', { root: tenant.id }),
+        element('name', {}, tenant.name),
+        element('telecom', { nullFlavor: 'NI' }),
+        element('addr', { nullFlavor: 'NI' }),
+      ]),
+    ]),
+  ]);
+}
+
+function toCustodian(tenant) {
+  return element('custodian', {}, [
+    element('assignedCustodian', {}, [
+      element('representedCustodianOrganization', {}, [
+        element('id', { root: tenant.id }),
+        element('name', {}, tenant.name),
+        element('telecom', { nullFlavor: 'NI' }),
+        element('addr', { nullFlavor: 'NI' }),
+      ]),
+    ]),
+  ]);
+}
+
+/**
+ * The care team as performers of the care provision; the primary provider is
+ * the PCP
+ */
+function toDocumentationOf(patient, careTeam, time) {
+  return element('documentationOf', {}, [
+    element('serviceEvent', { classCode: 'PCPR' }, [
+      element('effectiveTime', {}, [
+        element('low', { value: formatDate(patient.created_at) }),
+        element('high', { value: time }),
+      ]),
+      careTeam.map((provider) =>
+        element('performer', { typeCode: 'PRF' }, [
+          provider.is_primary
+            ? element('functionCode', {
+                code: 'PCP',
+                codeSystem: OIDS.PARTICIPATION_FUNCTION,
+                displayName: 'primary care physician',
+              })
+            : element('functionCode', { nullFlavor: 'OTH' }, [
+                element('originalText', {}, provider.relationship_type),
+              ]),
+          toAssignedEntity(provider.npi, provider.first_name, provider.last_name, {
+            address: provider.contact_info?.address,
+            contact: provider.contact_info,
+          }),
+        ])
+      ),
+    ]),
+  ]);
+}
+
+function toAssignedEntity(npi, firstName, lastName, { address, contact } = {}) {
+  return element('assignedEntity', {}, [
+    element('id', { root: OIDS.NPI, extension: npi }),
+    toAddress(address, 'WP'),
+    toTelecoms(contact || {}, 'WP'),
+    element('assignedPerson', {}, [
+      element('name', {}, [element('given', {}, firstName), element('family', {}, lastName)]),
+    ]),
+  ]);
+}
+
+function toMedicationsSection(medications) {
+  if (medications.length === 0) {
+    return emptySection(TEMPLATES.MEDICATIONS_SECTION, SECTION_CODES.MEDICATIONS, 'Medications');
+  }
+
+  const rows = medications.map((medication, index) => {
+    const id = `medication-${index + 1}`;
+
+    return [
+      element('td', { ID: id }, medication.medication_name),
+      medication.dosage,
+      medication.route,
+      element('td', { ID: `${id}-sig` }, medication.frequency),
+      formatDisplayDate(medication.start_date),
+      formatDisplayDate(medication.end_date),
+    ];
+  });
+
+  return toSection(TEMPLATES.MEDICATIONS_SECTION, SECTION_CODES.MEDICATIONS, 'Medications', {
+    text: toTable(['Medication', 'Dose', 'Route', 'Frequency', 'Start', 'End'], rows),
+    entries: medications.map((medication, index) =>
+      toMedicationActivity(medication, `medication-${index + 1}`)
+    ),
+  });
+}
+
+function toMedicationActivity(medication, id) {
+  const route = ROUTE_CODES[String(medication.route || '').toLowerCase()];
+  const period = FREQUENCY_PERIODS[String(medication.frequency || '').toLowerCase()];
+  const dose = /^(\d+(?:\.\d+)?)\s*(\S*)/.exec(String(medication.dosage || '').trim());
+
+  return element('entry', { typeCode: 'DRIV' }, [
+    element('substanceAdministration', { classCode: 'SBADM', moodCode: 'EVN' }, [
+      templateIds(TEMPLATES.MEDICATION_ACTIVITY),
+      element('id', { root: medication.id }),
+      element('text', {}, [element('reference', { value: `#${id}-sig` })]),
+      element('statusCode', { code: 'active' }),
+      element('effectiveTime', { 'xsi:type': 'IVL_TS' }, [
+        element('low', { value: formatDate(medication.start_date) }),
+        medication.end_date
+          ? element('high', { value: formatDate(medication.end_date) })
+          : element('high', { nullFlavor: 'UNK' }),
+      ]),
+      period &&
+        element(
+          'effectiveTime',
+          { 'xsi:type': 'PIVL_TS', institutionSpecified: 'true', operator: 'A' },
+          [element('period', { value: period[0], unit: period[1] })]
+        ),
+      route
+        ? element('routeCode', {
+            code: route[0],
+            codeSystem: OIDS.NCI_THESAURUS,
+            codeSystemName: 'NCI Thesaurus',
+            displayName: route[1],
+          })
+        : element('routeCode', { nullFlavor: 'OTH' }, [
+            element('originalText', {}, medication.route),
+          ]),
+      dose && element('doseQuantity', { value: dose[1], unit: DOSE_UNITS[dose[2].toLowerCase()] }),
+      element('consumable', {}, [
+        element('manufacturedProduct', { classCode: 'MANU' }, [
+          templateIds(TEMPLATES.MEDICATION_INFORMATION),
+          element('manufacturedMaterial', {}, [
+            element(
+              'code',
+              medication.rxnorm_code
+                ? {
+                    code: medication.rxnorm_code,
+                    codeSystem: OIDS.RXNORM,
+                    codeSystemName: 'RxNorm',
+                    displayName: medication.medication_name,
+                  }
+                : { nullFlavor: 'OTH' },
+              [element('originalText', {}, [element('reference', { value: `#${id}` })])]
+            ),
+          ]),
+        ]),
+      ]),
+    ]),
+  ]);
+}
+
+/**
+ * primary_diagnosis as a problem by name, then one problem per ICD-10 code,
+ * as in the FHIR Patient's contained Conditions
+ */
+function toProblemsSection(patient) {
+  const problems = [
+    ...(patient.primary_diagnosis ? [{ name: patient.primary_diagnosis }] : []),
+    ...(patient.icd10_codes || []).map((code) => ({ code })),
+  ];
+
+  if (problems.length === 0) {
+    return emptySection(TEMPLATES.PROBLEMS_SECTION, SECTION_CODES.PROBLEMS, 'Problems');
+  }
+
+  const rows = problems.map((problem, index) => [
+    element('td', { ID: `problem-${index + 1}` }, problem.name || problem.code),
+    problem.code ? `ICD-10-CM ${problem.code}` : '',
+    'Active',
+  ]);
+
+  return toSection(TEMPLATES.PROBLEMS_SECTION, SECTION_CODES.PROBLEMS, 'Problems', {
+    text: toTable(['Problem', 'Code', 'Status'], rows),
+    entries: problems.map((problem, index) => toProblemConcern(problem, `problem-${index + 1}`)),
+  });
+}
+
+function toProblemConcern(problem, id) {
+  const reference = element('reference', { value: `#${id}` });
+  const originalText = problem.name && element('originalText', {}, [reference]);
+
+  return element('entry', { typeCode: 'DRIV' }, [
+    element('act', { classCode: 'ACT', moodCode: 'EVN' }, [
+      templateIds(TEMPLATES.PROBLEM_CONCERN),
+      element('id', { root: uuidv4() }),
+      element('code', {
+        code: 'CONC',
+        codeSystem: OIDS.ACT_CLASS,
+        displayName: 'Concern',
+      }),
+      element('statusCode', { code: 'active' }),
+      element('effectiveTime', {}, [element('low', { nullFlavor: 'UNK' })]),
+      element('entryRelationship', { typeCode: 'SUBJ' }, [
+        element('observation', { classCode: 'OBS', moodCode: 'EVN' }, [
+          templateIds(TEMPLATES.PROBLEM_OBSERVATION),
+          element('id', { root: uuidv4() }),
+          element(
+            'code',
+            {
+              code: '55607006',
+              codeSystem: OIDS.SNOMED,
+              codeSystemName: 'SNOMED CT',
+              displayName: 'Problem',
+            },
+            [
+              element('translation', {
+                code: '75326-9',
+                codeSystem: OIDS.LOINC,
+                codeSystemName: 'LOINC',
+                displayName: 'Problem',
+              }),
+            ]
+          ),
+          element('text', {}, [reference]),
+          element('statusCode', { code: 'completed' }),
+          element('effectiveTime', {}, [element('low', { nullFlavor: 'UNK' })]),
+          element(
+            'value',
+            problem.code
+              ? {
+                  'xsi:type': 'CD',
+                  code: problem.code,
+                  codeSystem: OIDS.ICD10CM,
+                  codeSystemName: 'ICD-10-CM',
+                }
+              : { 'xsi:type': 'CD', nullFlavor: 'OTH' },
+            [originalText]
+          ),
+        ]),
+      ]),
+    ]),
+  ]);
+}
+
+/**
+ * Upcoming appointments as planned encounters
+ */
+function toPlanOfTreatmentSection(appointments) {
+  const template = TEMPLATES.PLAN_OF_TREATMENT_SECTION;
+  const title = 'Plan of Treatment';
+
+  if (appointments.length === 0) {
+    return emptySection(template, SECTION_CODES.PLAN_OF_TREATMENT, title);
+  }
+
+  const rows = appointments.map((appointment, index) => [
+    element('td', { ID: `appointment-${index + 1}` }, appointment.appointment_type),
+    new Date(appointment.scheduled_start).toISOString(),
+    `${appointment.provider_first_name} ${appointment.provider_last_name}`,
+    appointment.facility_name,
+    appointment.reason || '',
+  ]);
+
+  return toSection(template, SECTION_CODES.PLAN_OF_TREATMENT, title, {
+    text: toTable(['Encounter', 'Scheduled (UTC)', 'Provider', 'Location', 'Reason'], rows),
+    entries: appointments.map((appointment, index) =>
+      toPlannedEncounter(appointment, `appointment-${index + 1}`)
+    ),
+  });
+}
+
+function toPlannedEncounter(appointment, id) {
+  return element('entry', {}, [
+    element('encounter', { classCode: 'ENC', moodCode: 'INT' }, [
+      templateIds(TEMPLATES.PLANNED_ENCOUNTER),
+      element('id', { root: appointment.id }),
+      element('code', { nullFlavor: 'OTH' }, [
+        element('originalText', {}, [element('reference', { value: `#${id}` })]),
+      ]),
+      element('text', {}, [element('reference', { value: `#${id}` })]),
+      element('statusCode', { code: 'active' }),
+      element('effectiveTime', {}, [
+        element('low', { value: formatDateTime(new Date(appointment.scheduled_start)) }),
+        element('high', { value: formatDateTime(new Date(appointment.scheduled_end)) }),
+      ]),
+      element('performer', {}, [
+        toAssignedEntity(
+          appointment.provider_npi,
+          appointment.provider_first_name,
+          appointment.provider_last_name
+        ),
+      ]),
+      element('participant', { typeCode: 'LOC' }, [
+        element('participantRole', { classCode: 'SDLOC' }, [
+          element('id', { root: appointment.facility_id }),
+          toAddress(appointment.facility_address, 'WP'),
+          element('playingEntity', { classCode: 'PLC' }, [
+            element('name', {}, appointment.facility_name),
+          ]),
+        ]),
+      ]),
+    ]),
+  ]);
+}
+
+function toSection(template, [code, displayName], title, { text, entries }) {
+  return element('section', {}, [
+    templateIds(template),
+    element('code', { code, codeSystem: OIDS.LOINC, codeSystemName: 'LOINC', displayName }),
+    element('title', {}, title),
+    element('text', {}, text),
+    entries,
+  ]);
+}
+
+function emptySection(template, [code, displayName], title) {
+  return element('section', { nullFlavor: 'NI' }, [
+    templateIds(template),
+    element('code', { code, codeSystem: OIDS.LOINC, codeSystemName: 'LOINC', displayName }),
+    element('title', {}, title),
+    element('text', {}, 'No information'),
+  ]);
+}
+
+/**
+ * The templateId without and with its extension, as C-CDA R2.1 asks of
+ * templates that were versioned
+ */
+function templateIds([root, extension]) {
+  return [element('templateId', { root }), element('templateId', { root, extension })];
+}
+
+/**
+ * A narrative table; a cell is text or a td element carrying an ID
+ */
+function toTable(headers, rows) {
+  return element('table', { border: '1', width: '100%' }, [
+    element('thead', {}, [
+      element(
+        'tr',
+        {},
+        headers.map((header) => element('th', {}, header))
+      ),
+    ]),
+    element(
+      'tbody',
+      {},
+      rows.map((cells) =>
+        element(
+          'tr',
+          {},
+          cells.map((cell) => (typeof cell === 'object' ? cell : element('td', {}, cell)))
+        )
+      )
+    ),
+  ]);
+}
+
+function toAddress(address, use) {
+  if (!address || Object.keys(address).length === 0) {
+    return element('addr', { nullFlavor: 'NI' });
+  }
+
+  const lines = [address.line].flat().filter(Boolean);
+
+  return element('addr', { use }, [
+    lines.map((line) => element('streetAddressLine', {}, line)),
+    address.city && element('city', {}, address.city),
+    address.state && element('state', {}, address.state),
+    address.postalCode && element('postalCode', {}, address.postalCode),
+    address.country && element('country', {}, address.country),
+  ]);
+}
+
+function toTelecoms(contact, use) {
+  const telecoms = [
+    contact.phone && element('telecom', { use, value: `tel:${contact.phone}` }),
+    contact.email && element('telecom', { value: `mailto:${contact.email}` }),
+  ].filter(Boolean);
+
+  return telecoms.length > 0 ? telecoms : element('telecom', { nullFlavor: 'NI' });
+}
+
+function formatDisplayDate(value) {
+  const date = formatDate(value);
+  return date ? `${date.slice(0, 4)}-${date.slice(4, 6)}-${date.slice(6, 8)}` : '';
+}
+
+// =============================================
+// Reading
+// =============================================
+
+/**
+ * Read the active medications and problems of a CCD
+ * Sections are found by templateId or, failing that, by LOINC section code.
+ * @returns {Object} { effectiveDate, medications, problems }: medications
+ *   are column values for the medications table; problems are
+ *   { name, codes } with the ICD-10-CM codes of each active problem
+ * @throws {ValidationError} When the body is not a ClinicalDocument
+ */
+function readCcd(xml) {
+  const document = parseXml(xml);
+
+  if (localName(document.name) !== 'ClinicalDocument') {
+    throw new ValidationError('Document is not a C-CDA ClinicalDocument', {
+      errors: [{ field: 'body', message: `Root element is <${document.name}>` }],
+    });
+  }
+
+  const effectiveDate = parseDate(getAttribute(getChild(document, 'effectiveTime'), 'value'));
+  const sections = getDescendants(document, 'section');
+
+  return {
+    effectiveDate,
+    medications: readMedications(
+      document,
+      findSection(sections, TEMPLATES.MEDICATIONS_SECTION, SECTION_CODES.MEDICATIONS),
+      effectiveDate
+    ),
+    problems: readProblems(
+      document,
+      findSection(sections, TEMPLATES.PROBLEMS_SECTION, SECTION_CODES.PROBLEMS)
+    ),
+  };
+}
+
+function findSection(sections, [root], [code]) {
+  // The entries-optional template shares the root without its trailing .1
+  const roots = [root, root.replace(/\.1$/, '')];
+
+  return (
+    sections.find((candidate) =>
+      getChildren(candidate, 'templateId').some((templateId) =>
+        roots.includes(getAttribute(templateId, 'root'))
+      )
+    ) ||
+    sections.find((candidate) => getAttribute(getChild(candidate, 'code'), 'code') === code) ||
+    null
+  );
+}
+
+function readMedications(document, medicationsSection, effectiveDate) {
+  return getChildren(medicationsSection, 'entry')
+    .map((entry) => getChild(entry, 'substanceAdministration'))
+    .filter(
+      (activity) =>
+        activity &&
+        getAttribute(activity, 'negationInd') !== 'true' &&
+        getAttribute(getChild(activity, 'statusCode'), 'code') === 'active'
+    )
+    .map((activity) => readMedicationActivity(document, activity, effectiveDate))
+    .filter((medication) => medication.medication_name);
+}
+
+function readMedicationActivity(document, activity, effectiveDate) {
+  const material = getPath(activity, 'consumable/manufacturedProduct/manufacturedMaterial');
+  const code = getChild(material, 'code');
+  const rxnorm = [code, ...getChildren(code, 'translation')].find(
+    (coding) => getAttribute(coding, 'codeSystem') === OIDS.RXNORM && getAttribute(coding, 'code')
+  );
+  const effectiveTimes = getChildren(activity, 'effectiveTime');
+  const interval = effectiveTimes.find((time) => !getChild(time, 'period'));
+  const periodic = effectiveTimes.find((time) => getChild(time, 'period'));
+  const dose = getChild(activity, 'doseQuantity');
+  const doseValue = getAttribute(dose, 'value') || getAttribute(getChild(dose, 'low'), 'value');
+  const doseUnit = getAttribute(dose, 'unit') || getAttribute(getChild(dose, 'low'), 'unit');
+  const endDate = parseDate(getAttribute(getChild(interval, 'high'), 'value'));
+
+  const name =
+    getAttribute(rxnorm, 'displayName') ||
+    readOriginalText(document, code) ||
+    getText(getChild(material, 'name')) ||
+    getAttribute(code, 'displayName');
+
+  return {
+    medication_name: name ? name.slice(0, 255) : null,
+    rxnorm_code: getAttribute(rxnorm, 'code'),
+    dosage: doseValue
+      ? [doseValue, doseUnit !== '1' && doseUnit].filter(Boolean).join(' ')
+      : UNSPECIFIED,
+    route: readRoute(document, getChild(activity, 'routeCode')),
+    frequency:
+      readFrequency(getChild(periodic, 'period')) ||
+      readOriginalText(document, activity, 'text') ||
+      UNSPECIFIED,
+    start_date:
+      parseDate(
+        getAttribute(getChild(interval, 'low'), 'value') || getAttribute(interval, 'value')
+      ) || effectiveDate,
+    end_date: endDate || undefined,
+  };
+}
+
+function readRoute(document, routeCode) {
+  const code = getAttribute(routeCode, 'code');
+  const known = Object.entries(ROUTE_CODES).find(([, [routeCodeValue]]) => routeCodeValue === code);
+
+  if (known) {
+    return known[0];
+  }
+
+  const name = getAttribute(routeCode, 'displayName') || readOriginalText(document, routeCode);
+  return name ? name.toLowerCase().slice(0, 50) : UNSPECIFIED;
+}
+
+function readFrequency(period) {
+  const value = Number(getAttribute(period, 'value'));
+  const unit = getAttribute(period, 'unit');
+
+  if (!value || !unit) {
+    return null;
+  }
+
+  const known = Object.entries(FREQUENCY_PERIODS).find(
+    ([, [periodValue, periodUnit]]) => periodValue === value && periodUnit === unit
+  );
+
+  return known ? known[0] : `every ${value} ${unit}`;
+}
+
+/**
+ * Active problems: observations under an active concern, or standalone
+ * observations whose own status is not completed or aborted
+ */
+function readProblems(document, problemsSection) {
+  return getChildren(problemsSection, 'entry')
+    .flatMap((entry) => {
+      const act = getChild(entry, 'act');
+
+      if (act) {
+        return getAttribute(getChild(act, 'statusCode'), 'code') === 'active'
+          ? getChildren(act, 'entryRelationship').map((relationship) =>
+              getChild(relationship, 'observation')
+            )
+          : [];
+      }
+
+      return [getChild(entry, 'observation')];
+    })
+    .filter((observation) => observation && getAttribute(observation, 'negationInd') !== 'true')
+    .map((observation) => {
+      const value = getChild(observation, 'value');
+      const codings = [value, ...getChildren(value, 'translation')];
+
+      return {
+        name: readOriginalText(document, value) || getAttribute(value, 'displayName') || null,
+        codes: codings
+          .filter((coding) => getAttribute(coding, 'codeSystem') === OIDS.ICD10CM)
+          .map((coding) => getAttribute(coding, 'code'))
+          .filter(Boolean),
+      };
+    })
+    .filter((problem) => problem.name || problem.codes.length > 0);
+}
+
+/**
+ * The text of an originalText (or text) child, following a narrative
+ * reference such as <reference value="#medication-1"/>
+ */
+function readOriginalText(document, node, childName = 'originalText') {
+  const text = getChild(node, childName);
+
+  if (!text) {
+    return null;
+  }
+
+  const reference = getAttribute(getChild(text, 'reference'), 'value');
+  const target = reference?.startsWith('#') && findById(document, reference.slice(1));
+  const resolved = target ? getText(target) : '';
+
+  return resolved || getText(text) || null;
+}
+
+module.exports = {
+  CCDA_CONTENT_TYPE,
+  buildCcd,
+  readCcd,
+};
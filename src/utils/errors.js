@@ -35,8 +35,30 @@ class UnauthorizedError extends AppError {
 }
 
 class ForbiddenError extends AppError {
-  constructor(message = 'Forbidden') {
-    super(message, 403, 'FORBIDDEN');
+  constructor(message = 'Forbidden', details = {}) {
+    super(message, 403, 'FORBIDDEN', details);
+  }
+}
+
+class MethodNotAllowedError extends AppError {
+  constructor(method) {
+    super(`Method ${method} not allowed`, 405, 'METHOD_NOT_ALLOWED', { method });
+  }
+}
+
+class RouteNotFoundError extends AppError {
+  constructor(method, path) {
+    super('Resource not found', 404, 'NOT_FOUND', { method, path });
+  }
+}
+
+class AuditWriteError extends AppError {
+  constructor() {
+    super(
+      'The request was not completed because it could not be audited',
+      503,
+      'AUDIT_UNAVAILABLE'
+    );
   }
 }
 
@@ -47,4 +69,7 @@ module.exports = {
   ConflictError,
   UnauthorizedError,
   ForbiddenError,
+  MethodNotAllowedError,
+  RouteNotFoundError,
+  AuditWriteError,
 };
\ No newline at end of file
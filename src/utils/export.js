@@ -0,0 +1,50 @@
+/**
+ * Serializers for file downloads (NDJSON, CSV)
+ */
+
+const EXPORT_FORMATS = {
+  ndjson: { contentType: 'application/x-ndjson', extension: 'ndjson' },
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+};
+
+// Spreadsheet applications evaluate cells starting with these characters
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function toNdjson(rows) {
+  return rows.map((row) => JSON.stringify(row)).join('\n') + (rows.length > 0 ? '\n' : '');
+}
+
+function toCsvCell(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = value instanceof Date ? value.toISOString() : value;
+  text = typeof text === 'object' ? JSON.stringify(text) : String(text);
+
+  if (FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * @param {Array<Object>} rows
+ * @param {Array<String>} columns - Header row and cell order
+ */
+function toCsv(rows, columns) {
+  const lines = [columns.join(',')];
+
+  for (const row of rows) {
+    lines.push(columns.map((column) => toCsvCell(row[column])).join(','));
+  }
+
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  toNdjson,
+  toCsv,
+};
@@ -1,15 +1,198 @@
 /**
  * FHIR R4 Conversion Utilities
+ *
+ * The toFHIR* and fromFHIR* pairs are lossless for values that are set:
+ * every such column a resource is built from comes back out of fromFHIR*.
+ * Empty values (null, '', [] and {}) are left out of the resource and come
+ * back undefined, which FhirService treats as not sent: a create leaves the
+ * column at its default and an update clears it. Columns map onto FHIR elements
+ * where R4 has one; the rest travel in extensions (EXTENSIONS below), and the
+ * patient's insurance and diagnoses are contained Coverage and Condition
+ * resources. The fromFHIR* functions return server-managed columns too
+ * (timestamps, delivery state); FhirService ignores those on write.
  */
 
+const { ValidationError } = require('./errors');
+
+const MRN_SYSTEM = 'MRN';
+const NPI_SYSTEM = 'http://hl7.org/fhir/sid/us-npi';
+const RXNORM_SYSTEM = 'http://www.nlm.nih.gov/research/umls/rxnorm';
+const ICD10_SYSTEM = 'http://hl7.org/fhir/sid/icd-10-cm';
+const UCUM_SYSTEM = 'http://unitsofmeasure.org';
+
+const EXTENSION_BASE = 'https://api.chroniccare.example.com/fhir/StructureDefinition';
+
+// appointments.status to Appointment.status. Scheduled and confirmed are both
+// booked; the patient participant's status (needs-action or accepted) tells
+// them apart.
+const APPOINTMENT_STATUS = {
+  scheduled: 'booked',
+  confirmed: 'booked',
+  arrived: 'arrived',
+  'in-progress': 'checked-in',
+  completed: 'fulfilled',
+  cancelled: 'cancelled',
+  'no-show': 'noshow',
+};
+
+// Appointment.status codes we never emit, as sent by other systems
+const APPOINTMENT_STATUS_ALIASES = {
+  proposed: 'scheduled',
+  pending: 'scheduled',
+  waitlist: 'scheduled',
+  'entered-in-error': 'cancelled',
+};
+
+// appointments.priority to Appointment.priority (1 is highest, 9 lowest)
+const APPOINTMENT_PRIORITY = {
+  urgent: 1,
+  high: 3,
+  normal: 5,
+  low: 9,
+};
+
+// medications.status to MedicationRequest.status
+const MEDICATION_STATUS = {
+  active: 'active',
+  'on-hold': 'on-hold',
+  completed: 'completed',
+  discontinued: 'stopped',
+};
+
+const MEDICATION_STATUS_ALIASES = {
+  cancelled: 'discontinued',
+};
+
+// notifications.delivery_status to Communication.status
+const COMMUNICATION_STATUS = {
+  pending: 'preparation',
+  queued: 'in-progress',
+  delivered: 'completed',
+  failed: 'not-done',
+};
+
+// notifications.channel to v3 ParticipationMode
+const COMMUNICATION_MEDIUM = {
+  sms: 'SMSWRIT',
+  email: 'EMAILWRIT',
+  push: 'ONLINEWRIT',
+};
+
+// notifications.priority to Communication.priority; low has no code of its
+// own and is kept in the notification-priority extension
+const COMMUNICATION_PRIORITY = {
+  low: 'routine',
+  medium: 'routine',
+  high: 'urgent',
+  urgent: 'stat',
+};
+
+// Timing.repeat elements; other schedule_details keys go in an extension
+const TIMING_REPEAT_FIELDS = [
+  'boundsDuration',
+  'boundsRange',
+  'boundsPeriod',
+  'count',
+  'countMax',
+  'duration',
+  'durationMax',
+  'durationUnit',
+  'frequency',
+  'frequencyMax',
+  'period',
+  'periodMax',
+  'periodUnit',
+  'dayOfWeek',
+  'timeOfDay',
+  'when',
+  'offset',
+];
+
+const EMERGENCY_CONTACT_RELATIONSHIP = {
+  system: 'http://terminology.hl7.org/CodeSystem/v2-0131',
+  code: 'C',
+  display: 'Emergency Contact',
+};
+
+const COVERAGE_CLASS_SYSTEM = 'http://terminology.hl7.org/CodeSystem/coverage-class';
+const DATA_ABSENT_REASON = 'http://hl7.org/fhir/StructureDefinition/data-absent-reason';
+const PRIMARY_DIAGNOSIS_ID = 'primary-diagnosis';
+
+/*
+ * Extensions for columns R4 has no element for. `json` extensions carry a
+ * JSON document in valueString, for the free-form JSONB columns.
+ */
+const EXTENSIONS = {
+  treatmentStatus: extension('patient-treatment-status', 'code'),
+  communicationPreferences: extension('patient-communication-preferences', 'json'),
+  consentSettings: extension('patient-consent-settings', 'json'),
+  patientContactInfo: extension('patient-contact-info', 'json'),
+  emergencyContact: extension('patient-emergency-contact', 'json'),
+  insuranceInfo: extension('coverage-insurance-info', 'json'),
+  specialRequirements: extension('appointment-special-requirements', 'json'),
+  preAppointmentInstructions: extension('appointment-pre-appointment-instructions', 'json'),
+  telehealthDetails: extension('appointment-telehealth-details', 'json'),
+  insuranceVerified: extension('appointment-insurance-verified', 'boolean'),
+  appointmentSeries: extension('appointment-series', 'string'),
+  checkedInAt: extension('appointment-checked-in-at', 'dateTime'),
+  completedAt: extension('appointment-completed-at', 'dateTime'),
+  cancelledAt: extension('appointment-cancelled-at', 'dateTime'),
+  genericName: extension('medication-generic-name', 'string'),
+  strength: extension('medication-strength', 'string'),
+  dosage: extension('medication-dosage', 'string'),
+  scheduleDetails: extension('medication-schedule-details', 'json'),
+  isOngoing: extension('medication-is-ongoing', 'boolean'),
+  pharmacyInfo: extension('medication-pharmacy-info', 'json'),
+  specialInstructions: extension('medication-special-instructions', 'json'),
+  sideEffectsToMonitor: extension('medication-side-effects-to-monitor', 'json'),
+  specializations: extension('practitioner-specializations', 'json'),
+  qualification: extension('practitioner-qualification', 'json'),
+  telehealthEnabled: extension('practitioner-telehealth-enabled', 'boolean'),
+  maxDailyCapacity: extension('practitioner-max-daily-capacity', 'integer'),
+  defaultAppointmentDurations: extension('practitioner-default-appointment-durations', 'json'),
+  appointmentBuffers: extension('practitioner-appointment-buffers', 'json'),
+  providerContactInfo: extension('practitioner-contact-info', 'json'),
+  timezone: { url: 'http://hl7.org/fhir/StructureDefinition/timezone', type: 'code' },
+  operatingHours: extension('location-operating-hours', 'json'),
+  capabilities: extension('location-capabilities', 'json'),
+  facilityContactInfo: extension('location-contact-info', 'json'),
+  notificationPriority: extension('communication-notification-priority', 'code'),
+  scheduledSendTime: extension('communication-scheduled-send-time', 'dateTime'),
+  templateData: extension('communication-template-data', 'json'),
+  acknowledgedAt: extension('communication-acknowledged-at', 'dateTime'),
+  retryCount: extension('communication-retry-count', 'integer'),
+  deliveryDetails: extension('communication-delivery-details', 'json'),
+};
+
+const EXTENSION_VALUE_KEYS = {
+  code: 'valueCode',
+  string: 'valueString',
+  boolean: 'valueBoolean',
+  integer: 'valueInteger',
+  dateTime: 'valueDateTime',
+  json: 'valueString',
+};
+
 function toFHIRPatient(patient) {
+  const [{ email, phone }, contactInfo] = splitFields(patient.contact_info, ['email', 'phone']);
+  const { address, ...otherContactInfo } = contactInfo;
+  const contained = [toCoverage(patient.insurance_info), ...toConditions(patient)].filter(Boolean);
+
   return {
     resourceType: 'Patient',
     id: patient.id,
+    meta: { lastUpdated: patient.updated_at },
+    contained: contained.length > 0 ? contained : undefined,
+    extension: toExtensions({
+      treatmentStatus: patient.treatment_status,
+      communicationPreferences: patient.communication_preferences,
+      consentSettings: patient.consent_settings,
+      patientContactInfo: otherContactInfo,
+    }),
     identifier: [
       {
         use: 'official',
-        system: 'MRN',
+        system: MRN_SYSTEM,
         value: patient.mrn,
       },
     ],
@@ -22,46 +205,21 @@ function toFHIRPatient(patient) {
       },
     ],
     telecom: [
-      patient.contact_info?.email && {
+      email && {
         system: 'email',
-        value: patient.contact_info.email,
+        value: email,
         use: 'home',
       },
-      patient.contact_info?.phone && {
+      phone && {
         system: 'phone',
-        value: patient.contact_info.phone,
+        value: phone,
         use: 'mobile',
       },
     ].filter(Boolean),
     gender: patient.gender,
-    birthDate: patient.date_of_birth,
-    address: patient.contact_info?.address ? [patient.contact_info.address] : [],
-    contact: patient.emergency_contact
-      ? [
-          {
-            relationship: [
-              {
-                coding: [
-                  {
-                    system: 'http://terminology.hl7.org/CodeSystem/v2-0131',
-                    code: 'C',
-                    display: 'Emergency Contact',
-                  },
-                ],
-              },
-            ],
-            name: patient.emergency_contact.name,
-            telecom: patient.emergency_contact.phone
-              ? [
-                  {
-                    system: 'phone',
-                    value: patient.emergency_contact.phone,
-                  },
-                ]
-              : [],
-          },
-        ]
-      : [],
+    birthDate: toFHIRDate(patient.date_of_birth),
+    address: address ? [address] : [],
+    contact: toEmergencyContact(patient.emergency_contact),
   };
 }
 
@@ -69,34 +227,192 @@ function fromFHIRPatient(fhirPatient) {
   const name = fhirPatient.name?.[0] || {};
   const email = fhirPatient.telecom?.find((t) => t.system === 'email')?.value;
   const phone = fhirPatient.telecom?.find((t) => t.system === 'phone')?.value;
-  const emergencyContact = fhirPatient.contact?.[0];
+  const contained = fhirPatient.contained || [];
+  const conditions = contained.filter((resource) => resource.resourceType === 'Condition');
+  const coverage = contained.find((resource) => resource.resourceType === 'Coverage');
+  const primaryDiagnosis = conditions.find((condition) => condition.id === PRIMARY_DIAGNOSIS_ID);
+  const icd10Codes = conditions.flatMap((condition) =>
+    (condition.code?.coding || [])
+      .filter((coding) => coding.system === ICD10_SYSTEM)
+      .map((coding) => coding.code)
+  );
 
   return {
-    mrn: fhirPatient.identifier?.find((i) => i.system === 'MRN')?.value,
+    mrn: fhirPatient.identifier?.find((i) => i.system === MRN_SYSTEM)?.value,
     first_name: name.given?.[0],
     last_name: name.family,
     date_of_birth: fhirPatient.birthDate,
     gender: fhirPatient.gender,
     contact_info: {
+      ...getExtension(fhirPatient, 'patientContactInfo'),
       email,
       phone,
       address: fhirPatient.address?.[0],
     },
-    emergency_contact: emergencyContact
-      ? {
-          name: emergencyContact.name,
-          phone: emergencyContact.telecom?.find((t) => t.system === 'phone')?.value,
-        }
-      : null,
+    emergency_contact: fromEmergencyContact(fhirPatient.contact),
+    insurance_info: coverage ? fromCoverage(coverage) : undefined,
+    primary_diagnosis: primaryDiagnosis?.code?.text,
+    icd10_codes: icd10Codes.length > 0 ? icd10Codes : undefined,
+    treatment_status: getExtension(fhirPatient, 'treatmentStatus'),
+    communication_preferences: getExtension(fhirPatient, 'communicationPreferences'),
+    consent_settings: getExtension(fhirPatient, 'consentSettings'),
     is_active: fhirPatient.active,
   };
 }
 
+function toEmergencyContact(emergencyContact) {
+  if (isEmpty(emergencyContact)) {
+    return [];
+  }
+
+  const [{ name, phone, email, relationship }, rest] = splitFields(emergencyContact, [
+    'name',
+    'phone',
+    'email',
+    'relationship',
+  ]);
+
+  return [
+    {
+      extension: toExtensions({ emergencyContact: rest }),
+      relationship: [
+        { coding: [EMERGENCY_CONTACT_RELATIONSHIP] },
+        relationship && { text: relationship },
+      ].filter(Boolean),
+      name: name ? { text: name } : undefined,
+      telecom: [
+        phone && { system: 'phone', value: phone },
+        email && { system: 'email', value: email },
+      ].filter(Boolean),
+    },
+  ];
+}
+
+function fromEmergencyContact(contacts) {
+  const contact =
+    contacts?.find((item) =>
+      item.relationship?.some((relationship) =>
+        relationship.coding?.some((coding) => coding.code === EMERGENCY_CONTACT_RELATIONSHIP.code)
+      )
+    ) || contacts?.[0];
+
+  if (!contact) {
+    return undefined;
+  }
+
+  const name =
+    typeof contact.name === 'string'
+      ? contact.name
+      : contact.name?.text ||
+        [...(contact.name?.given || []), contact.name?.family].filter(Boolean).join(' ');
+
+  return compactObject({
+    ...getExtension(contact, 'emergencyContact'),
+    name: name || undefined,
+    phone: contact.telecom?.find((t) => t.system === 'phone')?.value,
+    email: contact.telecom?.find((t) => t.system === 'email')?.value,
+    relationship: contact.relationship?.find((item) => !item.coding && item.text)?.text,
+  });
+}
+
+/**
+ * insurance_info as a contained Coverage for the patient (`#` refers to the
+ * containing Patient). payer, member_id, group_number and plan_name have
+ * Coverage elements; other keys are kept in an extension.
+ */
+function toCoverage(insuranceInfo) {
+  if (isEmpty(insuranceInfo)) {
+    return undefined;
+  }
+
+  const [mapped, rest] = splitFields(insuranceInfo, [
+    'payer',
+    'member_id',
+    'group_number',
+    'plan_name',
+  ]);
+
+  const coverageClass = [
+    mapped.group_number && toCoverageClass('group', mapped.group_number),
+    mapped.plan_name && toCoverageClass('plan', mapped.plan_name),
+  ].filter(Boolean);
+
+  return {
+    resourceType: 'Coverage',
+    id: 'insurance',
+    extension: toExtensions({ insuranceInfo: rest }),
+    status: 'active',
+    subscriberId: mapped.member_id,
+    beneficiary: { reference: '#' },
+    payor: [
+      mapped.payer
+        ? { display: mapped.payer }
+        : { extension: [{ url: DATA_ABSENT_REASON, valueCode: 'unknown' }] },
+    ],
+    class: coverageClass.length > 0 ? coverageClass : undefined,
+  };
+}
+
+function toCoverageClass(code, value) {
+  return { type: { coding: [{ system: COVERAGE_CLASS_SYSTEM, code }] }, value };
+}
+
+function fromCoverage(coverage) {
+  const classValue = (code) =>
+    coverage.class?.find((item) => item.type?.coding?.some((coding) => coding.code === code))
+      ?.value;
+
+  return compactObject({
+    ...getExtension(coverage, 'insuranceInfo'),
+    payer: coverage.payor?.[0]?.display,
+    member_id: coverage.subscriberId,
+    group_number: classValue('group'),
+    plan_name: classValue('plan'),
+  });
+}
+
+/**
+ * primary_diagnosis and icd10_codes as contained Conditions: the primary
+ * diagnosis is free text (#primary-diagnosis), each ICD-10 code its own
+ */
+function toConditions(patient) {
+  const conditions = (patient.icd10_codes || []).map((code, index) => ({
+    resourceType: 'Condition',
+    id: `icd10-${index + 1}`,
+    subject: { reference: '#' },
+    code: { coding: [{ system: ICD10_SYSTEM, code }] },
+  }));
+
+  if (patient.primary_diagnosis) {
+    conditions.unshift({
+      resourceType: 'Condition',
+      id: PRIMARY_DIAGNOSIS_ID,
+      subject: { reference: '#' },
+      code: { text: patient.primary_diagnosis },
+    });
+  }
+
+  return conditions;
+}
+
 function toFHIRAppointment(appointment, patient, provider, facility) {
   return {
     resourceType: 'Appointment',
     id: appointment.id,
-    status: appointment.status,
+    extension: toExtensions({
+      specialRequirements: appointment.special_requirements,
+      preAppointmentInstructions: appointment.pre_appointment_instructions,
+      telehealthDetails: appointment.telehealth_details,
+      insuranceVerified: appointment.insurance_verified,
+      appointmentSeries: appointment.series_id,
+      checkedInAt: appointment.checked_in_at,
+      completedAt: appointment.completed_at,
+      cancelledAt: appointment.cancelled_at,
+    }),
+    status: APPOINTMENT_STATUS[appointment.status] || appointment.status,
+    cancelationReason: appointment.cancellation_reason
+      ? { text: appointment.cancellation_reason }
+      : undefined,
     serviceType: [
       {
         coding: [
@@ -106,11 +422,12 @@ function toFHIRAppointment(appointment, patient, provider, facility) {
         ],
       },
     ],
-    priority: getPriorityCode(appointment.priority),
+    priority: APPOINTMENT_PRIORITY[appointment.priority],
     description: appointment.reason,
     start: appointment.scheduled_start,
     end: appointment.scheduled_end,
     minutesDuration: appointment.duration_minutes,
+    created: appointment.created_at,
     participant: [
       {
         actor: {
@@ -118,7 +435,8 @@ function toFHIRAppointment(appointment, patient, provider, facility) {
           display: `${patient.first_name} ${patient.last_name}`,
         },
         required: 'required',
-        status: 'accepted',
+        // Only the patient has to confirm a scheduled appointment
+        status: appointment.status === 'scheduled' ? 'needs-action' : 'accepted',
       },
       {
         actor: {
@@ -140,17 +458,107 @@ function toFHIRAppointment(appointment, patient, provider, facility) {
   };
 }
 
+function fromFHIRAppointment(fhirAppointment) {
+  const serviceType = fhirAppointment.serviceType?.[0];
+  const start = fhirAppointment.start;
+  const end = fhirAppointment.end;
+
+  return {
+    patient_id: getParticipantId(fhirAppointment, 'Patient'),
+    provider_id: getParticipantId(fhirAppointment, 'Practitioner'),
+    facility_id: getParticipantId(fhirAppointment, 'Location'),
+    series_id: getExtension(fhirAppointment, 'appointmentSeries'),
+    appointment_type:
+      serviceType?.coding?.[0]?.display || serviceType?.coding?.[0]?.code || serviceType?.text,
+    scheduled_start: start,
+    scheduled_end: end,
+    duration_minutes:
+      fhirAppointment.minutesDuration ||
+      (start && end ? Math.round((Date.parse(end) - Date.parse(start)) / 60000) : undefined),
+    status: fromAppointmentStatus(fhirAppointment),
+    priority: fromAppointmentPriority(fhirAppointment.priority),
+    reason: fhirAppointment.description,
+    special_requirements: getExtension(fhirAppointment, 'specialRequirements'),
+    pre_appointment_instructions: getExtension(fhirAppointment, 'preAppointmentInstructions'),
+    telehealth_details: getExtension(fhirAppointment, 'telehealthDetails'),
+    insurance_verified: getExtension(fhirAppointment, 'insuranceVerified'),
+    checked_in_at: getExtension(fhirAppointment, 'checkedInAt'),
+    completed_at: getExtension(fhirAppointment, 'completedAt'),
+    cancelled_at: getExtension(fhirAppointment, 'cancelledAt'),
+    cancellation_reason: fhirAppointment.cancelationReason?.text,
+    created_at: fhirAppointment.created,
+  };
+}
+
+/**
+ * appointments.status for an Appointment; codes we do not know are returned
+ * as they are, for the caller's validation to reject
+ */
+function fromAppointmentStatus(fhirAppointment) {
+  const { status } = fhirAppointment;
+
+  if (status === 'booked') {
+    const patient = fhirAppointment.participant?.find((participant) =>
+      getReferenceId(participant.actor, 'Patient')
+    );
+    return patient?.status === 'needs-action' ? 'scheduled' : 'confirmed';
+  }
+
+  return (
+    findKey(APPOINTMENT_STATUS, status) ||
+    APPOINTMENT_STATUS_ALIASES[status] ||
+    status ||
+    undefined
+  );
+}
+
+function fromAppointmentPriority(priority) {
+  // Earlier versions of this API sent request priority codes
+  if (typeof priority === 'string') {
+    return fromPriorityCode(priority);
+  }
+
+  if (!priority) {
+    return undefined;
+  }
+
+  if (priority <= 2) {
+    return 'urgent';
+  }
+
+  if (priority <= 4) {
+    return 'high';
+  }
+
+  return priority <= 6 ? 'normal' : 'low';
+}
+
 function toFHIRMedicationRequest(medication, patient, provider) {
+  const dose = parseDose(medication.dosage);
+  const [repeat, scheduleDetails] = splitFields(
+    medication.schedule_details,
+    TIMING_REPEAT_FIELDS,
+    () => true
+  );
+
   return {
     resourceType: 'MedicationRequest',
     id: medication.id,
-    status: medication.status,
+    extension: toExtensions({
+      genericName: medication.generic_name,
+      strength: medication.strength,
+      isOngoing: medication.is_ongoing,
+      pharmacyInfo: medication.pharmacy_info,
+      specialInstructions: medication.special_instructions,
+      sideEffectsToMonitor: medication.side_effects_to_monitor,
+    }),
+    status: MEDICATION_STATUS[medication.status] || medication.status,
     intent: 'order',
     medicationCodeableConcept: {
       coding: medication.rxnorm_code
         ? [
             {
-              system: 'http://www.nlm.nih.gov/research/umls/rxnorm',
+              system: RXNORM_SYSTEM,
               code: medication.rxnorm_code,
               display: medication.medication_name,
             },
@@ -169,50 +577,490 @@ function toFHIRMedicationRequest(medication, patient, provider) {
     },
     dosageInstruction: [
       {
-        text: `${medication.dosage} ${medication.frequency}`,
+        // The dosage string itself when doseQuantity cannot reproduce it
+        extension: toExtensions({
+          dosage: dose?.exact ? undefined : medication.dosage,
+          scheduleDetails,
+        }),
+        text: [medication.dosage, medication.frequency].filter(Boolean).join(' '),
         timing: {
-          repeat: {
-            frequency: medication.schedule_details?.frequency || 1,
-            period: medication.schedule_details?.period || 1,
-            periodUnit: medication.schedule_details?.periodUnit || 'd',
-          },
+          code: medication.frequency ? { text: medication.frequency } : undefined,
+          repeat: isEmpty(repeat) ? undefined : repeat,
         },
-        route: {
-          text: medication.route,
+        route: medication.route ? { text: medication.route } : undefined,
+        doseAndRate: dose ? [{ doseQuantity: dose.quantity }] : undefined,
+      },
+    ],
+    dispenseRequest: {
+      validityPeriod: medication.start_date
+        ? {
+            start: toFHIRDate(medication.start_date),
+            end: toFHIRDate(medication.end_date),
+          }
+        : undefined,
+      numberOfRepeatsAllowed: medication.refills_remaining,
+      expectedSupplyDuration:
+        medication.days_supply !== null && medication.days_supply !== undefined
+          ? { value: medication.days_supply, unit: 'days', system: UCUM_SYSTEM, code: 'd' }
+          : undefined,
+    },
+  };
+}
+
+function fromFHIRMedicationRequest(fhirMedicationRequest) {
+  const concept = fhirMedicationRequest.medicationCodeableConcept || {};
+  const rxnorm = concept.coding?.find((c) => c.system === RXNORM_SYSTEM);
+  const dosage = fhirMedicationRequest.dosageInstruction?.[0] || {};
+  const doseQuantity = dosage.doseAndRate?.[0]?.doseQuantity;
+  const dispenseRequest = fhirMedicationRequest.dispenseRequest || {};
+  const dose = getExtension(dosage, 'dosage') ?? (doseQuantity && spellDose(doseQuantity));
+
+  // Older resources only carry the frequency inside "<dosage> <frequency>"
+  let frequency = dosage.timing?.code?.text;
+
+  if (frequency === undefined && dosage.text !== dose) {
+    const prefix = `${dose} `;
+    const combined = dose && dosage.text?.startsWith(prefix);
+    frequency = combined ? dosage.text.slice(prefix.length) : dosage.text;
+  }
+
+  const scheduleDetails = {
+    ...(dosage.timing?.repeat || {}),
+    ...getExtension(dosage, 'scheduleDetails'),
+  };
+
+  return {
+    patient_id: getReferenceId(fhirMedicationRequest.subject, 'Patient'),
+    prescribing_provider_id: getReferenceId(fhirMedicationRequest.requester, 'Practitioner'),
+    medication_name: concept.text || rxnorm?.display,
+    generic_name: getExtension(fhirMedicationRequest, 'genericName'),
+    rxnorm_code: rxnorm?.code,
+    dosage: dose,
+    strength: getExtension(fhirMedicationRequest, 'strength'),
+    route: dosage.route?.text,
+    frequency,
+    schedule_details: isEmpty(scheduleDetails) ? undefined : scheduleDetails,
+    start_date:
+      dispenseRequest.validityPeriod?.start || toFHIRDate(fhirMedicationRequest.authoredOn),
+    end_date: dispenseRequest.validityPeriod?.end,
+    is_ongoing: getExtension(fhirMedicationRequest, 'isOngoing'),
+    pharmacy_info: getExtension(fhirMedicationRequest, 'pharmacyInfo'),
+    refills_remaining: dispenseRequest.numberOfRepeatsAllowed,
+    days_supply:
+      dispenseRequest.expectedSupplyDuration?.value ??
+      (dispenseRequest.quantity?.unit === 'day' ? dispenseRequest.quantity.value : undefined),
+    special_instructions: getExtension(fhirMedicationRequest, 'specialInstructions'),
+    side_effects_to_monitor: getExtension(fhirMedicationRequest, 'sideEffectsToMonitor'),
+    status: fromMedicationStatus(fhirMedicationRequest.status),
+    created_at: fhirMedicationRequest.authoredOn,
+  };
+}
+
+function fromMedicationStatus(status) {
+  return findKey(MEDICATION_STATUS, status) || MEDICATION_STATUS_ALIASES[status] || status;
+}
+
+/**
+ * doseQuantity for a dosage such as "2 tablets"; `exact` when the quantity
+ * spells the dosage exactly, so it needs no extension
+ */
+function parseDose(dosage) {
+  const match = /^(\d+(?:\.\d+)?)\s*(.*)$/.exec(dosage || '');
+
+  if (!match) {
+    return null;
+  }
+
+  const quantity = { value: Number(match[1]), unit: match[2] || undefined };
+  return { quantity, exact: spellDose(quantity) === dosage };
+}
+
+function spellDose({ value, unit }) {
+  return [value, unit].filter(isPresent).join(' ');
+}
+
+function toFHIRPractitioner(provider) {
+  const [contact, contactInfo] = splitFields(provider.contact_info, ['email', 'phone']);
+
+  return {
+    resourceType: 'Practitioner',
+    id: provider.id,
+    meta: { lastUpdated: provider.updated_at },
+    extension: toExtensions({
+      specializations: provider.specializations,
+      telehealthEnabled: provider.telehealth_enabled,
+      maxDailyCapacity: provider.max_daily_capacity,
+      defaultAppointmentDurations: provider.default_appointment_durations,
+      appointmentBuffers: provider.appointment_buffers,
+      providerContactInfo: contactInfo,
+    }),
+    identifier: [
+      {
+        use: 'official',
+        system: NPI_SYSTEM,
+        value: provider.npi,
+      },
+    ],
+    active: provider.is_active,
+    name: [
+      {
+        use: 'official',
+        family: provider.last_name,
+        given: [provider.first_name],
+      },
+    ],
+    telecom: toFHIRTelecom(contact, 'work'),
+    // Structured qualifications keep their details in an extension
+    qualification: (provider.qualifications || []).map((qualification) =>
+      typeof qualification === 'string'
+        ? { code: { text: qualification } }
+        : {
+            extension: toExtensions({ qualification }),
+            code: { text: qualification?.name },
+          }
+    ),
+    communication: (provider.languages || []).map((language) => ({
+      coding: [
+        {
+          system: 'urn:ietf:bcp:47',
+          code: language,
         },
-        doseAndRate: [
+      ],
+    })),
+  };
+}
+
+function fromFHIRPractitioner(fhirPractitioner) {
+  const name = fhirPractitioner.name?.[0] || {};
+
+  return {
+    npi: fhirPractitioner.identifier?.find((i) => i.system === NPI_SYSTEM)?.value,
+    first_name: name.given?.[0],
+    last_name: name.family,
+    specializations: getExtension(fhirPractitioner, 'specializations'),
+    contact_info: {
+      ...getExtension(fhirPractitioner, 'providerContactInfo'),
+      ...fromFHIRTelecom(fhirPractitioner.telecom),
+    },
+    qualifications: fhirPractitioner.qualification
+      ?.map((q) => getExtension(q, 'qualification') ?? q.code?.text)
+      .filter(Boolean),
+    languages: fhirPractitioner.communication
+      ?.map((c) => c.coding?.[0]?.code || c.text)
+      .filter(Boolean),
+    telehealth_enabled: getExtension(fhirPractitioner, 'telehealthEnabled'),
+    max_daily_capacity: getExtension(fhirPractitioner, 'maxDailyCapacity'),
+    default_appointment_durations: getExtension(fhirPractitioner, 'defaultAppointmentDurations'),
+    appointment_buffers: getExtension(fhirPractitioner, 'appointmentBuffers'),
+    is_active: fhirPractitioner.active,
+  };
+}
+
+function toFHIRLocation(facility) {
+  const [contact, contactInfo] = splitFields(facility.contact_info, ['email', 'phone']);
+
+  return {
+    resourceType: 'Location',
+    id: facility.id,
+    meta: { lastUpdated: facility.updated_at },
+    extension: toExtensions({
+      timezone: facility.timezone,
+      operatingHours: facility.operating_hours,
+      capabilities: facility.capabilities,
+      facilityContactInfo: contactInfo,
+    }),
+    status: facility.is_active ? 'active' : 'inactive',
+    name: facility.name,
+    mode: 'instance',
+    type: [
+      {
+        coding: [
           {
-            doseQuantity: {
-              value: medication.dosage,
-              unit: medication.strength,
-            },
+            code: facility.facility_type,
           },
         ],
+        text: facility.facility_type,
       },
     ],
-    dispenseRequest: {
-      numberOfRepeatsAllowed: medication.refills_remaining,
-      quantity: {
-        value: medication.days_supply,
-        unit: 'day',
+    telecom: toFHIRTelecom(contact, 'work'),
+    address: facility.address,
+  };
+}
+
+function fromFHIRLocation(fhirLocation) {
+  const type = fhirLocation.type?.[0];
+
+  return {
+    name: fhirLocation.name,
+    facility_type: type?.coding?.[0]?.code || type?.text,
+    address: fhirLocation.address,
+    contact_info: {
+      ...getExtension(fhirLocation, 'facilityContactInfo'),
+      ...fromFHIRTelecom(fhirLocation.telecom),
+    },
+    operating_hours: getExtension(fhirLocation, 'operatingHours'),
+    capabilities: getExtension(fhirLocation, 'capabilities'),
+    timezone: getExtension(fhirLocation, 'timezone'),
+    is_active: fhirLocation.status ? fhirLocation.status === 'active' : undefined,
+  };
+}
+
+function toFHIRCommunication(notification) {
+  const about = [
+    notification.appointment_id && { reference: `Appointment/${notification.appointment_id}` },
+    notification.medication_id && {
+      reference: `MedicationRequest/${notification.medication_id}`,
+    },
+  ].filter(Boolean);
+
+  return {
+    resourceType: 'Communication',
+    id: notification.id,
+    meta: { lastUpdated: notification.updated_at },
+    extension: toExtensions({
+      notificationPriority: notification.priority === 'low' ? 'low' : undefined,
+      scheduledSendTime: notification.scheduled_send_time,
+      templateData: notification.template_data,
+      acknowledgedAt: notification.acknowledged_at,
+      retryCount: notification.retry_count,
+      deliveryDetails: notification.delivery_details,
+    }),
+    status: COMMUNICATION_STATUS[notification.delivery_status] || 'unknown',
+    category: [
+      {
+        coding: [
+          {
+            code: notification.notification_type,
+          },
+        ],
+        text: notification.notification_type,
       },
+    ],
+    priority: COMMUNICATION_PRIORITY[notification.priority] || 'routine',
+    medium: [
+      {
+        coding: [
+          {
+            system: 'http://terminology.hl7.org/CodeSystem/v3-ParticipationMode',
+            code: COMMUNICATION_MEDIUM[notification.channel],
+          },
+        ],
+        text: notification.channel,
+      },
+    ],
+    subject: notification.patient_id
+      ? { reference: `Patient/${notification.patient_id}` }
+      : undefined,
+    recipient: [
+      notification.patient_id && { reference: `Patient/${notification.patient_id}` },
+      notification.provider_id && { reference: `Practitioner/${notification.provider_id}` },
+    ].filter(Boolean),
+    about,
+    sent: notification.sent_at || undefined,
+    received: notification.read_at || undefined,
+  };
+}
+
+function fromFHIRCommunication(fhirCommunication) {
+  const medium = fhirCommunication.medium?.[0];
+  const mediumCode = medium?.coding?.[0]?.code;
+  const aboutId = (type) =>
+    fhirCommunication.about?.map((ref) => getReferenceId(ref, type)).find(Boolean);
+  const recipientId = (type) =>
+    fhirCommunication.recipient?.map((ref) => getReferenceId(ref, type)).find(Boolean);
+
+  return {
+    patient_id: getReferenceId(fhirCommunication.subject, 'Patient') || recipientId('Patient'),
+    provider_id: recipientId('Practitioner'),
+    appointment_id: aboutId('Appointment'),
+    medication_id: aboutId('MedicationRequest'),
+    notification_type:
+      fhirCommunication.category?.[0]?.coding?.[0]?.code || fhirCommunication.category?.[0]?.text,
+    channel: findKey(COMMUNICATION_MEDIUM, mediumCode) || medium?.text,
+    priority:
+      getExtension(fhirCommunication, 'notificationPriority') ??
+      fromPriorityCode(fhirCommunication.priority, 'medium'),
+    scheduled_send_time: getExtension(fhirCommunication, 'scheduledSendTime'),
+    template_data: getExtension(fhirCommunication, 'templateData'),
+    delivery_status: findKey(COMMUNICATION_STATUS, fhirCommunication.status),
+    sent_at: fhirCommunication.sent,
+    read_at: fhirCommunication.received,
+    acknowledged_at: getExtension(fhirCommunication, 'acknowledgedAt'),
+    retry_count: getExtension(fhirCommunication, 'retryCount'),
+    delivery_details: getExtension(fhirCommunication, 'deliveryDetails'),
+  };
+}
+
+function toFHIRTelecom(contactInfo, use) {
+  return [
+    contactInfo?.email && {
+      system: 'email',
+      value: contactInfo.email,
+      use,
     },
+    contactInfo?.phone && {
+      system: 'phone',
+      value: contactInfo.phone,
+      use,
+    },
+  ].filter(Boolean);
+}
+
+function fromFHIRTelecom(telecom) {
+  const contactInfo = {
+    email: telecom?.find((t) => t.system === 'email')?.value,
+    phone: telecom?.find((t) => t.system === 'phone')?.value,
   };
+
+  return Object.fromEntries(Object.entries(contactInfo).filter(([, value]) => value));
+}
+
+function extension(name, type) {
+  return { url: `${EXTENSION_BASE}/${name}`, type };
+}
+
+/**
+ * Extensions for the given EXTENSIONS keys, leaving out empty values;
+ * undefined when there are none
+ */
+function toExtensions(values) {
+  const extensions = Object.entries(values)
+    .filter(([, value]) => !isEmpty(value))
+    .map(([key, value]) => {
+      const { url, type } = EXTENSIONS[key];
+      return { url, [EXTENSION_VALUE_KEYS[type]]: type === 'json' ? JSON.stringify(value) : value };
+    });
+
+  return extensions.length > 0 ? extensions : undefined;
+}
+
+/**
+ * Value of one of our extensions on a resource or element
+ */
+function getExtension(element, key) {
+  const { url, type } = EXTENSIONS[key];
+  const found = element?.extension?.find((item) => item.url === url);
+  const value = found?.[EXTENSION_VALUE_KEYS[type]];
+
+  if (value === undefined || type !== 'json') {
+    return value;
+  }
+
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw new ValidationError(`Extension ${url} must hold a JSON document`, {
+      errors: [{ field: 'extension', message: `invalid JSON in ${url}` }],
+    });
+  }
+}
+
+/**
+ * Split an object into the fields a FHIR element has a place for and the
+ * rest. By default only string values are taken, since FHIR would turn
+ * anything else into a string.
+ */
+function splitFields(object, keys, accept = (value) => typeof value === 'string') {
+  const mapped = {};
+  const rest = {};
+
+  Object.entries(object || {}).forEach(([key, value]) => {
+    if (keys.includes(key) && accept(value)) {
+      mapped[key] = value;
+    } else {
+      rest[key] = value;
+    }
+  });
+
+  return [mapped, rest];
+}
+
+/**
+ * YYYY-MM-DD for a DATE column; pg returns those as local midnight
+ */
+function toFHIRDate(value) {
+  if (!value) {
+    return undefined;
+  }
+
+  if (!(value instanceof Date)) {
+    return String(value).slice(0, 10);
+  }
+
+  const pad = (number) => String(number).padStart(2, '0');
+  return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+}
+
+function isPresent(value) {
+  return value !== undefined && value !== null && value !== '';
+}
+
+function isEmpty(value) {
+  if (!isPresent(value)) {
+    return true;
+  }
+
+  if (Array.isArray(value)) {
+    return value.length === 0;
+  }
+
+  return Object.getPrototypeOf(value) === Object.prototype && Object.keys(value).length === 0;
+}
+
+function compactObject(object) {
+  const compacted = Object.fromEntries(Object.entries(object).filter(([, v]) => isPresent(v)));
+  return Object.keys(compacted).length > 0 ? compacted : undefined;
+}
+
+function findKey(map, value) {
+  return value === undefined ? undefined : Object.keys(map).find((key) => map[key] === value);
+}
+
+/**
+ * Id from a reference such as { reference: 'Patient/123' }, when it points
+ * at `resourceType`
+ */
+function getReferenceId(reference, resourceType) {
+  const [type, id] = (reference?.reference || '').split('/');
+  return type === resourceType && id ? id : undefined;
+}
+
+function getParticipantId(fhirAppointment, resourceType) {
+  return fhirAppointment.participant
+    ?.map((participant) => getReferenceId(participant.actor, resourceType))
+    .find(Boolean);
 }
 
-function getPriorityCode(priority) {
+function fromPriorityCode(code, routine = 'normal') {
   const priorityMap = {
-    low: 'routine',
-    normal: 'routine',
-    high: 'urgent',
-    urgent: 'stat',
+    routine: routine,
+    urgent: 'high',
+    asap: 'high',
+    stat: 'urgent',
   };
-  return priorityMap[priority] || 'routine';
+  return priorityMap[code];
 }
 
 module.exports = {
+  MRN_SYSTEM,
+  NPI_SYSTEM,
+  RXNORM_SYSTEM,
+  ICD10_SYSTEM,
+  EXTENSIONS,
+  APPOINTMENT_STATUS,
+  MEDICATION_STATUS,
+  COMMUNICATION_STATUS,
   toFHIRPatient,
   fromFHIRPatient,
   toFHIRAppointment,
+  fromFHIRAppointment,
   toFHIRMedicationRequest,
-};
\ No newline at end of file
+  fromFHIRMedicationRequest,
+  toFHIRPractitioner,
+  fromFHIRPractitioner,
+  toFHIRLocation,
+  fromFHIRLocation,
+  toFHIRCommunication,
+  fromFHIRCommunication,
+  getReferenceId,
+};
@@ -0,0 +1,168 @@
+const { jwtConfig, smartConfig } = require('../config/auth');
+const { SEARCH_RESULT_PARAMS, FHIR_RESOURCES, listFhirResources } = require('./fhirResources');
+const { getUsCoreProfile, isUsCoreEnabled } = require('./fhirProfiles');
+
+/**
+ * FHIR discovery documents
+ * The CapabilityStatement (GET /fhir/r4/metadata) and the SMART configuration
+ * (GET /fhir/r4/.well-known/smart-configuration) are generated from the
+ * registry in utils/fhirResources.js, which the FHIR routes and FhirService
+ * also work from, so they cannot advertise anything that is not served.
+ */
+
+const FHIR_VERSION = '4.0.1';
+const SOFTWARE_NAME = 'Chronic Care API';
+
+const OAUTH_URIS_EXTENSION =
+  'http://fhir-registry.smarthealthit.org/StructureDefinition/oauth-uris';
+const SECURITY_SERVICE_SYSTEM = 'http://terminology.hl7.org/CodeSystem/restful-security-service';
+
+// FHIR Bulk Data Access, served by FhirExportService
+const BULK_DATA_BASE = 'http://hl7.org/fhir/uv/bulkdata';
+const BULK_DATA_CAPABILITY = `${BULK_DATA_BASE}/CapabilityStatement/bulk-data`;
+
+// Standalone launches only: staff tokens act as the user, patient-portal
+// tokens carry the patient they are bound to (see utils/authorization.js)
+const SMART_CAPABILITIES = [
+  'launch-standalone',
+  'context-standalone-patient',
+  'permission-patient',
+  'permission-user',
+];
+
+/**
+ * CapabilityStatement for one tenant
+ * Resources behind a feature flag the tenant does not have are left out.
+ * @param {Object} options
+ * @param {String} options.baseUrl - Service base, e.g. https://host/fhir/r4
+ * @param {Object} options.tenant - event.tenantContext
+ */
+function buildCapabilityStatement({ baseUrl, tenant = {} }) {
+  const usCore = isUsCoreEnabled(tenant.configuration);
+
+  const resources = listFhirResources(tenant.configuration).map(([type, definition]) => {
+    const includes = Object.entries(definition.searchParams)
+      .filter(([, param]) => param.type === 'reference')
+      .map(([name]) => `${type}:${name}`);
+    const usCoreProfile = usCore && getUsCoreProfile(type);
+
+    return {
+      type,
+      profile: `http://hl7.org/fhir/StructureDefinition/${type}`,
+      ...(usCoreProfile ? { supportedProfile: [usCoreProfile] } : {}),
+      interaction: definition.interactions.map((code) => ({ code })),
+      versioning: 'no-version',
+      readHistory: false,
+      updateCreate: false,
+      conditionalCreate: false,
+      conditionalUpdate: false,
+      conditionalDelete: 'not-supported',
+      ...(includes.length > 0 ? { searchInclude: includes } : {}),
+      searchParam: toSearchParams(definition.searchParams),
+    };
+  });
+
+  // Group has no interactions of its own: it only names the patient panel
+  // that Group/{id}/$export exports
+  resources.push({
+    type: 'Group',
+    profile: 'http://hl7.org/fhir/StructureDefinition/Group',
+    operation: [
+      { name: 'export', definition: `${BULK_DATA_BASE}/OperationDefinition/group-export` },
+    ],
+  });
+
+  return {
+    resourceType: 'CapabilityStatement',
+    status: 'active',
+    date: new Date().toISOString(),
+    kind: 'instance',
+    instantiates: [BULK_DATA_CAPABILITY],
+    software: { name: SOFTWARE_NAME },
+    implementation: compact({ description: tenant.tenantName, url: baseUrl }),
+    fhirVersion: FHIR_VERSION,
+    format: ['json'],
+    rest: [
+      {
+        mode: 'server',
+        security: getSecurity(),
+        resource: resources,
+        interaction: [{ code: 'transaction' }, { code: 'batch' }],
+        searchParam: toSearchParams(SEARCH_RESULT_PARAMS),
+        operation: [{ name: 'export', definition: `${BULK_DATA_BASE}/OperationDefinition/export` }],
+      },
+    ],
+  };
+}
+
+/**
+ * SMART App Launch configuration
+ * Served without authentication, so it is the same for every tenant. The
+ * endpoints belong to the identity provider that issues our tokens.
+ */
+function buildSmartConfiguration() {
+  const scopes = new Set(
+    Object.values(FHIR_RESOURCES).flatMap((definition) => Object.values(definition.scopes))
+  );
+
+  return compact({
+    issuer: jwtConfig.issuer,
+    jwks_uri: smartConfig.jwksUri,
+    authorization_endpoint: smartConfig.authorizationEndpoint,
+    token_endpoint: smartConfig.tokenEndpoint,
+    grant_types_supported: ['authorization_code'],
+    response_types_supported: ['code'],
+    code_challenge_methods_supported: ['S256'],
+    scopes_supported: [...scopes],
+    capabilities: SMART_CAPABILITIES,
+  });
+}
+
+/**
+ * rest.security: SMART on FHIR is only advertised once the identity
+ * provider's endpoints are configured
+ */
+function getSecurity() {
+  const { authorizationEndpoint, tokenEndpoint } = smartConfig;
+
+  if (!authorizationEndpoint || !tokenEndpoint) {
+    return { cors: true };
+  }
+
+  return {
+    cors: true,
+    service: [
+      {
+        coding: [{ system: SECURITY_SERVICE_SYSTEM, code: 'SMART-on-FHIR' }],
+        text: 'OAuth2 using SMART-on-FHIR profile',
+      },
+    ],
+    extension: [
+      {
+        url: OAUTH_URIS_EXTENSION,
+        extension: [
+          { url: 'authorize', valueUri: authorizationEndpoint },
+          { url: 'token', valueUri: tokenEndpoint },
+        ],
+      },
+    ],
+  };
+}
+
+function toSearchParams(searchParams) {
+  return Object.entries(searchParams).map(([name, param]) => ({
+    name,
+    type: param.type,
+    documentation: param.documentation,
+  }));
+}
+
+// Unset settings are empty strings (see the SSM defaults in serverless.yml)
+function compact(data) {
+  return Object.fromEntries(Object.entries(data).filter(([, value]) => value));
+}
+
+module.exports = {
+  buildCapabilityStatement,
+  buildSmartConfiguration,
+};
@@ -0,0 +1,741 @@
+/**
+ * FHIR R4 structure definitions for validation (utils/fhirValidation.js)
+ *
+ * Condensed by hand from the R4 (4.0.1) StructureDefinitions of the resources
+ * we serve or contain and the datatypes they use, and from US Core 3.1.1 for
+ * the optional profiles. Only what the validator checks is kept: elements,
+ * cardinality, types, required value set bindings and the invariants below.
+ *
+ * An element is written 'min..max Type', with Type1|Type2 for choice
+ * elements (value[x]) and Type:value-set for a required binding. Backbone
+ * elements are [cardinality, elements]. Datatypes missing from DATATYPES are
+ * only checked to be objects.
+ */
+
+// Datatypes an extension's value[x] may have
+const OPEN_TYPES = [
+  'base64Binary',
+  'boolean',
+  'canonical',
+  'code',
+  'date',
+  'dateTime',
+  'decimal',
+  'id',
+  'instant',
+  'integer',
+  'markdown',
+  'oid',
+  'positiveInt',
+  'string',
+  'time',
+  'unsignedInt',
+  'uri',
+  'url',
+  'uuid',
+  'Address',
+  'Age',
+  'Annotation',
+  'Attachment',
+  'CodeableConcept',
+  'Coding',
+  'ContactPoint',
+  'Count',
+  'Distance',
+  'Duration',
+  'HumanName',
+  'Identifier',
+  'Money',
+  'Period',
+  'Quantity',
+  'Range',
+  'Ratio',
+  'Reference',
+  'SampledData',
+  'Signature',
+  'Timing',
+  'ContactDetail',
+  'Contributor',
+  'DataRequirement',
+  'Expression',
+  'ParameterDefinition',
+  'RelatedArtifact',
+  'TriggerDefinition',
+  'UsageContext',
+  'Dosage',
+  'Meta',
+];
+
+const VALUE_SETS = {
+  'administrative-gender': ['male', 'female', 'other', 'unknown'],
+  'identifier-use': ['usual', 'official', 'temp', 'secondary', 'old'],
+  'name-use': ['usual', 'official', 'temp', 'nickname', 'anonymous', 'old', 'maiden'],
+  'contact-point-system': ['phone', 'fax', 'email', 'pager', 'url', 'sms', 'other'],
+  'contact-point-use': ['home', 'work', 'temp', 'old', 'mobile'],
+  'address-use': ['home', 'work', 'temp', 'old', 'billing'],
+  'address-type': ['postal', 'physical', 'both'],
+  'narrative-status': ['generated', 'extensions', 'additional', 'empty'],
+  'quantity-comparator': ['<', '<=', '>=', '>'],
+  'link-type': ['replaced-by', 'replaces', 'refer', 'seealso'],
+  'days-of-week': ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'],
+  'units-of-time': ['s', 'min', 'h', 'd', 'wk', 'mo', 'a'],
+  'location-status': ['active', 'suspended', 'inactive'],
+  'location-mode': ['instance', 'kind'],
+  'appointment-status': [
+    'proposed',
+    'pending',
+    'booked',
+    'arrived',
+    'fulfilled',
+    'cancelled',
+    'noshow',
+    'entered-in-error',
+    'checked-in',
+    'waitlist',
+  ],
+  'participant-required': ['required', 'optional', 'information-only'],
+  'participation-status': ['accepted', 'declined', 'tentative', 'needs-action'],
+  'medicationrequest-status': [
+    'active',
+    'on-hold',
+    'cancelled',
+    'completed',
+    'entered-in-error',
+    'stopped',
+    'draft',
+    'unknown',
+  ],
+  'medicationrequest-intent': [
+    'proposal',
+    'plan',
+    'order',
+    'original-order',
+    'reflex-order',
+    'filler-order',
+    'instance-order',
+    'option',
+  ],
+  'request-priority': ['routine', 'urgent', 'asap', 'stat'],
+  'event-status': [
+    'preparation',
+    'in-progress',
+    'not-done',
+    'on-hold',
+    'stopped',
+    'completed',
+    'entered-in-error',
+    'unknown',
+  ],
+  'fm-status': ['active', 'cancelled', 'draft', 'entered-in-error'],
+};
+
+const QUANTITY = {
+  value: '0..1 decimal',
+  comparator: '0..1 code:quantity-comparator',
+  unit: '0..1 string',
+  system: '0..1 uri',
+  code: '0..1 code',
+};
+
+const DATATYPES = {
+  Extension: {
+    url: '1..1 uri',
+    'value[x]': `0..1 ${OPEN_TYPES.join('|')}`,
+  },
+  Meta: {
+    versionId: '0..1 id',
+    lastUpdated: '0..1 instant',
+    source: '0..1 uri',
+    profile: '0..* canonical',
+    security: '0..* Coding',
+    tag: '0..* Coding',
+  },
+  Narrative: {
+    status: '1..1 code:narrative-status',
+    div: '1..1 xhtml',
+  },
+  Identifier: {
+    use: '0..1 code:identifier-use',
+    type: '0..1 CodeableConcept',
+    system: '0..1 uri',
+    value: '0..1 string',
+    period: '0..1 Period',
+    assigner: '0..1 Reference',
+  },
+  HumanName: {
+    use: '0..1 code:name-use',
+    text: '0..1 string',
+    family: '0..1 string',
+    given: '0..* string',
+    prefix: '0..* string',
+    suffix: '0..* string',
+    period: '0..1 Period',
+  },
+  ContactPoint: {
+    system: '0..1 code:contact-point-system',
+    value: '0..1 string',
+    use: '0..1 code:contact-point-use',
+    rank: '0..1 positiveInt',
+    period: '0..1 Period',
+  },
+  Address: {
+    use: '0..1 code:address-use',
+    type: '0..1 code:address-type',
+    text: '0..1 string',
+    line: '0..* string',
+    city: '0..1 string',
+    district: '0..1 string',
+    state: '0..1 string',
+    postalCode: '0..1 string',
+    country: '0..1 string',
+    period: '0..1 Period',
+  },
+  CodeableConcept: {
+    coding: '0..* Coding',
+    text: '0..1 string',
+  },
+  Coding: {
+    system: '0..1 uri',
+    version: '0..1 string',
+    code: '0..1 code',
+    display: '0..1 string',
+    userSelected: '0..1 boolean',
+  },
+  Reference: {
+    reference: '0..1 string',
+    type: '0..1 uri',
+    identifier: '0..1 Identifier',
+    display: '0..1 string',
+  },
+  Period: {
+    start: '0..1 dateTime',
+    end: '0..1 dateTime',
+  },
+  Quantity: QUANTITY,
+  SimpleQuantity: { ...QUANTITY, comparator: '0..0 code' },
+  Age: QUANTITY,
+  Count: QUANTITY,
+  Distance: QUANTITY,
+  Duration: QUANTITY,
+  Money: {
+    value: '0..1 decimal',
+    currency: '0..1 code',
+  },
+  Range: {
+    low: '0..1 SimpleQuantity',
+    high: '0..1 SimpleQuantity',
+  },
+  Ratio: {
+    numerator: '0..1 Quantity',
+    denominator: '0..1 Quantity',
+  },
+  Annotation: {
+    'author[x]': '0..1 Reference|string',
+    time: '0..1 dateTime',
+    text: '1..1 markdown',
+  },
+  Attachment: {
+    contentType: '0..1 code',
+    language: '0..1 code',
+    data: '0..1 base64Binary',
+    url: '0..1 url',
+    size: '0..1 unsignedInt',
+    hash: '0..1 base64Binary',
+    title: '0..1 string',
+    creation: '0..1 dateTime',
+  },
+  Timing: {
+    event: '0..* dateTime',
+    repeat: [
+      '0..1',
+      {
+        'bounds[x]': '0..1 Duration|Range|Period',
+        count: '0..1 positiveInt',
+        countMax: '0..1 positiveInt',
+        duration: '0..1 decimal',
+        durationMax: '0..1 decimal',
+        durationUnit: '0..1 code:units-of-time',
+        frequency: '0..1 positiveInt',
+        frequencyMax: '0..1 positiveInt',
+        period: '0..1 decimal',
+        periodMax: '0..1 decimal',
+        periodUnit: '0..1 code:units-of-time',
+        dayOfWeek: '0..* code:days-of-week',
+        timeOfDay: '0..* time',
+        when: '0..* code',
+        offset: '0..1 unsignedInt',
+      },
+    ],
+    code: '0..1 CodeableConcept',
+  },
+  Dosage: {
+    sequence: '0..1 integer',
+    text: '0..1 string',
+    additionalInstruction: '0..* CodeableConcept',
+    patientInstruction: '0..1 string',
+    timing: '0..1 Timing',
+    'asNeeded[x]': '0..1 boolean|CodeableConcept',
+    site: '0..1 CodeableConcept',
+    route: '0..1 CodeableConcept',
+    method: '0..1 CodeableConcept',
+    doseAndRate: [
+      '0..*',
+      {
+        type: '0..1 CodeableConcept',
+        'dose[x]': '0..1 Range|SimpleQuantity',
+        'rate[x]': '0..1 Ratio|Range|SimpleQuantity',
+      },
+    ],
+    maxDosePerPeriod: '0..1 Ratio',
+    maxDosePerAdministration: '0..1 SimpleQuantity',
+    maxDosePerLifetime: '0..1 SimpleQuantity',
+  },
+};
+
+const RESOURCES = {
+  Patient: {
+    identifier: '0..* Identifier',
+    active: '0..1 boolean',
+    name: '0..* HumanName',
+    telecom: '0..* ContactPoint',
+    gender: '0..1 code:administrative-gender',
+    birthDate: '0..1 date',
+    'deceased[x]': '0..1 boolean|dateTime',
+    address: '0..* Address',
+    maritalStatus: '0..1 CodeableConcept',
+    'multipleBirth[x]': '0..1 boolean|integer',
+    photo: '0..* Attachment',
+    contact: [
+      '0..*',
+      {
+        relationship: '0..* CodeableConcept',
+        name: '0..1 HumanName',
+        telecom: '0..* ContactPoint',
+        address: '0..1 Address',
+        gender: '0..1 code:administrative-gender',
+        organization: '0..1 Reference',
+        period: '0..1 Period',
+      },
+    ],
+    communication: [
+      '0..*',
+      {
+        language: '1..1 CodeableConcept',
+        preferred: '0..1 boolean',
+      },
+    ],
+    generalPractitioner: '0..* Reference',
+    managingOrganization: '0..1 Reference',
+    link: [
+      '0..*',
+      {
+        other: '1..1 Reference',
+        type: '1..1 code:link-type',
+      },
+    ],
+  },
+
+  Practitioner: {
+    identifier: '0..* Identifier',
+    active: '0..1 boolean',
+    name: '0..* HumanName',
+    telecom: '0..* ContactPoint',
+    address: '0..* Address',
+    gender: '0..1 code:administrative-gender',
+    birthDate: '0..1 date',
+    photo: '0..* Attachment',
+    qualification: [
+      '0..*',
+      {
+        identifier: '0..* Identifier',
+        code: '1..1 CodeableConcept',
+        period: '0..1 Period',
+        issuer: '0..1 Reference',
+      },
+    ],
+    communication: '0..* CodeableConcept',
+  },
+
+  Location: {
+    identifier: '0..* Identifier',
+    status: '0..1 code:location-status',
+    operationalStatus: '0..1 Coding',
+    name: '0..1 string',
+    alias: '0..* string',
+    description: '0..1 string',
+    mode: '0..1 code:location-mode',
+    type: '0..* CodeableConcept',
+    telecom: '0..* ContactPoint',
+    address: '0..1 Address',
+    physicalType: '0..1 CodeableConcept',
+    position: [
+      '0..1',
+      {
+        longitude: '1..1 decimal',
+        latitude: '1..1 decimal',
+        altitude: '0..1 decimal',
+      },
+    ],
+    managingOrganization: '0..1 Reference',
+    partOf: '0..1 Reference',
+    hoursOfOperation: [
+      '0..*',
+      {
+        daysOfWeek: '0..* code:days-of-week',
+        allDay: '0..1 boolean',
+        openingTime: '0..1 time',
+        closingTime: '0..1 time',
+      },
+    ],
+    availabilityExceptions: '0..1 string',
+    endpoint: '0..* Reference',
+  },
+
+  Appointment: {
+    identifier: '0..* Identifier',
+    status: '1..1 code:appointment-status',
+    cancelationReason: '0..1 CodeableConcept',
+    serviceCategory: '0..* CodeableConcept',
+    serviceType: '0..* CodeableConcept',
+    specialty: '0..* CodeableConcept',
+    appointmentType: '0..1 CodeableConcept',
+    reasonCode: '0..* CodeableConcept',
+    reasonReference: '0..* Reference',
+    priority: '0..1 unsignedInt',
+    description: '0..1 string',
+    supportingInformation: '0..* Reference',
+    start: '0..1 instant',
+    end: '0..1 instant',
+    minutesDuration: '0..1 positiveInt',
+    slot: '0..* Reference',
+    created: '0..1 dateTime',
+    comment: '0..1 string',
+    patientInstruction: '0..1 string',
+    basedOn: '0..* Reference',
+    participant: [
+      '1..*',
+      {
+        type: '0..* CodeableConcept',
+        actor: '0..1 Reference',
+        required: '0..1 code:participant-required',
+        status: '1..1 code:participation-status',
+        period: '0..1 Period',
+      },
+    ],
+    requestedPeriod: '0..* Period',
+  },
+
+  MedicationRequest: {
+    identifier: '0..* Identifier',
+    status: '1..1 code:medicationrequest-status',
+    statusReason: '0..1 CodeableConcept',
+    intent: '1..1 code:medicationrequest-intent',
+    category: '0..* CodeableConcept',
+    priority: '0..1 code:request-priority',
+    doNotPerform: '0..1 boolean',
+    'reported[x]': '0..1 boolean|Reference',
+    'medication[x]': '1..1 CodeableConcept|Reference',
+    subject: '1..1 Reference',
+    encounter: '0..1 Reference',
+    supportingInformation: '0..* Reference',
+    authoredOn: '0..1 dateTime',
+    requester: '0..1 Reference',
+    performer: '0..1 Reference',
+    performerType: '0..1 CodeableConcept',
+    recorder: '0..1 Reference',
+    reasonCode: '0..* CodeableConcept',
+    reasonReference: '0..* Reference',
+    instantiatesCanonical: '0..* canonical',
+    instantiatesUri: '0..* uri',
+    basedOn: '0..* Reference',
+    groupIdentifier: '0..1 Identifier',
+    courseOfTherapyType: '0..1 CodeableConcept',
+    insurance: '0..* Reference',
+    note: '0..* Annotation',
+    dosageInstruction: '0..* Dosage',
+    dispenseRequest: [
+      '0..1',
+      {
+        initialFill: [
+          '0..1',
+          {
+            quantity: '0..1 SimpleQuantity',
+            duration: '0..1 Duration',
+          },
+        ],
+        dispenseInterval: '0..1 Duration',
+        validityPeriod: '0..1 Period',
+        numberOfRepeatsAllowed: '0..1 unsignedInt',
+        quantity: '0..1 SimpleQuantity',
+        expectedSupplyDuration: '0..1 Duration',
+        performer: '0..1 Reference',
+      },
+    ],
+    substitution: [
+      '0..1',
+      {
+        'allowed[x]': '1..1 boolean|CodeableConcept',
+        reason: '0..1 CodeableConcept',
+      },
+    ],
+    priorPrescription: '0..1 Reference',
+    detectedIssue: '0..* Reference',
+    eventHistory: '0..* Reference',
+  },
+
+  Communication: {
+    identifier: '0..* Identifier',
+    instantiatesCanonical: '0..* canonical',
+    instantiatesUri: '0..* uri',
+    basedOn: '0..* Reference',
+    partOf: '0..* Reference',
+    inResponseTo: '0..* Reference',
+    status: '1..1 code:event-status',
+    statusReason: '0..1 CodeableConcept',
+    category: '0..* CodeableConcept',
+    priority: '0..1 code:request-priority',
+    medium: '0..* CodeableConcept',
+    subject: '0..1 Reference',
+    topic: '0..1 CodeableConcept',
+    about: '0..* Reference',
+    encounter: '0..1 Reference',
+    sent: '0..1 dateTime',
+    received: '0..1 dateTime',
+    recipient: '0..* Reference',
+    sender: '0..1 Reference',
+    reasonCode: '0..* CodeableConcept',
+    reasonReference: '0..* Reference',
+    payload: [
+      '0..*',
+      {
+        'content[x]': '1..1 string|Attachment|Reference',
+      },
+    ],
+    note: '0..* Annotation',
+  },
+
+  // Contained in Patient (see utils/fhir.js)
+  Coverage: {
+    identifier: '0..* Identifier',
+    status: '1..1 code:fm-status',
+    type: '0..1 CodeableConcept',
+    policyHolder: '0..1 Reference',
+    subscriber: '0..1 Reference',
+    subscriberId: '0..1 string',
+    beneficiary: '1..1 Reference',
+    dependent: '0..1 string',
+    relationship: '0..1 CodeableConcept',
+    period: '0..1 Period',
+    payor: '1..* Reference',
+    class: [
+      '0..*',
+      {
+        type: '1..1 CodeableConcept',
+        value: '1..1 string',
+        name: '0..1 string',
+      },
+    ],
+    order: '0..1 positiveInt',
+    network: '0..1 string',
+    costToBeneficiary: [
+      '0..*',
+      {
+        type: '0..1 CodeableConcept',
+        'value[x]': '1..1 SimpleQuantity|Money',
+        exception: [
+          '0..*',
+          {
+            type: '1..1 CodeableConcept',
+            period: '0..1 Period',
+          },
+        ],
+      },
+    ],
+    subrogation: '0..1 boolean',
+    contract: '0..* Reference',
+  },
+
+  Condition: {
+    identifier: '0..* Identifier',
+    clinicalStatus: '0..1 CodeableConcept',
+    verificationStatus: '0..1 CodeableConcept',
+    category: '0..* CodeableConcept',
+    severity: '0..1 CodeableConcept',
+    code: '0..1 CodeableConcept',
+    bodySite: '0..* CodeableConcept',
+    subject: '1..1 Reference',
+    encounter: '0..1 Reference',
+    'onset[x]': '0..1 dateTime|Age|Period|Range|string',
+    'abatement[x]': '0..1 dateTime|Age|Period|Range|string',
+    recordedDate: '0..1 dateTime',
+    recorder: '0..1 Reference',
+    asserter: '0..1 Reference',
+    stage: [
+      '0..*',
+      {
+        summary: '0..1 CodeableConcept',
+        assessment: '0..* Reference',
+        type: '0..1 CodeableConcept',
+      },
+    ],
+    evidence: [
+      '0..*',
+      {
+        code: '0..* CodeableConcept',
+        detail: '0..* Reference',
+      },
+    ],
+    note: '0..* Annotation',
+  },
+};
+
+/*
+ * Invariants by type or backbone element path. `test` gets the element and
+ * returns false when the invariant is broken.
+ */
+const INVARIANTS = {
+  Extension: [
+    {
+      key: 'ext-1',
+      human: 'Must have either extensions or value[x], not both',
+      test: (extension) =>
+        Boolean(extension.extension) !== Object.keys(extension).some(isValueKey),
+    },
+  ],
+  Period: [
+    {
+      key: 'per-1',
+      human: 'If present, start SHALL have a lower value than end',
+      test: (period) => !period.start || !period.end || period.start <= period.end,
+    },
+  ],
+  Quantity: [
+    {
+      key: 'qty-3',
+      human: 'If a code for the unit is present, the system SHALL also be present',
+      test: (quantity) => !quantity.code || Boolean(quantity.system),
+    },
+  ],
+  'Patient.contact': [
+    {
+      key: 'pat-1',
+      human: "SHALL at least contain a contact's details or a reference to an organization",
+      test: (contact) =>
+        Boolean(contact.name || contact.telecom || contact.address || contact.organization),
+    },
+  ],
+  Appointment: [
+    {
+      key: 'app-2',
+      human: 'Either start and end are specified, or neither',
+      test: (appointment) => Boolean(appointment.start) === Boolean(appointment.end),
+    },
+    {
+      key: 'app-3',
+      human: 'Only proposed or cancelled appointments can be missing start/end dates',
+      test: (appointment) =>
+        (Boolean(appointment.start) && Boolean(appointment.end)) ||
+        ['proposed', 'cancelled', 'waitlist'].includes(appointment.status),
+    },
+    {
+      key: 'app-4',
+      human:
+        'Cancelation reason is only used for appointments that have been cancelled, or no-show',
+      test: (appointment) =>
+        !appointment.cancelationReason || ['cancelled', 'noshow'].includes(appointment.status),
+    },
+  ],
+  'Appointment.participant': [
+    {
+      key: 'app-1',
+      human: 'Either the type or actor on the participant SHALL be specified',
+      test: (participant) => Boolean(participant.type || participant.actor),
+    },
+  ],
+};
+
+const US_CORE_BASE = 'http://hl7.org/fhir/us/core/StructureDefinition';
+const DATA_ABSENT_REASON = 'http://hl7.org/fhir/StructureDefinition/data-absent-reason';
+
+/*
+ * US Core 3.1.1 profiles: cardinality the profile tightens, by path within
+ * the resource, and the profile's own invariants
+ */
+const PROFILES = {
+  [`${US_CORE_BASE}/us-core-patient`]: {
+    type: 'Patient',
+    cardinality: {
+      identifier: '1..*',
+      'identifier.system': '1..1',
+      'identifier.value': '1..1',
+      name: '1..*',
+      'telecom.system': '1..1',
+      'telecom.value': '1..1',
+      gender: '1..1',
+    },
+    invariants: {
+      name: [
+        {
+          key: 'us-core-8',
+          human:
+            'Either Patient.name.given and/or Patient.name.family SHALL be present or a Data ' +
+            'Absent Reason Extension SHALL be present',
+          test: (name) =>
+            Boolean(name.family || name.given) ||
+            Boolean(name.extension?.some((item) => item.url === DATA_ABSENT_REASON)),
+        },
+      ],
+    },
+  },
+  [`${US_CORE_BASE}/us-core-practitioner`]: {
+    type: 'Practitioner',
+    cardinality: {
+      identifier: '1..*',
+      'identifier.system': '1..1',
+      'identifier.value': '1..1',
+      name: '1..*',
+      'name.family': '1..1',
+    },
+  },
+  [`${US_CORE_BASE}/us-core-location`]: {
+    type: 'Location',
+    cardinality: {
+      name: '1..1',
+    },
+  },
+  [`${US_CORE_BASE}/us-core-medicationrequest`]: {
+    type: 'MedicationRequest',
+    cardinality: {
+      authoredOn: '1..1',
+      requester: '1..1',
+    },
+  },
+};
+
+// Tenant feature flag that holds every incoming resource to its US Core profile
+const US_CORE_FEATURE = 'fhir_us_core';
+
+function isValueKey(key) {
+  return /^value[A-Z]/.test(key);
+}
+
+/**
+ * US Core profile URL for a resource type, if US Core profiles it
+ */
+function getUsCoreProfile(resourceType) {
+  return Object.keys(PROFILES).find((url) => PROFILES[url].type === resourceType);
+}
+
+function isUsCoreEnabled(configuration = {}) {
+  return Boolean(configuration.features?.[US_CORE_FEATURE]);
+}
+
+module.exports = {
+  VALUE_SETS,
+  DATATYPES,
+  RESOURCES,
+  INVARIANTS,
+  PROFILES,
+  getUsCoreProfile,
+  isUsCoreEnabled,
+};
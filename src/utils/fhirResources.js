@@ -0,0 +1,176 @@
+const { SCOPES } = require('./authorization');
+
+/**
+ * FHIR R4 resources served under /fhir/r4
+ *
+ * One entry per resource type: the API scopes it needs, the tenant quota its
+ * create counts against, the tenant feature flag it needs (when it is not
+ * available to every tenant), the FHIR interactions it supports and its
+ * search parameters. The FHIR routes take their scopes from here, FhirService
+ * (src/services/fhir.service.js) implements exactly these interactions and
+ * the CapabilityStatement is generated from this table, so what is declared
+ * here is what is served and advertised.
+ */
+const DEFAULT_SEARCH_COUNT = 50;
+const MAX_SEARCH_COUNT = 200;
+
+// Result parameters every search understands, on top of each type's own
+const SEARCH_RESULT_PARAMS = {
+  _count: {
+    type: 'number',
+    documentation: `Page size, at most ${MAX_SEARCH_COUNT} (default ${DEFAULT_SEARCH_COUNT})`,
+  },
+  _page: { type: 'number', documentation: 'Page of results, starting at 1' },
+  _sort: {
+    type: 'special',
+    documentation: 'Comma-separated parameters to sort by; prefix with - to sort descending',
+  },
+  _include: {
+    type: 'special',
+    documentation: 'Add the resources a reference parameter points to, e.g. Appointment:patient',
+  },
+};
+
+// Search parameters every resource type supports
+const COMMON_SEARCH_PARAMS = {
+  _id: { type: 'token', documentation: 'Logical id of the resource' },
+  _lastUpdated: { type: 'date', documentation: 'When the resource last changed' },
+};
+
+const NAME_SEARCH_PARAMS = {
+  name: { type: 'string', documentation: 'Start of the given or family name' },
+  family: { type: 'string', documentation: 'Start of the family name' },
+  given: { type: 'string', documentation: 'Start of the given name' },
+};
+
+/*
+ * Search parameter types follow FHIR (string, token, date, reference).
+ * Reference parameters name their `target` type, which is what chained
+ * parameters (patient.identifier=...) and _include resolve against.
+ */
+const FHIR_RESOURCES = {
+  Patient: {
+    scopes: { read: SCOPES.PATIENTS_READ, write: SCOPES.PATIENTS_WRITE },
+    quota: 'patients_created',
+    interactions: ['read', 'search-type', 'create', 'update', 'delete'],
+    searchParams: {
+      ...COMMON_SEARCH_PARAMS,
+      ...NAME_SEARCH_PARAMS,
+      identifier: { type: 'token', documentation: 'Medical record number (system MRN)' },
+      birthdate: { type: 'date', documentation: 'Date of birth' },
+      gender: { type: 'token', documentation: 'Administrative gender' },
+      active: { type: 'token', documentation: 'Whether the record is active (true/false)' },
+    },
+  },
+  Practitioner: {
+    scopes: { read: SCOPES.PROVIDERS_READ, write: SCOPES.PROVIDERS_WRITE },
+    interactions: ['read', 'search-type', 'create', 'update', 'delete'],
+    searchParams: {
+      ...COMMON_SEARCH_PARAMS,
+      ...NAME_SEARCH_PARAMS,
+      identifier: { type: 'token', documentation: 'National Provider Identifier' },
+      active: { type: 'token', documentation: 'Whether the practitioner is active (true/false)' },
+    },
+  },
+  Location: {
+    scopes: { read: SCOPES.PROVIDERS_READ, write: SCOPES.PROVIDERS_WRITE },
+    interactions: ['read', 'search-type', 'create', 'update', 'delete'],
+    searchParams: {
+      ...COMMON_SEARCH_PARAMS,
+      name: { type: 'string', documentation: 'Start of the facility name' },
+      type: { type: 'token', documentation: 'Facility type' },
+      status: { type: 'token', documentation: 'active or inactive' },
+    },
+  },
+  Appointment: {
+    scopes: { read: SCOPES.APPOINTMENTS_READ, write: SCOPES.APPOINTMENTS_WRITE },
+    quota: 'appointments_created',
+    interactions: ['read', 'search-type', 'create', 'update', 'delete'],
+    searchParams: {
+      ...COMMON_SEARCH_PARAMS,
+      patient: {
+        type: 'reference',
+        target: 'Patient',
+        documentation: 'Patient attending the appointment',
+      },
+      practitioner: {
+        type: 'reference',
+        target: 'Practitioner',
+        documentation: 'Practitioner seeing the patient',
+      },
+      location: {
+        type: 'reference',
+        target: 'Location',
+        documentation: 'Location of the appointment',
+      },
+      status: { type: 'token', documentation: 'Appointment status' },
+      date: { type: 'date', documentation: 'Start time' },
+    },
+  },
+  MedicationRequest: {
+    scopes: { read: SCOPES.MEDICATIONS_READ, write: SCOPES.MEDICATIONS_WRITE },
+    interactions: ['read', 'search-type', 'create', 'update', 'delete'],
+    searchParams: {
+      ...COMMON_SEARCH_PARAMS,
+      patient: { type: 'reference', target: 'Patient', documentation: 'Patient the order is for' },
+      requester: {
+        type: 'reference',
+        target: 'Practitioner',
+        documentation: 'Prescribing practitioner',
+      },
+      status: { type: 'token', documentation: 'Medication status' },
+      code: { type: 'token', documentation: 'RxNorm code of the medication' },
+      authoredon: { type: 'date', documentation: 'When the prescription was recorded' },
+    },
+  },
+  Communication: {
+    scopes: { read: SCOPES.NOTIFICATIONS_READ, write: SCOPES.NOTIFICATIONS_SEND },
+    quota: 'notifications_sent',
+    feature: 'fhir_communication',
+    // Sent notifications are a delivery record, so they are never edited
+    interactions: ['read', 'search-type', 'create'],
+    searchParams: {
+      ...COMMON_SEARCH_PARAMS,
+      patient: { type: 'reference', target: 'Patient', documentation: 'Patient notified' },
+      status: { type: 'token', documentation: 'Delivery status' },
+      sent: { type: 'date', documentation: 'When the notification was sent' },
+    },
+  },
+};
+
+/**
+ * Registry entry for a resource type, or null when it is not served
+ */
+function getFhirResource(resourceType) {
+  return Object.prototype.hasOwnProperty.call(FHIR_RESOURCES, resourceType)
+    ? FHIR_RESOURCES[resourceType]
+    : null;
+}
+
+/**
+ * Whether a tenant may use a resource type
+ * @param {Object} definition - Registry entry
+ * @param {Object} configuration - tenants.configuration
+ */
+function isFhirResourceEnabled(definition, configuration = {}) {
+  return !definition.feature || Boolean(configuration.features?.[definition.feature]);
+}
+
+/**
+ * Resource types available to a tenant, as [resourceType, definition] pairs
+ */
+function listFhirResources(configuration = {}) {
+  return Object.entries(FHIR_RESOURCES).filter(([, definition]) =>
+    isFhirResourceEnabled(definition, configuration)
+  );
+}
+
+module.exports = {
+  DEFAULT_SEARCH_COUNT,
+  MAX_SEARCH_COUNT,
+  SEARCH_RESULT_PARAMS,
+  FHIR_RESOURCES,
+  getFhirResource,
+  isFhirResourceEnabled,
+  listFhirResources,
+};
@@ -0,0 +1,184 @@
+/**
+ * FHIR R4 response builders for the /fhir/r4 endpoints
+ * These return complete Lambda responses, so the routes that use them are
+ * declared `raw`.
+ */
+
+const { STATUS_CODES } = require('http');
+
+const FHIR_CONTENT_TYPE = 'application/fhir+json';
+const FHIR_NDJSON_CONTENT_TYPE = 'application/fhir+ndjson';
+const FHIR_PATH = '/fhir/r4';
+
+// HTTP status to OperationOutcome issue type (http://hl7.org/fhir/issue-type)
+const ISSUE_TYPES = {
+  400: 'invalid',
+  401: 'login',
+  403: 'forbidden',
+  404: 'not-found',
+  405: 'not-supported',
+  409: 'conflict',
+  422: 'processing',
+  429: 'throttled',
+  503: 'transient',
+  504: 'timeout',
+};
+
+function resource(body, statusCode = 200, headers = {}) {
+  return {
+    statusCode,
+    headers: {
+      'Content-Type': FHIR_CONTENT_TYPE,
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Credentials': true,
+      ...headers,
+    },
+    body: body === null ? '' : JSON.stringify(body),
+  };
+}
+
+function noContent() {
+  return resource(null, 204);
+}
+
+/**
+ * Search results as a searchset Bundle with self/next/previous links
+ * @param {Object} options
+ * @param {String} options.baseUrl - Service base, e.g. https://host/fhir/r4
+ * @param {Array<Object>} options.included - Resources added by _include
+ * @param {Array<Array>} options.params - [name, value] pairs of the search
+ *   parameters that were applied; names may repeat
+ * @param {Number} options.total - Matches across all pages, when known
+ */
+function searchset({
+  baseUrl,
+  resourceType,
+  resources,
+  included = [],
+  params = [],
+  page,
+  count,
+  total,
+}) {
+  const pageUrl = (pageNumber) => {
+    const query = new URLSearchParams([...params, ['_count', count], ['_page', pageNumber]]);
+    return `${baseUrl}/${resourceType}?${query.toString()}`;
+  };
+
+  const hasNext = total !== undefined ? page * count < total : resources.length === count;
+
+  const link = [{ relation: 'self', url: pageUrl(page) }];
+
+  if (hasNext) {
+    link.push({ relation: 'next', url: pageUrl(page + 1) });
+  }
+
+  if (page > 1) {
+    link.push({ relation: 'previous', url: pageUrl(page - 1) });
+  }
+
+  return {
+    resourceType: 'Bundle',
+    type: 'searchset',
+    meta: { lastUpdated: new Date().toISOString() },
+    total,
+    link,
+    entry: [
+      ...resources.map((item) => toEntry(baseUrl, item, 'match')),
+      ...included.map((item) => toEntry(baseUrl, item, 'include')),
+    ],
+  };
+}
+
+function toEntry(baseUrl, item, mode) {
+  return {
+    fullUrl: `${baseUrl}/${item.resourceType}/${item.id}`,
+    resource: item,
+    search: { mode },
+  };
+}
+
+/**
+ * Response Bundle for a transaction or batch
+ * @param {Object} options
+ * @param {String} options.type - transaction-response or batch-response
+ * @param {Array<Object>} options.entries - One per request entry, in order:
+ *   { status, resourceType, id, resource } or { status, outcome } on failure
+ */
+function transactionResponse({ baseUrl, type, entries }) {
+  return {
+    resourceType: 'Bundle',
+    type,
+    meta: { lastUpdated: new Date().toISOString() },
+    entry: entries.map((item) => {
+      const response = { status: `${item.status} ${STATUS_CODES[item.status] || ''}`.trim() };
+
+      if (item.outcome) {
+        return { response: { ...response, outcome: item.outcome } };
+      }
+
+      const location = `${item.resourceType}/${item.id}`;
+
+      return {
+        ...(item.resource ? { fullUrl: `${baseUrl}/${location}`, resource: item.resource } : {}),
+        response: item.status === 204 ? response : { ...response, location },
+      };
+    }),
+  };
+}
+
+/**
+ * Build an OperationOutcome
+ * @param {Array<Object>} issues - { severity, code, diagnostics, expression }
+ */
+function operationOutcome(issues) {
+  return {
+    resourceType: 'OperationOutcome',
+    issue: issues.map((item) => ({
+      severity: item.severity || 'error',
+      code: item.code || 'exception',
+      ...(item.details ? { details: { text: item.details } } : {}),
+      ...(item.diagnostics ? { diagnostics: item.diagnostics } : {}),
+      ...(item.expression ? { expression: [].concat(item.expression) } : {}),
+    })),
+  };
+}
+
+function getIssueType(statusCode) {
+  return ISSUE_TYPES[statusCode] || (statusCode >= 500 ? 'exception' : 'processing');
+}
+
+/**
+ * Public base URL of the FHIR endpoints
+ * FHIR_BASE_URL wins; otherwise it is rebuilt from the Host header and the
+ * stage prefix API Gateway adds in front of event.path.
+ */
+function getBaseUrl(event) {
+  if (process.env.FHIR_BASE_URL) {
+    return process.env.FHIR_BASE_URL.replace(/\/$/, '');
+  }
+
+  const headers = event.headers || {};
+  const header = (name) =>
+    headers[Object.keys(headers).find((key) => key.toLowerCase() === name.toLowerCase())];
+
+  const host = header('Host') || 'localhost';
+  const protocol = header('X-Forwarded-Proto') || 'https';
+  const fullPath = event.requestContext?.path || '';
+  const prefix =
+    event.path && fullPath.endsWith(event.path) ? fullPath.slice(0, -event.path.length) : '';
+
+  return `${protocol}://${host}${prefix}${FHIR_PATH}`;
+}
+
+module.exports = {
+  FHIR_CONTENT_TYPE,
+  FHIR_NDJSON_CONTENT_TYPE,
+  resource,
+  noContent,
+  searchset,
+  transactionResponse,
+  operationOutcome,
+  getIssueType,
+  getBaseUrl,
+};
@@ -0,0 +1,849 @@
+const { ValidationError } = require('./errors');
+const {
+  MRN_SYSTEM,
+  NPI_SYSTEM,
+  RXNORM_SYSTEM,
+  APPOINTMENT_STATUS,
+  MEDICATION_STATUS,
+  COMMUNICATION_STATUS,
+} = require('./fhir');
+const { DEFAULT_SEARCH_COUNT, MAX_SEARCH_COUNT, FHIR_RESOURCES } = require('./fhirResources');
+
+/**
+ * FHIR search over our tables
+ *
+ * parseSearchQuery() checks a query string against the search parameters
+ * declared in utils/fhirResources.js; buildSearchQuery() and
+ * buildIncludeQuery() turn the result into parameterized SQL using the
+ * storage below. Every value is bound as a parameter; only column names from
+ * SEARCH_TABLES are ever written into the SQL text.
+ *
+ * Supported:
+ *   - string: starts-with by default, :exact, :contains
+ *   - token: code, system|code, |code, system|, :not
+ *   - date: eq, ne, gt, lt, ge, le, sa, eb prefixes at year to millisecond
+ *     precision (2024 covers the whole year)
+ *   - reference: id, Type/id or a full URL, :Type
+ *   - :missing on every parameter
+ *   - one level of chaining (patient.identifier=MRN|123)
+ *   - a,b matches either value; repeating a parameter matches both
+ *   - _sort, _count, _page and _include=Type:param[:Target]
+ *
+ * parseExportQuery() and buildExportQuery() do the same for FHIR Bulk Data
+ * $export, which reads every resource of a type rather than a page.
+ */
+
+const BOOLEAN_CODES = { true: true, false: false };
+
+// FHIR status codes back to the status column values they stand for
+const APPOINTMENT_STATUS_CODES = invertCodes(APPOINTMENT_STATUS);
+const MEDICATION_STATUS_CODES = invertCodes(MEDICATION_STATUS);
+const DELIVERY_STATUS_CODES = invertCodes(COMMUNICATION_STATUS);
+
+/**
+ * Storage of each searchable resource type
+ *   from/select  - FROM clause (with any joins) and the columns its rows need
+ *   id, tenant   - id and tenant_id columns
+ *   where        - condition every row must meet
+ *   patient      - column holding the patient, to confine patient tokens
+ *   defaultSort  - ORDER BY when the request has no _sort
+ *   columns      - column(s) behind each search parameter; tokens may name
+ *                  their identifier `system` and map FHIR `codes` to values
+ */
+const SEARCH_TABLES = {
+  Patient: {
+    from: 'patients p',
+    select: 'p.*',
+    id: 'p.id',
+    tenant: 'p.tenant_id',
+    where: 'p.deleted_at IS NULL',
+    patient: 'p.id',
+    defaultSort: 'p.created_at DESC',
+    columns: {
+      _id: { column: 'p.id', format: 'uuid' },
+      _lastUpdated: { column: 'p.updated_at' },
+      name: { column: ['p.last_name', 'p.first_name'] },
+      family: { column: 'p.last_name' },
+      given: { column: 'p.first_name' },
+      identifier: { column: 'p.mrn', system: MRN_SYSTEM },
+      birthdate: { column: 'p.date_of_birth' },
+      gender: { column: 'p.gender' },
+      active: { column: 'p.is_active', codes: BOOLEAN_CODES },
+    },
+  },
+  Practitioner: {
+    from: 'providers pr',
+    select: 'pr.*',
+    id: 'pr.id',
+    tenant: 'pr.tenant_id',
+    defaultSort: 'pr.last_name ASC, pr.first_name ASC',
+    columns: {
+      _id: { column: 'pr.id', format: 'uuid' },
+      _lastUpdated: { column: 'pr.updated_at' },
+      name: { column: ['pr.last_name', 'pr.first_name'] },
+      family: { column: 'pr.last_name' },
+      given: { column: 'pr.first_name' },
+      identifier: { column: 'pr.npi', system: NPI_SYSTEM },
+      active: { column: 'pr.is_active', codes: BOOLEAN_CODES },
+    },
+  },
+  Location: {
+    from: 'facilities f',
+    select: 'f.*',
+    id: 'f.id',
+    tenant: 'f.tenant_id',
+    defaultSort: 'f.name ASC',
+    columns: {
+      _id: { column: 'f.id', format: 'uuid' },
+      _lastUpdated: { column: 'f.updated_at' },
+      name: { column: 'f.name' },
+      type: { column: 'f.facility_type' },
+      status: { column: 'f.is_active', codes: { active: true, inactive: false } },
+    },
+  },
+  Appointment: {
+    from: `appointments a
+      JOIN patients p ON a.patient_id = p.id
+      JOIN providers pr ON a.provider_id = pr.id
+      JOIN facilities f ON a.facility_id = f.id`,
+    select: `a.*,
+      p.first_name AS patient_first_name, p.last_name AS patient_last_name,
+      pr.first_name AS provider_first_name, pr.last_name AS provider_last_name,
+      f.name AS facility_name`,
+    id: 'a.id',
+    tenant: 'a.tenant_id',
+    patient: 'a.patient_id',
+    defaultSort: 'a.scheduled_start ASC',
+    columns: {
+      _id: { column: 'a.id', format: 'uuid' },
+      _lastUpdated: { column: 'a.updated_at' },
+      patient: { column: 'a.patient_id' },
+      practitioner: { column: 'a.provider_id' },
+      location: { column: 'a.facility_id' },
+      status: { column: 'a.status', codes: APPOINTMENT_STATUS_CODES },
+      date: { column: 'a.scheduled_start' },
+    },
+  },
+  MedicationRequest: {
+    from: `medications m
+      JOIN patients p ON m.patient_id = p.id
+      JOIN providers pr ON m.prescribing_provider_id = pr.id`,
+    select: `m.*,
+      p.first_name AS patient_first_name, p.last_name AS patient_last_name,
+      pr.first_name AS provider_first_name, pr.last_name AS provider_last_name`,
+    id: 'm.id',
+    tenant: 'm.tenant_id',
+    patient: 'm.patient_id',
+    defaultSort: 'm.created_at DESC',
+    columns: {
+      _id: { column: 'm.id', format: 'uuid' },
+      _lastUpdated: { column: 'm.updated_at' },
+      patient: { column: 'm.patient_id' },
+      requester: { column: 'm.prescribing_provider_id' },
+      status: { column: 'm.status', codes: MEDICATION_STATUS_CODES },
+      code: { column: 'm.rxnorm_code', system: RXNORM_SYSTEM },
+      authoredon: { column: 'm.created_at' },
+    },
+  },
+  Communication: {
+    from: 'notifications n',
+    select: 'n.*',
+    id: 'n.id',
+    tenant: 'n.tenant_id',
+    patient: 'n.patient_id',
+    defaultSort: 'n.created_at DESC',
+    columns: {
+      _id: { column: 'n.id', format: 'uuid' },
+      _lastUpdated: { column: 'n.updated_at' },
+      patient: { column: 'n.patient_id' },
+      status: { column: 'n.delivery_status', codes: DELIVERY_STATUS_CODES },
+      sent: { column: 'n.sent_at' },
+    },
+  },
+};
+
+// Every declared search parameter needs storage, so the registry cannot
+// advertise a parameter that is not implemented
+Object.entries(FHIR_RESOURCES).forEach(([resourceType, definition]) => {
+  Object.keys(definition.searchParams).forEach((name) => {
+    if (!SEARCH_TABLES[resourceType]?.columns[name]) {
+      throw new Error(`Search parameter ${resourceType}.${name} has no column in fhirSearch.js`);
+    }
+  });
+});
+
+const MODIFIERS = {
+  string: ['exact', 'contains'],
+  token: ['not'],
+  date: [],
+  reference: [],
+};
+
+const SORTABLE_TYPES = ['string', 'token', 'date'];
+
+const DATE_PREFIXES = ['eq', 'ne', 'gt', 'lt', 'ge', 'le', 'sa', 'eb'];
+const DATE_PATTERN =
+  /^(\d{4})(?:-(\d{2})(?:-(\d{2})(?:T(\d{2}):(\d{2})(?::(\d{2})(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?)?)?)?$/;
+
+// _outputFormat values that mean NDJSON, the only format we write
+const EXPORT_OUTPUT_FORMATS = ['application/fhir+ndjson', 'application/ndjson', 'ndjson'];
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Check a search request against the registry
+ * @param {String} resourceType - A type from utils/fhirResources.js
+ * @param {Object} query - Parameter name to array of values
+ * @param {Object} options
+ * @param {Boolean} options.strict - Reject unknown parameters instead of
+ *   ignoring them (Prefer: handling=strict)
+ * @returns {Object} { filters, sort, include, page, count, params } where
+ *   params are the [name, value] pairs that were applied
+ */
+function parseSearchQuery(resourceType, query, { strict = false } = {}) {
+  const search = {
+    filters: [],
+    sort: [],
+    include: [],
+    ...getPaging(query),
+    params: [],
+  };
+  const unknown = [];
+
+  Object.entries(query).forEach(([key, values]) => {
+    if (key === '_count' || key === '_page') {
+      return;
+    }
+
+    if (key === '_sort') {
+      values.forEach((value) => {
+        search.sort.push(...parseSort(resourceType, value));
+        search.params.push([key, value]);
+      });
+      return;
+    }
+
+    if (key === '_include') {
+      values.forEach((value) => {
+        search.include.push(parseInclude(resourceType, value));
+        search.params.push([key, value]);
+      });
+      return;
+    }
+
+    const filter = parseFilterKey(resourceType, key);
+
+    if (!filter) {
+      unknown.push(key);
+      return;
+    }
+
+    values.forEach((value) => {
+      search.filters.push({ ...filter, values: parseValues(filter, value) });
+      search.params.push([key, value]);
+    });
+  });
+
+  if (strict && unknown.length > 0) {
+    throw new ValidationError(`Unsupported search parameters for ${resourceType}`, {
+      errors: unknown.map((name) => ({
+        field: name,
+        message: `Search parameter '${name}' is not supported for ${resourceType}`,
+      })),
+    });
+  }
+
+  return search;
+}
+
+/**
+ * SQL for one page of matches and for the total across pages
+ * @param {Object} scope - { tenantId, patientId }; patientId confines
+ *   patient tokens to their own records
+ * @returns {Object} { sql, params, countSql, countParams }
+ */
+function buildSearchQuery(resourceType, search, scope) {
+  const table = SEARCH_TABLES[resourceType];
+  const params = [];
+  const bind = createBinder(params);
+
+  const conditions = getBaseConditions(table, scope, bind);
+
+  search.filters.forEach((filter) => {
+    conditions.push(buildFilter(table, filter, scope, bind));
+  });
+
+  const where = conditions.join(' AND ');
+  const countSql = `SELECT COUNT(*) FROM ${table.from} WHERE ${where}`;
+  const countParams = [...params];
+
+  const orderBy =
+    search.sort.length > 0
+      ? search.sort.flatMap(({ name, descending }) =>
+          [].concat(table.columns[name].column).map((column) =>
+            descending ? `${column} DESC` : `${column} ASC`
+          )
+        )
+      : [table.defaultSort];
+
+  // The id breaks ties so that pages do not overlap
+  orderBy.push(`${table.id} ASC`);
+
+  const limit = bind(search.count);
+  const offset = bind((search.page - 1) * search.count);
+
+  return {
+    sql: `SELECT ${table.select} FROM ${table.from} WHERE ${where}
+      ORDER BY ${orderBy.join(', ')} LIMIT ${limit} OFFSET ${offset}`,
+    params,
+    countSql,
+    countParams,
+  };
+}
+
+/**
+ * SQL for the resources one _include points to from a page of matches
+ * @param {Object} include - Parsed _include
+ * @param {Array<Object>} rows - Rows of the matched page
+ * @returns {Object|null} { sql, params }, or null when nothing is referenced
+ */
+function buildIncludeQuery(include, rows, scope) {
+  const ids = [...new Set(rows.map((row) => row[include.key]).filter(Boolean))];
+
+  if (ids.length === 0) {
+    return null;
+  }
+
+  const table = SEARCH_TABLES[include.target];
+  const params = [];
+  const bind = createBinder(params);
+
+  const conditions = getBaseConditions(table, scope, bind);
+  conditions.push(`${table.id} = ANY(${bind(ids)}::uuid[])`);
+
+  return {
+    sql: `SELECT ${table.select} FROM ${table.from} WHERE ${conditions.join(' AND ')}`,
+    params,
+  };
+}
+
+/**
+ * Check the parameters of a $export kickoff
+ * @param {Object} query - Parameter name to array of values
+ * @param {Object} options
+ * @param {Array<String>} options.resourceTypes - Types the tenant may export
+ * @param {Boolean} options.group - Group export: only types in the Patient
+ *   compartment can be exported
+ * @param {Boolean} options.strict - Reject unknown parameters (such as
+ *   _typeFilter) instead of ignoring them
+ * @returns {Object} { types, since } where since is a UTC timestamp or null
+ */
+function parseExportQuery(query, { resourceTypes, group = false, strict = false }) {
+  const exportable = resourceTypes.filter((type) => !group || SEARCH_TABLES[type].patient);
+  const unknown = Object.keys(query).filter(
+    (key) => !['_type', '_since', '_outputFormat'].includes(key)
+  );
+
+  if (strict && unknown.length > 0) {
+    throw new ValidationError('Unsupported $export parameters', {
+      errors: unknown.map((name) => ({
+        field: name,
+        message: `Parameter '${name}' is not supported by $export`,
+      })),
+    });
+  }
+
+  const format = query._outputFormat?.[0];
+
+  if (format !== undefined && !EXPORT_OUTPUT_FORMATS.includes(format)) {
+    throw invalid('_outputFormat', `'${format}' is not supported; use application/fhir+ndjson`);
+  }
+
+  const requested = (query._type || []).flatMap((value) => value.split(',')).filter(Boolean);
+  const unsupported = requested.filter((type) => !exportable.includes(type));
+
+  if (unsupported.length > 0) {
+    const reason = group ? 'cannot be exported for a Group' : 'cannot be exported';
+    throw invalid('_type', `${unsupported.join(', ')} ${reason}`);
+  }
+
+  return {
+    types: requested.length > 0 ? [...new Set(requested)] : exportable,
+    since: query._since ? parseSince(query._since[0]) : null,
+  };
+}
+
+/**
+ * SQL reading every resource of a type for $export, for a cursor
+ * @param {Object} options
+ * @param {String|Date} options.since - Only resources changed after this
+ * @param {String} options.groupId - Only resources of the patients on this
+ *   practitioner's care team, for Group/{id}/$export
+ * @returns {Object} { sql, params }
+ */
+function buildExportQuery(resourceType, { since = null, groupId = null } = {}, scope) {
+  const table = SEARCH_TABLES[resourceType];
+  const params = [];
+  const bind = createBinder(params);
+
+  const conditions = getBaseConditions(table, scope, bind);
+
+  if (since) {
+    conditions.push(`${table.columns._lastUpdated.column} > ${bind(since)}`);
+  }
+
+  if (groupId) {
+    conditions.push(`${table.patient} IN (
+      SELECT pp.patient_id FROM patient_providers pp
+      WHERE pp.provider_id = ${bind(groupId)} AND pp.ended_at IS NULL)`);
+  }
+
+  return {
+    sql: `SELECT ${table.select} FROM ${table.from} WHERE ${conditions.join(' AND ')}`,
+    params,
+  };
+}
+
+function createBinder(params) {
+  return (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+}
+
+function getBaseConditions(table, { tenantId, patientId }, bind) {
+  const conditions = [`${table.tenant} = ${bind(tenantId)}`];
+
+  if (table.where) {
+    conditions.push(table.where);
+  }
+
+  if (patientId && table.patient) {
+    conditions.push(`${table.patient} = ${bind(patientId)}`);
+  }
+
+  return conditions;
+}
+
+function getPaging(query) {
+  const count = parseInt(query._count?.[0] || DEFAULT_SEARCH_COUNT, 10);
+  const page = parseInt(query._page?.[0] || '1', 10);
+
+  if (!Number.isInteger(count) || count < 1 || count > MAX_SEARCH_COUNT) {
+    throw new ValidationError(`_count must be between 1 and ${MAX_SEARCH_COUNT}`);
+  }
+
+  if (!Number.isInteger(page) || page < 1) {
+    throw new ValidationError('_page must be a positive integer');
+  }
+
+  return { page, count };
+}
+
+/**
+ * Resolve a parameter name such as `name:contains` or `patient.identifier`
+ * Returns null for parameters the type does not declare.
+ */
+function parseFilterKey(resourceType, key) {
+  const dot = key.indexOf('.');
+  const [name, modifier] = splitModifier(dot === -1 ? key : key.slice(0, dot));
+  const param = getSearchParam(resourceType, name);
+
+  if (!param) {
+    return null;
+  }
+
+  if (dot === -1) {
+    return { key, name, param, modifier: checkModifier(key, param, modifier) };
+  }
+
+  if (param.type !== 'reference') {
+    throw invalid(key, `'${name}' is not a reference and cannot be chained`);
+  }
+
+  if (modifier && modifier !== param.target) {
+    throw invalid(key, `'${name}' references ${param.target}, not ${modifier}`);
+  }
+
+  const [chainedName, chainedModifier] = splitModifier(key.slice(dot + 1));
+
+  if (chainedName.includes('.')) {
+    throw invalid(key, 'Only one level of chaining is supported');
+  }
+
+  const chainedParam = getSearchParam(param.target, chainedName);
+
+  if (!chainedParam) {
+    throw invalid(key, `${param.target} has no search parameter '${chainedName}'`);
+  }
+
+  return {
+    key,
+    name,
+    param,
+    chain: {
+      resourceType: param.target,
+      name: chainedName,
+      param: chainedParam,
+      modifier: checkModifier(key, chainedParam, chainedModifier),
+    },
+  };
+}
+
+function getSearchParam(resourceType, name) {
+  const { searchParams } = FHIR_RESOURCES[resourceType];
+  return Object.hasOwn(searchParams, name) ? searchParams[name] : null;
+}
+
+function splitModifier(name) {
+  const colon = name.indexOf(':');
+  return colon === -1 ? [name] : [name.slice(0, colon), name.slice(colon + 1)];
+}
+
+/**
+ * Unsupported modifiers are rejected rather than ignored, since ignoring
+ * them would change what the search matches. A reference's own target type
+ * is accepted and dropped.
+ */
+function checkModifier(key, param, modifier) {
+  if (!modifier || (param.type === 'reference' && modifier === param.target)) {
+    return undefined;
+  }
+
+  if (modifier !== 'missing' && !MODIFIERS[param.type].includes(modifier)) {
+    throw invalid(key, `Modifier ':${modifier}' is not supported here`);
+  }
+
+  return modifier;
+}
+
+/**
+ * Parse one occurrence of a parameter: a list of alternatives, or
+ * { missing } for :missing
+ */
+function parseValues(filter, value) {
+  const { key } = filter;
+  const { param, modifier } = filter.chain || filter;
+
+  if (modifier === 'missing') {
+    if (value !== 'true' && value !== 'false') {
+      throw invalid(key, ':missing takes true or false');
+    }
+
+    return { missing: value === 'true' };
+  }
+
+  const alternatives = splitEscaped(value, ',');
+
+  if (alternatives.some((item) => item === '')) {
+    throw invalid(key, 'Search values cannot be empty');
+  }
+
+  return alternatives.map((item) => {
+    switch (param.type) {
+      case 'token': {
+        const parts = splitEscaped(item, '|').map(unescape);
+        return parts.length === 1
+          ? { code: parts[0] }
+          : { system: parts[0], code: parts.slice(1).join('|') };
+      }
+      case 'date':
+        return parseDate(key, unescape(item));
+      case 'reference':
+        return parseReference(key, param.target, unescape(item));
+      default:
+        return unescape(item);
+    }
+  });
+}
+
+/**
+ * Parse a date value into its prefix and the [start, end) range it covers
+ * Times without an offset are taken as UTC; bounds are returned as UTC
+ * timestamps without a zone, matching our TIMESTAMP columns.
+ */
+function parseDate(key, value) {
+  const prefix = DATE_PREFIXES.find((candidate) => value.startsWith(candidate));
+  // A + in the offset arrives as a space when the client did not encode it
+  const date = (prefix ? value.slice(prefix.length) : value).replace(/ (\d{2}:\d{2})$/, '+$1');
+  const match = DATE_PATTERN.exec(date);
+
+  if (!match) {
+    throw invalid(key, `'${value}' is not a date`);
+  }
+
+  const [, year, month, day, hour, minute, second, fraction, zone] = match;
+  const [y, m, d, h, min, sec] = [year, month || 1, day || 1, hour, minute, second].map((part) =>
+    Number(part || 0)
+  );
+  const local = Date.UTC(y, m - 1, d, h, min, sec, fraction ? Math.floor(fraction * 1000) : 0);
+  const check = new Date(local);
+
+  const outOfRange = h > 23 || min > 59 || sec > 59;
+
+  // Date.UTC rolls 2024-02-30 over into March instead of failing
+  if (outOfRange || check.getUTCMonth() !== m - 1 || check.getUTCDate() !== d) {
+    throw invalid(key, `'${value}' is not a date`);
+  }
+
+  let end;
+
+  if (fraction) {
+    end = local + 1;
+  } else if (second) {
+    end = local + 1000;
+  } else if (minute) {
+    end = local + 60 * 1000;
+  } else if (day) {
+    end = Date.UTC(y, m - 1, d + 1);
+  } else if (month) {
+    end = Date.UTC(y, m, 1);
+  } else {
+    end = Date.UTC(y + 1, 0, 1);
+  }
+
+  let offset = 0;
+
+  if (zone && zone !== 'Z') {
+    const [hours, minutes] = zone.slice(1).split(':').map(Number);
+    offset = (zone.startsWith('-') ? -1 : 1) * (hours * 60 + minutes) * 60 * 1000;
+  }
+
+  return {
+    prefix: prefix || 'eq',
+    start: toTimestamp(local - offset),
+    end: toTimestamp(end - offset),
+  };
+}
+
+/**
+ * _since is a point in time, so unlike a date search it takes no prefix
+ */
+function parseSince(value) {
+  if (/^[a-z]{2}/.test(value)) {
+    throw invalid('_since', `'${value}' is not an instant`);
+  }
+
+  return parseDate('_since', value).start;
+}
+
+function toTimestamp(time) {
+  return new Date(time).toISOString().slice(0, 23);
+}
+
+/**
+ * Accept a bare id, Type/id or an absolute URL ending in Type/id
+ */
+function parseReference(key, target, value) {
+  const segments = value.split('/');
+  const id = segments.pop();
+  const type = segments.pop();
+
+  if (type && type !== target) {
+    throw invalid(key, `must reference a ${target}`);
+  }
+
+  if (!UUID_PATTERN.test(id)) {
+    throw invalid(key, `'${value}' is not a ${target} id`);
+  }
+
+  return id;
+}
+
+function parseSort(resourceType, value) {
+  return value.split(',').map((item) => {
+    const descending = item.startsWith('-');
+    const name = descending ? item.slice(1) : item;
+    const param = getSearchParam(resourceType, name);
+
+    if (!param || !SORTABLE_TYPES.includes(param.type)) {
+      throw invalid('_sort', `Cannot sort ${resourceType} by '${name}'`);
+    }
+
+    return { name, descending };
+  });
+}
+
+/**
+ * Parse _include=Source:param[:Target]; only the searched type's own
+ * reference parameters can be included
+ */
+function parseInclude(resourceType, value) {
+  const [source, name, target] = value.split(':');
+  const param = source === resourceType ? getSearchParam(resourceType, name) : null;
+
+  if (!param || param.type !== 'reference' || (target && target !== param.target)) {
+    throw invalid('_include', `Cannot include '${value}' when searching ${resourceType}`);
+  }
+
+  return {
+    name,
+    target: param.target,
+    // Column name on the matched rows (a.patient_id → patient_id)
+    key: SEARCH_TABLES[resourceType].columns[name].column.split('.').pop(),
+  };
+}
+
+/**
+ * SQL condition for one parsed parameter occurrence
+ */
+function buildFilter(table, filter, { tenantId }, bind) {
+  const storage = table.columns[filter.name];
+
+  if (!filter.chain) {
+    return buildCondition(storage, filter, filter.values, bind);
+  }
+
+  const { chain } = filter;
+  const target = SEARCH_TABLES[chain.resourceType];
+  const conditions = getBaseConditions(target, { tenantId }, bind);
+  conditions.push(
+    buildCondition(target.columns[chain.name], { ...chain, key: filter.key }, filter.values, bind)
+  );
+
+  const subquery = `SELECT ${target.id} FROM ${target.from} WHERE ${conditions.join(' AND ')}`;
+
+  return `${storage.column} IN (${subquery})`;
+}
+
+function buildCondition(storage, { key, param, modifier }, values, bind) {
+  const columns = [].concat(storage.column);
+
+  if (values.missing !== undefined) {
+    return values.missing
+      ? `(${columns.map((column) => `${column} IS NULL`).join(' AND ')})`
+      : `(${columns.map((column) => `${column} IS NOT NULL`).join(' OR ')})`;
+  }
+
+  const alternatives = values.map((value) => {
+    switch (param.type) {
+      case 'string':
+        return columns
+          .map((column) => buildStringCondition(column, modifier, value, bind))
+          .join(' OR ');
+      case 'token':
+        return buildTokenCondition(key, storage, value, bind);
+      case 'date':
+        return buildDateCondition(storage.column, value, bind);
+      default:
+        return `${storage.column} = ${bind(value)}`;
+    }
+  });
+
+  const condition = `(${alternatives.join(' OR ')})`;
+
+  // :not also matches rows where the column is empty
+  return modifier === 'not' ? `NOT COALESCE(${condition}, FALSE)` : condition;
+}
+
+function buildStringCondition(column, modifier, value, bind) {
+  if (modifier === 'exact') {
+    return `${column} = ${bind(value)}`;
+  }
+
+  const pattern = value.replace(/[\\%_]/g, '\\$&');
+
+  return modifier === 'contains'
+    ? `${column} ILIKE ${bind(`%${pattern}%`)}`
+    : `${column} ILIKE ${bind(`${pattern}%`)}`;
+}
+
+function buildTokenCondition(key, storage, { system, code }, bind) {
+  // An explicit system must be the one this column holds; |code means "no system"
+  if (system !== undefined && system !== (storage.system || '')) {
+    return 'FALSE';
+  }
+
+  if (code === '') {
+    return `${storage.column} IS NOT NULL`;
+  }
+
+  let value = code;
+
+  if (storage.codes) {
+    if (!Object.hasOwn(storage.codes, code)) {
+      throw invalid(key, `Unknown code '${code}'`);
+    }
+
+    value = storage.codes[code];
+  }
+
+  // A code that stands for several stored values (booked) matches any of them
+  if (Array.isArray(value)) {
+    return `${storage.column} = ANY(${bind(value)})`;
+  }
+
+  if (storage.format === 'uuid' && !UUID_PATTERN.test(value)) {
+    throw invalid(key, `'${code}' is not a valid id`);
+  }
+
+  return `${storage.column} = ${bind(value)}`;
+}
+
+/**
+ * code → stored values for a stored value → code map; several values can
+ * share a code
+ */
+function invertCodes(map) {
+  return Object.entries(map).reduce((codes, [value, code]) => {
+    codes[code] = codes[code] ? [].concat(codes[code], value) : value;
+    return codes;
+  }, {});
+}
+
+function buildDateCondition(column, { prefix, start, end }, bind) {
+  switch (prefix) {
+    case 'ne':
+      return `(${column} < ${bind(start)} OR ${column} >= ${bind(end)})`;
+    case 'gt':
+    case 'sa':
+      return `${column} >= ${bind(end)}`;
+    case 'lt':
+    case 'eb':
+      return `${column} < ${bind(start)}`;
+    case 'ge':
+      return `${column} >= ${bind(start)}`;
+    case 'le':
+      return `${column} < ${bind(end)}`;
+    default:
+      return `(${column} >= ${bind(start)} AND ${column} < ${bind(end)})`;
+  }
+}
+
+/**
+ * Split on a separator that is not escaped with a backslash
+ */
+function splitEscaped(value, separator) {
+  const parts = [''];
+
+  for (let i = 0; i < value.length; i++) {
+    if (value[i] === '\\' && i + 1 < value.length) {
+      parts[parts.length - 1] += value[i] + value[i + 1];
+      i++;
+    } else if (value[i] === separator) {
+      parts.push('');
+    } else {
+      parts[parts.length - 1] += value[i];
+    }
+  }
+
+  return parts;
+}
+
+function unescape(value) {
+  return value.replace(/\\([\\,|$])/g, '$1');
+}
+
+function invalid(field, message) {
+  return new ValidationError(`Invalid search parameter ${field}: ${message}`, {
+    errors: [{ field, message }],
+  });
+}
+
+module.exports = {
+  parseSearchQuery,
+  buildSearchQuery,
+  buildIncludeQuery,
+  parseExportQuery,
+  buildExportQuery,
+};
@@ -0,0 +1,439 @@
+const { ValidationError } = require('./errors');
+const {
+  VALUE_SETS,
+  DATATYPES,
+  RESOURCES,
+  INVARIANTS,
+  PROFILES,
+  getUsCoreProfile,
+} = require('./fhirProfiles');
+
+/**
+ * FHIR resource validation
+ *
+ * Checks a resource against the R4 definitions in utils/fhirProfiles.js:
+ * unknown elements, cardinality, primitive formats, required bindings and
+ * invariants, plus a US Core profile when the caller asks for US Core or the
+ * resource claims the profile in meta.profile. As with most FHIR parsers,
+ * null and empty strings, arrays and objects count as absent.
+ *
+ * Issues have the shape of ValidationError's field errors: the FHIRPath of
+ * the element relative to the resource in `field`, and the OperationOutcome
+ * issue type in `code`.
+ */
+
+const MONTH = '(0[1-9]|1[0-2])';
+const DAY = '(0[1-9]|[12]\\d|3[01])';
+const TIME = '([01]\\d|2[0-3]):[0-5]\\d:([0-5]\\d|60)(\\.\\d+)?';
+const ZONE = '(Z|[+-]((0\\d|1[0-3]):[0-5]\\d|14:00))';
+const MAX_INT = 2147483647;
+
+const PRIMITIVES = {
+  boolean: (value) => typeof value === 'boolean',
+  integer: (value) => Number.isInteger(value) && Math.abs(value) <= MAX_INT,
+  unsignedInt: (value) => Number.isInteger(value) && value >= 0 && value <= MAX_INT,
+  positiveInt: (value) => Number.isInteger(value) && value >= 1 && value <= MAX_INT,
+  decimal: (value) => typeof value === 'number' && Number.isFinite(value),
+  string: isString,
+  markdown: isString,
+  xhtml: isString,
+  id: matches(/^[A-Za-z0-9\-.]{1,64}$/),
+  code: matches(/^\S+( \S+)*$/),
+  uri: matches(/^\S+$/),
+  url: matches(/^\S+$/),
+  canonical: matches(/^\S+$/),
+  oid: matches(/^urn:oid:[0-2](\.(0|[1-9]\d*))+$/),
+  uuid: matches(/^urn:uuid:[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/),
+  base64Binary: matches(/^(\s*[0-9a-zA-Z+/=]{4}\s*)+$/),
+  date: matches(new RegExp(`^\\d{4}(-${MONTH}(-${DAY})?)?$`)),
+  dateTime: matches(new RegExp(`^\\d{4}(-${MONTH}(-${DAY}(T${TIME}${ZONE})?)?)?$`)),
+  instant: matches(new RegExp(`^\\d{4}-${MONTH}-${DAY}T${TIME}${ZONE}$`)),
+  time: matches(new RegExp(`^${TIME}$`)),
+};
+
+// Elements every datatype, backbone element and resource has
+const ELEMENT = { id: '0..1 string', extension: '0..* Extension' };
+const BACKBONE_ELEMENT = { ...ELEMENT, modifierExtension: '0..* Extension' };
+const DOMAIN_RESOURCE = {
+  resourceType: '1..1 code',
+  id: '0..1 id',
+  meta: '0..1 Meta',
+  implicitRules: '0..1 uri',
+  language: '0..1 code',
+  text: '0..1 Narrative',
+  contained: '0..* Resource',
+  extension: '0..* Extension',
+  modifierExtension: '0..* Extension',
+};
+
+// Type or backbone path → parsed elements
+const DEFINITIONS = new Map();
+
+DEFINITIONS.set('Element', parseElements(ELEMENT, 'Element'));
+Object.entries(DATATYPES).forEach(([type, elements]) => {
+  DEFINITIONS.set(type, parseElements({ ...ELEMENT, ...elements }, type));
+});
+Object.entries(RESOURCES).forEach(([type, elements]) => {
+  DEFINITIONS.set(type, parseElements({ ...DOMAIN_RESOURCE, ...elements }, type));
+});
+
+/**
+ * Validate a resource
+ * @param {Object} resource - Parsed JSON
+ * @param {Object} options
+ * @param {Boolean} options.usCore - Also hold it to the US Core profile of
+ *   its type
+ * @returns {Array<Object>} Issues ({ field, message, code }); empty when the
+ *   resource is valid
+ */
+function validateResource(resource, { usCore = false } = {}) {
+  const issues = [];
+
+  if (!isObject(resource) || !RESOURCES[resource.resourceType]) {
+    issues.push(issue('resourceType', 'is not a supported resource type', 'not-supported'));
+    return issues;
+  }
+
+  validateComplex(resource, resource.resourceType, '', issues);
+  getProfiles(resource, { usCore }).forEach((url) => checkProfile(resource, url, issues));
+
+  return issues;
+}
+
+/**
+ * Throw a ValidationError listing every issue when a resource is invalid
+ */
+function assertValidResource(resource, options) {
+  const issues = validateResource(resource, options);
+
+  if (issues.length > 0) {
+    throw new ValidationError(`${resource.resourceType} is not a valid FHIR R4 resource`, {
+      errors: issues,
+    });
+  }
+}
+
+/**
+ * US Core profiles a resource is checked against: its type's profile when
+ * US Core is on, and any profile we know of that it claims
+ */
+function getProfiles(resource, { usCore = false } = {}) {
+  const claimed = (resource.meta?.profile || [])
+    .map((url) => String(url).split('|')[0])
+    .filter((url) => PROFILES[url]?.type === resource.resourceType);
+
+  const required = usCore ? getUsCoreProfile(resource.resourceType) : undefined;
+
+  return [...new Set([required, ...claimed].filter(Boolean))];
+}
+
+function validateComplex(value, type, path, issues) {
+  if (!isObject(value)) {
+    issues.push(issue(path, 'must be an object', 'structure'));
+    return;
+  }
+
+  const elements = DEFINITIONS.get(type);
+
+  // Datatypes we have no definition for are taken as they are
+  if (!elements) {
+    return;
+  }
+
+  const present = new Map();
+
+  Object.entries(value).forEach(([key, item]) => {
+    if (isAbsent(item)) {
+      return;
+    }
+
+    const extensionOnly = key.startsWith('_');
+    const match = findElement(elements, extensionOnly ? key.slice(1) : key);
+    const itemPath = join(path, key);
+
+    if (!match || (extensionOnly && !PRIMITIVES[match.type])) {
+      issues.push(issue(itemPath, 'is not a known element', 'structure'));
+      return;
+    }
+
+    const keys = present.get(match.element) || new Set();
+    keys.add(extensionOnly ? key.slice(1) : key);
+    present.set(match.element, keys);
+
+    // _name carries the id and extensions of a primitive value
+    validateValue(item, match.element, extensionOnly ? 'Element' : match.type, itemPath, issues);
+  });
+
+  elements.forEach((element) => {
+    const keys = [...(present.get(element) || [])];
+    const elementPath = join(path, element.choice ? `${element.name}[x]` : element.name);
+
+    if (keys.length > 1) {
+      issues.push(issue(elementPath, `only one of ${keys.join(', ')} is allowed`, 'structure'));
+    }
+
+    const count = keys.reduce((sum, key) => sum + countValues(value[key] ?? value[`_${key}`]), 0);
+
+    if (count < element.min) {
+      issues.push(issue(elementPath, 'is required', 'required'));
+    }
+  });
+
+  checkInvariants(INVARIANTS[type], value, path, issues);
+}
+
+function validateValue(value, element, type, path, issues) {
+  if (element.max === 0) {
+    issues.push(issue(path, 'is not allowed', 'structure'));
+    return;
+  }
+
+  if (element.max === 1 && Array.isArray(value)) {
+    issues.push(issue(path, 'must be a single value, not an array', 'structure'));
+    return;
+  }
+
+  if (element.max > 1 && !Array.isArray(value)) {
+    issues.push(issue(path, 'must be an array', 'structure'));
+    return;
+  }
+
+  if (!Array.isArray(value)) {
+    validateType(value, type, element.valueSet, path, issues);
+    return;
+  }
+
+  if (value.length > element.max) {
+    issues.push(issue(path, `must have at most ${element.max} values`, 'structure'));
+  }
+
+  value.forEach((item, index) => {
+    if (!isAbsent(item)) {
+      validateType(item, type, element.valueSet, `${path}[${index}]`, issues);
+    }
+  });
+}
+
+function validateType(value, type, valueSet, path, issues) {
+  if (type === 'Resource') {
+    validateContained(value, path, issues);
+    return;
+  }
+
+  if (!PRIMITIVES[type]) {
+    validateComplex(value, type, path, issues);
+    return;
+  }
+
+  if (!PRIMITIVES[type](value)) {
+    issues.push(issue(path, `must be a valid ${type}`, 'value'));
+    return;
+  }
+
+  if (valueSet && !VALUE_SETS[valueSet].includes(value)) {
+    issues.push(
+      issue(path, `must be one of ${VALUE_SETS[valueSet].join(', ')} (${valueSet})`, 'code-invalid')
+    );
+  }
+}
+
+/**
+ * Contained resources of the types we know are validated like any other;
+ * others only need a resourceType
+ */
+function validateContained(resource, path, issues) {
+  if (!isObject(resource) || !isString(resource.resourceType)) {
+    issues.push(issue(join(path, 'resourceType'), 'is required', 'required'));
+    return;
+  }
+
+  if (!isAbsent(resource.contained)) {
+    issues.push(
+      issue(
+        join(path, 'contained'),
+        'dom-2: a contained resource cannot contain resources',
+        'invariant'
+      )
+    );
+  }
+
+  if (resource.meta?.versionId || resource.meta?.lastUpdated) {
+    issues.push(
+      issue(
+        join(path, 'meta'),
+        'dom-4: a contained resource cannot have a versionId or lastUpdated',
+        'invariant'
+      )
+    );
+  }
+
+  if (RESOURCES[resource.resourceType]) {
+    validateComplex(resource, resource.resourceType, path, issues);
+  }
+}
+
+function checkProfile(resource, url, issues) {
+  const { cardinality = {}, invariants = {} } = PROFILES[url];
+  const profile = url.split('/').pop();
+
+  Object.entries(cardinality).forEach(([elementPath, card]) => {
+    const { min, max } = parseCardinality(card);
+    const names = elementPath.split('.');
+    const name = names.pop();
+
+    select(resource, names).forEach(({ value, path }) => {
+      const count = countValues(value[name]);
+
+      if (count < min) {
+        issues.push(issue(join(path, name), `is required by ${profile}`, 'required'));
+      } else if (count > max) {
+        issues.push(
+          issue(join(path, name), `must have at most ${max} values in ${profile}`, 'structure')
+        );
+      }
+    });
+  });
+
+  Object.entries(invariants).forEach(([elementPath, list]) => {
+    select(resource, elementPath.split('.')).forEach(({ value, path }) =>
+      checkInvariants(list, value, path, issues)
+    );
+  });
+}
+
+function checkInvariants(invariants = [], value, path, issues) {
+  invariants
+    .filter((invariant) => !invariant.test(value))
+    .forEach((invariant) => {
+      issues.push(issue(path, `${invariant.key}: ${invariant.human}`, 'invariant'));
+    });
+}
+
+/**
+ * The values at a path of element names, each with its FHIRPath
+ */
+function select(resource, names) {
+  return names.reduce(
+    (nodes, name) =>
+      nodes.flatMap(({ value, path }) => {
+        const child = value[name];
+
+        if (isAbsent(child)) {
+          return [];
+        }
+
+        const items = Array.isArray(child)
+          ? child.map((item, index) => ({ value: item, path: `${join(path, name)}[${index}]` }))
+          : [{ value: child, path: join(path, name) }];
+
+        return items.filter((item) => isObject(item.value));
+      }),
+    [{ value: resource, path: '' }]
+  );
+}
+
+/**
+ * The element a JSON property belongs to, and its type; a choice element
+ * (value[x]) matches valueString, valueCodeableConcept and so on
+ */
+function findElement(elements, key) {
+  for (const element of elements) {
+    if (!element.choice && element.name === key) {
+      return { element, type: element.types[0] };
+    }
+
+    if (element.choice && key.startsWith(element.name)) {
+      const suffix = key.slice(element.name.length);
+      const type = element.types.find((item) => getTypeSuffix(item) === suffix);
+
+      if (type) {
+        return { element, type };
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Parse the 'min..max Type:value-set' notation of utils/fhirProfiles.js
+ * Backbone elements are registered under their path, which is their type.
+ */
+function parseElements(elements, path) {
+  return Object.entries(elements).map(([key, spec]) => {
+    const choice = key.endsWith('[x]');
+    const name = choice ? key.slice(0, -3) : key;
+
+    if (Array.isArray(spec)) {
+      const [card, children] = spec;
+      const type = `${path}.${name}`;
+      DEFINITIONS.set(type, parseElements({ ...BACKBONE_ELEMENT, ...children }, type));
+      return { name, choice, ...parseCardinality(card), types: [type] };
+    }
+
+    const [card, typeSpec] = spec.split(' ');
+    const [types, valueSet] = typeSpec.split(':');
+
+    return { name, choice, ...parseCardinality(card), types: types.split('|'), valueSet };
+  });
+}
+
+function parseCardinality(card) {
+  const [min, max] = card.split('..');
+  return { min: Number(min), max: max === '*' ? Infinity : Number(max) };
+}
+
+function countValues(value) {
+  if (isAbsent(value)) {
+    return 0;
+  }
+
+  return Array.isArray(value) ? value.filter((item) => !isAbsent(item)).length : 1;
+}
+
+function issue(field, message, code) {
+  return { field, message, code };
+}
+
+function join(path, name) {
+  return path ? `${path}.${name}` : name;
+}
+
+function matches(pattern) {
+  return (value) => isString(value) && pattern.test(value);
+}
+
+function isString(value) {
+  return typeof value === 'string';
+}
+
+function isObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isAbsent(value) {
+  if (value === null || value === undefined || value === '') {
+    return true;
+  }
+
+  if (Array.isArray(value)) {
+    return value.every(isAbsent);
+  }
+
+  return isObject(value) && Object.values(value).every(isAbsent);
+}
+
+/**
+ * Name of a type in a choice element's JSON property; profiled types such as
+ * SimpleQuantity go by their base type (doseQuantity)
+ */
+function getTypeSuffix(type) {
+  const name = type === 'SimpleQuantity' ? 'Quantity' : type;
+  return name.charAt(0).toUpperCase() + name.slice(1);
+}
+
+module.exports = {
+  validateResource,
+  assertValidResource,
+  getProfiles,
+};
@@ -0,0 +1,518 @@
+const { v4: uuidv4 } = require('uuid');
+const { ValidationError } = require('./errors');
+
+/**
+ * HL7 v2 messages in ER7, the pipe-delimited encoding
+ *
+ * A parsed message is { delimiters, segments }. Each segment is
+ * { name, fields } with fields numbered as in the standard (fields[3] is
+ * PID-3); a field is a list of repetitions, a repetition a list of
+ * components and a component a list of subcomponents, all unescaped. MSH-1
+ * and MSH-2 hold the delimiters themselves and are kept as read.
+ *
+ * Components and subcomponents are numbered from 1 in the accessors, as in
+ * `PID-5.2`. Empty values, and the HL7 null `""`, read as undefined.
+ */
+
+const SEGMENT_SEPARATOR = '\r';
+
+const DEFAULT_DELIMITERS = {
+  field: '|',
+  component: '^',
+  repetition: '~',
+  escape: '\\',
+  subcomponent: '&',
+};
+
+const HL7_CONTENT_TYPE = 'x-application/hl7-v2+er7';
+
+// MSA-1 acknowledgment codes (HL7 table 0008, original mode)
+const ACK_CODES = {
+  ACCEPT: 'AA',
+  ERROR: 'AE',
+  REJECT: 'AR',
+};
+
+// ERR-3 error conditions (HL7 table 0357)
+const ERROR_CONDITIONS = {
+  SEGMENT_SEQUENCE: { code: '100', text: 'Segment sequence error' },
+  REQUIRED_FIELD_MISSING: { code: '101', text: 'Required field missing' },
+  DATA_TYPE: { code: '102', text: 'Data type error' },
+  TABLE_VALUE_NOT_FOUND: { code: '103', text: 'Table value not found' },
+  UNSUPPORTED_MESSAGE_TYPE: { code: '200', text: 'Unsupported message type' },
+  UNSUPPORTED_EVENT_CODE: { code: '201', text: 'Unsupported event code' },
+  UNKNOWN_KEY: { code: '204', text: 'Unknown key identifier' },
+  DUPLICATE_KEY: { code: '205', text: 'Duplicate key identifier' },
+  INTERNAL_ERROR: { code: '207', text: 'Application internal error' },
+};
+
+const DATE_TIME_PATTERN =
+  /^(\d{4})(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\d{2})?(?:\.(\d{1,4}))?([+-]\d{4})?$/;
+
+// MLLP framing: <VT> message <FS><CR>
+const MLLP_START = '\x0b';
+const MLLP_END = '\x1c\r';
+
+/**
+ * Parse an ER7 message
+ * Segments may be separated by CR, LF or CRLF, since messages posted over
+ * HTTP often arrive with the line endings of whoever wrote them.
+ * @throws {ValidationError} When the message does not start with MSH
+ */
+function parseMessage(text) {
+  const lines = String(text || '')
+    .replace(/^\uFEFF/, '')
+    .split(/\r\n|\r|\n/)
+    .map((line) => line.trimEnd())
+    .filter((line) => line !== '');
+
+  if (lines.length === 0 || !lines[0].startsWith('MSH') || lines[0].length < 8) {
+    throw new ValidationError('Message must start with an MSH segment', {
+      errors: [
+        {
+          field: 'MSH',
+          message: 'MSH segment is missing',
+          condition: ERROR_CONDITIONS.SEGMENT_SEQUENCE,
+        },
+      ],
+    });
+  }
+
+  const header = lines[0];
+  const delimiters = {
+    field: header[3],
+    component: header[4],
+    repetition: header[5],
+    escape: header[6],
+    subcomponent: header[7] === header[3] ? DEFAULT_DELIMITERS.subcomponent : header[7],
+  };
+
+  return {
+    delimiters,
+    segments: lines.map((line) => parseSegment(line, delimiters)),
+  };
+}
+
+function parseSegment(line, delimiters) {
+  const values = line.split(delimiters.field);
+  const name = values[0];
+
+  if (name === 'MSH') {
+    // MSH-1 is the field separator itself, so MSH-n is values[n - 1]
+    const [, encodingCharacters, ...rest] = values;
+
+    return {
+      name,
+      fields: [
+        [[[name]]],
+        [[[delimiters.field]]],
+        [[[encodingCharacters]]],
+        ...rest.map((value) => parseField(value, delimiters)),
+      ],
+    };
+  }
+
+  return {
+    name,
+    fields: [[[[name]]], ...values.slice(1).map((value) => parseField(value, delimiters))],
+  };
+}
+
+function parseField(value, delimiters) {
+  return value.split(delimiters.repetition).map((repetition) =>
+    repetition.split(delimiters.component).map((component) =>
+      component.split(delimiters.subcomponent).map((value) => unescape(value, delimiters))
+    )
+  );
+}
+
+function getSegments(message, name) {
+  return message.segments.filter((segment) => segment.name === name);
+}
+
+function getSegment(message, name) {
+  return message.segments.find((segment) => segment.name === name);
+}
+
+/**
+ * Repetitions of a field, each a list of components
+ */
+function getRepetitions(segment, field) {
+  const repetitions = segment?.fields[field] || [];
+  return repetitions.filter((repetition) => repetition.some((component) => hasValue(component)));
+}
+
+/**
+ * One component (and subcomponent) of a repetition
+ */
+function getComponent(repetition, component = 1, subcomponent = 1) {
+  const value = repetition?.[component - 1]?.[subcomponent - 1];
+  return value === undefined || value === '' || value === '""' ? undefined : value;
+}
+
+/**
+ * A value from the first repetition of a field: getValue(pid, 5, 2) is PID-5.2
+ */
+function getValue(segment, field, component = 1, subcomponent = 1) {
+  return getComponent(getRepetitions(segment, field)[0], component, subcomponent);
+}
+
+function hasValue(component) {
+  return component.some((value) => value !== '' && value !== '""');
+}
+
+/**
+ * The parts of MSH used to route, deduplicate and acknowledge a message
+ */
+function getHeader(message) {
+  const msh = getSegment(message, 'MSH');
+
+  return {
+    sendingApplication: getValue(msh, 3),
+    sendingFacility: getValue(msh, 4),
+    receivingApplication: getValue(msh, 5),
+    receivingFacility: getValue(msh, 6),
+    messageType: getValue(msh, 9, 1),
+    triggerEvent: getValue(msh, 9, 2),
+    controlId: getValue(msh, 10),
+    processingId: getValue(msh, 11),
+    version: getValue(msh, 12),
+  };
+}
+
+/**
+ * Serialize segments to ER7 with the default delimiters
+ * A segment is [name, field1, field2, ...]; for MSH the list starts at MSH-3,
+ * since MSH-1 and MSH-2 are written from the delimiters. A field is a string
+ * or a list of components, a component a string or a list of subcomponents.
+ * Missing values are written empty and trailing empty fields are dropped.
+ */
+function serializeMessage(segments) {
+  return segments.map(serializeSegment).join(SEGMENT_SEPARATOR) + SEGMENT_SEPARATOR;
+}
+
+function serializeSegment([name, ...fields]) {
+  const d = DEFAULT_DELIMITERS;
+  const values = fields.map((field) => serializeField(field));
+
+  while (values.length > 0 && values[values.length - 1] === '') {
+    values.pop();
+  }
+
+  if (name === 'MSH') {
+    const encodingCharacters = `${d.component}${d.repetition}${d.escape}${d.subcomponent}`;
+    return [name, encodingCharacters, ...values].join(d.field);
+  }
+
+  return [name, ...values].join(d.field);
+}
+
+function serializeField(field) {
+  const d = DEFAULT_DELIMITERS;
+
+  if (!Array.isArray(field)) {
+    return escape(field, d);
+  }
+
+  return trimTrailing(
+    field.map((component) =>
+      Array.isArray(component)
+        ? trimTrailing(component.map((value) => escape(value, d)), d.subcomponent)
+        : escape(component, d)
+    ),
+    d.component
+  );
+}
+
+function trimTrailing(values, separator) {
+  const trimmed = [...values];
+
+  while (trimmed.length > 0 && trimmed[trimmed.length - 1] === '') {
+    trimmed.pop();
+  }
+
+  return trimmed.join(separator);
+}
+
+/**
+ * Escape a value for ER7 (HL7 v2 section 2.7)
+ */
+function escape(value, delimiters = DEFAULT_DELIMITERS) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+
+  const e = delimiters.escape;
+  const replacements = {
+    [delimiters.escape]: `${e}E${e}`,
+    [delimiters.field]: `${e}F${e}`,
+    [delimiters.component]: `${e}S${e}`,
+    [delimiters.subcomponent]: `${e}T${e}`,
+    [delimiters.repetition]: `${e}R${e}`,
+    '\n': `${e}.br${e}`,
+    '\r': `${e}X0D${e}`,
+  };
+
+  return [...String(value)].map((char) => replacements[char] ?? char).join('');
+}
+
+/**
+ * Unescape an ER7 value; escape sequences this reader does not know
+ * (formatting, character sets) are kept as they are
+ */
+function unescape(value, delimiters = DEFAULT_DELIMITERS) {
+  const e = delimiters.escape;
+
+  if (!e || !value.includes(e)) {
+    return value;
+  }
+
+  const pattern = new RegExp(`${escapeRegExp(e)}([^${escapeRegExp(e)}]*)${escapeRegExp(e)}`, 'g');
+
+  return value.replace(pattern, (sequence, code) => {
+    switch (code) {
+      case 'F':
+        return delimiters.field;
+      case 'S':
+        return delimiters.component;
+      case 'T':
+        return delimiters.subcomponent;
+      case 'R':
+        return delimiters.repetition;
+      case 'E':
+        return e;
+      case '.br':
+        return '\n';
+      default:
+        return /^X([0-9A-Fa-f]{2})+$/.test(code)
+          ? Buffer.from(code.slice(1), 'hex').toString('latin1')
+          : sequence;
+    }
+  });
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\-]/g, '\\$&');
+}
+
+/**
+ * Parse an HL7 date/time (DTM: YYYY[MM[DD[HH[MM[SS[.S...]]]]]][+/-ZZZZ])
+ * @returns {Object|null} { year, month, day, hour, minute, second,
+ *   millisecond, offsetMinutes } with offsetMinutes null when the value has
+ *   no offset, or null when the value is not a date/time
+ */
+function parseDateTime(value) {
+  const match = DATE_TIME_PATTERN.exec(value || '');
+
+  if (!match) {
+    return null;
+  }
+
+  const [, year, month, day, hour, minute, second, fraction, offset] = match;
+  const parts = {
+    year: Number(year),
+    month: Number(month || 1),
+    day: Number(day || 1),
+    hour: Number(hour || 0),
+    minute: Number(minute || 0),
+    second: Number(second || 0),
+    millisecond: fraction ? Math.round(Number(`0.${fraction}`) * 1000) : 0,
+    offsetMinutes: offset
+      ? (offset[0] === '-' ? -1 : 1) *
+        (Number(offset.slice(1, 3)) * 60 + Number(offset.slice(3, 5)))
+      : null,
+  };
+
+  // Rejects dates such as 20260231 that Date.UTC would roll over
+  const check = new Date(Date.UTC(parts.year, parts.month - 1, parts.day));
+
+  if (
+    check.getUTCMonth() !== parts.month - 1 ||
+    check.getUTCDate() !== parts.day ||
+    parts.hour > 23 ||
+    parts.minute > 59 ||
+    parts.second > 59
+  ) {
+    return null;
+  }
+
+  return parts;
+}
+
+/**
+ * An HL7 date as YYYY-MM-DD, or null
+ */
+function parseDate(value) {
+  const parts = parseDateTime(value);
+
+  if (!parts) {
+    return null;
+  }
+
+  const pad = (number) => String(number).padStart(2, '0');
+  return `${parts.year}-${pad(parts.month)}-${pad(parts.day)}`;
+}
+
+/**
+ * Format a DATE column as an HL7 date (YYYYMMDD); pg returns those as local
+ * midnight
+ */
+function formatDate(value) {
+  if (!value) {
+    return '';
+  }
+
+  if (!(value instanceof Date)) {
+    return String(value).slice(0, 10).replace(/-/g, '');
+  }
+
+  const pad = (number) => String(number).padStart(2, '0');
+  return `${value.getFullYear()}${pad(value.getMonth() + 1)}${pad(value.getDate())}`;
+}
+
+/**
+ * Format a Date as an HL7 date/time in UTC (YYYYMMDDHHMMSS+0000)
+ */
+function formatDateTime(date = new Date()) {
+  return `${date.toISOString().replace(/[-:T]/g, '').slice(0, 14)}+0000`;
+}
+
+/**
+ * A new message control id (MSH-10), unique and within the 20 characters
+ * receivers are required to accept
+ */
+function createControlId() {
+  return uuidv4().replace(/-/g, '').slice(0, 20);
+}
+
+/**
+ * Build the ACK for a message
+ * @param {Object|null} header - getHeader() of the message, or null when it
+ *   could not be parsed
+ * @param {String} code - MSA-1, one of ACK_CODES
+ * @param {Object} options
+ * @param {String} options.text - MSA-3 text message
+ * @param {Array<Object>} options.errors - { field, condition, message } for
+ *   ERR segments: field is an HL7 location such as 'PID-3', condition one of
+ *   ERROR_CONDITIONS
+ */
+function buildAck(header, code, { text, errors = [] } = {}) {
+  const original = header || {};
+
+  const segments = [
+    [
+      'MSH',
+      original.receivingApplication,
+      original.receivingFacility,
+      original.sendingApplication,
+      original.sendingFacility,
+      formatDateTime(),
+      '',
+      ['ACK', original.triggerEvent, 'ACK'],
+      createControlId(),
+      original.processingId || 'P',
+      original.version || '2.5.1',
+    ],
+    ['MSA', code, original.controlId, text],
+    ...errors.map((error) => [
+      'ERR',
+      '',
+      toErrorLocation(error.field),
+      [error.condition.code, error.condition.text, 'HL70357'],
+      'E',
+      '',
+      '',
+      '',
+      error.message,
+    ]),
+  ];
+
+  return serializeMessage(segments);
+}
+
+/**
+ * ERR-2 (ERL) from a location such as 'PID-3' or 'PID-5.1'
+ */
+function toErrorLocation(location) {
+  const match = /^([A-Z][A-Z0-9]{2})(?:-(\d+)(?:\.(\d+))?)?$/.exec(location || '');
+
+  if (!match) {
+    return '';
+  }
+
+  const [, segment, field, component] = match;
+  return [segment, '1', field, field && '1', component].map((value) => value || '');
+}
+
+/**
+ * The acknowledgment code of an ACK (MSA-1)
+ */
+function getAckCode(ack) {
+  try {
+    return getValue(getSegment(parseMessage(ack), 'MSA'), 1) || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * The segments of a message as lines, for reading it in the message log
+ */
+function splitSegments(text) {
+  return text ? text.split(/\r\n|\r|\n/).filter(Boolean) : [];
+}
+
+/**
+ * Wrap a message for MLLP
+ */
+function frameMllp(message) {
+  return `${MLLP_START}${message}${MLLP_END}`;
+}
+
+/**
+ * Split complete MLLP frames off a receive buffer
+ * @returns {Object} { messages, rest } where rest is an incomplete frame to
+ *   keep for the next read
+ */
+function readMllpFrames(buffer) {
+  const messages = [];
+  let rest = buffer;
+
+  for (;;) {
+    const start = rest.indexOf(MLLP_START);
+    const end = start === -1 ? -1 : rest.indexOf(MLLP_END, start + 1);
+
+    if (end === -1) {
+      return { messages, rest: start === -1 ? '' : rest.slice(start) };
+    }
+
+    messages.push(rest.slice(start + 1, end));
+    rest = rest.slice(end + MLLP_END.length);
+  }
+}
+
+module.exports = {
+  HL7_CONTENT_TYPE,
+  ACK_CODES,
+  ERROR_CONDITIONS,
+  parseMessage,
+  getSegments,
+  getSegment,
+  getRepetitions,
+  getComponent,
+  getValue,
+  getHeader,
+  serializeMessage,
+  escape,
+  unescape,
+  parseDateTime,
+  parseDate,
+  formatDate,
+  formatDateTime,
+  createControlId,
+  buildAck,
+  getAckCode,
+  splitSegments,
+  frameMllp,
+  readMllpFrames,
+};
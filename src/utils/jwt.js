@@ -0,0 +1,119 @@
+const crypto = require('crypto');
+const { UnauthorizedError } = require('./errors');
+
+/**
+ * JWT verification against a local JWKS
+ *
+ * Only asymmetric algorithms are accepted so a token can never be signed
+ * with a public key posing as an HMAC secret.
+ */
+
+const ALGORITHMS = {
+  RS256: { hash: 'sha256', kty: 'RSA' },
+  RS384: { hash: 'sha384', kty: 'RSA' },
+  RS512: { hash: 'sha512', kty: 'RSA' },
+  PS256: { hash: 'sha256', kty: 'RSA', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+  ES256: { hash: 'sha256', kty: 'EC', dsaEncoding: 'ieee-p1363' },
+  ES384: { hash: 'sha384', kty: 'EC', dsaEncoding: 'ieee-p1363' },
+};
+
+const keyCache = new Map();
+
+function decodeSegment(segment) {
+  try {
+    return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new UnauthorizedError('Malformed token');
+  }
+}
+
+function findKey(jwks, header) {
+  const jwk = (jwks.keys || []).find(
+    (key) => key.kid === header.kid && (!key.alg || key.alg === header.alg) && key.use !== 'enc'
+  );
+
+  if (!jwk) {
+    throw new UnauthorizedError('Unknown signing key');
+  }
+
+  if (!keyCache.has(jwk)) {
+    keyCache.set(jwk, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+  }
+
+  return { jwk, publicKey: keyCache.get(jwk) };
+}
+
+function checkAudience(claim, audience) {
+  const audiences = Array.isArray(claim) ? claim : [claim];
+  return audiences.includes(audience);
+}
+
+/**
+ * Verify a compact JWS and return its claims
+ * Throws UnauthorizedError when the signature or any registered claim is invalid
+ */
+function verifyJwt(token, { jwks, issuer, audience, clockToleranceSeconds = 0 }) {
+  const parts = token.split('.');
+
+  if (parts.length !== 3) {
+    throw new UnauthorizedError('Malformed token');
+  }
+
+  const [encodedHeader, encodedPayload, encodedSignature] = parts;
+  const header = decodeSegment(encodedHeader);
+  const algorithm = ALGORITHMS[header.alg];
+
+  if (!algorithm) {
+    throw new UnauthorizedError(`Unsupported token algorithm: ${header.alg}`);
+  }
+
+  const { jwk, publicKey } = findKey(jwks, header);
+
+  if (jwk.kty !== algorithm.kty) {
+    throw new UnauthorizedError('Signing key does not match token algorithm');
+  }
+
+  const isValid = crypto.verify(
+    algorithm.hash,
+    Buffer.from(`${encodedHeader}.${encodedPayload}`),
+    {
+      key: publicKey,
+      padding: algorithm.padding,
+      dsaEncoding: algorithm.dsaEncoding,
+    },
+    Buffer.from(encodedSignature, 'base64url')
+  );
+
+  if (!isValid) {
+    throw new UnauthorizedError('Invalid token signature');
+  }
+
+  const claims = decodeSegment(encodedPayload);
+  const now = Math.floor(Date.now() / 1000);
+
+  if (typeof claims.exp !== 'number' || claims.exp + clockToleranceSeconds < now) {
+    throw new UnauthorizedError('Token expired');
+  }
+
+  if (typeof claims.nbf === 'number' && claims.nbf - clockToleranceSeconds > now) {
+    throw new UnauthorizedError('Token not yet valid');
+  }
+
+  if (issuer && claims.iss !== issuer) {
+    throw new UnauthorizedError('Invalid token issuer');
+  }
+
+  if (audience && !checkAudience(claims.aud, audience)) {
+    throw new UnauthorizedError('Invalid token audience');
+  }
+
+  if (!claims.sub) {
+    throw new UnauthorizedError('Token has no subject');
+  }
+
+  return claims;
+}
+
+module.exports = {
+  verifyJwt,
+};
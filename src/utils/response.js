@@ -40,7 +40,42 @@ function error(errorCode, message, statusCode = 400, details = {}) {
   };
 }
 
+/**
+ * Non-JSON download such as an NDJSON or CSV export
+ */
+function download(body, { contentType, filename, headers = {} }) {
+  return {
+    statusCode: 200,
+    headers: {
+      'Content-Type': contentType,
+      'Content-Disposition': `attachment; filename="${filename}"`,
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Credentials': true,
+      ...headers,
+    },
+    body,
+  };
+}
+
+/**
+ * Non-JSON response shown inline, such as an HL7 v2 ACK
+ */
+function text(body, { contentType, statusCode = 200, headers = {} }) {
+  return {
+    statusCode,
+    headers: {
+      'Content-Type': contentType,
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Credentials': true,
+      ...headers,
+    },
+    body,
+  };
+}
+
 module.exports = {
   success,
   error,
+  download,
+  text,
 };
\ No newline at end of file
@@ -0,0 +1,207 @@
+const Joi = require('joi');
+const response = require('./response');
+const logger = require('./logger');
+const { getActor } = require('./authorization');
+const { MethodNotAllowedError, RouteNotFoundError } = require('./errors');
+
+/**
+ * Declarative routing for the HTTP Lambda functions
+ *
+ * Each handler declares its routes in src/routes/<name>.routes.js:
+ *
+ *   {
+ *     method: 'GET',
+ *     path: '/api/v1/patients/{patientId}',   // serverless.yml path template
+ *     params: { patientId: 'uuid' },          // typed path parameters
+ *     scope: SCOPES.PATIENTS_READ,            // required API scope, or (params) => scope
+ *     validate: { body, query },              // optional Joi schemas
+ *     checkQuota: 'patients_created',         // optional tenant quota type, or (params) => type
+ *     status: 200,                            // success status code
+ *     raw: false,                             // action returns its own response
+ *     textBody: false,                        // body passed as text, not parsed JSON
+ *     public: false,                          // no authorizer, tenant or scope checks
+ *     action: 'getById',                      // key into the handler's actions
+ *   }
+ *
+ * The same tables are checked against serverless.yml by
+ * src/routes/verify-routes.js, so a route cannot exist in one place only.
+ */
+
+const PARAM_TYPES = {
+  uuid: () => Joi.string().uuid(),
+  integer: () => Joi.number().integer(),
+  string: () => Joi.string(),
+};
+
+const PARAM_PATTERN = /\{([A-Za-z0-9_]+)\}/g;
+
+function getRouteKey(method, path) {
+  return `${method.toUpperCase()} ${path}`;
+}
+
+/**
+ * Compile one route definition: key, path regex and validation schemas
+ */
+function compileRoute(definition) {
+  const paramNames = [...definition.path.matchAll(PARAM_PATTERN)].map((match) => match[1]);
+  const paramTypes = definition.params || {};
+
+  for (const name of paramNames) {
+    const type = paramTypes[name] || 'string';
+
+    if (!PARAM_TYPES[type]) {
+      throw new Error(`Unknown type '${type}' for path parameter ${name} of ${definition.path}`);
+    }
+  }
+
+  for (const name of Object.keys(paramTypes)) {
+    if (!paramNames.includes(name)) {
+      throw new Error(`Typed parameter ${name} does not appear in ${definition.path}`);
+    }
+  }
+
+  const validate = { ...definition.validate };
+
+  if (paramNames.length > 0 && !validate.params) {
+    validate.params = Joi.object(
+      Object.fromEntries(
+        paramNames.map((name) => [name, PARAM_TYPES[paramTypes[name] || 'string']().required()])
+      )
+    );
+  }
+
+  const pattern = definition.path
+    .split('/')
+    .map((segment) =>
+      segment.startsWith('{') ? '([^/]+)' : segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    )
+    .join('/');
+
+  return {
+    ...definition,
+    method: definition.method.toUpperCase(),
+    key: getRouteKey(definition.method, definition.path),
+    status: definition.status || 200,
+    paramNames,
+    regex: new RegExp(`^${pattern}/?$`),
+    validate: Object.keys(validate).length > 0 ? validate : null,
+  };
+}
+
+/**
+ * Create a router for one Lambda function
+ * @param {Object} options
+ * @param {String} options.name - Handler name used in logs
+ * @param {Array} options.routes - Route definitions
+ * @param {Object} options.actions - Functions keyed by route action
+ */
+function createRouter({ name, routes, actions }) {
+  const compiled = routes.map(compileRoute);
+  const byKey = new Map();
+
+  for (const route of compiled) {
+    if (byKey.has(route.key)) {
+      throw new Error(`Duplicate route ${route.key} in ${name} routes`);
+    }
+
+    if (typeof actions[route.action] !== 'function') {
+      throw new Error(`Route ${route.key} has no '${route.action}' action in ${name} handler`);
+    }
+
+    byKey.set(route.key, route);
+  }
+
+  // Static segments win over parameters, so /appointments/availability
+  // is never captured as /appointments/{appointmentId}
+  const byPrecedence = [...compiled].sort((a, b) => a.paramNames.length - b.paramNames.length);
+
+  /**
+   * Resolve the route for an API Gateway event
+   * API Gateway reports the matched template in event.resource; direct
+   * invocations without it are matched against the concrete path.
+   */
+  function match(event) {
+    const method = (event.httpMethod || '').toUpperCase();
+
+    if (event.resource) {
+      const route = byKey.get(getRouteKey(method, event.resource));
+
+      if (route) {
+        return { route, pathParameters: event.pathParameters || {} };
+      }
+    }
+
+    const path = event.path || '';
+    let pathMatched = false;
+
+    for (const route of byPrecedence) {
+      const result = route.regex.exec(path);
+
+      if (!result) {
+        continue;
+      }
+
+      if (route.method !== method) {
+        pathMatched = true;
+        continue;
+      }
+
+      const pathParameters = Object.fromEntries(
+        route.paramNames.map((param, index) => [param, decodeURIComponent(result[index + 1])])
+      );
+
+      return { route, pathParameters };
+    }
+
+    if (pathMatched) {
+      throw new MethodNotAllowedError(method);
+    }
+
+    throw new RouteNotFoundError(method, path);
+  }
+
+  /**
+   * Run the matched route's action and wrap its result
+   * Expects the pipeline to have set event.route and event.validatedData.
+   */
+  async function dispatch(event) {
+    const { route } = event;
+    const requestId = event.correlationId;
+    const tenantId = event.requestContext?.authorizer?.tenantId;
+    const validated = event.validatedData || {};
+
+    logger.info(`${route.key} request to ${name} handler`, {
+      requestId,
+      tenantId,
+      path: event.path,
+    });
+
+    const result = await actions[route.action]({
+      tenantId,
+      actor: getActor(event, requestId),
+      params: validated.params || event.pathParameters || {},
+      query: validated.query || event.queryStringParameters || {},
+      body: validated.body !== undefined ? validated.body : event.body,
+      event,
+    });
+
+    if (route.raw) {
+      return result;
+    }
+
+    return response.success(result, route.status, { requestId });
+  }
+
+  return {
+    name,
+    routes: compiled,
+    match,
+    dispatch,
+  };
+}
+
+module.exports = {
+  createRouter,
+  compileRoute,
+  getRouteKey,
+};
@@ -0,0 +1,211 @@
+/**
+ * Wall-clock times in IANA time zones
+ *
+ * Facilities keep their zone in facilities.timezone. Conversions go through
+ * Intl, so they follow the runtime's time zone data, daylight saving included.
+ */
+
+const formatters = new Map();
+
+// An ISO 8601 date/time; one without an offset is read as a wall-clock time
+const DATE_TIME_PATTERN =
+  /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3})\d*)?)?(Z|[+-]\d{2}:?\d{2})?$/;
+
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(
+      timeZone,
+      new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+      })
+    );
+  }
+
+  return formatters.get(timeZone);
+}
+
+/**
+ * Whether a string names a time zone the runtime knows
+ */
+function isValidTimeZone(timeZone) {
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * The wall-clock time in a zone at an instant
+ * @returns {Object} { year, month, day, hour, minute, second }
+ */
+function getZonedParts(date, timeZone) {
+  const parts = Object.fromEntries(
+    getFormatter(timeZone)
+      .formatToParts(date)
+      .filter((part) => part.type !== 'literal')
+      .map((part) => [part.type, Number(part.value)])
+  );
+
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second,
+  };
+}
+
+/**
+ * Offset of a zone from UTC at an instant, in minutes (UTC-5 is -300)
+ */
+function getTimeZoneOffset(date, timeZone) {
+  const parts = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour,
+    parts.minute,
+    parts.second
+  );
+
+  return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+/**
+ * The instant a wall-clock time in a zone refers to
+ * A time skipped by a spring-forward transition is moved forward by the
+ * length of the gap; a time repeated at fall-back resolves to its first,
+ * daylight-saving occurrence.
+ * @param {Object} parts - { year, month, day, hour, minute, second, millisecond }
+ * @returns {Date}
+ */
+function zonedTimeToUtc(parts, timeZone) {
+  const asUtc = Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour || 0,
+    parts.minute || 0,
+    parts.second || 0,
+    parts.millisecond || 0
+  );
+
+  // The offsets just before and after the wall-clock time; they differ only
+  // around a transition
+  const before = getTimeZoneOffset(new Date(asUtc - 86400000), timeZone);
+  const after = getTimeZoneOffset(new Date(asUtc + 86400000), timeZone);
+
+  const candidates = [...new Set([before, after])]
+    .map((offset) => asUtc - offset * 60000)
+    .filter(
+      (instant) => getTimeZoneOffset(new Date(instant), timeZone) * 60000 === asUtc - instant
+    );
+
+  if (candidates.length > 0) {
+    return new Date(Math.min(...candidates));
+  }
+
+  // In a spring-forward gap: read the wall clock with the offset in force
+  // before the transition, which lands the same distance past it
+  return new Date(asUtc - before * 60000);
+}
+
+/**
+ * Parse an ISO 8601 date/time; one without an offset (no Z or +hh:mm) is a
+ * wall-clock time in the zone, resolved as zonedTimeToUtc does
+ * @returns {Date|null} null when the value is not a date/time, or names a
+ *   day or time that does not exist (2026-02-30, 25:00)
+ */
+function parseInTimeZone(value, timeZone) {
+  if (value instanceof Date) {
+    return value;
+  }
+
+  const match = DATE_TIME_PATTERN.exec(String(value || ''));
+
+  if (!match) {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
+
+  const [, year, month, day, hour, minute, second, fraction, offset] = match;
+  const parts = {
+    year: Number(year),
+    month: Number(month),
+    day: Number(day),
+    hour: Number(hour),
+    minute: Number(minute),
+    second: Number(second || 0),
+    millisecond: fraction ? Number(fraction.padEnd(3, '0')) : 0,
+  };
+
+  // Date.UTC rolls 2026-02-30 over to 2026-03-02 and 24:00 over to the next
+  // day; such a value names no wall-clock time at all
+  const asUtc = new Date(
+    Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second)
+  );
+
+  if (
+    asUtc.getUTCFullYear() !== parts.year ||
+    asUtc.getUTCMonth() !== parts.month - 1 ||
+    asUtc.getUTCDate() !== parts.day ||
+    asUtc.getUTCHours() !== parts.hour ||
+    asUtc.getUTCMinutes() !== parts.minute ||
+    asUtc.getUTCSeconds() !== parts.second
+  ) {
+    return null;
+  }
+
+  if (offset) {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
+
+  return zonedTimeToUtc(parts, timeZone);
+}
+
+/**
+ * An instant as an ISO 8601 wall-clock time in a zone, with the zone's
+ * offset at that instant (2026-03-08T03:00:00-05:00)
+ */
+function formatInTimeZone(date, timeZone) {
+  const parts = getZonedParts(date, timeZone);
+  const offset = getTimeZoneOffset(date, timeZone);
+  const pad = (number) => String(number).padStart(2, '0');
+  const sign = offset < 0 ? '-' : '+';
+
+  return (
+    `${parts.year}-${pad(parts.month)}-${pad(parts.day)}` +
+    `T${pad(parts.hour)}:${pad(parts.minute)}:${pad(parts.second)}` +
+    `${sign}${pad(Math.floor(Math.abs(offset) / 60))}:${pad(Math.abs(offset) % 60)}`
+  );
+}
+
+/**
+ * The zone to work in for a facility: its own, or UTC when it has none the
+ * runtime knows
+ */
+function resolveTimeZone(timeZone) {
+  return timeZone && isValidTimeZone(timeZone) ? timeZone : 'UTC';
+}
+
+module.exports = {
+  isValidTimeZone,
+  getZonedParts,
+  getTimeZoneOffset,
+  zonedTimeToUtc,
+  parseInTimeZone,
+  formatInTimeZone,
+  resolveTimeZone,
+};
@@ -1,5 +1,21 @@
 const Joi = require('joi');
 const { ValidationError } = require('./errors');
+const { listKnownScopes } = require('./authorization');
+const { isValidTimeZone } = require('./timezone');
+
+// Kept as sent, since a time without an offset is read in the facility's zone
+const scheduledStartSchema = Joi.string()
+  .pattern(/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/)
+  .message('"scheduled_start" must be an ISO 8601 date and time');
+
+// Calendar dates and wall-clock times at a facility, likewise kept as sent
+const calendarDateSchema = Joi.string()
+  .pattern(/^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/)
+  .message('{{#label}} must be a date (YYYY-MM-DD)');
+
+const timeOfDaySchema = Joi.string()
+  .pattern(/^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/)
+  .message('{{#label}} must be a time (HH:MM or HH:MM:SS)');
 
 const patientSchema = Joi.object({
   mrn: Joi.string().required().max(50),
@@ -21,20 +37,83 @@ const patientSchema = Joi.object({
   consent_settings: Joi.object(),
 });
 
+const patientUpdateSchema = patientSchema
+  .fork(['mrn', 'first_name', 'last_name', 'date_of_birth', 'contact_info'], (schema) =>
+    schema.optional()
+  )
+  .min(1);
+
 const appointmentSchema = Joi.object({
   patient_id: Joi.string().uuid().required(),
   provider_id: Joi.string().uuid().required(),
   facility_id: Joi.string().uuid().required(),
   appointment_type: Joi.string().required(),
-  scheduled_start: Joi.date().iso().required().greater('now'),
+  scheduled_start: scheduledStartSchema.required(),
+  duration_minutes: Joi.number().integer().min(15).max(480).required(),
+  priority: Joi.string().valid('low', 'normal', 'high', 'urgent'),
+  reason: Joi.string().max(500),
+  special_requirements: Joi.object(),
+  telehealth_details: Joi.object(),
+  additional_resources: Joi.array().items(Joi.string().max(50)).unique(),
+});
+
+const appointmentRescheduleSchema = Joi.object({
+  scheduled_start: scheduledStartSchema.required(),
   duration_minutes: Joi.number().integer().min(15).max(480).required(),
+});
+
+// Fields of an existing appointment a caller may change; a new time,
+// length, provider or type is checked as a new booking is
+const appointmentUpdateSchema = Joi.object({
+  provider_id: Joi.string().uuid(),
+  appointment_type: Joi.string(),
+  scheduled_start: scheduledStartSchema,
+  duration_minutes: Joi.number().integer().min(15).max(480),
+  status: Joi.string().valid(
+    'scheduled',
+    'confirmed',
+    'arrived',
+    'in-progress',
+    'completed',
+    'cancelled',
+    'no-show'
+  ),
   priority: Joi.string().valid('low', 'normal', 'high', 'urgent'),
   reason: Joi.string().max(500),
   special_requirements: Joi.object(),
   telehealth_details: Joi.object(),
 });
 
+// Several appointments of one patient with one provider, booked together
+const appointmentSeriesSchema = Joi.object({
+  patient_id: Joi.string().uuid().required(),
+  provider_id: Joi.string().uuid().required(),
+  facility_id: Joi.string().uuid().required(),
+  series_name: Joi.string().required().max(255),
+  recurrence_pattern: Joi.string()
+    .required()
+    .valid('daily', 'weekly', 'biweekly', 'monthly', 'custom'),
+  series_start_date: calendarDateSchema.required(),
+  series_end_date: calendarDateSchema,
+  appointments: Joi.array()
+    .items(
+      Joi.object({
+        appointment_type: Joi.string().required(),
+        scheduled_start: scheduledStartSchema.required(),
+        duration_minutes: Joi.number().integer().min(15).max(480).required(),
+        priority: Joi.string().valid('low', 'normal', 'high', 'urgent'),
+        reason: Joi.string().max(500),
+        special_requirements: Joi.object(),
+        additional_resources: Joi.array().items(Joi.string().max(50)).unique(),
+      })
+    )
+    .min(1)
+    .max(100)
+    .required(),
+});
+
 const medicationSchema = Joi.object({
+  prescribing_provider_id: Joi.string().uuid(),
   medication_name: Joi.string().required().max(255),
   generic_name: Joi.string().max(255),
   rxnorm_code: Joi.string().max(20),
@@ -53,6 +132,283 @@ const medicationSchema = Joi.object({
   side_effects_to_monitor: Joi.array().items(Joi.string()),
 });
 
+const medicationUpdateSchema = medicationSchema
+  .fork(
+    ['prescribing_provider_id', 'medication_name', 'dosage', 'route', 'frequency', 'start_date'],
+    (schema) => schema.optional()
+  )
+  .keys({
+    // Only compared with a start_date sent along with it
+    end_date: Joi.date().when('start_date', {
+      is: Joi.exist(),
+      then: Joi.date().greater(Joi.ref('start_date')),
+    }),
+    status: Joi.string().valid('active', 'discontinued', 'completed', 'on-hold'),
+  })
+  .min(1);
+
+const providerSchema = Joi.object({
+  npi: Joi.string()
+    .pattern(/^\d{10}$/)
+    .required(),
+  first_name: Joi.string().required().max(100),
+  last_name: Joi.string().required().max(100),
+  specializations: Joi.array().items(Joi.string()),
+  qualifications: Joi.array(),
+  contact_info: Joi.object({
+    email: Joi.string().email(),
+    phone: Joi.string().pattern(/^\+?[1-9]\d{1,14}$/),
+  })
+    .unknown()
+    .required(),
+  languages: Joi.array().items(Joi.string()),
+  telehealth_enabled: Joi.boolean(),
+  max_daily_capacity: Joi.number().integer().min(1).max(100),
+  default_appointment_durations: Joi.object(),
+  appointment_buffers: Joi.object().pattern(
+    Joi.string(),
+    Joi.object({
+      before: Joi.number().integer().min(0).max(240),
+      after: Joi.number().integer().min(0).max(240),
+    })
+  ),
+});
+
+const providerUpdateSchema = providerSchema
+  .fork(['npi', 'first_name', 'last_name', 'contact_info'], (schema) => schema.optional())
+  .min(1);
+
+const facilitySchema = Joi.object({
+  name: Joi.string().required().max(255),
+  facility_type: Joi.string().required().max(50),
+  address: Joi.object().required(),
+  contact_info: Joi.object(),
+  operating_hours: Joi.object(),
+  capabilities: Joi.array(),
+  timezone: Joi.string()
+    .max(50)
+    .custom((value, helpers) =>
+      isValidTimeZone(value) ? value : helpers.message('"timezone" must be an IANA time zone')
+    ),
+});
+
+const resourceSchema = Joi.object({
+  facility_id: Joi.string().uuid().required(),
+  name: Joi.string().required().max(255),
+  resource_type: Joi.string()
+    .required()
+    .max(50)
+    .pattern(/^[a-z0-9_-]+$/),
+  capacity: Joi.number().integer().min(1).max(100),
+  attributes: Joi.object(),
+});
+
+const resourceUpdateSchema = Joi.object({
+  name: Joi.string().max(255),
+  resource_type: Joi.string()
+    .max(50)
+    .pattern(/^[a-z0-9_-]+$/),
+  capacity: Joi.number().integer().min(1).max(100),
+  attributes: Joi.object(),
+  is_active: Joi.boolean(),
+}).min(1);
+
+const resourceAvailabilitySchema = Joi.object({
+  slots: Joi.array()
+    .items(
+      Joi.object({
+        day_of_week: Joi.number().integer().min(0).max(6).required(),
+        start_time: timeOfDaySchema.required(),
+        end_time: timeOfDaySchema.required(),
+        effective_from: calendarDateSchema,
+        effective_until: calendarDateSchema,
+      })
+    )
+    .required(),
+  replace_existing: Joi.boolean().default(false),
+});
+
+// A one-off holiday_date, or a yearly rule: month with day_of_month, or month
+// with the week_of_month'th day_of_week (-1 for the last)
+const holidaySchema = Joi.object({
+  name: Joi.string().required().max(255),
+  facility_id: Joi.string().uuid(),
+  holiday_date: calendarDateSchema,
+  month: Joi.number().integer().min(1).max(12),
+  day_of_month: Joi.number().integer().min(1).max(31),
+  day_of_week: Joi.number().integer().min(0).max(6),
+  week_of_month: Joi.number().integer().valid(1, 2, 3, 4, 5, -1),
+  observed_on_weekday: Joi.boolean().default(false),
+})
+  .xor('holiday_date', 'month')
+  .xor('holiday_date', 'day_of_month', 'day_of_week')
+  .and('day_of_week', 'week_of_month')
+  .with('day_of_month', 'month')
+  .with('day_of_week', 'month');
+
+const availabilityExceptionSchema = Joi.object({
+  exception_type: Joi.string().valid('block', 'session').required(),
+  provider_id: Joi.string()
+    .uuid()
+    .when('exception_type', { is: 'session', then: Joi.required() }),
+  facility_id: Joi.string()
+    .uuid()
+    .when('exception_type', { is: 'session', then: Joi.required() }),
+  start_date: calendarDateSchema.required(),
+  end_date: calendarDateSchema,
+  start_time: timeOfDaySchema.when('exception_type', { is: 'session', then: Joi.required() }),
+  end_time: timeOfDaySchema,
+  slot_duration: Joi.number()
+    .integer()
+    .min(5)
+    .max(480)
+    .when('exception_type', { is: 'block', then: Joi.forbidden() }),
+  reason: Joi.string().max(500),
+})
+  .or('provider_id', 'facility_id')
+  .and('start_time', 'end_time');
+
+const availabilityExceptionQuerySchema = Joi.object({
+  providerId: Joi.string().uuid(),
+  facilityId: Joi.string().uuid(),
+  type: Joi.string().valid('block', 'session'),
+  startDate: calendarDateSchema,
+  endDate: calendarDateSchema,
+});
+
+const adherenceSchema = Joi.object({
+  was_taken: Joi.boolean().required(),
+  scheduled_time: Joi.string().isoDate().required(),
+  taken_at: Joi.string().isoDate(),
+  notes: Joi.string().max(2000),
+});
+
+// Slots are searched for at most 90 days, 30 from startDate unless an
+// endDate is given, and from today without either
+const AVAILABILITY_DEFAULT_DAYS = 30;
+const AVAILABILITY_MAX_DAYS = 90;
+
+const availabilityQuerySchema = Joi.object({
+  providerId: Joi.string().uuid(),
+  facilityId: Joi.string().uuid(),
+  appointmentType: Joi.string().max(50),
+  resources: Joi.string()
+    .pattern(/^[\w-]+(,[\w-]+)*$/)
+    .message('"resources" must be a comma-separated list of resource types'),
+  startDate: calendarDateSchema.default(() => new Date().toISOString().split('T')[0]),
+  endDate: calendarDateSchema,
+}).custom((value, helpers) => {
+  const toDay = (time) => new Date(time).toISOString().split('T')[0];
+  const start = Date.parse(`${value.startDate}T00:00:00Z`);
+  const end = value.endDate
+    ? Date.parse(`${value.endDate}T00:00:00Z`)
+    : start + AVAILABILITY_DEFAULT_DAYS * 86400000;
+
+  // Date.parse rolls a day past the end of the month over into the next
+  if (toDay(start) !== value.startDate || (value.endDate && toDay(end) !== value.endDate)) {
+    return helpers.message('"startDate" and "endDate" must be dates that exist');
+  }
+
+  if (end < start) {
+    return helpers.message('"endDate" must not be before "startDate"');
+  }
+
+  if (end - start > AVAILABILITY_MAX_DAYS * 86400000) {
+    return helpers.message(`The date range cannot exceed ${AVAILABILITY_MAX_DAYS} days`);
+  }
+
+  return { ...value, endDate: toDay(end) };
+});
+
+const notificationSchema = Joi.object({
+  patient_id: Joi.string().uuid(),
+  provider_id: Joi.string().uuid(),
+  appointment_id: Joi.string().uuid(),
+  medication_id: Joi.string().uuid(),
+  notification_type: Joi.string().required().max(50),
+  channel: Joi.string().valid('sms', 'email', 'push').required(),
+  priority: Joi.string().valid('low', 'medium', 'high', 'urgent'),
+  scheduled_send_time: Joi.string().isoDate(),
+  template_data: Joi.object(),
+}).or('patient_id', 'provider_id');
+
+const apiKeySchema = Joi.object({
+  key_name: Joi.string().required().max(255),
+  environment: Joi.string().valid('development', 'staging', 'production'),
+  scopes: Joi.array()
+    .items(Joi.string().valid(...listKnownScopes()))
+    .min(1)
+    .unique()
+    .required(),
+  expires_at: Joi.date().iso().greater('now'),
+});
+
+const apiKeyRotationSchema = Joi.object({
+  overlap_minutes: Joi.number().integer().min(0).max(10080).default(1440),
+  expires_at: Joi.date().iso().greater('now'),
+});
+
+const auditLogFilters = {
+  entityType: Joi.string().max(50),
+  entityId: Joi.string().uuid(),
+  patientId: Joi.string().uuid(),
+  action: Joi.string().max(50),
+  userId: Joi.string().max(255),
+  userType: Joi.string().valid('user', 'patient', 'api_key', 'system'),
+  startDate: Joi.date().iso(),
+  endDate: Joi.date().iso().min(Joi.ref('startDate')),
+  cursor: Joi.string().max(512),
+};
+
+const auditLogQuerySchema = Joi.object({
+  ...auditLogFilters,
+  limit: Joi.number().integer().min(1).max(200).default(50),
+});
+
+const auditLogExportQuerySchema = Joi.object({
+  ...auditLogFilters,
+  format: Joi.string().valid('ndjson', 'csv').default('ndjson'),
+  limit: Joi.number().integer().min(1).max(5000).default(1000),
+});
+
+const patientHistoryQuerySchema = Joi.object({
+  startDate: Joi.date().iso(),
+  endDate: Joi.date().iso().min(Joi.ref('startDate')),
+  cursor: Joi.string().max(512),
+  limit: Joi.number().integer().min(1).max(500).default(100),
+});
+
+const auditChainVerifyQuerySchema = Joi.object({
+  fromSeq: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(50000).default(10000),
+});
+
+const hl7MessageQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(200).default(50),
+  direction: Joi.string().valid('inbound', 'outbound'),
+  status: Joi.string().valid(
+    'received',
+    'processed',
+    'error',
+    'rejected',
+    'pending',
+    'sending',
+    'sent',
+    'failed'
+  ),
+  messageType: Joi.string().pattern(/^[A-Z0-9]{3}(\^[A-Z0-9]{3})?$/),
+  controlId: Joi.string().max(199),
+  entityId: Joi.string().uuid(),
+  startDate: Joi.date().iso(),
+  endDate: Joi.date().iso().min(Joi.ref('startDate')),
+});
+
+const ccdImportQuerySchema = Joi.object({
+  dryRun: Joi.boolean().default(false),
+  providerId: Joi.string().uuid(),
+});
+
 function validate(schema, data) {
   const { error, value } = schema.validate(data, { abortEarly: false });
   
@@ -71,7 +427,32 @@ module.exports = {
   validate,
   schemas: {
     patient: patientSchema,
+    patientUpdate: patientUpdateSchema,
     appointment: appointmentSchema,
+    appointmentSeries: appointmentSeriesSchema,
+    appointmentReschedule: appointmentRescheduleSchema,
+    appointmentUpdate: appointmentUpdateSchema,
     medication: medicationSchema,
+    medicationUpdate: medicationUpdateSchema,
+    provider: providerSchema,
+    providerUpdate: providerUpdateSchema,
+    facility: facilitySchema,
+    resource: resourceSchema,
+    resourceUpdate: resourceUpdateSchema,
+    resourceAvailability: resourceAvailabilitySchema,
+    holiday: holidaySchema,
+    availabilityException: availabilityExceptionSchema,
+    availabilityExceptionQuery: availabilityExceptionQuerySchema,
+    availabilityQuery: availabilityQuerySchema,
+    adherence: adherenceSchema,
+    notification: notificationSchema,
+    apiKey: apiKeySchema,
+    apiKeyRotation: apiKeyRotationSchema,
+    auditLogQuery: auditLogQuerySchema,
+    auditLogExportQuery: auditLogExportQuerySchema,
+    patientHistoryQuery: patientHistoryQuerySchema,
+    auditChainVerifyQuery: auditChainVerifyQuerySchema,
+    hl7MessageQuery: hl7MessageQuerySchema,
+    ccdImportQuery: ccdImportQuerySchema,
   },
 };
\ No newline at end of file
@@ -0,0 +1,342 @@
+const { ValidationError } = require('./errors');
+
+/**
+ * Minimal XML building and parsing for clinical documents (C-CDA)
+ *
+ * An element is { name, attributes, children }, where children are elements
+ * and text strings. Parsing keeps names as written, prefix included; the
+ * accessors match on the local name, so `cda:section` and `section` are the
+ * same element. DOCTYPE declarations are skipped and no entities beyond the
+ * predefined and numeric ones are expanded.
+ */
+
+const ENTITIES = {
+  lt: '<',
+  gt: '>',
+  amp: '&',
+  quot: '"',
+  apos: "'",
+};
+
+/**
+ * Build an element; attributes that are undefined or null are left out, as
+ * are children that are undefined, null or false. Nested arrays of children
+ * are flattened.
+ */
+function element(name, attributes = {}, children = []) {
+  const kept = Object.fromEntries(
+    Object.entries(attributes).filter(([, value]) => value !== undefined && value !== null)
+  );
+
+  return {
+    name,
+    attributes: kept,
+    children: [children]
+      .flat(Infinity)
+      .filter((child) => child !== undefined && child !== null && child !== false)
+      .map((child) => (typeof child === 'object' ? child : String(child))),
+  };
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Serialize an element as an XML document, indented by two spaces
+ * Elements holding only text are kept on one line.
+ */
+function serializeXml(root) {
+  return `<?xml version="1.0" encoding="UTF-8"?>\n${serializeElement(root, '')}\n`;
+}
+
+function serializeElement(node, indent) {
+  const attributes = Object.entries(node.attributes)
+    .map(([name, value]) => ` ${name}="${escapeXml(value)}"`)
+    .join('');
+
+  if (node.children.length === 0) {
+    return `${indent}<${node.name}${attributes}/>`;
+  }
+
+  const open = `${indent}<${node.name}${attributes}>`;
+  const close = `</${node.name}>`;
+
+  if (node.children.every((child) => typeof child === 'string')) {
+    return `${open}${escapeXml(node.children.join(''))}${close}`;
+  }
+
+  const children = node.children.map((child) =>
+    typeof child === 'string'
+      ? `${indent}  ${escapeXml(child)}`
+      : serializeElement(child, `${indent}  `)
+  );
+
+  return [open, ...children, `${indent}${close}`].join('\n');
+}
+
+/**
+ * Parse an XML document into its root element
+ * @throws {ValidationError} When the document is not well-formed
+ */
+function parseXml(text) {
+  const source = String(text || '').replace(/^\uFEFF/, '');
+  const stack = [{ name: '#document', attributes: {}, children: [] }];
+  let position = 0;
+
+  while (position < source.length) {
+    const open = source.indexOf('<', position);
+    const textEnd = open === -1 ? source.length : open;
+
+    if (textEnd > position) {
+      const value = decodeEntities(source.slice(position, textEnd), position);
+
+      if (stack.length > 1) {
+        stack[stack.length - 1].children.push(value);
+      } else if (value.trim()) {
+        throw xmlError('Text outside the root element', position);
+      }
+    }
+
+    if (open === -1) {
+      break;
+    }
+
+    position = readMarkup(source, open, stack);
+  }
+
+  if (stack.length > 1) {
+    throw xmlError(`Element <${stack[stack.length - 1].name}> is not closed`, source.length);
+  }
+
+  const roots = stack[0].children.filter((child) => typeof child === 'object');
+
+  if (roots.length !== 1) {
+    throw xmlError('A document must have exactly one root element', 0);
+  }
+
+  return roots[0];
+}
+
+/**
+ * Read the markup starting at `<` and return the position after it
+ */
+function readMarkup(source, start, stack) {
+  const parent = stack[stack.length - 1];
+
+  if (source.startsWith('<!--', start)) {
+    return skipPast(source, start, '-->');
+  }
+
+  if (source.startsWith('<![CDATA[', start)) {
+    const end = findOrThrow(source, start, ']]>');
+    parent.children.push(source.slice(start + 9, end));
+    return end + 3;
+  }
+
+  if (source.startsWith('<?', start)) {
+    return skipPast(source, start, '?>');
+  }
+
+  if (source.startsWith('<!DOCTYPE', start)) {
+    return skipDoctype(source, start);
+  }
+
+  if (source[start + 1] === '/') {
+    const end = findOrThrow(source, start, '>');
+    const name = source.slice(start + 2, end).trim();
+    const current = stack.pop();
+
+    if (stack.length === 0 || current.name !== name) {
+      throw xmlError(`Unexpected closing tag </${name}>`, start);
+    }
+
+    return end + 1;
+  }
+
+  const match = /^<([A-Za-z_][\w.:-]*)/.exec(source.slice(start, start + 256));
+
+  if (!match) {
+    throw xmlError('Invalid markup', start);
+  }
+
+  const node = { name: match[1], attributes: {}, children: [] };
+  const attributePattern = /\s+([A-Za-z_][\w.:-]*)\s*=\s*("([^"]*)"|'([^']*)')|\s*(\/?)>/y;
+  attributePattern.lastIndex = start + match[0].length;
+
+  for (;;) {
+    const attribute = attributePattern.exec(source);
+
+    if (!attribute) {
+      throw xmlError(`Malformed tag <${node.name}>`, start);
+    }
+
+    if (attribute[1] === undefined) {
+      if (stack.length === 1 && stack[0].children.some((child) => typeof child === 'object')) {
+        throw xmlError('A document must have exactly one root element', start);
+      }
+
+      parent.children.push(node);
+
+      if (attribute[5] !== '/') {
+        stack.push(node);
+      }
+
+      return attributePattern.lastIndex;
+    }
+
+    const raw = attribute[3] !== undefined ? attribute[3] : attribute[4];
+    node.attributes[attribute[1]] = decodeEntities(raw, attributePattern.lastIndex);
+  }
+}
+
+function skipDoctype(source, start) {
+  // An internal subset in brackets may itself contain '>'
+  const bracket = source.indexOf('[', start);
+  const close = source.indexOf('>', start);
+
+  if (bracket !== -1 && bracket < close) {
+    return skipPast(source, findOrThrow(source, bracket, ']'), '>');
+  }
+
+  return skipPast(source, start, '>');
+}
+
+function skipPast(source, start, terminator) {
+  return findOrThrow(source, start, terminator) + terminator.length;
+}
+
+function findOrThrow(source, start, terminator) {
+  const end = source.indexOf(terminator, start);
+
+  if (end === -1) {
+    throw xmlError(`Expected '${terminator}'`, start);
+  }
+
+  return end;
+}
+
+function decodeEntities(value, position) {
+  return value.replace(/&(#x[0-9a-fA-F]+|#\d+|\w+);?/g, (entity, name) => {
+    if (name[0] === '#') {
+      const code = name[1] === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+
+      if (code > 0x10ffff) {
+        throw xmlError(`Invalid character reference ${entity}`, position);
+      }
+
+      return String.fromCodePoint(code);
+    }
+
+    if (!(name in ENTITIES) || !entity.endsWith(';')) {
+      throw xmlError(`Unknown entity ${entity}`, position);
+    }
+
+    return ENTITIES[name];
+  });
+}
+
+function xmlError(message, position) {
+  return new ValidationError('Document is not well-formed XML', {
+    errors: [{ field: 'body', message: `${message} (at offset ${position})` }],
+  });
+}
+
+// =============================================
+// Accessors
+// =============================================
+
+function localName(name) {
+  return name.slice(name.indexOf(':') + 1);
+}
+
+function getChildren(node, name) {
+  return (node?.children || []).filter(
+    (child) => typeof child === 'object' && (!name || localName(child.name) === name)
+  );
+}
+
+function getChild(node, name) {
+  return getChildren(node, name)[0] || null;
+}
+
+/**
+ * Follow a path of child names, such as 'consumable/manufacturedProduct'
+ */
+function getPath(node, path) {
+  return path.split('/').reduce((current, name) => getChild(current, name), node);
+}
+
+/**
+ * Every element named `name` below a node, in document order
+ */
+function getDescendants(node, name) {
+  return getChildren(node).flatMap((child) => [
+    ...(localName(child.name) === name ? [child] : []),
+    ...getDescendants(child, name),
+  ]);
+}
+
+/**
+ * The element below a node with an ID attribute, for narrative references
+ */
+function findById(node, id) {
+  for (const child of getChildren(node)) {
+    if (child.attributes.ID === id) {
+      return child;
+    }
+
+    const found = findById(child, id);
+
+    if (found) {
+      return found;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * The text of an element and everything in it, whitespace collapsed
+ */
+function getText(node) {
+  if (!node) {
+    return '';
+  }
+
+  const collect = (current) =>
+    current.children.map((child) => (typeof child === 'string' ? child : collect(child))).join(' ');
+
+  return collect(node).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * An attribute by local name, so xsi:type is found as 'type'
+ */
+function getAttribute(node, name) {
+  if (!node) {
+    return undefined;
+  }
+
+  const key = Object.keys(node.attributes).find((attribute) => localName(attribute) === name);
+  return key === undefined ? undefined : node.attributes[key];
+}
+
+module.exports = {
+  element,
+  escapeXml,
+  serializeXml,
+  parseXml,
+  localName,
+  getChildren,
+  getChild,
+  getPath,
+  getDescendants,
+  findById,
+  getText,
+  getAttribute,
+};
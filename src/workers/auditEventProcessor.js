@@ -0,0 +1,110 @@
+const db = require('../config/database');
+const logger = require('../utils/logger');
+const { consumeFromQueue, QUEUES } = require('../config/queue');
+const { writeAuditEntry } = require('../utils/audit');
+
+/**
+ * Audit Event Processor Worker
+ *
+ * Consumes PHI access entries (READ, SEARCH, EXPORT) published by logAccess
+ * and writes them to audit_logs. Each entry carries its own id, so a
+ * redelivered message hits the primary key and is acknowledged as a duplicate.
+ *
+ * A message that keeps failing is retried by consumeFromQueue, then
+ * dead-lettered through the `dlx` exchange to audit.events.dlq, which does
+ * not expire; replay it once the cause is fixed.
+ */
+
+/**
+ * Main handler function
+ */
+exports.handler = async (event, context) => {
+  logger.info('Audit event processor started', {
+    executionId: context.requestId,
+    timestamp: new Date().toISOString(),
+  });
+
+  if (event.Records && event.Records.length > 0) {
+    return await processEventRecords(event.Records);
+  }
+
+  // If triggered directly, start consuming from queue
+  return await startQueueConsumer();
+};
+
+/**
+ * Process event records (SQS/EventBridge messages)
+ * Any failure fails the batch so the event source redelivers it; entries
+ * already written are skipped as duplicates on the retry.
+ */
+async function processEventRecords(records) {
+  let failed = 0;
+
+  for (const record of records) {
+    try {
+      const entry = record.body ? JSON.parse(record.body) : record;
+      await processAuditEvent(entry);
+    } catch (error) {
+      failed++;
+      logger.error('Error processing audit event record', { error: error.message });
+    }
+  }
+
+  if (failed > 0) {
+    throw new Error(`${failed} of ${records.length} audit events failed`);
+  }
+
+  return {
+    statusCode: 200,
+    body: JSON.stringify({
+      message: 'Batch processing completed',
+      processed: records.length,
+    }),
+  };
+}
+
+/**
+ * Start consuming from RabbitMQ queue
+ * This approach is used for long-running Lambda or container deployments
+ */
+async function startQueueConsumer() {
+  logger.info('Starting queue consumer for audit events');
+
+  await consumeFromQueue(QUEUES.AUDIT_EVENTS, (entry) => processAuditEvent(entry), {
+    prefetch: 50,
+  });
+
+  return {
+    statusCode: 200,
+    body: JSON.stringify({
+      message: 'Queue consumer started',
+      queue: QUEUES.AUDIT_EVENTS,
+    }),
+  };
+}
+
+/**
+ * Write a single access entry in its tenant's context
+ */
+async function processAuditEvent(entry) {
+  try {
+    await db.runWithTenant(entry.tenantId, () => writeAuditEntry(entry));
+
+    logger.debug(`Access audit written for ${entry.entityType} - ${entry.action}`, {
+      auditId: entry.id,
+    });
+  } catch (error) {
+    // PostgreSQL unique violation: written by an earlier delivery
+    if (error.code === '23505') {
+      logger.info('Duplicate audit event skipped', { auditId: entry.id });
+      return;
+    }
+
+    throw error;
+  }
+}
+
+module.exports = {
+  handler: exports.handler,
+  processAuditEvent,
+};
@@ -0,0 +1,81 @@
+const db = require('../config/database');
+const logger = require('../utils/logger');
+const { consumeFromQueue, QUEUES } = require('../config/queue');
+const FhirExportService = require('../services/fhirExport.service');
+
+/**
+ * FHIR Export Processor Worker
+ *
+ * Consumes the FHIR $export jobs queued by FhirExportService.startExport and
+ * runs each one in its tenant's context, writing the NDJSON files to the
+ * documents store. A job is claimed before it runs, so a redelivered message
+ * is acknowledged without exporting twice; a job that fails is marked failed
+ * for the client to see rather than retried.
+ */
+
+const fhirExportService = new FhirExportService();
+
+/**
+ * Main handler function
+ */
+exports.handler = async (event, context) => {
+  logger.info('FHIR export processor started', {
+    executionId: context.requestId,
+    timestamp: new Date().toISOString(),
+  });
+
+  if (event.Records && event.Records.length > 0) {
+    return await processEventRecords(event.Records);
+  }
+
+  // If triggered directly, start consuming from queue
+  return await startQueueConsumer();
+};
+
+/**
+ * Process event records (SQS/EventBridge messages)
+ * Exports run one after another: each already streams a whole tenant.
+ */
+async function processEventRecords(records) {
+  for (const record of records) {
+    const message = record.body ? JSON.parse(record.body) : record;
+    await processExportJob(message);
+  }
+
+  return {
+    statusCode: 200,
+    body: JSON.stringify({
+      message: 'Batch processing completed',
+      processed: records.length,
+    }),
+  };
+}
+
+/**
+ * Start consuming from RabbitMQ queue
+ * This approach is used for long-running Lambda or container deployments
+ */
+async function startQueueConsumer() {
+  logger.info('Starting queue consumer for FHIR exports');
+
+  await consumeFromQueue(QUEUES.FHIR_EXPORTS, (message) => processExportJob(message), {
+    prefetch: 1,
+  });
+
+  return {
+    statusCode: 200,
+    body: JSON.stringify({
+      message: 'Queue consumer started',
+      queue: QUEUES.FHIR_EXPORTS,
+    }),
+  };
+}
+
+async function processExportJob({ tenantId, jobId }) {
+  await db.runWithTenant(tenantId, () => fhirExportService.runExport(tenantId, jobId));
+}
+
+module.exports = {
+  handler: exports.handler,
+  processExportJob,
+};
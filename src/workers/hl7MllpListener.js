@@ -0,0 +1,129 @@
+#!/usr/bin/env node
+
+/**
+ * HL7 v2 MLLP Listener
+ *
+ * A TCP listener for local interface testing: interface engines and
+ * simulators send MLLP-framed messages, each is processed by Hl7Service for
+ * one tenant and answered with its framed ACK, exactly as
+ * POST /api/v1/hl7/messages would. Messages on a connection are processed in
+ * the order they arrive. Deployed environments receive HL7 over HTTPS only.
+ *
+ * Usage:
+ *   HL7_TENANT_ID=<tenant uuid> node src/workers/hl7MllpListener.js
+ *
+ * HL7_MLLP_PORT (default 2575) and HL7_MLLP_HOST (default 127.0.0.1) choose
+ * where to listen.
+ */
+
+// Load environment variables before the database pool is created
+require('dotenv').config();
+
+const net = require('net');
+const { v4: uuidv4 } = require('uuid');
+const db = require('../config/database');
+const logger = require('../utils/logger');
+const Hl7Service = require('../services/hl7.service');
+const { frameMllp, readMllpFrames } = require('../utils/hl7');
+
+const hl7Service = new Hl7Service();
+
+// A peer that never ends its frame cannot make the listener buffer forever
+const MAX_FRAME_BYTES = 1024 * 1024;
+
+function createListener(tenantId) {
+  return net.createServer((socket) => {
+    const peer = `${socket.remoteAddress}:${socket.remotePort}`;
+    let buffer = '';
+    let queue = Promise.resolve();
+
+    logger.info('MLLP connection opened', { peer });
+
+    socket.setEncoding('utf8');
+
+    socket.on('data', (chunk) => {
+      const { messages, rest } = readMllpFrames(buffer + chunk);
+      buffer = rest;
+
+      if (buffer.length > MAX_FRAME_BYTES) {
+        logger.warn('MLLP frame too large, closing connection', { peer });
+        socket.destroy();
+        return;
+      }
+
+      for (const message of messages) {
+        queue = queue.then(() => handleMessage(tenantId, message, socket, peer));
+      }
+    });
+
+    socket.on('error', (error) => {
+      logger.warn('MLLP connection error', { peer, error: error.message });
+    });
+
+    socket.on('close', () => {
+      logger.info('MLLP connection closed', { peer });
+    });
+  });
+}
+
+async function handleMessage(tenantId, message, socket, peer) {
+  const actor = {
+    requestId: uuidv4(),
+    tenantId,
+    userId: null,
+    userType: 'system',
+    role: null,
+    patientId: null,
+  };
+
+  try {
+    const { ack, ackCode, messageId } = await db.runWithTenant(tenantId, () =>
+      hl7Service.processMessage(tenantId, message, actor)
+    );
+
+    logger.info('MLLP message acknowledged', { peer, messageId, ackCode });
+
+    if (!socket.destroyed) {
+      socket.write(frameMllp(ack));
+    }
+  } catch (error) {
+    // The message could not even be logged: no ACK, so the sender retries
+    logger.error('MLLP message failed', { peer, error: error.message });
+  }
+}
+
+function main() {
+  const tenantId = process.env.HL7_TENANT_ID;
+  const port = parseInt(process.env.HL7_MLLP_PORT || '2575', 10);
+  const host = process.env.HL7_MLLP_HOST || '127.0.0.1';
+
+  if (!tenantId) {
+    console.error('HL7_TENANT_ID is required');
+    process.exit(1);
+  }
+
+  const server = createListener(tenantId);
+
+  server.listen(port, host, () => {
+    logger.info('MLLP listener started', { host, port, tenantId });
+  });
+
+  const shutdown = () => {
+    logger.info('MLLP listener stopping');
+    server.close(() => process.exit(0));
+  };
+
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+
+  return server;
+}
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  createListener,
+};
@@ -0,0 +1,83 @@
+const db = require('../config/database');
+const logger = require('../utils/logger');
+const { consumeFromQueue, QUEUES } = require('../config/queue');
+const Hl7OutboundService = require('../services/hl7Outbound.service');
+
+/**
+ * HL7 Outbound Processor Worker
+ *
+ * Consumes the outbound HL7 v2 messages logged by Hl7OutboundService and
+ * sends each one to its tenant's receiver over MLLP or HTTP. Delivery
+ * failures are handled by the service, which queues the message on
+ * hl7.outbound.retry for another attempt or, once its attempts run out,
+ * marks it failed and dead-letters it; they are not thrown back at the queue.
+ *
+ * Messages are sent one at a time so a receiver gets them in the order they
+ * were queued, retries aside.
+ */
+
+const hl7OutboundService = new Hl7OutboundService();
+
+/**
+ * Main handler function
+ */
+exports.handler = async (event, context) => {
+  logger.info('HL7 outbound processor started', {
+    executionId: context.requestId,
+    timestamp: new Date().toISOString(),
+  });
+
+  if (event.Records && event.Records.length > 0) {
+    return await processEventRecords(event.Records);
+  }
+
+  // If triggered directly, start consuming from queue
+  return await startQueueConsumer();
+};
+
+/**
+ * Process event records (SQS/EventBridge messages)
+ */
+async function processEventRecords(records) {
+  for (const record of records) {
+    const message = record.body ? JSON.parse(record.body) : record;
+    await processOutboundMessage(message);
+  }
+
+  return {
+    statusCode: 200,
+    body: JSON.stringify({
+      message: 'Batch processing completed',
+      processed: records.length,
+    }),
+  };
+}
+
+/**
+ * Start consuming from RabbitMQ queue
+ * This approach is used for long-running Lambda or container deployments
+ */
+async function startQueueConsumer() {
+  logger.info('Starting queue consumer for outbound HL7 messages');
+
+  await consumeFromQueue(QUEUES.HL7_OUTBOUND, (message) => processOutboundMessage(message), {
+    prefetch: 1,
+  });
+
+  return {
+    statusCode: 200,
+    body: JSON.stringify({
+      message: 'Queue consumer started',
+      queue: QUEUES.HL7_OUTBOUND,
+    }),
+  };
+}
+
+async function processOutboundMessage({ tenantId, messageId }) {
+  await db.runWithTenant(tenantId, () => hl7OutboundService.deliverMessage(tenantId, messageId));
+}
+
+module.exports = {
+  handler: exports.handler,
+  processOutboundMessage,
+};
@@ -1,3 +1,4 @@
+const db = require('../config/database');
 const logger = require('../utils/logger');
 const { consumeFromQueue, QUEUES } = require('../config/queue');
 const NotificationService = require('../services/notification.service');
@@ -162,8 +163,10 @@ async function processNotificationMessage(message, context) {
   stats.processed++;
 
   try {
-    // Process the notification through the service
-    const result = await notificationService.processNotification(message.notificationId);
+    // Process the notification through the service, scoped to its tenant
+    const result = await db.runWithTenant(message.tenantId, () =>
+      notificationService.processNotification(message.tenantId, message.notificationId)
+    );
 
     stats.delivered++;
 
@@ -406,7 +409,9 @@ async function processBatch(notifications) {
 
   const results = await Promise.allSettled(
     notifications.map((notification) =>
-      notificationService.processNotification(notification.notificationId)
+      db.runWithTenant(notification.tenantId, () =>
+        notificationService.processNotification(notification.tenantId, notification.notificationId)
+      )
     )
   );
 
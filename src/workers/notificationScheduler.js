@@ -20,6 +20,11 @@ const { publishToQueue, QUEUES } = require('../config/queue');
  * Triggered by EventBridge schedule: rate(5 minutes)
  */
 exports.handler = async (event, context) => {
+  // The scheduler scans every tenant's due notifications
+  return db.runAsSystem(() => runScheduler(event, context));
+};
+
+async function runScheduler(event, context) {
   const startTime = Date.now();
   
   logger.info('Notification scheduler started', {
@@ -101,7 +106,7 @@ exports.handler = async (event, context) => {
       }),
     };
   }
-};
+}
 
 /**
  * Get pending notifications that are due to be sent
@@ -141,7 +146,7 @@ async function getPendingNotifications() {
  * Queue a notification for processing
  */
 async function queueNotification(notification) {
-  const client = await db.pool.connect();
+  const client = await db.connect();
 
   try {
     await client.query('BEGIN');
@@ -0,0 +1,83 @@
+jest.mock('amqplib', () => {
+  const channel = {
+    assertExchange: jest.fn(),
+    assertQueue: jest.fn(),
+    bindQueue: jest.fn(),
+    prefetch: jest.fn(),
+    consume: jest.fn(),
+    sendToQueue: jest.fn(),
+    ack: jest.fn(),
+    nack: jest.fn(),
+  };
+
+  return {
+    channel,
+    connect: jest.fn(async () => ({
+      createChannel: async () => channel,
+      on: jest.fn(),
+    })),
+  };
+});
+
+const { channel } = require('amqplib');
+const { consumeFromQueue, QUEUES, DEAD_LETTER_EXCHANGE } = require('../../src/config/queue');
+
+/**
+ * Consume a queue with a failing callback and hand one message to it
+ */
+async function deliverFailing(headers) {
+  await consumeFromQueue(QUEUES.AUDIT_EVENTS, async () => {
+    throw new Error('database unavailable');
+  });
+
+  const [[, onMessage]] = channel.consume.mock.calls;
+  const msg = {
+    content: Buffer.from(JSON.stringify({ id: 'entry' })),
+    properties: { messageId: 'entry', headers },
+  };
+
+  await onMessage(msg);
+  return msg;
+}
+
+describe('queue', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('binds every dead-letter queue to the dead-letter exchange', async () => {
+    await deliverFailing({});
+
+    expect(channel.assertExchange).toHaveBeenCalledWith(DEAD_LETTER_EXCHANGE, 'direct', {
+      durable: true,
+    });
+    [
+      QUEUES.NOTIFICATIONS_DLQ,
+      QUEUES.AUDIT_EVENTS_DLQ,
+      QUEUES.FHIR_EXPORTS_DLQ,
+      QUEUES.HL7_OUTBOUND_DLQ,
+    ].forEach((dlq) => {
+      expect(channel.bindQueue).toHaveBeenCalledWith(dlq, DEAD_LETTER_EXCHANGE, dlq);
+    });
+  });
+
+  it('publishes a failed message again with its retry count raised', async () => {
+    const msg = await deliverFailing({ 'x-retry-count': 1 });
+
+    expect(channel.sendToQueue).toHaveBeenCalledWith(
+      QUEUES.AUDIT_EVENTS,
+      msg.content,
+      expect.objectContaining({ messageId: 'entry', headers: { 'x-retry-count': 2 } })
+    );
+    expect(channel.ack).toHaveBeenCalledWith(msg);
+    expect(channel.nack).not.toHaveBeenCalled();
+  });
+
+  it('dead-letters a message once its retries are used up', async () => {
+    const msg = await deliverFailing({ 'x-retry-count': 3 });
+
+    expect(channel.nack).toHaveBeenCalledWith(msg, false, false);
+    expect(channel.sendToQueue).not.toHaveBeenCalled();
+    expect(channel.ack).not.toHaveBeenCalled();
+  });
+});
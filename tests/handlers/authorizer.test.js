@@ -0,0 +1,127 @@
+jest.mock('../../src/config/database', () => ({
+  query: jest.fn(),
+  runAsSystem: (fn) => fn(),
+}));
+jest.mock('../../src/config/cache', () => ({
+  get: jest.fn().mockResolvedValue(null),
+  setex: jest.fn(),
+  del: jest.fn(),
+}));
+jest.mock('../../src/config/auth', () => {
+  const crypto = require('crypto');
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+  return {
+    privateKey,
+    jwtConfig: {
+      jwks: { keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'test', alg: 'RS256' }] },
+      issuer: 'https://idp.example.com',
+      audience: 'chronic-care-api',
+      clockToleranceSeconds: 0,
+      tenantClaim: 'tenant_id',
+      roleClaim: 'role',
+      patientClaim: 'patient_id',
+    },
+  };
+});
+
+const crypto = require('crypto');
+const db = require('../../src/config/database');
+const { privateKey } = require('../../src/config/auth');
+const { handler } = require('../../src/handlers/authorizer');
+const { getScopesForRole } = require('../../src/utils/authorization');
+
+const TENANT_ID = '11111111-1111-4111-8111-111111111111';
+const PATIENT_ID = '22222222-2222-4222-8222-222222222222';
+const METHOD_ARN = 'arn:aws:execute-api:us-east-1:123456789012:api/prod/GET/api/v1/patients';
+
+/**
+ * A bearer token signed with `key`, valid for an hour unless `claims` says otherwise
+ */
+function sign(claims, key = privateKey) {
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const payload = encode({
+    iss: 'https://idp.example.com',
+    aud: 'chronic-care-api',
+    sub: 'user-1',
+    exp: Math.floor(Date.now() / 1000) + 3600,
+    tenant_id: TENANT_ID,
+    ...claims,
+  });
+  const signed = `${encode({ alg: 'RS256', kid: 'test' })}.${payload}`;
+
+  return `${signed}.${crypto.sign('sha256', Buffer.from(signed), key).toString('base64url')}`;
+}
+
+const withToken = (token) => ({
+  headers: { Authorization: `Bearer ${token}` },
+  methodArn: METHOD_ARN,
+});
+
+describe('authorizer', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    db.query.mockResolvedValue({ rows: [{ id: TENANT_ID, name: 'Clinic', is_active: true }] });
+  });
+
+  it('allows a bearer token and passes on its role and scopes', async () => {
+    const policy = await handler(withToken(sign({ role: 'scheduler' })));
+
+    expect(policy.policyDocument.Statement[0]).toMatchObject({
+      Effect: 'Allow',
+      Resource: METHOD_ARN,
+    });
+    expect(policy.context).toEqual({
+      tenantId: TENANT_ID,
+      tenantName: 'Clinic',
+      userId: 'user-1',
+      userType: 'user',
+      role: 'scheduler',
+      patientId: '',
+      scopes: JSON.stringify(getScopesForRole('scheduler')),
+    });
+  });
+
+  it('binds a patient token to its patient', async () => {
+    const policy = await handler(withToken(sign({ role: 'patient', patient_id: PATIENT_ID })));
+
+    expect(policy.context).toMatchObject({ userType: 'patient', patientId: PATIENT_ID });
+  });
+
+  it('rejects a patient token that names no patient', async () => {
+    await expect(handler(withToken(sign({ role: 'patient' })))).rejects.toThrow('Unauthorized');
+  });
+
+  it('rejects expired tokens, other signers and other audiences', async () => {
+    const { privateKey: otherKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+    await expect(
+      handler(withToken(sign({ role: 'admin', exp: Math.floor(Date.now() / 1000) - 60 })))
+    ).rejects.toThrow('Unauthorized');
+    await expect(handler(withToken(sign({ role: 'admin' }, otherKey)))).rejects.toThrow(
+      'Unauthorized'
+    );
+    await expect(handler(withToken(sign({ role: 'admin', aud: 'other-api' })))).rejects.toThrow(
+      'Unauthorized'
+    );
+  });
+
+  it('rejects a token of an inactive tenant', async () => {
+    db.query.mockResolvedValue({ rows: [{ id: TENANT_ID, name: 'Clinic', is_active: false }] });
+
+    await expect(handler(withToken(sign({ role: 'admin' })))).rejects.toThrow('Unauthorized');
+  });
+
+  it('prefers the bearer token over an API key', async () => {
+    const event = withToken(sign({ role: 'nurse' }));
+    event.headers['X-API-Key'] = 'cc_live_key';
+
+    const policy = await handler(event);
+
+    expect(policy.context.userType).toBe('user');
+    expect(db.query).not.toHaveBeenCalledWith(
+      expect.stringContaining('api_keys'),
+      expect.anything()
+    );
+  });
+});
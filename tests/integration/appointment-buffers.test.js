@@ -0,0 +1,158 @@
+jest.mock('../../src/config/cache', () => ({
+  get: jest.fn().mockResolvedValue(null),
+  setex: jest.fn(),
+  del: jest.fn(),
+}));
+jest.mock('../../src/config/queue');
+
+const { v4: uuidv4 } = require('uuid');
+const db = require('../../src/config/database');
+const AppointmentService = require('../../src/services/appointment.service');
+const { addCalendarDays, getDayOfWeek } = require('../../src/utils/availability');
+
+/**
+ * Appointment type lengths, buffers and daily capacity against Postgres
+ *
+ * Needs the same scratch database as booking.test.js and is skipped when
+ * DB_HOST is not set.
+ */
+const describeWithDatabase = process.env.DB_HOST ? describe : describe.skip;
+
+describeWithDatabase('appointment buffers against Postgres', () => {
+  const service = new AppointmentService();
+  const tenantId = uuidv4();
+  const facilityId = uuidv4();
+  const providerId = uuidv4();
+  const patientId = uuidv4();
+
+  // Two Mondays in February next year, before DST starts in Chicago
+  const firstOfFebruary = `${new Date().getUTCFullYear() + 1}-02-01`;
+  const busyMonday = addCalendarDays(firstOfFebruary, (8 - getDayOfWeek(firstOfFebruary)) % 7);
+  const nextMonday = addCalendarDays(busyMonday, 7);
+
+  const asTenant = (fn) => db.runWithTenant(tenantId, fn);
+  const book = (appointmentType, scheduledStart, durationMinutes) =>
+    asTenant(() =>
+      service.createAppointment(
+        tenantId,
+        {
+          patient_id: patientId,
+          provider_id: providerId,
+          facility_id: facilityId,
+          appointment_type: appointmentType,
+          scheduled_start: scheduledStart,
+          duration_minutes: durationMinutes,
+        },
+        null
+      )
+    );
+  const slotTimesOn = async (date, appointmentType) => {
+    const slots = await asTenant(() =>
+      service.findAvailableSlots(tenantId, {
+        providerId,
+        appointmentType,
+        startDate: date,
+        endDate: date,
+      })
+    );
+    return slots.map((slot) => slot.local_start_time.slice(11, 16));
+  };
+
+  beforeAll(async () => {
+    await db.runAsSystem(async () => {
+      await db.query('INSERT INTO tenants (id, name, subdomain) VALUES ($1, $2, $3)', [
+        tenantId,
+        'Buffers test',
+        `buffers-${tenantId}`,
+      ]);
+      await db.query(
+        `INSERT INTO facilities (id, tenant_id, name, facility_type, address, timezone)
+         VALUES ($1, $2, 'Main Clinic', 'clinic', '{}', 'America/Chicago')`,
+        [facilityId, tenantId]
+      );
+      // Therapy takes an hour and 15 minutes of cleanup after
+      await db.query(
+        `INSERT INTO providers (id, tenant_id, npi, first_name, last_name, max_daily_capacity,
+           default_appointment_durations, appointment_buffers)
+         VALUES ($1, $2, '1234567890', 'Grace', 'Hopper', 3, $3, $4)`,
+        [
+          providerId,
+          tenantId,
+          JSON.stringify({ therapy: 60 }),
+          JSON.stringify({ therapy: { before: 0, after: 15 } }),
+        ]
+      );
+      await db.query(
+        `INSERT INTO patients (id, tenant_id, mrn, first_name, last_name, date_of_birth)
+         VALUES ($1, $2, 'MRN-1', 'Ada', 'Lovelace', '1980-01-01')`,
+        [patientId, tenantId]
+      );
+      await db.query(
+        `INSERT INTO provider_availability (provider_id, facility_id, day_of_week, start_time,
+           end_time, slot_duration, effective_from)
+         VALUES ($1, $2, 1, '09:00', '12:00', 30, $3)`,
+        [providerId, facilityId, busyMonday]
+      );
+    });
+  });
+
+  afterAll(async () => {
+    await db.pool.end();
+  });
+
+  it("keeps the provider free for a booking's buffers until the day is full", async () => {
+    const therapy = await book('therapy', `${busyMonday}T09:00`, 60);
+
+    expect(therapy).toMatchObject({ buffer_before_minutes: 0, buffer_after_minutes: 15 });
+
+    // Inside the buffer after the session
+    await expect(book('follow-up', `${busyMonday}T10:00`, 20)).rejects.toThrow(
+      'Provider already has an appointment at this time'
+    );
+    await book('follow-up', `${busyMonday}T10:15`, 20);
+
+    // The session's buffer and the follow-up until 10:35 take out 10:30
+    expect(await slotTimesOn(busyMonday, 'lab')).toEqual(['11:00', '11:30']);
+
+    await book('lab', `${busyMonday}T11:00`, 15);
+    await expect(book('lab', `${busyMonday}T11:30`, 15)).rejects.toThrow(
+      'Provider is fully booked on this day'
+    );
+    expect(await slotTimesOn(busyMonday, 'lab')).toEqual([]);
+  });
+
+  it('offers slots as long as the type takes with the provider', async () => {
+    const slots = await asTenant(() =>
+      service.findAvailableSlots(tenantId, {
+        providerId,
+        appointmentType: 'therapy',
+        startDate: nextMonday,
+        endDate: nextMonday,
+      })
+    );
+
+    // 11:00 would keep the provider until 12:15
+    expect(slots.map((slot) => slot.local_start_time.slice(11, 16))).toEqual([
+      '09:00',
+      '09:30',
+      '10:00',
+      '10:30',
+    ]);
+    expect(slots[0].duration_minutes).toBe(60);
+  });
+
+  it('gives an appointment the length and buffers of a type it is changed to', async () => {
+    const followUp = await book('follow-up', `${nextMonday}T09:00`, 20);
+
+    const updated = await asTenant(() =>
+      service.updateAppointment(tenantId, followUp.id, { appointment_type: 'therapy' }, null)
+    );
+
+    expect(updated).toMatchObject({
+      appointment_type: 'therapy',
+      duration_minutes: 60,
+      buffer_after_minutes: 15,
+    });
+    expect(new Date(updated.scheduled_end) - new Date(updated.scheduled_start)).toBe(3600000);
+  });
+});
@@ -0,0 +1,121 @@
+jest.mock('../../src/config/cache', () => ({
+  get: jest.fn().mockResolvedValue(null),
+  setex: jest.fn(),
+  del: jest.fn(),
+}));
+jest.mock('../../src/config/queue');
+
+const { v4: uuidv4 } = require('uuid');
+const db = require('../../src/config/database');
+const AppointmentService = require('../../src/services/appointment.service');
+const AuditService = require('../../src/services/audit.service');
+const { logAudit } = require('../../src/utils/audit');
+
+/**
+ * Audit chain against Postgres
+ *
+ * Needs the same scratch database as booking.test.js and is skipped when
+ * DB_HOST is not set.
+ */
+const describeWithDatabase = process.env.DB_HOST ? describe : describe.skip;
+
+describeWithDatabase('audit chain against Postgres', () => {
+  const appointments = new AppointmentService();
+  const audit = new AuditService();
+  const tenantId = uuidv4();
+  const facilityId = uuidv4();
+  const providerId = uuidv4();
+  const patientIds = [1, 2].map(() => uuidv4());
+  const year = new Date().getUTCFullYear() + 1;
+
+  const asTenant = (fn) => db.runWithTenant(tenantId, fn);
+  const booking = (patientId, scheduledStart) => ({
+    patient_id: patientId,
+    provider_id: providerId,
+    facility_id: facilityId,
+    appointment_type: 'follow-up',
+    scheduled_start: scheduledStart,
+    duration_minutes: 30,
+  });
+
+  beforeAll(async () => {
+    await db.runAsSystem(async () => {
+      await db.query('INSERT INTO tenants (id, name, subdomain) VALUES ($1, $2, $3)', [
+        tenantId,
+        'Audit chain test',
+        `audit-${tenantId}`,
+      ]);
+      await db.query(
+        `INSERT INTO facilities (id, tenant_id, name, facility_type, address, timezone)
+         VALUES ($1, $2, 'Main Clinic', 'clinic', '{}', 'America/Chicago')`,
+        [facilityId, tenantId]
+      );
+      await db.query(
+        `INSERT INTO providers (id, tenant_id, npi, first_name, last_name)
+         VALUES ($1, $2, '1234567890', 'Grace', 'Hopper')`,
+        [providerId, tenantId]
+      );
+
+      for (const [index, patientId] of patientIds.entries()) {
+        await db.query(
+          `INSERT INTO patients (id, tenant_id, mrn, first_name, last_name, date_of_birth)
+           VALUES ($1, $2, $3, 'Ada', 'Lovelace', '1980-01-01')`,
+          [patientId, tenantId, `MRN-${index}`]
+        );
+      }
+    });
+  });
+
+  afterAll(async () => {
+    await db.pool.end();
+  });
+
+  it('lets a booking commit while another transaction holds unchained entries', async () => {
+    await asTenant(() =>
+      db.withTransaction(async () => {
+        // Like a transaction Bundle: an audited write, then a booking
+        const client = await db.connect();
+
+        try {
+          await logAudit({
+            tenantId,
+            entityType: 'patient',
+            entityId: patientIds[0],
+            action: 'UPDATE',
+            client,
+          });
+        } finally {
+          client.release();
+        }
+
+        // Its own transaction, which books and audits the same provider
+        await db.runWithTenant(tenantId, () =>
+          appointments.createAppointment(
+            tenantId,
+            booking(patientIds[1], `${year}-03-02T09:00`),
+            null
+          )
+        );
+
+        await appointments.createAppointment(
+          tenantId,
+          booking(patientIds[0], `${year}-03-02T10:00`),
+          null
+        );
+      })
+    );
+
+    const result = await asTenant(() => audit.verifyChain(tenantId));
+
+    expect(result).toMatchObject({ verified: true, head_seq: result.to_seq });
+    expect(result.checked).toBeGreaterThanOrEqual(3);
+  });
+
+  it('still rejects updates of chained entries', async () => {
+    await expect(
+      asTenant(() =>
+        db.query(`UPDATE audit_logs SET action = 'DELETE' WHERE tenant_id = $1`, [tenantId])
+      )
+    ).rejects.toMatchObject({ code: '42501' });
+  });
+});
@@ -0,0 +1,170 @@
+jest.mock('../../src/config/cache', () => ({
+  get: jest.fn().mockResolvedValue(null),
+  setex: jest.fn(),
+  del: jest.fn(),
+}));
+jest.mock('../../src/config/queue');
+
+const { v4: uuidv4 } = require('uuid');
+const db = require('../../src/config/database');
+const AppointmentService = require('../../src/services/appointment.service');
+const AvailabilityService = require('../../src/services/availability.service');
+const { ConflictError } = require('../../src/utils/errors');
+const { addCalendarDays, getDayOfWeek } = require('../../src/utils/availability');
+
+/**
+ * Holidays, blocks and ad-hoc sessions against Postgres
+ *
+ * Needs the same scratch database as booking.test.js and is skipped when
+ * DB_HOST is not set.
+ */
+const describeWithDatabase = process.env.DB_HOST ? describe : describe.skip;
+
+describeWithDatabase('availability exceptions against Postgres', () => {
+  const appointments = new AppointmentService();
+  const availability = new AvailabilityService();
+  const tenantId = uuidv4();
+  const facilityId = uuidv4();
+  const providerId = uuidv4();
+  const patientId = uuidv4();
+
+  // Three Mondays in February next year, before DST starts in Chicago
+  const firstOfFebruary = `${new Date().getUTCFullYear() + 1}-02-01`;
+  const firstMonday = addCalendarDays(firstOfFebruary, (8 - getDayOfWeek(firstOfFebruary)) % 7);
+  const [holidayMonday, blockedMonday, plainMonday] = [0, 7, 14].map((days) =>
+    addCalendarDays(firstMonday, days)
+  );
+
+  const asTenant = (fn) => db.runWithTenant(tenantId, fn);
+  const book = (scheduledStart) =>
+    asTenant(() =>
+      appointments.createAppointment(
+        tenantId,
+        {
+          patient_id: patientId,
+          provider_id: providerId,
+          facility_id: facilityId,
+          appointment_type: 'follow-up',
+          scheduled_start: scheduledStart,
+          duration_minutes: 30,
+        },
+        null
+      )
+    );
+  const slotTimesOn = async (date) => {
+    const slots = await asTenant(() =>
+      appointments.findAvailableSlots(tenantId, { providerId, startDate: date, endDate: date })
+    );
+    return slots.map((slot) => slot.local_start_time.slice(11, 16));
+  };
+
+  beforeAll(async () => {
+    await db.runAsSystem(async () => {
+      await db.query('INSERT INTO tenants (id, name, subdomain) VALUES ($1, $2, $3)', [
+        tenantId,
+        'Exceptions test',
+        `exceptions-${tenantId}`,
+      ]);
+      await db.query(
+        `INSERT INTO facilities (id, tenant_id, name, facility_type, address, timezone)
+         VALUES ($1, $2, 'Main Clinic', 'clinic', '{}', 'America/Chicago')`,
+        [facilityId, tenantId]
+      );
+      await db.query(
+        `INSERT INTO providers (id, tenant_id, npi, first_name, last_name)
+         VALUES ($1, $2, '1234567890', 'Grace', 'Hopper')`,
+        [providerId, tenantId]
+      );
+      await db.query(
+        `INSERT INTO patients (id, tenant_id, mrn, first_name, last_name, date_of_birth)
+         VALUES ($1, $2, 'MRN-1', 'Ada', 'Lovelace', '1980-01-01')`,
+        [patientId, tenantId]
+      );
+      // Mondays 09:00 to 11:00 in hour-long slots
+      await db.query(
+        `INSERT INTO provider_availability (provider_id, facility_id, day_of_week, start_time,
+           end_time, slot_duration, effective_from)
+         VALUES ($1, $2, 1, '09:00', '11:00', 60, $3)`,
+        [providerId, facilityId, firstMonday]
+      );
+    });
+  });
+
+  afterAll(async () => {
+    await db.pool.end();
+  });
+
+  it('offers the weekly slots on a day without exceptions', async () => {
+    expect(await slotTimesOn(plainMonday)).toEqual(['09:00', '10:00']);
+  });
+
+  it('closes the weekly slots on a holiday but keeps an ad-hoc session that day', async () => {
+    const booked = await book(`${holidayMonday}T09:00`);
+
+    const { affected_appointments: affected } = await asTenant(() =>
+      availability.createHoliday(
+        tenantId,
+        { name: 'Staff day', holiday_date: holidayMonday, facility_id: facilityId },
+        null
+      )
+    );
+    expect(affected.map((appointment) => appointment.id)).toEqual([booked.id]);
+
+    await asTenant(() =>
+      availability.createException(
+        tenantId,
+        {
+          exception_type: 'session',
+          provider_id: providerId,
+          facility_id: facilityId,
+          start_date: holidayMonday,
+          start_time: '14:00',
+          end_time: '15:00',
+          slot_duration: 30,
+        },
+        null
+      )
+    );
+
+    expect(await slotTimesOn(holidayMonday)).toEqual(['14:00', '14:30']);
+    await expect(book(`${holidayMonday}T10:00`)).rejects.toThrow(
+      'Provider is not available at this time'
+    );
+  });
+
+  it('reports the appointments a block falls on and takes its times out', async () => {
+    const booked = await book(`${blockedMonday}T10:00`);
+
+    const { exception, affected_appointments: affected } = await asTenant(() =>
+      availability.createException(
+        tenantId,
+        {
+          exception_type: 'block',
+          provider_id: providerId,
+          start_date: blockedMonday,
+          start_time: '09:30',
+          end_time: '10:15',
+          reason: 'Conference call',
+        },
+        null
+      )
+    );
+
+    expect(affected).toEqual([
+      expect.objectContaining({ id: booked.id, patient_first_name: 'Ada' }),
+    ]);
+    expect(await slotTimesOn(blockedMonday)).toEqual([]);
+
+    const conflict = await book(`${blockedMonday}T09:15`).catch((failure) => failure);
+    expect(conflict).toBeInstanceOf(ConflictError);
+    expect(conflict.message).toBe('Provider is not available at this time');
+    expect(conflict.details).toMatchObject({
+      exceptionId: exception.id,
+      reason: 'Conference call',
+    });
+
+    // Once the block is gone the free hour is offered again
+    await asTenant(() => availability.deleteException(tenantId, exception.id, null));
+    expect(await slotTimesOn(blockedMonday)).toEqual(['09:00']);
+  });
+});
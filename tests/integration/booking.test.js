@@ -0,0 +1,199 @@
+jest.mock('../../src/config/cache', () => ({
+  get: jest.fn().mockResolvedValue(null),
+  setex: jest.fn(),
+  del: jest.fn(),
+}));
+jest.mock('../../src/config/queue');
+
+const { v4: uuidv4 } = require('uuid');
+const db = require('../../src/config/database');
+const AppointmentService = require('../../src/services/appointment.service');
+const { ConflictError } = require('../../src/utils/errors');
+
+/**
+ * Booking against Postgres
+ *
+ * Runs against the database named by DB_HOST, DB_NAME, DB_USER and
+ * DB_PASSWORD, which must have every migration applied, and is skipped when
+ * DB_HOST is not set. Each run books into a tenant of its own.
+ */
+const describeWithDatabase = process.env.DB_HOST ? describe : describe.skip;
+
+describeWithDatabase('booking against Postgres', () => {
+  const service = new AppointmentService();
+  const tenantId = uuidv4();
+  const facilityId = uuidv4();
+  const providerId = uuidv4();
+  const otherProviderId = uuidv4();
+  const roomId = uuidv4();
+  const patientIds = [1, 2, 3, 4, 5].map(() => uuidv4());
+  const year = new Date().getUTCFullYear() + 1;
+
+  const asTenant = (fn) => db.runWithTenant(tenantId, fn);
+  const booking = (patientId, scheduledStart) => ({
+    patient_id: patientId,
+    provider_id: providerId,
+    facility_id: facilityId,
+    appointment_type: 'follow-up',
+    scheduled_start: scheduledStart,
+    duration_minutes: 30,
+  });
+
+  beforeAll(async () => {
+    await db.runAsSystem(async () => {
+      await db.query('INSERT INTO tenants (id, name, subdomain) VALUES ($1, $2, $3)', [
+        tenantId,
+        'Booking test',
+        `booking-${tenantId}`,
+      ]);
+      await db.query(
+        `INSERT INTO facilities (id, tenant_id, name, facility_type, address, timezone)
+         VALUES ($1, $2, 'Main Clinic', 'clinic', '{}', 'America/Chicago')`,
+        [facilityId, tenantId]
+      );
+      await db.query(
+        `INSERT INTO providers (id, tenant_id, npi, first_name, last_name)
+         VALUES ($1, $2, '1234567890', 'Grace', 'Hopper'), ($3, $2, '0987654321', 'Alan', 'Turing')`,
+        [providerId, tenantId, otherProviderId]
+      );
+      await db.query(
+        `INSERT INTO resources (id, tenant_id, facility_id, name, resource_type)
+         VALUES ($1, $2, $3, 'Room 1', 'procedure_room')`,
+        [roomId, tenantId, facilityId]
+      );
+
+      for (const [index, patientId] of patientIds.entries()) {
+        await db.query(
+          `INSERT INTO patients (id, tenant_id, mrn, first_name, last_name, date_of_birth)
+           VALUES ($1, $2, $3, 'Ada', 'Lovelace', '1980-01-01')`,
+          [patientId, tenantId, `MRN-${index}`]
+        );
+      }
+    });
+  });
+
+  afterAll(async () => {
+    await db.pool.end();
+  });
+
+  it('books a provider once when several bookings race for the same slot', async () => {
+    const results = await asTenant(() =>
+      Promise.allSettled(
+        patientIds.map((patientId) =>
+          service.createAppointment(tenantId, booking(patientId, `${year}-03-02T09:00`), null)
+        )
+      )
+    );
+
+    const rejected = results.filter((result) => result.status === 'rejected');
+
+    expect(rejected).toHaveLength(patientIds.length - 1);
+    rejected.forEach(({ reason }) => {
+      expect(reason).toBeInstanceOf(ConflictError);
+    });
+
+    const stored = await asTenant(() =>
+      db.query('SELECT id FROM appointments WHERE tenant_id = $1 AND provider_id = $2', [
+        tenantId,
+        providerId,
+      ])
+    );
+    expect(stored.rows).toHaveLength(1);
+  });
+
+  it('rejects an overlapping insert that skips the checks at the constraint', async () => {
+    const insert = (patientId, start, end) =>
+      asTenant(() =>
+        db.query(
+          `INSERT INTO appointments (
+             tenant_id, patient_id, provider_id, facility_id, appointment_type,
+             scheduled_start, scheduled_end, duration_minutes
+           ) VALUES ($1, $2, $3, $4, 'follow-up', $5, $6, 30)`,
+          [tenantId, patientId, providerId, facilityId, start, end]
+        )
+      );
+
+    await insert(patientIds[0], `${year}-04-06T15:00:00Z`, `${year}-04-06T15:30:00Z`);
+
+    await expect(
+      insert(patientIds[1], `${year}-04-06T15:15:00Z`, `${year}-04-06T15:45:00Z`)
+    ).rejects.toMatchObject({ code: '23P01', constraint: 'excl_appointments_provider_overlap' });
+  });
+
+  it('books a room once when two providers race for it', async () => {
+    const procedure = (patientId, provider) => ({
+      ...booking(patientId, `${year}-05-04T09:00`),
+      provider_id: provider,
+      appointment_type: 'procedure',
+    });
+
+    const results = await asTenant(() =>
+      Promise.allSettled([
+        service.createAppointment(tenantId, procedure(patientIds[0], providerId), null),
+        service.createAppointment(tenantId, procedure(patientIds[1], otherProviderId), null),
+      ])
+    );
+
+    expect(results.map((result) => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect(results.find((result) => result.status === 'rejected').reason).toBeInstanceOf(
+      ConflictError
+    );
+  });
+
+  it('rejects a room assigned to two overlapping appointments at the constraint', async () => {
+    const assignBoth = () =>
+      asTenant(() =>
+        db.withTransaction(async () => {
+          for (const [index, provider] of [providerId, otherProviderId].entries()) {
+            const appointment = await db.query(
+              `INSERT INTO appointments (
+                 tenant_id, patient_id, provider_id, facility_id, appointment_type,
+                 scheduled_start, scheduled_end, duration_minutes
+               ) VALUES ($1, $2, $3, $4, 'procedure', $5, $6, 30)
+               RETURNING id`,
+              [
+                tenantId,
+                patientIds[index],
+                provider,
+                facilityId,
+                `${year}-06-01T15:${index}0:00Z`,
+                `${year}-06-01T15:${index + 3}0:00Z`,
+              ]
+            );
+            await db.query(
+              `INSERT INTO appointment_resources (tenant_id, appointment_id, resource_id)
+               VALUES ($1, $2, $3)`,
+              [tenantId, appointment.rows[0].id, roomId]
+            );
+          }
+        })
+      );
+
+    await expect(assignBoth()).rejects.toMatchObject({
+      code: '23P01',
+      constraint: 'excl_appointment_resources_overlap',
+    });
+  });
+
+  it('moves an appointment onto a time its room is free', async () => {
+    const moved = await asTenant(async () => {
+      const appointment = await service.createAppointment(
+        tenantId,
+        {
+          ...booking(patientIds[2], `${year}-07-06T09:00`),
+          appointment_type: 'procedure',
+        },
+        null
+      );
+
+      return service.updateAppointment(
+        tenantId,
+        appointment.id,
+        { scheduled_start: `${year}-07-06T09:15` },
+        null
+      );
+    });
+
+    expect(moved.resources).toEqual([expect.objectContaining({ id: roomId })]);
+  });
+});
@@ -0,0 +1,164 @@
+jest.mock('../../src/config/cache', () => ({
+  get: jest.fn().mockResolvedValue(null),
+  setex: jest.fn(),
+  del: jest.fn(),
+}));
+jest.mock('../../src/config/queue');
+
+const { v4: uuidv4 } = require('uuid');
+const db = require('../../src/config/database');
+const CcdService = require('../../src/services/ccd.service');
+const { ValidationError } = require('../../src/utils/errors');
+
+/**
+ * C-CDA import against Postgres, using a CCD generated for another patient
+ *
+ * Needs the same scratch database as booking.test.js and is skipped when
+ * DB_HOST is not set.
+ */
+const describeWithDatabase = process.env.DB_HOST ? describe : describe.skip;
+
+describeWithDatabase('CCD import against Postgres', () => {
+  const service = new CcdService();
+  const tenantId = uuidv4();
+  const providerId = uuidv4();
+  const [sourceId, targetId, unassignedId] = [uuidv4(), uuidv4(), uuidv4()];
+  let ccd;
+
+  const asTenant = (fn) => db.runWithTenant(tenantId, fn);
+
+  const medicationsOf = (patientId) =>
+    asTenant(async () => {
+      const result = await db.query(
+        `SELECT medication_name, rxnorm_code, prescribing_provider_id FROM medications
+         WHERE tenant_id = $1 AND patient_id = $2 ORDER BY medication_name`,
+        [tenantId, patientId]
+      );
+      return result.rows;
+    });
+
+  const diagnosesOf = (patientId) =>
+    asTenant(async () => {
+      const result = await db.query(
+        'SELECT primary_diagnosis, icd10_codes FROM patients WHERE tenant_id = $1 AND id = $2',
+        [tenantId, patientId]
+      );
+      return result.rows[0];
+    });
+
+  const addMedication = (patientId, name, rxnormCode) =>
+    db.query(
+      `INSERT INTO medications (tenant_id, patient_id, prescribing_provider_id, medication_name,
+         rxnorm_code, dosage, route, frequency, start_date)
+       VALUES ($1, $2, $3, $4, $5, '500 mg', 'oral', 'twice daily', '2026-01-01')`,
+      [tenantId, patientId, providerId, name, rxnormCode]
+    );
+
+  beforeAll(async () => {
+    await db.runAsSystem(async () => {
+      await db.query('INSERT INTO tenants (id, name, subdomain) VALUES ($1, $2, $3)', [
+        tenantId,
+        'CCD test',
+        `ccd-${tenantId}`,
+      ]);
+      await db.query(
+        `INSERT INTO providers (id, tenant_id, npi, first_name, last_name)
+         VALUES ($1, $2, '1234567890', 'Grace', 'Hopper')`,
+        [providerId, tenantId]
+      );
+      await db.query(
+        `INSERT INTO patients (id, tenant_id, mrn, first_name, last_name, date_of_birth,
+           primary_diagnosis, icd10_codes)
+         VALUES ($1, $2, 'MRN-1', 'Ada', 'Lovelace', '1980-12-01', 'Type 2 diabetes', $3),
+                ($4, $2, 'MRN-2', 'Alan', 'Turing', '1970-06-23', NULL, $5),
+                ($6, $2, 'MRN-3', 'Edsger', 'Dijkstra', '1960-05-11', NULL, '[]')`,
+        [
+          sourceId,
+          tenantId,
+          JSON.stringify(['E11.9', 'I10']),
+          targetId,
+          JSON.stringify(['I10']),
+          unassignedId,
+        ]
+      );
+      await db.query(
+        `INSERT INTO patient_providers (patient_id, provider_id, relationship_type, is_primary)
+         VALUES ($1, $2, 'care_team', true)`,
+        [targetId, providerId]
+      );
+
+      await addMedication(sourceId, 'Metformin 500 MG Oral Tablet', '861007');
+      await addMedication(sourceId, 'Lisinopril 10 MG Oral Tablet', '314076');
+      // Same drug as the source's, recorded by name only
+      await addMedication(targetId, 'metformin 500 mg oral tablet', null);
+    });
+
+    ccd = await asTenant(() => service.generateCcd(tenantId, sourceId));
+  });
+
+  afterAll(async () => {
+    await db.pool.end();
+  });
+
+  it('reports what it would import without writing anything on a dry run', async () => {
+    const result = await asTenant(() =>
+      service.importCcd(tenantId, targetId, ccd, { dryRun: true })
+    );
+
+    expect(result.dryRun).toBe(true);
+    expect(result.medications.imported.map((medication) => medication.medication_name)).toEqual([
+      'Lisinopril 10 MG Oral Tablet',
+    ]);
+    expect(result.medications.skipped).toEqual([
+      expect.objectContaining({
+        medication_name: 'Metformin 500 MG Oral Tablet',
+        reason: 'Already an active medication',
+      }),
+    ]);
+    expect(result.problems.imported).toEqual([
+      { name: 'Type 2 diabetes', codes: [], primary: true },
+      { name: null, codes: ['E11.9'], primary: false },
+    ]);
+
+    expect(await medicationsOf(targetId)).toHaveLength(1);
+    expect(await diagnosesOf(targetId)).toEqual({ primary_diagnosis: null, icd10_codes: ['I10'] });
+  });
+
+  it("imports what is new, prescribed by the patient's primary provider", async () => {
+    await asTenant(() => service.importCcd(tenantId, targetId, ccd));
+
+    expect(await medicationsOf(targetId)).toEqual([
+      {
+        medication_name: 'Lisinopril 10 MG Oral Tablet',
+        rxnorm_code: '314076',
+        prescribing_provider_id: providerId,
+      },
+      expect.objectContaining({ medication_name: 'metformin 500 mg oral tablet' }),
+    ]);
+    expect(await diagnosesOf(targetId)).toEqual({
+      primary_diagnosis: 'Type 2 diabetes',
+      icd10_codes: ['I10', 'E11.9'],
+    });
+
+    // Importing the same document again finds nothing new
+    const again = await asTenant(() => service.importCcd(tenantId, targetId, ccd));
+    expect(again.medications.imported).toEqual([]);
+    expect(again.problems.imported).toEqual([]);
+  });
+
+  it('needs a prescriber from the tenant when the patient has no primary provider', async () => {
+    await expect(asTenant(() => service.importCcd(tenantId, unassignedId, ccd))).rejects.toThrow(
+      'Imported medications need a prescribing provider'
+    );
+    await expect(
+      asTenant(() => service.importCcd(tenantId, unassignedId, ccd, { providerId: uuidv4() }))
+    ).rejects.toThrow(ValidationError);
+
+    // Nothing from the failed imports was kept
+    expect(await medicationsOf(unassignedId)).toEqual([]);
+    expect(await diagnosesOf(unassignedId)).toEqual({ primary_diagnosis: null, icd10_codes: [] });
+
+    await asTenant(() => service.importCcd(tenantId, unassignedId, ccd, { providerId }));
+    expect(await medicationsOf(unassignedId)).toHaveLength(2);
+  });
+});
@@ -0,0 +1,178 @@
+jest.mock('../../src/config/cache', () => ({
+  get: jest.fn().mockResolvedValue(null),
+  setex: jest.fn(),
+  del: jest.fn(),
+}));
+jest.mock('../../src/config/queue');
+
+const { v4: uuidv4 } = require('uuid');
+const db = require('../../src/config/database');
+const FhirBundleService = require('../../src/services/fhirBundle.service');
+const { toFHIRPatient, toFHIRPractitioner } = require('../../src/utils/fhir');
+const { NotFoundError } = require('../../src/utils/errors');
+const logger = require('../../src/utils/logger');
+
+/**
+ * Bundles and shared transactions against Postgres
+ *
+ * Needs the same scratch database as booking.test.js and is skipped when
+ * DB_HOST is not set.
+ */
+const describeWithDatabase = process.env.DB_HOST ? describe : describe.skip;
+
+describeWithDatabase('FHIR Bundles against Postgres', () => {
+  const service = new FhirBundleService();
+  const tenantId = uuidv4();
+
+  const asTenant = (fn) => db.runWithTenant(tenantId, fn);
+
+  const patientEntry = (mrn) => ({
+    resource: toFHIRPatient({
+      mrn,
+      first_name: 'Ada',
+      last_name: 'Lovelace',
+      date_of_birth: '1980-01-01',
+      contact_info: {},
+      is_active: true,
+    }),
+    request: { method: 'POST', url: 'Patient' },
+  });
+  // Updates a Practitioner that does not exist
+  const missingId = uuidv4();
+  const missingEntry = {
+    resource: toFHIRPractitioner({
+      id: missingId,
+      npi: '1234567890',
+      first_name: 'Grace',
+      last_name: 'Hopper',
+      contact_info: {},
+      is_active: true,
+    }),
+    request: { method: 'PUT', url: `Practitioner/${missingId}` },
+  };
+
+  const countPatients = (mrn) =>
+    asTenant(async () => {
+      const result = await db.query('SELECT COUNT(*) FROM patients WHERE mrn = $1', [mrn]);
+      return parseInt(result.rows[0].count, 10);
+    });
+
+  beforeAll(async () => {
+    await db.runAsSystem(() =>
+      db.query('INSERT INTO tenants (id, name, subdomain) VALUES ($1, $2, $3)', [
+        tenantId,
+        'Bundle test',
+        `bundle-${tenantId}`,
+      ])
+    );
+  });
+
+  afterAll(async () => {
+    await db.pool.end();
+  });
+
+  it('rolls a whole transaction back when an entry fails', async () => {
+    const bundle = {
+      resourceType: 'Bundle',
+      type: 'transaction',
+      entry: [patientEntry('MRN-T1'), missingEntry],
+    };
+
+    await expect(asTenant(() => service.process(tenantId, bundle, null))).rejects.toThrow(
+      NotFoundError
+    );
+    expect(await countPatients('MRN-T1')).toBe(0);
+  });
+
+  it('keeps the entries of a batch that succeeded', async () => {
+    const bundle = {
+      resourceType: 'Bundle',
+      type: 'batch',
+      entry: [patientEntry('MRN-B1'), missingEntry],
+    };
+
+    const { results } = await asTenant(() => service.process(tenantId, bundle, null));
+
+    expect(results[0]).toMatchObject({ status: 201 });
+    expect(results[1].error).toBeInstanceOf(NotFoundError);
+    expect(await countPatients('MRN-B1')).toBe(1);
+  });
+
+  describe('withTransaction', () => {
+    const insertPatient = (mrn) =>
+      db.query(
+        `INSERT INTO patients (tenant_id, mrn, first_name, last_name, date_of_birth)
+         VALUES ($1, $2, 'Ada', 'Lovelace', '1980-01-01')`,
+        [tenantId, mrn]
+      );
+
+    it("turns a service's own transaction into a savepoint", async () => {
+      await asTenant(() =>
+        db.withTransaction(async () => {
+          await insertPatient('MRN-S1');
+
+          // What a service does on failure: roll back its own work only
+          const client = await db.connect();
+          await client.query('BEGIN');
+          await client.query(
+            `INSERT INTO patients (tenant_id, mrn, first_name, last_name, date_of_birth)
+             VALUES ($1, 'MRN-S2', 'Ada', 'Lovelace', '1980-01-01')`,
+            [tenantId]
+          );
+          await client.query('ROLLBACK');
+          client.release();
+        })
+      );
+
+      expect(await countPatients('MRN-S1')).toBe(1);
+      expect(await countPatients('MRN-S2')).toBe(0);
+    });
+
+    it('holds afterCommit tasks until the commit and drops them on rollback', async () => {
+      const committed = [];
+
+      await asTenant(() =>
+        db.withTransaction(async () => {
+          await insertPatient('MRN-C1');
+          await db.afterCommit(async () => {
+            committed.push(await countPatients('MRN-C1'));
+          });
+          expect(committed).toEqual([]);
+        })
+      );
+
+      await expect(
+        asTenant(() =>
+          db.withTransaction(async () => {
+            await insertPatient('MRN-C2');
+            await db.afterCommit(async () => committed.push('rolled back'));
+            throw new Error('fail');
+          })
+        )
+      ).rejects.toThrow('fail');
+
+      // Seen from another connection, so the insert was committed first
+      expect(committed).toEqual([1]);
+      expect(await countPatients('MRN-C2')).toBe(0);
+    });
+
+    it('does not fail the caller when an afterCommit task fails', async () => {
+      const logError = jest.spyOn(logger, 'error').mockImplementation(() => {});
+
+      await expect(
+        asTenant(() =>
+          db.withTransaction(async () => {
+            await insertPatient('MRN-F1');
+            await db.afterCommit(async () => {
+              throw new Error('queue unavailable');
+            });
+            return 'done';
+          })
+        )
+      ).resolves.toBe('done');
+      expect(await countPatients('MRN-F1')).toBe(1);
+      expect(logError).toHaveBeenCalledWith('Post-commit task failed', expect.any(Error));
+      logError.mockRestore();
+    });
+  });
+});
@@ -0,0 +1,175 @@
+jest.mock('../../src/config/cache', () => ({
+  get: jest.fn().mockResolvedValue(null),
+  setex: jest.fn(),
+  del: jest.fn(),
+}));
+jest.mock('../../src/config/queue');
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Files go to a scratch local store rather than a bucket
+const documentsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fhir-export-'));
+process.env.DOCUMENTS_DIR = documentsDir;
+delete process.env.DOCUMENTS_BUCKET;
+
+const { v4: uuidv4 } = require('uuid');
+const db = require('../../src/config/database');
+const { publishToQueue } = require('../../src/config/queue');
+const FhirExportService = require('../../src/services/fhirExport.service');
+const { NotFoundError } = require('../../src/utils/errors');
+
+/**
+ * FHIR Bulk Data $export against Postgres
+ *
+ * Needs the same scratch database as booking.test.js and is skipped when
+ * DB_HOST is not set.
+ */
+const describeWithDatabase = process.env.DB_HOST ? describe : describe.skip;
+
+describeWithDatabase('FHIR $export against Postgres', () => {
+  const service = new FhirExportService();
+  const tenantId = uuidv4();
+  const providerId = uuidv4();
+  const [panelId, otherId] = [uuidv4(), uuidv4()];
+
+  const actor = { tenantId, userId: 'exporter', userType: 'user', role: 'admin' };
+  const asTenant = (fn) => db.runWithTenant(tenantId, fn);
+
+  /**
+   * Start an export and run it as the worker would
+   */
+  async function exportOf(request) {
+    return asTenant(async () => {
+      const job = await service.startExport(
+        tenantId,
+        { requestUrl: 'https://api.example.com/fhir/r4/$export', ...request },
+        actor
+      );
+      await service.runExport(tenantId, job.id);
+      return service.getExport(tenantId, job.id, actor);
+    });
+  }
+
+  const readFile = async (job, file) => {
+    const { body } = await asTenant(() => service.getExportFile(tenantId, job.id, file, actor));
+    return body
+      .trim()
+      .split('\n')
+      .map((line) => JSON.parse(line));
+  };
+
+  beforeAll(async () => {
+    await db.runAsSystem(async () => {
+      await db.query('INSERT INTO tenants (id, name, subdomain) VALUES ($1, $2, $3)', [
+        tenantId,
+        'Export test',
+        `export-${tenantId}`,
+      ]);
+      await db.query(
+        `INSERT INTO providers (id, tenant_id, npi, first_name, last_name)
+         VALUES ($1, $2, '1234567890', 'Grace', 'Hopper')`,
+        [providerId, tenantId]
+      );
+
+      for (const [index, patientId] of [panelId, otherId].entries()) {
+        await db.query(
+          `INSERT INTO patients (id, tenant_id, mrn, first_name, last_name, date_of_birth)
+           VALUES ($1, $2, $3, 'Ada', 'Lovelace', '1980-01-01')`,
+          [patientId, tenantId, `MRN-${index}`]
+        );
+      }
+
+      await db.query(
+        `INSERT INTO patient_providers (patient_id, provider_id, relationship_type, is_primary)
+         VALUES ($1, $2, 'care_team', true)`,
+        [panelId, providerId]
+      );
+    });
+  });
+
+  afterAll(async () => {
+    await db.pool.end();
+    fs.rmSync(documentsDir, { recursive: true, force: true });
+  });
+
+  it('writes one NDJSON file per resource type that has resources', async () => {
+    const job = await exportOf({ types: ['Patient', 'Practitioner', 'Appointment'] });
+
+    expect(publishToQueue).toHaveBeenCalledWith(
+      expect.any(String),
+      { tenantId, jobId: job.id },
+      { messageId: job.id }
+    );
+    expect(job.status).toBe('completed');
+    // No appointments, so no Appointment file
+    expect(job.output).toEqual([
+      { type: 'Patient', file: 'Patient.ndjson', count: 2 },
+      { type: 'Practitioner', file: 'Practitioner.ndjson', count: 1 },
+    ]);
+
+    const patients = await readFile(job, 'Patient.ndjson');
+    expect(patients.map((patient) => patient.id).sort()).toEqual([panelId, otherId].sort());
+    expect(patients[0].resourceType).toBe('Patient');
+  });
+
+  it("only exports a Group's care team patients", async () => {
+    const job = await exportOf({ types: ['Patient'], groupId: providerId });
+
+    expect(job.output).toEqual([{ type: 'Patient', file: 'Patient.ndjson', count: 1 }]);
+    expect((await readFile(job, 'Patient.ndjson'))[0].id).toBe(panelId);
+
+    await expect(exportOf({ types: ['Patient'], groupId: uuidv4() })).rejects.toThrow(
+      NotFoundError
+    );
+  });
+
+  it('only exports resources changed after _since', async () => {
+    const job = await exportOf({ types: ['Patient'], since: '2999-01-01T00:00:00.000' });
+
+    expect(job.status).toBe('completed');
+    expect(job.output).toEqual([]);
+  });
+
+  it('runs a redelivered job once', async () => {
+    await asTenant(async () => {
+      const job = await service.startExport(
+        tenantId,
+        { types: ['Practitioner'], requestUrl: 'https://api.example.com/fhir/r4/$export' },
+        actor
+      );
+
+      await expect(service.runExport(tenantId, job.id)).resolves.toMatchObject({
+        status: 'completed',
+      });
+      await expect(service.runExport(tenantId, job.id)).resolves.toBeNull();
+    });
+  });
+
+  it('hides an export from everyone but the principal that started it', async () => {
+    const job = await exportOf({ types: ['Practitioner'] });
+    const other = { ...actor, userId: 'someone-else' };
+
+    await expect(asTenant(() => service.getExport(tenantId, job.id, other))).rejects.toThrow(
+      NotFoundError
+    );
+    await expect(
+      asTenant(() => service.getExportFile(tenantId, job.id, 'Practitioner.ndjson', other))
+    ).rejects.toThrow(NotFoundError);
+  });
+
+  it('deletes the files of a cancelled export', async () => {
+    const job = await exportOf({ types: ['Practitioner'] });
+    const file = path.join(documentsDir, 'bulk-export', tenantId, job.id, 'Practitioner.ndjson');
+
+    expect(fs.existsSync(file)).toBe(true);
+
+    await asTenant(() => service.cancelExport(tenantId, job.id, actor));
+
+    expect(fs.existsSync(file)).toBe(false);
+    await expect(asTenant(() => service.getExport(tenantId, job.id, actor))).rejects.toThrow(
+      NotFoundError
+    );
+  });
+});
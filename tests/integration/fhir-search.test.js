@@ -0,0 +1,116 @@
+jest.mock('../../src/config/cache', () => ({
+  get: jest.fn().mockResolvedValue(null),
+  setex: jest.fn(),
+  del: jest.fn(),
+}));
+jest.mock('../../src/config/queue');
+
+const { v4: uuidv4 } = require('uuid');
+const db = require('../../src/config/database');
+const FhirService = require('../../src/services/fhir.service');
+
+/**
+ * FHIR search against Postgres
+ *
+ * Needs the same scratch database as booking.test.js and is skipped when
+ * DB_HOST is not set.
+ */
+const describeWithDatabase = process.env.DB_HOST ? describe : describe.skip;
+
+describeWithDatabase('FHIR search against Postgres', () => {
+  const service = new FhirService();
+  const tenantId = uuidv4();
+  const facilityId = uuidv4();
+  const providerId = uuidv4();
+  const [adaId, alanId] = [uuidv4(), uuidv4()];
+  const year = new Date().getUTCFullYear() + 1;
+
+  const asTenant = (fn) => db.runWithTenant(tenantId, fn);
+  const search = (resourceType, query, actor = null) =>
+    asTenant(() => service.search(tenantId, resourceType, query, actor));
+
+  beforeAll(async () => {
+    await db.runAsSystem(async () => {
+      await db.query('INSERT INTO tenants (id, name, subdomain) VALUES ($1, $2, $3)', [
+        tenantId,
+        'Search test',
+        `search-${tenantId}`,
+      ]);
+      await db.query(
+        `INSERT INTO facilities (id, tenant_id, name, facility_type, address, timezone)
+         VALUES ($1, $2, 'Main Clinic', 'clinic', '{}', 'America/Chicago')`,
+        [facilityId, tenantId]
+      );
+      await db.query(
+        `INSERT INTO providers (id, tenant_id, npi, first_name, last_name)
+         VALUES ($1, $2, '1234567890', 'Grace', 'Hopper')`,
+        [providerId, tenantId]
+      );
+
+      const patients = [
+        [adaId, 'MRN-1', 'Ada', 'Lovelace', '1815-12-10', `${year}-03-02T15:00:00Z`],
+        [alanId, 'MRN-2', 'Alan', 'Turing', '1912-06-23', `${year}-04-06T15:00:00Z`],
+      ];
+
+      for (const [patientId, mrn, first, last, birthDate, start] of patients) {
+        await db.query(
+          `INSERT INTO patients (id, tenant_id, mrn, first_name, last_name, date_of_birth)
+           VALUES ($1, $2, $3, $4, $5, $6)`,
+          [patientId, tenantId, mrn, first, last, birthDate]
+        );
+        await db.query(
+          `INSERT INTO appointments (
+             tenant_id, patient_id, provider_id, facility_id, appointment_type,
+             scheduled_start, scheduled_end, duration_minutes
+           ) VALUES ($1, $2, $3, $4, 'follow-up', $5, $5::timestamp + interval '30 minutes', 30)`,
+          [tenantId, patientId, providerId, facilityId, start]
+        );
+      }
+    });
+  });
+
+  afterAll(async () => {
+    await db.pool.end();
+  });
+
+  it('finds patients by name, identifier and birth date', async () => {
+    const byName = await search('Patient', { name: ['love'] });
+    const byIdentifier = await search('Patient', { identifier: ['MRN|MRN-2'] });
+    const byBirthDate = await search('Patient', { birthdate: ['lt1900'] });
+
+    expect(byName.resources.map((patient) => patient.id)).toEqual([adaId]);
+    expect(byIdentifier.resources.map((patient) => patient.id)).toEqual([alanId]);
+    expect(byBirthDate.resources.map((patient) => patient.id)).toEqual([adaId]);
+  });
+
+  it('finds appointments through a chained patient identifier', async () => {
+    const { resources, total } = await search('Appointment', {
+      'patient.identifier': ['MRN-2'],
+      date: [`ge${year}-04`],
+    });
+
+    expect(total).toBe(1);
+    expect(resources[0].participant[0].actor.reference).toBe(`Patient/${alanId}`);
+  });
+
+  it('pages with a total across pages and includes referenced resources', async () => {
+    const { resources, included, total } = await search('Appointment', {
+      _count: ['1'],
+      _sort: ['date'],
+      _include: ['Appointment:practitioner'],
+    });
+
+    expect(total).toBe(2);
+    expect(resources).toHaveLength(1);
+    expect(included.map((resource) => `${resource.resourceType}/${resource.id}`)).toEqual([
+      `Practitioner/${providerId}`,
+    ]);
+  });
+
+  it('only finds the own records of a patient token', async () => {
+    const actor = { tenantId, userId: 'portal-user', userType: 'patient', patientId: adaId };
+    const { resources } = await search('Patient', {}, actor);
+
+    expect(resources.map((patient) => patient.id)).toEqual([adaId]);
+  });
+});
@@ -0,0 +1,255 @@
+jest.mock('../../src/config/cache', () => ({
+  get: jest.fn().mockResolvedValue(null),
+  setex: jest.fn(),
+  del: jest.fn(),
+}));
+jest.mock('../../src/config/queue');
+
+const net = require('net');
+const { v4: uuidv4 } = require('uuid');
+const db = require('../../src/config/database');
+const { publishToQueue, QUEUES } = require('../../src/config/queue');
+const AppointmentService = require('../../src/services/appointment.service');
+const Hl7OutboundService = require('../../src/services/hl7Outbound.service');
+const { ConflictError } = require('../../src/utils/errors');
+const {
+  parseMessage,
+  getSegment,
+  getValue,
+  getHeader,
+  buildAck,
+  frameMllp,
+  readMllpFrames,
+} = require('../../src/utils/hl7');
+
+/**
+ * HL7 v2 outbound feed against Postgres and an MLLP receiver on localhost
+ *
+ * Needs the same scratch database as booking.test.js and is skipped when
+ * DB_HOST is not set.
+ */
+const describeWithDatabase = process.env.DB_HOST ? describe : describe.skip;
+
+describeWithDatabase('HL7 outbound feed against Postgres', () => {
+  const appointments = new AppointmentService();
+  const feed = new Hl7OutboundService();
+  const tenantId = uuidv4();
+  const facilityId = uuidv4();
+  const providerId = uuidv4();
+  const patientId = uuidv4();
+  const year = new Date().getUTCFullYear() + 1;
+
+  // What the receiver answers, and the messages it was sent
+  let ackCode = 'AA';
+  const received = [];
+  let receiver;
+
+  const asTenant = (fn) => db.runWithTenant(tenantId, fn);
+  const booking = (scheduledStart) => ({
+    patient_id: patientId,
+    provider_id: providerId,
+    facility_id: facilityId,
+    appointment_type: 'follow-up',
+    scheduled_start: scheduledStart,
+    duration_minutes: 30,
+  });
+
+  const messagesFor = (appointmentId) =>
+    asTenant(async () => {
+      const result = await db.query(
+        `SELECT * FROM hl7_messages WHERE tenant_id = $1 AND entity_id = $2`,
+        [tenantId, appointmentId]
+      );
+      return result.rows;
+    });
+
+  const countOutbound = () =>
+    asTenant(async () => {
+      const result = await db.query(
+        `SELECT COUNT(*) FROM hl7_messages WHERE tenant_id = $1 AND direction = 'outbound'`,
+        [tenantId]
+      );
+      return parseInt(result.rows[0].count, 10);
+    });
+
+  const publishedTo = (queue) =>
+    publishToQueue.mock.calls.filter(([name]) => name === queue).map(([, message]) => message);
+
+  beforeAll(async () => {
+    receiver = net.createServer((socket) => {
+      let buffer = '';
+
+      socket.setEncoding('utf8');
+      socket.on('data', (chunk) => {
+        const { messages, rest } = readMllpFrames(buffer + chunk);
+        buffer = rest;
+
+        messages.forEach((raw) => {
+          received.push(raw);
+          socket.write(frameMllp(buildAck(getHeader(parseMessage(raw)), ackCode)));
+        });
+      });
+    });
+    await new Promise((resolve) => receiver.listen(0, '127.0.0.1', resolve));
+
+    const hl7 = {
+      outbound: {
+        enabled: true,
+        transport: 'mllp',
+        host: '127.0.0.1',
+        port: receiver.address().port,
+        maxAttempts: 2,
+      },
+    };
+
+    await db.runAsSystem(async () => {
+      await db.query(
+        'INSERT INTO tenants (id, name, subdomain, configuration) VALUES ($1, $2, $3, $4)',
+        [tenantId, 'HL7 test', `hl7-${tenantId}`, JSON.stringify({ hl7 })]
+      );
+      await db.query(
+        `INSERT INTO facilities (id, tenant_id, name, facility_type, address, timezone)
+         VALUES ($1, $2, 'Main Clinic', 'clinic', '{}', 'America/Chicago')`,
+        [facilityId, tenantId]
+      );
+      await db.query(
+        `INSERT INTO providers (id, tenant_id, npi, first_name, last_name)
+         VALUES ($1, $2, '1234567890', 'Grace', 'Hopper')`,
+        [providerId, tenantId]
+      );
+      await db.query(
+        `INSERT INTO patients (id, tenant_id, mrn, first_name, last_name, date_of_birth)
+         VALUES ($1, $2, 'MRN-1', 'Ada', 'Lovelace', '1980-12-01')`,
+        [patientId, tenantId]
+      );
+    });
+  });
+
+  beforeEach(() => {
+    publishToQueue.mockClear();
+    ackCode = 'AA';
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => receiver.close(resolve));
+    await db.pool.end();
+  });
+
+  it('logs an SIU^S12 for a booking and delivers it once', async () => {
+    const appointment = await asTenant(() =>
+      appointments.createAppointment(tenantId, booking(`${year}-03-02T09:00`), null)
+    );
+    const [logged] = await messagesFor(appointment.id);
+
+    expect(logged).toMatchObject({ direction: 'outbound', message_type: 'SIU^S12' });
+    expect(publishedTo(QUEUES.HL7_OUTBOUND)).toEqual([{ tenantId, messageId: logged.id }]);
+
+    await expect(asTenant(() => feed.deliverMessage(tenantId, logged.id))).resolves.toEqual({
+      status: 'sent',
+      ackCode: 'AA',
+    });
+
+    const sent = parseMessage(received[received.length - 1]);
+    expect(getValue(getSegment(sent, 'SCH'), 2)).toBe(appointment.id);
+    expect(getValue(getSegment(sent, 'PID'), 3)).toBe('MRN-1');
+    // 09:00 in Chicago
+    expect(getValue(getSegment(sent, 'AIS'), 4)).toBe(`${year}0302150000+0000`);
+
+    // A redelivered queue message finds it sent
+    await expect(asTenant(() => feed.deliverMessage(tenantId, logged.id))).resolves.toBeNull();
+    expect((await messagesFor(appointment.id))[0]).toMatchObject({
+      status: 'sent',
+      ack_code: 'AA',
+      attempts: 1,
+    });
+  });
+
+  it('retries a message the receiver does not accept, then dead-letters it', async () => {
+    const appointment = await asTenant(() =>
+      appointments.createAppointment(tenantId, booking(`${year}-03-03T09:00`), null)
+    );
+    const [{ id: messageId }] = await messagesFor(appointment.id);
+    const message = { tenantId, messageId };
+
+    ackCode = 'AE';
+
+    await expect(asTenant(() => feed.deliverMessage(tenantId, messageId))).resolves.toEqual({
+      status: 'error',
+      ackCode: 'AE',
+    });
+    expect(publishedTo(QUEUES.HL7_OUTBOUND_RETRY)).toEqual([message]);
+
+    await expect(asTenant(() => feed.deliverMessage(tenantId, messageId))).resolves.toEqual({
+      status: 'failed',
+      ackCode: 'AE',
+    });
+    expect(publishedTo(QUEUES.HL7_OUTBOUND_DLQ)).toEqual([message]);
+
+    // Resending starts over with a fresh set of attempts
+    ackCode = 'AA';
+    await asTenant(() => feed.resendMessage(tenantId, messageId));
+    await expect(asTenant(() => feed.deliverMessage(tenantId, messageId))).resolves.toMatchObject({
+      status: 'sent',
+    });
+  });
+
+  describe('series', () => {
+    const series = (dates) => ({
+      patient_id: patientId,
+      provider_id: providerId,
+      facility_id: facilityId,
+      series_name: 'Infusions',
+      recurrence_pattern: 'weekly',
+      series_start_date: dates[0].slice(0, 10),
+      series_end_date: dates[dates.length - 1].slice(0, 10),
+      appointments: dates.map((date) => ({
+        appointment_type: 'follow-up',
+        scheduled_start: date,
+        duration_minutes: 30,
+      })),
+    });
+
+    it('queues notifications and HL7 messages only once the series commits', async () => {
+      let queuedBeforeCommit;
+
+      const { appointments: booked } = await asTenant(() =>
+        db.withTransaction(async () => {
+          const created = await appointments.createAppointmentSeries(
+            tenantId,
+            series([`${year}-05-04T09:00`, `${year}-05-11T09:00`]),
+            null
+          );
+          queuedBeforeCommit = publishToQueue.mock.calls.length;
+          return created;
+        })
+      );
+
+      expect(queuedBeforeCommit).toBe(0);
+      expect(publishedTo(QUEUES.HL7_OUTBOUND)).toHaveLength(2);
+      expect(publishedTo(QUEUES.NOTIFICATIONS).length).toBeGreaterThan(0);
+      expect(await messagesFor(booked[1].id)).toHaveLength(1);
+    });
+
+    it('queues and logs nothing for a series that does not commit', async () => {
+      await asTenant(() =>
+        appointments.createAppointment(tenantId, booking(`${year}-06-08T09:00`), null)
+      );
+      publishToQueue.mockClear();
+      const before = await countOutbound();
+
+      await expect(
+        asTenant(() =>
+          appointments.createAppointmentSeries(
+            tenantId,
+            series([`${year}-06-01T09:00`, `${year}-06-08T09:00`]),
+            null
+          )
+        )
+      ).rejects.toThrow(ConflictError);
+
+      expect(publishToQueue).not.toHaveBeenCalled();
+
+      expect(await countOutbound()).toBe(before);
+    });
+  });
+});
@@ -0,0 +1,144 @@
+jest.mock('../../src/config/cache', () => ({
+  get: jest.fn().mockResolvedValue(null),
+  setex: jest.fn(),
+  del: jest.fn(),
+}));
+jest.mock('../../src/config/queue');
+
+const { v4: uuidv4 } = require('uuid');
+const db = require('../../src/config/database');
+const PatientService = require('../../src/services/patient.service');
+const AppointmentService = require('../../src/services/appointment.service');
+const MedicationService = require('../../src/services/medication.service');
+const { ROLES, getScopesForRole } = require('../../src/utils/authorization');
+const { ForbiddenError, NotFoundError } = require('../../src/utils/errors');
+
+/**
+ * Patient-portal tokens against Postgres
+ *
+ * Needs the same scratch database as booking.test.js and is skipped when
+ * DB_HOST is not set.
+ */
+const describeWithDatabase = process.env.DB_HOST ? describe : describe.skip;
+
+describeWithDatabase('patient-portal access against Postgres', () => {
+  const patients = new PatientService();
+  const appointments = new AppointmentService();
+  const medications = new MedicationService();
+  const tenantId = uuidv4();
+  const facilityId = uuidv4();
+  const providerId = uuidv4();
+  const [ownId, otherId] = [uuidv4(), uuidv4()];
+  const medicationIds = {};
+  const year = new Date().getUTCFullYear() + 1;
+
+  const actor = {
+    tenantId,
+    userId: 'portal-user',
+    userType: 'patient',
+    role: ROLES.PATIENT,
+    patientId: ownId,
+    scopes: getScopesForRole(ROLES.PATIENT),
+  };
+  const asTenant = (fn) => db.runWithTenant(tenantId, fn);
+
+  beforeAll(async () => {
+    await db.runAsSystem(async () => {
+      await db.query('INSERT INTO tenants (id, name, subdomain) VALUES ($1, $2, $3)', [
+        tenantId,
+        'Portal test',
+        `portal-${tenantId}`,
+      ]);
+      await db.query(
+        `INSERT INTO facilities (id, tenant_id, name, facility_type, address, timezone)
+         VALUES ($1, $2, 'Main Clinic', 'clinic', '{}', 'America/Chicago')`,
+        [facilityId, tenantId]
+      );
+      await db.query(
+        `INSERT INTO providers (id, tenant_id, npi, first_name, last_name)
+         VALUES ($1, $2, '1234567890', 'Grace', 'Hopper')`,
+        [providerId, tenantId]
+      );
+
+      for (const [index, patientId] of [ownId, otherId].entries()) {
+        await db.query(
+          `INSERT INTO patients (id, tenant_id, mrn, first_name, last_name, date_of_birth)
+           VALUES ($1, $2, $3, 'Ada', 'Lovelace', '1980-01-01')`,
+          [patientId, tenantId, `MRN-${index}`]
+        );
+        await db.query(
+          `INSERT INTO appointments (
+             tenant_id, patient_id, provider_id, facility_id, appointment_type,
+             scheduled_start, scheduled_end, duration_minutes
+           ) VALUES ($1, $2, $3, $4, 'follow-up', $5, $6, 30)`,
+          [
+            tenantId,
+            patientId,
+            providerId,
+            facilityId,
+            `${year}-03-02T1${index}:00:00Z`,
+            `${year}-03-02T1${index}:30:00Z`,
+          ]
+        );
+
+        const medication = await db.query(
+          `INSERT INTO medications (
+             tenant_id, patient_id, prescribing_provider_id, medication_name,
+             dosage, route, frequency, start_date
+           ) VALUES ($1, $2, $3, 'Metformin', '500mg', 'oral', 'twice daily', '2026-01-01')
+           RETURNING id`,
+          [tenantId, patientId, providerId]
+        );
+        medicationIds[patientId] = medication.rows[0].id;
+      }
+    });
+  });
+
+  afterAll(async () => {
+    await db.pool.end();
+  });
+
+  it('reads the own patient record and is refused any other', async () => {
+    await expect(
+      asTenant(() => patients.getPatientById(tenantId, ownId, actor))
+    ).resolves.toMatchObject({ id: ownId });
+    await expect(asTenant(() => patients.getPatientById(tenantId, otherId, actor))).rejects.toThrow(
+      ForbiddenError
+    );
+  });
+
+  it('lists only the own patient record', async () => {
+    const { data } = await asTenant(() =>
+      patients.listPatients(tenantId, { page: 1, limit: 20 }, actor)
+    );
+
+    expect(data.map((patient) => patient.id)).toEqual([ownId]);
+  });
+
+  it('lists only the own appointments, whatever patient is asked for', async () => {
+    const { data } = await asTenant(() =>
+      appointments.listAppointments(tenantId, { page: 1, limit: 20, patientId: otherId }, actor)
+    );
+
+    expect(data.map((appointment) => appointment.patient_id)).toEqual([ownId]);
+  });
+
+  it("treats another patient's medication as missing", async () => {
+    await expect(
+      asTenant(() => medications.getMedicationById(tenantId, medicationIds[otherId], actor))
+    ).resolves.toBeNull();
+    await expect(
+      asTenant(() => medications.getMedicationById(tenantId, medicationIds[ownId], actor))
+    ).resolves.toMatchObject({ patient_id: ownId });
+    await expect(
+      asTenant(() =>
+        medications.logAdherence(
+          tenantId,
+          medicationIds[otherId],
+          { was_taken: true, scheduled_time: `${year}-03-02T09:00:00Z` },
+          actor
+        )
+      )
+    ).rejects.toThrow(NotFoundError);
+  });
+});
@@ -0,0 +1,130 @@
+jest.mock('../../src/config/cache', () => ({
+  get: jest.fn().mockResolvedValue(null),
+  setex: jest.fn(),
+  del: jest.fn(),
+}));
+jest.mock('../../src/config/queue');
+
+const { v4: uuidv4 } = require('uuid');
+const db = require('../../src/config/database');
+const PatientService = require('../../src/services/patient.service');
+
+/**
+ * Patient merges against Postgres
+ *
+ * Needs the same scratch database as booking.test.js and is skipped when
+ * DB_HOST is not set.
+ */
+const describeWithDatabase = process.env.DB_HOST ? describe : describe.skip;
+
+describeWithDatabase('patient merge against Postgres', () => {
+  const service = new PatientService();
+  const tenantId = uuidv4();
+  const providerIds = [1, 2, 3].map(() => uuidv4());
+  let mrn = 0;
+
+  const asTenant = (fn) => db.runWithTenant(tenantId, fn);
+
+  /**
+   * A patient with a care team of [providerId, isPrimary] pairs
+   */
+  async function patientWith(careTeam) {
+    const patientId = uuidv4();
+    mrn += 1;
+
+    await asTenant(async () => {
+      await db.query(
+        `INSERT INTO patients (id, tenant_id, mrn, first_name, last_name, date_of_birth)
+         VALUES ($1, $2, $3, 'Ada', 'Lovelace', '1980-01-01')`,
+        [patientId, tenantId, `MRN-${mrn}`]
+      );
+
+      for (const [providerId, isPrimary] of careTeam) {
+        await db.query(
+          `INSERT INTO patient_providers (patient_id, provider_id, relationship_type, is_primary)
+           VALUES ($1, $2, 'care_team', $3)`,
+          [patientId, providerId, isPrimary]
+        );
+      }
+    });
+
+    return patientId;
+  }
+
+  const careTeamOf = (patientId) =>
+    asTenant(async () => {
+      const result = await db.query(
+        `SELECT provider_id, is_primary, ended_at IS NULL AS active
+         FROM patient_providers WHERE patient_id = $1`,
+        [patientId]
+      );
+      return result.rows;
+    });
+
+  beforeAll(async () => {
+    await db.runAsSystem(async () => {
+      await db.query('INSERT INTO tenants (id, name, subdomain) VALUES ($1, $2, $3)', [
+        tenantId,
+        'Merge test',
+        `merge-${tenantId}`,
+      ]);
+
+      for (const [index, providerId] of providerIds.entries()) {
+        await db.query(
+          `INSERT INTO providers (id, tenant_id, npi, first_name, last_name)
+           VALUES ($1, $2, $3, 'Grace', 'Hopper')`,
+          [providerId, tenantId, `123456789${index}`]
+        );
+      }
+    });
+  });
+
+  afterAll(async () => {
+    await db.pool.end();
+  });
+
+  it('keeps one active link per provider on the merged care team', async () => {
+    const [shared, other] = providerIds;
+    const survivorId = await patientWith([[shared, false]]);
+    const mergedId = await patientWith([
+      [shared, true],
+      [other, false],
+    ]);
+
+    await asTenant(() => service.mergePatients(tenantId, survivorId, mergedId, null));
+
+    const careTeam = await careTeamOf(survivorId);
+    const active = careTeam.filter((link) => link.active);
+
+    expect(active).toHaveLength(2);
+    expect(active).toEqual(
+      expect.arrayContaining([
+        { provider_id: shared, is_primary: true, active: true },
+        { provider_id: other, is_primary: false, active: true },
+      ])
+    );
+    // The merged record's duplicate link is kept as history
+    expect(careTeam.filter((link) => link.provider_id === shared)).toHaveLength(2);
+  });
+
+  it('keeps the survivor primary provider over the merged one', async () => {
+    const [shared, , survivorPrimary] = providerIds;
+    const survivorId = await patientWith([
+      [survivorPrimary, true],
+      [shared, false],
+    ]);
+    const mergedId = await patientWith([[shared, true]]);
+
+    await asTenant(() => service.mergePatients(tenantId, survivorId, mergedId, null));
+
+    const active = (await careTeamOf(survivorId)).filter((link) => link.active);
+
+    expect(active).toEqual(
+      expect.arrayContaining([
+        { provider_id: survivorPrimary, is_primary: true, active: true },
+        { provider_id: shared, is_primary: false, active: true },
+      ])
+    );
+    expect(active).toHaveLength(2);
+  });
+});
@@ -0,0 +1,104 @@
+jest.mock('../../src/config/database', () => ({
+  connect: jest.fn(),
+  query: jest.fn(),
+}));
+jest.mock('../../src/config/cache', () => ({
+  del: jest.fn(),
+}));
+jest.mock('../../src/utils/audit');
+
+const db = require('../../src/config/database');
+const ApiKeyService = require('../../src/services/apiKey.service');
+const { ForbiddenError } = require('../../src/utils/errors');
+
+const TENANT_ID = '11111111-1111-4111-8111-111111111111';
+const KEY_ID = '22222222-2222-4222-8222-222222222222';
+
+const manager = { userType: 'api_key', userId: 'manager', scopes: ['api-keys:manage'] };
+const admin = { userType: 'api_key', userId: 'admin', scopes: ['admin:*'] };
+
+/**
+ * A client whose SELECT finds one active key with the given scopes
+ */
+function clientWithKey(scopes) {
+  const client = {
+    query: jest.fn(async (text) => {
+      if (text.includes('FROM api_keys')) {
+        return { rows: [{ id: KEY_ID, key_hash: 'hash', environment: 'production', scopes }] };
+      }
+
+      return { rows: [{ id: KEY_ID }] };
+    }),
+    release: jest.fn(),
+  };
+
+  db.connect.mockResolvedValue(client);
+  return client;
+}
+
+const writes = (client) =>
+  client.query.mock.calls.filter(([text]) => /^\s*(INSERT|UPDATE)/.test(text));
+
+describe('ApiKeyService', () => {
+  const service = new ApiKeyService();
+
+  describe('issueApiKey', () => {
+    it('refuses to grant a scope the caller does not hold', async () => {
+      const client = clientWithKey([]);
+
+      await expect(
+        service.issueApiKey(TENANT_ID, { key_name: 'escalated', scopes: ['admin:*'] }, manager)
+      ).rejects.toMatchObject({
+        statusCode: 403,
+        details: { missingScopes: ['admin:*'] },
+      });
+      expect(writes(client)).toHaveLength(0);
+    });
+
+    it('grants scopes the caller holds', async () => {
+      const client = clientWithKey([]);
+
+      const apiKey = await service.issueApiKey(
+        TENANT_ID,
+        { key_name: 'reader', scopes: ['patients:read', 'api-keys:manage'] },
+        { ...manager, scopes: ['patients:*', 'api-keys:manage'] }
+      );
+
+      expect(apiKey.api_key).toMatch(/^cck_live_/);
+      expect(writes(client)).toHaveLength(1);
+    });
+  });
+
+  describe('rotateApiKey', () => {
+    it('refuses to rotate a key broader than the caller', async () => {
+      const client = clientWithKey(['admin:*']);
+
+      await expect(
+        service.rotateApiKey(TENANT_ID, KEY_ID, { overlap_minutes: 60 }, manager)
+      ).rejects.toThrow(ForbiddenError);
+      expect(writes(client)).toHaveLength(0);
+      expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+    });
+  });
+
+  describe('revokeApiKey', () => {
+    it('refuses to revoke a key broader than the caller', async () => {
+      const client = clientWithKey(['patients:write', 'api-keys:manage']);
+
+      await expect(service.revokeApiKey(TENANT_ID, KEY_ID, manager)).rejects.toMatchObject({
+        statusCode: 403,
+        details: { missingScopes: ['patients:write'] },
+      });
+      expect(writes(client)).toHaveLength(0);
+    });
+
+    it('revokes a key whose scopes the caller holds', async () => {
+      const client = clientWithKey(['patients:write', 'api-keys:manage']);
+
+      await service.revokeApiKey(TENANT_ID, KEY_ID, admin);
+
+      expect(writes(client)).toHaveLength(1);
+      expect(client.query).toHaveBeenCalledWith('COMMIT');
+    });
+  });
+});
@@ -0,0 +1,367 @@
+jest.mock('../../src/config/database', () => mockDatabase());
+jest.mock('../../src/config/cache', () => ({
+  get: jest.fn().mockResolvedValue(null),
+  setex: jest.fn(),
+  del: jest.fn(),
+}));
+jest.mock('../../src/config/queue');
+jest.mock('../../src/utils/audit');
+
+const db = require('../../src/config/database');
+const AppointmentService = require('../../src/services/appointment.service');
+const { ConflictError } = require('../../src/utils/errors');
+
+const TENANT_ID = '11111111-1111-4111-8111-111111111111';
+const PROVIDER_ID = '22222222-2222-4222-8222-222222222222';
+const OTHER_PROVIDER_ID = '55555555-5555-4555-8555-555555555555';
+const FACILITY_ID = '33333333-3333-4333-8333-333333333333';
+
+/**
+ * A stand-in for the pool that keeps appointments in memory
+ * The tests using it are unit tests of the service's lock ordering: they
+ * show bookings wait for the provider lock before checking, not that
+ * Postgres or its constraints reject anything. tests/integration/booking.test.js
+ * runs the race against a real database.
+ * Advisory locks queue up like Postgres's and are released at COMMIT or
+ * ROLLBACK; an insert is only seen by other clients once it commits.
+ * Errors pushed onto `insertErrors` are thrown by the next inserts.
+ */
+function mockDatabase() {
+  const appointments = [];
+  const insertErrors = [];
+  const locks = new Map();
+
+  const isActive = (row) => !['cancelled', 'no-show'].includes(row.status);
+
+  async function lock(key, held) {
+    const previous = locks.get(key) || Promise.resolve();
+    let release;
+    const current = new Promise((resolve) => {
+      release = resolve;
+    });
+
+    locks.set(
+      key,
+      previous.then(() => current)
+    );
+    held.push(release);
+    await previous;
+  }
+
+  function connect() {
+    let staged = [];
+    let held = [];
+
+    const endTransaction = (rows) => {
+      appointments.push(...rows);
+      held.forEach((release) => release());
+      staged = [];
+      held = [];
+    };
+
+    return {
+      async query(text, params = []) {
+        const sql = text.trim().replace(/\s+/g, ' ');
+
+        if (sql === 'COMMIT') {
+          endTransaction(staged);
+        } else if (sql === 'ROLLBACK') {
+          endTransaction([]);
+        } else if (sql.includes('pg_advisory_xact_lock')) {
+          await lock(params[0], held);
+        } else if (sql.startsWith('SELECT timezone FROM facilities')) {
+          return { rows: [{ timezone: 'America/Chicago' }] };
+        } else if (sql.includes('FROM providers p')) {
+          return { rows: [{ appointment_buffers: {}, max_daily_capacity: 20, configuration: {} }] };
+        } else if (sql.startsWith('SELECT id FROM appointments')) {
+          const [, providerId, busyFrom, busyUntil, excludeId] = params;
+          const rows = appointments.filter(
+            (row) =>
+              row.provider_id === providerId &&
+              isActive(row) &&
+              row.id !== excludeId &&
+              new Date(row.scheduled_start) - row.buffer_before_minutes * 60000 <
+                new Date(busyUntil) &&
+              new Date(row.scheduled_end).getTime() + row.buffer_after_minutes * 60000 >
+                new Date(busyFrom)
+          );
+          return { rows };
+        } else if (sql.startsWith('SELECT COUNT(*) FROM appointments')) {
+          return { rows: [{ count: '0' }] };
+        } else if (sql.startsWith('SELECT * FROM appointments')) {
+          return { rows: appointments.filter((row) => row.id === params[1]) };
+        } else if (sql.startsWith('INSERT INTO appointments')) {
+          if (insertErrors.length > 0) {
+            throw insertErrors.shift();
+          }
+
+          const [id, tenantId, patientId, providerId, facilityId, type, start, end, duration] =
+            params;
+          const row = {
+            id,
+            tenant_id: tenantId,
+            patient_id: patientId,
+            provider_id: providerId,
+            facility_id: facilityId,
+            appointment_type: type,
+            scheduled_start: start,
+            scheduled_end: end,
+            duration_minutes: duration,
+            status: params[9],
+            buffer_before_minutes: params[15],
+            buffer_after_minutes: params[16],
+          };
+          staged.push(row);
+          return { rows: [{ ...row }] };
+        }
+
+        return { rows: [] };
+      },
+      release() {},
+    };
+  }
+
+  return {
+    appointments,
+    insertErrors,
+    connect: jest.fn(async () => connect()),
+    query: jest.fn(async () => ({ rows: [] })),
+    afterCommit: jest.fn(async (fn) => fn()),
+  };
+}
+
+function booking(patientNumber, scheduledStart) {
+  return {
+    patient_id: `44444444-4444-4444-8444-${String(patientNumber).padStart(12, '0')}`,
+    provider_id: PROVIDER_ID,
+    facility_id: FACILITY_ID,
+    appointment_type: 'follow-up',
+    scheduled_start: scheduledStart,
+    duration_minutes: 30,
+  };
+}
+
+describe('AppointmentService', () => {
+  const service = new AppointmentService();
+  const year = new Date().getUTCFullYear() + 1;
+
+  beforeEach(() => {
+    db.appointments.length = 0;
+    db.insertErrors.length = 0;
+  });
+
+  describe('createAppointment', () => {
+    it('books a provider once when several bookings race for the same slot', async () => {
+      const results = await Promise.allSettled(
+        [1, 2, 3, 4, 5].map((patientNumber) =>
+          service.createAppointment(TENANT_ID, booking(patientNumber, `${year}-03-02T09:00`), null)
+        )
+      );
+
+      const booked = results.filter((result) => result.status === 'fulfilled');
+      const rejected = results.filter((result) => result.status === 'rejected');
+
+      expect(booked).toHaveLength(1);
+      expect(rejected).toHaveLength(4);
+      rejected.forEach(({ reason }) => {
+        expect(reason).toBeInstanceOf(ConflictError);
+        expect(reason.statusCode).toBe(409);
+      });
+      expect(db.appointments).toHaveLength(1);
+    });
+
+    it('books overlapping slots of different providers side by side', async () => {
+      const other = { ...booking(2, `${year}-03-02T09:15`), provider_id: OTHER_PROVIDER_ID };
+
+      await Promise.all([
+        service.createAppointment(TENANT_ID, booking(1, `${year}-03-02T09:00`), null),
+        service.createAppointment(TENANT_ID, other, null),
+      ]);
+
+      expect(db.appointments).toHaveLength(2);
+    });
+
+    it('rejects a type whose required resource the facility does not keep', async () => {
+      // Treatments need an infusion chair, and the facility has no resources
+      const treatment = { ...booking(1, `${year}-03-02T09:00`), appointment_type: 'treatment' };
+
+      await expect(service.createAppointment(TENANT_ID, treatment, null)).rejects.toMatchObject({
+        statusCode: 409,
+        details: { resourceType: 'infusion_chair' },
+      });
+      expect(db.appointments).toHaveLength(0);
+    });
+
+    it('answers a booking the unique start time index rejects with 409', async () => {
+      db.insertErrors.push(
+        Object.assign(new Error('duplicate key value'), {
+          code: '23505',
+          constraint: 'idx_appointments_provider_time',
+        })
+      );
+
+      await expect(
+        service.createAppointment(TENANT_ID, booking(1, `${year}-03-02T09:00`), null)
+      ).rejects.toMatchObject({ statusCode: 409 });
+    });
+  });
+
+  describe('updateAppointment', () => {
+    it('rejects a new start time that overlaps another appointment', async () => {
+      await service.createAppointment(TENANT_ID, booking(1, `${year}-03-02T09:00`), null);
+      const moved = await service.createAppointment(
+        TENANT_ID,
+        booking(2, `${year}-03-02T10:00`),
+        null
+      );
+
+      await expect(
+        service.updateAppointment(
+          TENANT_ID,
+          moved.id,
+          { scheduled_start: `${year}-03-02T09:15` },
+          null
+        )
+      ).rejects.toThrow(ConflictError);
+    });
+
+    it('rejects bringing back a cancelled appointment whose slot was booked again', async () => {
+      const cancelled = await service.createAppointment(
+        TENANT_ID,
+        booking(1, `${year}-03-02T09:00`),
+        null
+      );
+      db.appointments.find((row) => row.id === cancelled.id).status = 'cancelled';
+      await service.createAppointment(TENANT_ID, booking(2, `${year}-03-02T09:00`), null);
+
+      await expect(
+        service.updateAppointment(TENANT_ID, cancelled.id, { status: 'scheduled' }, null)
+      ).rejects.toThrow(ConflictError);
+    });
+  });
+
+  describe('calculateAvailableSlots', () => {
+    // A Sunday night window in Chicago, across both of 2026's clock changes
+    const sundayNight = (date) => ({
+      provider_id: PROVIDER_ID,
+      facility_id: FACILITY_ID,
+      first_name: 'Ada',
+      last_name: 'Lovelace',
+      facility_name: 'Main Clinic',
+      timezone: 'America/Chicago',
+      day_of_week: 0,
+      start_time: '00:00',
+      end_time: '04:00',
+      slot_duration: 60,
+      effective_from: date,
+      effective_until: null,
+    });
+    const localStarts = (date) =>
+      service
+        .calculateAvailableSlots([sundayNight(date)], [], date, date, {
+          now: new Date('2026-01-01T00:00:00Z'),
+        })
+        .map((slot) => slot.local_start_time);
+
+    it('offers no slot in the missing 02:00 hour', () => {
+      expect(localStarts('2026-03-08')).toEqual([
+        '2026-03-08T00:00:00-06:00',
+        '2026-03-08T01:00:00-06:00',
+        '2026-03-08T03:00:00-05:00',
+      ]);
+    });
+
+    it('offers the repeated 01:00 hour twice', () => {
+      expect(localStarts('2026-11-01')).toEqual([
+        '2026-11-01T00:00:00-05:00',
+        '2026-11-01T01:00:00-05:00',
+        '2026-11-01T01:00:00-06:00',
+        '2026-11-01T02:00:00-06:00',
+        '2026-11-01T03:00:00-06:00',
+      ]);
+    });
+  });
+
+  describe('calculateAvailableSlots for an appointment type', () => {
+    // Monday 2 February 2026, 09:00 to 11:00 in Chicago (15:00 to 17:00 UTC)
+    const date = '2026-02-02';
+    const mondayMorning = {
+      provider_id: PROVIDER_ID,
+      facility_id: FACILITY_ID,
+      first_name: 'Ada',
+      last_name: 'Lovelace',
+      facility_name: 'Main Clinic',
+      timezone: 'America/Chicago',
+      day_of_week: 1,
+      start_time: '09:00',
+      end_time: '11:00',
+      slot_duration: 30,
+      effective_from: date,
+      effective_until: null,
+      default_appointment_durations: { procedure: 60 },
+      appointment_buffers: { procedure: { before: 0, after: 15 } },
+      max_daily_capacity: 20,
+    };
+    const slotsFor = (options, booked = [], availability = mondayMorning) =>
+      service
+        .calculateAvailableSlots([availability], booked, date, date, {
+          now: new Date('2026-01-01T00:00:00Z'),
+          ...options,
+        })
+        .map((slot) => [slot.local_start_time.slice(11, 16), slot.duration_minutes]);
+
+    it('offers slot_duration slots without a type', () => {
+      expect(slotsFor({})).toEqual([
+        ['09:00', 30],
+        ['09:30', 30],
+        ['10:00', 30],
+        ['10:30', 30],
+      ]);
+    });
+
+    it("sizes slots by the provider's length for the type and fits its buffers in", () => {
+      // 10:00 would run to 11:00 and keep the provider until 11:15
+      expect(slotsFor({ appointmentType: 'procedure' })).toEqual([
+        ['09:00', 60],
+        ['09:30', 60],
+      ]);
+    });
+
+    it('takes the length and buffers from the tenant when the provider sets none', () => {
+      const schedulingConfig = {
+        appointmentTypes: { 'follow-up': { duration: 25, bufferBefore: 10 } },
+      };
+
+      expect(slotsFor({ appointmentType: 'follow-up', schedulingConfig })).toEqual([
+        ['09:10', 25],
+        ['09:40', 25],
+        ['10:10', 25],
+      ]);
+    });
+
+    it("keeps clear of booked appointments' buffers as well as its own", () => {
+      // A procedure from 09:00 to 10:00 keeps the provider until 10:15
+      const procedure = {
+        provider_id: PROVIDER_ID,
+        scheduled_start: '2026-02-02T15:00:00Z',
+        scheduled_end: '2026-02-02T16:00:00Z',
+        buffer_before_minutes: 0,
+        buffer_after_minutes: 15,
+      };
+
+      expect(slotsFor({ appointmentType: 'lab' }, [procedure])).toEqual([['10:30', 15]]);
+      expect(slotsFor({ appointmentType: 'procedure' }, [procedure])).toEqual([]);
+    });
+
+    it('offers nothing on a day the provider is at capacity', () => {
+      const booked = {
+        provider_id: PROVIDER_ID,
+        scheduled_start: '2026-02-02T20:00:00Z',
+        scheduled_end: '2026-02-02T20:30:00Z',
+      };
+
+      expect(slotsFor({}, [booked], { ...mondayMorning, max_daily_capacity: 1 })).toEqual([]);
+      expect(slotsFor({}, [booked], { ...mondayMorning, max_daily_capacity: 2 })).toHaveLength(4);
+    });
+  });
+});
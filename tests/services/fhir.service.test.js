@@ -0,0 +1,121 @@
+jest.mock('../../src/config/database', () => ({
+  connect: jest.fn(),
+  query: jest.fn(),
+}));
+jest.mock('../../src/config/cache', () => ({
+  get: jest.fn().mockResolvedValue(null),
+  setex: jest.fn(),
+  del: jest.fn(),
+}));
+jest.mock('../../src/config/queue');
+jest.mock('../../src/utils/audit');
+
+const FhirService = require('../../src/services/fhir.service');
+const PatientService = require('../../src/services/patient.service');
+const MedicationService = require('../../src/services/medication.service');
+const fhir = require('../../src/utils/fhir');
+const { ValidationError } = require('../../src/utils/errors');
+
+const TENANT_ID = '11111111-1111-4111-8111-111111111111';
+const PATIENT_ID = '22222222-2222-4222-8222-222222222222';
+const MEDICATION_ID = '33333333-3333-4333-8333-333333333333';
+const PROVIDER_ID = '44444444-4444-4444-8444-444444444444';
+
+const patient = {
+  id: PATIENT_ID,
+  mrn: 'MRN-1001',
+  first_name: 'Ada',
+  last_name: 'Lovelace',
+  date_of_birth: '1980-01-01',
+  contact_info: { email: 'ada@example.com' },
+  is_active: true,
+};
+
+const medication = {
+  id: MEDICATION_ID,
+  patient_id: PATIENT_ID,
+  prescribing_provider_id: PROVIDER_ID,
+  medication_name: 'Metformin',
+  dosage: '500mg',
+  route: 'oral',
+  frequency: 'twice daily',
+  start_date: '2026-01-01',
+  status: 'active',
+};
+
+describe('FhirService', () => {
+  const service = new FhirService();
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('update', () => {
+    it('replaces a Patient, clearing the elements it leaves out', async () => {
+      const updatePatient = jest
+        .spyOn(PatientService.prototype, 'updatePatient')
+        .mockImplementation(async (tenantId, id, data) => fhir.toFHIRPatient({ ...data, id }));
+
+      await service.update(
+        TENANT_ID,
+        'Patient',
+        PATIENT_ID,
+        fhir.toFHIRPatient({ ...patient, gender: undefined }),
+        null
+      );
+
+      const [, , updateData] = updatePatient.mock.calls[0];
+
+      expect(updateData).toMatchObject({
+        mrn: 'MRN-1001',
+        gender: null,
+        primary_diagnosis: null,
+        icd10_codes: null,
+        is_active: true,
+      });
+      // The validated value, as the JSON API passes it on
+      expect(updateData.date_of_birth).toEqual(new Date('1980-01-01'));
+    });
+
+    it('clears the optional fields a MedicationRequest leaves out', async () => {
+      jest
+        .spyOn(MedicationService.prototype, 'getMedicationById')
+        .mockResolvedValue({ ...medication, end_date: '2026-06-30' });
+      const updateMedication = jest
+        .spyOn(MedicationService.prototype, 'updateMedication')
+        .mockResolvedValue({});
+
+      const resource = fhir.toFHIRMedicationRequest(
+        medication,
+        { id: PATIENT_ID },
+        { id: PROVIDER_ID }
+      );
+
+      await service.update(TENANT_ID, 'MedicationRequest', MEDICATION_ID, resource, null);
+
+      expect(updateMedication.mock.calls[0][2]).toMatchObject({
+        medication_name: 'Metformin',
+        end_date: null,
+        strength: null,
+        status: 'active',
+      });
+    });
+
+    it('needs the requester of a MedicationRequest', async () => {
+      jest.spyOn(MedicationService.prototype, 'getMedicationById').mockResolvedValue(medication);
+      const updateMedication = jest.spyOn(MedicationService.prototype, 'updateMedication');
+
+      const resource = fhir.toFHIRMedicationRequest(
+        medication,
+        { id: PATIENT_ID },
+        { id: PROVIDER_ID }
+      );
+      delete resource.requester;
+
+      await expect(
+        service.update(TENANT_ID, 'MedicationRequest', MEDICATION_ID, resource, null)
+      ).rejects.toThrow(ValidationError);
+      expect(updateMedication).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,212 @@
+jest.mock('../../src/config/database', () => ({
+  connect: jest.fn(),
+  query: jest.fn(),
+  withTransaction: jest.fn((fn) => fn()),
+}));
+jest.mock('../../src/config/cache', () => ({
+  get: jest.fn().mockResolvedValue(null),
+  setex: jest.fn(),
+  del: jest.fn(),
+}));
+jest.mock('../../src/config/queue');
+jest.mock('../../src/utils/audit');
+
+const db = require('../../src/config/database');
+const FhirService = require('../../src/services/fhir.service');
+const FhirBundleService = require('../../src/services/fhirBundle.service');
+const {
+  ForbiddenError,
+  MethodNotAllowedError,
+  ValidationError,
+} = require('../../src/utils/errors');
+
+const TENANT_ID = '11111111-1111-4111-8111-111111111111';
+const PATIENT_ID = '22222222-2222-4222-8222-222222222222';
+const OTHER_ID = '33333333-3333-4333-8333-333333333333';
+const PATIENT_URN = 'urn:uuid:8f1c2f6e-0d3b-4c5a-9f3e-1a2b3c4d5e6f';
+
+const patientEntry = {
+  fullUrl: PATIENT_URN,
+  resource: { resourceType: 'Patient', name: [{ family: 'Lovelace' }] },
+  request: { method: 'POST', url: 'Patient' },
+};
+
+const medicationEntry = {
+  resource: {
+    resourceType: 'MedicationRequest',
+    subject: { reference: PATIENT_URN },
+  },
+  request: { method: 'POST', url: 'MedicationRequest' },
+};
+
+const bundleOf = (type, entry) => ({ resourceType: 'Bundle', type, entry });
+
+describe('FhirBundleService', () => {
+  const service = new FhirBundleService();
+  let calls;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    calls = [];
+
+    jest
+      .spyOn(FhirService.prototype, 'create')
+      .mockImplementation(async (tenantId, resourceType, resource) => {
+        calls.push(['create', resourceType, resource]);
+        return { ...resource, id: resourceType === 'Patient' ? PATIENT_ID : OTHER_ID };
+      });
+    jest
+      .spyOn(FhirService.prototype, 'update')
+      .mockImplementation(async (tenantId, resourceType, id, resource) => {
+        calls.push(['update', resourceType, id]);
+        return { ...resource, id };
+      });
+    jest
+      .spyOn(FhirService.prototype, 'delete')
+      .mockImplementation(async (tenantId, resourceType, id) => {
+        calls.push(['delete', resourceType, id]);
+      });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('runs deletes, then creates, then updates, and answers in Bundle order', async () => {
+    const { type, results } = await service.process(
+      TENANT_ID,
+      bundleOf('batch', [
+        {
+          resource: { resourceType: 'Patient', id: PATIENT_ID },
+          request: { method: 'PUT', url: `Patient/${PATIENT_ID}` },
+        },
+        patientEntry,
+        { request: { method: 'DELETE', url: `Patient/${OTHER_ID}` } },
+      ]),
+      null
+    );
+
+    expect(type).toBe('batch-response');
+    expect(calls.map(([interaction]) => interaction)).toEqual(['delete', 'create', 'update']);
+    expect(results.map((result) => result.status)).toEqual([200, 201, 204]);
+  });
+
+  it('creates referenced entries first and points references at the new ids', async () => {
+    const { results, created } = await service.process(
+      TENANT_ID,
+      bundleOf('transaction', [medicationEntry, patientEntry]),
+      null
+    );
+
+    expect(calls.map(([, resourceType]) => resourceType)).toEqual(['Patient', 'MedicationRequest']);
+    expect(calls[1][2].subject).toEqual({ reference: `Patient/${PATIENT_ID}` });
+    expect(results.map((result) => result.id)).toEqual([OTHER_ID, PATIENT_ID]);
+    expect(created).toEqual({ Patient: 1, MedicationRequest: 1 });
+    expect(db.withTransaction).toHaveBeenCalledTimes(1);
+  });
+
+  it('fails a transaction at its first failing entry', async () => {
+    FhirService.prototype.create.mockRejectedValueOnce(
+      new ValidationError('Invalid Patient', { errors: [{ field: 'name', message: 'required' }] })
+    );
+
+    const error = await service
+      .process(TENANT_ID, bundleOf('transaction', [medicationEntry, patientEntry]), null)
+      .catch((failure) => failure);
+
+    expect(error.message).toBe('Bundle.entry[1]: Invalid Patient');
+    expect(error.details.errors[0].field).toBe('Bundle.entry[1].name');
+    // The MedicationRequest was never attempted
+    expect(calls).toEqual([]);
+  });
+
+  it('reports each failing entry of a batch on its own', async () => {
+    const { results, created } = await service.process(
+      TENANT_ID,
+      bundleOf('batch', [
+        { request: { method: 'PATCH', url: `Patient/${PATIENT_ID}` } },
+        { ...patientEntry, fullUrl: undefined },
+        { request: { method: 'DELETE', url: 'Patient/not-a-uuid' } },
+      ]),
+      null
+    );
+
+    expect(results[0].error).toBeInstanceOf(MethodNotAllowedError);
+    expect(results[1]).toMatchObject({ status: 201, id: PATIENT_ID });
+    expect(results[2].error).toBeInstanceOf(ValidationError);
+    expect(created).toEqual({ Patient: 1 });
+    expect(db.withTransaction).not.toHaveBeenCalled();
+  });
+
+  it('rejects a transaction with an unusable entry before running any', async () => {
+    await expect(
+      service.process(
+        TENANT_ID,
+        bundleOf('transaction', [
+          patientEntry,
+          { request: { method: 'POST', url: 'Patient?identifier=MRN|1' }, resource: {} },
+        ]),
+        null
+      )
+    ).rejects.toThrow('Bundle.entry[1]: Conditional create, update and delete are not supported');
+    expect(calls).toEqual([]);
+  });
+
+  it('rejects duplicate entries, reference cycles and unknown references', async () => {
+    const duplicate = bundleOf('batch', [patientEntry, patientEntry]);
+    const medicationUrn = 'urn:uuid:5e6f1a2b-3c4d-4e5f-8a9b-0c1d2e3f4a5b';
+    const cycle = bundleOf('batch', [
+      {
+        ...patientEntry,
+        resource: { ...patientEntry.resource, link: [{ other: { reference: medicationUrn } }] },
+      },
+      { ...medicationEntry, fullUrl: medicationUrn },
+    ]);
+
+    await expect(service.process(TENANT_ID, duplicate, null)).rejects.toThrow(
+      `Bundle has more than one entry for ${PATIENT_URN}`
+    );
+    await expect(service.process(TENANT_ID, cycle, null)).rejects.toThrow(
+      'Bundle entries reference each other in a cycle'
+    );
+
+    const { results } = await service.process(
+      TENANT_ID,
+      bundleOf('batch', [medicationEntry]),
+      null
+    );
+    expect(results[0].error.message).toBe(
+      `Reference ${PATIENT_URN} does not match a created Bundle entry`
+    );
+  });
+
+  it('stops at an entry the caller may not run', async () => {
+    const authorize = jest.fn(async (entry) => {
+      if (entry.interaction === 'delete') {
+        throw new ForbiddenError('Not allowed');
+      }
+    });
+
+    await expect(
+      service.process(
+        TENANT_ID,
+        bundleOf('transaction', [
+          patientEntry,
+          { request: { method: 'DELETE', url: `Patient/${OTHER_ID}` } },
+        ]),
+        null,
+        { authorize }
+      )
+    ).rejects.toThrow('Bundle.entry[1]: Not allowed');
+    expect(calls).toEqual([]);
+  });
+
+  it('only accepts transaction and batch Bundles', async () => {
+    await expect(service.process(TENANT_ID, { resourceType: 'Patient' }, null)).rejects.toThrow(
+      'Request body must be a Bundle resource'
+    );
+    await expect(service.process(TENANT_ID, bundleOf('collection', []), null)).rejects.toThrow(
+      'Bundle type must be transaction or batch'
+    );
+  });
+});
@@ -0,0 +1,44 @@
+jest.mock('../../src/config/database', () => ({
+  connect: jest.fn(),
+  query: jest.fn(),
+}));
+jest.mock('../../src/utils/audit');
+
+const ResourceService = require('../../src/services/resource.service');
+
+const TENANT_ID = '11111111-1111-4111-8111-111111111111';
+
+// A queryable whose tenant has the given `scheduling` configuration
+const tenantWith = (scheduling) => ({
+  query: jest.fn().mockResolvedValue({ rows: [{ configuration: { scheduling } }] }),
+});
+
+describe('ResourceService', () => {
+  const service = new ResourceService();
+
+  describe('getRequirements', () => {
+    it('requires the resources an appointment type declares', async () => {
+      await expect(
+        service.getRequirements(tenantWith({}), TENANT_ID, 'procedure')
+      ).resolves.toEqual([{ type: 'procedure_room', optional: false }]);
+    });
+
+    it('only leaves a type optional when the configuration says so', async () => {
+      const queryable = tenantWith({
+        appointmentTypes: {
+          treatment: {
+            resources: ['infusion_chair', { type: 'infusion_pump', optional: true }],
+          },
+        },
+      });
+
+      await expect(
+        service.getRequirements(queryable, TENANT_ID, 'treatment', ['scale'])
+      ).resolves.toEqual([
+        { type: 'infusion_chair', optional: false },
+        { type: 'infusion_pump', optional: true },
+        { type: 'scale', optional: false },
+      ]);
+    });
+  });
+});
@@ -0,0 +1,4 @@
+// Dates are compared and formatted as they are on Lambda, whatever the
+// machine the tests run on
+process.env.TZ = 'UTC';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
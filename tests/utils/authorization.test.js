@@ -0,0 +1,138 @@
+const {
+  SCOPES,
+  ROLES,
+  getActor,
+  getPatientScope,
+  assertPatientAccess,
+  getScopesForRole,
+  getScopes,
+  hasScope,
+  listKnownScopes,
+  requireScope,
+} = require('../../src/utils/authorization');
+const { ForbiddenError } = require('../../src/utils/errors');
+const routeTables = require('../../src/routes');
+
+// An API Gateway event as the authorizer passes scopes on: a JSON string
+const withScopes = (scopes) => ({
+  requestContext: { authorizer: { scopes: JSON.stringify(scopes) } },
+});
+
+describe('authorization', () => {
+  describe('hasScope', () => {
+    it('grants a scope that is held exactly', () => {
+      expect(hasScope(['patients:read'], SCOPES.PATIENTS_READ)).toBe(true);
+      expect(hasScope(['patients:read'], SCOPES.PATIENTS_WRITE)).toBe(false);
+    });
+
+    it('grants every action on a resource to its wildcard, and everything to admin', () => {
+      expect(hasScope(['patients:*'], SCOPES.PATIENTS_WRITE)).toBe(true);
+      expect(hasScope(['patients:*'], SCOPES.PROVIDERS_READ)).toBe(false);
+      expect(hasScope([SCOPES.ADMIN], SCOPES.API_KEYS_MANAGE)).toBe(true);
+    });
+
+    it('grants a narrow scope to the broader one that implies it', () => {
+      expect(hasScope([SCOPES.MEDICATIONS_WRITE], SCOPES.ADHERENCE_WRITE)).toBe(true);
+      expect(hasScope(['medications:*'], SCOPES.ADHERENCE_WRITE)).toBe(true);
+      expect(hasScope([SCOPES.ADHERENCE_WRITE], SCOPES.MEDICATIONS_WRITE)).toBe(false);
+    });
+  });
+
+  describe('getScopes', () => {
+    it('reads scopes forwarded as a JSON string or an array', () => {
+      expect(getScopes(withScopes(['patients:read']))).toEqual(['patients:read']);
+      expect(getScopes({ requestContext: { authorizer: { scopes: ['audit:read'] } } })).toEqual([
+        'audit:read',
+      ]);
+    });
+
+    it('grants nothing for missing or malformed scopes', () => {
+      expect(getScopes({})).toEqual([]);
+      expect(getScopes({ requestContext: { authorizer: { scopes: 'admin:*' } } })).toEqual([]);
+      expect(getScopes(withScopes({ admin: true }))).toEqual([]);
+    });
+  });
+
+  describe('requireScope', () => {
+    it('names the missing scope in a 403', () => {
+      const check = () => requireScope(withScopes(['patients:read']), SCOPES.PATIENTS_WRITE);
+
+      expect(check).toThrow(ForbiddenError);
+      expect(check).toThrow('Missing required scope: patients:write');
+    });
+
+    it('lets a caller with the scope through', () => {
+      expect(() => requireScope(withScopes(['audit:read']), SCOPES.AUDIT_READ)).not.toThrow();
+    });
+  });
+
+  describe('roles', () => {
+    it('gives unknown roles no scopes', () => {
+      expect(getScopesForRole('superuser')).toEqual([]);
+    });
+
+    it('keeps patients to reading their records and logging their own doses', () => {
+      const scopes = getScopesForRole(ROLES.PATIENT);
+
+      expect(hasScope(scopes, SCOPES.ADHERENCE_WRITE)).toBe(true);
+      expect(hasScope(scopes, SCOPES.PATIENTS_WRITE)).toBe(false);
+      expect(hasScope(scopes, SCOPES.MEDICATIONS_WRITE)).toBe(false);
+    });
+
+    it('attributes a request to the user and role of its token', () => {
+      const event = {
+        requestContext: {
+          authorizer: {
+            tenantId: 'tenant',
+            userId: 'user-1',
+            userType: 'user',
+            role: ROLES.NURSE,
+            scopes: JSON.stringify(getScopesForRole(ROLES.NURSE)),
+          },
+        },
+      };
+
+      expect(getActor(event, 'request-1')).toEqual({
+        requestId: 'request-1',
+        tenantId: 'tenant',
+        userId: 'user-1',
+        userType: 'user',
+        role: ROLES.NURSE,
+        patientId: null,
+        scopes: getScopesForRole(ROLES.NURSE),
+      });
+    });
+  });
+
+  describe('patient scope', () => {
+    const patient = { userType: 'patient', patientId: 'patient-1' };
+
+    it('binds patient tokens to their patient and nobody else', () => {
+      expect(getPatientScope(patient)).toBe('patient-1');
+      expect(getPatientScope({ userType: 'user', patientId: 'patient-1' })).toBeNull();
+      expect(getPatientScope(null)).toBeNull();
+    });
+
+    it("refuses a patient token another patient's records", () => {
+      expect(() => assertPatientAccess(patient, 'patient-1')).not.toThrow();
+      expect(() => assertPatientAccess(patient, 'patient-2')).toThrow(ForbiddenError);
+      expect(() => assertPatientAccess({ userType: 'user' }, 'patient-2')).not.toThrow();
+    });
+  });
+
+  describe('route tables', () => {
+    // The FHIR routes look their scope up by resource type, and the handler
+    // checks the scopes of transaction Bundles and exports itself
+    it('require a known scope on every JSON API route', () => {
+      const known = listKnownScopes();
+      const jsonTables = Object.entries(routeTables).filter(([handler]) => handler !== 'fhir');
+      const unscoped = jsonTables.flatMap(([handler, routes]) =>
+        routes
+          .filter((route) => !known.includes(route.scope))
+          .map((route) => `${handler}: ${route.method} ${route.path}`)
+      );
+
+      expect(unscoped).toEqual([]);
+    });
+  });
+});
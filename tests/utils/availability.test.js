@@ -0,0 +1,180 @@
+const {
+  getHolidayDate,
+  isHoliday,
+  getBlockedWindows,
+  findBlockedWindow,
+} = require('../../src/utils/availability');
+
+const PROVIDER_ID = '22222222-2222-4222-8222-222222222222';
+const OTHER_PROVIDER_ID = '55555555-5555-4555-8555-555555555555';
+const FACILITY_ID = '33333333-3333-4333-8333-333333333333';
+const OTHER_FACILITY_ID = '66666666-6666-4666-8666-666666666666';
+
+const timeZone = 'America/Chicago';
+
+describe('availability', () => {
+  describe('getHolidayDate', () => {
+    it('places yearly rules by day of month or nth weekday', () => {
+      const thanksgiving = { month: 11, day_of_week: 4, week_of_month: 4 };
+      const memorialDay = { month: 5, day_of_week: 1, week_of_month: -1 };
+
+      expect(getHolidayDate(thanksgiving, 2026)).toBe('2026-11-26');
+      expect(getHolidayDate(memorialDay, 2026)).toBe('2026-05-25');
+      expect(getHolidayDate({ month: 12, day_of_month: 25 }, 2026)).toBe('2026-12-25');
+    });
+
+    it('moves a weekend holiday to the nearest weekday when observed that way', () => {
+      const independenceDay = { month: 7, day_of_month: 4 };
+
+      // A Saturday in 2026
+      expect(getHolidayDate(independenceDay, 2026)).toBe('2026-07-04');
+      expect(getHolidayDate({ ...independenceDay, observed_on_weekday: true }, 2026)).toBe(
+        '2026-07-03'
+      );
+    });
+
+    it('has no date for days a month does not have or one-offs in other years', () => {
+      expect(getHolidayDate({ month: 2, day_of_week: 1, week_of_month: 5 }, 2026)).toBeNull();
+      expect(getHolidayDate({ month: 4, day_of_month: 31 }, 2026)).toBeNull();
+      expect(getHolidayDate({ holiday_date: '2026-12-24' }, 2026)).toBe('2026-12-24');
+      expect(getHolidayDate({ holiday_date: '2026-12-24' }, 2027)).toBeNull();
+    });
+  });
+
+  describe('isHoliday', () => {
+    it('finds a holiday observed in the year before', () => {
+      // 1 January 2028 is a Saturday
+      const newYear = { month: 1, day_of_month: 1, observed_on_weekday: true };
+
+      expect(isHoliday(newYear, '2027-12-31', FACILITY_ID)).toBe(true);
+      expect(isHoliday(newYear, '2028-01-01', FACILITY_ID)).toBe(false);
+    });
+
+    it('only closes the facility a holiday is for', () => {
+      const holiday = { facility_id: FACILITY_ID, holiday_date: '2026-12-24' };
+
+      expect(isHoliday(holiday, '2026-12-24', FACILITY_ID)).toBe(true);
+      expect(isHoliday(holiday, '2026-12-24', OTHER_FACILITY_ID)).toBe(false);
+    });
+  });
+
+  describe('getBlockedWindows', () => {
+    const exceptions = {
+      holidays: [{ id: 'holiday', name: 'Staff day', holiday_date: '2026-03-08' }],
+      blocks: [
+        {
+          id: 'lunch',
+          provider_id: PROVIDER_ID,
+          facility_id: FACILITY_ID,
+          start_date: '2026-03-09',
+          end_date: '2026-03-13',
+          start_time: '12:00:00',
+          end_time: '13:00:00',
+          reason: 'Lunch',
+        },
+        {
+          id: 'drill',
+          provider_id: null,
+          facility_id: FACILITY_ID,
+          start_date: '2026-03-10',
+          end_date: '2026-03-10',
+          start_time: null,
+          end_time: null,
+          reason: null,
+        },
+        {
+          id: 'conference',
+          provider_id: OTHER_PROVIDER_ID,
+          facility_id: null,
+          start_date: '2026-03-09',
+          end_date: '2026-03-10',
+        },
+      ],
+    };
+    const windowsOn = (dates, providerId = PROVIDER_ID) =>
+      getBlockedWindows(exceptions, { providerId, facilityId: FACILITY_ID, timeZone, dates });
+
+    it('closes the whole facility day on a holiday, however long DST makes it', () => {
+      expect(windowsOn(['2026-03-08'])).toEqual([
+        {
+          start: new Date('2026-03-08T06:00:00Z'),
+          end: new Date('2026-03-09T05:00:00Z'),
+          holiday_id: 'holiday',
+          reason: 'Staff day',
+        },
+      ]);
+    });
+
+    it('applies blocks for the provider, the facility or both', () => {
+      expect(windowsOn(['2026-03-09', '2026-03-10'])).toEqual([
+        {
+          start: new Date('2026-03-09T17:00:00Z'),
+          end: new Date('2026-03-09T18:00:00Z'),
+          exception_id: 'lunch',
+          reason: 'Lunch',
+        },
+        expect.objectContaining({ exception_id: 'lunch' }),
+        {
+          start: new Date('2026-03-10T05:00:00Z'),
+          end: new Date('2026-03-11T05:00:00Z'),
+          exception_id: 'drill',
+          reason: null,
+        },
+      ]);
+      expect(
+        windowsOn(['2026-03-09'], OTHER_PROVIDER_ID).map((window) => window.exception_id)
+      ).toEqual(['conference']);
+    });
+  });
+
+  describe('findBlockedWindow', () => {
+    const exceptions = {
+      blocks: [
+        {
+          id: 'lunch',
+          provider_id: PROVIDER_ID,
+          start_date: '2026-03-09',
+          end_date: '2026-03-09',
+          start_time: '12:00:00',
+          end_time: '13:00:00',
+        },
+      ],
+    };
+    const blockedAt = (start, end) =>
+      findBlockedWindow(exceptions, {
+        providerId: PROVIDER_ID,
+        facilityId: FACILITY_ID,
+        timeZone,
+        start,
+        end,
+      });
+
+    it('finds a block that overlaps the time, and none that only touches it', () => {
+      expect(blockedAt('2026-03-09T16:30:00Z', '2026-03-09T17:30:00Z')).toMatchObject({
+        exception_id: 'lunch',
+      });
+      expect(blockedAt('2026-03-09T18:00:00Z', '2026-03-09T18:30:00Z')).toBeNull();
+    });
+
+    it('checks the facility date, not the UTC one', () => {
+      const dayOff = {
+        blocks: [{ id: 'day-off', start_date: '2026-03-09', end_date: '2026-03-09' }],
+      };
+      const lateAt = (start, end) =>
+        findBlockedWindow(dayOff, {
+          providerId: PROVIDER_ID,
+          facilityId: FACILITY_ID,
+          timeZone,
+          start,
+          end,
+        });
+
+      // 23:30 in Chicago on the 8th is already the 9th in UTC, and on the
+      // 9th it is the 10th
+      expect(lateAt('2026-03-09T04:30:00Z', '2026-03-09T05:00:00Z')).toBeNull();
+      expect(lateAt('2026-03-10T04:30:00Z', '2026-03-10T05:00:00Z')).toMatchObject({
+        exception_id: 'day-off',
+      });
+    });
+  });
+});
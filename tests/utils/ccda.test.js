@@ -0,0 +1,243 @@
+const { buildCcd, readCcd } = require('../../src/utils/ccda');
+const {
+  parseXml,
+  getChild,
+  getChildren,
+  getPath,
+  getDescendants,
+  getAttribute,
+  getText,
+} = require('../../src/utils/xml');
+const { ValidationError } = require('../../src/utils/errors');
+
+const TENANT_ID = '11111111-1111-4111-8111-111111111111';
+
+const tenant = { id: TENANT_ID, name: 'Lakeside Oncology' };
+
+const patient = {
+  id: '22222222-2222-4222-8222-222222222222',
+  mrn: 'MRN-1001',
+  first_name: 'Ada',
+  last_name: 'Lovelace',
+  date_of_birth: '1980-12-01',
+  gender: 'female',
+  primary_diagnosis: 'Type 2 diabetes & hypertension',
+  icd10_codes: ['E11.9', 'I10'],
+  contact_info: { phone: '555-0100', address: { line: ['1 Main St'], city: 'Chicago' } },
+};
+
+const medications = [
+  {
+    id: '33333333-3333-4333-8333-333333333333',
+    medication_name: 'Metformin 500 MG Oral Tablet',
+    rxnorm_code: '861007',
+    dosage: '500 mg',
+    route: 'oral',
+    frequency: 'twice daily',
+    start_date: '2026-01-01',
+    end_date: null,
+  },
+  {
+    id: '44444444-4444-4444-8444-444444444444',
+    medication_name: 'Albuterol <HFA>',
+    dosage: '2 puffs',
+    route: 'inhalation',
+    frequency: 'as needed',
+    start_date: '2026-02-01',
+    end_date: '2026-08-01',
+  },
+];
+
+const careTeam = [
+  { npi: '1234567890', first_name: 'Grace', last_name: 'Hopper', is_primary: true },
+];
+
+const appointments = [
+  {
+    id: '55555555-5555-4555-8555-555555555555',
+    appointment_type: 'follow-up',
+    scheduled_start: new Date('2026-11-02T15:00:00Z'),
+    scheduled_end: new Date('2026-11-02T15:30:00Z'),
+    provider_first_name: 'Grace',
+    provider_last_name: 'Hopper',
+    provider_npi: '1234567890',
+    facility_name: 'Main Clinic',
+    facility_address: {},
+  },
+];
+
+const ccd = () =>
+  buildCcd({
+    tenant,
+    patient,
+    medications,
+    careTeam,
+    appointments,
+    now: new Date('2026-10-19T12:00:00Z'),
+  });
+
+/**
+ * A CCD as another EHR might write it: no templateIds on the sections, a
+ * standalone problem observation and entries that are not active
+ */
+const RECEIVED = `<?xml version="1.0" encoding="UTF-8"?>
+<ClinicalDocument xmlns="urn:hl7-org:v3" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+  <effectiveTime value="20261001"/>
+  <component><structuredBody>
+    <component><section>
+      <code code="10160-0" codeSystem="2.16.840.1.113883.6.1"/>
+      <text><table><tbody>
+        <tr><td ID="med1">Lisinopril 10 MG</td><td ID="sig1">one tablet every morning</td></tr>
+      </tbody></table></text>
+      <entry><substanceAdministration classCode="SBADM" moodCode="INT">
+        <text><reference value="#sig1"/></text>
+        <statusCode code="active"/>
+        <routeCode code="C38288" codeSystem="2.16.840.1.113883.3.26.1.1"/>
+        <doseQuantity value="1"/>
+        <consumable><manufacturedProduct><manufacturedMaterial>
+          <code code="314076" codeSystem="2.16.840.1.113883.6.88">
+            <originalText><reference value="#med1"/></originalText>
+          </code>
+        </manufacturedMaterial></manufacturedProduct></consumable>
+      </substanceAdministration></entry>
+      <entry><substanceAdministration classCode="SBADM" moodCode="INT">
+        <statusCode code="completed"/>
+        <consumable><manufacturedProduct><manufacturedMaterial>
+          <code displayName="Amoxicillin"/>
+        </manufacturedMaterial></manufacturedProduct></consumable>
+      </substanceAdministration></entry>
+    </section></component>
+    <component><section>
+      <code code="11450-4" codeSystem="2.16.840.1.113883.6.1"/>
+      <entry><observation classCode="OBS" moodCode="EVN">
+        <value xsi:type="CD" code="44054006" codeSystem="2.16.840.1.113883.6.96" displayName="Diabetes">
+          <translation code="E11.9" codeSystem="2.16.840.1.113883.6.90"/>
+        </value>
+      </observation></entry>
+      <entry><act classCode="ACT" moodCode="EVN">
+        <statusCode code="completed"/>
+        <entryRelationship typeCode="SUBJ"><observation classCode="OBS" moodCode="EVN">
+          <value xsi:type="CD" code="J45.909" codeSystem="2.16.840.1.113883.6.90"/>
+        </observation></entryRelationship>
+      </act></entry>
+      <entry><observation classCode="OBS" moodCode="EVN" negationInd="true">
+        <value xsi:type="CD" code="I10" codeSystem="2.16.840.1.113883.6.90"/>
+      </observation></entry>
+    </section></component>
+  </structuredBody></component>
+</ClinicalDocument>`;
+
+describe('ccda', () => {
+  describe('buildCcd', () => {
+    it('writes a CCD header for the patient and the tenant as custodian', () => {
+      const document = parseXml(ccd());
+      const patientRole = getDescendants(document, 'patientRole')[0];
+
+      // Each template is declared without and with its R2.1 extension
+      expect(
+        getChildren(document, 'templateId').map((templateId) => templateId.attributes)
+      ).toEqual([
+        { root: '2.16.840.1.113883.10.20.22.1.1' },
+        { root: '2.16.840.1.113883.10.20.22.1.1', extension: '2015-08-01' },
+        { root: '2.16.840.1.113883.10.20.22.1.2' },
+        { root: '2.16.840.1.113883.10.20.22.1.2', extension: '2015-08-01' },
+      ]);
+      expect(getAttribute(getChild(document, 'effectiveTime'), 'value')).toBe(
+        '20261019120000+0000'
+      );
+      expect(getChild(patientRole, 'id').attributes).toEqual({
+        root: TENANT_ID,
+        extension: 'MRN-1001',
+      });
+      expect(getAttribute(getDescendants(patientRole, 'birthTime')[0], 'value')).toBe('19801201');
+      expect(getText(getDescendants(document, 'custodian')[0])).toContain('Lakeside Oncology');
+    });
+
+    it('writes every section, empty ones with nullFlavor', () => {
+      const sections = getDescendants(parseXml(ccd()), 'section');
+      const codes = sections.map((section) => getAttribute(getChild(section, 'code'), 'code'));
+
+      expect(codes).toEqual([
+        '48765-2',
+        '10160-0',
+        '11450-4',
+        '30954-2',
+        '29762-2',
+        '8716-3',
+        '18776-5',
+      ]);
+      expect(getAttribute(sections[0], 'nullFlavor')).toBe('NI');
+      expect(getDescendants(sections[6], 'encounter')).toHaveLength(1);
+    });
+
+    it('codes medications with RxNorm, FDA routes and UCUM doses', () => {
+      const [metformin, albuterol] = getDescendants(parseXml(ccd()), 'substanceAdministration');
+
+      expect(
+        getAttribute(
+          getPath(metformin, 'consumable/manufacturedProduct/manufacturedMaterial/code'),
+          'code'
+        )
+      ).toBe('861007');
+      expect(getAttribute(getChild(metformin, 'routeCode'), 'code')).toBe('C38288');
+      expect(getChild(metformin, 'doseQuantity').attributes).toEqual({ value: '500', unit: 'mg' });
+      // Puffs are a count, so the dose has no unit
+      expect(getChild(albuterol, 'doseQuantity').attributes).toEqual({ value: '2' });
+    });
+  });
+
+  describe('readCcd', () => {
+    it('reads back the medications and problems it wrote', () => {
+      const { effectiveDate, medications: read, problems } = readCcd(ccd());
+
+      expect(effectiveDate).toBe('2026-10-19');
+      expect(read).toEqual([
+        {
+          medication_name: 'Metformin 500 MG Oral Tablet',
+          rxnorm_code: '861007',
+          dosage: '500 mg',
+          route: 'oral',
+          frequency: 'twice daily',
+          start_date: '2026-01-01',
+          end_date: undefined,
+        },
+        expect.objectContaining({
+          medication_name: 'Albuterol <HFA>',
+          dosage: '2',
+          route: 'inhalation',
+          frequency: 'as needed',
+          end_date: '2026-08-01',
+        }),
+      ]);
+      expect(problems).toEqual([
+        { name: 'Type 2 diabetes & hypertension', codes: [] },
+        { name: null, codes: ['E11.9'] },
+        { name: null, codes: ['I10'] },
+      ]);
+    });
+
+    it('reads sections by LOINC code and only keeps what is active', () => {
+      const { medications: read, problems } = readCcd(RECEIVED);
+
+      expect(read).toEqual([
+        {
+          medication_name: 'Lisinopril 10 MG',
+          rxnorm_code: '314076',
+          dosage: '1',
+          route: 'oral',
+          frequency: 'one tablet every morning',
+          start_date: '2026-10-01',
+          end_date: undefined,
+        },
+      ]);
+      expect(problems).toEqual([{ name: 'Diabetes', codes: ['E11.9'] }]);
+    });
+
+    it('rejects documents that are not a ClinicalDocument', () => {
+      expect(() => readCcd('<Bundle xmlns="http://hl7.org/fhir"/>')).toThrow(
+        'Document is not a C-CDA ClinicalDocument'
+      );
+      expect(() => readCcd('<ClinicalDocument>')).toThrow(ValidationError);
+    });
+  });
+});
@@ -0,0 +1,191 @@
+const fhir = require('../../src/utils/fhir');
+
+const RUNS = 200;
+
+/**
+ * A seeded random number generator (mulberry32), so a failing row can be
+ * reproduced from its run number
+ */
+function seeded(seed) {
+  let state = seed;
+
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function generator(seed) {
+  const random = seeded(seed);
+  const pick = (values) => values[Math.floor(random() * values.length)];
+  const integer = (min, max) => min + Math.floor(random() * (max - min + 1));
+  const maybe = (value) => (random() < 0.5 ? value : undefined);
+  const uuid = () =>
+    '00000000-0000-4000-8000-000000000000'.replace(/0/g, () => integer(0, 15).toString(16));
+  const date = () => `20${integer(10, 30)}-0${integer(1, 9)}-1${integer(0, 9)}`;
+  const dateTime = () => `${date()}T1${integer(0, 9)}:${pick(['00', '15', '30'])}:00.000Z`;
+
+  return { pick, integer, maybe, uuid, date, dateTime };
+}
+
+// What a resource looks like once it has been sent as JSON
+const overTheWire = (resource) => JSON.parse(JSON.stringify(resource));
+
+// A row without the columns left undefined, as toEqual compares them
+const withoutUndefined = (row) =>
+  Object.fromEntries(Object.entries(row).filter(([, value]) => value !== undefined));
+
+function patientRow({ pick, integer, maybe, uuid, date }) {
+  return withoutUndefined({
+    mrn: `MRN-${integer(1000, 9999)}`,
+    first_name: pick(['Ada', 'Grace', 'Alan', 'Edsger']),
+    last_name: pick(['Lovelace', 'Hopper', 'Turing', 'Dijkstra']),
+    date_of_birth: date(),
+    gender: maybe(pick(['male', 'female', 'other', 'unknown'])),
+    contact_info: withoutUndefined({
+      email: maybe('patient@example.com'),
+      phone: maybe(`+1555${integer(1000000, 9999999)}`),
+      address: maybe({ line: ['1 Main St'], city: 'Springfield', postalCode: '12345' }),
+      preferred_language: maybe(pick(['en', 'es'])),
+    }),
+    emergency_contact: maybe(
+      withoutUndefined({
+        name: 'Charles Babbage',
+        phone: maybe('+15550000000'),
+        relationship: maybe(pick(['spouse', 'sibling'])),
+        notes: maybe('Call after 6pm'),
+      })
+    ),
+    insurance_info: maybe(
+      withoutUndefined({
+        payer: maybe('Acme Health'),
+        member_id: `M${integer(100, 999)}`,
+        group_number: maybe(`G${integer(10, 99)}`),
+        plan_name: maybe('Gold'),
+        copay: maybe(integer(0, 50)),
+      })
+    ),
+    primary_diagnosis: maybe(pick(['Type 2 diabetes', 'Chronic kidney disease'])),
+    icd10_codes: maybe(['E11.9', 'N18.3', 'I10'].slice(0, integer(1, 3))),
+    treatment_status: maybe(pick(['active', 'remission', 'palliative', 'completed'])),
+    communication_preferences: maybe({ channels: ['sms'], quiet_hours: { start: '22:00' } }),
+    consent_settings: maybe({ research: pick([true, false]) }),
+    is_active: pick([true, false]),
+    id: uuid(),
+  });
+}
+
+function appointmentRow({ pick, integer, maybe, uuid, dateTime }) {
+  const start = new Date(dateTime());
+  const duration = pick([15, 30, 45, 60]);
+
+  return withoutUndefined({
+    id: uuid(),
+    patient_id: uuid(),
+    provider_id: uuid(),
+    facility_id: uuid(),
+    series_id: maybe(uuid()),
+    appointment_type: pick(['follow-up', 'procedure', 'treatment']),
+    scheduled_start: start.toISOString(),
+    scheduled_end: new Date(start.getTime() + duration * 60000).toISOString(),
+    duration_minutes: duration,
+    status: pick(Object.keys(fhir.APPOINTMENT_STATUS)),
+    priority: pick(['low', 'normal', 'high', 'urgent']),
+    reason: maybe('Quarterly review'),
+    special_requirements: maybe({ wheelchair: true }),
+    pre_appointment_instructions: maybe({ fasting: `${integer(4, 12)}h` }),
+    telehealth_details: maybe({ url: 'https://meet.example.com/abc' }),
+    insurance_verified: maybe(pick([true, false])),
+    checked_in_at: maybe(start.toISOString()),
+    completed_at: maybe(start.toISOString()),
+    cancelled_at: maybe(start.toISOString()),
+    cancellation_reason: maybe('Patient asked'),
+    created_at: start.toISOString(),
+  });
+}
+
+function medicationRow({ pick, integer, maybe, uuid, date, dateTime }) {
+  return withoutUndefined({
+    id: uuid(),
+    patient_id: uuid(),
+    prescribing_provider_id: uuid(),
+    medication_name: pick(['Metformin', 'Lisinopril']),
+    generic_name: maybe('metformin hydrochloride'),
+    rxnorm_code: maybe(String(integer(100000, 999999))),
+    dosage: pick(['2 tablets', '500mg', '1', 'one puff']),
+    strength: maybe('500 mg'),
+    route: pick(['oral', 'inhaled']),
+    frequency: pick(['twice daily', 'every morning']),
+    schedule_details: maybe(
+      pick([{ frequency: 2, period: 1, periodUnit: 'd' }, { with_food: true }])
+    ),
+    start_date: date(),
+    end_date: maybe(date()),
+    is_ongoing: maybe(pick([true, false])),
+    pharmacy_info: maybe({ name: 'Corner Pharmacy' }),
+    refills_remaining: maybe(integer(0, 5)),
+    days_supply: maybe(integer(7, 90)),
+    special_instructions: maybe({ note: 'Take with water' }),
+    side_effects_to_monitor: maybe(['nausea', 'dizziness'].slice(0, integer(1, 2))),
+    status: pick(Object.keys(fhir.MEDICATION_STATUS)),
+    created_at: dateTime(),
+  });
+}
+
+const people = (row) => ({
+  patient: { id: row.patient_id, first_name: 'Ada', last_name: 'Lovelace' },
+  provider: {
+    id: row.provider_id || row.prescribing_provider_id,
+    first_name: 'Grace',
+    last_name: 'Hopper',
+  },
+  facility: { id: row.facility_id, name: 'Main Clinic' },
+});
+
+describe('FHIR conversions', () => {
+  it('gives back every Patient column that is set', () => {
+    for (let run = 1; run <= RUNS; run += 1) {
+      const { id, ...row } = patientRow(generator(run));
+      const resource = overTheWire(fhir.toFHIRPatient({ id, ...row }));
+
+      expect({ run, row: fhir.fromFHIRPatient(resource) }).toEqual({ run, row });
+    }
+  });
+
+  it('gives back every Appointment column that is set', () => {
+    for (let run = 1; run <= RUNS; run += 1) {
+      const { id, ...row } = appointmentRow(generator(run));
+      const { patient, provider, facility } = people(row);
+      const resource = overTheWire(
+        fhir.toFHIRAppointment({ id, ...row }, patient, provider, facility)
+      );
+
+      expect({ run, row: fhir.fromFHIRAppointment(resource) }).toEqual({ run, row });
+    }
+  });
+
+  it('gives back every MedicationRequest column that is set', () => {
+    for (let run = 1; run <= RUNS; run += 1) {
+      const { id, ...row } = medicationRow(generator(run));
+      const { patient, provider } = people(row);
+      const resource = overTheWire(fhir.toFHIRMedicationRequest({ id, ...row }, patient, provider));
+
+      expect({ run, row: fhir.fromFHIRMedicationRequest(resource) }).toEqual({ run, row });
+    }
+  });
+
+  it('leaves empty values out, so they come back undefined', () => {
+    const row = patientRow(generator(1));
+    const patient = fhir.fromFHIRPatient(
+      overTheWire(
+        fhir.toFHIRPatient({ ...row, icd10_codes: [], primary_diagnosis: null, insurance_info: {} })
+      )
+    );
+
+    expect(patient.icd10_codes).toBeUndefined();
+    expect(patient.primary_diagnosis).toBeUndefined();
+    expect(patient.insurance_info).toBeUndefined();
+  });
+});
@@ -0,0 +1,278 @@
+const {
+  parseSearchQuery,
+  buildSearchQuery,
+  buildIncludeQuery,
+  parseExportQuery,
+  buildExportQuery,
+} = require('../../src/utils/fhirSearch');
+const { ValidationError } = require('../../src/utils/errors');
+
+const TENANT_ID = '11111111-1111-4111-8111-111111111111';
+const PATIENT_ID = '22222222-2222-4222-8222-222222222222';
+const PROVIDER_ID = '33333333-3333-4333-8333-333333333333';
+
+const scope = { tenantId: TENANT_ID, patientId: null };
+
+/**
+ * Parse and build in one step, as FhirService.search does
+ */
+function search(resourceType, query, searchScope = scope) {
+  return buildSearchQuery(resourceType, parseSearchQuery(resourceType, query), searchScope);
+}
+
+describe('fhirSearch', () => {
+  describe('values', () => {
+    it('binds every value and matches strings by prefix', () => {
+      const { sql, params } = search('Patient', { family: ["O'Brien%"] });
+
+      expect(sql).toContain('p.last_name ILIKE $2');
+      expect(sql).not.toContain('Brien');
+      expect(params).toEqual([TENANT_ID, "O'Brien\\%%", 50, 0]);
+    });
+
+    it('matches either of a,b and both of a repeated parameter', () => {
+      const either = search('Patient', { gender: ['male,female'] });
+      const both = search('Patient', { given: ['Ada'], family: ['Love'] });
+
+      expect(either.sql).toContain('(p.gender = $2 OR p.gender = $3)');
+      expect(both.sql).toContain('p.first_name ILIKE $2) AND (p.last_name ILIKE $3');
+    });
+
+    it('checks the system of a token against the column', () => {
+      expect(search('Patient', { identifier: ['MRN|MRN-1001'] }).params).toContain('MRN-1001');
+      expect(search('Patient', { identifier: ['http://other|MRN-1001'] }).sql).toContain('(FALSE)');
+    });
+
+    it('maps FHIR codes to the values they stand for', () => {
+      const { sql, params } = search('Appointment', { status: ['booked'] });
+
+      expect(sql).toContain('a.status = ANY($2)');
+      expect(params[1]).toEqual(['scheduled', 'confirmed']);
+      expect(() => search('Appointment', { status: ['waitlisted'] })).toThrow(
+        "Unknown code 'waitlisted'"
+      );
+    });
+
+    it('covers the whole period of a date at its precision', () => {
+      const { sql, params } = search('Appointment', { date: ['2026-03'] });
+
+      expect(sql).toContain('(a.scheduled_start >= $2 AND a.scheduled_start < $3)');
+      expect(params.slice(1, 3)).toEqual(['2026-03-01T00:00:00.000', '2026-04-01T00:00:00.000']);
+    });
+
+    it('applies date prefixes and offsets', () => {
+      const { sql, params } = search('Appointment', {
+        date: ['ge2026-03-02T09:00:00-05:00', 'lt2026-03-03'],
+      });
+
+      expect(sql).toContain('a.scheduled_start >= $2');
+      expect(sql).toContain('a.scheduled_start < $3');
+      expect(params.slice(1, 3)).toEqual(['2026-03-02T14:00:00.000', '2026-03-03T00:00:00.000']);
+    });
+
+    it('rejects dates that do not exist', () => {
+      expect(() => search('Patient', { birthdate: ['2024-02-30'] })).toThrow(ValidationError);
+      expect(() => search('Patient', { birthdate: ['yesterday'] })).toThrow(
+        "'yesterday' is not a date"
+      );
+    });
+
+    it('accepts a reference as an id, Type/id or a URL of the right type', () => {
+      ['', 'Patient/', 'https://fhir.example.com/Patient/'].forEach((prefix) => {
+        expect(search('Appointment', { patient: [`${prefix}${PATIENT_ID}`] }).params).toContain(
+          PATIENT_ID
+        );
+      });
+      expect(() => search('Appointment', { patient: [`Practitioner/${PATIENT_ID}`] })).toThrow(
+        'must reference a Patient'
+      );
+    });
+
+    it('matches empty columns with :missing', () => {
+      expect(search('Patient', { 'gender:missing': ['true'] }).sql).toContain('(p.gender IS NULL)');
+      expect(() => search('Patient', { 'gender:missing': ['maybe'] })).toThrow(ValidationError);
+    });
+  });
+
+  describe('parameters', () => {
+    it('chains one level through a reference', () => {
+      const { sql, params } = search('Appointment', { 'patient.identifier': ['MRN-1001'] });
+
+      expect(sql).toContain('a.patient_id IN (SELECT p.id FROM patients p WHERE p.tenant_id = $2');
+      expect(params).toEqual([TENANT_ID, TENANT_ID, 'MRN-1001', 50, 0]);
+    });
+
+    it('rejects deeper chains and chains on other parameters', () => {
+      expect(() => search('Appointment', { 'patient.organization.name': ['x'] })).toThrow(
+        'Only one level of chaining is supported'
+      );
+      expect(() => search('Appointment', { 'status.code': ['booked'] })).toThrow(
+        'cannot be chained'
+      );
+    });
+
+    it('rejects unsupported modifiers instead of ignoring them', () => {
+      expect(() => search('Patient', { 'birthdate:exact': ['1980'] })).toThrow(
+        "Modifier ':exact' is not supported here"
+      );
+    });
+
+    it('ignores unknown parameters unless handling is strict', () => {
+      expect(parseSearchQuery('Patient', { _elements: ['id'] }).filters).toEqual([]);
+
+      try {
+        parseSearchQuery('Patient', { _elements: ['id'] }, { strict: true });
+        throw new Error('expected a ValidationError');
+      } catch (error) {
+        expect(error).toBeInstanceOf(ValidationError);
+        expect(error.details.errors).toEqual([expect.objectContaining({ field: '_elements' })]);
+      }
+    });
+
+    it('reports the parameters it applied', () => {
+      const { params } = parseSearchQuery('Patient', {
+        family: ['Love'],
+        _sort: ['birthdate'],
+        _count: ['10'],
+      });
+
+      expect(params).toEqual([
+        ['family', 'Love'],
+        ['_sort', 'birthdate'],
+      ]);
+    });
+  });
+
+  describe('paging and sorting', () => {
+    it('limits _count and _page', () => {
+      expect(() => search('Patient', { _count: ['0'] })).toThrow(
+        '_count must be between 1 and 200'
+      );
+      expect(() => search('Patient', { _count: ['201'] })).toThrow(ValidationError);
+      expect(() => search('Patient', { _page: ['0'] })).toThrow(ValidationError);
+
+      expect(search('Patient', { _count: ['10'], _page: ['3'] }).params).toEqual([
+        TENANT_ID,
+        10,
+        20,
+      ]);
+    });
+
+    it('sorts by _sort and breaks ties on the id', () => {
+      expect(search('Patient', { _sort: ['-birthdate,name'] }).sql).toContain(
+        'ORDER BY p.date_of_birth DESC, p.last_name ASC, p.first_name ASC, p.id ASC'
+      );
+      expect(search('Patient', {}).sql).toContain('ORDER BY p.created_at DESC, p.id ASC');
+      expect(() => search('Patient', { _sort: ['patient'] })).toThrow('Cannot sort Patient');
+    });
+
+    it('counts every match, not just the page', () => {
+      const { countSql, countParams } = search('Patient', { family: ['Love'], _count: ['10'] });
+
+      expect(countSql).not.toContain('LIMIT');
+      expect(countParams).toEqual([TENANT_ID, 'Love%']);
+    });
+  });
+
+  describe('scope', () => {
+    it('confines a patient token to its own records', () => {
+      const patientScope = { tenantId: TENANT_ID, patientId: PATIENT_ID };
+
+      expect(search('MedicationRequest', {}, patientScope).sql).toContain('m.patient_id = $2');
+      // Practitioners are not in the Patient compartment
+      expect(search('Practitioner', {}, patientScope).params).not.toContain(PATIENT_ID);
+    });
+  });
+
+  describe('_include', () => {
+    const [include] = parseSearchQuery('Appointment', {
+      _include: ['Appointment:practitioner'],
+    }).include;
+
+    it('reads each referenced resource once', () => {
+      const rows = [{ provider_id: PROVIDER_ID }, { provider_id: PROVIDER_ID }];
+      const { sql, params } = buildIncludeQuery(include, rows, scope);
+
+      expect(sql).toContain('FROM providers pr');
+      expect(params).toEqual([TENANT_ID, [PROVIDER_ID]]);
+    });
+
+    it('reads nothing when no row references anything', () => {
+      expect(buildIncludeQuery(include, [], scope)).toBeNull();
+    });
+
+    it('only includes the reference parameters of the searched type', () => {
+      expect(() => parseSearchQuery('Appointment', { _include: ['Appointment:status'] })).toThrow(
+        ValidationError
+      );
+      expect(() =>
+        parseSearchQuery('Appointment', { _include: ['MedicationRequest:patient'] })
+      ).toThrow(ValidationError);
+    });
+  });
+
+  describe('$export', () => {
+    const resourceTypes = ['Patient', 'Practitioner', 'Appointment', 'MedicationRequest'];
+
+    it('exports every type the tenant may export unless _type narrows it', () => {
+      expect(parseExportQuery({}, { resourceTypes })).toEqual({
+        types: resourceTypes,
+        since: null,
+      });
+      expect(
+        parseExportQuery({ _type: ['Patient,Appointment', 'Patient'] }, { resourceTypes }).types
+      ).toEqual(['Patient', 'Appointment']);
+      expect(() => parseExportQuery({ _type: ['Communication'] }, { resourceTypes })).toThrow(
+        'Communication cannot be exported'
+      );
+    });
+
+    it('keeps a Group export to the Patient compartment', () => {
+      expect(parseExportQuery({}, { resourceTypes, group: true }).types).toEqual([
+        'Patient',
+        'Appointment',
+        'MedicationRequest',
+      ]);
+      expect(() =>
+        parseExportQuery({ _type: ['Practitioner'] }, { resourceTypes, group: true })
+      ).toThrow('Practitioner cannot be exported for a Group');
+    });
+
+    it('takes _since as an instant in UTC', () => {
+      expect(
+        parseExportQuery({ _since: ['2026-03-02T09:00:00-05:00'] }, { resourceTypes }).since
+      ).toBe('2026-03-02T14:00:00.000');
+      expect(() => parseExportQuery({ _since: ['gt2026-03-02'] }, { resourceTypes })).toThrow(
+        "'gt2026-03-02' is not an instant"
+      );
+    });
+
+    it('only writes NDJSON and rejects unknown parameters when strict', () => {
+      expect(() =>
+        parseExportQuery({ _outputFormat: ['application/fhir+ndjson'] }, { resourceTypes })
+      ).not.toThrow();
+      expect(() => parseExportQuery({ _outputFormat: ['text/csv'] }, { resourceTypes })).toThrow(
+        ValidationError
+      );
+      expect(parseExportQuery({ _typeFilter: ['x'] }, { resourceTypes }).types).toEqual(
+        resourceTypes
+      );
+      expect(() =>
+        parseExportQuery({ _typeFilter: ['x'] }, { resourceTypes, strict: true })
+      ).toThrow('Unsupported $export parameters');
+    });
+
+    it('reads the changes since _since of the patients on a care team', () => {
+      const { sql, params } = buildExportQuery(
+        'Appointment',
+        { since: '2026-03-02T14:00:00.000', groupId: PROVIDER_ID },
+        scope
+      );
+
+      expect(sql).toContain('a.updated_at > $2');
+      expect(sql).toContain('pp.provider_id = $3 AND pp.ended_at IS NULL');
+      expect(sql).not.toContain('LIMIT');
+      expect(params).toEqual([TENANT_ID, '2026-03-02T14:00:00.000', PROVIDER_ID]);
+    });
+  });
+});
@@ -0,0 +1,175 @@
+const {
+  parseMessage,
+  getSegment,
+  getRepetitions,
+  getValue,
+  getHeader,
+  serializeMessage,
+  escape,
+  unescape,
+  parseDateTime,
+  parseDate,
+  formatDate,
+  formatDateTime,
+  buildAck,
+  getAckCode,
+  frameMllp,
+  readMllpFrames,
+} = require('../../src/utils/hl7');
+const { ValidationError } = require('../../src/utils/errors');
+
+const ADT = [
+  'MSH|^~\\&|EPIC|HOSP|CHRONICCARE|CLINIC|20260302091500||ADT^A08^ADT_A01|MSG00001|P|2.5.1',
+  'PID|1||MRN-1001^^^^MR~123-45-6789^^^^SS||Lovelace^Ada^^^Dr||19801201|F|||1 Main St\\S\\Apt 2^^Chicago^IL',
+].join('\r');
+
+describe('hl7', () => {
+  describe('parseMessage', () => {
+    it('reads fields, repetitions and components numbered as in the standard', () => {
+      const message = parseMessage(ADT);
+      const pid = getSegment(message, 'PID');
+
+      expect(getValue(pid, 3)).toBe('MRN-1001');
+      expect(getRepetitions(pid, 3).map((repetition) => repetition[4][0])).toEqual(['MR', 'SS']);
+      expect(getValue(pid, 5, 2)).toBe('Ada');
+      expect(getValue(pid, 11)).toBe('1 Main St^Apt 2');
+      expect(getValue(pid, 4)).toBeUndefined();
+    });
+
+    it('reads the header used to route and acknowledge the message', () => {
+      expect(getHeader(parseMessage(ADT))).toEqual({
+        sendingApplication: 'EPIC',
+        sendingFacility: 'HOSP',
+        receivingApplication: 'CHRONICCARE',
+        receivingFacility: 'CLINIC',
+        messageType: 'ADT',
+        triggerEvent: 'A08',
+        controlId: 'MSG00001',
+        processingId: 'P',
+        version: '2.5.1',
+      });
+    });
+
+    it('accepts CRLF between segments and the delimiters MSH declares', () => {
+      const message = parseMessage(
+        'MSH#$~\\&#EPIC#HOSP#CHRONICCARE#CLINIC#20260302091500##ADT$A08#MSG00001#P#2.5.1\r\n' +
+          'PID#1##MRN-1001##Lovelace$Ada\r\n'
+      );
+
+      expect(getValue(getSegment(message, 'PID'), 5, 2)).toBe('Ada');
+      expect(message.delimiters.field).toBe('#');
+    });
+
+    it('rejects text that does not start with MSH', () => {
+      expect(() => parseMessage('PID|1||MRN-1001')).toThrow(ValidationError);
+      expect(() => parseMessage('')).toThrow('Message must start with an MSH segment');
+    });
+  });
+
+  describe('serializeMessage', () => {
+    it('escapes delimiters and drops trailing empty values', () => {
+      const raw = serializeMessage([
+        ['MSH', 'CHRONICCARE', '', 'EPIC'],
+        ['NTE', '1', '', 'Bring A|B^C & D', ['x', ''], ''],
+      ]);
+
+      expect(raw).toBe('MSH|^~\\&|CHRONICCARE||EPIC\rNTE|1||Bring A\\F\\B\\S\\C \\T\\ D|x\r');
+    });
+
+    it('reads back what it wrote', () => {
+      const raw = serializeMessage([
+        ['MSH', 'CHRONICCARE', '', '', '', '20260302091500+0000', '', ['SIU', 'S12']],
+        ['PID', '1', '', ['MRN-1', '', '', '', 'MR'], '', ['Lovelace', 'Ada']],
+      ]);
+      const pid = getSegment(parseMessage(raw), 'PID');
+
+      expect(getValue(pid, 5, 1)).toBe('Lovelace');
+      expect(getValue(pid, 3, 5)).toBe('MR');
+    });
+
+    it('round-trips escaped values', () => {
+      const value = 'a|b^c~d\\e&f\nline';
+
+      expect(unescape(escape(value))).toBe(value);
+      expect(unescape('\\X41\\ and \\H\\bold')).toBe('A and \\H\\bold');
+    });
+  });
+
+  describe('dates', () => {
+    it('parses date/times of any precision with their offset', () => {
+      expect(parseDateTime('202603020915-0500')).toEqual({
+        year: 2026,
+        month: 3,
+        day: 2,
+        hour: 9,
+        minute: 15,
+        second: 0,
+        millisecond: 0,
+        offsetMinutes: -300,
+      });
+      expect(parseDateTime('2026')).toMatchObject({ month: 1, day: 1, offsetMinutes: null });
+    });
+
+    it('rejects dates that do not exist', () => {
+      expect(parseDateTime('20260231')).toBeNull();
+      expect(parseDateTime('202603022500')).toBeNull();
+      expect(parseDate('not a date')).toBeNull();
+      expect(parseDate('19801201')).toBe('1980-12-01');
+    });
+
+    it('formats DATE columns and UTC date/times', () => {
+      expect(formatDate('1980-12-01')).toBe('19801201');
+      expect(formatDate(new Date(1980, 11, 1))).toBe('19801201');
+      expect(formatDate(null)).toBe('');
+      expect(formatDateTime(new Date('2026-03-02T15:15:30.500Z'))).toBe('20260302151530+0000');
+    });
+  });
+
+  describe('acknowledgments', () => {
+    it('answers the sender with its control id and the errors found', () => {
+      const header = getHeader(parseMessage(ADT));
+      const ack = parseMessage(
+        buildAck(header, 'AE', {
+          text: 'Unknown patient',
+          errors: [
+            {
+              field: 'PID-3',
+              condition: { code: '204', text: 'Unknown key identifier' },
+              message: 'No patient with MRN MRN-1001',
+            },
+          ],
+        })
+      );
+
+      expect(getHeader(ack)).toMatchObject({
+        sendingApplication: 'CHRONICCARE',
+        receivingApplication: 'EPIC',
+        messageType: 'ACK',
+        triggerEvent: 'A08',
+      });
+      expect(getValue(getSegment(ack, 'MSA'), 2)).toBe('MSG00001');
+      expect(getValue(getSegment(ack, 'ERR'), 2, 3)).toBe('3');
+      expect(getValue(getSegment(ack, 'ERR'), 8)).toBe('No patient with MRN MRN-1001');
+    });
+
+    it('reads the code of an ACK, or null for anything else', () => {
+      expect(getAckCode(buildAck(null, 'CA'))).toBe('CA');
+      expect(getAckCode('HTTP/1.1 502 Bad Gateway')).toBeNull();
+    });
+  });
+
+  describe('MLLP', () => {
+    it('splits complete frames off a buffer and keeps the rest', () => {
+      const buffer = `${frameMllp('MSH|one')}${frameMllp('MSH|two')}${frameMllp('MSH|thr')}`;
+
+      expect(readMllpFrames(buffer.slice(0, -4))).toEqual({
+        messages: ['MSH|one', 'MSH|two'],
+        rest: '\x0bMSH|t',
+      });
+      expect(readMllpFrames(`noise${frameMllp('MSH|one')}`)).toEqual({
+        messages: ['MSH|one'],
+        rest: '',
+      });
+    });
+  });
+});
@@ -0,0 +1,70 @@
+const { parseInTimeZone, formatInTimeZone } = require('../../src/utils/timezone');
+
+// Clocks in Chicago go from 02:00 CST to 03:00 CDT on 2026-03-08, and from
+// 02:00 CDT back to 01:00 CST on 2026-11-01
+const CHICAGO = 'America/Chicago';
+
+describe('parseInTimeZone', () => {
+  it('reads a wall-clock time with the offset in force at it', () => {
+    expect(parseInTimeZone('2026-03-08T01:30', CHICAGO).toISOString()).toBe(
+      '2026-03-08T07:30:00.000Z'
+    );
+    expect(parseInTimeZone('2026-03-08T03:00', CHICAGO).toISOString()).toBe(
+      '2026-03-08T08:00:00.000Z'
+    );
+  });
+
+  it('moves a time in the missing 02:00 hour forward by the gap', () => {
+    expect(parseInTimeZone('2026-03-08T02:00', CHICAGO).toISOString()).toBe(
+      '2026-03-08T08:00:00.000Z'
+    );
+    expect(parseInTimeZone('2026-03-08T02:30', CHICAGO).toISOString()).toBe(
+      '2026-03-08T08:30:00.000Z'
+    );
+  });
+
+  it('reads a time in the repeated 01:00 hour as its first, daylight-saving occurrence', () => {
+    expect(parseInTimeZone('2026-11-01T01:30', CHICAGO).toISOString()).toBe(
+      '2026-11-01T06:30:00.000Z'
+    );
+    expect(parseInTimeZone('2026-11-01T02:00', CHICAGO).toISOString()).toBe(
+      '2026-11-01T08:00:00.000Z'
+    );
+  });
+
+  it('keeps an explicit offset, which picks either 01:30', () => {
+    expect(parseInTimeZone('2026-11-01T01:30:00-05:00', CHICAGO).toISOString()).toBe(
+      '2026-11-01T06:30:00.000Z'
+    );
+    expect(parseInTimeZone('2026-11-01T01:30:00-06:00', CHICAGO).toISOString()).toBe(
+      '2026-11-01T07:30:00.000Z'
+    );
+  });
+
+  it('rejects a day or time that does not exist', () => {
+    expect(parseInTimeZone('2026-02-30T09:00', CHICAGO)).toBeNull();
+    expect(parseInTimeZone('2026-02-30T09:00:00Z', CHICAGO)).toBeNull();
+    expect(parseInTimeZone('2026-03-08T24:00', CHICAGO)).toBeNull();
+    expect(parseInTimeZone('2026-03-08T09:60', CHICAGO)).toBeNull();
+  });
+});
+
+describe('formatInTimeZone', () => {
+  it('skips from 01:59 CST to 03:00 CDT in spring', () => {
+    expect(formatInTimeZone(new Date('2026-03-08T07:59:59Z'), CHICAGO)).toBe(
+      '2026-03-08T01:59:59-06:00'
+    );
+    expect(formatInTimeZone(new Date('2026-03-08T08:00:00Z'), CHICAGO)).toBe(
+      '2026-03-08T03:00:00-05:00'
+    );
+  });
+
+  it('tells the two 01:30s apart by their offset in autumn', () => {
+    expect(formatInTimeZone(new Date('2026-11-01T06:30:00Z'), CHICAGO)).toBe(
+      '2026-11-01T01:30:00-05:00'
+    );
+    expect(formatInTimeZone(new Date('2026-11-01T07:30:00Z'), CHICAGO)).toBe(
+      '2026-11-01T01:30:00-06:00'
+    );
+  });
+});
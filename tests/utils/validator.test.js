@@ -0,0 +1,62 @@
+const { validate, schemas } = require('../../src/utils/validator');
+const { ValidationError } = require('../../src/utils/errors');
+
+describe('validator schemas', () => {
+  describe('adherence', () => {
+    it('requires was_taken and scheduled_time', () => {
+      expect(() => validate(schemas.adherence, { notes: 'Forgot' })).toThrow(ValidationError);
+    });
+
+    it('accepts a logged dose', () => {
+      const dose = {
+        was_taken: true,
+        scheduled_time: '2026-10-19T08:00:00.000Z',
+        taken_at: '2026-10-19T08:05:00.000Z',
+      };
+
+      expect(validate(schemas.adherence, dose)).toEqual(dose);
+    });
+  });
+
+  describe('notification', () => {
+    it('needs a patient or a provider to send to', () => {
+      expect(() =>
+        validate(schemas.notification, { notification_type: 'reminder', channel: 'sms' })
+      ).toThrow(ValidationError);
+    });
+
+    it('rejects an unknown channel', () => {
+      expect(() =>
+        validate(schemas.notification, {
+          notification_type: 'reminder',
+          channel: 'fax',
+          patient_id: '11111111-1111-4111-8111-111111111111',
+        })
+      ).toThrow(ValidationError);
+    });
+  });
+
+  describe('availabilityQuery', () => {
+    it('searches the 30 days from startDate without an endDate', () => {
+      expect(validate(schemas.availabilityQuery, { startDate: '2026-11-01' })).toMatchObject({
+        startDate: '2026-11-01',
+        endDate: '2026-12-01',
+      });
+    });
+
+    it('rejects a date that does not exist', () => {
+      expect(() => validate(schemas.availabilityQuery, { startDate: '2026-02-30' })).toThrow(
+        ValidationError
+      );
+    });
+
+    it('rejects an endDate before startDate, and ranges over 90 days', () => {
+      expect(() =>
+        validate(schemas.availabilityQuery, { startDate: '2026-11-02', endDate: '2026-11-01' })
+      ).toThrow(ValidationError);
+      expect(() =>
+        validate(schemas.availabilityQuery, { startDate: '2026-01-01', endDate: '2026-04-02' })
+      ).toThrow(ValidationError);
+    });
+  });
+});
@@ -0,0 +1,59 @@
+const {
+  element,
+  serializeXml,
+  parseXml,
+  getChild,
+  getPath,
+  getDescendants,
+  findById,
+  getText,
+  getAttribute,
+} = require('../../src/utils/xml');
+const { ValidationError } = require('../../src/utils/errors');
+
+describe('xml', () => {
+  it('reads back what it writes, escaping text and attributes', () => {
+    const xml = serializeXml(
+      element('note', { title: 'Tom & "Jerry"', empty: null }, [
+        element('line', {}, 'a < b && c > d'),
+        element('line', {}, [undefined, false, 3]),
+      ])
+    );
+    const note = parseXml(xml);
+
+    expect(xml).toContain('<note title="Tom &amp; &quot;Jerry&quot;">');
+    expect(note.attributes).toEqual({ title: 'Tom & "Jerry"' });
+    expect(getText(getChild(note, 'line'))).toBe('a < b && c > d');
+    expect(getText(note)).toBe('a < b && c > d 3');
+  });
+
+  it('matches elements and attributes by local name', () => {
+    const root = parseXml(
+      `<?xml version="1.0"?>
+       <!DOCTYPE doc [ <!ELEMENT doc ANY> ]>
+       <!-- generated -->
+       <cda:doc xmlns:cda="urn:hl7-org:v3" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+         <cda:section><cda:value xsi:type="CD" code="E11.9"/></cda:section>
+         <cda:section><td ID="item-1">Metformin <![CDATA[<500 mg>]]></td></cda:section>
+       </cda:doc>`
+    );
+
+    expect(getDescendants(root, 'section')).toHaveLength(2);
+    expect(getAttribute(getPath(root, 'section/value'), 'type')).toBe('CD');
+    expect(getText(findById(root, 'item-1'))).toBe('Metformin <500 mg>');
+  });
+
+  it('decodes numeric character references', () => {
+    expect(getText(parseXml('<p>&#233;&#x2014;&amp;</p>'))).toBe('é—&');
+  });
+
+  it.each([
+    ['an unclosed element', '<a><b></a>'],
+    ['a second root', '<a/><b/>'],
+    ['text outside the root', '<a/>text'],
+    ['an unknown entity', '<a>&nbsp;</a>'],
+    ['an empty body', ''],
+  ])('rejects %s', (description, xml) => {
+    expect(() => parseXml(xml)).toThrow(ValidationError);
+  });
+});